@@ -0,0 +1,52 @@
+/**
+ * Backfill Script: TaskCompletion.completionDate → user's local day
+ *
+ * Completions recorded before the day boundary service existed store the
+ * server's UTC day. This recomputes each row's completionDate from completedAt
+ * in the completing user's timezone (see services/dayBoundaryService.js).
+ *
+ * Dry run by default; pass --apply to write changes.
+ * Usage: cd backend && node backfill-completion-dates.js [--apply]
+ */
+
+const fs = require('fs');
+if (fs.existsSync('.env.local')) {
+  require('dotenv').config({ path: '.env.local' });
+} else {
+  require('dotenv').config();
+}
+
+const { disconnectDatabase } = require('./config/database');
+const { backfillCompletionDates } = require('./services/dayBoundaryService');
+
+const apply = process.argv.includes('--apply');
+
+async function run() {
+  console.log(`\n🕒 Backfilling completion dates${apply ? '' : ' (dry run, pass --apply to write)'}...\n`);
+
+  try {
+    // Only touch rows written before this run started
+    const report = await backfillCompletionDates({ dryRun: !apply, before: new Date() });
+
+    console.log(`Scanned:   ${report.scanned}`);
+    console.log(`Unchanged: ${report.unchanged}`);
+    console.log(`${apply ? 'Updated:  ' : 'To update:'} ${report.updated}`);
+    console.log(`Conflicts: ${report.conflicts.length}`);
+
+    report.conflicts.forEach(c => {
+      console.log(`  ⚠️  ${c.id}: ${c.from} → ${c.to} clashes with ${c.clashesWith}`);
+    });
+  } finally {
+    await disconnectDatabase();
+  }
+}
+
+run()
+  .then(() => {
+    console.log('\n✅ Backfill script completed');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Backfill script failed:', error);
+    process.exit(1);
+  });
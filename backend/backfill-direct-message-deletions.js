@@ -0,0 +1,48 @@
+/**
+ * Backfill Script: DirectMessage.deletedFor → DirectMessageDeletion rows
+ *
+ * "Delete for me" used to append the user's id to the comma-separated
+ * deletedFor column. Messages are now hidden per user by DirectMessageDeletion
+ * rows (see services/directMessageService.js); this writes a row for each id
+ * still listed in deletedFor. Existing rows are skipped, so it is safe to re-run.
+ * It runs on every build until the deletedFor column is removed.
+ *
+ * Dry run by default; pass --apply to write changes.
+ * Usage: cd backend && node backfill-direct-message-deletions.js [--apply]
+ */
+
+const fs = require('fs');
+if (fs.existsSync('.env.local')) {
+  require('dotenv').config({ path: '.env.local' });
+} else {
+  require('dotenv').config();
+}
+
+const { disconnectDatabase } = require('./config/database');
+const { backfillDeletionsFromDeletedFor } = require('./services/directMessageService');
+
+const apply = process.argv.includes('--apply');
+
+async function run() {
+  console.log(`\n🗑️  Backfilling direct message deletions${apply ? '' : ' (dry run, pass --apply to write)'}...\n`);
+
+  try {
+    const report = await backfillDeletionsFromDeletedFor({ dryRun: !apply });
+
+    console.log(`Messages scanned: ${report.scanned}`);
+    console.log(`Already present:  ${report.existing}`);
+    console.log(`${apply ? 'Created:         ' : 'To create:       '} ${report.created}`);
+  } finally {
+    await disconnectDatabase();
+  }
+}
+
+run()
+  .then(() => {
+    console.log('\n✅ Backfill script completed');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Backfill script failed:', error);
+    process.exit(1);
+  });
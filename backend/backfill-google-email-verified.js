@@ -0,0 +1,45 @@
+/**
+ * Backfill Script: User.emailVerified for Google accounts
+ *
+ * emailVerified was added with password reset and email verification, and
+ * every existing account started out unverified. Google accounts arrive with
+ * an address Google has verified, so this marks them verified (new Google
+ * sign-ups and links already are, see config/passport.js). Only unverified
+ * Google accounts are touched, so it is safe to re-run; it runs on every build.
+ *
+ * Dry run by default; pass --apply to write changes.
+ * Usage: cd backend && node backfill-google-email-verified.js [--apply]
+ */
+
+const fs = require('fs');
+if (fs.existsSync('.env.local')) {
+  require('dotenv').config({ path: '.env.local' });
+} else {
+  require('dotenv').config();
+}
+
+const { disconnectDatabase } = require('./config/database');
+const { backfillGoogleEmailVerified } = require('./services/authTokenService');
+
+const apply = process.argv.includes('--apply');
+
+async function run() {
+  console.log(`\n✉️  Backfilling email verification for Google accounts${apply ? '' : ' (dry run, pass --apply to write)'}...\n`);
+
+  try {
+    const count = await backfillGoogleEmailVerified({ dryRun: !apply });
+    console.log(`${apply ? 'Verified:  ' : 'To verify:'} ${count}`);
+  } finally {
+    await disconnectDatabase();
+  }
+}
+
+run()
+  .then(() => {
+    console.log('\n✅ Backfill script completed');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Backfill script failed:', error);
+    process.exit(1);
+  });
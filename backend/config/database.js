@@ -185,6 +185,7 @@ process.on('beforeExit', async () => {
 
 module.exports = {
   prisma,
+  isSQLite,
   connectDatabase,
   disconnectDatabase,
   startKeepAlive,
@@ -50,10 +50,13 @@ module.exports = function(passport) {
           });
 
           if (existingEmail) {
-            // Link Google account to existing user
+            // Link Google account to existing user (Google has verified the address)
             user = await prisma.user.update({
               where: { email: profile.emails[0].value },
-              data: { googleId: profile.id }
+              data: {
+                googleId: profile.id,
+                ...(!existingEmail.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() })
+              }
             });
             return done(null, user);
           }
@@ -64,7 +67,9 @@ module.exports = function(passport) {
               googleId: profile.id,
               email: profile.emails[0].value,
               username: profile.displayName || profile.emails[0].value.split('@')[0],
-              avatar: profile.photos[0]?.value || null
+              avatar: profile.photos[0]?.value || null,
+              emailVerified: true,
+              emailVerifiedAt: new Date()
             }
           });
 
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
+const { isAccessTokenActive } = require('../services/sessionService');
+const { getMemberRole, roleHasPermission, DENIED_MESSAGES } = require('../utils/roomPermissions');
+const { isPlatformAdmin } = require('../utils/moderation');
 
 // Verify JWT token
 exports.protect = async (req, res, next) => {
@@ -21,6 +24,14 @@ exports.protect = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Tokens of signed-out sessions stop working before they expire
+      if (!(await isAccessTokenActive(decoded))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been signed out'
+        });
+      }
       
       // Get user from token (exclude password)
       const user = await prisma.user.findUnique({
@@ -31,7 +42,9 @@ exports.protect = async (req, res, next) => {
           username: true,
           avatar: true,
           timezone: true,
+          role: true,
           onboardingCompleted: true,
+          emailVerified: true,
           streak: true,
           longestStreak: true,
           totalTasksCompleted: true,
@@ -49,6 +62,7 @@ exports.protect = async (req, res, next) => {
       }
 
       req.user = user;
+      req.sessionId = decoded.sid || null;
       next();
     } catch (err) {
       return res.status(401).json({
@@ -61,13 +75,15 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Check if user is admin (for future use)
+// Check if user is a platform admin (User.role, see utils/moderation.js)
 exports.isAdmin = (req, res, next) => {
-  // For now, no admin field in Prisma schema - can be added later
-  res.status(403).json({
-    success: false,
-    message: 'Access denied. Admin privileges required.'
-  });
+  if (!isPlatformAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin privileges required.'
+    });
+  }
+  next();
 };
 
 // Check if user is room owner
@@ -134,6 +150,8 @@ exports.isRoomMember = async (req, res, next) => {
         streak: true,
         longestStreak: true,
         lastActivityDate: true,
+        timezone: true,
+        dayRolloverHour: true,
         ownerId: true,
         startDate: true,
         endDate: true,
@@ -198,6 +216,10 @@ exports.isRoomMember = async (req, res, next) => {
             description: true,
             taskType: true,
             daysOfWeek: true,
+            recurrenceRule: true,
+            recurrenceStart: true,
+            recurrenceEnd: true,
+            recurrenceExceptions: true,
             points: true,
             isActive: true,
             createdAt: true
@@ -219,3 +241,19 @@ exports.isRoomMember = async (req, res, next) => {
     next(error);
   }
 };
+
+// Check the current user's room role grants a permission (see utils/roomPermissions).
+// Use after isRoomMember, which loads req.room with its members. Sets req.roomRole.
+exports.requireRoomPermission = (permission) => (req, res, next) => {
+  const role = getMemberRole(req.room, req.user.id);
+
+  if (!roleHasPermission(role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: DENIED_MESSAGES[permission] || 'You do not have permission to do this in this room'
+    });
+  }
+
+  req.roomRole = role;
+  next();
+};
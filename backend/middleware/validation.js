@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { parseRule } = require('../utils/recurrence');
+const { REPORT_REASONS, MODERATION_ACTIONS } = require('../utils/moderation');
 
 // Validate request body against schema
 const validate = (schema) => {
@@ -40,6 +42,19 @@ exports.loginSchema = Joi.object({
   timezone: Joi.string().allow('', null) // Auto-detected from browser
 });
 
+exports.forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+exports.resetPasswordSchema = Joi.object({
+  token: Joi.string().trim().max(128).required(),
+  password: Joi.string().min(6).required()
+});
+
+exports.verifyEmailSchema = Joi.object({
+  token: Joi.string().trim().max(128).required()
+});
+
 exports.updateProfileSchema = Joi.object({
   username: Joi.string().min(3).max(30),
   avatar: Joi.string().uri().allow(null, ''),
@@ -51,6 +66,23 @@ exports.updateProfileSchema = Joi.object({
   })
 });
 
+// Recurrence fields shared by task schemas (see utils/recurrence.js)
+const dateString = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD');
+const recurrenceFields = {
+  recurrenceRule: Joi.string().max(200).allow('', null).custom((value, helpers) => {
+    if (!value) return value;
+    try {
+      parseRule(value);
+      return value;
+    } catch (err) {
+      return helpers.message(err.message);
+    }
+  }),
+  recurrenceStart: dateString.allow('', null),
+  recurrenceEnd: dateString.allow('', null),
+  recurrenceExceptions: Joi.array().items(dateString).max(366).allow(null) // Days to skip
+};
+
 // Room schemas
 exports.createRoomSchema = Joi.object({
   name: Joi.string().min(3).max(50).required(),
@@ -66,10 +98,12 @@ exports.createRoomSchema = Joi.object({
     points: Joi.number().min(1).max(10), // Points limited to 1-10
     taskType: Joi.string().valid('daily', 'weekly', 'custom'),
     frequency: Joi.string().valid('daily', 'weekly', 'custom'),
-    daysOfWeek: Joi.array().items(Joi.number().min(0).max(6)) // For custom frequency
+    daysOfWeek: Joi.array().items(Joi.number().min(0).max(6)), // For custom frequency
+    ...recurrenceFields
   })),
   settings: Joi.object({
     timezone: Joi.string(),
+    dayRolloverHour: Joi.number().integer().min(0).max(23), // Local hour the room day starts
     allowMemberTaskCreation: Joi.boolean(),
     messageRetentionDays: Joi.number().min(1).max(365),
     requireApproval: Joi.boolean()
@@ -94,6 +128,28 @@ exports.joinRoomSchema = Joi.object({
   inviteLink: Joi.string()
 }).or('joinCode', 'inviteLink');
 
+// Room roles (ownership moves through transfer, not role changes)
+exports.roomRoleSchema = Joi.object({
+  role: Joi.string().valid('admin', 'moderator', 'member', 'viewer').required()
+});
+
+exports.transferOwnershipSchema = Joi.object({
+  userId: Joi.string().required()
+});
+
+// Room seasons (room days, see services/seasonService.js)
+exports.createSeasonSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(60).allow('', null),
+  startDate: dateString.required(),
+  endDate: dateString.required()
+});
+
+exports.updateSeasonSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(60),
+  startDate: dateString,
+  endDate: dateString
+}).min(1);
+
 // Task schemas
 exports.createTaskSchema = Joi.object({
   title: Joi.string().min(3).max(100).required(),
@@ -103,8 +159,9 @@ exports.createTaskSchema = Joi.object({
   frequency: Joi.string().valid('daily', 'weekly', 'custom').allow('', null),
   taskType: Joi.string().valid('daily', 'weekly', 'custom').allow('', null),
   daysOfWeek: Joi.array().items(Joi.number().min(0).max(6)).allow(null), // For custom frequency
+  ...recurrenceFields,
   deadline: Joi.date().iso().allow('', null)
-}).or('frequency', 'taskType'); // At least one of frequency or taskType must be present
+}).or('frequency', 'taskType', 'recurrenceRule'); // At least one of frequency, taskType or recurrenceRule must be present
 
 exports.updateTaskSchema = Joi.object({
   title: Joi.string().min(3).max(100),
@@ -114,6 +171,7 @@ exports.updateTaskSchema = Joi.object({
   frequency: Joi.string().valid('daily', 'weekly', 'custom').allow('', null),
   taskType: Joi.string().valid('daily', 'weekly', 'custom').allow('', null),
   daysOfWeek: Joi.array().items(Joi.number().min(0).max(6)).allow(null), // For custom frequency
+  ...recurrenceFields,
   deadline: Joi.date().iso().allow('', null),
   isActive: Joi.boolean()
 });
@@ -125,4 +183,76 @@ exports.sendMessageSchema = Joi.object({
   replyToText: Joi.string().max(200).allow(null, '')
 });
 
+// Editing a room chat message or a direct message
+exports.editMessageSchema = Joi.object({
+  message: Joi.string().min(1).max(2000).required()
+});
+
+exports.announcementSchema = Joi.object({
+  message: Joi.string().min(1).max(2000).required()
+});
+
+// Group conversations (see services/groupConversationService.js)
+exports.createGroupSchema = Joi.object({
+  name: Joi.string().trim().max(60).allow('', null),
+  memberIds: Joi.array().items(Joi.string()).min(2).max(19).unique().required()
+});
+
+exports.renameGroupSchema = Joi.object({
+  name: Joi.string().trim().max(60).allow('', null).required()
+});
+
+exports.addGroupMembersSchema = Joi.object({
+  userIds: Joi.array().items(Joi.string()).min(1).max(18).unique().required()
+});
+
+exports.groupMessageSchema = Joi.object({
+  message: Joi.string().min(1).max(2000).required(),
+  replyTo: Joi.string().allow(null, '')
+});
+
+exports.groupReadSchema = Joi.object({
+  messageId: Joi.string()
+});
+
+// Message reaction (room chat and direct messages)
+exports.reactionSchema = Joi.object({
+  emoji: Joi.string().trim().min(1).max(16).required()
+});
+
+// Moderation
+exports.reportSchema = Joi.object({
+  reason: Joi.string().valid(...REPORT_REASONS).required(),
+  details: Joi.string().trim().max(500).allow(''),
+  roomId: Joi.string() // User reports only: report within this room's queue
+});
+
+exports.moderationActionSchema = Joi.object({
+  action: Joi.string().valid(...Object.values(MODERATION_ACTIONS)).required(),
+  note: Joi.string().trim().max(500).allow('')
+});
+
+// Notification preferences (see services/notificationPreferenceService.js)
+const notificationChannelsSchema = Joi.object({
+  inApp: Joi.boolean(),
+  push: Joi.boolean(),
+  emailDigest: Joi.boolean()
+}).min(1);
+
+exports.notificationPreferencesSchema = Joi.object({
+  types: Joi.object().pattern(Joi.string(), notificationChannelsSchema),
+  mutedUntil: Joi.date().iso().greater('now').allow(null),
+  // Local hours in the user's timezone; a start after the end spans midnight
+  quietHours: Joi.object({
+    start: Joi.number().integer().min(0).max(23).required(),
+    end: Joi.number().integer().min(0).max(23).required().invalid(Joi.ref('start'))
+      .messages({ 'any.invalid': 'Quiet hours must start and end at different hours' })
+  }).allow(null)
+}).min(1);
+
+exports.roomNotificationSchema = Joi.object({
+  level: Joi.string().valid('default', 'in_app', 'off'),
+  mutedUntil: Joi.date().iso().greater('now').allow(null)
+}).min(1);
+
 module.exports.validate = validate;
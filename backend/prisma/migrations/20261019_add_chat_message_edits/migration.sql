@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "ChatMessage" ADD COLUMN "editedAt" TIMESTAMP(3),
+ADD COLUMN "deletedAt" TIMESTAMP(3),
+ADD COLUMN "deletedById" TEXT;
+
+-- CreateTable
+CREATE TABLE "ChatMessageEdit" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "editedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChatMessageEdit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ChatMessageEdit_messageId_idx" ON "ChatMessageEdit"("messageId");
+
+-- AddForeignKey
+ALTER TABLE "ChatMessageEdit" ADD CONSTRAINT "ChatMessageEdit_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "ChatMessage"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ChatMessage" ADD COLUMN "pinnedAt" TIMESTAMP(3),
+ADD COLUMN "pinnedById" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ChatMessage_roomId_isPinned_idx" ON "ChatMessage"("roomId", "isPinned");
@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "role" TEXT NOT NULL DEFAULT 'user';
+
+-- AlterTable
+ALTER TABLE "ChatMessage" ADD COLUMN "hiddenAt" TIMESTAMP(3),
+ADD COLUMN "hiddenById" TEXT;
+
+-- AlterTable
+ALTER TABLE "DirectMessage" ADD COLUMN "hiddenAt" TIMESTAMP(3),
+ADD COLUMN "hiddenById" TEXT;
+
+-- AlterTable
+ALTER TABLE "RoomTaskNode" ADD COLUMN "hiddenAt" TIMESTAMP(3),
+ADD COLUMN "hiddenById" TEXT;
+
+-- CreateTable
+CREATE TABLE "ContentReport" (
+    "id" TEXT NOT NULL,
+    "reporterId" TEXT NOT NULL,
+    "targetType" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "roomId" TEXT,
+    "reportedUserId" TEXT,
+    "reason" TEXT NOT NULL,
+    "details" TEXT,
+    "contentSnapshot" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "action" TEXT,
+    "resolutionNote" TEXT,
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContentReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" TEXT NOT NULL,
+    "roomId" TEXT,
+    "actorId" TEXT,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT,
+    "targetId" TEXT,
+    "targetUserId" TEXT,
+    "details" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ContentReport_roomId_status_idx" ON "ContentReport"("roomId", "status");
+CREATE INDEX "ContentReport_status_createdAt_idx" ON "ContentReport"("status", "createdAt");
+CREATE INDEX "ContentReport_targetType_targetId_idx" ON "ContentReport"("targetType", "targetId");
+CREATE INDEX "ContentReport_reporterId_idx" ON "ContentReport"("reporterId");
+CREATE INDEX "AuditLog_roomId_createdAt_idx" ON "AuditLog"("roomId", "createdAt");
+CREATE INDEX "AuditLog_actorId_idx" ON "AuditLog"("actorId");
+
+-- AddForeignKey
+ALTER TABLE "ContentReport" ADD CONSTRAINT "ContentReport_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "Room"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "AuditLog" ADD CONSTRAINT "AuditLog_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "Room"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "DirectMessage" ADD COLUMN "editedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "DirectMessageDeletion" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DirectMessageDeletion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DirectMessageDeletion_messageId_userId_key" ON "DirectMessageDeletion"("messageId", "userId");
+CREATE INDEX "DirectMessageDeletion_userId_idx" ON "DirectMessageDeletion"("userId");
+
+-- AddForeignKey
+ALTER TABLE "DirectMessageDeletion" ADD CONSTRAINT "DirectMessageDeletion_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "DirectMessage"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "DirectMessageDeletion" ADD CONSTRAINT "DirectMessageDeletion_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill from the comma-separated deletedFor column (unknown user ids are dropped)
+INSERT INTO "DirectMessageDeletion" ("id", "messageId", "userId", "createdAt")
+SELECT 'dmdel_' || md5(dm."id" || ':' || trim(entry.user_id)), dm."id", trim(entry.user_id), CURRENT_TIMESTAMP
+FROM "DirectMessage" dm
+CROSS JOIN LATERAL unnest(string_to_array(dm."deletedFor", ',')) AS entry(user_id)
+WHERE dm."deletedFor" IS NOT NULL
+  AND EXISTS (SELECT 1 FROM "User" u WHERE u."id" = trim(entry.user_id))
+ON CONFLICT DO NOTHING;
+
+-- deletedFor stays until backfill-direct-message-deletions.js has run everywhere
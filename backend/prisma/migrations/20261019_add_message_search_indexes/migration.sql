@@ -0,0 +1,9 @@
+-- Full-text search over message content (services/messageSearchService.js).
+-- Expression indexes are not expressible in schema.prisma; queries must use
+-- the same to_tsvector('english', "content") expression to hit them.
+
+-- CreateIndex
+CREATE INDEX "DirectMessage_content_fts_idx" ON "DirectMessage" USING GIN (to_tsvector('english', "content"));
+
+-- CreateIndex
+CREATE INDEX "ChatMessage_content_fts_idx" ON "ChatMessage" USING GIN (to_tsvector('english', "content"));
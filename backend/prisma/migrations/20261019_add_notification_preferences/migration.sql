@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "notificationsMutedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "RoomMember" ADD COLUMN "notificationLevel" TEXT NOT NULL DEFAULT 'default',
+ADD COLUMN "notificationsMutedUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "NotificationPreference" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "inApp" BOOLEAN NOT NULL DEFAULT true,
+    "push" BOOLEAN NOT NULL DEFAULT true,
+    "emailDigest" BOOLEAN NOT NULL DEFAULT false,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NotificationPreference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "NotificationDigestItem" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "roomId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NotificationDigestItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationPreference_userId_type_key" ON "NotificationPreference"("userId", "type");
+
+-- CreateIndex
+CREATE INDEX "NotificationDigestItem_userId_createdAt_idx" ON "NotificationDigestItem"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "NotificationPreference" ADD CONSTRAINT "NotificationPreference_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NotificationDigestItem" ADD CONSTRAINT "NotificationDigestItem_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
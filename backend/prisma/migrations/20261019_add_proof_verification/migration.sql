@@ -0,0 +1,16 @@
+-- Proof verification settings on Room
+ALTER TABLE "Room" ADD COLUMN "requireProof" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Room" ADD COLUMN "proofVouchThreshold" INTEGER NOT NULL DEFAULT 2;
+ALTER TABLE "Room" ADD COLUMN "proofGhostApproveHours" INTEGER NOT NULL DEFAULT 24;
+
+-- Provisional completions backed by a PROOF node
+ALTER TABLE "TaskCompletion" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'approved';
+ALTER TABLE "TaskCompletion" ADD COLUMN "proofNodeId" TEXT;
+ALTER TABLE "TaskCompletion" ADD COLUMN "ghostApproveAt" TIMESTAMP(3);
+ALTER TABLE "TaskCompletion" ADD COLUMN "verifiedAt" TIMESTAMP(3);
+ALTER TABLE "TaskCompletion" ADD COLUMN "streakSnapshot" TEXT;
+
+CREATE UNIQUE INDEX "TaskCompletion_proofNodeId_key" ON "TaskCompletion"("proofNodeId");
+CREATE INDEX "TaskCompletion_status_ghostApproveAt_idx" ON "TaskCompletion"("status", "ghostApproveAt");
+
+ALTER TABLE "TaskCompletion" ADD CONSTRAINT "TaskCompletion_proofNodeId_fkey" FOREIGN KEY ("proofNodeId") REFERENCES "RoomTaskNode"("id") ON DELETE SET NULL ON UPDATE CASCADE;
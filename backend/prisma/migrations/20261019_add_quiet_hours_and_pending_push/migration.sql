@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "quietHoursStart" INTEGER,
+ADD COLUMN "quietHoursEnd" INTEGER;
+
+-- CreateTable
+CREATE TABLE "PendingPush" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "collapseKey" TEXT,
+    "payload" TEXT NOT NULL,
+    "deliverAfter" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PendingPush_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PendingPush_deliverAfter_idx" ON "PendingPush"("deliverAfter");
+
+-- CreateIndex
+CREATE INDEX "PendingPush_userId_collapseKey_idx" ON "PendingPush"("userId", "collapseKey");
+
+-- AddForeignKey
+ALTER TABLE "PendingPush" ADD CONSTRAINT "PendingPush_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
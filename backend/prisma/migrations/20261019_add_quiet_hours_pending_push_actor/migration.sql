@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PendingPush" ADD COLUMN "actorId" TEXT;
@@ -0,0 +1,3 @@
+-- Add room timezone and day rollover hour (room day for streaks, MVP and orbit summary)
+ALTER TABLE "Room" ADD COLUMN "timezone" TEXT NOT NULL DEFAULT 'UTC';
+ALTER TABLE "Room" ADD COLUMN "dayRolloverHour" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "RoomSeason" (
+    "id" TEXT NOT NULL,
+    "roomId" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "startDate" TEXT NOT NULL,
+    "endDate" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'scheduled',
+    "championId" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RoomSeason_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RoomSeasonStanding" (
+    "id" TEXT NOT NULL,
+    "seasonId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "username" TEXT NOT NULL,
+    "rank" INTEGER NOT NULL,
+    "points" INTEGER NOT NULL DEFAULT 0,
+    "completions" INTEGER NOT NULL DEFAULT 0,
+    "mvpCount" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "RoomSeasonStanding_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RoomSeason_roomId_number_key" ON "RoomSeason"("roomId", "number");
+CREATE INDEX "RoomSeason_roomId_status_idx" ON "RoomSeason"("roomId", "status");
+CREATE INDEX "RoomSeason_status_endDate_idx" ON "RoomSeason"("status", "endDate");
+CREATE UNIQUE INDEX "RoomSeasonStanding_seasonId_userId_key" ON "RoomSeasonStanding"("seasonId", "userId");
+CREATE INDEX "RoomSeasonStanding_seasonId_idx" ON "RoomSeasonStanding"("seasonId");
+CREATE INDEX "RoomSeasonStanding_userId_idx" ON "RoomSeasonStanding"("userId");
+
+-- AddForeignKey
+ALTER TABLE "RoomSeason" ADD CONSTRAINT "RoomSeason_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "Room"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "RoomSeasonStanding" ADD CONSTRAINT "RoomSeasonStanding_seasonId_fkey" FOREIGN KEY ("seasonId") REFERENCES "RoomSeason"("id") ON DELETE CASCADE ON UPDATE CASCADE;
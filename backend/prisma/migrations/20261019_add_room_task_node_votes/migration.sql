@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "RoomTaskNode" ADD COLUMN "disputeCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "RoomTaskNodeVote" (
+    "id" TEXT NOT NULL,
+    "nodeId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RoomTaskNodeVote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RoomTaskNodeVote_nodeId_userId_key" ON "RoomTaskNodeVote"("nodeId", "userId");
+CREATE INDEX "RoomTaskNodeVote_nodeId_idx" ON "RoomTaskNodeVote"("nodeId");
+CREATE INDEX "RoomTaskNodeVote_userId_idx" ON "RoomTaskNodeVote"("userId");
+
+-- AddForeignKey
+ALTER TABLE "RoomTaskNodeVote" ADD CONSTRAINT "RoomTaskNodeVote_nodeId_fkey" FOREIGN KEY ("nodeId") REFERENCES "RoomTaskNode"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "RoomTaskNodeVote" ADD CONSTRAINT "RoomTaskNodeVote_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
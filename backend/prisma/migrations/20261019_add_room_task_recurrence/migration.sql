@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "RoomTask" ADD COLUMN "recurrenceRule" TEXT;
+ALTER TABLE "RoomTask" ADD COLUMN "recurrenceStart" TEXT;
+ALTER TABLE "RoomTask" ADD COLUMN "recurrenceEnd" TEXT;
+ALTER TABLE "RoomTask" ADD COLUMN "recurrenceExceptions" TEXT;
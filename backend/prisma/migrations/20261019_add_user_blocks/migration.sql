@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "UserBlock" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'block',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UserBlock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserBlock_userId_targetId_key" ON "UserBlock"("userId", "targetId");
+CREATE INDEX "UserBlock_targetId_idx" ON "UserBlock"("targetId");
+
+-- AddForeignKey
+ALTER TABLE "UserBlock" ADD CONSTRAINT "UserBlock_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "UserBlock" ADD CONSTRAINT "UserBlock_targetId_fkey" FOREIGN KEY ("targetId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "sessionsRevokedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "AuthSession" ADD COLUMN "legacyTokenHash" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuthSession_legacyTokenHash_key" ON "AuthSession"("legacyTokenHash");
@@ -4,12 +4,18 @@ const { protect, isRoomMember } = require('../middleware/auth');
 const { prisma } = require('../config/database');
 const logger = require('../utils/logger');
 const NotificationService = require('../services/notificationService');
+const PushNotificationService = require('../services/pushNotificationService');
+const { getBlockBetween } = require('../services/blockService');
+const { getDayWindow, getUserTimezone } = require('../services/dayBoundaryService');
 
 const DAILY_LIMIT = 1; // Maximum appreciations per 24 hours per room (1 per day, choose wisely!)
 
-// UTC day window (server time) so resets are consistent across devices.
-const getUtcDayStart = (d = new Date()) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
-const getUtcNextDayStart = (d = new Date()) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1));
+// Day window follows the acting user's timezone (User.timezone), so limits
+// reset at their local midnight on every device.
+const getWindow = (user) => {
+  const { start, end } = getDayWindow(getUserTimezone(user));
+  return { windowStart: start, windowEnd: end };
+};
 
 // Give appreciation to a user
 router.post('/:roomId', protect, isRoomMember, async (req, res) => {
@@ -42,10 +48,17 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
         message: 'User is not a member of this room'
       });
     }
+
+    // No appreciations between users who blocked each other
+    if (await getBlockBetween(req.user.id, toUserId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot appreciate this user'
+      });
+    }
     
-    // Check UTC-day limit (consistent across devices)
-    const windowStart = getUtcDayStart();
-    const windowEnd = getUtcNextDayStart();
+    // Check daily limit (user's local day)
+    const { windowStart, windowEnd } = getWindow(req.user);
 
     const usedInWindow = await prisma.appreciation.count({
       where: {
@@ -58,7 +71,7 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
     if (usedInWindow >= DAILY_LIMIT) {
       return res.status(400).json({
         success: false,
-        message: `You can only give ${DAILY_LIMIT} appreciations per day (UTC) per room`
+        message: `You can only give ${DAILY_LIMIT} appreciations per day per room`
       });
     }
     
@@ -76,7 +89,7 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
     if (existingAppreciation) {
       return res.status(400).json({
         success: false,
-        message: 'You have already given this appreciation today (UTC)'
+        message: 'You have already given this appreciation today'
       });
     }
     
@@ -130,6 +143,7 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
     try {
       await NotificationService.createNotification({
         recipientId: toUserId,
+        actorId: req.user.id,
         type: 'appreciation',
         title: '✨ New appreciation',
         message: `${req.user.username} sent you ${type === 'star' ? 'a ⭐ star' : type === 'fire' ? 'a 🔥 fire' : 'a 🛡️ shield'} in the room.`,
@@ -140,6 +154,15 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
       logger.warn('Failed to create appreciation notification:', notifyErr.message);
     }
 
+    PushNotificationService.notifyAppreciation(
+      toUserId,
+      req.user.username,
+      type,
+      req.room.name,
+      roomId,
+      req.user.id
+    ).catch(err => logger.warn('Push notification error for appreciation:', err.message));
+
     logger.info(`Appreciation (${type}) given in room ${roomId} from ${req.user.id} to ${toUserId}`);
     
     res.json({
@@ -160,13 +183,12 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
   }
 });
 
-// Get appreciation stats for a user in a room (current UTC day)
+// Get appreciation stats for a user in a room (requesting user's current day)
 router.get('/:roomId/user/:userId', protect, isRoomMember, async (req, res) => {
   try {
     const { roomId, userId } = req.params;
     
-    const windowStart = getUtcDayStart();
-    const windowEnd = getUtcNextDayStart();
+    const { windowStart, windowEnd } = getWindow(req.user);
     const stats = await prisma.appreciation.groupBy({
       by: ['type'],
       where: {
@@ -210,8 +232,7 @@ router.get('/:roomId/user/:userId', protect, isRoomMember, async (req, res) => {
 router.get('/:roomId/sent', protect, isRoomMember, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const windowStart = getUtcDayStart();
-    const windowEnd = getUtcNextDayStart();
+    const { windowStart, windowEnd } = getWindow(req.user);
 
     const sent = await prisma.appreciation.findMany({
       where: {
@@ -247,8 +268,7 @@ router.get('/:roomId/remaining', protect, isRoomMember, async (req, res) => {
   try {
     const { roomId } = req.params;
     
-    const windowStart = getUtcDayStart();
-    const windowEnd = getUtcNextDayStart();
+    const { windowStart, windowEnd } = getWindow(req.user);
 
     const usedInWindow = await prisma.appreciation.count({
       where: {
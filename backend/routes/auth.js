@@ -4,8 +4,31 @@ const passport = require('passport');
 const bcrypt = require('bcryptjs');
 const { prisma } = require('../config/database');
 const { protect } = require('../middleware/auth');
-const { validate, registerSchema, loginSchema, updateProfileSchema } = require('../middleware/validation');
-const { sendTokenResponse, verifyRefreshToken, generateToken } = require('../utils/jwt');
+const {
+  validate,
+  registerSchema,
+  loginSchema,
+  updateProfileSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema
+} = require('../middleware/validation');
+const { sendTokenResponse } = require('../utils/jwt');
+const {
+  rotateSession,
+  getRefreshTokenSessionId,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeLegacyTokens
+} = require('../services/sessionService');
+const {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail
+} = require('../services/authTokenService');
+const { handOffOwnedRooms } = require('../services/roomRoleService');
 const logger = require('../utils/logger');
 
 // Helper to convert user to public profile
@@ -17,6 +40,7 @@ const toPublicProfile = (user) => ({
   bio: user.bio,
   timezone: user.timezone,
   onboardingCompleted: user.onboardingCompleted,
+  emailVerified: user.emailVerified,
   streak: user.streak,
   longestStreak: user.longestStreak,
   totalTasksCompleted: user.totalTasksCompleted,
@@ -63,7 +87,11 @@ router.post('/register', validate(registerSchema), async (req, res, next) => {
     });
 
     logger.info(`New user registered: ${email} (timezone: ${timezone || 'UTC'})`);
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
+
+    sendEmailVerification(user).catch(err =>
+      logger.error(`Failed to send verification email to ${user.email}: ${err.message}`)
+    );
   } catch (error) {
     next(error);
   }
@@ -114,7 +142,7 @@ router.post('/login', validate(loginSchema), async (req, res, next) => {
     }
 
     logger.info(`User logged in: ${email}`);
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     next(error);
   }
@@ -132,14 +160,18 @@ router.get('/google',
 // @access  Public
 router.get('/google/callback',
   passport.authenticate('google', { failureRedirect: '/login' }),
-  (req, res) => {
-    // Successful authentication
-    sendTokenResponse(req.user, 200, res);
+  async (req, res, next) => {
+    try {
+      // Successful authentication
+      await sendTokenResponse(req.user, 200, req, res);
+    } catch (error) {
+      next(error);
+    }
   }
 );
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh access token
+// @desc    Rotate refresh token and issue a new token pair
 // @access  Public
 router.post('/refresh', async (req, res, next) => {
   try {
@@ -152,29 +184,82 @@ router.post('/refresh', async (req, res, next) => {
       });
     }
 
-    const decoded = verifyRefreshToken(refreshToken);
-    if (!decoded) {
-      return res.status(401).json({
+    const tokens = await rotateSession(refreshToken, req);
+    res.json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    // 409 TOKEN_ROTATED: another tab/request already refreshed; clients re-read their stored tokens
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: error.message,
+        ...(error.code && { code: error.code })
       });
     }
+    next(error);
+  }
+});
 
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id }
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link (same response whether or not the account exists)
+// @access  Public
+router.post('/forgot-password', validate(forgotPasswordSchema), async (req, res, next) => {
+  try {
+    await requestPasswordReset(req.body.email);
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link is on its way.'
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found or inactive'
-      });
-    }
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token (signs out all sessions)
+// @access  Public
+router.post('/reset-password', validate(resetPasswordSchema), async (req, res, next) => {
+  try {
+    const user = await resetPassword(req.body.token, req.body.password);
+
+    logger.info(`Password reset completed: ${user.email}`);
+    res.json({
+      success: true,
+      message: 'Password updated. Please sign in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const newToken = generateToken(user.id);
+// @route   POST /api/auth/verify-email
+// @desc    Verify the account's email with an emailed token
+// @access  Public
+router.post('/verify-email', validate(verifyEmailSchema), async (req, res, next) => {
+  try {
+    const user = await verifyEmail(req.body.token);
+    res.json({
+      success: true,
+      message: 'Email verified',
+      user: toPublicProfile(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/verify-email/resend', protect, async (req, res, next) => {
+  try {
+    await sendEmailVerification(req.user);
     res.json({
       success: true,
-      token: newToken
+      message: `Verification email sent to ${req.user.email}`
     });
   } catch (error) {
     next(error);
@@ -225,14 +310,85 @@ router.put('/profile', protect, validate(updateProfileSchema), async (req, res,
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user (signs out the current session)
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  logger.info(`User logged out: ${req.user.email}`);
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    // Access tokens from before sessions existed have no sid; fall back to the refresh token
+    const sessionId = req.sessionId || getRefreshTokenSessionId(req.body?.refreshToken);
+    if (sessionId) {
+      await revokeSession(req.user.id, sessionId, 'logout');
+    }
+    // An access token without a sid can only be ended along with every other one
+    if (!req.sessionId) {
+      await revokeLegacyTokens(req.user.id);
+    }
+
+    logger.info(`User logged out: ${req.user.email}`);
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (signed-in devices)
+// @access  Private
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id, req.sessionId);
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out all other sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res, next) => {
+  try {
+    const revoked = await revokeOtherSessions(req.user.id, req.sessionId);
+
+    logger.info(`User signed out ${revoked} other session(s): ${req.user.email}`);
+    res.json({
+      success: true,
+      message: revoked ? `Signed out ${revoked} other session${revoked === 1 ? '' : 's'}` : 'No other sessions',
+      revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out a specific session
+// @access  Private
+router.delete('/sessions/:sessionId', protect, async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+      isCurrent: req.params.sessionId === req.sessionId
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // @route   DELETE /api/auth/account
@@ -242,6 +398,11 @@ router.delete('/account', protect, async (req, res, next) => {
   try {
     const userId = req.user.id;
 
+    // Hand owned rooms to a successor first; rooms left with nobody else
+    // are removed by the cascade below
+    const handedOff = await handOffOwnedRooms(req.user);
+    if (handedOff > 0) logger.info(`Handed off ${handedOff} room(s) owned by ${userId}`);
+
     // Delete user (cascades will handle related data due to onDelete: Cascade in schema)
     await prisma.user.delete({
       where: { id: userId }
@@ -1,10 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { validate, reactionSchema, editMessageSchema } = require('../middleware/validation');
 const { prisma } = require('../config/database');
 const NotificationService = require('../services/notificationService');
 const PushNotificationService = require('../services/pushNotificationService');
 const logger = require('../utils/logger');
+const { MESSAGE_KIND, attachReactions, addReaction, removeReaction } = require('../services/reactionService');
+const { getBlockBetween } = require('../services/blockService');
+const { maskHidden } = require('../utils/moderation');
+const { DIRECTIONS, cursorWhere, buildPageQuery, toPage } = require('../utils/messageCursor');
+const {
+  notDeletedFor,
+  deleteForMe,
+  clearConversation,
+  unsendMessage,
+  editDirectMessage
+} = require('../services/directMessageService');
 
 // @route   GET /api/direct-messages/conversations
 // @desc    Get user's conversations (list of friends with last message)
@@ -39,7 +51,7 @@ router.get('/conversations', protect, async (req, res, next) => {
     const allCounterpartIds = Array.from(new Set([...acceptedIds, ...pendingIds]));
 
     // Fetch recent messages across all counterpart users (including pending), to compute last message + unread.
-    // Exclude messages soft-deleted by current user via deletedFor field.
+    // Exclude messages the current user deleted for themselves.
     const allMessages = allCounterpartIds.length === 0 ? [] : await prisma.directMessage.findMany({
       where: {
         AND: [
@@ -49,12 +61,7 @@ router.get('/conversations', protect, async (req, res, next) => {
               { toUserId: userId, fromUserId: { in: allCounterpartIds } }
             ]
           },
-          {
-            OR: [
-              { deletedFor: null },
-              { NOT: { deletedFor: { contains: userId } } }
-            ]
-          }
+          notDeletedFor(userId)
         ]
       },
       orderBy: { createdAt: 'desc' },
@@ -65,7 +72,7 @@ router.get('/conversations', protect, async (req, res, next) => {
     const unreadCountMap = new Map();
     for (const msg of allMessages) {
       const otherId = msg.fromUserId === userId ? msg.toUserId : msg.fromUserId;
-      if (!lastMessageMap.has(otherId)) lastMessageMap.set(otherId, msg);
+      if (!lastMessageMap.has(otherId)) lastMessageMap.set(otherId, maskHidden(msg));
       if (msg.fromUserId === otherId && msg.toUserId === userId && !msg.read) {
         unreadCountMap.set(otherId, (unreadCountMap.get(otherId) || 0) + 1);
       }
@@ -138,10 +145,7 @@ router.get('/unread-count', protect, async (req, res, next) => {
       where: {
         toUserId: userId,
         read: false,
-        OR: [
-          { deletedFor: null },
-          { NOT: { deletedFor: { contains: userId } } }
-        ]
+        ...notDeletedFor(userId)
       }
     });
 
@@ -152,13 +156,16 @@ router.get('/unread-count', protect, async (req, res, next) => {
 });
 
 // @route   GET /api/direct-messages/:friendId
-// @desc    Get messages with a specific friend (supports Delta Sync with last_id)
+// @desc    Get messages with a specific friend, oldest first. Starts at the beginning of the
+//          conversation; page with the `before` / `after` cursors from the response
+//          (see utils/messageCursor.js). `last_id` (Delta Sync) still works like `after`.
 // @access  Private
 router.get('/:friendId', protect, async (req, res, next) => {
   try {
     const userId = req.user.id;
     const friendId = req.params.friendId;
-    const { last_id, limit = 100 } = req.query;
+    const { last_id } = req.query;
+    const page = buildPageQuery(req.query, { defaultLimit: 100, defaultDirection: DIRECTIONS.AFTER });
 
     // Verify relationship exists (accepted OR pending OR removed)
     const friendship = await prisma.friend.findFirst({
@@ -175,7 +182,7 @@ router.get('/:friendId', protect, async (req, res, next) => {
       return res.status(403).json({ success: false, message: 'Not friends with this user' });
     }
 
-    // Build where clause - Delta Sync support + deletedFor filtering
+    // Build where clause - cursor / Delta Sync + delete-for-me filtering
     const whereClause = {
       AND: [
         {
@@ -184,40 +191,36 @@ router.get('/:friendId', protect, async (req, res, next) => {
             { fromUserId: friendId, toUserId: userId }
           ]
         },
-        {
-          OR: [
-            { deletedFor: null },
-            { NOT: { deletedFor: { contains: userId } } }
-          ]
-        }
+        notDeletedFor(userId)
       ]
     };
+    if (page.where) whereClause.AND.push(page.where);
 
-    // DELTA SYNC: If last_id provided, only fetch messages after that
+    // DELTA SYNC: If last_id provided (and no cursor), only fetch messages after that
     let isDeltaSync = false;
-    if (last_id) {
+    if (last_id && !page.where) {
       const lastMessage = await prisma.directMessage.findUnique({
         where: { id: String(last_id) },
-        select: { createdAt: true }
+        select: { id: true, createdAt: true }
       });
       
       if (lastMessage) {
-        whereClause.AND.push({ createdAt: { gt: lastMessage.createdAt } });
+        whereClause.AND.push(cursorWhere(lastMessage, DIRECTIONS.AFTER));
         isDeltaSync = true;
         console.log(`[Delta Sync] DM ${friendId}: Fetching messages after ${last_id}`);
       }
     }
 
-    // Get messages using the properly built whereClause (includes delta sync + deletedFor filter)
-    const messages = await prisma.directMessage.findMany({
+    const rows = await prisma.directMessage.findMany({
       where: whereClause,
       include: {
         fromUser: { select: { id: true, username: true } },
         toUser: { select: { id: true, username: true } }
       },
-      orderBy: { createdAt: 'asc' },
-      take: parseInt(limit)
+      orderBy: page.orderBy,
+      take: page.take
     });
+    const { items: messages, hasMore, cursors } = toPage(rows, page);
 
     // Mark messages from friend as read (idempotent) only if relationship is accepted.
     // While pending/removed, we avoid toggling read state to reduce UI thrash.
@@ -241,19 +244,23 @@ router.get('/:friendId', protect, async (req, res, next) => {
     }
 
     // Format for frontend
-    const formattedMessages = messages.map(m => ({
+    const withReactions = await attachReactions(MESSAGE_KIND.DM, messages, userId);
+    const formattedMessages = withReactions.map(maskHidden).map(m => ({
       ...m,
       _id: m.id,
       message: m.content,
       sender: { ...m.fromUser, _id: m.fromUser.id },
       recipient: { ...m.toUser, _id: m.toUser.id },
       isRead: m.read,
+      isEdited: !!m.editedAt,
       replyTo: m.replyToText ? { _id: m.replyToId, message: m.replyToText } : null
     }));
 
     res.json({ 
       success: true, 
       messages: formattedMessages,
+      hasMore,
+      cursors,
       deltaSync: isDeltaSync,
       syncFrom: last_id || null
     });
@@ -294,6 +301,88 @@ router.put('/read/:friendId', protect, async (req, res, next) => {
   }
 });
 
+// Shared handler for adding/removing the current user's reaction on a direct message
+const setMessageReaction = (isAdding) => async (req, res, next) => {
+  try {
+    const params = {
+      kind: MESSAGE_KIND.DM,
+      messageId: req.params.messageId,
+      userId: req.user.id,
+      username: req.user.username,
+      emoji: isAdding ? req.body.emoji : req.params.emoji
+    };
+    const result = isAdding ? await addReaction(params) : await removeReaction(params);
+
+    res.status(isAdding && result.added ? 201 : 200).json({
+      success: true,
+      messageId: result.messageId,
+      reactions: result.reactions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   POST /api/direct-messages/messages/:messageId/reactions
+// @desc    React to a direct message with an emoji
+// @access  Private (sender or recipient)
+router.post('/messages/:messageId/reactions', protect, validate(reactionSchema), setMessageReaction(true));
+
+// @route   DELETE /api/direct-messages/messages/:messageId/reactions/:emoji
+// @desc    Remove your emoji reaction from a direct message (emoji URL-encoded)
+// @access  Private (sender or recipient)
+router.delete('/messages/:messageId/reactions/:emoji', protect, setMessageReaction(false));
+
+// @route   PUT /api/direct-messages/messages/:messageId
+// @desc    Edit your own direct message (within the edit window)
+// @access  Private (sender)
+router.put('/messages/:messageId', protect, validate(editMessageSchema), async (req, res, next) => {
+  try {
+    const updated = await editDirectMessage(req.params.messageId, req.user.id, req.body.message);
+    const [withReactions] = await attachReactions(MESSAGE_KIND.DM, [updated], req.user.id);
+
+    res.json({
+      success: true,
+      message: {
+        ...withReactions,
+        _id: updated.id,
+        message: updated.content,
+        sender: { ...updated.fromUser, _id: updated.fromUser.id },
+        recipient: { ...updated.toUser, _id: updated.toUser.id },
+        isRead: updated.read,
+        isEdited: !!updated.editedAt,
+        replyTo: updated.replyToText ? { _id: updated.replyToId, message: updated.replyToText } : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/direct-messages/messages/:messageId
+// @desc    Delete a direct message for yourself (the other person keeps it)
+// @access  Private (sender or recipient)
+router.delete('/messages/:messageId', protect, async (req, res, next) => {
+  try {
+    const result = await deleteForMe(req.params.messageId, req.user.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/direct-messages/messages/:messageId/everyone
+// @desc    Unsend your own direct message for both people (within the unsend window)
+// @access  Private (sender)
+router.delete('/messages/:messageId/everyone', protect, async (req, res, next) => {
+  try {
+    const result = await unsendMessage(req.params.messageId, req.user.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/direct-messages/:friendId
 // @desc    Clear direct message history with a specific friend (soft delete for current user only)
 // @access  Private
@@ -317,52 +406,12 @@ router.delete('/:friendId', protect, async (req, res, next) => {
       return res.status(403).json({ success: false, message: 'Not friends with this user' });
     }
 
-    // Soft delete: append current userId into deletedFor string (comma-separated).
-    // This way the other user still sees their messages. If both users deleted, we hard delete.
-    const messages = await prisma.directMessage.findMany({
-      where: {
-        OR: [
-          { fromUserId: userId, toUserId: friendId },
-          { fromUserId: friendId, toUserId: userId }
-        ]
-      },
-      select: { id: true, deletedFor: true }
-    });
-
-    // Update each message to add current user to deletedFor
-    // If both users have deleted, permanently remove the message from DB
-    let updatedCount = 0;
-    let permanentlyDeletedCount = 0;
-    
-    const hasId = (csv, id) => {
-      if (!csv) return false;
-      return csv.split(',').map(s => s.trim()).filter(Boolean).includes(id);
-    };
-
-    for (const msg of messages) {
-      const deletedForStr = msg.deletedFor || '';
-      const alreadyDeletedByMe = hasId(deletedForStr, userId);
-      if (alreadyDeletedByMe) continue;
-
-      const alreadyDeletedByOther = hasId(deletedForStr, friendId);
-      if (alreadyDeletedByOther) {
-        await prisma.directMessage.delete({ where: { id: msg.id } });
-        permanentlyDeletedCount++;
-        continue;
-      }
+    // Delete for me: the other user keeps their copy; messages both have deleted are removed
+    const deleted = await clearConversation(userId, friendId);
 
-      const newDeletedFor = deletedForStr ? `${deletedForStr},${userId}` : userId;
-      await prisma.directMessage.update({
-        where: { id: msg.id },
-        data: { deletedFor: newDeletedFor }
-      });
-      updatedCount++;
-    }
-
-    logger.info(`User ${userId} cleared chat with ${friendId}: ${updatedCount} soft-deleted, ${permanentlyDeletedCount} permanently deleted`);
     res.json({ 
       success: true, 
-      deleted: updatedCount + permanentlyDeletedCount, 
+      deleted, 
       message: 'Chat history cleared for you' 
     });
   } catch (error) {
@@ -383,6 +432,17 @@ router.post('/:friendId', protect, async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Message cannot be empty' });
     }
 
+    // A block (either way) stops messages, including the message-request path below
+    // that would otherwise turn a rejected or removed friendship back into a request
+    const block = await getBlockBetween(userId, friendId);
+    if (block) {
+      return res.status(403).json({
+        success: false,
+        code: 'BLOCKED',
+        message: block.userId === userId ? 'You have blocked this user' : 'You cannot message this user'
+      });
+    }
+
     // Find relationship row if it exists (either direction)
     let friendship = await prisma.friend.findFirst({
       where: {
@@ -519,6 +579,7 @@ router.post('/:friendId', protect, async (req, res, next) => {
     try {
       await NotificationService.createNotification({
         recipientId: friendId,
+        actorId: userId,
         type: 'direct_message',
         title: `Message from ${req.user.username}`,
         message: message.trim().length > 50 ? message.trim().substring(0, 50) + '...' : message.trim(),
@@ -4,6 +4,8 @@ const { protect } = require('../middleware/auth');
 const { prisma } = require('../config/database');
 const NotificationService = require('../services/notificationService');
 const PushNotificationService = require('../services/pushNotificationService');
+const { BLOCK_TYPES, assertNotBlocked, getBlockedUserIds, listBlocks, setBlock, removeBlock } = require('../services/blockService');
+const { clearConversation } = require('../services/directMessageService');
 const logger = require('../utils/logger');
 
 // @route   POST /api/friends/request
@@ -26,6 +28,9 @@ router.post('/request', protect, async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    // Blocked users (either way) cannot send requests, so a rejected row is not revived
+    await assertNotBlocked(requesterId, recipientId);
+
     // Check if friendship already exists (in either direction)
     const existing = await prisma.friend.findFirst({
       where: {
@@ -92,6 +97,7 @@ router.post('/request', protect, async (req, res, next) => {
     // Send in-app notification
     await NotificationService.createNotification({
       recipientId,
+      actorId: requesterId,
       type: 'friend_request',
       title: 'New Friend Request',
       message: `${req.user.username} sent you a friend request`,
@@ -102,7 +108,8 @@ router.post('/request', protect, async (req, res, next) => {
     // Send push notification
     PushNotificationService.notifyFriendRequest(
       recipientId,
-      req.user.username
+      req.user.username,
+      requesterId
     ).catch(err => logger.error('Push notification error for friend request:', err));
 
     // Emit socket event for real-time notification
@@ -171,6 +178,7 @@ router.put('/accept/:requestId', protect, async (req, res, next) => {
     // Notify requester with in-app notification
     await NotificationService.createNotification({
       recipientId: friendRequest.fromUserId,
+      actorId: userId,
       type: 'friend_accepted',
       title: 'Friend Request Accepted',
       message: `${req.user.username} accepted your friend request`
@@ -179,7 +187,8 @@ router.put('/accept/:requestId', protect, async (req, res, next) => {
     // Send push notification
     PushNotificationService.notifyFriendAccepted(
       friendRequest.fromUserId,
-      req.user.username
+      req.user.username,
+      userId
     ).catch(err => logger.error('Push notification error for friend acceptance:', err));
 
     // Emit socket event (to BOTH users so UI updates instantly without navigation)
@@ -281,36 +290,8 @@ router.delete('/:friendId', protect, async (req, res, next) => {
           message: null, status: 'removed' }
     });
 
-    // Soft delete messages for the current user ONLY
-    const messages = await prisma.directMessage.findMany({
-      where: {
-        OR: [
-          { fromUserId: userId, toUserId: friendId },
-          { fromUserId: friendId, toUserId: userId }
-        ]
-      },
-      select: { id: true, deletedFor: true }
-    });
-
-    for (const msg of messages) {
-      const deletedForStr = msg.deletedFor || '';
-      if (!deletedForStr.includes(userId)) {
-        const otherUserId = friendId;
-        const bothDeleted = deletedForStr.includes(otherUserId);
-        
-        if (bothDeleted) {
-          // Both users deleted, permanently remove
-          await prisma.directMessage.delete({ where: { id: msg.id } });
-        } else {
-          // Only this user deleted, append to string
-          const newDeletedFor = deletedForStr ? `${deletedForStr},${userId}` : userId;
-          await prisma.directMessage.update({
-            where: { id: msg.id },
-            data: { deletedFor: newDeletedFor }
-          });
-        }
-      }
-    }
+    // Delete the conversation for the current user ONLY
+    await clearConversation(userId, friendId);
 
     // Emit socket events so both users update UI
     const io = req.app.get('io');
@@ -504,10 +485,13 @@ router.get('/search', protect, async (req, res, next) => {
       return res.json({ success: true, users: [] });
     }
 
+    // Blocked users (either way) never show up
+    const hiddenIds = await getBlockedUserIds(req.user.id);
+
     // Case-insensitive search using lowercase comparison
     const users = await prisma.user.findMany({
       where: {
-        id: { not: req.user.id },
+        id: { notIn: [req.user.id, ...hiddenIds] },
         username: { contains: query }
       },
       select: {
@@ -538,4 +522,64 @@ router.get('/search', protect, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/friends/blocks
+// @desc    Users the current user has blocked or muted
+// @access  Private
+router.get('/blocks', protect, async (req, res, next) => {
+  try {
+    const blocks = await listBlocks(req.user.id);
+    res.json({ success: true, blocks });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/friends/block/:userId
+// @desc    Block a user: ends the friendship, stops requests, DMs, nudges and appreciations both ways
+// @access  Private
+router.post('/block/:userId', protect, async (req, res, next) => {
+  try {
+    const block = await setBlock(req.user, req.params.userId, BLOCK_TYPES.BLOCK);
+    res.json({ success: true, block, message: `${block.user?.username || 'User'} blocked` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/friends/block/:userId
+// @desc    Unblock a user (the friendship is not restored)
+// @access  Private
+router.delete('/block/:userId', protect, async (req, res, next) => {
+  try {
+    await removeBlock(req.user, req.params.userId, BLOCK_TYPES.BLOCK);
+    res.json({ success: true, message: 'User unblocked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/friends/mute/:userId
+// @desc    Mute a user: their notifications are suppressed, nothing else changes
+// @access  Private
+router.post('/mute/:userId', protect, async (req, res, next) => {
+  try {
+    const block = await setBlock(req.user, req.params.userId, BLOCK_TYPES.MUTE);
+    res.json({ success: true, block, message: `${block.user?.username || 'User'} muted` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/friends/mute/:userId
+// @desc    Unmute a user
+// @access  Private
+router.delete('/mute/:userId', protect, async (req, res, next) => {
+  try {
+    await removeBlock(req.user, req.params.userId, BLOCK_TYPES.MUTE);
+    res.json({ success: true, message: 'User unmuted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
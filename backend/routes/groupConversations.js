@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  validate,
+  createGroupSchema,
+  renameGroupSchema,
+  addGroupMembersSchema,
+  groupMessageSchema,
+  groupReadSchema
+} = require('../middleware/validation');
+const {
+  listGroups,
+  createGroup,
+  getGroup,
+  renameGroup,
+  addMembers,
+  removeMember,
+  listMessages,
+  sendMessage,
+  markRead
+} = require('../services/groupConversationService');
+
+// @route   GET /api/groups
+// @desc    Get your group conversations with last message and unread count
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const groups = await listGroups(req.user.id);
+    const totalUnread = groups.reduce((sum, g) => sum + g.unreadCount, 0);
+    res.json({ success: true, groups, totalUnread });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/groups
+// @desc    Create a group with friends (3-20 members including you)
+// @access  Private
+router.post('/', protect, validate(createGroupSchema), async (req, res, next) => {
+  try {
+    const group = await createGroup(req.user, req.body);
+    res.status(201).json({ success: true, group });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/groups/:groupId
+// @desc    Get a group with its members and their read receipts
+// @access  Private (members)
+router.get('/:groupId', protect, async (req, res, next) => {
+  try {
+    const group = await getGroup(req.params.groupId, req.user.id);
+    res.json({ success: true, group });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/groups/:groupId
+// @desc    Rename a group (an empty name clears it)
+// @access  Private (members)
+router.put('/:groupId', protect, validate(renameGroupSchema), async (req, res, next) => {
+  try {
+    const group = await renameGroup(req.params.groupId, req.user, req.body.name);
+    res.json({ success: true, group });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/groups/:groupId/members
+// @desc    Add friends to a group
+// @access  Private (members)
+router.post('/:groupId/members', protect, validate(addGroupMembersSchema), async (req, res, next) => {
+  try {
+    const group = await addMembers(req.params.groupId, req.user, req.body.userIds);
+    res.json({ success: true, group });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/groups/:groupId/members/:userId
+// @desc    Remove a member, or leave when userId is yourself
+// @access  Private (owner; any member for themselves)
+router.delete('/:groupId/members/:userId', protect, async (req, res, next) => {
+  try {
+    const group = await removeMember(req.params.groupId, req.user, req.params.userId);
+    res.json({ success: true, group });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/groups/:groupId/messages
+// @desc    Get messages, oldest first; page with the `before` / `after` cursors
+// @access  Private (members)
+router.get('/:groupId/messages', protect, async (req, res, next) => {
+  try {
+    const { messages, hasMore, cursors, readReceipts } = await listMessages(req.params.groupId, req.user.id, req.query);
+    res.json({ success: true, count: messages.length, messages, hasMore, cursors, readReceipts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/groups/:groupId/messages
+// @desc    Send a message to a group
+// @access  Private (members)
+router.post('/:groupId/messages', protect, validate(groupMessageSchema), async (req, res, next) => {
+  try {
+    const message = await sendMessage(req.params.groupId, req.user, req.body);
+    res.status(201).json({ success: true, message });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/groups/:groupId/read
+// @desc    Mark messages read up to messageId (default: the newest)
+// @access  Private (members)
+router.put('/:groupId/read', protect, validate(groupReadSchema), async (req, res, next) => {
+  try {
+    const receipt = await markRead(req.params.groupId, req.user.id, req.body.messageId);
+    res.json({ success: true, ...receipt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
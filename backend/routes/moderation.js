@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isAdmin, isRoomMember, requireRoomPermission } = require('../middleware/auth');
+const { validate, reportSchema, moderationActionSchema } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/roomPermissions');
+const { REPORT_TARGETS } = require('../utils/moderation');
+const { createReport, listReports, actOnReport } = require('../services/moderationService');
+
+const reportRoute = (targetType, param) => async (req, res, next) => {
+  try {
+    const report = await createReport(req.user, targetType, req.params[param], req.body);
+    res.status(201).json({ success: true, message: 'Report submitted. Thanks for letting us know.', report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   POST /api/moderation/reports/chat/:messageId
+// @desc    Report a room chat message
+// @access  Private (room members)
+router.post('/reports/chat/:messageId', protect, validate(reportSchema), reportRoute(REPORT_TARGETS.CHAT_MESSAGE, 'messageId'));
+
+// @route   POST /api/moderation/reports/dm/:messageId
+// @desc    Report a direct message
+// @access  Private (conversation participants)
+router.post('/reports/dm/:messageId', protect, validate(reportSchema), reportRoute(REPORT_TARGETS.DIRECT_MESSAGE, 'messageId'));
+
+// @route   POST /api/moderation/reports/proof/:nodeId
+// @desc    Report a proof or thread message
+// @access  Private (room members)
+router.post('/reports/proof/:nodeId', protect, validate(reportSchema), reportRoute(REPORT_TARGETS.PROOF_NODE, 'nodeId'));
+
+// @route   POST /api/moderation/reports/user/:userId
+// @desc    Report a user (pass roomId to send it to that room's queue)
+// @access  Private
+router.post('/reports/user/:userId', protect, validate(reportSchema), reportRoute(REPORT_TARGETS.USER, 'userId'));
+
+// @route   GET /api/moderation/queue
+// @desc    Platform queue: reports about DMs and users outside rooms (?status&limit&before=<nextCursor>)
+// @access  Private (platform admins)
+router.get('/queue', protect, isAdmin, async (req, res, next) => {
+  try {
+    const { status, limit, before } = req.query;
+    const queue = await listReports({ roomId: null, status, limit, before });
+    res.json({ success: true, ...queue });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/moderation/rooms/:roomId/queue
+// @desc    A room's report queue (?status&limit&before=<nextCursor>)
+// @access  Private (owner/admins)
+router.get('/rooms/:roomId/queue', protect, isRoomMember, requireRoomPermission(PERMISSIONS.REVIEW_REPORTS), async (req, res, next) => {
+  try {
+    const { status, limit, before } = req.query;
+    const queue = await listReports({ roomId: req.room.id, status, limit, before });
+    res.json({ success: true, ...queue });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/moderation/reports/:reportId/action
+// @desc    Hide, delete, warn, kick or dismiss
+// @access  Private (room reviewers for room reports, platform admins for all)
+router.post('/reports/:reportId/action', protect, validate(moderationActionSchema), async (req, res, next) => {
+  try {
+    const report = await actOnReport(req.params.reportId, req.user, req.body);
+    res.json({ success: true, report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
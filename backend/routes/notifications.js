@@ -3,6 +3,8 @@ const router = express.Router();
 const { prisma } = require('../config/database');
 const { protect } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { validate, notificationPreferencesSchema, roomNotificationSchema } = require('../middleware/validation');
+const { getPreferences, updatePreferences, updateRoomSetting } = require('../services/notificationPreferenceService');
 
 // @route   GET /api/notifications/unread-count
 // @desc    Get unread notifications count
@@ -18,6 +20,42 @@ router.get('/unread-count', protect, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/notifications/preferences
+// @desc    Get notification channels per type, global mute and per-room settings
+// @access  Private
+router.get('/preferences', protect, async (req, res, next) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+    res.json({ success: true, preferences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update channels per type and/or the global mute
+// @access  Private
+router.put('/preferences', protect, validate(notificationPreferencesSchema), async (req, res, next) => {
+  try {
+    const preferences = await updatePreferences(req.user.id, req.body);
+    res.json({ success: true, preferences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/preferences/rooms/:roomId
+// @desc    Set the notification level and/or mute for one of your rooms
+// @access  Private
+router.put('/preferences/rooms/:roomId', protect, validate(roomNotificationSchema), async (req, res, next) => {
+  try {
+    const room = await updateRoomSetting(req.user.id, req.params.roomId, req.body);
+    res.json({ success: true, room });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/notifications
 // @desc    Get user notifications
 // @access  Private
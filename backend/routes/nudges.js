@@ -1,26 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { protect, isRoomMember } = require('../middleware/auth');
+const { protect, isRoomMember, requireRoomPermission } = require('../middleware/auth');
 const { prisma } = require('../config/database');
 const logger = require('../utils/logger');
+const { PERMISSIONS, hasRoomPermission } = require('../utils/roomPermissions');
 const NotificationService = require('../services/notificationService');
 const PushNotificationService = require('../services/pushNotificationService');
-
-// Helper to get today's date string (UTC)
-const getTodayString = () => new Date().toISOString().split('T')[0];
+const { getDayWindow, getUserTimezone } = require('../services/dayBoundaryService');
 
 // Send nudge to room
-router.post('/:roomId', protect, isRoomMember, async (req, res) => {
+router.post('/:roomId', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), async (req, res) => {
   try {
     const { roomId } = req.params;
-    const todayStr = getTodayString();
+    // Nudge day follows the sender's local timezone
+    const { date: todayStr, start: today, end: tomorrow } = getDayWindow(getUserTimezone(req.user));
     
     // Check if user has completed any tasks today
     const completionsToday = await prisma.taskCompletion.count({
       where: {
         userId: req.user.id,
         roomId,
-        completionDate: todayStr
+        completionDate: todayStr,
+        status: { not: 'rejected' } // Rejected proofs don't count
       }
     });
     
@@ -31,10 +32,7 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
       });
     }
     
-    // Check if user has already sent a nudge today (UTC)
-    const today = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate()));
-    const tomorrow = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate() + 1));
-    
+    // Check if user has already sent a nudge today
     const existingNudge = await prisma.nudge.findFirst({
       where: {
         roomId,
@@ -86,17 +84,20 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
     const io = req.app.get('io');
     io.to(roomId).emit('chat:message', { message: formattedMessage });
 
-    // Create notifications for all room members (except sender)
+    // Create notifications for all participating room members (except sender).
+    // Members who blocked or muted the sender (or were blocked by them) are skipped
+    // by the notification services via actorId.
     try {
       const roomMembers = req.room.members || [];
       const recipientIds = roomMembers
         .map(m => m.userId)
-        .filter(uid => uid && uid !== req.user.id);
+        .filter(uid => uid && uid !== req.user.id && hasRoomPermission(req.room, uid, PERMISSIONS.PARTICIPATE));
 
       // In-app notifications
       await Promise.allSettled(
         recipientIds.map(uid => NotificationService.createNotification({
           recipientId: uid,
+          actorId: req.user.id,
           type: 'nudge',
           title: '🔔 Nudge from your room',
           message: `${req.user.username} nudged the room: don't forget today's tasks.`,
@@ -111,7 +112,8 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
           recipientIds,
           req.user.username,
           req.room.name,
-          roomId
+          roomId,
+          req.user.id
         ).catch(err => logger.warn('Push notification error for nudge:', err.message));
       }
     } catch (notifyErr) {
@@ -139,23 +141,22 @@ router.post('/:roomId', protect, isRoomMember, async (req, res) => {
 router.get('/:roomId/can-send', protect, isRoomMember, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const todayStr = getTodayString();
+    // Nudge day follows the sender's local timezone
+    const { date: todayStr, start: today, end: tomorrow } = getDayWindow(getUserTimezone(req.user));
     
     // Check if user has completed any tasks today
     const completionsToday = await prisma.taskCompletion.count({
       where: {
         userId: req.user.id,
         roomId,
-        completionDate: todayStr
+        completionDate: todayStr,
+        status: { not: 'rejected' } // Rejected proofs don't count
       }
     });
     
     const hasCompletedTask = completionsToday > 0;
     
-    // Check if already sent nudge today (UTC)
-    const today = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate()));
-    const tomorrow = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate() + 1));
-    
+    // Check if already sent nudge today
     const existingNudge = await prisma.nudge.findFirst({
       where: {
         roomId,
@@ -168,10 +169,11 @@ router.get('/:roomId/can-send', protect, isRoomMember, async (req, res) => {
     });
     
     const alreadySentToday = !!existingNudge;
+    const canParticipate = hasRoomPermission(req.room, req.user.id, PERMISSIONS.PARTICIPATE);
     
     res.json({
       success: true,
-      canSend: hasCompletedTask && !alreadySentToday,
+      canSend: canParticipate && hasCompletedTask && !alreadySentToday,
       hasCompletedTask,
       alreadySentToday
     });
@@ -3,6 +3,12 @@ const router = express.Router();
 const { protect, isRoomMember } = require('../middleware/auth');
 const { prisma } = require('../config/database');
 const logger = require('../utils/logger');
+const {
+  shiftDateString,
+  getRoomTodayString,
+  getRoomYesterdayString,
+  getRoomDayBounds
+} = require('../services/dayBoundaryService');
 
 /**
  * Daily Orbit Summary API
@@ -14,19 +20,8 @@ const logger = require('../utils/logger');
  * - MVP calculation
  */
 
-// Helper to get yesterday's date string (YYYY-MM-DD) in UTC
-const getYesterdayString = () => {
-  const yesterday = new Date();
-  yesterday.setUTCDate(yesterday.getUTCDate() - 1);
-  return yesterday.toISOString().split('T')[0];
-};
-
-// Helper to get today's date string (YYYY-MM-DD) in UTC
-const getTodayString = () => new Date().toISOString().split('T')[0];
-
-// Helper to get UTC day boundaries
-const getUtcDayStart = (dateStr) => new Date(`${dateStr}T00:00:00.000Z`);
-const getUtcDayEnd = (dateStr) => new Date(`${dateStr}T23:59:59.999Z`);
+// "Today" and "yesterday" are room days: the room's timezone and rollover hour
+// (see dayBoundaryService), so every member sees the same summary and MVP key
 
 /**
  * Calculate MVP score for a member
@@ -70,9 +65,6 @@ const calculateMVPScore = (tasksCompleted, validTaskCount, streakMaintained, cur
 router.get('/:roomId', protect, isRoomMember, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const userId = req.user.id;
-    const yesterdayStr = getYesterdayString();
-    const todayStr = getTodayString();
     
     // Check if user has already seen today's summary for this room
     // We store this in a simple key-value or use localStorage on frontend
@@ -106,11 +98,18 @@ router.get('/:roomId', protect, isRoomMember, async (req, res) => {
       });
     }
     
-    // Get yesterday's task completions for all members
+    const yesterdayStr = getRoomYesterdayString(room);
+    const { start: yesterdayStart, end: yesterdayEnd } = getRoomDayBounds(room, yesterdayStr);
+    
+    // Get yesterday's task completions for all members (within the room day)
     const yesterdayCompletions = await prisma.taskCompletion.findMany({
       where: {
         roomId,
-        completionDate: yesterdayStr
+        completedAt: {
+          gte: yesterdayStart,
+          lt: yesterdayEnd
+        },
+        status: { not: 'rejected' } // Rejected proofs don't count
       },
       include: {
         task: {
@@ -123,9 +122,6 @@ router.get('/:roomId', protect, isRoomMember, async (req, res) => {
       }
     });
     
-    // Get tasks that existed before yesterday (for validation)
-    const yesterdayStart = getUtcDayStart(yesterdayStr);
-    
     // Group completions by user
     const completionsByUser = {};
     yesterdayCompletions.forEach(completion => {
@@ -203,9 +199,7 @@ router.get('/:roomId', protect, isRoomMember, async (req, res) => {
       eligibleForMVP.sort((a, b) => b.mvpScore - a.mvpScore);
       
       // Check MVP cooldown - get last 2 days of MVP history
-      const twoDaysAgo = new Date();
-      twoDaysAgo.setUTCDate(twoDaysAgo.getUTCDate() - 2);
-      const twoDaysAgoStr = twoDaysAgo.toISOString().split('T')[0];
+      const twoDaysAgoStr = shiftDateString(yesterdayStr, -1);
       
       const recentMVPs = await prisma.roomMVP.findMany({
         where: {
@@ -251,7 +245,7 @@ router.get('/:roomId', protect, isRoomMember, async (req, res) => {
         roomId,
         createdAt: {
           gte: yesterdayStart,
-          lte: getUtcDayEnd(yesterdayStr)
+          lt: yesterdayEnd
         }
       },
       select: {
@@ -308,6 +302,8 @@ router.get('/:roomId', protect, isRoomMember, async (req, res) => {
       success: true,
       summary: {
         date: yesterdayStr,
+        timezone: room.timezone,
+        dayRolloverHour: room.dayRolloverHour,
         roomId,
         roomName: room.name,
         roomStreak: room.streak,
@@ -354,9 +350,7 @@ router.get('/:roomId/mvp-history', protect, isRoomMember, async (req, res) => {
     const { roomId } = req.params;
     
     // Get last 7 days of MVP history
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setUTCDate(sevenDaysAgo.getUTCDate() - 7);
-    const sevenDaysAgoStr = sevenDaysAgo.toISOString().split('T')[0];
+    const sevenDaysAgoStr = shiftDateString(getRoomTodayString(req.room), -7);
     
     const history = await prisma.roomMVP.findMany({
       where: {
@@ -405,7 +399,7 @@ router.get('/:roomId/mvp-history', protect, isRoomMember, async (req, res) => {
 router.get('/:roomId/today-mvp', protect, isRoomMember, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const yesterdayStr = getYesterdayString();
+    const yesterdayStr = getRoomYesterdayString(req.room);
     
     // Check if MVP was already recorded for yesterday
     const existingMVP = await prisma.roomMVP.findUnique({
@@ -464,7 +458,7 @@ router.post('/:roomId/mark-seen', protect, isRoomMember, async (req, res) => {
   try {
     const { roomId } = req.params;
     const userId = req.user.id;
-    const todayStr = getTodayString();
+    const todayStr = getRoomTodayString(req.room);
     
     // Store lastSummarySeenDate in UserRoomProgress
     await prisma.userRoomProgress.upsert({
@@ -512,7 +506,7 @@ router.get('/:roomId/should-show', protect, isRoomMember, async (req, res) => {
   try {
     const { roomId } = req.params;
     const userId = req.user.id;
-    const todayStr = getTodayString();
+    const todayStr = getRoomTodayString(req.room);
     
     const progress = await prisma.userRoomProgress.findUnique({
       where: {
@@ -4,9 +4,80 @@ const { prisma } = require('../config/database');
 const { nanoid } = require('nanoid');
 const NotificationService = require('../services/notificationService');
 const PushNotificationService = require('../services/pushNotificationService');
-const { protect, isRoomOwner, isRoomMember } = require('../middleware/auth');
-const { validate, createRoomSchema, updateRoomSchema, joinRoomSchema, sendMessageSchema } = require('../middleware/validation');
+const { protect, isRoomMember, requireRoomPermission } = require('../middleware/auth');
+const {
+  validate,
+  createRoomSchema,
+  updateRoomSchema,
+  joinRoomSchema,
+  sendMessageSchema,
+  announcementSchema,
+  reactionSchema,
+  editMessageSchema,
+  roomRoleSchema,
+  transferOwnershipSchema
+} = require('../middleware/validation');
 const logger = require('../utils/logger');
+const {
+  MIN_VOUCH_THRESHOLD,
+  MAX_VOUCH_THRESHOLD,
+  MIN_GHOST_APPROVE_HOURS,
+  MAX_GHOST_APPROVE_HOURS
+} = require('../services/proofVerificationService');
+const { buildRecurrenceData } = require('../utils/recurrence');
+const { maskHidden } = require('../utils/moderation');
+const { DIRECTIONS, decodeCursor, cursorWhere, buildPageQuery, toPage } = require('../utils/messageCursor');
+const { getRoomLeaderboard } = require('../services/leaderboardService');
+const {
+  PERMISSIONS,
+  getMemberRole,
+  getRolePermissions,
+  hasRoomPermission
+} = require('../utils/roomPermissions');
+const {
+  getRetentionPreview,
+  getRoomRetentionDays,
+  getRetentionCutoff,
+  getRetentionTier,
+  getRetentionOptions,
+  isValidRetentionDays
+} = require('../services/chatRetentionService');
+const { MESSAGE_KIND, attachReactions, addReaction, removeReaction } = require('../services/reactionService');
+const { DELETED_PLACEHOLDER, maskDeleted, editMessage, deleteMessage, getEditHistory } = require('../services/chatMessageService');
+const {
+  OWNERSHIP_REASONS,
+  changeMemberRole,
+  removeMember,
+  transferOwnership,
+  handOffOwnership
+} = require('../services/roomRoleService');
+const {
+  getTodayString,
+  getUserTimezone,
+  resolveTimezone,
+  isValidTimezone,
+  isValidRolloverHour
+} = require('../services/dayBoundaryService');
+const { AUDIT_ACTIONS, recordAudit, diffFields, listRoomAudit, exportRoomAuditCsv } = require('../services/auditService');
+
+// Audit an action on req.room by the current user. A failed write is logged,
+// never surfaced: the action itself already happened.
+const auditRoom = (req, entry) =>
+  recordAudit({ roomId: req.room.id, actorId: req.user.id, ...entry })
+    .catch(err => logger.error('Audit log error:', err));
+
+// Room fields each edit route can change (audited as before/after)
+const ROOM_EDIT_FIELDS = ['name', 'description', 'isPrivate', 'maxMembers'];
+const ROOM_SETTINGS_FIELDS = [
+  'isPrivate',
+  'requireApproval',
+  'chatRetentionDays',
+  'timezone',
+  'dayRolloverHour',
+  'requireProof',
+  'proofVouchThreshold',
+  'proofGhostApproveHours'
+];
 
 // Helper to generate join code
 const generateJoinCode = () => nanoid(8).toUpperCase();
@@ -38,6 +109,7 @@ const formatRoomResponse = (room) => ({
   requireApproval: room.requireApproval || false,
   isPremium: room.isPremium || false, // Room premium status
   premiumActivatedAt: room.premiumActivatedAt || null,
+  retentionOptions: getRetentionOptions(room), // Chat retention choices for the room's tier
   owner: room.owner ? { ...room.owner, _id: room.owner.id } : { _id: room.ownerId },
   // IMPORTANT: Only return active members (exclude pending)
   members: room.members?.filter(m => m.status === 'active').map(m => ({
@@ -48,6 +120,35 @@ const formatRoomResponse = (room) => ({
   tasks: room.tasks?.map(t => ({ ...t, _id: t.id })) || []
 });
 
+// Pinned messages (announcements included) per room
+const MAX_PINNED_MESSAGES = 10;
+
+// Helper to format a chat message response
+const formatChatMessage = (message, pinnedBy = null) => {
+  const m = maskDeleted(maskHidden(message));
+  return {
+    ...m,
+    _id: m.id,
+    message: m.content,
+    messageType: m.type,
+    userId: m.user ? { ...m.user, _id: m.user.id } : null,
+    replyTo: m.replyToText ? { _id: m.replyToId, message: m.replyToText } : null,
+    ...(m.isPinned && { pinnedBy })
+  };
+};
+
+const toPinner = (user) => ({ _id: user.id, id: user.id, username: user.username });
+
+// Pin state change broadcast to the room
+const emitChatPinned = (req, message, isPinned) => {
+  req.app.get('io').to(req.params.id).emit('chat:pinned', {
+    roomId: req.params.id,
+    messageId: message.id,
+    isPinned,
+    message: formatChatMessage(message, isPinned ? toPinner(req.user) : null)
+  });
+};
+
 // @route   GET /api/rooms
 // @desc    Get all rooms for current user
 // @access  Private
@@ -182,6 +283,10 @@ router.get('/', protect, async (req, res, next) => {
             description: true,
             taskType: true,
             daysOfWeek: true,
+            recurrenceRule: true,
+            recurrenceStart: true,
+            recurrenceEnd: true,
+            recurrenceExceptions: true,
             points: true,
             isActive: true,
             createdAt: true
@@ -193,9 +298,8 @@ router.get('/', protect, async (req, res, next) => {
     });
     logger.info(`GET /api/rooms returned ${rooms.length} rooms in ${Date.now() - t0}ms for user ${req.user.id}`);
 
-    // Get today's date for task completion status
-    const today = new Date();
-    const todayStr = today.toISOString().split('T')[0];
+    // Get today's date (user's local day) for task completion status
+    const todayStr = getTodayString(getUserTimezone(req.user));
 
     // Get all task completions for today for this user across all their rooms
     const roomIds = rooms.map(r => r.id);
@@ -205,7 +309,8 @@ router.get('/', protect, async (req, res, next) => {
           where: {
             userId: req.user.id,
             roomId: { in: roomIds },
-            completionDate: todayStr
+            completionDate: todayStr,
+            status: { not: 'rejected' }
           },
           select: { taskId: true }
         });
@@ -238,14 +343,16 @@ router.get('/', protect, async (req, res, next) => {
 // @access  Private
 router.post('/', protect, validate(createRoomSchema), async (req, res, next) => {
   try {
-    const { name, description, isPublic, maxMembers, tasks, duration, chatRetentionDays, requireApproval } = req.body;
+    const { name, description, isPublic, maxMembers, tasks, duration, chatRetentionDays, requireApproval, settings } = req.body;
 
     // Calculate expiry date based on duration (max 1 month)
     const endDate = calculateExpiryDate(duration || '1_month');
     const joinCode = generateJoinCode();
 
-    // Validate chatRetentionDays (1-5)
-    const retentionDays = chatRetentionDays ? Math.min(5, Math.max(1, parseInt(chatRetentionDays))) : 3;
+    // New rooms start on the free retention tier (1-5 days)
+    const retentionDays = chatRetentionDays
+      ? getRoomRetentionDays({ chatRetentionDays: parseInt(chatRetentionDays), isPremium: false })
+      : 3;
 
     const room = await prisma.room.create({
       data: {
@@ -257,6 +364,9 @@ router.post('/', protect, validate(createRoomSchema), async (req, res, next) =>
         requireApproval: requireApproval === true,
         maxMembers: maxMembers || 50,
         chatRetentionDays: retentionDays,
+        // Room day defaults to the creator's timezone with a midnight rollover
+        timezone: resolveTimezone(settings?.timezone, req.user.timezone),
+        dayRolloverHour: isValidRolloverHour(settings?.dayRolloverHour) ? settings.dayRolloverHour : 0,
         endDate,
         members: {
           create: {
@@ -267,17 +377,23 @@ router.post('/', protect, validate(createRoomSchema), async (req, res, next) =>
         },
         tasks: tasks && tasks.length > 0 ? {
           create: tasks.map(task => {
-            const taskType = task.taskType || task.frequency || 'daily';
+            const taskType = task.taskType || task.frequency || (task.recurrenceRule ? 'custom' : 'daily');
             let daysOfWeek = '';
             if (taskType === 'custom' && Array.isArray(task.daysOfWeek)) {
               const validDays = task.daysOfWeek.filter(d => d >= 0 && d <= 6);
               daysOfWeek = validDays.join(',');
             }
+            // Throws a 400 error for an invalid rule or date range
+            const recurrence = buildRecurrenceData(task);
+            if (recurrence.recurrenceRule && !recurrence.recurrenceStart) {
+              recurrence.recurrenceStart = getTodayString(getUserTimezone(req.user));
+            }
             return {
               title: task.title,
               description: task.description || null,
               taskType: taskType,
               daysOfWeek: daysOfWeek || null,
+              ...recurrence,
               points: Math.min(10, Math.max(1, task.points || 5)) // Clamp points to 1-10
             };
           })
@@ -313,9 +429,15 @@ router.post('/', protect, validate(createRoomSchema), async (req, res, next) =>
 // @access  Private (must be member)
 router.get('/:id', protect, isRoomMember, async (req, res, next) => {
   try {
+    const userRole = getMemberRole(req.room, req.user.id);
+
     res.json({
       success: true,
-      room: formatRoomResponse(req.room)
+      room: {
+        ...formatRoomResponse(req.room),
+        userRole,
+        permissions: getRolePermissions(userRole)
+      }
     });
   } catch (error) {
     next(error);
@@ -324,8 +446,8 @@ router.get('/:id', protect, isRoomMember, async (req, res, next) => {
 
 // @route   PUT /api/rooms/:id
 // @desc    Update room
-// @access  Private (owner only)
-router.put('/:id', protect, isRoomOwner, validate(updateRoomSchema), async (req, res, next) => {
+// @access  Private (owner or admin)
+router.put('/:id', protect, isRoomMember, requireRoomPermission(PERMISSIONS.EDIT_ROOM), validate(updateRoomSchema), async (req, res, next) => {
   try {
     const { name, description, isPublic, maxMembers } = req.body;
 
@@ -353,6 +475,11 @@ router.put('/:id', protect, isRoomOwner, validate(updateRoomSchema), async (req,
     const io = req.app.get('io');
     io.to(room.id).emit('room:updated', { room: formatRoomResponse(room) });
 
+    const changes = diffFields(req.room, room, ROOM_EDIT_FIELDS);
+    if (changes) {
+      await auditRoom(req, { action: AUDIT_ACTIONS.ROOM_UPDATED, targetType: 'room', targetId: room.id, details: { changes } });
+    }
+
     logger.info(`Room updated: ${room.name}`);
     res.json({
       success: true,
@@ -366,7 +493,7 @@ router.put('/:id', protect, isRoomOwner, validate(updateRoomSchema), async (req,
 // @route   DELETE /api/rooms/:id
 // @desc    Delete room
 // @access  Private (owner only)
-router.delete('/:id', protect, isRoomOwner, async (req, res, next) => {
+router.delete('/:id', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_ROOM), async (req, res, next) => {
   try {
     // Get all room members (exclude owner)
     const roomMembers = req.room.members
@@ -474,25 +601,38 @@ router.post('/join', protect, validate(joinRoomSchema), async (req, res, next) =
       }
     });
 
-    // If needs approval, notify owner and return early
+    // If needs approval, notify everyone who can approve and return early
     if (needsApproval) {
-      // Notify room owner
-      await NotificationService.createNotification({
-        recipientId: room.ownerId,
-        type: 'join_request',
-        title: `Join Request for ${room.name}`,
-        message: `${req.user.username} wants to join your room`,
-        roomId: room.id,
-        data: { requesterId: req.user.id, requesterName: req.user.username }
-      });
-
-      // Emit socket event to owner
+      const approverIds = [
+        room.ownerId,
+        ...room.members
+          .filter(m => m.userId !== room.ownerId && hasRoomPermission(room, m.userId, PERMISSIONS.APPROVE_MEMBERS))
+          .map(m => m.userId)
+      ];
       const io = req.app.get('io');
-      io.to(`user:${room.ownerId}`).emit('room:joinRequest', {
-        roomId: room.id,
-        roomName: room.name,
-        user: { id: req.user.id, _id: req.user.id, username: req.user.username, avatar: req.user.avatar }
-      });
+
+      for (const approverId of approverIds) {
+        try {
+          await NotificationService.createNotification({
+            recipientId: approverId,
+            type: 'join_request',
+            title: `Join Request for ${room.name}`,
+            message: approverId === room.ownerId
+              ? `${req.user.username} wants to join your room`
+              : `${req.user.username} wants to join ${room.name}`,
+            roomId: room.id,
+            data: { requesterId: req.user.id, requesterName: req.user.username }
+          });
+        } catch (err) {
+          logger.error('Error creating notification:', err);
+        }
+
+        io.to(`user:${approverId}`).emit('room:joinRequest', {
+          roomId: room.id,
+          roomName: room.name,
+          user: { id: req.user.id, _id: req.user.id, username: req.user.username, avatar: req.user.avatar }
+        });
+      }
 
       logger.info(`User ${req.user.email} requested to join room: ${room.name} (pending approval)`);
       return res.json({
@@ -569,15 +709,19 @@ router.post('/join', protect, validate(joinRoomSchema), async (req, res, next) =
 });
 
 // @route   DELETE /api/rooms/:id/leave
-// @desc    Leave a room
+// @desc    Leave a room (an owner's room passes to the longest-tenured admin or top scorer)
 // @access  Private
 router.delete('/:id/leave', protect, isRoomMember, async (req, res, next) => {
   try {
+    let newOwner = null;
     if (req.room.ownerId === req.user.id) {
-      return res.status(400).json({
-        success: false,
-        message: 'Room owner cannot leave. Please transfer ownership or delete the room.'
-      });
+      newOwner = await handOffOwnership(req.room, req.user, OWNERSHIP_REASONS.OWNER_LEFT);
+      if (!newOwner) {
+        return res.status(400).json({
+          success: false,
+          message: 'You are the only member of this room. Delete the room instead.'
+        });
+      }
     }
 
     // Get remaining members before removal (for notifications)
@@ -609,15 +753,17 @@ router.delete('/:id/leave', protect, isRoomMember, async (req, res, next) => {
       }
     });
 
-    // Create system message
-    await prisma.chatMessage.create({
-      data: {
-        roomId: req.room.id,
-        userId: req.user.id,
-        content: `${req.user.username} left the room`,
-        type: 'system'
-      }
-    });
+    // Create system message (the succession message already says the owner left)
+    if (!newOwner) {
+      await prisma.chatMessage.create({
+        data: {
+          roomId: req.room.id,
+          userId: req.user.id,
+          content: `${req.user.username} left the room`,
+          type: 'system'
+        }
+      });
+    }
 
     // Create notifications for remaining members
     for (const memberId of remainingMembers) {
@@ -654,7 +800,10 @@ router.delete('/:id/leave', protect, isRoomMember, async (req, res, next) => {
     logger.info(`User ${req.user.email} left room: ${req.room.name}`);
     res.json({
       success: true,
-      message: 'Left room successfully'
+      message: newOwner
+        ? `Left room successfully. ${newOwner.user.username} is now the room owner.`
+        : 'Left room successfully',
+      newOwnerId: newOwner ? newOwner.userId : null
     });
   } catch (error) {
     next(error);
@@ -663,71 +812,86 @@ router.delete('/:id/leave', protect, isRoomMember, async (req, res, next) => {
 
 // @route   DELETE /api/rooms/:id/members/:userId
 // @desc    Remove a member from room
-// @access  Private (owner only)
-router.delete('/:id/members/:userId', protect, isRoomOwner, async (req, res, next) => {
+// @access  Private (owner or admin)
+router.delete('/:id/members/:userId', protect, isRoomMember, requireRoomPermission(PERMISSIONS.REMOVE_MEMBERS), async (req, res, next) => {
   try {
     const { userId } = req.params;
-
-    if (userId === req.user.id) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot remove yourself. Use leave endpoint instead.'
-      });
-    }
-
-    const removedUser = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { id: true, username: true }
+    const previousRole = getMemberRole(req.room, userId);
+    const removedUser = await removeMember(req.room, req.user, userId);
+
+    await auditRoom(req, {
+      action: AUDIT_ACTIONS.MEMBER_KICKED,
+      targetType: 'user',
+      targetId: userId,
+      targetUserId: userId,
+      details: { username: removedUser?.username || null, role: previousRole }
     });
 
-    // Remove member
-    await prisma.roomMember.deleteMany({
-      where: {
-        roomId: req.room.id,
-        userId: userId
-      }
-    });
-    
-    // Delete all task completions for this user in this room
-    await prisma.taskCompletion.deleteMany({
-      where: {
-        userId: userId,
-        roomId: req.room.id
-      }
-    });
-    
-    // Delete user room progress
-    await prisma.userRoomProgress.deleteMany({
-      where: {
-        userId: userId,
-        roomId: req.room.id
-      }
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Create system message
-    if (removedUser) {
-      await prisma.chatMessage.create({
-        data: {
-          roomId: req.room.id,
-          userId: req.user.id,
-          content: `${removedUser.username} was removed from the room`,
-          type: 'system'
-        }
+// @route   PUT /api/rooms/:id/members/:userId/role
+// @desc    Promote or demote a member (admin, moderator, member, viewer)
+// @access  Private (owner or admin; only roles below your own)
+router.put('/:id/members/:userId/role', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_ROLES), validate(roomRoleSchema), async (req, res, next) => {
+  try {
+    const { membership, previousRole, changed } = await changeMemberRole(
+      req.room,
+      req.user,
+      req.params.userId,
+      req.body.role
+    );
+
+    if (changed) {
+      await auditRoom(req, {
+        action: AUDIT_ACTIONS.MEMBER_ROLE_CHANGED,
+        targetType: 'user',
+        targetId: membership.userId,
+        targetUserId: membership.userId,
+        details: { username: membership.user.username, changes: { role: { from: previousRole, to: membership.role } } }
       });
     }
 
-    // Emit socket event
-    const io = req.app.get('io');
-    io.to(req.room.id).emit('member:kicked', {
-      roomId: req.room.id,
-      oderId: userId,
-      username: removedUser?.username || 'User'
+    res.json({
+      success: true,
+      message: changed ? 'Member role updated' : 'Member already has this role',
+      member: {
+        ...membership,
+        _id: membership.id,
+        userId: { ...membership.user, _id: membership.user.id }
+      },
+      previousRole
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/rooms/:id/transfer-ownership
+// @desc    Hand the room to another active member (you stay on as admin)
+// @access  Private (owner only)
+router.post('/:id/transfer-ownership', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_ROOM), validate(transferOwnershipSchema), async (req, res, next) => {
+  try {
+    const membership = await transferOwnership(req.room, req.user, req.body.userId);
+
+    await auditRoom(req, {
+      action: AUDIT_ACTIONS.OWNERSHIP_TRANSFERRED,
+      targetType: 'user',
+      targetId: membership.userId,
+      targetUserId: membership.userId,
+      details: { username: membership.user.username, changes: { ownerId: { from: req.user.id, to: membership.userId } } }
     });
 
-    logger.info(`User ${userId} removed from room: ${req.room.name}`);
     res.json({
       success: true,
-      message: 'Member removed successfully'
+      message: `${membership.user.username} is now the room owner`,
+      ownerId: membership.userId
     });
   } catch (error) {
     next(error);
@@ -735,27 +899,16 @@ router.delete('/:id/members/:userId', protect, isRoomOwner, async (req, res, nex
 });
 
 // @route   GET /api/rooms/:id/leaderboard
-// @desc    Get room leaderboard
+// @desc    Get room leaderboard (?period=all|week|month|custom&from&to&rankBy=points|streak|completionRate|appreciations)
 // @access  Private (must be member)
 router.get('/:id/leaderboard', protect, isRoomMember, async (req, res, next) => {
   try {
-    const leaderboard = await prisma.roomMember.findMany({
-      where: { roomId: req.room.id },
-      include: {
-        user: { select: { id: true, username: true, avatar: true } }
-      },
-      orderBy: { points: 'desc' }
-    });
+    const { period, from, to, rankBy } = req.query;
+    const result = await getRoomLeaderboard(req.room, { period, from, to, rankBy });
 
     res.json({
       success: true,
-      leaderboard: leaderboard.map(m => ({
-        _id: m.id,
-        oderId: m.userId,
-        user: { ...m.user, _id: m.user.id },
-        points: m.points,
-        role: m.role
-      }))
+      ...result
     });
   } catch (error) {
     next(error);
@@ -764,8 +917,8 @@ router.get('/:id/leaderboard', protect, isRoomMember, async (req, res, next) =>
 
 // @route   POST /api/rooms/:id/chat
 // @desc    Send a chat message
-// @access  Private (must be member)
-router.post('/:id/chat', protect, isRoomMember, validate(sendMessageSchema), async (req, res, next) => {
+// @access  Private (members; viewers are read-only)
+router.post('/:id/chat', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), validate(sendMessageSchema), async (req, res, next) => {
   try {
     const { message, replyToId, replyToText } = req.body;
 
@@ -774,9 +927,11 @@ router.post('/:id/chat', protect, isRoomMember, validate(sendMessageSchema), asy
     if (replyToId && !finalReplyToText) {
       const originalMsg = await prisma.chatMessage.findUnique({
         where: { id: replyToId },
-        select: { content: true }
+        select: { content: true, deletedAt: true }
       });
-      finalReplyToText = originalMsg?.content?.substring(0, 100) || null;
+      finalReplyToText = originalMsg?.deletedAt
+        ? DELETED_PLACEHOLDER
+        : originalMsg?.content?.substring(0, 100) || null;
     }
 
     const chatMessage = await prisma.chatMessage.create({
@@ -829,6 +984,7 @@ router.post('/:id/chat', protect, isRoomMember, validate(sendMessageSchema), asy
       roomMembers.map(memberId =>
         NotificationService.createNotification({
           recipientId: memberId,
+          actorId: req.user.id,
           type: 'new_chat',
           title: `${req.user.username} in ${req.room.name}`,
           message: messagePreview,
@@ -844,7 +1000,8 @@ router.post('/:id/chat', protect, isRoomMember, validate(sendMessageSchema), asy
         req.user.username,
         messagePreview,
         req.room.name,
-        req.params.id
+        req.params.id,
+        req.user.id
       ).catch(err => logger.error('Push notification error:', err));
     }
   } catch (error) {
@@ -853,49 +1010,67 @@ router.post('/:id/chat', protect, isRoomMember, validate(sendMessageSchema), asy
 });
 
 // @route   GET /api/rooms/:id/chat
-// @desc    Get chat messages - supports Delta Sync (last_id for efficiency)
+// @desc    Get chat messages, oldest first. Starts at the newest page; page with the
+//          `before` / `after` cursors from the response (see utils/messageCursor.js).
+//          Still accepts `last_id` (Delta Sync) and a date as `before` (legacy).
 // @access  Private (must be member)
 router.get('/:id/chat', protect, isRoomMember, async (req, res, next) => {
   try {
-    const { limit = 50, before, last_id } = req.query;
+    const { before, last_id } = req.query;
+    const legacyBefore = before && !decodeCursor(before) && !isNaN(Date.parse(before)) ? new Date(before) : null;
+    const page = buildPageQuery(legacyBefore ? { ...req.query, before: undefined } : req.query, {
+      defaultLimit: 50,
+      defaultDirection: DIRECTIONS.BEFORE
+    });
 
-    // Enforce room chat retention (max 5 days)
-    const retentionDays = Math.min(5, Math.max(1, req.room.chatRetentionDays || 5));
-    const cutoff = new Date();
-    cutoff.setDate(cutoff.getDate() - retentionDays);
+    // Enforce room chat retention (same rules as the cleanup job: tiered window, pinned messages kept)
+    const retentionDays = getRoomRetentionDays(req.room);
+    const cutoff = getRetentionCutoff(req.room);
 
     const whereClause = {
       roomId: req.params.id,
-      createdAt: { gte: cutoff }
+      AND: [
+        {
+          OR: [
+            { createdAt: { gte: cutoff } },
+            { isPinned: true }
+          ]
+        }
+      ]
     };
+    if (page.where) whereClause.AND.push(page.where);
 
-    // DELTA SYNC: If last_id provided, only fetch messages after that
-    if (last_id) {
+    // DELTA SYNC: If last_id provided (and no cursor), only fetch messages after that
+    let isDeltaSync = false;
+    if (last_id && !page.where) {
       const lastMessage = await prisma.chatMessage.findUnique({
         where: { id: last_id },
-        select: { createdAt: true }
+        select: { id: true, createdAt: true }
       });
       
       if (lastMessage) {
-        whereClause.createdAt = { gt: lastMessage.createdAt };
+        whereClause.AND.push(cursorWhere(lastMessage, DIRECTIONS.AFTER));
+        isDeltaSync = true;
         logger.info(`[Delta Sync] Room ${req.params.id}: Fetching messages after ${last_id}`);
       }
-    } else if (before) {
-      // Legacy: Load older messages (pagination)
-      whereClause.createdAt = { gte: cutoff, lt: new Date(before) };
+    } else if (legacyBefore) {
+      // Legacy: Load older messages than a date
+      whereClause.AND.push({ createdAt: { lt: legacyBefore } });
     }
 
-    const messages = await prisma.chatMessage.findMany({
+    const rows = await prisma.chatMessage.findMany({
       where: whereClause,
       include: {
         user: { select: { id: true, username: true, avatar: true } }
       },
-      orderBy: { createdAt: 'desc' },
-      take: parseInt(limit)
+      orderBy: page.orderBy,
+      take: page.take
     });
+    const { items: messages, hasMore, cursors } = toPage(rows, page);
 
-    // Format and reverse for chronological order
-    const formattedMessages = messages.reverse().map(m => ({
+    // Format (toPage already put them in chronological order)
+    const withReactions = await attachReactions(MESSAGE_KIND.ROOM, messages, req.user.id);
+    const formattedMessages = withReactions.map(maskHidden).map(maskDeleted).map(m => ({
       ...m,
       _id: m.id,
       message: m.content,
@@ -909,8 +1084,11 @@ router.get('/:id/chat', protect, isRoomMember, async (req, res, next) => {
       success: true,
       count: formattedMessages.length,
       messages: formattedMessages,
+      hasMore,
+      cursors,
       retentionDays,
-      deltaSync: !!last_id, // Tell client this was a delta sync
+      retentionTier: getRetentionTier(req.room),
+      deltaSync: isDeltaSync, // Tell client this was a delta sync
       syncFrom: last_id || null
     });
   } catch (error) {
@@ -918,10 +1096,301 @@ router.get('/:id/chat', protect, isRoomMember, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/rooms/:id/chat/pinned
+// @desc    Get pinned messages and announcements (newest pin first)
+// @access  Private (must be member)
+router.get('/:id/chat/pinned', protect, isRoomMember, async (req, res, next) => {
+  try {
+    const pinned = await prisma.chatMessage.findMany({
+      where: { roomId: req.params.id, isPinned: true },
+      include: {
+        user: { select: { id: true, username: true, avatar: true } }
+      },
+      orderBy: { pinnedAt: 'desc' },
+      take: MAX_PINNED_MESSAGES
+    });
+
+    const pinnerIds = [...new Set(pinned.map(m => m.pinnedById).filter(Boolean))];
+    const pinners = pinnerIds.length
+      ? await prisma.user.findMany({
+          where: { id: { in: pinnerIds } },
+          select: { id: true, username: true }
+        })
+      : [];
+    const pinnerMap = new Map(pinners.map(u => [u.id, toPinner(u)]));
+    const withReactions = await attachReactions(MESSAGE_KIND.ROOM, pinned, req.user.id);
+
+    res.json({
+      success: true,
+      count: pinned.length,
+      messages: withReactions.map(m => formatChatMessage(m, pinnerMap.get(m.pinnedById) || null)),
+      canPin: hasRoomPermission(req.room, req.user.id, PERMISSIONS.MODERATE_CHAT),
+      maxPinned: MAX_PINNED_MESSAGES
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/rooms/:id/chat/announcements
+// @desc    Post an announcement (pinned at the top of the room chat)
+// @access  Private (owner, admin or moderator)
+router.post('/:id/chat/announcements', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MODERATE_CHAT), validate(announcementSchema), async (req, res, next) => {
+  try {
+    const pinnedCount = await prisma.chatMessage.count({
+      where: { roomId: req.params.id, isPinned: true }
+    });
+    if (pinnedCount >= MAX_PINNED_MESSAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `A room can have at most ${MAX_PINNED_MESSAGES} pinned messages. Unpin one first.`
+      });
+    }
+
+    const { message } = req.body;
+    const announcement = await prisma.chatMessage.create({
+      data: {
+        roomId: req.params.id,
+        userId: req.user.id,
+        content: message,
+        type: 'announcement',
+        isPinned: true,
+        pinnedAt: new Date(),
+        pinnedById: req.user.id
+      },
+      include: {
+        user: { select: { id: true, username: true, avatar: true } }
+      }
+    });
+
+    const formattedMessage = {
+      ...formatChatMessage(announcement, toPinner(req.user)),
+      roomId: req.params.id
+    };
+
+    const io = req.app.get('io');
+    io.to(req.params.id).emit('chat:message', { message: formattedMessage });
+    emitChatPinned(req, announcement, true);
+
+    res.status(201).json({
+      success: true,
+      message: formattedMessage
+    });
+
+    // Notify everyone else (non-blocking)
+    const roomMembers = req.room.members
+      .filter(m => m.userId !== req.user.id && m.status === 'active')
+      .map(m => m.userId);
+    const messagePreview = message.length > 80 ? message.substring(0, 80) + '...' : message;
+
+    Promise.allSettled(
+      roomMembers.map(memberId =>
+        NotificationService.createNotification({
+          recipientId: memberId,
+          actorId: req.user.id,
+          type: 'room_announcement',
+          title: `Announcement in ${req.room.name}`,
+          message: messagePreview,
+          roomId: req.params.id
+        })
+      )
+    ).catch(err => logger.error('Error creating notifications:', err));
+
+    if (roomMembers.length > 0) {
+      PushNotificationService.notifyAnnouncement(
+        roomMembers,
+        req.user.username,
+        messagePreview,
+        req.room.name,
+        req.params.id,
+        req.user.id
+      ).catch(err => logger.error('Push notification error:', err));
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Shared pin/unpin handler (behind chat:moderate)
+const setMessagePinned = (isPinned) => async (req, res, next) => {
+  try {
+    const existing = await prisma.chatMessage.findUnique({
+      where: { id: req.params.messageId }
+    });
+
+    if (!existing || existing.roomId !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (existing.type === 'system') {
+      return res.status(400).json({
+        success: false,
+        message: 'System messages cannot be pinned'
+      });
+    }
+
+    if (isPinned && existing.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deleted messages cannot be pinned'
+      });
+    }
+
+    if (isPinned && !existing.isPinned) {
+      const pinnedCount = await prisma.chatMessage.count({
+        where: { roomId: req.params.id, isPinned: true }
+      });
+      if (pinnedCount >= MAX_PINNED_MESSAGES) {
+        return res.status(400).json({
+          success: false,
+          message: `A room can have at most ${MAX_PINNED_MESSAGES} pinned messages. Unpin one first.`
+        });
+      }
+    }
+
+    // Unpinned messages fall back under the room's retention window
+    const updated = await prisma.chatMessage.update({
+      where: { id: existing.id },
+      data: {
+        isPinned,
+        pinnedAt: isPinned ? new Date() : null,
+        pinnedById: isPinned ? req.user.id : null
+      },
+      include: {
+        user: { select: { id: true, username: true, avatar: true } }
+      }
+    });
+
+    emitChatPinned(req, updated, isPinned);
+
+    logger.info(`Chat message ${isPinned ? 'pinned' : 'unpinned'} in ${req.room.name} by ${req.user.email}`);
+    res.json({
+      success: true,
+      message: formatChatMessage(updated, isPinned ? toPinner(req.user) : null)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   PUT /api/rooms/:id/chat/:messageId/pin
+// @desc    Pin a chat message to the top of the room
+// @access  Private (owner, admin or moderator)
+router.put('/:id/chat/:messageId/pin', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MODERATE_CHAT), setMessagePinned(true));
+
+// @route   DELETE /api/rooms/:id/chat/:messageId/pin
+// @desc    Unpin a chat message
+// @access  Private (owner, admin or moderator)
+router.delete('/:id/chat/:messageId/pin', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MODERATE_CHAT), setMessagePinned(false));
+
+// @route   PUT /api/rooms/:id/chat/:messageId
+// @desc    Edit your own chat message (within the edit window)
+// @access  Private (author)
+router.put('/:id/chat/:messageId', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), validate(editMessageSchema), async (req, res, next) => {
+  try {
+    const updated = await editMessage(req.room, req.params.messageId, req.user, req.body.message);
+    const [withReactions] = await attachReactions(MESSAGE_KIND.ROOM, [updated], req.user.id);
+
+    res.json({
+      success: true,
+      message: formatChatMessage(withReactions)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/rooms/:id/chat/:messageId
+// @desc    Delete a chat message for everyone
+// @access  Private (author, or owner/admin/moderator ranked above the author)
+router.delete('/:id/chat/:messageId', protect, isRoomMember, async (req, res, next) => {
+  try {
+    const deleted = await deleteMessage(req.room, req.params.messageId, req.user);
+
+    res.json({
+      success: true,
+      messageId: deleted.id,
+      deletedAt: deleted.deletedAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/rooms/:id/chat/:messageId/history
+// @desc    Previous versions of an edited chat message (newest first)
+// @access  Private (author, or owner/admin/moderator)
+router.get('/:id/chat/:messageId/history', protect, isRoomMember, async (req, res, next) => {
+  try {
+    const history = await getEditHistory(req.room, req.params.messageId, req.user);
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Shared handler for adding/removing the current user's reaction on a chat message
+const setMessageReaction = (isAdding) => async (req, res, next) => {
+  try {
+    const params = {
+      kind: MESSAGE_KIND.ROOM,
+      roomId: req.params.id,
+      messageId: req.params.messageId,
+      userId: req.user.id,
+      username: req.user.username,
+      emoji: isAdding ? req.body.emoji : req.params.emoji
+    };
+    const result = isAdding ? await addReaction(params) : await removeReaction(params);
+
+    res.status(isAdding && result.added ? 201 : 200).json({
+      success: true,
+      messageId: result.messageId,
+      reactions: result.reactions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   POST /api/rooms/:id/chat/:messageId/reactions
+// @desc    React to a chat message with an emoji
+// @access  Private (must be member)
+router.post('/:id/chat/:messageId/reactions', protect, isRoomMember, validate(reactionSchema), setMessageReaction(true));
+
+// @route   DELETE /api/rooms/:id/chat/:messageId/reactions/:emoji
+// @desc    Remove your emoji reaction from a chat message (emoji URL-encoded)
+// @access  Private (must be member)
+router.delete('/:id/chat/:messageId/reactions/:emoji', protect, isRoomMember, setMessageReaction(false));
+
+// @route   GET /api/rooms/:id/retention/preview
+// @desc    Dry run of the next retention cleanup: messages, nodes and media it will delete
+// @access  Private (owner only)
+router.get('/:id/retention/preview', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_ROOM), async (req, res, next) => {
+  try {
+    const sampleSize = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const preview = await getRetentionPreview(req.room, { sampleSize });
+
+    res.json({
+      success: true,
+      dryRun: true,
+      ...preview
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   PUT /api/rooms/:id/members/:userId/approve
 // @desc    Approve a pending member
-// @access  Private (owner only)
-router.put('/:id/members/:userId/approve', protect, isRoomOwner, async (req, res, next) => {
+// @access  Private (owner, admin or moderator)
+router.put('/:id/members/:userId/approve', protect, isRoomMember, requireRoomPermission(PERMISSIONS.APPROVE_MEMBERS), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -982,6 +1451,14 @@ router.put('/:id/members/:userId/approve', protect, isRoomOwner, async (req, res
       user: { id: userId, _id: userId, username: approvedUser?.username, avatar: approvedUser?.avatar }
     });
 
+    await auditRoom(req, {
+      action: AUDIT_ACTIONS.MEMBER_APPROVED,
+      targetType: 'user',
+      targetId: userId,
+      targetUserId: userId,
+      details: { username: approvedUser?.username || null, requestedAt: member.joinedAt }
+    });
+
     logger.info(`User ${userId} approved to join room: ${req.room.name}`);
     res.json({
       success: true,
@@ -994,8 +1471,8 @@ router.put('/:id/members/:userId/approve', protect, isRoomOwner, async (req, res
 
 // @route   DELETE /api/rooms/:id/members/:userId/reject
 // @desc    Reject a pending member
-// @access  Private (owner only)
-router.delete('/:id/members/:userId/reject', protect, isRoomOwner, async (req, res, next) => {
+// @access  Private (owner, admin or moderator)
+router.delete('/:id/members/:userId/reject', protect, isRoomMember, requireRoomPermission(PERMISSIONS.APPROVE_MEMBERS), async (req, res, next) => {
   try {
     const { userId } = req.params;
     
@@ -1019,6 +1496,14 @@ router.delete('/:id/members/:userId/reject', protect, isRoomOwner, async (req, r
       where: { id: member.id }
     });
 
+    await auditRoom(req, {
+      action: AUDIT_ACTIONS.MEMBER_REJECTED,
+      targetType: 'user',
+      targetId: userId,
+      targetUserId: userId,
+      details: { requestedAt: member.joinedAt }
+    });
+
     // Notify the rejected user
     await NotificationService.createNotification({
       recipientId: userId,
@@ -1047,8 +1532,8 @@ router.delete('/:id/members/:userId/reject', protect, isRoomOwner, async (req, r
 
 // @route   GET /api/rooms/:id/pending
 // @desc    Get pending member requests
-// @access  Private (owner only)
-router.get('/:id/pending', protect, isRoomOwner, async (req, res, next) => {
+// @access  Private (owner, admin or moderator)
+router.get('/:id/pending', protect, isRoomMember, requireRoomPermission(PERMISSIONS.APPROVE_MEMBERS), async (req, res, next) => {
   try {
     const pendingMembers = await prisma.roomMember.findMany({
       where: {
@@ -1079,7 +1564,7 @@ router.get('/:id/pending', protect, isRoomOwner, async (req, res, next) => {
 // @route   PUT /api/rooms/:id/premium
 // @desc    Activate or deactivate room premium
 // @access  Private (owner only)
-router.put('/:id/premium', protect, isRoomOwner, async (req, res, next) => {
+router.put('/:id/premium', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_ROOM), async (req, res, next) => {
   try {
     const { code, deactivate } = req.body;
 
@@ -1092,7 +1577,9 @@ router.put('/:id/premium', protect, isRoomOwner, async (req, res, next) => {
         where: { id: req.params.id },
         data: {
           isPremium: false,
-          premiumActivatedAt: null
+          premiumActivatedAt: null,
+          // Longer premium retention windows fall back to the free tier
+          chatRetentionDays: getRoomRetentionDays({ ...req.room, isPremium: false })
         },
         include: {
           owner: { select: { id: true, username: true } },
@@ -1112,6 +1599,13 @@ router.put('/:id/premium', protect, isRoomOwner, async (req, res, next) => {
         isPremium: false 
       });
 
+      await auditRoom(req, {
+        action: AUDIT_ACTIONS.PREMIUM_DEACTIVATED,
+        targetType: 'room',
+        targetId: room.id,
+        details: { changes: diffFields(req.room, room, ['isPremium', 'premiumActivatedAt', 'chatRetentionDays']) }
+      });
+
       logger.info(`Room premium deactivated: ${room.name}`);
       return res.json({
         success: true,
@@ -1154,6 +1648,13 @@ router.put('/:id/premium', protect, isRoomOwner, async (req, res, next) => {
       premiumActivatedAt: room.premiumActivatedAt
     });
 
+    await auditRoom(req, {
+      action: AUDIT_ACTIONS.PREMIUM_ACTIVATED,
+      targetType: 'room',
+      targetId: room.id,
+      details: { changes: diffFields(req.room, room, ['isPremium', 'premiumActivatedAt']) }
+    });
+
     logger.info(`Room premium activated: ${room.name}`);
     res.json({
       success: true,
@@ -1167,10 +1668,19 @@ router.put('/:id/premium', protect, isRoomOwner, async (req, res, next) => {
 
 // @route   PUT /api/rooms/:id/settings
 // @desc    Update room settings
-// @access  Private (owner only)
-router.put('/:id/settings', protect, isRoomOwner, async (req, res, next) => {
+// @access  Private (owner or admin)
+router.put('/:id/settings', protect, isRoomMember, requireRoomPermission(PERMISSIONS.EDIT_ROOM), async (req, res, next) => {
   try {
-    const { isPublic, chatRetentionDays, requireApproval } = req.body;
+    const {
+      isPublic,
+      chatRetentionDays,
+      requireApproval,
+      timezone,
+      dayRolloverHour,
+      requireProof,
+      proofVouchThreshold,
+      proofGhostApproveHours
+    } = req.body;
 
     const updateData = {};
     if (typeof isPublic === 'boolean') {
@@ -1182,15 +1692,65 @@ router.put('/:id/settings', protect, isRoomOwner, async (req, res, next) => {
 
     if (chatRetentionDays !== undefined) {
       const days = Number(chatRetentionDays);
-      if (!Number.isFinite(days) || days < 1 || days > 5) {
+      if (!isValidRetentionDays(req.room, days)) {
         return res.status(400).json({
           success: false,
-          message: 'chatRetentionDays must be a number between 1 and 5'
+          message: `chatRetentionDays must be one of ${getRetentionOptions(req.room).join(', ')}` +
+            (req.room.isPremium ? '' : ' (premium rooms unlock longer history)')
         });
       }
       updateData.chatRetentionDays = days;
     }
 
+    // Room day: timezone (IANA name) and the local hour at which the day rolls over
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'timezone must be a valid IANA timezone (e.g. "Europe/Berlin")'
+        });
+      }
+      updateData.timezone = timezone;
+    }
+
+    if (dayRolloverHour !== undefined) {
+      const hour = Number(dayRolloverHour);
+      if (!isValidRolloverHour(hour)) {
+        return res.status(400).json({
+          success: false,
+          message: 'dayRolloverHour must be a whole number between 0 and 23'
+        });
+      }
+      updateData.dayRolloverHour = hour;
+    }
+
+    // Proof verification: require proof, vouches needed and ghost-approve window
+    if (typeof requireProof === 'boolean') {
+      updateData.requireProof = requireProof;
+    }
+
+    if (proofVouchThreshold !== undefined) {
+      const threshold = Number(proofVouchThreshold);
+      if (!Number.isInteger(threshold) || threshold < MIN_VOUCH_THRESHOLD || threshold > MAX_VOUCH_THRESHOLD) {
+        return res.status(400).json({
+          success: false,
+          message: `proofVouchThreshold must be a whole number between ${MIN_VOUCH_THRESHOLD} and ${MAX_VOUCH_THRESHOLD}`
+        });
+      }
+      updateData.proofVouchThreshold = threshold;
+    }
+
+    if (proofGhostApproveHours !== undefined) {
+      const hours = Number(proofGhostApproveHours);
+      if (!Number.isInteger(hours) || hours < MIN_GHOST_APPROVE_HOURS || hours > MAX_GHOST_APPROVE_HOURS) {
+        return res.status(400).json({
+          success: false,
+          message: `proofGhostApproveHours must be a whole number between ${MIN_GHOST_APPROVE_HOURS} and ${MAX_GHOST_APPROVE_HOURS}`
+        });
+      }
+      updateData.proofGhostApproveHours = hours;
+    }
+
     const room = await prisma.room.update({
       where: { id: req.params.id },
       data: updateData,
@@ -1209,6 +1769,11 @@ router.put('/:id/settings', protect, isRoomOwner, async (req, res, next) => {
     const io = req.app.get('io');
     io.to(room.id).emit('room:updated', { room: formatRoomResponse(room) });
 
+    const changes = diffFields(req.room, room, ROOM_SETTINGS_FIELDS);
+    if (changes) {
+      await auditRoom(req, { action: AUDIT_ACTIONS.SETTINGS_UPDATED, targetType: 'room', targetId: room.id, details: { changes } });
+    }
+
     logger.info(`Room settings updated: ${room.name}`);
     res.json({
       success: true,
@@ -1219,4 +1784,38 @@ router.put('/:id/settings', protect, isRoomOwner, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/rooms/:id/audit
+// @desc    Room audit log, newest first (?limit&before=<nextCursor>&action)
+// @access  Private (owner or admin)
+router.get('/:id/audit', protect, isRoomMember, requireRoomPermission(PERMISSIONS.VIEW_AUDIT), async (req, res, next) => {
+  try {
+    const { limit, before, action } = req.query;
+    const page = await listRoomAudit(req.room.id, { limit, before, action });
+
+    res.json({
+      success: true,
+      ...page
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/rooms/:id/audit/export
+// @desc    Download the room audit log as CSV (?action)
+// @access  Private (owner or admin)
+router.get('/:id/audit/export', protect, isRoomMember, requireRoomPermission(PERMISSIONS.VIEW_AUDIT), async (req, res, next) => {
+  try {
+    const csv = await exportRoomAuditCsv(req.room.id, { action: req.query.action });
+    const slug = req.room.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'room';
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${slug}-audit-${date}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { searchMessages } = require('../services/messageSearchService');
+
+// @route   GET /api/search/messages
+// @desc    Search your DMs and room chats, newest first with highlighted snippets.
+//          Query: q, scope (all|dms|rooms), roomId, friendId, before (nextCursor), limit
+// @access  Private
+router.get('/messages', protect, async (req, res, next) => {
+  try {
+    const { q, scope, roomId, friendId, before, limit } = req.query;
+    const { results, hasMore, nextCursor } = await searchMessages(req.user.id, { q, scope, roomId, friendId, before, limit });
+    res.json({ success: true, count: results.length, results, hasMore, nextCursor });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isRoomMember, requireRoomPermission } = require('../middleware/auth');
+const { validate, createSeasonSchema, updateSeasonSchema } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/roomPermissions');
+const {
+  listSeasons,
+  getSeason,
+  createSeason,
+  updateSeason,
+  deleteSeason
+} = require('../services/seasonService');
+
+// @route   GET /api/rooms/:roomId/seasons
+// @desc    Season history: current, upcoming and past seasons with champions
+// @access  Private (must be member)
+router.get('/:roomId/seasons', protect, isRoomMember, async (req, res, next) => {
+  try {
+    const seasons = await listSeasons(req.room);
+    res.json({ success: true, ...seasons });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/rooms/:roomId/seasons/:seasonId
+// @desc    One season with its final standings
+// @access  Private (must be member)
+router.get('/:roomId/seasons/:seasonId', protect, isRoomMember, async (req, res, next) => {
+  try {
+    const season = await getSeason(req.room, req.params.seasonId);
+    res.json({ success: true, season });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/rooms/:roomId/seasons
+// @desc    Schedule a season (starts right away if it begins today)
+// @access  Private (owner only)
+router.post('/:roomId/seasons', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_ROOM), validate(createSeasonSchema), async (req, res, next) => {
+  try {
+    const season = await createSeason(req.room, req.user, req.body);
+    res.status(201).json({ success: true, season });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/rooms/:roomId/seasons/:seasonId
+// @desc    Rename a season or change its dates
+// @access  Private (owner only)
+router.put('/:roomId/seasons/:seasonId', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_ROOM), validate(updateSeasonSchema), async (req, res, next) => {
+  try {
+    const season = await updateSeason(req.room, req.params.seasonId, req.body);
+    res.json({ success: true, season });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/rooms/:roomId/seasons/:seasonId
+// @desc    Delete a season that has not started
+// @access  Private (owner only)
+router.delete('/:roomId/seasons/:seasonId', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_ROOM), async (req, res, next) => {
+  try {
+    await deleteSeason(req.room, req.params.seasonId);
+    res.json({ success: true, message: 'Season deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,77 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const { prisma } = require('../config/database');
 const NotificationService = require('../services/notificationService');
 const PushNotificationService = require('../services/pushNotificationService');
-const { protect, isRoomMember } = require('../middleware/auth');
+const { protect, isRoomMember, requireRoomPermission } = require('../middleware/auth');
 const { validate, createTaskSchema, updateTaskSchema } = require('../middleware/validation');
 const logger = require('../utils/logger');
-
-// Helper to get today's date string (YYYY-MM-DD)
-const getTodayString = () => new Date().toISOString().split('T')[0];
+const { maskHidden } = require('../utils/moderation');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditService');
+const { PERMISSIONS, getMemberRole, hasRoomPermission, roleHasPermission } = require('../utils/roomPermissions');
+const {
+  getTodayString,
+  getUserTimezone,
+  getDayRelation,
+  getRoomDayRelation
+} = require('../services/dayBoundaryService');
+const {
+  PROOF_STATUS,
+  COMPLETION_STATUS,
+  getProofSettings,
+  getGhostApproveAt,
+  castProofVote,
+  rejectCompletion,
+  VOTE_TYPE
+} = require('../services/proofVerificationService');
+const {
+  ALLOWED_MIME_TYPES,
+  MAX_UPLOAD_BYTES,
+  storeImage,
+  isValidNodeMediaUrl
+} = require('../services/mediaStorageService');
+const {
+  getCompletionWindow,
+  isTaskDueOn,
+  getTaskOccurrences,
+  getNextOccurrence,
+  buildRecurrenceData,
+  isDateString,
+  addDays,
+  toDayNumber
+} = require('../utils/recurrence');
+
+// Longest range the calendar endpoint will expand
+const MAX_CALENDAR_RANGE_DAYS = 366;
+
+// Single-image multipart parser for proof/chat media (kept in memory, processed before storing)
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Unsupported image type (allowed: ${ALLOWED_MIME_TYPES.join(', ')})`);
+      error.status = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Run multer and turn its errors into 400/413 responses
+const parseMediaUpload = (req, res, next) => {
+  mediaUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      err.status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        err.message = `Image is too large (max ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB)`;
+      }
+    }
+    next(err);
+  });
+};
 
 // @route   GET /api/rooms/:roomId/tasks
 // @desc    Get today's tasks for room
@@ -19,7 +82,7 @@ router.get('/:roomId/tasks', protect, isRoomMember, async (req, res, next) => {
       return res.status(500).json({ success: false, message: 'Database not initialized' });
     }
     
-    const todayStr = getTodayString();
+    const todayStr = getTodayString(getUserTimezone(req.user));
 
     // Get all active tasks for this room
     const tasks = await prisma.roomTask.findMany({
@@ -29,27 +92,40 @@ router.get('/:roomId/tasks', protect, isRoomMember, async (req, res, next) => {
       }
     });
 
+    // Completions count for today, or for the whole week of a legacy weekly task
+    const windows = new Map(tasks.map(task => [task.id, getCompletionWindow(task, todayStr)]));
+    const windowStart = [todayStr, ...[...windows.values()].map(w => w.start)].sort()[0];
+    const inWindow = (c) => {
+      const window = windows.get(c.taskId);
+      return !!window && c.completionDate >= window.start && c.completionDate <= window.end;
+    };
+
     // Get completions for today (for current user)
-    const userCompletions = await prisma.taskCompletion.findMany({
+    const userCompletions = (await prisma.taskCompletion.findMany({
       where: {
         userId: req.user.id,
         roomId: req.params.roomId,
-        completionDate: todayStr
-      }
-    });
+        completionDate: { gte: windowStart, lte: todayStr }
+      },
+      orderBy: { completionDate: 'desc' }
+    })).filter(inWindow);
 
     // Get ALL completions for today (to show who completed what)
-    const allCompletions = await prisma.taskCompletion.findMany({
+    const allCompletions = (await prisma.taskCompletion.findMany({
       where: {
         roomId: req.params.roomId,
-        completionDate: todayStr
+        completionDate: { gte: windowStart, lte: todayStr },
+        status: { not: COMPLETION_STATUS.REJECTED }
       },
       include: {
         user: { select: { id: true, username: true, avatar: true } }
       }
-    });
+    })).filter(inWindow);
 
-    const completedTaskIds = new Set(userCompletions.map(c => c.taskId));
+    // Rejected proofs don't count as completed (the user may resubmit)
+    const completedTaskIds = new Set(
+      userCompletions.filter(c => c.status !== COMPLETION_STATUS.REJECTED).map(c => c.taskId)
+    );
 
     // Get ALL task assignments for these tasks
     let allAssignments = [];
@@ -70,11 +146,16 @@ router.get('/:roomId/tasks', protect, isRoomMember, async (req, res, next) => {
       const taskAssignments = allAssignments.filter(a => a.taskId === task.id);
       const userAssignment = taskAssignments.find(a => a.userId === req.user.id);
       
+      const isDueToday = isTaskDueOn(task, todayStr);
+
       return {
         ...task,
         _id: task.id,
+        isDueToday,
+        nextDueDate: isDueToday ? todayStr : getNextOccurrence(task, todayStr),
         isCompleted: completedTaskIds.has(task.id),
         completionId: userCompletions.find(c => c.taskId === task.id)?.id,
+        completionStatus: userCompletions.find(c => c.taskId === task.id)?.status || null,
         // User's join status
         isJoined: userAssignment?.status === 'accepted',
         status: userAssignment?.status === 'accepted' ? 'accepted' : 'spectator',
@@ -107,23 +188,25 @@ router.get('/:roomId/tasks', protect, isRoomMember, async (req, res, next) => {
 
 // @route   POST /api/rooms/:roomId/tasks
 // @desc    Create a new task
-// @access  Private (must be member, check permissions)
-router.post('/:roomId/tasks', protect, isRoomMember, validate(createTaskSchema), async (req, res, next) => {
+// @access  Private (owner or admin)
+router.post('/:roomId/tasks', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_TASKS), validate(createTaskSchema), async (req, res, next) => {
   try {
-    const { title, description, points, taskType, frequency, daysOfWeek } = req.body;
-
-    // Check permissions (only owner can create tasks for now)
-    const isOwner = req.room.ownerId === req.user.id;
-
-    if (!isOwner) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only room owner can create tasks'
-      });
+    const { title, description, points, taskType, frequency, daysOfWeek, recurrenceRule } = req.body;
+
+    // Determine taskType - support both taskType and frequency fields.
+    // A bare recurrence rule is stored as a custom task.
+    const finalTaskType = taskType || frequency || (recurrenceRule ? 'custom' : 'daily');
+
+    // Recurrence rule, start/end days and exceptions (400 on invalid combinations)
+    let recurrenceData;
+    try {
+      recurrenceData = buildRecurrenceData(req.body);
+    } catch (err) {
+      return res.status(err.status || 400).json({ success: false, message: err.message });
+    }
+    if (recurrenceData.recurrenceRule && !recurrenceData.recurrenceStart) {
+      recurrenceData.recurrenceStart = getTodayString(getUserTimezone(req.user));
     }
-
-    // Determine taskType - support both taskType and frequency fields
-    const finalTaskType = taskType || frequency || 'daily';
 
     // Validate daysOfWeek for custom frequency
     let finalDaysOfWeek = [];
@@ -144,6 +227,7 @@ router.post('/:roomId/tasks', protect, isRoomMember, validate(createTaskSchema),
         description: description || null,
         taskType: finalTaskType,
         daysOfWeek: daysOfWeekString,
+        ...recurrenceData,
         points: points || 10,
         isActive: true
       }
@@ -159,6 +243,7 @@ router.post('/:roomId/tasks', protect, isRoomMember, validate(createTaskSchema),
       try {
         await NotificationService.createNotification({
           recipientId: memberId,
+          actorId: req.user.id,
           type: 'new_task',
           title: `New Task in ${req.room.name}`,
           message: `${req.user.username} created: ${title}`,
@@ -175,7 +260,8 @@ router.post('/:roomId/tasks', protect, isRoomMember, validate(createTaskSchema),
         roomMembers,
         { ...task, roomId: req.params.roomId },
         req.room.name,
-        req.user.username
+        req.user.username,
+        req.user.id
       ).catch(err => logger.error('Push notification error:', err));
     }
 
@@ -198,8 +284,8 @@ router.post('/:roomId/tasks', protect, isRoomMember, validate(createTaskSchema),
 
 // @route   PUT /api/rooms/:roomId/tasks/:taskId
 // @desc    Update a task
-// @access  Private (owner only)
-router.put('/:roomId/tasks/:taskId', protect, isRoomMember, validate(updateTaskSchema), async (req, res, next) => {
+// @access  Private (owner or admin)
+router.put('/:roomId/tasks/:taskId', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_TASKS), validate(updateTaskSchema), async (req, res, next) => {
   try {
     const task = await prisma.roomTask.findUnique({
       where: { id: req.params.taskId }
@@ -212,26 +298,37 @@ router.put('/:roomId/tasks/:taskId', protect, isRoomMember, validate(updateTaskS
       });
     }
 
-    // Check permissions (only owner can update)
-    const isOwner = req.room.ownerId === req.user.id;
-
-    if (!isOwner) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this task'
-      });
-    }
-
     // Update fields
-    const { title, description, points, taskType, isActive } = req.body;
+    const { title, description, points, taskType, daysOfWeek, isActive } = req.body;
     const updateData = {};
 
     if (title) updateData.title = title;
     if (description !== undefined) updateData.description = description;
     if (points) updateData.points = points;
     if (taskType) updateData.taskType = taskType;
+    if (daysOfWeek !== undefined) {
+      const days = Array.isArray(daysOfWeek) ? daysOfWeek.filter(d => d >= 0 && d <= 6) : [];
+      updateData.daysOfWeek = days.length > 0 ? days.join(',') : null;
+    }
     if (isActive !== undefined) updateData.isActive = isActive;
 
+    try {
+      Object.assign(updateData, buildRecurrenceData(req.body));
+    } catch (err) {
+      return res.status(err.status || 400).json({ success: false, message: err.message });
+    }
+    if (updateData.recurrenceRule && !task.recurrenceStart && updateData.recurrenceStart === undefined) {
+      updateData.recurrenceStart = getTodayString(getUserTimezone(req.user));
+    }
+    const nextStart = updateData.recurrenceStart !== undefined ? updateData.recurrenceStart : task.recurrenceStart;
+    const nextEnd = updateData.recurrenceEnd !== undefined ? updateData.recurrenceEnd : task.recurrenceEnd;
+    if (nextStart && nextEnd && nextEnd < nextStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'recurrenceEnd cannot be before recurrenceStart'
+      });
+    }
+
     const updatedTask = await prisma.roomTask.update({
       where: { id: req.params.taskId },
       data: updateData
@@ -256,8 +353,8 @@ router.put('/:roomId/tasks/:taskId', protect, isRoomMember, validate(updateTaskS
 
 // @route   DELETE /api/rooms/:roomId/tasks/:taskId
 // @desc    Delete a task
-// @access  Private (owner only)
-router.delete('/:roomId/tasks/:taskId', protect, isRoomMember, async (req, res, next) => {
+// @access  Private (owner or admin)
+router.delete('/:roomId/tasks/:taskId', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MANAGE_TASKS), async (req, res, next) => {
   try {
     const task = await prisma.roomTask.findUnique({
       where: { id: req.params.taskId }
@@ -270,22 +367,25 @@ router.delete('/:roomId/tasks/:taskId', protect, isRoomMember, async (req, res,
       });
     }
 
-    // Check permissions (only owner can delete)
-    const isOwner = req.room.ownerId === req.user.id;
-
-    if (!isOwner) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this task'
-      });
-    }
-
     // Soft delete - set isActive to false (preserves history)
     await prisma.roomTask.update({
       where: { id: req.params.taskId },
       data: { isActive: false }
     });
 
+    await recordAudit({
+      roomId: req.room.id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.TASK_DELETED,
+      targetType: 'task',
+      targetId: task.id,
+      details: {
+        title: task.title,
+        points: task.points,
+        changes: { isActive: { from: task.isActive, to: false } }
+      }
+    }).catch(err => logger.error('Audit log error:', err));
+
     // Emit socket event
     const io = req.app.get('io');
     io.to(req.params.roomId).emit('task:deleted', {
@@ -306,7 +406,7 @@ router.delete('/:roomId/tasks/:taskId', protect, isRoomMember, async (req, res,
 // @route   POST /api/rooms/:roomId/tasks/:taskId/complete
 // @desc    Mark task as complete
 // @access  Private (must be member)
-router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req, res, next) => {
+router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), async (req, res, next) => {
   try {
     const task = await prisma.roomTask.findUnique({
       where: { id: req.params.taskId }
@@ -326,7 +426,16 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
       });
     }
 
-    const todayStr = getTodayString();
+    const todayStr = getTodayString(getUserTimezone(req.user));
+
+    // Only accept completions on days the task's schedule is due
+    if (!isTaskDueOn(task, todayStr)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is not due today',
+        nextDueDate: getNextOccurrence(task, todayStr)
+      });
+    }
 
     // Check if already completed today
     const existingCompletion = await prisma.taskCompletion.findUnique({
@@ -339,13 +448,103 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
       }
     });
 
-    if (existingCompletion) {
+    // A rejected proof can be resubmitted the same day
+    if (existingCompletion && existingCompletion.status !== COMPLETION_STATUS.REJECTED) {
       return res.status(400).json({
         success: false,
         message: 'Task already completed today'
       });
     }
 
+    // Legacy weekly tasks take one completion per week, on any day of it
+    const window = getCompletionWindow(task, todayStr);
+    if (window.start !== window.end) {
+      const completedThisWeek = await prisma.taskCompletion.findFirst({
+        where: {
+          taskId: task.id,
+          userId: req.user.id,
+          completionDate: { gte: window.start, lte: window.end },
+          status: { not: COMPLETION_STATUS.REJECTED }
+        },
+        select: { id: true }
+      });
+      if (completedThisWeek) {
+        return res.status(400).json({
+          success: false,
+          message: 'Task already completed this week'
+        });
+      }
+    }
+
+    // Rooms that require proof: link (or create) a PROOF node and keep the completion provisional
+    const { requireProof } = getProofSettings(req.room);
+    let proofNode = null;
+
+    if (requireProof) {
+      const { proofNodeId, proofContent, mediaUrl, blurHash } = req.body || {};
+
+      if (proofNodeId) {
+        proofNode = await prisma.roomTaskNode.findUnique({
+          where: { id: proofNodeId },
+          include: { completion: { select: { id: true } } }
+        });
+
+        if (!proofNode || proofNode.taskId !== req.params.taskId || proofNode.roomId !== req.params.roomId ||
+            proofNode.type !== 'PROOF' || proofNode.userId !== req.user.id) {
+          return res.status(400).json({
+            success: false,
+            message: 'Proof not found for this task'
+          });
+        }
+
+        // Only an unverified proof can back a new completion
+        if (proofNode.completion || proofNode.status !== PROOF_STATUS.PENDING) {
+          return res.status(400).json({
+            success: false,
+            message: 'This proof has already been used'
+          });
+        }
+      } else if (proofContent || mediaUrl) {
+        if (mediaUrl && !isValidNodeMediaUrl(mediaUrl, req.params.roomId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Media must be uploaded to this room'
+          });
+        }
+
+        proofNode = await prisma.roomTaskNode.create({
+          data: {
+            roomId: req.params.roomId,
+            taskId: req.params.taskId,
+            userId: req.user.id,
+            type: 'PROOF',
+            content: proofContent || null,
+            mediaUrl: mediaUrl || null,
+            blurHash: blurHash || null,
+            status: PROOF_STATUS.PENDING
+          },
+          include: {
+            user: { select: { id: true, username: true, avatar: true } }
+          }
+        });
+
+        req.app.get('io').to(req.params.roomId).emit('thread:node_created', {
+          roomId: req.params.roomId,
+          taskId: req.params.taskId,
+          node: { ...proofNode, _id: proofNode.id }
+        });
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: 'This room requires proof to complete tasks (send proofNodeId or proofContent/mediaUrl)'
+        });
+      }
+    }
+
+    if (existingCompletion) {
+      await prisma.taskCompletion.delete({ where: { id: existingCompletion.id } });
+    }
+
     // Create completion record
     const completion = await prisma.taskCompletion.create({
       data: {
@@ -353,10 +552,18 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
         roomId: req.params.roomId,
         taskId: req.params.taskId,
         pointsAwarded: task.points,
-        completionDate: todayStr
+        completionDate: todayStr,
+        ...(proofNode && {
+          status: COMPLETION_STATUS.PROVISIONAL,
+          proofNodeId: proofNode.id,
+          ghostApproveAt: getGhostApproveAt(req.room)
+        })
       }
     });
 
+    // Streak state before this completion, restored if its proof is rejected
+    const streakSnapshot = {};
+
     // Update user stats
     await prisma.user.update({
       where: { id: req.user.id },
@@ -387,43 +594,32 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
       }
     });
 
-    // Calculate streak updates using user's timezone
-    const userTimezone = req.user.timezone || 'UTC';
-    
-    // Helper to get today's date in user's timezone
-    const getUserLocalDate = (tz) => {
-      const d = new Date();
-      const formatter = new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' });
-      return formatter.format(d); // Returns YYYY-MM-DD
-    };
-    
-    const userTodayStr = getUserLocalDate(userTimezone);
-    const userTodayStart = new Date(userTodayStr + 'T00:00:00Z');
-    const userYesterdayStart = new Date(userTodayStart);
-    userYesterdayStart.setUTCDate(userYesterdayStart.getUTCDate() - 1);
+    // Calculate streak updates on the user's local day
+    const userTimezone = getUserTimezone(req.user);
     const now = new Date();
 
     let newStreak = 1;
     let newLongestStreak = 1;
+
+    streakSnapshot.progress = {
+      currentStreak: existingProgress?.currentStreak || 0,
+      longestStreak: existingProgress?.longestStreak || 0,
+      lastCompletionDate: existingProgress?.lastCompletionDate || null
+    };
     
     if (existingProgress) {
       const lastCompletion = existingProgress.lastCompletionDate;
       
       if (lastCompletion) {
-        const lastCompletionDate = new Date(lastCompletion);
-        const lastCompletionDay = new Date(Date.UTC(
-          lastCompletionDate.getUTCFullYear(),
-          lastCompletionDate.getUTCMonth(),
-          lastCompletionDate.getUTCDate()
-        ));
-        
+        const relation = getDayRelation(lastCompletion, userTimezone, todayStr);
+
         // Check if last completion was today (already completed today, no streak change)
-        if (lastCompletionDay.getTime() === userTodayStart.getTime()) {
+        if (relation === 'today') {
           newStreak = existingProgress.currentStreak;
           newLongestStreak = existingProgress.longestStreak;
         }
         // Check if last completion was yesterday (continue streak)
-        else if (lastCompletionDay.getTime() === userYesterdayStart.getTime()) {
+        else if (relation === 'yesterday') {
           newStreak = existingProgress.currentStreak + 1;
           newLongestStreak = Math.max(existingProgress.longestStreak, newStreak);
         }
@@ -466,19 +662,20 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
     
     let globalStreak = 1;
     let globalLongestStreak = user?.longestStreak || 1;
+
+    streakSnapshot.user = {
+      streak: user?.streak || 0,
+      longestStreak: user?.longestStreak || 0,
+      lastStreakDate: user?.lastStreakDate || null
+    };
     
     if (user?.lastStreakDate) {
-      const lastStreakDay = new Date(user.lastStreakDate);
-      const lastStreakDayStart = new Date(Date.UTC(
-        lastStreakDay.getUTCFullYear(),
-        lastStreakDay.getUTCMonth(),
-        lastStreakDay.getUTCDate()
-      ));
-      
-      if (lastStreakDayStart.getTime() === userTodayStart.getTime()) {
+      const relation = getDayRelation(user.lastStreakDate, userTimezone, todayStr);
+
+      if (relation === 'today') {
         // Already completed today, keep current streak
         globalStreak = user.streak;
-      } else if (lastStreakDayStart.getTime() === userYesterdayStart.getTime()) {
+      } else if (relation === 'yesterday') {
         // Continue streak
         globalStreak = user.streak + 1;
         globalLongestStreak = Math.max(globalLongestStreak, globalStreak);
@@ -497,28 +694,29 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
       }
     });
 
-    // Update room streak (first completion of the day updates room streak)
+    // Update room streak (first completion of the room day updates room streak)
     const room = await prisma.room.findUnique({
       where: { id: req.params.roomId },
-      select: { streak: true, longestStreak: true, lastActivityDate: true }
+      select: { streak: true, longestStreak: true, lastActivityDate: true, timezone: true, dayRolloverHour: true }
     });
 
     if (room) {
       let roomStreak = 1;
       let roomLongestStreak = room.longestStreak || 1;
 
+      streakSnapshot.room = {
+        streak: room.streak || 0,
+        longestStreak: room.longestStreak || 0,
+        lastActivityDate: room.lastActivityDate || null
+      };
+
       if (room.lastActivityDate) {
-        const lastActivityDay = new Date(room.lastActivityDate);
-        const lastActivityDayStart = new Date(Date.UTC(
-          lastActivityDay.getUTCFullYear(),
-          lastActivityDay.getUTCMonth(),
-          lastActivityDay.getUTCDate()
-        ));
-
-        if (lastActivityDayStart.getTime() === userTodayStart.getTime()) {
+        const relation = getRoomDayRelation(room, room.lastActivityDate);
+
+        if (relation === 'today') {
           // Already had activity today, keep current streak
           roomStreak = room.streak;
-        } else if (lastActivityDayStart.getTime() === userYesterdayStart.getTime()) {
+        } else if (relation === 'yesterday') {
           // Continue room streak
           roomStreak = room.streak + 1;
           roomLongestStreak = Math.max(roomLongestStreak, roomStreak);
@@ -538,6 +736,13 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
       });
     }
 
+    if (proofNode) {
+      await prisma.taskCompletion.update({
+        where: { id: completion.id },
+        data: { streakSnapshot: JSON.stringify(streakSnapshot) }
+      });
+    }
+
     // Get updated leaderboard
     const leaderboard = await prisma.roomMember.findMany({
       where: { roomId: req.params.roomId },
@@ -557,6 +762,7 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
       try {
         await NotificationService.createNotification({
           recipientId: memberId,
+          actorId: req.user.id,
           type: 'task_completed',
           title: `Task Completed in ${req.room.name}`,
           message: `${req.user.username} completed: ${task.title}`,
@@ -573,7 +779,8 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
         roomMembers,
         { ...task, roomId: req.params.roomId },
         req.user.username,
-        req.room.name
+        req.room.name,
+        req.user.id
       ).catch(err => logger.error('Push notification error:', err));
     }
 
@@ -586,6 +793,8 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
       username: req.user.username,
       avatar: req.user.avatar,
       points: task.points,
+      status: completion.status,
+      proofNodeId: completion.proofNodeId,
       leaderboard: leaderboard.map(m => ({
         _id: m.id,
         oderId: m.userId,
@@ -599,7 +808,8 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
     res.status(201).json({
       success: true,
       completion: { ...completion, _id: completion.id },
-      pointsAwarded: task.points
+      pointsAwarded: task.points,
+      requiresVerification: completion.status === COMPLETION_STATUS.PROVISIONAL
     });
   } catch (error) {
     next(error);
@@ -609,24 +819,45 @@ router.post('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req
 // @route   DELETE /api/rooms/:roomId/tasks/:taskId/complete
 // @desc    Unmark task completion
 // @access  Private (must be member)
-router.delete('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (req, res, next) => {
+router.delete('/:roomId/tasks/:taskId/complete', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), async (req, res, next) => {
   try {
-    const todayStr = getTodayString();
+    const task = await prisma.roomTask.findUnique({
+      where: { id: req.params.taskId }
+    });
+
+    if (!task || task.roomId !== req.params.roomId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const todayStr = getTodayString(getUserTimezone(req.user));
 
-    const completion = await prisma.taskCompletion.findUnique({
+    // Legacy weekly tasks may have been completed on an earlier day of this week
+    const window = getCompletionWindow(task, todayStr);
+    const completions = await prisma.taskCompletion.findMany({
       where: {
-        taskId_userId_completionDate: {
-          taskId: req.params.taskId,
-          userId: req.user.id,
-          completionDate: todayStr
-        }
-      }
+        taskId: task.id,
+        userId: req.user.id,
+        completionDate: { gte: window.start, lte: window.end }
+      },
+      orderBy: { completionDate: 'desc' }
     });
+    const completion = completions.find(c => c.status !== COMPLETION_STATUS.REJECTED) || completions[0];
 
     if (!completion) {
       return res.status(404).json({
         success: false,
-        message: 'Completion not found for today'
+        message: window.start === window.end ? 'Completion not found for today' : 'Completion not found for this week'
+      });
+    }
+
+    // Rejected completions have already had their points reversed
+    if (completion.status === COMPLETION_STATUS.REJECTED) {
+      return res.status(400).json({
+        success: false,
+        message: 'This completion was rejected and has already been reversed'
       });
     }
 
@@ -664,7 +895,7 @@ router.delete('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (r
         where: { id: existingProgress.id },
         data: {
           totalPoints: { decrement: completion.pointsAwarded },
-          tasksCompletedToday: { decrement: 1 }
+          ...(completion.completionDate === todayStr && { tasksCompletedToday: { decrement: 1 } })
         }
       });
     }
@@ -711,7 +942,7 @@ router.delete('/:roomId/tasks/:taskId/complete', protect, isRoomMember, async (r
 // @route   POST /api/rooms/:roomId/tasks/:taskId/join
 // @desc    Join a task (become participant)
 // @access  Private (must be room member)
-router.post('/:roomId/tasks/:taskId/join', protect, isRoomMember, async (req, res, next) => {
+router.post('/:roomId/tasks/:taskId/join', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), async (req, res, next) => {
   try {
     const task = await prisma.roomTask.findUnique({
       where: { id: req.params.taskId }
@@ -799,7 +1030,7 @@ router.post('/:roomId/tasks/:taskId/join', protect, isRoomMember, async (req, re
 // @route   POST /api/rooms/:roomId/tasks/:taskId/leave
 // @desc    Leave a task (remove participation)
 // @access  Private (must be room member)
-router.post('/:roomId/tasks/:taskId/leave', protect, isRoomMember, async (req, res, next) => {
+router.post('/:roomId/tasks/:taskId/leave', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), async (req, res, next) => {
   try {
     const task = await prisma.roomTask.findUnique({
       where: { id: req.params.taskId }
@@ -856,8 +1087,8 @@ router.post('/:roomId/tasks/:taskId/leave', protect, isRoomMember, async (req, r
 
 // @route   POST /api/rooms/:roomId/tasks/:taskId/assign
 // @desc    Assign task to user
-// @access  Private (must be member)
-router.post('/:roomId/tasks/:taskId/assign', protect, isRoomMember, async (req, res, next) => {
+// @access  Private (members assign themselves; owner, admin or moderator assign others)
+router.post('/:roomId/tasks/:taskId/assign', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), async (req, res, next) => {
   try {
     const { userId } = req.body;
     
@@ -868,6 +1099,13 @@ router.post('/:roomId/tasks/:taskId/assign', protect, isRoomMember, async (req,
       });
     }
 
+    if (userId !== req.user.id && !hasRoomPermission(req.room, req.user.id, PERMISSIONS.ASSIGN_TASKS)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the room owner, admins or moderators can assign tasks to others'
+      });
+    }
+
     const task = await prisma.roomTask.findUnique({
       where: { id: req.params.taskId }
     });
@@ -896,6 +1134,13 @@ router.post('/:roomId/tasks/:taskId/assign', protect, isRoomMember, async (req,
       });
     }
 
+    if (!roleHasPermission(getMemberRole(req.room, userId), PERMISSIONS.PARTICIPATE)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tasks can only be assigned to active, participating members'
+      });
+    }
+
     // Check if already assigned
     const existingAssignment = await prisma.roomTaskAssignment.findUnique({
       where: {
@@ -970,11 +1215,11 @@ router.put('/:roomId/tasks/:taskId/assign/:userId', protect, isRoomMember, async
       });
     }
 
-    // Only the assigned user can update their status, or owner can update any
-    const isOwner = req.room.ownerId === req.user.id;
+    // Only the assigned user can update their status, or anyone who assigns work can update any
+    const canAssign = hasRoomPermission(req.room, req.user.id, PERMISSIONS.ASSIGN_TASKS);
     const isAssignedUser = req.user.id === req.params.userId;
 
-    if (!isOwner && !isAssignedUser) {
+    if (!canAssign && !isAssignedUser) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this assignment'
@@ -1049,9 +1294,23 @@ router.get('/:roomId/tasks/calendar', protect, isRoomMember, async (req, res, ne
       });
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    end.setHours(23, 59, 59, 999);
+    // Accept plain days or full ISO timestamps; the schedule is evaluated per calendar day
+    const startStr = String(startDate).slice(0, 10);
+    const endStr = String(endDate).slice(0, 10);
+
+    if (!isDateString(startStr) || !isDateString(endStr) || endStr < startStr) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    if (toDayNumber(endStr) - toDayNumber(startStr) >= MAX_CALENDAR_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${MAX_CALENDAR_RANGE_DAYS} days`
+      });
+    }
 
     // Get all tasks for the room
     const tasks = await prisma.roomTask.findMany({
@@ -1065,10 +1324,11 @@ router.get('/:roomId/tasks/calendar', protect, isRoomMember, async (req, res, ne
     const completions = await prisma.taskCompletion.findMany({
       where: {
         roomId: req.params.roomId,
-        completedAt: {
-          gte: start,
-          lte: end
-        }
+        completionDate: {
+          gte: startStr,
+          lte: endStr
+        },
+        status: { not: COMPLETION_STATUS.REJECTED }
       },
       include: {
         user: { select: { id: true, username: true, avatar: true } }
@@ -1087,65 +1347,39 @@ router.get('/:roomId/tasks/calendar', protect, isRoomMember, async (req, res, ne
 
     // Organize tasks by date
     const tasksByDate = {};
-    const currentDate = new Date(start);
-    
-    while (currentDate <= end) {
-      const dateStr = currentDate.toISOString().split('T')[0];
+    for (let dateStr = startStr; dateStr <= endStr; dateStr = addDays(dateStr, 1)) {
       tasksByDate[dateStr] = [];
-      currentDate.setDate(currentDate.getDate() + 1);
     }
 
-    // Helper to check if task should appear on a specific date
-    const shouldTaskAppearOnDate = (task, date) => {
-      const dayOfWeek = date.getDay(); // 0 = Sunday, 1 = Monday, etc.
-      
-      if (task.taskType === 'daily') {
-        return true;
-      } else if (task.taskType === 'weekly') {
-        return dayOfWeek === 1; // Every Monday
-      } else if (task.taskType === 'custom' && task.daysOfWeek) {
-        const days = task.daysOfWeek.split(',').map(d => parseInt(d));
-        return days.includes(dayOfWeek);
-      }
-      return false;
-    };
-
-    // Add tasks to appropriate dates
+    // Add each task to the days its recurrence rule is due
     tasks.forEach(task => {
-      const currentDate = new Date(start);
-      while (currentDate <= end) {
-        if (shouldTaskAppearOnDate(task, currentDate)) {
-          const dateStr = currentDate.toISOString().split('T')[0];
-          
-          // Get completions for this task and date
-          const taskCompletions = completions.filter(c => 
-            c.taskId === task.id && 
-            c.completionDate === dateStr
-          );
-
-          // Get assignments for this task
-          const taskAssignments = assignments.filter(a => a.taskId === task.id);
-
-          tasksByDate[dateStr].push({
-            ...task,
-            _id: task.id,
-            completions: taskCompletions.map(c => ({
-              userId: c.user.id,
-              username: c.user.username,
-              avatar: c.user.avatar,
-              completedAt: c.completedAt
-            })),
-            assignments: taskAssignments.map(a => ({
-              userId: a.user.id,
-              username: a.user.username,
-              avatar: a.user.avatar,
-              status: a.status,
-              assignedAt: a.assignedAt
-            }))
-          });
-        }
-        currentDate.setDate(currentDate.getDate() + 1);
-      }
+      const taskAssignments = assignments.filter(a => a.taskId === task.id);
+
+      getTaskOccurrences(task, startStr, endStr).forEach(dateStr => {
+        // Get completions for this task and date (any day of the week for legacy weekly tasks)
+        const taskCompletions = completions.filter(c =>
+          c.taskId === task.id &&
+          getCompletionWindow(task, c.completionDate).start === dateStr
+        );
+
+        tasksByDate[dateStr].push({
+          ...task,
+          _id: task.id,
+          completions: taskCompletions.map(c => ({
+            userId: c.user.id,
+            username: c.user.username,
+            avatar: c.user.avatar,
+            completedAt: c.completedAt
+          })),
+          assignments: taskAssignments.map(a => ({
+            userId: a.user.id,
+            username: a.user.username,
+            avatar: a.user.avatar,
+            status: a.status,
+            assignedAt: a.assignedAt
+          }))
+        });
+      });
     });
 
     res.json({
@@ -1170,7 +1404,13 @@ router.get('/:roomId/tasks/:taskId/nodes', protect, isRoomMember, async (req, re
         roomId: req.params.roomId
       },
       include: {
-        user: { select: { id: true, username: true, avatar: true } }
+        user: { select: { id: true, username: true, avatar: true } },
+        votes: {
+          include: {
+            user: { select: { id: true, username: true, avatar: true } }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
       },
       orderBy: { createdAt: 'asc' }
     });
@@ -1178,10 +1418,61 @@ router.get('/:roomId/tasks/:taskId/nodes', protect, isRoomMember, async (req, re
     res.json({
       success: true,
       count: nodes.length,
-      nodes: nodes.map(n => ({
-        ...n,
-        _id: n.id
-      }))
+      nodes: nodes.map(({ votes, ...node }) => {
+        const n = maskHidden(node);
+        return {
+          ...n,
+          _id: n.id,
+          voters: votes.map(v => ({
+            userId: v.userId,
+            username: v.user.username,
+            avatar: v.user.avatar,
+            type: v.type,
+            createdAt: v.createdAt
+          })),
+          myVote: votes.find(v => v.userId === req.user.id)?.type || null,
+          isVouchedByMe: votes.some(v => v.userId === req.user.id && v.type === VOTE_TYPE.VOUCH)
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/rooms/:roomId/tasks/:taskId/media
+// @desc    Upload an image (multipart field "file") to attach to a node via mediaUrl/blurHash
+// @access  Private (must be member)
+router.post('/:roomId/tasks/:taskId/media', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), parseMediaUpload, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded (expected multipart field "file")'
+      });
+    }
+
+    const task = await prisma.roomTask.findUnique({
+      where: { id: req.params.taskId },
+      select: { roomId: true }
+    });
+
+    if (!task || task.roomId !== req.params.roomId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const media = await storeImage({
+      buffer: req.file.buffer,
+      roomId: req.params.roomId
+    });
+
+    logger.info(`Media uploaded by ${req.user.email} for task ${req.params.taskId} (${media.size} bytes)`);
+    res.status(201).json({
+      success: true,
+      media
     });
   } catch (error) {
     next(error);
@@ -1191,9 +1482,9 @@ router.get('/:roomId/tasks/:taskId/nodes', protect, isRoomMember, async (req, re
 // @route   POST /api/rooms/:roomId/tasks/:taskId/nodes
 // @desc    Create a new node (PROOF, MESSAGE, SYSTEM_ALERT)
 // @access  Private (must be member)
-router.post('/:roomId/tasks/:taskId/nodes', protect, isRoomMember, async (req, res, next) => {
+router.post('/:roomId/tasks/:taskId/nodes', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), async (req, res, next) => {
   try {
-    const { type, content, mediaUrl, status, clientReferenceId } = req.body;
+    const { type, content, mediaUrl, blurHash, status, clientReferenceId } = req.body;
 
     // Validate task belongs to room
     const task = await prisma.roomTask.findUnique({
@@ -1207,15 +1498,25 @@ router.post('/:roomId/tasks/:taskId/nodes', protect, isRoomMember, async (req, r
       });
     }
 
+    if (mediaUrl && !isValidNodeMediaUrl(mediaUrl, req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Media must be uploaded to this room'
+      });
+    }
+
+    const nodeType = type || 'MESSAGE';
     const node = await prisma.roomTaskNode.create({
       data: {
         roomId: req.params.roomId,
         taskId: req.params.taskId,
         userId: req.user.id,
-        type: type || 'MESSAGE',
+        type: nodeType,
         content: content || null,
         mediaUrl: mediaUrl || null,
-        status: status || 'PENDING'
+        blurHash: blurHash || null,
+        // Proofs always start unverified; only vouch/dispute/reject move them on
+        status: nodeType === 'PROOF' ? PROOF_STATUS.PENDING : (status || 'PENDING')
       },
       include: {
         user: { select: { id: true, username: true, avatar: true } }
@@ -1245,30 +1546,55 @@ router.post('/:roomId/tasks/:taskId/nodes', protect, isRoomMember, async (req, r
 });
 
 // @route   PUT /api/rooms/:roomId/tasks/:taskId/nodes/:nodeId
-// @desc    Update node (vouch, approve, update content)
+// @desc    Update node (content, status of non-proof nodes)
 // @access  Private (must be member)
-router.put('/:roomId/tasks/:taskId/nodes/:nodeId', protect, isRoomMember, async (req, res, next) => {
+router.put('/:roomId/tasks/:taskId/nodes/:nodeId', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), async (req, res, next) => {
   try {
     const { content, status, vouch } = req.body;
 
+    // Vouches are recorded per member through POST /nodes/:nodeId/vouch
+    if (vouch !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the vouch endpoint to vouch for a node'
+      });
+    }
+
     // Find existing node
     const existingNode = await prisma.roomTaskNode.findUnique({
       where: { id: req.params.nodeId }
     });
 
-    if (!existingNode || existingNode.taskId !== req.params.taskId) {
+    if (!existingNode || existingNode.taskId !== req.params.taskId || existingNode.roomId !== req.params.roomId) {
       return res.status(404).json({
         success: false,
         message: 'Node not found'
       });
     }
 
+    // Content belongs to its author; proof moderators may tidy it up
+    if (
+      content !== undefined &&
+      existingNode.userId !== req.user.id &&
+      !hasRoomPermission(req.room, req.user.id, PERMISSIONS.MODERATE_PROOFS)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this node'
+      });
+    }
+
+    // Proof verification state only changes through the vouch/dispute/reject endpoints
+    if (existingNode.type === 'PROOF' && status !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the vouch or reject endpoints to verify a proof'
+      });
+    }
+
     const updateData = {};
     if (content !== undefined) updateData.content = content;
     if (status !== undefined) updateData.status = status;
-    if (vouch === true) {
-      updateData.vouchCount = { increment: 1 };
-    }
 
     const updatedNode = await prisma.roomTaskNode.update({
       where: { id: req.params.nodeId },
@@ -1282,7 +1608,6 @@ router.put('/:roomId/tasks/:taskId/nodes/:nodeId', protect, isRoomMember, async
     const safePatch = {};
     if (content !== undefined) safePatch.content = updatedNode.content;
     if (status !== undefined) safePatch.status = updatedNode.status;
-    if (vouch === true) safePatch.vouchCount = updatedNode.vouchCount;
 
     // Emit socket event
     const io = req.app.get('io');
@@ -1302,27 +1627,169 @@ router.put('/:roomId/tasks/:taskId/nodes/:nodeId', protect, isRoomMember, async
   }
 });
 
+// Shared handler for vouch/dispute votes on a PROOF node (one vote per member)
+const castVote = (type) => async (req, res, next) => {
+  try {
+    const node = await prisma.roomTaskNode.findUnique({
+      where: { id: req.params.nodeId }
+    });
+
+    if (!node || node.taskId !== req.params.taskId || node.roomId !== req.params.roomId || node.type !== 'PROOF') {
+      return res.status(404).json({
+        success: false,
+        message: 'Proof not found'
+      });
+    }
+
+    if (node.status !== PROOF_STATUS.PENDING) {
+      return res.status(400).json({
+        success: false,
+        message: 'This proof is no longer awaiting verification'
+      });
+    }
+
+    let result;
+    try {
+      result = await castProofVote({ node, room: req.room, voterId: req.user.id, type });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      throw err;
+    }
+
+    const { node: updatedNode, vote, completion, outcome } = result;
+    const voter = { ...vote.user, _id: vote.user.id };
+
+    // Emit socket events
+    const io = req.app.get('io');
+    io.to(req.params.roomId).emit(type === VOTE_TYPE.VOUCH ? 'node:vouched' : 'node:disputed', {
+      roomId: req.params.roomId,
+      taskId: req.params.taskId,
+      nodeId: req.params.nodeId,
+      type,
+      voter,
+      vouchCount: updatedNode.vouchCount,
+      disputeCount: updatedNode.disputeCount,
+      status: updatedNode.status,
+      outcome
+    });
+    io.to(req.params.roomId).emit('thread:node_updated', {
+      roomId: req.params.roomId,
+      taskId: req.params.taskId,
+      nodeId: req.params.nodeId,
+      patch: {
+        vouchCount: updatedNode.vouchCount,
+        disputeCount: updatedNode.disputeCount,
+        status: updatedNode.status
+      }
+    });
+
+    logger.info(`Proof ${node.id} ${type === VOTE_TYPE.VOUCH ? 'vouched' : 'disputed'} by ${req.user.email}`);
+    res.json({
+      success: true,
+      outcome,
+      node: { ...updatedNode, _id: updatedNode.id },
+      vote: { id: vote.id, _id: vote.id, type: vote.type, createdAt: vote.createdAt, user: voter },
+      completion: completion ? { ...completion, _id: completion.id } : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   POST /api/rooms/:roomId/tasks/:taskId/nodes/:nodeId/vouch
+// @desc    Vouch for a proof (verifies the completion at the room's threshold; owner vouch approves)
+// @access  Private (must be member, not the proof's author, once per proof)
+router.post('/:roomId/tasks/:taskId/nodes/:nodeId/vouch', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), castVote(VOTE_TYPE.VOUCH));
+
+// @route   POST /api/rooms/:roomId/tasks/:taskId/nodes/:nodeId/dispute
+// @desc    Dispute a proof (blocks ghost approval; rejects the completion at the room's threshold)
+// @access  Private (must be member, not the proof's author, once per proof)
+router.post('/:roomId/tasks/:taskId/nodes/:nodeId/dispute', protect, isRoomMember, requireRoomPermission(PERMISSIONS.PARTICIPATE), castVote(VOTE_TYPE.DISPUTE));
+
+// @route   POST /api/rooms/:roomId/tasks/:taskId/nodes/:nodeId/reject
+// @desc    Reject a proof and reverse the completion's points and streak effects
+// @access  Private (owner, admin or moderator)
+router.post('/:roomId/tasks/:taskId/nodes/:nodeId/reject', protect, isRoomMember, requireRoomPermission(PERMISSIONS.MODERATE_PROOFS), async (req, res, next) => {
+  try {
+    const node = await prisma.roomTaskNode.findUnique({
+      where: { id: req.params.nodeId },
+      include: { completion: true }
+    });
+
+    if (!node || node.taskId !== req.params.taskId || node.roomId !== req.params.roomId || node.type !== 'PROOF') {
+      return res.status(404).json({
+        success: false,
+        message: 'Proof not found'
+      });
+    }
+
+    if (node.status !== PROOF_STATUS.PENDING) {
+      return res.status(400).json({
+        success: false,
+        message: 'This proof is no longer awaiting verification'
+      });
+    }
+
+    let completion = node.completion;
+    if (completion) {
+      completion = await rejectCompletion(completion, { rejectedBy: req.user.id });
+    } else {
+      // Proof not (yet) attached to a completion: just mark it rejected
+      await prisma.roomTaskNode.update({
+        where: { id: node.id },
+        data: { status: PROOF_STATUS.REJECTED }
+      });
+      req.app.get('io').to(req.params.roomId).emit('thread:node_updated', {
+        roomId: req.params.roomId,
+        taskId: req.params.taskId,
+        nodeId: node.id,
+        patch: { status: PROOF_STATUS.REJECTED }
+      });
+    }
+
+    logger.info(`Proof ${node.id} rejected by ${req.user.email}`);
+    res.json({
+      success: true,
+      message: 'Proof rejected',
+      completion: completion ? { ...completion, _id: completion.id } : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/rooms/:roomId/tasks/:taskId/nodes/:nodeId
 // @desc    Delete a node
-// @access  Private (owner only - node owner or room owner)
+// @access  Private (node author, or owner, admin or moderator)
 router.delete('/:roomId/tasks/:taskId/nodes/:nodeId', protect, isRoomMember, async (req, res, next) => {
   try {
     const node = await prisma.roomTaskNode.findUnique({
-      where: { id: req.params.nodeId }
+      where: { id: req.params.nodeId },
+      include: { completion: { select: { status: true } } }
     });
 
-    if (!node || node.taskId !== req.params.taskId) {
+    if (!node || node.taskId !== req.params.taskId || node.roomId !== req.params.roomId) {
       return res.status(404).json({
         success: false,
         message: 'Node not found'
       });
     }
 
-    // Only node owner or room owner can delete
+    // A proof backing an unverified completion must stay until it is verified or rejected
+    if (node.completion?.status === COMPLETION_STATUS.PROVISIONAL) {
+      return res.status(400).json({
+        success: false,
+        message: 'This proof is awaiting verification; undo the completion instead'
+      });
+    }
+
+    // Only the node's author or a proof moderator can delete
     const isNodeOwner = node.userId === req.user.id;
-    const isRoomOwner = req.room.ownerId === req.user.id;
+    const canModerate = hasRoomPermission(req.room, req.user.id, PERMISSIONS.MODERATE_PROOFS);
 
-    if (!isNodeOwner && !isRoomOwner) {
+    if (!isNodeOwner && !canModerate) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this node'
@@ -1368,7 +1835,8 @@ router.get('/:roomId/tasks/status', protect, isRoomMember, async (req, res, next
         },
         completions: {
           where: {
-            completionDate: getTodayString()
+            completionDate: getTodayString(getUserTimezone(req.user)),
+            status: { not: COMPLETION_STATUS.REJECTED }
           },
           include: {
             user: { select: { id: true, username: true, avatar: true } }
@@ -20,21 +20,32 @@ const passport = require('passport');
 const session = require('express-session');
 const { prisma, connectDatabase } = require('./config/database');
 const { startChatRetentionCleanup } = require('./services/chatRetentionService');
+const { startProofGhostApproval } = require('./services/proofVerificationService');
+const { startSeasonRollover } = require('./services/seasonService');
+const { startNotificationDigest } = require('./services/notificationDigestService');
+const PushNotificationService = require('./services/pushNotificationService');
+const { LOCAL_UPLOAD_DIR, LOCAL_URL_PREFIX, getStorage: getMediaStorage } = require('./services/mediaStorageService');
+const { getTransport: getMailTransport } = require('./services/mailService');
+const { ensureSearchIndexes } = require('./services/messageSearchService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const roomRoutes = require('./routes/rooms');
 const taskRoutes = require('./routes/tasks');
+const seasonRoutes = require('./routes/seasons');
 const notificationRoutes = require('./routes/notifications');
 const pushRoutes = require('./routes/push');
 const friendRoutes = require('./routes/friends');
 const directMessageRoutes = require('./routes/directMessages');
+const groupConversationRoutes = require('./routes/groupConversations');
+const searchRoutes = require('./routes/search');
 const nudgeRoutes = require('./routes/nudges');
 const appreciationRoutes = require('./routes/appreciations');
 const orbitSummaryRoutes = require('./routes/orbitSummary');
 const personalTaskRoutes = require('./routes/personalTasks');
 const aiRoutes = require('./routes/ai');
 const internalRoutes = require('./routes/internal');
+const moderationRoutes = require('./routes/moderation');
 
 
 // Import socket handler
@@ -44,6 +55,11 @@ const { setIO } = require('./socket/io');
 // Cron jobs removed - chat retention handled by chatRetentionService
 // Other cron functionality can be re-implemented with Prisma if needed
 
+// Report a misconfigured mail transport or media backend at startup, not on
+// the first password reset or upload
+getMailTransport();
+getMediaStorage();
+
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -162,6 +178,13 @@ connectDatabase()
       } catch (e) {
         logger.warn('⚠️ Could not ensure chatRetentionDays column:', e.message);
       }
+
+      // Full-text indexes for message search (not expressible in schema.prisma)
+      try {
+        await ensureSearchIndexes();
+      } catch (e) {
+        logger.warn('⚠️ Could not ensure message search indexes:', e.message);
+      }
     }
 
     // Start keep-alive pings to prevent Neon database from sleeping
@@ -169,6 +192,14 @@ connectDatabase()
     // startKeepAlive();
     // Start chat retention cleanup
     startChatRetentionCleanup();
+    // Auto-approve proofs whose verification window has passed
+    startProofGhostApproval();
+    // Start and archive room seasons as their days come round
+    startSeasonRollover();
+    // Email notification digests to users who opted in
+    startNotificationDigest();
+    // Send pushes held for quiet hours or collapsed bursts
+    PushNotificationService.startDeferredDelivery();
   })
   .catch((err) => {
     console.error('❌ PostgreSQL connection error:', err.message);
@@ -187,16 +218,29 @@ setIO(io);
 app.use('/api/auth', authRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/rooms', taskRoutes);
+app.use('/api/rooms', seasonRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/push', pushRoutes);
 app.use('/api/friends', friendRoutes);
 app.use('/api/direct-messages', directMessageRoutes);
+app.use('/api/groups', groupConversationRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/nudges', nudgeRoutes);
 app.use('/api/appreciations', appreciationRoutes);
 app.use('/api/orbit-summary', orbitSummaryRoutes);
 app.use('/api/personal-tasks', personalTaskRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/internal', internalRoutes);
+app.use('/api/moderation', moderationRoutes);
+
+// Uploaded media (local storage backend). Stored names are random and never
+// rewritten, so they can be cached forever; images are embedded cross-origin.
+app.use(LOCAL_URL_PREFIX, express.static(LOCAL_UPLOAD_DIR, {
+  maxAge: '365d',
+  immutable: true,
+  index: false,
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
 
 // Health check
 
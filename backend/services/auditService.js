@@ -0,0 +1,187 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { decodeCursor, encodeCursor, cursorWhere, DIRECTIONS } = require('../utils/messageCursor');
+
+// Persisted audit trail (AuditLog). Room entries carry a roomId; platform
+// moderation has none. `details` is free-form and stored as a JSON string;
+// edits put their before/after values under `details.changes`
+// ({ field: { from, to } }, see diffFields).
+
+// Room actions recorded by the routes (moderation adds `moderation.<action>`)
+const AUDIT_ACTIONS = {
+  ROOM_UPDATED: 'room.updated',
+  SETTINGS_UPDATED: 'room.settings_updated',
+  PREMIUM_ACTIVATED: 'room.premium_activated',
+  PREMIUM_DEACTIVATED: 'room.premium_deactivated',
+  OWNERSHIP_TRANSFERRED: 'room.ownership_transferred',
+  MEMBER_APPROVED: 'member.approved',
+  MEMBER_REJECTED: 'member.rejected',
+  MEMBER_KICKED: 'member.kicked',
+  MEMBER_ROLE_CHANGED: 'member.role_changed',
+  TASK_DELETED: 'task.deleted',
+  MESSAGE_DELETED: 'chat.message_deleted'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 5000;
+
+const USER_SELECT = { id: true, username: true, avatar: true };
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Record an audit entry. Pass a transaction client as `db` to write it with
+ * the change it describes.
+ * @param {object} entry - { roomId, actorId, action, targetType, targetId, targetUserId, details }
+ */
+const recordAudit = async (entry, db = prisma) => {
+  const { roomId = null, actorId = null, action, targetType = null, targetId = null, targetUserId = null, details = null } = entry;
+
+  const log = await db.auditLog.create({
+    data: {
+      roomId,
+      actorId,
+      action,
+      targetType,
+      targetId,
+      targetUserId,
+      details: details ? JSON.stringify(details) : null
+    }
+  });
+
+  logger.info(`Audit: ${action} by ${actorId || 'system'}${roomId ? ` in room ${roomId}` : ''}${targetId ? ` on ${targetType} ${targetId}` : ''}`);
+  return log;
+};
+
+const parseDetails = (details) => {
+  if (!details) return null;
+  try {
+    return JSON.parse(details);
+  } catch (_) {
+    return null;
+  }
+};
+
+const toComparable = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+/**
+ * The fields that differ between two versions of a record.
+ * @param {object} before
+ * @param {object} after
+ * @param {string[]} fields - fields to compare
+ * @returns {object|null} { field: { from, to } }, or null when nothing changed
+ */
+const diffFields = (before, after, fields) => {
+  const changes = {};
+  for (const field of fields) {
+    const from = toComparable(before?.[field]);
+    const to = toComparable(after?.[field]);
+    if (from !== to) changes[field] = { from, to };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+async function formatEntries(logs) {
+  const userIds = [...new Set(logs.flatMap(l => [l.actorId, l.targetUserId]).filter(Boolean))];
+  const users = userIds.length
+    ? await prisma.user.findMany({ where: { id: { in: userIds } }, select: USER_SELECT })
+    : [];
+  const userMap = new Map(users.map(u => [u.id, { ...u, _id: u.id }]));
+
+  return logs.map(log => ({
+    ...log,
+    _id: log.id,
+    details: parseDetails(log.details),
+    actor: userMap.get(log.actorId) || null,
+    targetUser: userMap.get(log.targetUserId) || null
+  }));
+}
+
+// Newest first; id breaks ties between entries written in the same millisecond
+const NEWEST_FIRST = [{ createdAt: 'desc' }, { id: 'desc' }];
+
+const buildWhere = (roomId, { action, cursor } = {}) => ({
+  roomId,
+  ...(action && { action }),
+  ...(cursor && cursorWhere(cursor, DIRECTIONS.BEFORE))
+});
+
+/**
+ * A page of a room's audit log, newest first. Pass `nextCursor` as `before`
+ * for the next page (see utils/messageCursor); `action` filters to one action.
+ */
+async function listRoomAudit(roomId, { limit = DEFAULT_PAGE_SIZE, before, action } = {}) {
+  const take = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const cursor = before ? decodeCursor(before) : null;
+  if (before && !cursor) throw httpError('Invalid cursor', 400);
+
+  const logs = await prisma.auditLog.findMany({
+    where: buildWhere(roomId, { action, cursor }),
+    orderBy: NEWEST_FIRST,
+    take: take + 1
+  });
+
+  const page = logs.slice(0, take);
+  return {
+    entries: await formatEntries(page),
+    hasMore: logs.length > take,
+    nextCursor: logs.length > take ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+const CSV_COLUMNS = ['createdAt', 'action', 'actor', 'targetType', 'targetId', 'targetUser', 'changes', 'details'];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Quote anything with separators, and defuse spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const formatChanges = (changes) =>
+  changes
+    ? Object.entries(changes).map(([field, { from, to }]) => `${field}: ${from ?? '–'} -> ${to ?? '–'}`).join('; ')
+    : '';
+
+/**
+ * The room's audit log (newest first, up to MAX_EXPORT_ROWS) as CSV text.
+ */
+async function exportRoomAuditCsv(roomId, { action } = {}) {
+  const logs = await prisma.auditLog.findMany({
+    where: buildWhere(roomId, { action }),
+    orderBy: NEWEST_FIRST,
+    take: MAX_EXPORT_ROWS
+  });
+  const entries = await formatEntries(logs);
+
+  const rows = entries.map(entry => {
+    const { changes = null, ...rest } = entry.details || {};
+    return [
+      entry.createdAt.toISOString(),
+      entry.action,
+      entry.actor?.username || entry.actorId || 'system',
+      entry.targetType,
+      entry.targetId,
+      entry.targetUser?.username || entry.targetUserId,
+      formatChanges(changes),
+      Object.keys(rest).length > 0 ? JSON.stringify(rest) : ''
+    ].map(csvCell).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+  parseDetails,
+  diffFields,
+  listRoomAudit,
+  exportRoomAuditCsv
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/jwt');
+const { isMailAvailable, sendPasswordResetEmail, sendVerificationEmail } = require('./mailService');
+const { revokeAllSessions } = require('./sessionService');
+
+// Emailed single-use tokens: password reset and email verification.
+//
+// Issuing a token supersedes any unused token of the same type, so only the
+// latest email works. Redeeming is a conditional update on usedAt, so a token
+// can't be used twice even by concurrent requests. A token is also void once
+// the account's email no longer matches the address it was sent to.
+
+const TOKEN_TYPE = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TOKEN_TTL_MS = {
+  [TOKEN_TYPE.PASSWORD_RESET]: 60 * 60 * 1000,            // 1 hour
+  [TOKEN_TYPE.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000    // 24 hours
+};
+
+const RESEND_COOLDOWN_MS = 60 * 1000; // Per user and type
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const mailUnavailable = () => httpError('Email is not available right now. Please try again later.', 503);
+
+const invalidLink = () => httpError('This link is invalid or has expired. Please request a new one.', 400);
+
+/**
+ * Create a token for a user, superseding older unused ones.
+ * Returns null while the resend cooldown is running.
+ * @returns {Promise<{token: string, expiresAt: Date}|null>}
+ */
+async function issueToken(user, type) {
+  const recent = await prisma.authToken.findFirst({
+    where: {
+      userId: user.id,
+      type,
+      createdAt: { gt: new Date(Date.now() - RESEND_COOLDOWN_MS) }
+    },
+    select: { id: true }
+  });
+  if (recent) return null;
+
+  await prisma.authToken.updateMany({
+    where: { userId: user.id, type, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[type]);
+
+  await prisma.authToken.create({
+    data: {
+      userId: user.id,
+      type,
+      tokenHash: hashToken(token),
+      email: user.email,
+      expiresAt
+    }
+  });
+
+  // Tidy up this user's dead tokens while we're here
+  prisma.authToken.deleteMany({
+    where: { userId: user.id, expiresAt: { lt: new Date() } }
+  }).catch(err => logger.warn(`Failed to purge auth tokens for ${user.id}: ${err.message}`));
+
+  return { token, expiresAt };
+}
+
+/**
+ * Mark a token as used and return it with its user. Throws 400 if the token is
+ * unknown, of another type, used, expired, or sent to a previous email address.
+ */
+async function consumeToken(token, type) {
+  if (typeof token !== 'string' || !token) throw invalidLink();
+
+  const record = await prisma.authToken.findUnique({
+    where: { tokenHash: hashToken(token.trim()) },
+    include: { user: true }
+  });
+
+  if (
+    !record ||
+    record.type !== type ||
+    record.usedAt ||
+    record.expiresAt < new Date() ||
+    record.user.email !== record.email
+  ) {
+    throw invalidLink();
+  }
+
+  const { count } = await prisma.authToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  if (count === 0) throw invalidLink();
+
+  return record;
+}
+
+// ==================== PASSWORD RESET ====================
+
+/**
+ * Email a reset link if the address belongs to an account. Resolves the same
+ * way whether or not it does, so callers can't be used to probe for accounts.
+ * Throws 503 while email is disabled (before looking the address up).
+ */
+async function requestPasswordReset(email) {
+  if (!isMailAvailable()) throw mailUnavailable();
+
+  const user = await prisma.user.findUnique({
+    where: { email: email.toLowerCase() },
+    select: { id: true, email: true, username: true }
+  });
+  if (!user) {
+    logger.info(`Password reset requested for unknown email: ${email}`);
+    return;
+  }
+
+  const issued = await issueToken(user, TOKEN_TYPE.PASSWORD_RESET);
+  if (!issued) {
+    logger.info(`Password reset for ${user.id} throttled (cooldown)`);
+    return;
+  }
+
+  await sendPasswordResetEmail(user, issued.token, TOKEN_TTL_MS[TOKEN_TYPE.PASSWORD_RESET] / 60000);
+}
+
+/**
+ * Set a new password from a reset token. Signs out every session, and marks
+ * the email verified (the user just proved they can read it).
+ */
+async function resetPassword(token, password) {
+  const record = await consumeToken(token, TOKEN_TYPE.PASSWORD_RESET);
+
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  await prisma.user.update({
+    where: { id: record.userId },
+    data: {
+      password: hashedPassword,
+      ...(!record.user.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() })
+    }
+  });
+
+  const revoked = await revokeAllSessions(record.userId, 'password_reset');
+  logger.info(`Password reset for user ${record.userId}; ${revoked} session(s) signed out`);
+
+  return record.user;
+}
+
+// ==================== EMAIL VERIFICATION ====================
+
+/**
+ * Email a verification link. Throws 400 if already verified, 503 while email
+ * is disabled and 429 during the resend cooldown.
+ */
+async function sendEmailVerification(user) {
+  if (user.emailVerified) throw httpError('Email is already verified', 400);
+  if (!isMailAvailable()) throw mailUnavailable();
+
+  const issued = await issueToken(user, TOKEN_TYPE.EMAIL_VERIFICATION);
+  if (!issued) {
+    throw httpError('A verification email was sent recently. Please wait a minute and try again.', 429);
+  }
+
+  await sendVerificationEmail(user, issued.token, TOKEN_TTL_MS[TOKEN_TYPE.EMAIL_VERIFICATION] / 3600000);
+}
+
+/**
+ * Mark the token's email verified. Returns the updated user.
+ */
+async function verifyEmail(token) {
+  const record = await consumeToken(token, TOKEN_TYPE.EMAIL_VERIFICATION);
+  if (record.user.emailVerified) return record.user;
+
+  const user = await prisma.user.update({
+    where: { id: record.userId },
+    data: { emailVerified: true, emailVerifiedAt: new Date() }
+  });
+
+  logger.info(`Email verified for user ${user.id}`);
+  return user;
+}
+
+/**
+ * Migration path for accounts created before emailVerified existed: Google
+ * accounts arrive with a verified address (see config/passport), so mark them
+ * verified. Safe to re-run; returns how many users were (or would be) updated.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report changes without writing (default true)
+ */
+async function backfillGoogleEmailVerified({ dryRun = true } = {}) {
+  const where = { googleId: { not: null }, emailVerified: false };
+
+  const count = dryRun
+    ? await prisma.user.count({ where })
+    : (await prisma.user.updateMany({ where, data: { emailVerified: true, emailVerifiedAt: new Date() } })).count;
+
+  logger.info(`Google email verification backfill${dryRun ? ' (dry run)' : ''}: ${dryRun ? 'would verify' : 'verified'} ${count} users`);
+  return count;
+}
+
+module.exports = {
+  TOKEN_TYPE,
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  backfillGoogleEmailVerified
+};
@@ -0,0 +1,199 @@
+jest.mock('../config/database', () => ({
+  prisma: {
+    authToken: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      updateMany: jest.fn(),
+      deleteMany: jest.fn()
+    },
+    user: { findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn(), count: jest.fn() }
+  }
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('./mailService', () => ({
+  isMailAvailable: jest.fn(),
+  sendPasswordResetEmail: jest.fn(),
+  sendVerificationEmail: jest.fn()
+}));
+jest.mock('./sessionService', () => ({ revokeAllSessions: jest.fn() }));
+
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../config/database');
+const { hashToken } = require('../utils/jwt');
+const { isMailAvailable, sendPasswordResetEmail, sendVerificationEmail } = require('./mailService');
+const { revokeAllSessions } = require('./sessionService');
+const {
+  TOKEN_TYPE,
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  backfillGoogleEmailVerified
+} = require('./authTokenService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const user = { id: 'u1', email: 'member@example.com', username: 'member', emailVerified: false };
+
+// A stored token as consumeToken finds it
+const storedToken = (overrides = {}) => ({
+  id: 't1',
+  userId: 'u1',
+  type: TOKEN_TYPE.PASSWORD_RESET,
+  email: user.email,
+  usedAt: null,
+  expiresAt: new Date(Date.now() + HOUR_MS),
+  user: { ...user },
+  ...overrides
+});
+
+const INVALID_LINK = { status: 400, message: 'This link is invalid or has expired. Please request a new one.' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  isMailAvailable.mockReturnValue(true);
+  prisma.authToken.findFirst.mockResolvedValue(null);
+  prisma.authToken.create.mockResolvedValue({});
+  prisma.authToken.updateMany.mockResolvedValue({ count: 1 });
+  prisma.authToken.deleteMany.mockResolvedValue({ count: 0 });
+  prisma.user.update.mockImplementation(({ data }) => Promise.resolve({ ...user, ...data }));
+  revokeAllSessions.mockResolvedValue(2);
+});
+
+describe('requestPasswordReset', () => {
+  it('supersedes older tokens and emails a one-hour link', async () => {
+    prisma.user.findUnique.mockResolvedValue(user);
+    await requestPasswordReset('Member@Example.com');
+
+    expect(prisma.user.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { email: 'member@example.com' } }));
+    expect(prisma.authToken.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'u1', type: TOKEN_TYPE.PASSWORD_RESET, usedAt: null },
+      data: { usedAt: expect.any(Date) }
+    });
+
+    const [, token, minutes] = sendPasswordResetEmail.mock.calls[0];
+    expect(minutes).toBe(60);
+    const { data } = prisma.authToken.create.mock.calls[0][0];
+    expect(data).toMatchObject({ userId: 'u1', email: user.email, tokenHash: hashToken(token) });
+    expect(data.expiresAt.getTime() - Date.now()).toBeGreaterThan(HOUR_MS - 5000);
+    expect(data.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(HOUR_MS);
+  });
+
+  it('resolves quietly for unknown addresses and during the cooldown', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+    await expect(requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+
+    prisma.user.findUnique.mockResolvedValue(user);
+    prisma.authToken.findFirst.mockResolvedValue({ id: 'recent' });
+    await expect(requestPasswordReset(user.email)).resolves.toBeUndefined();
+
+    expect(prisma.authToken.create).not.toHaveBeenCalled();
+    expect(sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+
+  it('answers 503 without issuing a token while email is disabled', async () => {
+    isMailAvailable.mockReturnValue(false);
+
+    await expect(requestPasswordReset(user.email)).rejects.toMatchObject({ status: 503 });
+    expect(prisma.user.findUnique).not.toHaveBeenCalled();
+    expect(prisma.authToken.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('resetPassword', () => {
+  it('sets the password, verifies the email and signs out every session', async () => {
+    prisma.authToken.findUnique.mockResolvedValue(storedToken());
+    await resetPassword('  the-token ', 'new-password');
+
+    expect(prisma.authToken.findUnique).toHaveBeenCalledWith({
+      where: { tokenHash: hashToken('the-token') },
+      include: { user: true }
+    });
+    expect(prisma.authToken.updateMany).toHaveBeenCalledWith({
+      where: { id: 't1', usedAt: null },
+      data: { usedAt: expect.any(Date) }
+    });
+    const { data } = prisma.user.update.mock.calls[0][0];
+    expect(await bcrypt.compare('new-password', data.password)).toBe(true);
+    expect(data.emailVerified).toBe(true);
+    expect(revokeAllSessions).toHaveBeenCalledWith('u1', 'password_reset');
+  });
+
+  it.each([
+    ['unknown', null],
+    ['used', storedToken({ usedAt: new Date() })],
+    ['expired', storedToken({ expiresAt: new Date(Date.now() - 1000) })],
+    ['of another type', storedToken({ type: TOKEN_TYPE.EMAIL_VERIFICATION })],
+    ['sent to a previous email address', storedToken({ email: 'old@example.com' })]
+  ])('rejects a token that is %s', async (_, record) => {
+    prisma.authToken.findUnique.mockResolvedValue(record);
+
+    await expect(resetPassword('the-token', 'new-password')).rejects.toMatchObject(INVALID_LINK);
+    expect(prisma.authToken.updateMany).not.toHaveBeenCalled();
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('lets only one of two concurrent requests use a token', async () => {
+    prisma.authToken.findUnique.mockResolvedValue(storedToken());
+    prisma.authToken.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+    const results = await Promise.allSettled([
+      resetPassword('the-token', 'first-password'),
+      resetPassword('the-token', 'second-password')
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(prisma.user.update).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('email verification', () => {
+  it('emails a 24-hour link to unverified users', async () => {
+    await sendEmailVerification(user);
+    expect(sendVerificationEmail).toHaveBeenCalledWith(user, expect.any(String), 24);
+  });
+
+  it('refuses verified users and throttles resends', async () => {
+    await expect(sendEmailVerification({ ...user, emailVerified: true }))
+      .rejects.toMatchObject({ status: 400, message: 'Email is already verified' });
+
+    prisma.authToken.findFirst.mockResolvedValue({ id: 'recent' });
+    await expect(sendEmailVerification(user)).rejects.toMatchObject({ status: 429 });
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  it('marks the email verified once', async () => {
+    prisma.authToken.findUnique.mockResolvedValue(storedToken({ type: TOKEN_TYPE.EMAIL_VERIFICATION }));
+    const verified = await verifyEmail('the-token');
+
+    expect(verified.emailVerified).toBe(true);
+
+    prisma.authToken.findUnique.mockResolvedValue(storedToken({
+      type: TOKEN_TYPE.EMAIL_VERIFICATION,
+      usedAt: new Date()
+    }));
+    await expect(verifyEmail('the-token')).rejects.toMatchObject(INVALID_LINK);
+  });
+});
+
+describe('backfillGoogleEmailVerified', () => {
+  const unverifiedGoogleUsers = { googleId: { not: null }, emailVerified: false };
+
+  it('marks unverified Google accounts verified', async () => {
+    prisma.user.updateMany.mockResolvedValue({ count: 3 });
+
+    await expect(backfillGoogleEmailVerified({ dryRun: false })).resolves.toBe(3);
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: unverifiedGoogleUsers,
+      data: { emailVerified: true, emailVerifiedAt: expect.any(Date) }
+    });
+  });
+
+  it('only counts them in a dry run', async () => {
+    prisma.user.count.mockResolvedValue(3);
+
+    await expect(backfillGoogleEmailVerified()).resolves.toBe(3);
+    expect(prisma.user.count).toHaveBeenCalledWith({ where: unverifiedGoogleUsers });
+    expect(prisma.user.updateMany).not.toHaveBeenCalled();
+  });
+});
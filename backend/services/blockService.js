@@ -0,0 +1,222 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+
+// Blocking and muting other users.
+//
+// One UserBlock row per (user, target) pair; blocking a muted user upgrades the
+// row. A block works in both directions: neither user can send the other friend
+// requests, DMs or appreciations, nudges skip them and they drop out of each
+// other's search. Blocking also ends any friendship or pending request (the
+// row becomes 'removed', so both keep their DM history). A mute only silences
+// the target's notifications (in-app and push) for the muting user.
+//
+// The target is never told they were blocked: they only see the friendship end.
+
+const BLOCK_TYPES = {
+  BLOCK: 'block',
+  MUTE: 'mute'
+};
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const USER_SELECT = { id: true, username: true, avatar: true };
+
+const formatBlock = (block) => ({
+  id: block.id,
+  _id: block.id,
+  type: block.type,
+  createdAt: block.createdAt,
+  user: block.target ? { ...block.target, _id: block.target.id } : null
+});
+
+/**
+ * The block between two users, in either direction (mutes are ignored).
+ * @returns {Promise<object|null>} the UserBlock row
+ */
+const getBlockBetween = async (userId, otherUserId) => {
+  if (!userId || !otherUserId) return null;
+  return prisma.userBlock.findFirst({
+    where: {
+      type: BLOCK_TYPES.BLOCK,
+      OR: [
+        { userId, targetId: otherUserId },
+        { userId: otherUserId, targetId: userId }
+      ]
+    }
+  });
+};
+
+/**
+ * Throw a 403 if either user has blocked the other. The message only says who
+ * blocked whom to the blocker.
+ */
+const assertNotBlocked = async (userId, otherUserId) => {
+  const block = await getBlockBetween(userId, otherUserId);
+  if (!block) return;
+
+  const error = block.userId === userId
+    ? httpError('You have blocked this user. Unblock them first.', 403)
+    : httpError('You cannot interact with this user', 403);
+  error.code = 'BLOCKED';
+  throw error;
+};
+
+/**
+ * Ids of everyone the user has blocked or been blocked by.
+ * @returns {Promise<string[]>}
+ */
+const getBlockedUserIds = async (userId) => {
+  const blocks = await prisma.userBlock.findMany({
+    where: {
+      type: BLOCK_TYPES.BLOCK,
+      OR: [{ userId }, { targetId: userId }]
+    },
+    select: { userId: true, targetId: true }
+  });
+  return [...new Set(blocks.map(b => (b.userId === userId ? b.targetId : b.userId)))];
+};
+
+/**
+ * Of `recipientIds`, the ones who should not hear from `actorId`: they muted or
+ * blocked the actor, or the actor blocked them.
+ * @returns {Promise<Set<string>>}
+ */
+const getSuppressedRecipientIds = async (actorId, recipientIds) => {
+  if (!actorId || !recipientIds || recipientIds.length === 0) return new Set();
+
+  const blocks = await prisma.userBlock.findMany({
+    where: {
+      OR: [
+        { targetId: actorId, userId: { in: recipientIds } },
+        { userId: actorId, targetId: { in: recipientIds }, type: BLOCK_TYPES.BLOCK }
+      ]
+    },
+    select: { userId: true, targetId: true }
+  });
+  return new Set(blocks.map(b => (b.userId === actorId ? b.targetId : b.userId)));
+};
+
+/**
+ * Whether notifications from `actorId` to `recipientId` should be dropped.
+ */
+const isSuppressed = async (recipientId, actorId) => {
+  if (!actorId || !recipientId || actorId === recipientId) return false;
+  const suppressed = await getSuppressedRecipientIds(actorId, [recipientId]);
+  return suppressed.has(recipientId);
+};
+
+/**
+ * The user's blocks and mutes, newest first.
+ */
+const listBlocks = async (userId) => {
+  const blocks = await prisma.userBlock.findMany({
+    where: { userId },
+    include: { target: { select: USER_SELECT } },
+    orderBy: { createdAt: 'desc' }
+  });
+  return blocks.map(formatBlock);
+};
+
+// Blocking ends the friendship or pending request between the two users
+const endFriendship = async (userId, targetId) => {
+  const friendship = await prisma.friend.findFirst({
+    where: {
+      status: { in: ['pending', 'accepted'] },
+      OR: [
+        { fromUserId: userId, toUserId: targetId },
+        { fromUserId: targetId, toUserId: userId }
+      ]
+    }
+  });
+  if (!friendship) return;
+
+  await prisma.friend.update({
+    where: { id: friendship.id },
+    data: { status: 'removed', message: null }
+  });
+
+  // Only the target is told, and only that the friendship ended
+  try {
+    const io = getIO();
+    if (io) io.to(`user:${targetId}`).emit('friend:removed', { friendId: userId, removedBy: userId });
+  } catch (emitErr) {
+    logger.warn('Failed to emit friend:removed for block:', emitErr.message);
+  }
+};
+
+/**
+ * Block or mute another user. Muting someone already blocked is refused so a
+ * mute never silently lifts a block.
+ * @param {object} user - the acting user
+ * @param {string} targetId
+ * @param {'block'|'mute'} type
+ */
+const setBlock = async (user, targetId, type) => {
+  if (targetId === user.id) {
+    throw httpError(type === BLOCK_TYPES.BLOCK ? 'You cannot block yourself' : 'You cannot mute yourself', 400);
+  }
+
+  const target = await prisma.user.findUnique({ where: { id: targetId }, select: USER_SELECT });
+  if (!target) throw httpError('User not found', 404);
+
+  const existing = await prisma.userBlock.findUnique({
+    where: { userId_targetId: { userId: user.id, targetId } },
+    include: { target: { select: USER_SELECT } }
+  });
+
+  if (existing?.type === type) return formatBlock(existing);
+  if (existing?.type === BLOCK_TYPES.BLOCK && type === BLOCK_TYPES.MUTE) {
+    throw httpError('This user is blocked. Unblock them first.', 400);
+  }
+
+  const block = existing
+    ? await prisma.userBlock.update({
+      where: { id: existing.id },
+      data: { type },
+      include: { target: { select: USER_SELECT } }
+    })
+    : await prisma.userBlock.create({
+      data: { userId: user.id, targetId, type },
+      include: { target: { select: USER_SELECT } }
+    });
+
+  if (type === BLOCK_TYPES.BLOCK) {
+    await endFriendship(user.id, targetId);
+  }
+
+  logger.info(`User ${user.id} ${type === BLOCK_TYPES.BLOCK ? 'blocked' : 'muted'} user ${targetId}`);
+  return formatBlock(block);
+};
+
+/**
+ * Lift a block or a mute. Unblocking does not restore the friendship.
+ */
+const removeBlock = async (user, targetId, type) => {
+  const existing = await prisma.userBlock.findUnique({
+    where: { userId_targetId: { userId: user.id, targetId } }
+  });
+
+  if (!existing || existing.type !== type) {
+    throw httpError(type === BLOCK_TYPES.BLOCK ? 'This user is not blocked' : 'This user is not muted', 404);
+  }
+
+  await prisma.userBlock.delete({ where: { id: existing.id } });
+  logger.info(`User ${user.id} ${type === BLOCK_TYPES.BLOCK ? 'unblocked' : 'unmuted'} user ${targetId}`);
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  getBlockBetween,
+  assertNotBlocked,
+  getBlockedUserIds,
+  getSuppressedRecipientIds,
+  isSuppressed,
+  listBlocks,
+  setBlock,
+  removeBlock
+};
@@ -0,0 +1,209 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+const { AUDIT_ACTIONS, recordAudit } = require('./auditService');
+const { PERMISSIONS, hasRoomPermission, getMemberRole, outranks } = require('../utils/roomPermissions');
+
+// Editing and deleting room chat messages.
+//
+// Authors can edit their own messages for EDIT_WINDOW_MINUTES after sending;
+// each edit keeps the previous text in ChatMessageEdit. Deleting is a soft
+// delete for everyone: the row stays (so replies and reports still resolve)
+// but readers get DELETED_PLACEHOLDER. Authors can delete their own messages,
+// chat moderators anyone's they outrank. Replies cache the text they quote
+// (replyToText), so both edits and deletes rewrite those previews.
+//
+// Events (room channel):
+//   chat:messageEdited  { roomId, messageId, content, editedAt }
+//   chat:messageDeleted { roomId, messageId, deletedBy }
+//   chat:pinned         { roomId, messageId, isPinned: false } when a pinned message is deleted
+
+const EDIT_WINDOW_MINUTES = 15;
+const MAX_HISTORY = 50;
+const REPLY_PREVIEW_LENGTH = 100; // Same cut as replyToText on send
+const EDITABLE_TYPES = ['user', 'announcement'];
+
+const DELETED_PLACEHOLDER = 'This message was deleted';
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const emitToRoom = (roomId, event, payload) => {
+  const io = getIO();
+  if (io) io.to(roomId).emit(event, payload);
+};
+
+/**
+ * Mask a deleted chat message: readers get the placeholder and no reactions.
+ * Sets `isDeleted` and `isEdited` either way.
+ */
+const maskDeleted = (message) => {
+  if (!message?.deletedAt) return { ...message, isDeleted: false, isEdited: !!message?.editedAt };
+  return {
+    ...message,
+    content: DELETED_PLACEHOLDER,
+    ...('reactions' in message && { reactions: [] }),
+    isDeleted: true,
+    isEdited: false
+  };
+};
+
+async function loadMessage(roomId, messageId) {
+  const message = await prisma.chatMessage.findUnique({ where: { id: messageId } });
+  if (!message || message.roomId !== roomId) throw httpError('Message not found', 404);
+  return message;
+}
+
+const canModerate = (room, userId) => hasRoomPermission(room, userId, PERMISSIONS.MODERATE_CHAT);
+
+/**
+ * Edit your own message within the edit window. Returns the updated message
+ * (unchanged text is a no-op and records no history).
+ * @param {object} room - room loaded with members
+ */
+async function editMessage(room, messageId, user, content) {
+  const message = await loadMessage(room.id, messageId);
+
+  if (message.deletedAt) throw httpError('This message was deleted', 400);
+  if (message.userId !== user.id) throw httpError('You can only edit your own messages', 403);
+  if (message.hiddenAt) throw httpError('This message was hidden by a moderator', 403);
+  if (!EDITABLE_TYPES.includes(message.type)) throw httpError('This message cannot be edited', 400);
+  if (Date.now() - message.createdAt.getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+    throw httpError(`Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`, 400);
+  }
+
+  if (content === message.content) return message;
+
+  const editedAt = new Date();
+  const [, updated] = await prisma.$transaction([
+    prisma.chatMessageEdit.create({
+      data: { messageId: message.id, content: message.content, editedById: user.id }
+    }),
+    prisma.chatMessage.update({
+      where: { id: message.id },
+      data: { content, editedAt },
+      include: { user: { select: { id: true, username: true, avatar: true } } }
+    }),
+    prisma.chatMessage.updateMany({
+      where: { replyToId: message.id },
+      data: { replyToText: content.substring(0, REPLY_PREVIEW_LENGTH) }
+    })
+  ]);
+
+  emitToRoom(room.id, 'chat:messageEdited', { roomId: room.id, messageId: message.id, content, editedAt });
+  logger.info(`Chat message ${message.id} edited in room ${room.id} by ${user.id}`);
+  return updated;
+}
+
+/**
+ * Soft-delete a message for everyone, unpin it and rewrite reply previews.
+ * No permission checks; callers decide who may delete.
+ * Already-deleted messages are left as they are.
+ */
+async function markDeleted(message, actorId) {
+  if (message.deletedAt) return message;
+
+  const wasPinned = message.isPinned;
+  const [updated] = await prisma.$transaction([
+    prisma.chatMessage.update({
+      where: { id: message.id },
+      data: {
+        deletedAt: new Date(),
+        deletedById: actorId,
+        isPinned: false,
+        pinnedAt: null,
+        pinnedById: null
+      }
+    }),
+    prisma.chatMessageReaction.deleteMany({ where: { messageId: message.id } }),
+    prisma.chatMessage.updateMany({
+      where: { replyToId: message.id },
+      data: { replyToText: DELETED_PLACEHOLDER }
+    })
+  ]);
+
+  emitToRoom(message.roomId, 'chat:messageDeleted', { roomId: message.roomId, messageId: message.id, deletedBy: actorId });
+  if (wasPinned) {
+    emitToRoom(message.roomId, 'chat:pinned', { roomId: message.roomId, messageId: message.id, isPinned: false });
+  }
+  return updated;
+}
+
+/**
+ * Delete a message for everyone: the author, or a chat moderator who outranks
+ * the author. Moderator deletes are written to the room's audit log.
+ * @param {object} room - room loaded with members
+ */
+async function deleteMessage(room, messageId, actor) {
+  const message = await loadMessage(room.id, messageId);
+  if (message.deletedAt) return message;
+
+  const isAuthor = !!message.userId && message.userId === actor.id;
+  if (!isAuthor) {
+    if (message.type === 'system') throw httpError('System messages cannot be deleted', 400);
+    if (!canModerate(room, actor.id)) throw httpError('You can only delete your own messages', 403);
+
+    const authorRole = message.userId ? getMemberRole(room, message.userId) : null;
+    if (authorRole && !outranks(getMemberRole(room, actor.id), authorRole)) {
+      throw httpError('You cannot delete messages from members with your role or higher', 403);
+    }
+  }
+
+  const deleted = await markDeleted(message, actor.id);
+
+  if (!isAuthor) {
+    await recordAudit({
+      roomId: room.id,
+      actorId: actor.id,
+      action: AUDIT_ACTIONS.MESSAGE_DELETED,
+      targetType: 'chat_message',
+      targetId: message.id,
+      targetUserId: message.userId,
+      details: { type: message.type, wasPinned: message.isPinned }
+    }).catch(err => logger.error('Audit log error:', err));
+  }
+
+  logger.info(`Chat message ${message.id} deleted in room ${room.id} by ${actor.id}`);
+  return deleted;
+}
+
+/**
+ * A message's previous versions, newest first. Visible to the author and chat
+ * moderators; once a message is deleted or hidden, only to moderators.
+ */
+async function getEditHistory(room, messageId, user) {
+  const message = await loadMessage(room.id, messageId);
+  const isModerator = canModerate(room, user.id);
+
+  if (!isModerator) {
+    if (message.userId !== user.id) throw httpError('You can only view the history of your own messages', 403);
+    if (message.deletedAt || message.hiddenAt) throw httpError('Message not found', 404);
+  }
+
+  const edits = await prisma.chatMessageEdit.findMany({
+    where: { messageId: message.id },
+    orderBy: { createdAt: 'desc' },
+    take: MAX_HISTORY
+  });
+
+  return {
+    messageId: message.id,
+    content: message.content,
+    editedAt: message.editedAt,
+    deletedAt: message.deletedAt,
+    edits: edits.map(edit => ({ ...edit, _id: edit.id }))
+  };
+}
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  DELETED_PLACEHOLDER,
+  maskDeleted,
+  editMessage,
+  deleteMessage,
+  markDeleted,
+  getEditHistory
+};
@@ -1,48 +1,125 @@
 const { prisma } = require('../config/database');
 const logger = require('../utils/logger');
+const { isRoomMediaUrl, deleteMedia } = require('./mediaStorageService');
 
 // Runs periodic cleanup of room chat messages based on per-room retention.
 // Retention is enforced both at read-time (GET /rooms/:id/chat) and via cleanup.
+// Deleting a node also removes its stored media and thumbnail.
+// Pinned chat messages are never deleted.
 
 const DEFAULT_RETENTION_DAYS = 5;
-const MAX_RETENTION_DAYS = 5;
 const MIN_RETENTION_DAYS = 1;
 
+// Retention windows a room may choose, by tier. Premium rooms unlock longer history.
+const RETENTION_TIERS = {
+  free: [1, 2, 3, 4, 5],
+  premium: [1, 2, 3, 4, 5, 7, 14, 30, 90]
+};
+const MAX_RETENTION_DAYS = Math.max(...RETENTION_TIERS.premium);
+
+const CLEANUP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 15_000;
+
+let interval = null;
+let startedAt = null;
+let lastRunAt = null;
+
 const getCutoffDate = (days) => {
   const d = new Date();
   d.setDate(d.getDate() - days);
   return d;
 };
 
+const getRetentionTier = (room) => (room?.isPremium ? 'premium' : 'free');
+
+/**
+ * Retention options (days) available to a room
+ */
+const getRetentionOptions = (room) => RETENTION_TIERS[getRetentionTier(room)];
+
+const isValidRetentionDays = (room, days) => getRetentionOptions(room).includes(days);
+
+/**
+ * Retention actually enforced for a room. A stored value the room's tier does
+ * not allow (e.g. 90 days after premium lapsed) falls back to the longest
+ * option that does not exceed it.
+ */
+const getRoomRetentionDays = (room) => {
+  const options = getRetentionOptions(room);
+  const days = Math.max(MIN_RETENTION_DAYS, room?.chatRetentionDays || DEFAULT_RETENTION_DAYS);
+  if (options.includes(days)) return days;
+  return options.filter(o => o <= days).pop() || options[0];
+};
+
+/**
+ * Oldest createdAt a room still keeps (pinned messages are exempt)
+ */
+const getRetentionCutoff = (room) => getCutoffDate(getRoomRetentionDays(room));
+
+// Expired nodes whose media is one of the room's stored uploads (inline data URLs go with the row)
+async function findExpiredNodeMedia(roomId, cutoff) {
+  const nodes = await prisma.roomTaskNode.findMany({
+    where: {
+      roomId,
+      createdAt: { lt: cutoff },
+      mediaUrl: { not: null }
+    },
+    select: { id: true, mediaUrl: true }
+  });
+  return nodes.filter(n => isRoomMediaUrl(n.mediaUrl, roomId));
+}
+
+// Remove the room's stored files for deleted nodes, skipping any URL another node still references
+async function deleteOrphanedMedia(roomId, urls) {
+  const unique = [...new Set(urls)];
+  if (!unique.length) return 0;
+
+  const stillUsed = await prisma.roomTaskNode.findMany({
+    where: { mediaUrl: { in: unique } },
+    select: { mediaUrl: true }
+  });
+  const keep = new Set(stillUsed.map(n => n.mediaUrl));
+
+  let deleted = 0;
+  for (const url of unique) {
+    if (keep.has(url)) continue;
+    try {
+      if (await deleteMedia(url, roomId)) deleted++;
+    } catch (err) {
+      logger.warn(`Chat retention could not delete media ${url}: ${err.message}`);
+    }
+  }
+  return deleted;
+}
+
 async function runChatRetentionCleanup() {
+  lastRunAt = new Date();
   try {
     // Only select what we need
     const rooms = await prisma.room.findMany({
       where: { isActive: true },
-      select: { id: true, chatRetentionDays: true }
+      select: { id: true, chatRetentionDays: true, isPremium: true }
     });
 
     if (!rooms.length) return;
 
     let totalDeleted = 0;
+    let totalMedia = 0;
 
     for (const room of rooms) {
-      const days = Math.min(
-        MAX_RETENTION_DAYS,
-        Math.max(MIN_RETENTION_DAYS, room.chatRetentionDays || DEFAULT_RETENTION_DAYS)
-      );
-
-      const cutoff = getCutoffDate(days);
+      const cutoff = getRetentionCutoff(room);
 
-      // 1. Standard Room Chat Messages
+      // 1. Standard Room Chat Messages (pinned ones are kept)
       const result = await prisma.chatMessage.deleteMany({
         where: {
           roomId: room.id,
+          isPinned: false,
           createdAt: { lt: cutoff }
         }
       });
 
-      // 2. Room Task Nodes (Subway Mission Logs & Proofs)
+      // 2. Room Task Nodes (Subway Mission Logs & Proofs), collecting their media first
+      const mediaNodes = await findExpiredNodeMedia(room.id, cutoff);
       const resultNodes = await prisma.roomTaskNode.deleteMany({
         where: {
           roomId: room.id,
@@ -50,31 +127,105 @@ async function runChatRetentionCleanup() {
         }
       });
 
+      // 3. Stored media and thumbnails of the deleted nodes
+      totalMedia += await deleteOrphanedMedia(room.id, mediaNodes.map(n => n.mediaUrl));
+
       totalDeleted += (result.count || 0) + (resultNodes.count || 0);
     }
 
     if (totalDeleted > 0) {
-      logger.info(`Chat retention cleanup deleted ${totalDeleted} messages`);
+      logger.info(`Chat retention cleanup deleted ${totalDeleted} messages and ${totalMedia} media files`);
     }
   } catch (err) {
     logger.error('Chat retention cleanup failed:', err);
   }
 }
 
-let interval = null;
+/**
+ * When the next scheduled cleanup pass runs (null if the job is not running)
+ */
+function getNextCleanupAt() {
+  if (!interval) return null;
+  if (!lastRunAt) return new Date(startedAt.getTime() + STARTUP_DELAY_MS);
+  return new Date(lastRunAt.getTime() + CLEANUP_INTERVAL_MS);
+}
+
+/**
+ * Dry run for one room: what the next cleanup pass would delete if it ran now.
+ * Nothing is deleted.
+ *
+ * @param {Object} room - Room with id, chatRetentionDays and isPremium
+ * @param {Object} options
+ * @param {number} options.sampleSize - How many of the oldest items to list
+ */
+async function getRetentionPreview(room, { sampleSize = 20 } = {}) {
+  const retentionDays = getRoomRetentionDays(room);
+  const nextRunAt = getNextCleanupAt();
+  // Rows that will have expired by the time the next pass runs
+  const cutoff = getCutoffDate(retentionDays);
+  if (nextRunAt && nextRunAt > new Date()) {
+    cutoff.setTime(cutoff.getTime() + (nextRunAt.getTime() - Date.now()));
+  }
+
+  const expired = { roomId: room.id, createdAt: { lt: cutoff } };
+  const expiredMessages = { ...expired, isPinned: false };
+
+  const [messageCount, pinnedKept, nodeCount, oldestMessages, oldestNodes, mediaNodes] = await Promise.all([
+    prisma.chatMessage.count({ where: expiredMessages }),
+    prisma.chatMessage.count({ where: { ...expired, isPinned: true } }),
+    prisma.roomTaskNode.count({ where: expired }),
+    prisma.chatMessage.findMany({
+      where: expiredMessages,
+      select: { id: true, content: true, type: true, userId: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+      take: sampleSize
+    }),
+    prisma.roomTaskNode.findMany({
+      where: expired,
+      select: { id: true, taskId: true, type: true, userId: true, mediaUrl: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+      take: sampleSize
+    }),
+    findExpiredNodeMedia(room.id, cutoff)
+  ]);
+
+  return {
+    retentionDays,
+    retentionTier: getRetentionTier(room),
+    cutoff,
+    nextRunAt,
+    messages: {
+      count: messageCount,
+      pinnedKept,
+      oldest: oldestMessages.map(m => ({ ...m, content: m.content.slice(0, 120) }))
+    },
+    nodes: {
+      count: nodeCount,
+      oldest: oldestNodes.map(n => ({
+        ...n,
+        mediaUrl: n.mediaUrl?.startsWith('data:') ? '[inline image]' : n.mediaUrl
+      }))
+    },
+    media: {
+      count: mediaNodes.length,
+      urls: mediaNodes.slice(0, sampleSize).map(n => n.mediaUrl)
+    }
+  };
+}
 
 function startChatRetentionCleanup() {
   if (interval) return;
+  startedAt = new Date();
 
   // Run once shortly after startup
   setTimeout(() => {
     runChatRetentionCleanup().catch(() => {});
-  }, 15_000);
+  }, STARTUP_DELAY_MS);
 
   // Then every 6 hours
   interval = setInterval(() => {
     runChatRetentionCleanup().catch(() => {});
-  }, 6 * 60 * 60 * 1000);
+  }, CLEANUP_INTERVAL_MS);
 
   logger.info('Chat retention cleanup started (every 6 hours)');
 }
@@ -83,6 +234,7 @@ function stopChatRetentionCleanup() {
   if (interval) {
     clearInterval(interval);
     interval = null;
+    startedAt = null;
   }
 }
 
@@ -90,6 +242,14 @@ module.exports = {
   startChatRetentionCleanup,
   stopChatRetentionCleanup,
   runChatRetentionCleanup,
+  getRetentionPreview,
+  getNextCleanupAt,
+  getRoomRetentionDays,
+  getRetentionCutoff,
+  getRetentionTier,
+  getRetentionOptions,
+  isValidRetentionDays,
+  RETENTION_TIERS,
   MAX_RETENTION_DAYS,
   MIN_RETENTION_DAYS
 };
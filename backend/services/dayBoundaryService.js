@@ -0,0 +1,288 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Day Boundary Service
+ *
+ * Single source of truth for "what day is it" across the app. Every daily
+ * rule (task completions, streaks, orbit summaries, MVP, appreciation limits,
+ * nudge cooldowns) works on calendar days (YYYY-MM-DD) in a timezone, never on
+ * the server's UTC day.
+ *
+ * Personal rules are keyed on the acting user's timezone (User.timezone).
+ * Room-level rules (room streak, MVP, orbit summary) use the "room day": the
+ * room's timezone with an optional rollover hour, so a room with rollover 4
+ * keeps counting activity at 2 AM towards the previous day.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_ROLLOVER_HOUR = 23;
+
+// Intl.DateTimeFormat construction is slow; cache one formatter per zone
+const formatterCache = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+/**
+ * Whether a string is an IANA timezone the runtime understands
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * First valid timezone among the candidates, falling back to UTC
+ * e.g. resolveTimezone(room.timezone, req.user.timezone)
+ */
+const resolveTimezone = (...candidates) =>
+  candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+
+// Wall-clock parts of an instant in a timezone
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(resolveTimezone(timezone)).formatToParts(date).forEach(p => {
+    if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+  });
+  return parts;
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes (e.g. +540 for Asia/Tokyo)
+ */
+const getTimezoneOffsetMinutes = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Calendar day (YYYY-MM-DD) of an instant in a timezone.
+ * With a rollover hour, the day starts at that local hour instead of midnight.
+ */
+const getLocalDateString = (date = new Date(), timezone = DEFAULT_TIMEZONE, rolloverHour = 0) => {
+  const p = getZonedParts(new Date(new Date(date).getTime() - rolloverHour * HOUR_MS), timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Add (or subtract) whole days to a YYYY-MM-DD string
+ */
+const shiftDateString = (dateStr, days) => {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+/**
+ * Number of days from one YYYY-MM-DD string to another (b - a)
+ */
+const daysBetween = (a, b) =>
+  Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+
+// UTC instant of a local wall-clock hour on a day; re-checks the offset to handle DST changes
+const getLocalInstant = (dateStr, timezone, hour = 0) => {
+  const naive = Date.parse(`${dateStr}T00:00:00Z`) + hour * HOUR_MS;
+  let instant = naive - getTimezoneOffsetMinutes(new Date(naive), timezone) * 60000;
+  const corrected = naive - getTimezoneOffsetMinutes(new Date(instant), timezone) * 60000;
+  if (corrected !== instant) instant = corrected;
+  return new Date(instant);
+};
+
+/**
+ * UTC instants bounding a local day: start inclusive, end exclusive
+ */
+const getDayBounds = (dateStr, timezone = DEFAULT_TIMEZONE, rolloverHour = 0) => ({
+  start: getLocalInstant(dateStr, timezone, rolloverHour),
+  end: getLocalInstant(shiftDateString(dateStr, 1), timezone, rolloverHour)
+});
+
+const getTodayString = (timezone = DEFAULT_TIMEZONE, rolloverHour = 0) =>
+  getLocalDateString(new Date(), timezone, rolloverHour);
+
+const getYesterdayString = (timezone = DEFAULT_TIMEZONE, rolloverHour = 0) =>
+  shiftDateString(getTodayString(timezone, rolloverHour), -1);
+
+/**
+ * Today's day key plus its UTC window, for createdAt range queries
+ * e.g. const { start, end } = getDayWindow(tz); where: { createdAt: { gte: start, lt: end } }
+ */
+const getDayWindow = (timezone = DEFAULT_TIMEZONE, date = new Date(), rolloverHour = 0) => {
+  const tz = resolveTimezone(timezone);
+  const day = getLocalDateString(date, tz, rolloverHour);
+  return { date: day, timezone: tz, ...getDayBounds(day, tz, rolloverHour) };
+};
+
+/**
+ * Timezone for a user record (falls back to UTC if missing or invalid)
+ */
+const getUserTimezone = (user) => resolveTimezone(user?.timezone);
+
+/**
+ * Streak helper: how a previous activity instant relates to today's local day.
+ * Returns 'today', 'yesterday', 'older' or null when there is no previous activity.
+ */
+const getDayRelation = (previous, timezone, todayStr, rolloverHour = 0) => {
+  if (!previous) return null;
+  const today = todayStr || getTodayString(timezone, rolloverHour);
+  const diff = daysBetween(getLocalDateString(previous, timezone, rolloverHour), today);
+  if (diff <= 0) return 'today';
+  if (diff === 1) return 'yesterday';
+  return 'older';
+};
+
+/**
+ * Whether a value is a valid room day rollover hour (0-23)
+ */
+const isValidRolloverHour = (hour) =>
+  Number.isInteger(hour) && hour >= 0 && hour <= MAX_ROLLOVER_HOUR;
+
+/**
+ * Room day settings with safe fallbacks (UTC, midnight rollover)
+ */
+const getRoomDayConfig = (room) => ({
+  timezone: resolveTimezone(room?.timezone),
+  rolloverHour: isValidRolloverHour(room?.dayRolloverHour) ? room.dayRolloverHour : 0
+});
+
+const getRoomDayString = (room, date = new Date()) => {
+  const { timezone, rolloverHour } = getRoomDayConfig(room);
+  return getLocalDateString(date, timezone, rolloverHour);
+};
+
+const getRoomTodayString = (room) => getRoomDayString(room);
+
+const getRoomYesterdayString = (room) => shiftDateString(getRoomTodayString(room), -1);
+
+const getRoomDayBounds = (room, dateStr) => {
+  const { timezone, rolloverHour } = getRoomDayConfig(room);
+  return getDayBounds(dateStr, timezone, rolloverHour);
+};
+
+const getRoomDayRelation = (room, previous) => {
+  const { timezone, rolloverHour } = getRoomDayConfig(room);
+  return getDayRelation(previous, timezone, null, rolloverHour);
+};
+
+/**
+ * Migration path for TaskCompletion.completionDate rows written before this
+ * service existed (they hold the server's UTC day). Recomputes each row's day
+ * from completedAt in the completing user's timezone.
+ *
+ * Rows whose corrected day would collide with another completion of the same
+ * task by the same user are left untouched and reported as conflicts.
+ *
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report changes without writing (default true)
+ * @param {number} options.batchSize - Rows read per query
+ * @param {Date} options.before - Only rows completed before this instant
+ */
+async function backfillCompletionDates({ dryRun = true, batchSize = 500, before } = {}) {
+  const report = { scanned: 0, updated: 0, unchanged: 0, conflicts: [] };
+  let cursor;
+
+  for (;;) {
+    const rows = await prisma.taskCompletion.findMany({
+      where: before ? { completedAt: { lt: before } } : undefined,
+      select: {
+        id: true,
+        taskId: true,
+        userId: true,
+        completedAt: true,
+        completionDate: true,
+        user: { select: { timezone: true } }
+      },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+    });
+
+    if (!rows.length) break;
+    cursor = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      report.scanned++;
+      const localDate = getLocalDateString(row.completedAt, getUserTimezone(row.user));
+
+      if (localDate === row.completionDate) {
+        report.unchanged++;
+        continue;
+      }
+
+      const clash = await prisma.taskCompletion.findUnique({
+        where: {
+          taskId_userId_completionDate: {
+            taskId: row.taskId,
+            userId: row.userId,
+            completionDate: localDate
+          }
+        },
+        select: { id: true }
+      });
+
+      if (clash) {
+        report.conflicts.push({ id: row.id, from: row.completionDate, to: localDate, clashesWith: clash.id });
+        continue;
+      }
+
+      if (!dryRun) {
+        await prisma.taskCompletion.update({
+          where: { id: row.id },
+          data: { completionDate: localDate }
+        });
+      }
+      report.updated++;
+    }
+  }
+
+  logger.info(
+    `Completion date backfill${dryRun ? ' (dry run)' : ''}: scanned ${report.scanned}, ` +
+    `${dryRun ? 'would update' : 'updated'} ${report.updated}, conflicts ${report.conflicts.length}`
+  );
+  return report;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getTimezoneOffsetMinutes,
+  getLocalDateString,
+  shiftDateString,
+  daysBetween,
+  getDayBounds,
+  getTodayString,
+  getYesterdayString,
+  getDayWindow,
+  getUserTimezone,
+  getDayRelation,
+  isValidRolloverHour,
+  getRoomDayConfig,
+  getRoomDayString,
+  getRoomTodayString,
+  getRoomYesterdayString,
+  getRoomDayBounds,
+  getRoomDayRelation,
+  backfillCompletionDates
+};
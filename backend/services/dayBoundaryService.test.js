@@ -0,0 +1,180 @@
+jest.mock('../config/database', () => ({
+  prisma: {
+    taskCompletion: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn()
+    }
+  }
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { prisma } = require('../config/database');
+const {
+  isValidTimezone,
+  resolveTimezone,
+  getTimezoneOffsetMinutes,
+  getLocalDateString,
+  shiftDateString,
+  daysBetween,
+  getDayBounds,
+  getDayWindow,
+  getDayRelation,
+  isValidRolloverHour,
+  getRoomDayConfig,
+  getRoomDayString,
+  getRoomDayBounds,
+  backfillCompletionDates
+} = require('./dayBoundaryService');
+
+describe('timezones', () => {
+  it('validates IANA names and falls back to UTC', () => {
+    expect(isValidTimezone('Asia/Tokyo')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+    expect(resolveTimezone(null, 'Mars/Olympus', 'Europe/Paris')).toBe('Europe/Paris');
+    expect(resolveTimezone(undefined)).toBe('UTC');
+  });
+
+  it('reports offsets either side of a DST change', () => {
+    // New York springs forward at 07:00 UTC
+    expect(getTimezoneOffsetMinutes(new Date('2026-03-08T06:59:59Z'), 'America/New_York')).toBe(-300);
+    expect(getTimezoneOffsetMinutes(new Date('2026-03-08T07:00:00Z'), 'America/New_York')).toBe(-240);
+    expect(getTimezoneOffsetMinutes(new Date('2026-03-08T07:00:00Z'), 'Asia/Kolkata')).toBe(330);
+  });
+});
+
+describe('calendar days', () => {
+  it('reads the day in the given timezone, not the server day', () => {
+    const instant = new Date('2026-10-19T23:30:00Z');
+    expect(getLocalDateString(instant, 'UTC')).toBe('2026-10-19');
+    expect(getLocalDateString(instant, 'Asia/Tokyo')).toBe('2026-10-20');
+    expect(getLocalDateString(new Date('2026-10-20T02:00:00Z'), 'America/Los_Angeles')).toBe('2026-10-19');
+  });
+
+  it('counts the hours before the rollover hour towards the previous day', () => {
+    // 03:00 in Tokyo on the 20th
+    const instant = new Date('2026-10-19T18:00:00Z');
+    expect(getLocalDateString(instant, 'Asia/Tokyo', 0)).toBe('2026-10-20');
+    expect(getLocalDateString(instant, 'Asia/Tokyo', 4)).toBe('2026-10-19');
+    expect(getLocalDateString(instant, 'Asia/Tokyo', 3)).toBe('2026-10-20');
+  });
+
+  it('shifts and diffs day strings across month and year ends', () => {
+    expect(shiftDateString('2026-12-31', 1)).toBe('2027-01-01');
+    expect(shiftDateString('2026-03-01', -1)).toBe('2026-02-28');
+    expect(daysBetween('2026-10-19', '2026-10-26')).toBe(7);
+    expect(daysBetween('2026-10-26', '2026-10-19')).toBe(-7);
+  });
+});
+
+describe('getDayBounds', () => {
+  it('bounds a local day in UTC instants', () => {
+    expect(getDayBounds('2026-10-19', 'Asia/Tokyo')).toEqual({
+      start: new Date('2026-10-18T15:00:00Z'),
+      end: new Date('2026-10-19T15:00:00Z')
+    });
+  });
+
+  it('handles the short and long days of a DST change', () => {
+    const spring = getDayBounds('2026-03-08', 'America/New_York');
+    expect(spring.start).toEqual(new Date('2026-03-08T05:00:00Z'));
+    expect(spring.end).toEqual(new Date('2026-03-09T04:00:00Z'));
+
+    const autumn = getDayBounds('2026-11-01', 'America/New_York');
+    expect(autumn.start).toEqual(new Date('2026-11-01T04:00:00Z'));
+    expect(autumn.end).toEqual(new Date('2026-11-02T05:00:00Z'));
+  });
+
+  it('starts the day at the rollover hour', () => {
+    expect(getDayBounds('2026-10-19', 'Europe/Berlin', 4)).toEqual({
+      start: new Date('2026-10-19T02:00:00Z'),
+      end: new Date('2026-10-20T02:00:00Z')
+    });
+  });
+
+  it('returns the day key with its window', () => {
+    const window = getDayWindow('Mars/Olympus', new Date('2026-10-19T10:00:00Z'));
+    expect(window).toEqual({
+      date: '2026-10-19',
+      timezone: 'UTC',
+      start: new Date('2026-10-19T00:00:00Z'),
+      end: new Date('2026-10-20T00:00:00Z')
+    });
+  });
+});
+
+describe('getDayRelation', () => {
+  it('places the previous activity relative to today', () => {
+    expect(getDayRelation(null, 'UTC', '2026-10-19')).toBeNull();
+    expect(getDayRelation(new Date('2026-10-19T01:00:00Z'), 'UTC', '2026-10-19')).toBe('today');
+    expect(getDayRelation(new Date('2026-10-18T23:00:00Z'), 'UTC', '2026-10-19')).toBe('yesterday');
+    expect(getDayRelation(new Date('2026-10-17T12:00:00Z'), 'UTC', '2026-10-19')).toBe('older');
+  });
+
+  it('uses the local day of the previous activity', () => {
+    // 08:00 on the 19th in Tokyo
+    expect(getDayRelation(new Date('2026-10-18T23:00:00Z'), 'Asia/Tokyo', '2026-10-19')).toBe('today');
+  });
+});
+
+describe('room days', () => {
+  it('falls back to UTC and midnight for bad settings', () => {
+    expect(isValidRolloverHour(0)).toBe(true);
+    expect(isValidRolloverHour(23)).toBe(true);
+    expect(isValidRolloverHour(24)).toBe(false);
+    expect(isValidRolloverHour(1.5)).toBe(false);
+    expect(getRoomDayConfig({ timezone: 'Nowhere', dayRolloverHour: 30 })).toEqual({ timezone: 'UTC', rolloverHour: 0 });
+    expect(getRoomDayConfig(null)).toEqual({ timezone: 'UTC', rolloverHour: 0 });
+  });
+
+  it('uses the room timezone and rollover hour', () => {
+    const room = { timezone: 'America/New_York', dayRolloverHour: 4 };
+    // 02:00 in New York on the 20th still belongs to the 19th
+    expect(getRoomDayString(room, new Date('2026-10-20T06:00:00Z'))).toBe('2026-10-19');
+    expect(getRoomDayString(room, new Date('2026-10-20T08:00:00Z'))).toBe('2026-10-20');
+    expect(getRoomDayBounds(room, '2026-10-19')).toEqual({
+      start: new Date('2026-10-19T08:00:00Z'),
+      end: new Date('2026-10-20T08:00:00Z')
+    });
+  });
+});
+
+describe('backfillCompletionDates', () => {
+  const rows = [
+    // Already correct
+    { id: 'c1', taskId: 't1', userId: 'u1', completedAt: new Date('2026-10-19T10:00:00Z'), completionDate: '2026-10-19', user: { timezone: 'UTC' } },
+    // Stored as the UTC day, belongs to the 20th in Tokyo
+    { id: 'c2', taskId: 't1', userId: 'u2', completedAt: new Date('2026-10-19T20:00:00Z'), completionDate: '2026-10-19', user: { timezone: 'Asia/Tokyo' } },
+    // Would collide with the user's existing completion on the 20th
+    { id: 'c3', taskId: 't2', userId: 'u2', completedAt: new Date('2026-10-19T21:00:00Z'), completionDate: '2026-10-19', user: { timezone: 'Asia/Tokyo' } }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.taskCompletion.findMany.mockResolvedValueOnce(rows).mockResolvedValueOnce([]);
+    prisma.taskCompletion.findUnique.mockImplementation(({ where }) =>
+      Promise.resolve(where.taskId_userId_completionDate.taskId === 't2' ? { id: 'c9' } : null));
+  });
+
+  it('reports changes without writing on a dry run', async () => {
+    const report = await backfillCompletionDates();
+    expect(report).toEqual({
+      scanned: 3,
+      updated: 1,
+      unchanged: 1,
+      conflicts: [{ id: 'c3', from: '2026-10-19', to: '2026-10-20', clashesWith: 'c9' }]
+    });
+    expect(prisma.taskCompletion.update).not.toHaveBeenCalled();
+  });
+
+  it('rewrites the day and pages on the last id', async () => {
+    await backfillCompletionDates({ dryRun: false, batchSize: 3 });
+    expect(prisma.taskCompletion.update).toHaveBeenCalledTimes(1);
+    expect(prisma.taskCompletion.update).toHaveBeenCalledWith({
+      where: { id: 'c2' },
+      data: { completionDate: '2026-10-20' }
+    });
+    expect(prisma.taskCompletion.findMany.mock.calls[1][0]).toMatchObject({ skip: 1, cursor: { id: 'c3' } });
+  });
+});
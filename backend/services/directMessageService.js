@@ -0,0 +1,251 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+
+// Deleting and editing direct messages.
+//
+// "Delete for me" writes a DirectMessageDeletion row for that user; the other
+// participant still sees the message. When both have deleted it, the message
+// row goes too. "Unsend" deletes the message for both and is limited to the
+// sender within UNSEND_WINDOW_MINUTES; edits are limited to the sender within
+// EDIT_WINDOW_MINUTES. Replies cache the text they quote (replyToText), so
+// edits and unsends rewrite those previews.
+//
+// Deletions used to live in DirectMessage.deletedFor (comma-separated user
+// ids); backfillDeletionsFromDeletedFor moves them into DirectMessageDeletion.
+//
+// Events:
+//   dm:deleted { messageId, fromUserId, toUserId, scope: 'me' }       (your user channel, other devices)
+//   dm:deleted { messageId, fromUserId, toUserId, scope: 'everyone' } (both users)
+//   dm:edited  { messageId, fromUserId, toUserId, content, editedAt } (both users)
+
+const EDIT_WINDOW_MINUTES = 15;
+const UNSEND_WINDOW_MINUTES = 60;
+const REPLY_PREVIEW_LENGTH = 100; // Same cut as replyToText on send
+
+const UNSENT_PLACEHOLDER = 'This message was unsent';
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const emitToUsers = (userIds, event, payload) => {
+  const io = getIO();
+  if (!io) return;
+  for (const userId of new Set(userIds)) io.to(`user:${userId}`).emit(event, payload);
+};
+
+const withinMinutes = (date, minutes) => Date.now() - date.getTime() <= minutes * 60 * 1000;
+
+/**
+ * Prisma filter: messages the user has not deleted for themselves
+ */
+const notDeletedFor = (userId) => ({ deletions: { none: { userId } } });
+
+/**
+ * Load a message the user can see: they are a participant and have not
+ * deleted it for themselves.
+ */
+async function loadVisibleMessage(messageId, userId) {
+  const message = await prisma.directMessage.findUnique({
+    where: { id: messageId },
+    include: { deletions: { where: { userId }, select: { id: true } } }
+  });
+  const isParticipant = message && (message.fromUserId === userId || message.toUserId === userId);
+  if (!isParticipant || message.deletions.length > 0) throw httpError('Message not found', 404);
+  return message;
+}
+
+const eventPayload = (message) => ({
+  messageId: message.id,
+  fromUserId: message.fromUserId,
+  toUserId: message.toUserId
+});
+
+/**
+ * Remove a message from the user's view. Deletes it outright once the other
+ * participant has too.
+ */
+async function deleteForMe(messageId, userId) {
+  const message = await loadVisibleMessage(messageId, userId);
+  const otherId = message.fromUserId === userId ? message.toUserId : message.fromUserId;
+
+  // Record this side first, then drop the message if the other side has a row
+  // too: of two concurrent deletes, the one that checks last sees both rows.
+  try {
+    await prisma.directMessageDeletion.create({ data: { messageId: message.id, userId } });
+  } catch (err) {
+    // P2002: this user's row already exists; P2003: the message is already gone
+    if (err.code !== 'P2002' && err.code !== 'P2003') throw err;
+  }
+
+  await prisma.directMessage.deleteMany({
+    where: { id: message.id, deletions: { some: { userId: otherId } } }
+  });
+
+  emitToUsers([userId], 'dm:deleted', { ...eventPayload(message), scope: 'me' });
+  return { messageId: message.id, scope: 'me' };
+}
+
+/**
+ * Delete a whole conversation for the user (see deleteForMe). Returns how
+ * many messages were removed from their view.
+ */
+async function clearConversation(userId, otherId) {
+  const messages = await prisma.directMessage.findMany({
+    where: {
+      OR: [
+        { fromUserId: userId, toUserId: otherId },
+        { fromUserId: otherId, toUserId: userId }
+      ],
+      ...notDeletedFor(userId)
+    },
+    select: { id: true, deletions: { where: { userId: otherId }, select: { id: true } } }
+  });
+
+  const bothDeleted = messages.filter(m => m.deletions.length > 0).map(m => m.id);
+  const onlyMe = messages.filter(m => m.deletions.length === 0).map(m => m.id);
+
+  await prisma.$transaction([
+    prisma.directMessage.deleteMany({ where: { id: { in: bothDeleted } } }),
+    prisma.directMessageDeletion.createMany({ data: onlyMe.map(messageId => ({ messageId, userId })) }),
+    // The other side may have deleted some of these since they were read (see deleteForMe)
+    prisma.directMessage.deleteMany({ where: { id: { in: onlyMe }, deletions: { some: { userId: otherId } } } })
+  ]);
+
+  logger.info(`User ${userId} cleared chat with ${otherId}: ${onlyMe.length} soft-deleted, ${bothDeleted.length} permanently deleted`);
+  return messages.length;
+}
+
+/**
+ * Unsend your own message for both participants (within the unsend window)
+ */
+async function unsendMessage(messageId, userId) {
+  const message = await loadVisibleMessage(messageId, userId);
+
+  if (message.fromUserId !== userId) throw httpError('You can only unsend your own messages', 403);
+  if (!withinMinutes(message.createdAt, UNSEND_WINDOW_MINUTES)) {
+    throw httpError(`Messages can only be unsent within ${UNSEND_WINDOW_MINUTES} minutes of sending`, 400);
+  }
+
+  await prisma.$transaction([
+    prisma.directMessage.delete({ where: { id: message.id } }),
+    prisma.directMessage.updateMany({
+      where: { replyToId: message.id },
+      data: { replyToText: UNSENT_PLACEHOLDER }
+    })
+  ]);
+
+  emitToUsers([message.fromUserId, message.toUserId], 'dm:deleted', { ...eventPayload(message), scope: 'everyone' });
+  logger.info(`DM ${message.id} unsent by ${userId}`);
+  return { messageId: message.id, scope: 'everyone' };
+}
+
+/**
+ * Edit your own message (within the edit window). Returns the updated message.
+ */
+async function editDirectMessage(messageId, userId, content) {
+  const message = await loadVisibleMessage(messageId, userId);
+
+  if (message.fromUserId !== userId) throw httpError('You can only edit your own messages', 403);
+  if (message.hiddenAt) throw httpError('This message was hidden by a moderator', 403);
+  if (!withinMinutes(message.createdAt, EDIT_WINDOW_MINUTES)) {
+    throw httpError(`Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`, 400);
+  }
+
+  const text = content.trim();
+  if (text === message.content) return message;
+
+  const editedAt = new Date();
+  const [updated] = await prisma.$transaction([
+    prisma.directMessage.update({
+      where: { id: message.id },
+      data: { content: text, editedAt },
+      include: {
+        fromUser: { select: { id: true, username: true } },
+        toUser: { select: { id: true, username: true } }
+      }
+    }),
+    prisma.directMessage.updateMany({
+      where: { replyToId: message.id },
+      data: { replyToText: text.substring(0, REPLY_PREVIEW_LENGTH) }
+    })
+  ]);
+
+  emitToUsers([message.fromUserId, message.toUserId], 'dm:edited', { ...eventPayload(message), content: text, editedAt });
+  return updated;
+}
+
+/**
+ * Migration path for the legacy DirectMessage.deletedFor column: writes a
+ * DirectMessageDeletion row for each participant listed there. Safe to re-run;
+ * deletions that already exist are skipped, and ids that aren't participants
+ * of the message are dropped.
+ *
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report changes without writing (default true)
+ * @param {number} options.batchSize - Messages read per query
+ */
+async function backfillDeletionsFromDeletedFor({ dryRun = true, batchSize = 500 } = {}) {
+  const report = { scanned: 0, created: 0, existing: 0 };
+  let cursor;
+
+  for (;;) {
+    const rows = await prisma.directMessage.findMany({
+      where: { deletedFor: { not: null } },
+      select: {
+        id: true,
+        fromUserId: true,
+        toUserId: true,
+        deletedFor: true,
+        deletions: { select: { userId: true } }
+      },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+    });
+
+    if (!rows.length) break;
+    cursor = rows[rows.length - 1].id;
+    report.scanned += rows.length;
+
+    const data = [];
+    for (const row of rows) {
+      const participants = [row.fromUserId, row.toUserId];
+      const listed = new Set(row.deletedFor.split(',').map(id => id.trim()).filter(id => participants.includes(id)));
+      const existing = new Set(row.deletions.map(d => d.userId));
+
+      for (const userId of listed) {
+        if (existing.has(userId)) {
+          report.existing++;
+        } else {
+          data.push({ messageId: row.id, userId });
+        }
+      }
+    }
+
+    if (!dryRun && data.length) {
+      await prisma.directMessageDeletion.createMany({ data });
+    }
+    report.created += data.length;
+  }
+
+  logger.info(
+    `Direct message deletion backfill${dryRun ? ' (dry run)' : ''}: scanned ${report.scanned}, ` +
+    `${dryRun ? 'would create' : 'created'} ${report.created}, already present ${report.existing}`
+  );
+  return report;
+}
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  UNSEND_WINDOW_MINUTES,
+  notDeletedFor,
+  deleteForMe,
+  clearConversation,
+  unsendMessage,
+  editDirectMessage,
+  backfillDeletionsFromDeletedFor
+};
@@ -0,0 +1,208 @@
+jest.mock('../config/database', () => ({
+  prisma: {
+    directMessage: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      delete: jest.fn(),
+      deleteMany: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    },
+    directMessageDeletion: { create: jest.fn(), createMany: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../socket/io', () => {
+  const mockEmit = jest.fn();
+  const mockTo = jest.fn(() => ({ emit: mockEmit }));
+  return { getIO: () => ({ to: mockTo }), mockTo, mockEmit };
+});
+
+const { prisma } = require('../config/database');
+const { mockTo, mockEmit } = require('../socket/io');
+const {
+  EDIT_WINDOW_MINUTES,
+  UNSEND_WINDOW_MINUTES,
+  deleteForMe,
+  clearConversation,
+  unsendMessage,
+  editDirectMessage,
+  backfillDeletionsFromDeletedFor
+} = require('./directMessageService');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// A message from u1 to u2, as loadVisibleMessage finds it
+const storedMessage = (overrides = {}) => ({
+  id: 'm1',
+  fromUserId: 'u1',
+  toUserId: 'u2',
+  content: 'hello',
+  hiddenAt: null,
+  createdAt: minutesAgo(1),
+  deletions: [],
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.directMessage.findUnique.mockResolvedValue(storedMessage());
+  prisma.directMessageDeletion.create.mockResolvedValue({});
+  prisma.$transaction.mockImplementation((operations) => Promise.all(operations));
+  prisma.directMessage.update.mockImplementation(({ data }) => Promise.resolve({ ...storedMessage(), ...data }));
+});
+
+describe('deleteForMe', () => {
+  const bothSidesDeleted = { id: 'm1', deletions: { some: { userId: 'u1' } } };
+
+  it('records the deletion, then removes the message only if the other side deleted it too', async () => {
+    await expect(deleteForMe('m1', 'u2')).resolves.toEqual({ messageId: 'm1', scope: 'me' });
+
+    expect(prisma.directMessageDeletion.create).toHaveBeenCalledWith({ data: { messageId: 'm1', userId: 'u2' } });
+    expect(prisma.directMessage.deleteMany).toHaveBeenCalledWith({ where: bothSidesDeleted });
+    expect(prisma.directMessageDeletion.create.mock.invocationCallOrder[0])
+      .toBeLessThan(prisma.directMessage.deleteMany.mock.invocationCallOrder[0]);
+    expect(mockTo).toHaveBeenCalledTimes(1);
+    expect(mockTo).toHaveBeenCalledWith('user:u2');
+  });
+
+  it('still checks the other side when a concurrent request recorded the deletion first', async () => {
+    prisma.directMessageDeletion.create.mockRejectedValue(Object.assign(new Error('Unique'), { code: 'P2002' }));
+
+    await expect(deleteForMe('m1', 'u2')).resolves.toEqual({ messageId: 'm1', scope: 'me' });
+    expect(prisma.directMessage.deleteMany).toHaveBeenCalledWith({ where: bothSidesDeleted });
+  });
+
+  it('rethrows other failures', async () => {
+    prisma.directMessageDeletion.create.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(deleteForMe('m1', 'u2')).rejects.toThrow('Connection lost');
+    expect(prisma.directMessage.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('hides messages already deleted by the user and other conversations', async () => {
+    prisma.directMessage.findUnique.mockResolvedValue(storedMessage({ deletions: [{ id: 'd1' }] }));
+    await expect(deleteForMe('m1', 'u1')).rejects.toMatchObject({ status: 404 });
+    await expect(deleteForMe('m1', 'u3')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('clearConversation', () => {
+  it('deletes messages both sides removed and hides the rest', async () => {
+    prisma.directMessage.findMany.mockResolvedValueOnce([
+      { id: 'm1', deletions: [{ id: 'd1' }] },
+      { id: 'm2', deletions: [] }
+    ]);
+
+    await expect(clearConversation('u1', 'u2')).resolves.toBe(2);
+    expect(prisma.directMessage.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['m1'] } } });
+    expect(prisma.directMessageDeletion.createMany).toHaveBeenCalledWith({ data: [{ messageId: 'm2', userId: 'u1' }] });
+    expect(prisma.directMessage.deleteMany).toHaveBeenCalledWith({
+      where: { id: { in: ['m2'] }, deletions: { some: { userId: 'u2' } } }
+    });
+  });
+});
+
+describe('unsendMessage', () => {
+  it('deletes the message for both and rewrites reply previews', async () => {
+    prisma.directMessage.findUnique.mockResolvedValue(storedMessage({ createdAt: minutesAgo(UNSEND_WINDOW_MINUTES - 1) }));
+    await expect(unsendMessage('m1', 'u1')).resolves.toEqual({ messageId: 'm1', scope: 'everyone' });
+
+    expect(prisma.directMessage.delete).toHaveBeenCalledWith({ where: { id: 'm1' } });
+    expect(prisma.directMessage.updateMany).toHaveBeenCalledWith({
+      where: { replyToId: 'm1' },
+      data: { replyToText: 'This message was unsent' }
+    });
+    expect(mockTo.mock.calls.map(([channel]) => channel)).toEqual(['user:u1', 'user:u2']);
+    expect(mockEmit).toHaveBeenCalledWith('dm:deleted', expect.objectContaining({ scope: 'everyone' }));
+  });
+
+  it('refuses after the unsend window', async () => {
+    prisma.directMessage.findUnique.mockResolvedValue(storedMessage({ createdAt: minutesAgo(UNSEND_WINDOW_MINUTES + 1) }));
+
+    await expect(unsendMessage('m1', 'u1')).rejects.toMatchObject({
+      status: 400,
+      message: `Messages can only be unsent within ${UNSEND_WINDOW_MINUTES} minutes of sending`
+    });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('only lets the sender unsend', async () => {
+    await expect(unsendMessage('m1', 'u2')).rejects.toMatchObject({ status: 403 });
+  });
+});
+
+describe('editDirectMessage', () => {
+  it('updates the text and the previews of replies', async () => {
+    prisma.directMessage.findUnique.mockResolvedValue(storedMessage({ createdAt: minutesAgo(EDIT_WINDOW_MINUTES - 1) }));
+    const updated = await editDirectMessage('m1', 'u1', '  hello there ');
+
+    expect(updated).toMatchObject({ content: 'hello there', editedAt: expect.any(Date) });
+    expect(prisma.directMessage.updateMany).toHaveBeenCalledWith({
+      where: { replyToId: 'm1' },
+      data: { replyToText: 'hello there' }
+    });
+    expect(mockEmit).toHaveBeenCalledWith('dm:edited', expect.objectContaining({ messageId: 'm1', content: 'hello there' }));
+  });
+
+  it('leaves unchanged text alone', async () => {
+    await editDirectMessage('m1', 'u1', 'hello ');
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses after the edit window', async () => {
+    prisma.directMessage.findUnique.mockResolvedValue(storedMessage({ createdAt: minutesAgo(EDIT_WINDOW_MINUTES + 1) }));
+
+    await expect(editDirectMessage('m1', 'u1', 'changed')).rejects.toMatchObject({
+      status: 400,
+      message: `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`
+    });
+  });
+
+  it('only lets the sender edit, and not once a moderator hid the message', async () => {
+    await expect(editDirectMessage('m1', 'u2', 'changed')).rejects.toMatchObject({ status: 403 });
+
+    prisma.directMessage.findUnique.mockResolvedValue(storedMessage({ hiddenAt: new Date() }));
+    await expect(editDirectMessage('m1', 'u1', 'changed')).rejects.toMatchObject({
+      status: 403,
+      message: 'This message was hidden by a moderator'
+    });
+  });
+});
+
+describe('backfillDeletionsFromDeletedFor', () => {
+  const legacyMessage = (id, deletedFor, deletions = []) => ({
+    id,
+    fromUserId: 'u1',
+    toUserId: 'u2',
+    deletedFor,
+    deletions: deletions.map(userId => ({ userId }))
+  });
+
+  it('writes the missing deletions of participants, page by page', async () => {
+    prisma.directMessage.findMany
+      .mockResolvedValueOnce([legacyMessage('m1', 'u1'), legacyMessage('m2', 'u1,u2', ['u2'])])
+      .mockResolvedValueOnce([legacyMessage('m3', ' u2 ,u3,')])
+      .mockResolvedValueOnce([]);
+
+    const report = await backfillDeletionsFromDeletedFor({ dryRun: false, batchSize: 2 });
+
+    expect(report).toEqual({ scanned: 3, created: 3, existing: 1 });
+    expect(prisma.directMessageDeletion.createMany.mock.calls.map(([{ data }]) => data)).toEqual([
+      [{ messageId: 'm1', userId: 'u1' }, { messageId: 'm2', userId: 'u1' }],
+      [{ messageId: 'm3', userId: 'u2' }]
+    ]);
+    expect(prisma.directMessage.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+      skip: 1,
+      cursor: { id: 'm3' }
+    }));
+  });
+
+  it('only reports in a dry run', async () => {
+    prisma.directMessage.findMany.mockResolvedValueOnce([legacyMessage('m1', 'u1,u2')]).mockResolvedValueOnce([]);
+
+    await expect(backfillDeletionsFromDeletedFor()).resolves.toEqual({ scanned: 1, created: 2, existing: 0 });
+    expect(prisma.directMessageDeletion.createMany).not.toHaveBeenCalled();
+  });
+});
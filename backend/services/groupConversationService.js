@@ -0,0 +1,468 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+const { getBlockedUserIds } = require('./blockService');
+const PushNotificationService = require('./pushNotificationService');
+const { DIRECTIONS, buildPageQuery, toPage } = require('../utils/messageCursor');
+
+// Group conversations: DMs between 3 and 20 people outside rooms.
+//
+// Whoever creates a group owns it. Any member can rename the group and add
+// their own friends (people they have not blocked or been blocked by); only
+// the owner removes others, and anyone can leave. When the owner leaves, the
+// longest-standing member takes over; the group is deleted with its last
+// member. The size limits apply when creating and adding, so a group may
+// shrink below MIN_MEMBERS as people leave.
+//
+// Members only see messages sent after they joined. Read receipts are the
+// newest message each member has seen (lastReadMessageId / lastReadAt).
+// Renames and membership changes post a 'system' message.
+//
+// Events (each member's user channel):
+//   group:created        { group }
+//   group:updated        { groupId, name, updatedBy }
+//   group:membersAdded   { groupId, userIds, addedBy }    (existing and new members)
+//   group:memberRemoved  { groupId, userId, removedBy }   (remaining members and the removed user)
+//   group:message        { groupId, message }
+//   group:read           { groupId, userId, messageId, readAt }
+//   group:typing         { groupId, userId, username, isTyping }  (see socketHandler.js)
+
+const MIN_MEMBERS = 3;
+const MAX_MEMBERS = 20;
+const REPLY_PREVIEW_LENGTH = 100; // Same cut as DM replyToText
+
+const MEMBER_ROLES = {
+  OWNER: 'owner',
+  MEMBER: 'member'
+};
+
+const USER_SELECT = { id: true, username: true, avatar: true };
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const emitToUsers = (userIds, event, payload) => {
+  const io = getIO();
+  if (!io) return;
+  for (const userId of new Set(userIds)) io.to(`user:${userId}`).emit(event, payload);
+};
+
+const GROUP_INCLUDE = {
+  members: {
+    include: { user: { select: USER_SELECT } },
+    orderBy: { joinedAt: 'asc' }
+  }
+};
+
+const formatMember = (member) => ({
+  ...member.user,
+  _id: member.userId,
+  id: member.userId,
+  role: member.role,
+  joinedAt: member.joinedAt,
+  lastReadMessageId: member.lastReadMessageId,
+  lastReadAt: member.lastReadAt
+});
+
+/**
+ * Unnamed groups are shown by the other members' names
+ */
+const displayName = (group, viewerId) =>
+  group.name ||
+  group.members
+    .filter(m => m.userId !== viewerId)
+    .map(m => m.user?.username)
+    .filter(Boolean)
+    .join(', ') ||
+  'Group';
+
+const formatGroup = (group, viewerId) => ({
+  _id: group.id,
+  id: group.id,
+  name: group.name,
+  displayName: displayName(group, viewerId),
+  createdById: group.createdById,
+  lastMessageAt: group.lastMessageAt,
+  createdAt: group.createdAt,
+  memberCount: group.members.length,
+  members: group.members.map(formatMember)
+});
+
+const formatMessage = (message, members = []) => ({
+  ...message,
+  _id: message.id,
+  message: message.content,
+  messageType: message.type,
+  sender: message.user ? { ...message.user, _id: message.user.id } : null,
+  replyTo: message.replyToText ? { _id: message.replyToId, message: message.replyToText } : null,
+  // Other members who have read up to (or past) this message
+  readBy: members
+    .filter(m => m.userId !== message.userId && m.lastReadAt && m.lastReadAt >= message.createdAt)
+    .map(m => m.userId)
+});
+
+async function loadGroup(groupId) {
+  const group = await prisma.groupConversation.findUnique({ where: { id: groupId }, include: GROUP_INCLUDE });
+  if (!group) throw httpError('Conversation not found', 404);
+  return group;
+}
+
+/**
+ * The group and the user's membership in it (404 for non-members, so group
+ * ids do not leak).
+ */
+async function loadAsMember(groupId, userId) {
+  const group = await loadGroup(groupId);
+  const member = group.members.find(m => m.userId === userId);
+  if (!member) throw httpError('Conversation not found', 404);
+  return { group, member };
+}
+
+/**
+ * Throw unless every user is an accepted friend of `user` and neither side
+ * has blocked the other.
+ */
+async function assertCanAdd(user, userIds) {
+  const [friendships, blockedIds] = await Promise.all([
+    prisma.friend.findMany({
+      where: {
+        status: 'accepted',
+        OR: [
+          { fromUserId: user.id, toUserId: { in: userIds } },
+          { toUserId: user.id, fromUserId: { in: userIds } }
+        ]
+      },
+      select: { fromUserId: true, toUserId: true }
+    }),
+    getBlockedUserIds(user.id)
+  ]);
+
+  const friendIds = new Set(friendships.map(f => (f.fromUserId === user.id ? f.toUserId : f.fromUserId)));
+  const blocked = new Set(blockedIds);
+  if (userIds.some(id => !friendIds.has(id) || blocked.has(id))) {
+    throw httpError('You can only add your friends to a group', 403);
+  }
+}
+
+/**
+ * Post a system message (renames, membership changes) and tell the members
+ * @param {string[]} memberIds - who receives the group:message event
+ */
+async function postSystemMessage(groupId, content, memberIds) {
+  const message = await prisma.groupMessage.create({ data: { groupId, content, type: 'system' } });
+  await prisma.groupConversation.update({ where: { id: groupId }, data: { lastMessageAt: message.createdAt } });
+  emitToUsers(memberIds, 'group:message', { groupId, message: formatMessage(message) });
+  return message;
+}
+
+const unreadWhere = (member) => ({
+  groupId: member.groupId,
+  createdAt: { gt: member.lastReadAt && member.lastReadAt > member.joinedAt ? member.lastReadAt : member.joinedAt },
+  // Own and system messages are never unread
+  userId: { not: member.userId }
+});
+
+/**
+ * The user's groups with their last message and unread count, most recent first
+ */
+async function listGroups(userId) {
+  const memberships = await prisma.groupConversationMember.findMany({
+    where: { userId },
+    include: { group: { include: GROUP_INCLUDE } }
+  });
+
+  const groups = await Promise.all(memberships.map(async (member) => {
+    const [lastMessage, unreadCount] = await Promise.all([
+      prisma.groupMessage.findFirst({
+        where: { groupId: member.groupId, createdAt: { gte: member.joinedAt } },
+        include: { user: { select: USER_SELECT } },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+      }),
+      prisma.groupMessage.count({ where: unreadWhere(member) })
+    ]);
+    return {
+      ...formatGroup(member.group, userId),
+      lastMessage: lastMessage ? formatMessage(lastMessage) : null,
+      unreadCount
+    };
+  }));
+
+  return groups.sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+}
+
+/**
+ * Start a group with some of your friends
+ * @param {object} data - { name, memberIds } (memberIds excludes the creator)
+ */
+async function createGroup(user, { name, memberIds }) {
+  const otherIds = [...new Set(memberIds)].filter(id => id !== user.id);
+  const size = otherIds.length + 1;
+  if (size < MIN_MEMBERS || size > MAX_MEMBERS) {
+    throw httpError(`Groups have between ${MIN_MEMBERS} and ${MAX_MEMBERS} members, including you`, 400);
+  }
+  await assertCanAdd(user, otherIds);
+
+  const created = await prisma.groupConversation.create({
+    data: {
+      name: name?.trim() || null,
+      createdById: user.id,
+      members: {
+        create: [
+          { userId: user.id, role: MEMBER_ROLES.OWNER },
+          ...otherIds.map(userId => ({ userId, role: MEMBER_ROLES.MEMBER }))
+        ]
+      }
+    }
+  });
+  const memberIdsAll = [user.id, ...otherIds];
+  await postSystemMessage(created.id, `${user.username} created the group`, memberIdsAll);
+
+  const group = await loadGroup(created.id);
+  for (const memberId of memberIdsAll) {
+    emitToUsers([memberId], 'group:created', { group: formatGroup(group, memberId) });
+  }
+
+  logger.info(`Group ${group.id} created by ${user.id} with ${size} members`);
+  return formatGroup(group, user.id);
+}
+
+async function getGroup(groupId, userId) {
+  const { group } = await loadAsMember(groupId, userId);
+  return formatGroup(group, userId);
+}
+
+/**
+ * Rename the group (an empty name clears it). Any member can.
+ */
+async function renameGroup(groupId, user, name) {
+  const { group } = await loadAsMember(groupId, user.id);
+  const nextName = name?.trim() || null;
+  if (nextName === group.name) return formatGroup(group, user.id);
+
+  await prisma.groupConversation.update({ where: { id: group.id }, data: { name: nextName } });
+  const memberIds = group.members.map(m => m.userId);
+  await postSystemMessage(
+    group.id,
+    nextName ? `${user.username} renamed the group to "${nextName}"` : `${user.username} removed the group name`,
+    memberIds
+  );
+  emitToUsers(memberIds, 'group:updated', { groupId: group.id, name: nextName, updatedBy: user.id });
+
+  return formatGroup(await loadGroup(group.id), user.id);
+}
+
+/**
+ * Add friends of yours to a group you are in
+ */
+async function addMembers(groupId, user, userIds) {
+  const { group } = await loadAsMember(groupId, user.id);
+  const existing = new Set(group.members.map(m => m.userId));
+  const newIds = [...new Set(userIds)].filter(id => !existing.has(id));
+  if (newIds.length === 0) return formatGroup(group, user.id);
+
+  if (existing.size + newIds.length > MAX_MEMBERS) {
+    throw httpError(`Groups can have at most ${MAX_MEMBERS} members`, 400);
+  }
+  await assertCanAdd(user, newIds);
+
+  await prisma.groupConversationMember.createMany({
+    data: newIds.map(userId => ({ groupId: group.id, userId, role: MEMBER_ROLES.MEMBER }))
+  });
+
+  const updated = await loadGroup(group.id);
+  const memberIds = updated.members.map(m => m.userId);
+  const names = updated.members.filter(m => newIds.includes(m.userId)).map(m => m.user?.username).join(', ');
+  await postSystemMessage(group.id, `${user.username} added ${names}`, memberIds);
+  emitToUsers(memberIds, 'group:membersAdded', { groupId: group.id, userIds: newIds, addedBy: user.id });
+
+  logger.info(`Group ${group.id}: ${user.id} added ${newIds.length} member(s)`);
+  return formatGroup(updated, user.id);
+}
+
+/**
+ * Remove a member (owner only) or leave (targetId is yourself).
+ * Returns the group as the actor now sees it, or null after leaving.
+ */
+async function removeMember(groupId, user, targetId) {
+  const { group, member } = await loadAsMember(groupId, user.id);
+  const isLeaving = targetId === user.id;
+  const target = group.members.find(m => m.userId === targetId);
+  if (!target) throw httpError('This person is not in the group', 404);
+  if (!isLeaving && member.role !== MEMBER_ROLES.OWNER) {
+    throw httpError('Only the group owner can remove members', 403);
+  }
+
+  const remaining = group.members.filter(m => m.userId !== targetId);
+  if (remaining.length === 0) {
+    await prisma.groupConversation.delete({ where: { id: group.id } });
+    emitToUsers([targetId], 'group:memberRemoved', { groupId: group.id, userId: targetId, removedBy: user.id });
+    logger.info(`Group ${group.id} deleted: last member left`);
+    return null;
+  }
+
+  // An owner leaving hands the group to the longest-standing member
+  const heir = target.role === MEMBER_ROLES.OWNER ? remaining[0] : null;
+  await prisma.$transaction([
+    prisma.groupConversationMember.delete({ where: { id: target.id } }),
+    ...(heir
+      ? [prisma.groupConversationMember.update({ where: { id: heir.id }, data: { role: MEMBER_ROLES.OWNER } })]
+      : [])
+  ]);
+
+  const remainingIds = remaining.map(m => m.userId);
+  await postSystemMessage(
+    group.id,
+    isLeaving ? `${user.username} left the group` : `${user.username} removed ${target.user?.username || 'a member'}`,
+    remainingIds
+  );
+  emitToUsers([...remainingIds, targetId], 'group:memberRemoved', { groupId: group.id, userId: targetId, removedBy: user.id });
+
+  logger.info(`Group ${group.id}: ${targetId} ${isLeaving ? 'left' : `removed by ${user.id}`}`);
+  return isLeaving ? null : formatGroup(await loadGroup(group.id), user.id);
+}
+
+/**
+ * A page of messages (see utils/messageCursor.js), newest page first, with
+ * each message's readBy and every member's read receipt.
+ */
+async function listMessages(groupId, userId, query = {}) {
+  const { group, member } = await loadAsMember(groupId, userId);
+  const page = buildPageQuery(query, { defaultLimit: 50, defaultDirection: DIRECTIONS.BEFORE });
+
+  const rows = await prisma.groupMessage.findMany({
+    where: {
+      groupId: group.id,
+      AND: [{ createdAt: { gte: member.joinedAt } }, ...(page.where ? [page.where] : [])]
+    },
+    include: { user: { select: USER_SELECT } },
+    orderBy: page.orderBy,
+    take: page.take
+  });
+  const { items, hasMore, cursors } = toPage(rows, page);
+
+  return {
+    messages: items.map(m => formatMessage(m, group.members)),
+    hasMore,
+    cursors,
+    readReceipts: group.members.map(m => ({
+      userId: m.userId,
+      lastReadMessageId: m.lastReadMessageId,
+      lastReadAt: m.lastReadAt
+    }))
+  };
+}
+
+/**
+ * Send a message to the group. Counts as read for the sender.
+ */
+async function sendMessage(groupId, user, { message, replyTo }) {
+  const { group, member } = await loadAsMember(groupId, user.id);
+  const content = message.trim();
+  if (!content) throw httpError('Message cannot be empty', 400);
+
+  let replyToText = null;
+  if (replyTo) {
+    const original = await prisma.groupMessage.findUnique({ where: { id: replyTo }, select: { groupId: true, content: true } });
+    if (original?.groupId === group.id) replyToText = original.content.substring(0, REPLY_PREVIEW_LENGTH);
+  }
+
+  const created = await prisma.groupMessage.create({
+    data: {
+      groupId: group.id,
+      userId: user.id,
+      content,
+      replyToId: replyToText ? replyTo : null,
+      replyToText
+    },
+    include: { user: { select: USER_SELECT } }
+  });
+
+  await prisma.$transaction([
+    prisma.groupConversation.update({ where: { id: group.id }, data: { lastMessageAt: created.createdAt } }),
+    prisma.groupConversationMember.update({
+      where: { id: member.id },
+      data: { lastReadMessageId: created.id, lastReadAt: created.createdAt }
+    })
+  ]);
+
+  const formatted = formatMessage(created);
+  const memberIds = group.members.map(m => m.userId);
+  emitToUsers(memberIds, 'group:message', { groupId: group.id, message: formatted });
+
+  const recipientIds = memberIds.filter(id => id !== user.id);
+  PushNotificationService.notifyGroupMessage(
+    recipientIds,
+    group.id,
+    displayName(group, null),
+    user.username,
+    content,
+    user.id
+  ).catch(err => logger.error('Push notification error for group message:', err));
+
+  return formatted;
+}
+
+/**
+ * Move the user's read receipt up to `messageId` (default: the newest
+ * message). Receipts never move backwards.
+ */
+async function markRead(groupId, userId, messageId) {
+  const { group, member } = await loadAsMember(groupId, userId);
+
+  const message = messageId
+    ? await prisma.groupMessage.findUnique({ where: { id: messageId }, select: { id: true, groupId: true, createdAt: true } })
+    : await prisma.groupMessage.findFirst({
+      where: { groupId: group.id },
+      select: { id: true, groupId: true, createdAt: true },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+    });
+  if (messageId && message?.groupId !== group.id) throw httpError('Message not found', 404);
+  if (!message || (member.lastReadAt && member.lastReadAt >= message.createdAt)) {
+    return { lastReadMessageId: member.lastReadMessageId, lastReadAt: member.lastReadAt };
+  }
+
+  await prisma.groupConversationMember.update({
+    where: { id: member.id },
+    data: { lastReadMessageId: message.id, lastReadAt: message.createdAt }
+  });
+
+  emitToUsers(group.members.map(m => m.userId), 'group:read', {
+    groupId: group.id,
+    userId,
+    messageId: message.id,
+    readAt: message.createdAt
+  });
+  return { lastReadMessageId: message.id, lastReadAt: message.createdAt };
+}
+
+/**
+ * Member ids of a group the user belongs to, or null if they do not
+ * (used by the socket handler for typing indicators).
+ */
+async function getMemberIdsFor(groupId, userId) {
+  const members = await prisma.groupConversationMember.findMany({
+    where: { groupId },
+    select: { userId: true }
+  });
+  const ids = members.map(m => m.userId);
+  return ids.includes(userId) ? ids : null;
+}
+
+module.exports = {
+  MIN_MEMBERS,
+  MAX_MEMBERS,
+  MEMBER_ROLES,
+  listGroups,
+  createGroup,
+  getGroup,
+  renameGroup,
+  addMembers,
+  removeMember,
+  listMessages,
+  sendMessage,
+  markRead,
+  getMemberIdsFor
+};
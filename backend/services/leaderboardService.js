@@ -0,0 +1,356 @@
+const { prisma } = require('../config/database');
+const {
+  getRoomDayString,
+  getRoomTodayString,
+  getRoomDayBounds,
+  shiftDateString,
+  daysBetween
+} = require('./dayBoundaryService');
+const { getTaskOccurrences, getCompletionWindow, isDateString } = require('../utils/recurrence');
+
+// Room leaderboards over a period, ranked by one of several metrics.
+//
+// Periods are room days (see dayBoundaryService): "week" is Monday to today,
+// "month" is the 1st to today, "custom" is an inclusive from/to range and
+// "all" is everything since the room was created. Completions are matched on
+// their completionDate; rejected proofs never count. Points, completions and
+// appreciations are summed in the database.
+//
+// Metrics per member:
+//   points          pointsAwarded in the period (RoomMember.points only holds
+//                   the current season's tally, see seasonService)
+//   streak          longest run of consecutive completion days in the period
+//                   (all time: the member's current room streak)
+//   completionRate  % of due task occurrences completed since the member joined
+//   appreciations   appreciations received in the period
+//
+// Ties on the ranked metric are broken by points, then completions; members
+// still level share a rank and are listed by earliest join, then username.
+// Each entry carries its rank in the previous period of the same length
+// (no previous period for "all").
+
+const PERIODS = ['all', 'week', 'month', 'custom'];
+const RANK_BY = ['points', 'streak', 'completionRate', 'appreciations'];
+const MAX_CUSTOM_RANGE_DAYS = 366;
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const startOfWeek = (dateStr) => {
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return shiftDateString(dateStr, -((weekday + 6) % 7));
+};
+
+const startOfMonth = (dateStr) => `${dateStr.slice(0, 7)}-01`;
+
+const startOfPreviousMonth = (dateStr) => startOfMonth(shiftDateString(startOfMonth(dateStr), -1));
+
+/**
+ * Resolve the requested period into room-day bounds plus the previous
+ * period to compare ranks against. Throws 400 on a bad period or range.
+ */
+function resolvePeriod(room, { period = 'all', from, to } = {}) {
+  if (!PERIODS.includes(period)) {
+    throw httpError(`Period must be one of: ${PERIODS.join(', ')}`, 400);
+  }
+
+  const today = getRoomTodayString(room);
+
+  if (period === 'all') {
+    return { period, from: getRoomDayString(room, room.createdAt), to: today, previous: null };
+  }
+
+  if (period === 'week') {
+    const start = startOfWeek(today);
+    return {
+      period,
+      from: start,
+      to: today,
+      previous: { from: shiftDateString(start, -7), to: shiftDateString(today, -7) }
+    };
+  }
+
+  if (period === 'month') {
+    const start = startOfMonth(today);
+    const previousStart = startOfPreviousMonth(today);
+    // Same number of days into last month, capped at its last day
+    const previousEnd = shiftDateString(start, -1);
+    const sameDay = shiftDateString(previousStart, daysBetween(start, today));
+    return {
+      period,
+      from: start,
+      to: today,
+      previous: { from: previousStart, to: sameDay < previousEnd ? sameDay : previousEnd }
+    };
+  }
+
+  const fromStr = String(from || '').slice(0, 10);
+  const toStr = String(to || '').slice(0, 10);
+  if (!isDateString(fromStr) || !isDateString(toStr) || toStr < fromStr) {
+    throw httpError('A custom period needs valid from and to dates (YYYY-MM-DD)', 400);
+  }
+  const length = daysBetween(fromStr, toStr) + 1;
+  if (length > MAX_CUSTOM_RANGE_DAYS) {
+    throw httpError(`Custom period cannot exceed ${MAX_CUSTOM_RANGE_DAYS} days`, 400);
+  }
+
+  return {
+    period,
+    from: fromStr,
+    to: toStr,
+    previous: { from: shiftDateString(fromStr, -length), to: shiftDateString(fromStr, -1) }
+  };
+}
+
+// Longest run of consecutive days in a set of YYYY-MM-DD strings
+const longestRun = (days) => {
+  const sorted = [...days].sort();
+  let best = 0;
+  let run = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    run = i > 0 && daysBetween(sorted[i - 1], sorted[i]) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  }
+  return best;
+};
+
+const roundRate = (done, due) => (due > 0 ? Math.round((done / due) * 1000) / 10 : 0);
+
+// Index of the first entry of a sorted array after value (or not before it)
+const bisect = (sorted, value, after) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value || (after && sorted[mid] === value)) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// How many entries of a sorted array fall within [from, to]
+const countBetween = (sorted, from, to) => Math.max(0, bisect(sorted, to, true) - bisect(sorted, from, false));
+
+const EMPTY_TALLY = { points: 0, completions: 0, done: 0, days: new Set(), appreciations: 0 };
+
+/**
+ * Per-member tallies over [from, to]: points, completions and appreciations
+ * received from database aggregates, plus the days each member completed
+ * something and how many completions landed on a due occurrence
+ * (`occurrenceKeys` holds "taskId|day" for every one).
+ */
+async function loadPeriodTallies(room, { from, to }, { tasksById, occurrenceKeys }) {
+  const where = { roomId: room.id, status: { not: 'rejected' }, completionDate: { gte: from, lte: to } };
+
+  const [totals, appreciations, completions] = await Promise.all([
+    prisma.taskCompletion.groupBy({
+      by: ['userId'],
+      where,
+      _sum: { pointsAwarded: true },
+      _count: { _all: true }
+    }),
+    prisma.appreciation.groupBy({
+      by: ['toUserId'],
+      where: {
+        roomId: room.id,
+        createdAt: { gte: getRoomDayBounds(room, from).start, lt: getRoomDayBounds(room, to).end }
+      },
+      _count: { _all: true }
+    }),
+    prisma.taskCompletion.findMany({
+      where,
+      select: { userId: true, taskId: true, completionDate: true }
+    })
+  ]);
+
+  const tallies = new Map();
+  const tallyFor = (userId) => {
+    if (!tallies.has(userId)) tallies.set(userId, { ...EMPTY_TALLY, days: new Set() });
+    return tallies.get(userId);
+  };
+
+  for (const row of totals) {
+    Object.assign(tallyFor(row.userId), { points: row._sum.pointsAwarded || 0, completions: row._count._all });
+  }
+  for (const row of appreciations) {
+    tallyFor(row.toUserId).appreciations = row._count._all;
+  }
+  for (const c of completions) {
+    const tally = tallyFor(c.userId);
+    tally.days.add(c.completionDate);
+    const task = tasksById.get(c.taskId);
+    // A legacy weekly task's completion counts for the Monday of its week
+    if (task && occurrenceKeys.has(`${c.taskId}|${getCompletionWindow(task, c.completionDate).start}`)) {
+      tally.done++;
+    }
+  }
+  return tallies;
+}
+
+/**
+ * Stats for each member over [from, to] from their tallies. `dueDays` holds the
+ * day of every due task occurrence, sorted; only days the member was in the
+ * room count as due.
+ */
+function computeStats(members, { from, to, today }, { tallies, dueDays, allTime }) {
+  const lastDay = to < today ? to : today;
+
+  return members.map(member => {
+    const joinDay = member.joinDay > from ? member.joinDay : from;
+    const tally = tallies.get(member.userId) || EMPTY_TALLY;
+    const due = countBetween(dueDays, joinDay, lastDay);
+
+    return {
+      userId: member.userId,
+      points: tally.points,
+      completions: tally.completions,
+      streak: allTime ? member.currentStreak : longestRun(tally.days),
+      completionRate: roundRate(Math.min(tally.done, due), due),
+      appreciations: tally.appreciations
+    };
+  });
+}
+
+/**
+ * Sort stats by `rankBy` with the tie-breaks above and assign ranks
+ * (competition style: 1, 2, 2, 4). Returns a Map of userId to rank too.
+ */
+function rankStats(stats, rankBy, members) {
+  const byUser = new Map(members.map(m => [m.userId, m]));
+  const tieKey = (s) => [s[rankBy], s.points, s.completions];
+
+  const sorted = [...stats].sort((a, b) => {
+    const ka = tieKey(a);
+    const kb = tieKey(b);
+    for (let i = 0; i < ka.length; i++) {
+      if (kb[i] !== ka[i]) return kb[i] - ka[i];
+    }
+    const ma = byUser.get(a.userId);
+    const mb = byUser.get(b.userId);
+    return (ma.joinedAt - mb.joinedAt) || ma.username.localeCompare(mb.username);
+  });
+
+  const ranks = new Map();
+  sorted.forEach((s, index) => {
+    const prev = sorted[index - 1];
+    const tied = prev && tieKey(prev).every((value, i) => value === tieKey(s)[i]);
+    s.rank = tied ? prev.rank : index + 1;
+    ranks.set(s.userId, s.rank);
+  });
+
+  return { sorted, ranks };
+}
+
+/**
+ * Leaderboard for a room over a period.
+ * @param {object} room - Room row (id, timezone, dayRolloverHour, createdAt)
+ * @param {object} options - { period, from, to, rankBy } from the query string
+ */
+async function getRoomLeaderboard(room, options = {}) {
+  const rankBy = options.rankBy || 'points';
+  if (!RANK_BY.includes(rankBy)) {
+    throw httpError(`rankBy must be one of: ${RANK_BY.join(', ')}`, 400);
+  }
+
+  const range = resolvePeriod(room, options);
+  const today = getRoomTodayString(room);
+  const earliest = range.previous ? range.previous.from : range.from;
+  const allTime = range.period === 'all';
+
+  const [memberRows, tasks, progress] = await Promise.all([
+    prisma.roomMember.findMany({
+      where: { roomId: room.id, status: 'active' },
+      include: { user: { select: { id: true, username: true, avatar: true } } }
+    }),
+    prisma.roomTask.findMany({ where: { roomId: room.id, isActive: true } }),
+    allTime
+      ? prisma.userRoomProgress.findMany({
+        where: { roomId: room.id },
+        select: { userId: true, currentStreak: true }
+      })
+      : []
+  ]);
+
+  const streaks = new Map(progress.map(p => [p.userId, p.currentStreak]));
+  const members = memberRows.map(m => ({
+    id: m.id,
+    userId: m.userId,
+    user: m.user,
+    username: m.user.username,
+    role: m.role,
+    joinedAt: new Date(m.joinedAt).getTime(),
+    joinDay: getRoomDayString(room, m.joinedAt),
+    currentStreak: streaks.get(m.userId) || 0
+  }));
+
+  // Due occurrences across both periods, from each task's creation day on
+  const occurrences = tasks.flatMap(task => {
+    const createdDay = getRoomDayString(room, task.createdAt);
+    const start = createdDay > earliest ? createdDay : earliest;
+    return start <= range.to ? getTaskOccurrences(task, start, range.to).map(day => ({ taskId: task.id, day })) : [];
+  });
+  const dueDays = occurrences.map(o => o.day).sort();
+  const context = {
+    tasksById: new Map(tasks.map(task => [task.id, task])),
+    occurrenceKeys: new Set(occurrences.map(o => `${o.taskId}|${o.day}`))
+  };
+
+  const [tallies, previousTallies] = await Promise.all([
+    loadPeriodTallies(room, range, context),
+    range.previous ? loadPeriodTallies(room, range.previous, context) : null
+  ]);
+
+  const current = rankStats(computeStats(members, { ...range, today }, { tallies, dueDays, allTime }), rankBy, members);
+
+  let previousRanks = null;
+  if (range.previous) {
+    // Only members who were in the room by the end of the previous period
+    const previousMembers = members.filter(m => m.joinDay <= range.previous.to);
+    const previousStats = computeStats(previousMembers, { ...range.previous, today }, {
+      tallies: previousTallies,
+      dueDays,
+      allTime: false
+    });
+    previousRanks = rankStats(previousStats, rankBy, previousMembers).ranks;
+  }
+
+  const byUser = new Map(members.map(m => [m.userId, m]));
+  const leaderboard = current.sorted.map(s => {
+    const member = byUser.get(s.userId);
+    const previousRank = previousRanks ? previousRanks.get(s.userId) ?? null : null;
+    return {
+      _id: member.id,
+      userId: s.userId,
+      user: { ...member.user, _id: member.user.id },
+      role: member.role,
+      rank: s.rank,
+      previousRank,
+      rankChange: previousRank === null ? null : previousRank - s.rank,
+      score: s[rankBy],
+      points: s.points,
+      completions: s.completions,
+      streak: s.streak,
+      completionRate: s.completionRate,
+      appreciations: s.appreciations
+    };
+  });
+
+  return {
+    period: range.period,
+    rankBy,
+    from: range.from,
+    to: range.to,
+    previous: range.previous,
+    leaderboard
+  };
+}
+
+module.exports = {
+  PERIODS,
+  RANK_BY,
+  resolvePeriod,
+  getRoomLeaderboard
+};
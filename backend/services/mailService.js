@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Mail Service
+ *
+ * Sends transactional email (password reset, email verification) through a
+ * pluggable transport.
+ *
+ * Transports (MAIL_TRANSPORT):
+ *   console - logs the message with its tokens redacted; the default when SMTP_HOST is not set
+ *   file    - writes each message as JSON under MAIL_OUTBOX_DIR for local testing
+ *   smtp    - any SMTP server (SMTP_HOST, SMTP_PORT, ...) through nodemailer
+ *
+ * console and file don't deliver anything, so production doesn't use them. When
+ * the transport can't be set up, email is disabled (logged at startup) and
+ * sending answers 503 instead of taking the server down.
+ */
+
+const DEFAULT_FROM = 'Krios <no-reply@krios.app>';
+const LOCAL_OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox'));
+
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+const trimSlash = (value) => (value || '').replace(/\/+$/, '');
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Replace each secret (e.g. a reset token, also inside links) so it can be logged
+const redact = (text, secrets = []) =>
+  secrets.filter(Boolean).reduce((result, secret) => result.split(secret).join('[redacted]'), text);
+
+// ==================== TRANSPORTS ====================
+
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(message, { secrets } = {}) {
+    logger.info(`[mail] To: ${message.to} | Subject: ${message.subject}\n${redact(message.text, secrets)}`);
+    return { id: null };
+  }
+});
+
+const createFileTransport = () => ({
+  name: 'file',
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.mkdir(LOCAL_OUTBOX_DIR, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(LOCAL_OUTBOX_DIR, `${id}.json`),
+      JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { id };
+  }
+});
+
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  if (!process.env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+const createTransport = () => {
+  const name = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+  if (!TRANSPORTS[name]) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  if (process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(name)) {
+    throw new Error(`MAIL_TRANSPORT=${name} does not deliver email; configure SMTP_HOST in production`);
+  }
+  return TRANSPORTS[name]();
+};
+
+let transport;
+
+/**
+ * Active mail transport (created on first use from MAIL_TRANSPORT), or null
+ * when email is disabled. server.js calls this at startup so a misconfigured
+ * transport is reported there.
+ */
+const getTransport = () => {
+  if (transport === undefined) {
+    try {
+      transport = createTransport();
+      logger.info(`Mail transport: ${transport.name}`);
+    } catch (err) {
+      transport = null;
+      logger.error(`Email disabled: ${err.message}. Password reset and verification emails won't be sent until SMTP is configured.`);
+    }
+  }
+  return transport;
+};
+
+const isMailAvailable = () => getTransport() !== null;
+
+/**
+ * Send an email. `text` is required; `html` is optional. `secrets` (e.g. tokens)
+ * are kept out of anything the transport logs. Throws 503 while email is disabled.
+ * @returns {Promise<{id: string|null}>}
+ */
+async function sendMail({ to, subject, text, html, secrets }) {
+  const active = getTransport();
+  if (!active) throw httpError('Email is not available right now. Please try again later.', 503);
+
+  const result = await active.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    ...(html && { html })
+  }, { secrets });
+  logger.info(`Email "${subject}" sent to ${to}`);
+  return result;
+}
+
+// ==================== TEMPLATES ====================
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Link into the web app (FRONTEND_URL), e.g. appLink('/reset-password', { token })
+ */
+const appLink = (pathname, params) => {
+  const base = trimSlash(process.env.FRONTEND_URL || 'http://localhost:3000');
+  const query = new URLSearchParams(params).toString();
+  return query ? `${base}${pathname}?${query}` : `${base}${pathname}`;
+};
+
+const renderActionEmail = ({ greeting, intro, actionLabel, link, code, outro }) => {
+  const text = [
+    greeting,
+    '',
+    intro,
+    '',
+    `${actionLabel}: ${link}`,
+    '',
+    `Or enter this code in the Krios app: ${code}`,
+    '',
+    outro
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: -apple-system, Segoe UI, Roboto, sans-serif; max-width: 480px; margin: 0 auto; color: #1e293b;">
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(intro)}</p>
+      <p style="margin: 24px 0;">
+        <a href="${escapeHtml(link)}" style="background: #6366f1; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none; font-weight: 600;">${escapeHtml(actionLabel)}</a>
+      </p>
+      <p style="color: #64748b; font-size: 13px;">Or enter this code in the Krios app:<br><code style="font-size: 14px;">${escapeHtml(code)}</code></p>
+      <p style="color: #64748b; font-size: 13px;">${escapeHtml(outro)}</p>
+    </div>
+  `.trim();
+
+  return { text, html };
+};
+
+/**
+ * Email a password reset link/code
+ */
+function sendPasswordResetEmail(user, token, expiresInMinutes) {
+  const content = renderActionEmail({
+    greeting: `Hi ${user.username},`,
+    intro: `We received a request to reset your Krios password. The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    actionLabel: 'Reset password',
+    link: appLink('/reset-password', { token }),
+    code: token,
+    outro: "If you didn't ask for this, you can ignore this email; your password won't change."
+  });
+  return sendMail({ to: user.email, subject: 'Reset your Krios password', ...content, secrets: [token] });
+}
+
+/**
+ * Email an address verification link/code
+ */
+function sendVerificationEmail(user, token, expiresInHours) {
+  const content = renderActionEmail({
+    greeting: `Hi ${user.username},`,
+    intro: `Please confirm that ${user.email} is your email address. The link expires in ${expiresInHours} hours.`,
+    actionLabel: 'Verify email',
+    link: appLink('/verify-email', { token }),
+    code: token,
+    outro: "If you didn't create a Krios account, you can ignore this email."
+  });
+  return sendMail({ to: user.email, subject: 'Verify your Krios email', ...content, secrets: [token] });
+}
+
+/**
+ * Email a digest of queued notifications (see notificationDigestService)
+ * @param {Object[]} items - { title, message, createdAt }, oldest first
+ */
+function sendNotificationDigestEmail(user, items) {
+  const link = appLink('/dashboard');
+  const intro = items.length === 1
+    ? 'Here is what you missed on Krios:'
+    : `Here are the ${items.length} things you missed on Krios:`;
+  const outro = 'You get this email because you turned on email digests in your notification settings.';
+
+  const text = [
+    `Hi ${user.username},`,
+    '',
+    intro,
+    '',
+    ...items.map(item => `- ${item.title}: ${item.message}`),
+    '',
+    `Open Krios: ${link}`,
+    '',
+    outro
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: -apple-system, Segoe UI, Roboto, sans-serif; max-width: 480px; margin: 0 auto; color: #1e293b;">
+      <p>${escapeHtml(`Hi ${user.username},`)}</p>
+      <p>${escapeHtml(intro)}</p>
+      <ul style="padding-left: 20px;">
+        ${items.map(item => `<li style="margin-bottom: 8px;"><strong>${escapeHtml(item.title)}</strong><br>${escapeHtml(item.message)}</li>`).join('')}
+      </ul>
+      <p style="margin: 24px 0;">
+        <a href="${escapeHtml(link)}" style="background: #6366f1; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none; font-weight: 600;">Open Krios</a>
+      </p>
+      <p style="color: #64748b; font-size: 13px;">${escapeHtml(outro)}</p>
+    </div>
+  `.trim();
+
+  const subject = items.length === 1 ? 'Your Krios digest: 1 update' : `Your Krios digest: ${items.length} updates`;
+  return sendMail({ to: user.email, subject, text, html });
+}
+
+module.exports = {
+  getTransport,
+  isMailAvailable,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendNotificationDigestEmail
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { encode: encodeBlurHash } = require('blurhash');
+const logger = require('../utils/logger');
+
+/**
+ * Media Storage Service
+ *
+ * Stores uploaded proof/chat images on a pluggable backend and returns the
+ * public URLs clients attach to RoomTaskNode.mediaUrl.
+ *
+ * Backends (MEDIA_STORAGE):
+ *   local (default) - files under MEDIA_UPLOAD_DIR, served by server.js at /uploads
+ *                     from MEDIA_PUBLIC_URL (required in production)
+ *   s3              - any S3-compatible bucket (AWS, R2, MinIO...); needs @aws-sdk/client-s3
+ *
+ * When the backend can't be set up, uploads are disabled (logged at startup,
+ * see server.js) and answer 503.
+ *
+ * Every image is re-encoded before it is stored: orientation is applied and all
+ * metadata (EXIF, including GPS location) is dropped. A thumbnail is written
+ * next to the original as "<key>_thumb.jpg" so it can be derived from the media
+ * URL alone.
+ */
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const DEFAULT_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+const BLURHASH_SIZE = 32;
+const LOCAL_URL_PREFIX = '/uploads';
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MEDIA_MAX_UPLOAD_BYTES) || DEFAULT_MAX_UPLOAD_BYTES;
+const LOCAL_UPLOAD_DIR = path.resolve(process.env.MEDIA_UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+const trimSlash = (value) => (value || '').replace(/\/+$/, '');
+
+// ==================== ADAPTERS ====================
+
+const createLocalAdapter = () => {
+  // Never derived from request headers: the URL is stored and shown to every member
+  if (!process.env.MEDIA_PUBLIC_URL && process.env.NODE_ENV === 'production') {
+    throw new Error('MEDIA_STORAGE=local requires MEDIA_PUBLIC_URL in production');
+  }
+  const publicBase = `${trimSlash(process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`)}${LOCAL_URL_PREFIX}`;
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(LOCAL_UPLOAD_DIR, key);
+    if (!filePath.startsWith(LOCAL_UPLOAD_DIR + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    getUrl(key) {
+      return `${publicBase}/${key}`;
+    },
+
+    getKey(url) {
+      return url.startsWith(`${publicBase}/`) ? url.slice(publicBase.length + 1) : null;
+    }
+  };
+};
+
+const createS3Adapter = () => {
+  let s3;
+  try {
+    s3 = require('@aws-sdk/client-s3');
+  } catch (err) {
+    throw new Error('MEDIA_STORAGE=s3 requires the @aws-sdk/client-s3 package');
+  }
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('MEDIA_STORAGE=s3 requires S3_BUCKET');
+
+  const client = new s3.S3Client({
+    region: process.env.S3_REGION || 'auto',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      : undefined
+  });
+
+  const publicBase = trimSlash(
+    process.env.S3_PUBLIC_URL ||
+    (process.env.S3_ENDPOINT
+      ? `${trimSlash(process.env.S3_ENDPOINT)}/${bucket}`
+      : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`)
+  );
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new s3.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    },
+
+    async remove(key) {
+      await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl(key) {
+      return `${publicBase}/${key}`;
+    },
+
+    getKey(url) {
+      return url.startsWith(`${publicBase}/`) ? url.slice(publicBase.length + 1) : null;
+    }
+  };
+};
+
+const ADAPTERS = {
+  local: createLocalAdapter,
+  s3: createS3Adapter
+};
+
+const createStorage = () => {
+  const name = (process.env.MEDIA_STORAGE || 'local').toLowerCase();
+  if (!ADAPTERS[name]) throw new Error(`Unknown MEDIA_STORAGE backend: ${name}`);
+  return ADAPTERS[name]();
+};
+
+let storage;
+
+/**
+ * Active storage adapter (created on first use from MEDIA_STORAGE), or null
+ * when uploads are disabled. server.js calls this at startup so a
+ * misconfigured backend is reported there.
+ */
+const getStorage = () => {
+  if (storage === undefined) {
+    try {
+      storage = createStorage();
+      logger.info(`Media storage: ${storage.name}`);
+    } catch (err) {
+      storage = null;
+      logger.error(`Media uploads disabled: ${err.message}`);
+    }
+  }
+  return storage;
+};
+
+// ==================== IMAGE PROCESSING ====================
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const storageUnavailable = () => {
+  const error = new Error('Media uploads are not available right now. Please try again later.');
+  error.status = 503;
+  return error;
+};
+
+/**
+ * Re-encode an image without metadata, plus a JPEG thumbnail and BlurHash.
+ * The declared MIME type is not trusted; the decoded format must be allowed too.
+ */
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw badRequest('File is not a valid image');
+  }
+
+  const mimeType = `image/${metadata.format === 'jpg' ? 'jpeg' : metadata.format}`;
+  if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+    throw badRequest(`Unsupported image type (allowed: ${ALLOWED_MIME_TYPES.join(', ')})`);
+  }
+
+  // rotate() bakes in the EXIF orientation; sharp drops all metadata unless asked to keep it
+  const base = sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true });
+
+  const output = mimeType === 'image/png'
+    ? { ext: 'png', mimeType, pipeline: base.png({ compressionLevel: 9 }) }
+    : mimeType === 'image/webp'
+      ? { ext: 'webp', mimeType, pipeline: base.webp({ quality: 85 }) }
+      : { ext: 'jpg', mimeType: 'image/jpeg', pipeline: base.jpeg({ quality: 85, mozjpeg: true }) };
+
+  const { data, info } = await output.pipeline.toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(data)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+
+  const { data: pixels, info: pixelInfo } = await sharp(data)
+    .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const blurHash = encodeBlurHash(
+    new Uint8ClampedArray(pixels),
+    pixelInfo.width,
+    pixelInfo.height,
+    4,
+    3
+  );
+
+  return {
+    buffer: data,
+    ext: output.ext,
+    mimeType: output.mimeType,
+    width: info.width,
+    height: info.height,
+    thumbnail,
+    blurHash
+  };
+}
+
+// ==================== PUBLIC API ====================
+
+const getThumbnailKey = (key) => key.replace(/\.[^./]+$/, '') + '_thumb.jpg';
+
+/**
+ * Process and store an uploaded image for a room.
+ *
+ * @param {Object} params
+ * @param {Buffer} params.buffer - Raw upload
+ * @param {string} params.roomId - Owning room (used as the key prefix)
+ * @returns {Promise<{url, thumbnailUrl, blurHash, width, height, mimeType, size}>}
+ */
+async function storeImage({ buffer, roomId }) {
+  const adapter = getStorage();
+  if (!adapter) throw storageUnavailable();
+
+  const image = await processImage(buffer);
+
+  const key = `rooms/${roomId}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${image.ext}`;
+  const thumbnailKey = getThumbnailKey(key);
+
+  await adapter.put(key, image.buffer, image.mimeType);
+  await adapter.put(thumbnailKey, image.thumbnail, 'image/jpeg');
+
+  return {
+    url: adapter.getUrl(key),
+    thumbnailUrl: adapter.getUrl(thumbnailKey),
+    blurHash: image.blurHash,
+    width: image.width,
+    height: image.height,
+    mimeType: image.mimeType,
+    size: image.buffer.length
+  };
+}
+
+// Stored file names are flat: "<timestamp>-<hex>.<ext>" (and "..._thumb.jpg")
+const STORED_NAME_PATTERN = /^[\w-]+\.[a-z]+$/;
+
+/**
+ * Storage key of a media URL when it is one of the room's own uploads
+ * (rooms/<roomId>/<name>), otherwise null
+ */
+const getRoomMediaKey = (url, roomId) => {
+  const adapter = getStorage();
+  if (typeof url !== 'string' || url.startsWith('data:') || !roomId || !adapter) return null;
+  const key = adapter.getKey(url);
+  const prefix = `rooms/${roomId}/`;
+  if (!key || !key.startsWith(prefix)) return null;
+  return STORED_NAME_PATTERN.test(key.slice(prefix.length)) ? key : null;
+};
+
+/**
+ * Whether a media URL points at one of the room's stored uploads
+ */
+const isRoomMediaUrl = (url, roomId) => !!getRoomMediaKey(url, roomId);
+
+/**
+ * Whether a client-supplied mediaUrl may be attached to a node in the room:
+ * an inline image, an https link, or one of the room's own uploads
+ */
+const isValidNodeMediaUrl = (url, roomId) =>
+  typeof url === 'string' &&
+  (url.startsWith('data:image/') || url.startsWith('https://') || isRoomMediaUrl(url, roomId));
+
+/**
+ * Delete one of the room's stored images and its thumbnail. URLs hosted
+ * elsewhere or under another room are ignored.
+ * @returns {Promise<boolean>} whether anything was deleted
+ */
+async function deleteMedia(url, roomId) {
+  const key = getRoomMediaKey(url, roomId);
+  if (!key) return false;
+  const adapter = getStorage();
+  await Promise.all([adapter.remove(key), adapter.remove(getThumbnailKey(key))]);
+  return true;
+}
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  MAX_UPLOAD_BYTES,
+  LOCAL_UPLOAD_DIR,
+  LOCAL_URL_PREFIX,
+  getStorage,
+  processImage,
+  storeImage,
+  isRoomMediaUrl,
+  isValidNodeMediaUrl,
+  deleteMedia
+};
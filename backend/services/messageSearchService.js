@@ -0,0 +1,315 @@
+const { Prisma } = require('@prisma/client');
+const { prisma, isSQLite } = require('../config/database');
+const logger = require('../utils/logger');
+const { getRetentionCutoff } = require('./chatRetentionService');
+const { notDeletedFor } = require('./directMessageService');
+const { decodeCursor, encodeCursor, cursorWhere, DIRECTIONS } = require('../utils/messageCursor');
+
+// Searching a user's direct messages and room chats.
+//
+// On PostgreSQL this is full-text search (english stemming, websearch syntax:
+// "exact phrase", -exclude, or) over GIN indexes on
+// to_tsvector('english', content), with snippets from ts_headline. schema.prisma
+// can't declare expression indexes, so server.js creates them at startup
+// (ensureSearchIndexes); searches still work, only slower, until they exist.
+// The local SQLite schema has no
+// full-text index, so there every word must appear in the message
+// (case-insensitive LIKE) and snippets are cut in JS.
+//
+// Results are newest first and page with `before` (the previous page's
+// nextCursor). Only what the user can read is searched: their own DMs minus
+// deleted-for-me ones, and chat in rooms they are an active member of, within
+// each room's retention window (pinned messages are kept). Hidden, deleted and
+// system messages are left out.
+//
+// Snippets come back as segments, [{ text, highlight }], so clients never
+// render message text as HTML.
+
+const SEARCH_SCOPES = {
+  ALL: 'all',
+  DMS: 'dms',
+  ROOMS: 'rooms'
+};
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_FALLBACK_TERMS = 8;
+const SNIPPET_LENGTH = 120;
+const SNIPPET_LEAD = 40; // Characters kept before the first match
+
+const SEARCHABLE_CHAT_TYPES = ['user', 'announcement'];
+
+// Highlight markers: control characters that do not occur in typed text
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=24, MinWords=10, MaxFragments=1`;
+
+const USER_SELECT = { id: true, username: true, avatar: true };
+
+// Must use the same expression as the search queries to be used by them
+const SEARCH_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS "DirectMessage_content_fts_idx" ON "DirectMessage" USING GIN (to_tsvector(\'english\', "content"))',
+  'CREATE INDEX IF NOT EXISTS "ChatMessage_content_fts_idx" ON "ChatMessage" USING GIN (to_tsvector(\'english\', "content"))'
+];
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const stripMarkers = (text) => text.replace(/[\u0002\u0003]/g, '');
+
+/**
+ * Split marked-up text into [{ text, highlight }] segments
+ */
+const toSegments = (marked) => {
+  const segments = [];
+  let highlight = false;
+  for (const part of marked.split(/([\u0002\u0003])/)) {
+    if (part === MARK_START) highlight = true;
+    else if (part === MARK_END) highlight = false;
+    else if (part) segments.push({ text: part, highlight });
+  }
+  return segments;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words for the SQLite fallback (quotes and exclusions are not supported there)
+ */
+const fallbackTerms = (query) => [
+  ...new Set(
+    query
+      .replace(/"/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !word.startsWith('-') && word.toLowerCase() !== 'or')
+      .map(word => word.toLowerCase())
+  )
+].slice(0, MAX_FALLBACK_TERMS);
+
+/**
+ * A window of the message around the first match, with matches marked
+ */
+const buildSnippet = (content, terms) => {
+  const text = stripMarkers(content);
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0), text.length);
+
+  const start = first > SNIPPET_LEAD ? first - SNIPPET_LEAD : 0;
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const window = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  if (terms.length === 0) return window;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return window.replace(pattern, `${MARK_START}$1${MARK_END}`);
+};
+
+// ---------------------------------------------------------------------------
+// PostgreSQL (full-text)
+// ---------------------------------------------------------------------------
+
+const keysetSql = (alias, cursor) =>
+  cursor
+    ? Prisma.sql`AND (${Prisma.raw(alias)}."createdAt", ${Prisma.raw(alias)}."id") < (${cursor.createdAt}, ${cursor.id})`
+    : Prisma.empty;
+
+async function searchDirectMessagesFts(userId, query, { friendId, cursor, take }) {
+  return prisma.$queryRaw`
+    SELECT m.*, ts_headline('english', m."content", websearch_to_tsquery('english', ${query}), ${HEADLINE_OPTIONS}) AS "headline"
+    FROM (
+      SELECT dm."id", dm."fromUserId", dm."toUserId", dm."content", dm."createdAt"
+      FROM "DirectMessage" dm
+      WHERE to_tsvector('english', dm."content") @@ websearch_to_tsquery('english', ${query})
+        AND (dm."fromUserId" = ${userId} OR dm."toUserId" = ${userId})
+        AND dm."hiddenAt" IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM "DirectMessageDeletion" d WHERE d."messageId" = dm."id" AND d."userId" = ${userId}
+        )
+        ${friendId ? Prisma.sql`AND (dm."fromUserId" = ${friendId} OR dm."toUserId" = ${friendId})` : Prisma.empty}
+        ${keysetSql('dm', cursor)}
+      ORDER BY dm."createdAt" DESC, dm."id" DESC
+      LIMIT ${take}
+    ) m
+    ORDER BY m."createdAt" DESC, m."id" DESC
+  `;
+}
+
+async function searchChatMessagesFts(rooms, query, { cursor, take }) {
+  const roomScopes = rooms.map(room => Prisma.sql`(cm."roomId" = ${room.id} AND (cm."createdAt" >= ${getRetentionCutoff(room)} OR cm."isPinned"))`);
+
+  return prisma.$queryRaw`
+    SELECT m.*, ts_headline('english', m."content", websearch_to_tsquery('english', ${query}), ${HEADLINE_OPTIONS}) AS "headline"
+    FROM (
+      SELECT cm."id", cm."roomId", cm."userId", cm."type", cm."content", cm."createdAt"
+      FROM "ChatMessage" cm
+      WHERE to_tsvector('english', cm."content") @@ websearch_to_tsquery('english', ${query})
+        AND (${Prisma.join(roomScopes, ' OR ')})
+        AND cm."type" IN (${Prisma.join(SEARCHABLE_CHAT_TYPES)})
+        AND cm."deletedAt" IS NULL
+        AND cm."hiddenAt" IS NULL
+        ${keysetSql('cm', cursor)}
+      ORDER BY cm."createdAt" DESC, cm."id" DESC
+      LIMIT ${take}
+    ) m
+    ORDER BY m."createdAt" DESC, m."id" DESC
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// SQLite fallback (every word, case-insensitive)
+// ---------------------------------------------------------------------------
+
+const containsAll = (terms) => terms.map(term => ({ content: { contains: term } }));
+
+async function searchDirectMessagesFallback(userId, terms, { friendId, cursor, take }) {
+  const rows = await prisma.directMessage.findMany({
+    where: {
+      AND: [
+        { OR: [{ fromUserId: userId }, { toUserId: userId }] },
+        ...(friendId ? [{ OR: [{ fromUserId: friendId }, { toUserId: friendId }] }] : []),
+        notDeletedFor(userId),
+        { hiddenAt: null },
+        ...containsAll(terms),
+        ...(cursor ? [cursorWhere(cursor, DIRECTIONS.BEFORE)] : [])
+      ]
+    },
+    select: { id: true, fromUserId: true, toUserId: true, content: true, createdAt: true },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take
+  });
+  return rows.map(row => ({ ...row, headline: buildSnippet(row.content, terms) }));
+}
+
+async function searchChatMessagesFallback(rooms, terms, { cursor, take }) {
+  const rows = await prisma.chatMessage.findMany({
+    where: {
+      AND: [
+        {
+          OR: rooms.map(room => ({
+            roomId: room.id,
+            OR: [{ createdAt: { gte: getRetentionCutoff(room) } }, { isPinned: true }]
+          }))
+        },
+        { type: { in: SEARCHABLE_CHAT_TYPES }, deletedAt: null, hiddenAt: null },
+        ...containsAll(terms),
+        ...(cursor ? [cursorWhere(cursor, DIRECTIONS.BEFORE)] : [])
+      ]
+    },
+    select: { id: true, roomId: true, userId: true, type: true, content: true, createdAt: true },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take
+  });
+  return rows.map(row => ({ ...row, headline: buildSnippet(row.content, terms) }));
+}
+
+// ---------------------------------------------------------------------------
+
+const newestFirst = (a, b) =>
+  b.createdAt - a.createdAt || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+async function loadUsers(ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return new Map();
+  const users = await prisma.user.findMany({ where: { id: { in: unique } }, select: USER_SELECT });
+  return new Map(users.map(u => [u.id, { ...u, _id: u.id }]));
+}
+
+/**
+ * Search the user's DMs and room chats.
+ * @param {string} userId
+ * @param {object} params - { q, scope (all|dms|rooms), roomId, friendId, before, limit }
+ *   roomId / friendId narrow the search to one room / one conversation
+ * @returns {{ results: object[], hasMore: boolean, nextCursor: string|null }}
+ */
+async function searchMessages(userId, { q, scope = SEARCH_SCOPES.ALL, roomId, friendId, before, limit } = {}) {
+  const query = typeof q === 'string' ? stripMarkers(q).trim() : '';
+  if (query.length < MIN_QUERY_LENGTH) throw httpError(`Search for at least ${MIN_QUERY_LENGTH} characters`, 400);
+  if (query.length > MAX_QUERY_LENGTH) throw httpError(`Search queries are limited to ${MAX_QUERY_LENGTH} characters`, 400);
+  if (!Object.values(SEARCH_SCOPES).includes(scope)) throw httpError('Invalid search scope', 400);
+
+  const cursor = before ? decodeCursor(before) : null;
+  if (before && !cursor) throw httpError('Invalid cursor', 400);
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const options = { friendId, cursor, take: pageSize + 1 };
+
+  // Narrowing to a conversation or a room implies its scope
+  const searchDms = !roomId && scope !== SEARCH_SCOPES.ROOMS;
+  const searchRooms = !friendId && scope !== SEARCH_SCOPES.DMS;
+
+  let rooms = [];
+  if (searchRooms) {
+    const memberships = await prisma.roomMember.findMany({
+      where: { userId, status: 'active', ...(roomId && { roomId }) },
+      select: { room: { select: { id: true, name: true, isPremium: true, chatRetentionDays: true } } }
+    });
+    rooms = memberships.map(m => m.room);
+    if (roomId && rooms.length === 0) throw httpError('Not a member of this room', 403);
+  }
+
+  const terms = fallbackTerms(query);
+  if (isSQLite && terms.length === 0) return { results: [], hasMore: false, nextCursor: null };
+
+  const [dms, chats] = await Promise.all([
+    searchDms
+      ? (isSQLite ? searchDirectMessagesFallback(userId, terms, options) : searchDirectMessagesFts(userId, query, options))
+      : [],
+    searchRooms && rooms.length > 0
+      ? (isSQLite ? searchChatMessagesFallback(rooms, terms, options) : searchChatMessagesFts(rooms, query, options))
+      : []
+  ]);
+
+  const merged = [
+    ...dms.map(row => ({ ...row, kind: 'dm' })),
+    ...chats.map(row => ({ ...row, kind: 'room' }))
+  ].sort(newestFirst);
+  const page = merged.slice(0, pageSize);
+
+  const users = await loadUsers(page.flatMap(row => (row.kind === 'dm' ? [row.fromUserId, row.toUserId] : [row.userId])));
+  const roomMap = new Map(rooms.map(room => [room.id, { _id: room.id, id: room.id, name: room.name }]));
+
+  const results = page.map(row => {
+    const base = {
+      _id: row.id,
+      id: row.id,
+      kind: row.kind,
+      createdAt: row.createdAt,
+      snippet: toSegments(row.headline || '')
+    };
+    if (row.kind === 'dm') {
+      const otherId = row.fromUserId === userId ? row.toUserId : row.fromUserId;
+      return { ...base, sender: users.get(row.fromUserId) || null, friend: users.get(otherId) || null };
+    }
+    return { ...base, messageType: row.type, sender: users.get(row.userId) || null, room: roomMap.get(row.roomId) || null };
+  });
+
+  const hasMore = merged.length > pageSize;
+  return {
+    results,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+/**
+ * Create the full-text indexes if they are missing (PostgreSQL only; idempotent)
+ */
+async function ensureSearchIndexes() {
+  if (isSQLite) return;
+
+  for (const statement of SEARCH_INDEXES) {
+    await prisma.$executeRawUnsafe(statement);
+  }
+  logger.info('✅ Ensured message search indexes exist');
+}
+
+module.exports = {
+  SEARCH_SCOPES,
+  MIN_QUERY_LENGTH,
+  searchMessages,
+  ensureSearchIndexes
+};
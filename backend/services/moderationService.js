@@ -0,0 +1,431 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+const NotificationService = require('./notificationService');
+const { recordAudit } = require('./auditService');
+const { removeMember } = require('./roomRoleService');
+const { markDeleted } = require('./chatMessageService');
+const { COMPLETION_STATUS } = require('./proofVerificationService');
+const { PERMISSIONS, hasRoomPermission, getMemberRole } = require('../utils/roomPermissions');
+const { decodeCursor, encodeCursor, cursorWhere, DIRECTIONS } = require('../utils/messageCursor');
+const {
+  REPORT_TARGETS,
+  REPORT_STATUS,
+  MODERATION_ACTIONS,
+  PLATFORM_ROLES,
+  HIDDEN_PLACEHOLDER,
+  isPlatformAdmin,
+  getAllowedActions
+} = require('../utils/moderation');
+
+// Content reports and the moderation queues (rules in utils/moderation.js).
+//
+// A report snapshots the reported text so reviewers still see it after the
+// content is deleted. Acting on a report resolves every open report about the
+// same content (dismiss only closes the one report) and writes an AuditLog entry.
+// Kicking goes through roomRoleService.removeMember, so the reviewer must
+// outrank the member in that room.
+//
+// Events:
+//   chat:messageHidden  { roomId, messageId }               (room channel)
+//   chat:messageDeleted { roomId, messageId, deletedBy }    (room channel)
+//   thread:node_hidden  { roomId, taskId, nodeId }          (room channel)
+//   thread:node_deleted { roomId, taskId, nodeId }          (room channel)
+//   dm:hidden           { messageId, fromUserId, toUserId } (both users)
+//   dm:deleted          { messageId, fromUserId, toUserId } (both users)
+
+const MAX_DETAILS_LENGTH = 1000;
+const MAX_SNAPSHOT_LENGTH = 500;
+const MAX_PAGE_SIZE = 100;
+
+const TARGET_LABELS = {
+  [REPORT_TARGETS.CHAT_MESSAGE]: 'message',
+  [REPORT_TARGETS.DIRECT_MESSAGE]: 'direct message',
+  [REPORT_TARGETS.PROOF_NODE]: 'proof',
+  [REPORT_TARGETS.USER]: 'profile'
+};
+
+const REASON_LABELS = {
+  spam: 'spam',
+  harassment: 'harassment',
+  hate_speech: 'hate speech',
+  inappropriate: 'inappropriate content',
+  self_harm: 'self-harm',
+  other: 'breaking the community rules'
+};
+
+const USER_SELECT = { id: true, username: true, avatar: true };
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const emitTo = (channel, event, payload) => {
+  const io = getIO();
+  if (io) io.to(channel).emit(event, payload);
+};
+
+// Replies cache the text they quote; scrub it along with the original
+const scrubReplyPreviews = (model, messageId) =>
+  prisma[model].updateMany({ where: { replyToId: messageId }, data: { replyToText: HIDDEN_PLACEHOLDER } });
+
+const snapshot = (text) => (text ? String(text).slice(0, MAX_SNAPSHOT_LENGTH) : null);
+
+// Room with what permission checks need
+const loadRoom = (roomId) =>
+  prisma.room.findUnique({
+    where: { id: roomId },
+    select: {
+      id: true,
+      name: true,
+      ownerId: true,
+      members: { select: { userId: true, role: true, status: true } }
+    }
+  });
+
+// Active member (or owner) of the room
+const isInRoom = (room, userId) =>
+  room.ownerId === userId || room.members.some(m => m.userId === userId && m.status === 'active');
+
+const assertCanSeeRoomContent = async (roomId, userId) => {
+  const room = await loadRoom(roomId);
+  if (!room || !isInRoom(room, userId)) throw httpError('You must be a member of this room', 403);
+  return room;
+};
+
+/**
+ * Find what is being reported and check the reporter can see it.
+ * Returns { roomId, reportedUserId, contentSnapshot }.
+ */
+async function resolveTarget(reporter, targetType, targetId, roomId) {
+  switch (targetType) {
+    case REPORT_TARGETS.CHAT_MESSAGE: {
+      const message = await prisma.chatMessage.findUnique({
+        where: { id: targetId },
+        select: { roomId: true, userId: true, type: true, content: true }
+      });
+      if (!message) throw httpError('Message not found', 404);
+      await assertCanSeeRoomContent(message.roomId, reporter.id);
+      if (!message.userId || message.type === 'system') throw httpError('System messages cannot be reported', 400);
+      return { roomId: message.roomId, reportedUserId: message.userId, contentSnapshot: snapshot(message.content) };
+    }
+
+    case REPORT_TARGETS.PROOF_NODE: {
+      const node = await prisma.roomTaskNode.findUnique({
+        where: { id: targetId },
+        select: { roomId: true, userId: true, content: true, mediaUrl: true }
+      });
+      if (!node) throw httpError('Node not found', 404);
+      await assertCanSeeRoomContent(node.roomId, reporter.id);
+      if (!node.userId) throw httpError('System updates cannot be reported', 400);
+      return {
+        roomId: node.roomId,
+        reportedUserId: node.userId,
+        contentSnapshot: snapshot([node.content, node.mediaUrl && `[image] ${node.mediaUrl}`].filter(Boolean).join('\n'))
+      };
+    }
+
+    case REPORT_TARGETS.DIRECT_MESSAGE: {
+      const message = await prisma.directMessage.findUnique({
+        where: { id: targetId },
+        select: { fromUserId: true, toUserId: true, content: true }
+      });
+      // Only the two participants can see (and report) a DM
+      if (!message || (message.fromUserId !== reporter.id && message.toUserId !== reporter.id)) {
+        throw httpError('Message not found', 404);
+      }
+      return { roomId: null, reportedUserId: message.fromUserId, contentSnapshot: snapshot(message.content) };
+    }
+
+    case REPORT_TARGETS.USER: {
+      const user = await prisma.user.findUnique({ where: { id: targetId }, select: { id: true, username: true, bio: true } });
+      if (!user) throw httpError('User not found', 404);
+
+      // Reported from a room: goes to that room's queue if both are in it
+      if (roomId) {
+        const room = await assertCanSeeRoomContent(roomId, reporter.id);
+        if (!isInRoom(room, user.id)) throw httpError('User is not a member of this room', 400);
+      }
+      return {
+        roomId: roomId || null,
+        reportedUserId: user.id,
+        contentSnapshot: snapshot([user.username, user.bio].filter(Boolean).join('\n'))
+      };
+    }
+
+    default:
+      throw httpError('Unknown report type', 400);
+  }
+}
+
+// Everyone who reviews a report: room reviewers, or platform admins
+async function getReviewerIds(roomId) {
+  if (roomId) {
+    const room = await loadRoom(roomId);
+    if (!room) return [];
+    return [room.ownerId, ...room.members.map(m => m.userId)]
+      .filter((id, i, ids) => ids.indexOf(id) === i && hasRoomPermission(room, id, PERMISSIONS.REVIEW_REPORTS));
+  }
+
+  const admins = await prisma.user.findMany({ where: { role: PLATFORM_ROLES.ADMIN }, select: { id: true } });
+  return admins.map(a => a.id);
+}
+
+async function formatReports(reports) {
+  const userIds = [...new Set(reports.flatMap(r => [r.reporterId, r.reportedUserId, r.resolvedById]).filter(Boolean))];
+  const users = userIds.length
+    ? await prisma.user.findMany({ where: { id: { in: userIds } }, select: USER_SELECT })
+    : [];
+  const userMap = new Map(users.map(u => [u.id, { ...u, _id: u.id }]));
+
+  return reports.map(report => ({
+    ...report,
+    _id: report.id,
+    reporter: userMap.get(report.reporterId) || null,
+    reportedUser: userMap.get(report.reportedUserId) || null,
+    resolvedBy: userMap.get(report.resolvedById) || null,
+    allowedActions: report.status === REPORT_STATUS.OPEN ? getAllowedActions(report) : []
+  }));
+}
+
+/**
+ * File a report. `roomId` is only used for user reports made from a room.
+ */
+async function createReport(reporter, targetType, targetId, { reason, details, roomId } = {}) {
+  const target = await resolveTarget(reporter, targetType, targetId, roomId);
+
+  if (target.reportedUserId === reporter.id) {
+    throw httpError(targetType === REPORT_TARGETS.USER ? 'You cannot report yourself' : 'You cannot report your own content', 400);
+  }
+
+  const existing = await prisma.contentReport.findFirst({
+    where: { reporterId: reporter.id, targetType, targetId, status: REPORT_STATUS.OPEN },
+    select: { id: true }
+  });
+  if (existing) throw httpError('You have already reported this', 400);
+
+  const report = await prisma.contentReport.create({
+    data: {
+      reporterId: reporter.id,
+      targetType,
+      targetId,
+      roomId: target.roomId,
+      reportedUserId: target.reportedUserId,
+      reason,
+      details: details ? String(details).slice(0, MAX_DETAILS_LENGTH) : null,
+      contentSnapshot: target.contentSnapshot
+    }
+  });
+
+  // Reviewers hear about it; the reported user does not
+  const reviewerIds = (await getReviewerIds(target.roomId)).filter(id => id !== target.reportedUserId);
+  await Promise.allSettled(reviewerIds.map(recipientId => NotificationService.createNotification({
+    recipientId,
+    type: 'content_report',
+    title: '🚩 New report',
+    message: `A ${TARGET_LABELS[targetType]} was reported for ${REASON_LABELS[reason] || reason}`,
+    data: { reportId: report.id, roomId: target.roomId, targetType }
+  })));
+
+  logger.info(`Report ${report.id}: ${targetType} ${targetId} reported by ${reporter.id} (${reason})`);
+  const [formatted] = await formatReports([report]);
+  return formatted;
+}
+
+/**
+ * A queue page. `roomId` null lists the platform queue (reports outside rooms).
+ * Newest first; pass `nextCursor` as `before` for the next page (see utils/messageCursor).
+ */
+async function listReports({ roomId = null, status = REPORT_STATUS.OPEN, limit = 50, before } = {}) {
+  if (status !== 'all' && !Object.values(REPORT_STATUS).includes(status)) {
+    throw httpError('Invalid status filter', 400);
+  }
+  const cursor = before ? decodeCursor(before) : null;
+  if (before && !cursor) throw httpError('Invalid cursor', 400);
+
+  const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const where = {
+    roomId,
+    ...(status !== 'all' && { status }),
+    ...(cursor && cursorWhere(cursor, DIRECTIONS.BEFORE))
+  };
+
+  const [reports, openCount] = await Promise.all([
+    prisma.contentReport.findMany({ where, orderBy: [{ createdAt: 'desc' }, { id: 'desc' }], take: take + 1 }),
+    prisma.contentReport.count({ where: { roomId, status: REPORT_STATUS.OPEN } })
+  ]);
+
+  const page = reports.slice(0, take);
+  return {
+    reports: await formatReports(page),
+    hasMore: reports.length > take,
+    nextCursor: reports.length > take ? encodeCursor(page[page.length - 1]) : null,
+    openCount
+  };
+}
+
+/**
+ * Load a report the user may act on: room reviewers for room reports,
+ * platform admins for everything.
+ */
+async function getReviewableReport(reportId, user) {
+  const report = await prisma.contentReport.findUnique({ where: { id: reportId } });
+  if (!report) throw httpError('Report not found', 404);
+
+  const room = report.roomId ? await loadRoom(report.roomId) : null;
+  const canReview = isPlatformAdmin(user) || (room && hasRoomPermission(room, user.id, PERMISSIONS.REVIEW_REPORTS));
+  if (!canReview) throw httpError('You cannot review this report', 403);
+
+  return { report, room };
+}
+
+async function hideContent(report, actor) {
+  const data = { hiddenAt: new Date(), hiddenById: actor.id };
+
+  switch (report.targetType) {
+    case REPORT_TARGETS.CHAT_MESSAGE: {
+      const message = await prisma.chatMessage.update({ where: { id: report.targetId }, data, select: { id: true, roomId: true } });
+      await scrubReplyPreviews('chatMessage', message.id);
+      emitTo(message.roomId, 'chat:messageHidden', { roomId: message.roomId, messageId: message.id });
+      return;
+    }
+    case REPORT_TARGETS.PROOF_NODE: {
+      const node = await prisma.roomTaskNode.update({ where: { id: report.targetId }, data, select: { id: true, roomId: true, taskId: true } });
+      emitTo(node.roomId, 'thread:node_hidden', { roomId: node.roomId, taskId: node.taskId, nodeId: node.id });
+      return;
+    }
+    case REPORT_TARGETS.DIRECT_MESSAGE: {
+      const message = await prisma.directMessage.update({ where: { id: report.targetId }, data, select: { id: true, fromUserId: true, toUserId: true } });
+      await scrubReplyPreviews('directMessage', message.id);
+      const payload = { messageId: message.id, fromUserId: message.fromUserId, toUserId: message.toUserId };
+      emitTo(`user:${message.fromUserId}`, 'dm:hidden', payload);
+      emitTo(`user:${message.toUserId}`, 'dm:hidden', payload);
+      return;
+    }
+  }
+}
+
+// Already-deleted content counts as deleted
+async function deleteContent(report, actor) {
+  switch (report.targetType) {
+    case REPORT_TARGETS.CHAT_MESSAGE: {
+      // Soft delete, like an author's own delete (see chatMessageService)
+      const message = await prisma.chatMessage.findUnique({ where: { id: report.targetId } });
+      if (!message) return;
+      await markDeleted(message, actor.id);
+      return;
+    }
+    case REPORT_TARGETS.PROOF_NODE: {
+      const node = await prisma.roomTaskNode.findUnique({
+        where: { id: report.targetId },
+        select: { id: true, roomId: true, taskId: true, completion: { select: { status: true } } }
+      });
+      if (!node) return;
+      if (node.completion?.status === COMPLETION_STATUS.PROVISIONAL) {
+        throw httpError('This proof is awaiting verification; reject it or hide it instead', 400);
+      }
+      await prisma.roomTaskNode.delete({ where: { id: node.id } });
+      emitTo(node.roomId, 'thread:node_deleted', { roomId: node.roomId, taskId: node.taskId, nodeId: node.id });
+      return;
+    }
+    case REPORT_TARGETS.DIRECT_MESSAGE: {
+      const message = await prisma.directMessage.findUnique({ where: { id: report.targetId }, select: { id: true, fromUserId: true, toUserId: true } });
+      if (!message) return;
+      await prisma.directMessage.delete({ where: { id: message.id } });
+      await scrubReplyPreviews('directMessage', message.id);
+      const payload = { messageId: message.id, fromUserId: message.fromUserId, toUserId: message.toUserId };
+      emitTo(`user:${message.fromUserId}`, 'dm:deleted', payload);
+      emitTo(`user:${message.toUserId}`, 'dm:deleted', payload);
+      return;
+    }
+  }
+}
+
+async function warnUser(report, room, note) {
+  if (!report.reportedUserId) return;
+
+  const where = room ? ` in ${room.name}` : '';
+  await NotificationService.createNotification({
+    recipientId: report.reportedUserId,
+    type: 'moderation_warning',
+    title: '⚠️ Warning from the moderators',
+    message: `Your ${TARGET_LABELS[report.targetType]}${where} was reported for ${REASON_LABELS[report.reason] || report.reason}. Please follow the community rules.${note ? ` Note: ${note}` : ''}`,
+    data: { reportId: report.id, roomId: report.roomId }
+  });
+}
+
+/**
+ * Act on a report: hide, delete, warn, kick or dismiss. Returns the resolved report.
+ */
+async function actOnReport(reportId, actor, { action, note } = {}) {
+  const { report, room } = await getReviewableReport(reportId, actor);
+
+  if (report.status !== REPORT_STATUS.OPEN) throw httpError('This report has already been handled', 400);
+  if (!getAllowedActions(report).includes(action)) {
+    throw httpError(`You cannot ${action} a reported ${TARGET_LABELS[report.targetType]}`, 400);
+  }
+
+  switch (action) {
+    case MODERATION_ACTIONS.HIDE:
+      try {
+        await hideContent(report, actor);
+      } catch (error) {
+        if (error.code === 'P2025') throw httpError('The reported content no longer exists', 404);
+        throw error;
+      }
+      break;
+    case MODERATION_ACTIONS.DELETE:
+      await deleteContent(report, actor);
+      break;
+    case MODERATION_ACTIONS.WARN:
+      await warnUser(report, room, note);
+      break;
+    case MODERATION_ACTIONS.KICK:
+      if (!room) throw httpError('Room not found', 404);
+      if (!getMemberRole(room, report.reportedUserId)) throw httpError('This user is no longer in the room', 400);
+      await removeMember(room, actor, report.reportedUserId);
+      break;
+  }
+
+  const dismissed = action === MODERATION_ACTIONS.DISMISS;
+  const resolution = {
+    status: dismissed ? REPORT_STATUS.DISMISSED : REPORT_STATUS.RESOLVED,
+    action,
+    resolutionNote: note || null,
+    resolvedById: actor.id,
+    resolvedAt: new Date()
+  };
+
+  const [, resolved] = await prisma.$transaction([
+    // Acting on content settles every open report about it
+    prisma.contentReport.updateMany({
+      where: dismissed
+        ? { id: report.id }
+        : { targetType: report.targetType, targetId: report.targetId, status: REPORT_STATUS.OPEN },
+      data: resolution
+    }),
+    prisma.contentReport.findUnique({ where: { id: report.id } })
+  ]);
+
+  await recordAudit({
+    roomId: report.roomId,
+    actorId: actor.id,
+    action: `moderation.${action}`,
+    targetType: report.targetType,
+    targetId: report.targetId,
+    targetUserId: report.reportedUserId,
+    details: { reportId: report.id, reason: report.reason, note: note || null }
+  });
+
+  const [formatted] = await formatReports([resolved]);
+  return formatted;
+}
+
+module.exports = {
+  createReport,
+  listReports,
+  getReviewableReport,
+  actOnReport
+};
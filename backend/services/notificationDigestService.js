@@ -0,0 +1,117 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { isMailAvailable, sendNotificationDigestEmail } = require('./mailService');
+
+// Email digests of notifications whose type the user set to "email digest"
+// (see notificationPreferenceService). NotificationService queues an item per
+// notification; once a user's oldest queued item is a day old, everything
+// queued for them goes out in one email and the items are deleted.
+// Only verified addresses get digests; items for other users are dropped.
+
+const DIGEST_AFTER_HOURS = 24;
+const MAX_ITEMS_PER_EMAIL = 50;
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 30_000;
+
+let interval = null;
+
+/**
+ * Queue a notification for the recipient's next digest email
+ */
+async function queueDigestItem({ userId, type, title, message, roomId }) {
+  try {
+    await prisma.notificationDigestItem.create({
+      data: { userId, type, title, message, roomId: roomId || null }
+    });
+  } catch (err) {
+    logger.warn('Failed to queue notification digest item:', err.message);
+  }
+}
+
+async function sendDigestTo(userId) {
+  const [user, items] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, username: true, emailVerified: true }
+    }),
+    prisma.notificationDigestItem.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+  if (items.length === 0) return false;
+
+  let sent = false;
+  if (user?.emailVerified && user.email) {
+    // Newest items are the ones worth reading when there are too many
+    await sendNotificationDigestEmail(user, items.slice(-MAX_ITEMS_PER_EMAIL));
+    sent = true;
+  }
+
+  await prisma.notificationDigestItem.deleteMany({
+    where: { id: { in: items.map(i => i.id) } }
+  });
+  return sent;
+}
+
+async function runNotificationDigest() {
+  // Items stay queued until email is configured (see mailService)
+  if (!isMailAvailable()) return;
+
+  try {
+    const cutoff = new Date(Date.now() - DIGEST_AFTER_HOURS * 60 * 60 * 1000);
+    const due = await prisma.notificationDigestItem.findMany({
+      where: { createdAt: { lte: cutoff } },
+      distinct: ['userId'],
+      select: { userId: true }
+    });
+
+    let emailed = 0;
+    for (const { userId } of due) {
+      try {
+        if (await sendDigestTo(userId)) emailed++;
+      } catch (err) {
+        // Items stay queued and are retried on the next pass
+        logger.error(`Notification digest failed for user ${userId}:`, err);
+      }
+    }
+
+    if (emailed > 0) {
+      logger.info(`Notification digest emailed ${emailed} users`);
+    }
+  } catch (err) {
+    logger.error('Notification digest run failed:', err);
+  }
+}
+
+function startNotificationDigest() {
+  if (interval) return;
+
+  // Run once shortly after startup
+  setTimeout(() => {
+    runNotificationDigest().catch(() => {});
+  }, STARTUP_DELAY_MS);
+
+  // Then every hour
+  interval = setInterval(() => {
+    runNotificationDigest().catch(() => {});
+  }, CHECK_INTERVAL_MS);
+
+  logger.info('Notification digest started (checks every hour)');
+}
+
+function stopNotificationDigest() {
+  if (interval) {
+    clearInterval(interval);
+    interval = null;
+  }
+}
+
+module.exports = {
+  queueDigestItem,
+  runNotificationDigest,
+  startNotificationDigest,
+  stopNotificationDigest,
+  DIGEST_AFTER_HOURS
+};
@@ -0,0 +1,285 @@
+const { prisma } = require('../config/database');
+const { getUserTimezone, getTimezoneOffsetMinutes, getLocalDateString, shiftDateString, getDayBounds } = require('./dayBoundaryService');
+
+// Notification preferences: which channels each kind of notification uses.
+//
+// Users pick channels per preference type (PREFERENCE_TYPES). Each type covers
+// one or more raw notification types, as written by NotificationService and
+// sent as payload.data.type by PushNotificationService. Channels:
+//   inApp       - Notification row + notification:new socket event
+//   push        - web push
+//   emailDigest - queued for the periodic digest email (notificationDigestService);
+//                 digests only go to verified addresses, so it can only be
+//                 turned on once the user's email is verified
+// All three off means the type is off.
+//
+// On top of that, per room (RoomMember.notificationLevel):
+//   default - follow the type preferences
+//   in_app  - in-app only (no push, no digest)
+//   off     - nothing from this room
+// and mute-until, per room and globally (User.notificationsMutedUntil), which
+// pauses push only; in-app notifications and digests still arrive.
+//
+// Quiet hours (User.quietHoursStart/End, local hours in User.timezone) hold
+// push back instead of dropping it: PushNotificationService queues it and
+// sends it when quiet hours end.
+//
+// Raw types not listed below (moderation notices, system messages) are not
+// configurable and always use DEFAULT_CHANNELS, but mutes and room levels
+// still apply.
+
+const CHANNELS = ['inApp', 'push', 'emailDigest'];
+
+const DEFAULT_CHANNELS = { inApp: true, push: true, emailDigest: false };
+
+const ROOM_LEVELS = {
+  DEFAULT: 'default',
+  IN_APP: 'in_app',
+  OFF: 'off'
+};
+
+const PREFERENCE_TYPES = [
+  { key: 'direct_message', label: 'Direct messages', types: ['direct_message'] },
+  { key: 'group_message', label: 'Group messages', types: ['group_message'] },
+  { key: 'room_chat', label: 'Room chat', types: ['new_chat'] },
+  { key: 'announcement', label: 'Room announcements', types: ['announcement', 'room_announcement'] },
+  { key: 'friends', label: 'Friend requests', types: ['friend_request', 'friend_accepted'] },
+  { key: 'room_tasks', label: 'New and completed room tasks', types: ['new_task', 'task_completed'] },
+  { key: 'task_reminders', label: 'Task reminders and deadlines', types: ['task_reminder', 'task_deadline'] },
+  { key: 'nudge', label: 'Nudges', types: ['nudge'] },
+  { key: 'appreciation', label: 'Appreciations', types: ['appreciation'] },
+  { key: 'proofs', label: 'Proof reviews', types: ['proof_verified', 'proof_rejected'] },
+  { key: 'achievements', label: 'Achievements and seasons', types: ['achievement', 'season_champion'] },
+  {
+    key: 'room_activity',
+    label: 'Room membership and roles',
+    types: [
+      'member_joined', 'member_left', 'room_invite', 'room_disbanded',
+      'join_request', 'join_approved', 'join_rejected',
+      'room_role_changed', 'room_owner_changed'
+    ]
+  }
+];
+
+const PREFERENCE_KEYS = PREFERENCE_TYPES.map(t => t.key);
+
+const KEY_BY_TYPE = new Map(PREFERENCE_TYPES.flatMap(t => t.types.map(type => [type, t.key])));
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Preference key a raw notification type falls under (null if not configurable)
+ */
+const preferenceKeyFor = (type) => KEY_BY_TYPE.get(type) || null;
+
+const isFuture = (date) => !!date && new Date(date).getTime() > Date.now();
+
+const hasQuietHours = (user) =>
+  Number.isInteger(user?.quietHoursStart) && Number.isInteger(user?.quietHoursEnd) &&
+  user.quietHoursStart !== user.quietHoursEnd;
+
+/**
+ * When the user's current quiet hours end, or null if they are not in quiet
+ * hours right now. Hours are local to User.timezone; a start after the end
+ * (e.g. 22 to 7) spans midnight.
+ * @param {object} user - { timezone, quietHoursStart, quietHoursEnd }
+ */
+function getQuietHoursEnd(user, now = new Date()) {
+  if (!hasQuietHours(user)) return null;
+
+  const timezone = getUserTimezone(user);
+  const localHour = new Date(now.getTime() + getTimezoneOffsetMinutes(now, timezone) * 60000).getUTCHours();
+  const { quietHoursStart: start, quietHoursEnd: end } = user;
+  const overnight = start > end;
+  const quiet = overnight ? localHour >= start || localHour < end : localHour >= start && localHour < end;
+  if (!quiet) return null;
+
+  // Before midnight in an overnight window, quiet hours end tomorrow
+  const today = getLocalDateString(now, timezone);
+  const endDay = overnight && localHour >= start ? shiftDateString(today, 1) : today;
+  return getDayBounds(endDay, timezone, end).start;
+}
+
+const pickChannels = (row) => Object.fromEntries(CHANNELS.map(c => [c, row ? row[c] : DEFAULT_CHANNELS[c]]));
+
+/**
+ * Channels each user receives a notification on, after type preferences, room
+ * level and mutes. quietUntil is set when push is on but the user is in quiet
+ * hours: push should wait until then.
+ * @param {string[]} userIds
+ * @param {string} type - raw notification type (e.g. 'new_chat')
+ * @param {string} [roomId] - room the notification is about, if any
+ * @returns {Promise<Map<string, {inApp: boolean, push: boolean, emailDigest: boolean, quietUntil: Date|null}>>}
+ */
+async function resolveChannels(userIds, type, roomId) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  const result = new Map();
+  if (ids.length === 0) return result;
+
+  const key = preferenceKeyFor(type);
+  const [preferences, users, memberships] = await Promise.all([
+    key
+      ? prisma.notificationPreference.findMany({ where: { userId: { in: ids }, type: key } })
+      : [],
+    prisma.user.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, notificationsMutedUntil: true, timezone: true, quietHoursStart: true, quietHoursEnd: true }
+    }),
+    roomId
+      ? prisma.roomMember.findMany({
+          where: { roomId, userId: { in: ids } },
+          select: { userId: true, notificationLevel: true, notificationsMutedUntil: true }
+        })
+      : []
+  ]);
+
+  const preferenceByUser = new Map(preferences.map(p => [p.userId, p]));
+  const userById = new Map(users.map(u => [u.id, u]));
+  const membershipByUser = new Map(memberships.map(m => [m.userId, m]));
+
+  for (const userId of ids) {
+    const channels = pickChannels(preferenceByUser.get(userId));
+    const membership = membershipByUser.get(userId);
+
+    if (membership?.notificationLevel === ROOM_LEVELS.OFF) {
+      channels.inApp = channels.push = channels.emailDigest = false;
+    } else if (membership?.notificationLevel === ROOM_LEVELS.IN_APP) {
+      channels.push = channels.emailDigest = false;
+    }
+    const user = userById.get(userId);
+    if (isFuture(user?.notificationsMutedUntil) || isFuture(membership?.notificationsMutedUntil)) {
+      channels.push = false;
+    }
+    channels.quietUntil = channels.push ? getQuietHoursEnd(user) : null;
+
+    result.set(userId, channels);
+  }
+  return result;
+}
+
+const formatRoomSetting = (membership) => ({
+  roomId: membership.roomId,
+  roomName: membership.room?.name,
+  level: membership.notificationLevel,
+  mutedUntil: isFuture(membership.notificationsMutedUntil) ? membership.notificationsMutedUntil : null
+});
+
+/**
+ * The user's preferences for the settings screens: every preference type with
+ * its channels, the global mute, quiet hours (with the timezone they are in),
+ * whether email digests can be sent (emailVerified) and a setting per active
+ * room membership.
+ */
+async function getPreferences(userId) {
+  const [rows, user, memberships] = await Promise.all([
+    prisma.notificationPreference.findMany({ where: { userId } }),
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { notificationsMutedUntil: true, timezone: true, quietHoursStart: true, quietHoursEnd: true, emailVerified: true }
+    }),
+    prisma.roomMember.findMany({
+      where: { userId, status: 'active' },
+      select: {
+        roomId: true,
+        notificationLevel: true,
+        notificationsMutedUntil: true,
+        room: { select: { name: true } }
+      },
+      orderBy: { joinedAt: 'asc' }
+    })
+  ]);
+
+  const rowByKey = new Map(rows.map(r => [r.type, r]));
+  return {
+    types: PREFERENCE_TYPES.map(({ key, label }) => ({ key, label, ...pickChannels(rowByKey.get(key)) })),
+    mutedUntil: isFuture(user?.notificationsMutedUntil) ? user.notificationsMutedUntil : null,
+    quietHours: hasQuietHours(user) ? { start: user.quietHoursStart, end: user.quietHoursEnd } : null,
+    timezone: getUserTimezone(user),
+    emailVerified: !!user?.emailVerified,
+    rooms: memberships.map(formatRoomSetting)
+  };
+}
+
+/**
+ * Update type channels, the global mute and/or quiet hours.
+ * @param {object} changes - { types: { [key]: { inApp, push, emailDigest } }, mutedUntil, quietHours: { start, end } }
+ *   Channels left out keep their current value; mutedUntil null unmutes and
+ *   quietHours null turns quiet hours off.
+ */
+async function updatePreferences(userId, { types = {}, mutedUntil, quietHours }) {
+  const unknown = Object.keys(types).filter(key => !PREFERENCE_KEYS.includes(key));
+  if (unknown.length > 0) throw httpError(`Unknown notification type: ${unknown.join(', ')}`, 400);
+
+  if (Object.values(types).some(channels => channels.emailDigest === true)) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { emailVerified: true } });
+    if (!user?.emailVerified) throw httpError('Verify your email address to turn on email digests', 400);
+  }
+
+  await prisma.$transaction([
+    ...Object.entries(types).map(([type, channels]) =>
+      prisma.notificationPreference.upsert({
+        where: { userId_type: { userId, type } },
+        update: channels,
+        create: { userId, type, ...DEFAULT_CHANNELS, ...channels }
+      })
+    ),
+    ...(mutedUntil !== undefined || quietHours !== undefined
+      ? [prisma.user.update({
+          where: { id: userId },
+          data: {
+            ...(mutedUntil !== undefined && { notificationsMutedUntil: mutedUntil }),
+            ...(quietHours !== undefined && {
+              quietHoursStart: quietHours ? quietHours.start : null,
+              quietHoursEnd: quietHours ? quietHours.end : null
+            })
+          }
+        })]
+      : [])
+  ]);
+
+  return getPreferences(userId);
+}
+
+/**
+ * Set the user's notification level and/or mute for one of their rooms
+ * @param {object} changes - { level, mutedUntil } (mutedUntil null unmutes)
+ */
+async function updateRoomSetting(userId, roomId, { level, mutedUntil }) {
+  const membership = await prisma.roomMember.findUnique({
+    where: { roomId_userId: { roomId, userId } },
+    select: { id: true, status: true }
+  });
+  if (!membership || membership.status !== 'active') throw httpError('Room not found', 404);
+
+  const updated = await prisma.roomMember.update({
+    where: { id: membership.id },
+    data: {
+      ...(level !== undefined && { notificationLevel: level }),
+      ...(mutedUntil !== undefined && { notificationsMutedUntil: mutedUntil })
+    },
+    select: {
+      roomId: true,
+      notificationLevel: true,
+      notificationsMutedUntil: true,
+      room: { select: { name: true } }
+    }
+  });
+  return formatRoomSetting(updated);
+}
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  ROOM_LEVELS,
+  PREFERENCE_TYPES,
+  preferenceKeyFor,
+  getQuietHoursEnd,
+  resolveChannels,
+  getPreferences,
+  updatePreferences,
+  updateRoomSetting
+};
@@ -0,0 +1,182 @@
+jest.mock('../config/database', () => ({
+  prisma: {
+    notificationPreference: { findMany: jest.fn(), upsert: jest.fn() },
+    user: { findMany: jest.fn(), findUnique: jest.fn(), update: jest.fn() },
+    roomMember: { findMany: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { prisma } = require('../config/database');
+const {
+  ROOM_LEVELS,
+  preferenceKeyFor,
+  getQuietHoursEnd,
+  resolveChannels,
+  updatePreferences
+} = require('./notificationPreferenceService');
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+const newYork = (quietHoursStart, quietHoursEnd) => ({ timezone: 'America/New_York', quietHoursStart, quietHoursEnd });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.notificationPreference.findMany.mockResolvedValue([]);
+  prisma.user.findMany.mockResolvedValue([]);
+  prisma.roomMember.findMany.mockResolvedValue([]);
+});
+
+describe('preferenceKeyFor', () => {
+  it('groups raw notification types under a preference', () => {
+    expect(preferenceKeyFor('new_chat')).toBe('room_chat');
+    expect(preferenceKeyFor('friend_accepted')).toBe('friends');
+    expect(preferenceKeyFor('something_else')).toBeNull();
+  });
+});
+
+describe('getQuietHoursEnd', () => {
+  it('returns null without quiet hours', () => {
+    const now = new Date('2026-10-20T03:00:00Z');
+    expect(getQuietHoursEnd(null, now)).toBeNull();
+    expect(getQuietHoursEnd(newYork(null, 7), now)).toBeNull();
+    expect(getQuietHoursEnd(newYork(7, 7), now)).toBeNull();
+  });
+
+  it('ends an overnight window the next morning when it started before midnight', () => {
+    // 23:00 on the 19th in New York
+    expect(getQuietHoursEnd(newYork(22, 7), new Date('2026-10-20T03:00:00Z')))
+      .toEqual(new Date('2026-10-20T11:00:00Z'));
+  });
+
+  it('ends an overnight window the same morning after midnight', () => {
+    // 03:00 on the 20th in New York
+    expect(getQuietHoursEnd(newYork(22, 7), new Date('2026-10-20T07:00:00Z')))
+      .toEqual(new Date('2026-10-20T11:00:00Z'));
+  });
+
+  it('returns null outside the window, including the end hour itself', () => {
+    // 12:00 and 07:00 in New York
+    expect(getQuietHoursEnd(newYork(22, 7), new Date('2026-10-20T16:00:00Z'))).toBeNull();
+    expect(getQuietHoursEnd(newYork(22, 7), new Date('2026-10-20T11:00:00Z'))).toBeNull();
+  });
+
+  it('handles windows within a single day', () => {
+    // 14:00 in New York
+    expect(getQuietHoursEnd(newYork(13, 15), new Date('2026-10-20T18:00:00Z')))
+      .toEqual(new Date('2026-10-20T19:00:00Z'));
+    expect(getQuietHoursEnd(newYork(13, 15), new Date('2026-10-20T20:00:00Z'))).toBeNull();
+  });
+
+  it('ends at the local hour across DST changes', () => {
+    // 23:00 EST on March 7th; clocks spring forward overnight
+    expect(getQuietHoursEnd(newYork(22, 7), new Date('2026-03-08T04:00:00Z')))
+      .toEqual(new Date('2026-03-08T11:00:00Z'));
+    // 23:00 EDT on October 31st; clocks fall back overnight
+    expect(getQuietHoursEnd(newYork(22, 7), new Date('2026-11-01T03:00:00Z')))
+      .toEqual(new Date('2026-11-01T12:00:00Z'));
+  });
+
+  it('uses UTC for an invalid timezone', () => {
+    const user = { timezone: 'Not/AZone', quietHoursStart: 22, quietHoursEnd: 7 };
+    expect(getQuietHoursEnd(user, new Date('2026-10-19T23:00:00Z'))).toEqual(new Date('2026-10-20T07:00:00Z'));
+  });
+});
+
+describe('resolveChannels', () => {
+  it('uses the defaults until the user saves a preference', async () => {
+    prisma.notificationPreference.findMany.mockResolvedValue([
+      { userId: 'u2', type: 'room_chat', inApp: true, push: false, emailDigest: true }
+    ]);
+
+    const channels = await resolveChannels(['u1', 'u2', 'u1', null], 'new_chat', null);
+    expect([...channels.keys()]).toEqual(['u1', 'u2']);
+    expect(channels.get('u1')).toMatchObject({ inApp: true, push: true, emailDigest: false });
+    expect(channels.get('u2')).toMatchObject({ inApp: true, push: false, emailDigest: true });
+  });
+
+  it('applies the room level', async () => {
+    prisma.roomMember.findMany.mockResolvedValue([
+      { userId: 'u1', notificationLevel: ROOM_LEVELS.OFF },
+      { userId: 'u2', notificationLevel: ROOM_LEVELS.IN_APP }
+    ]);
+
+    const channels = await resolveChannels(['u1', 'u2'], 'new_chat', 'r1');
+    expect(channels.get('u1')).toMatchObject({ inApp: false, push: false, emailDigest: false });
+    expect(channels.get('u2')).toMatchObject({ inApp: true, push: false, emailDigest: false });
+  });
+
+  it('turns push off while the user or the room is muted', async () => {
+    prisma.user.findMany.mockResolvedValue([
+      { id: 'u1', notificationsMutedUntil: inAnHour() },
+      { id: 'u3', notificationsMutedUntil: new Date(Date.now() - 1000) }
+    ]);
+    prisma.roomMember.findMany.mockResolvedValue([
+      { userId: 'u2', notificationLevel: ROOM_LEVELS.DEFAULT, notificationsMutedUntil: inAnHour() }
+    ]);
+
+    const channels = await resolveChannels(['u1', 'u2', 'u3'], 'new_chat', 'r1');
+    expect(channels.get('u1')).toMatchObject({ inApp: true, push: false });
+    expect(channels.get('u2')).toMatchObject({ inApp: true, push: false });
+    expect(channels.get('u3')).toMatchObject({ inApp: true, push: true });
+  });
+
+  describe('in quiet hours', () => {
+    beforeEach(() => {
+      // 23:00 in New York
+      jest.useFakeTimers({ now: new Date('2026-10-20T03:00:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('holds push until quiet hours end', async () => {
+      prisma.user.findMany.mockResolvedValue([{ id: 'u1', ...newYork(22, 7) }, { id: 'u2', ...newYork(8, 18) }]);
+
+      const channels = await resolveChannels(['u1', 'u2'], 'new_chat', null);
+      expect(channels.get('u1')).toMatchObject({ push: true, quietUntil: new Date('2026-10-20T11:00:00Z') });
+      expect(channels.get('u2')).toMatchObject({ push: true, quietUntil: null });
+    });
+
+    it('leaves quietUntil unset when push is off anyway', async () => {
+      prisma.user.findMany.mockResolvedValue([{ id: 'u1', ...newYork(22, 7) }]);
+      prisma.roomMember.findMany.mockResolvedValue([{ userId: 'u1', notificationLevel: ROOM_LEVELS.IN_APP }]);
+
+      const channels = await resolveChannels(['u1'], 'new_chat', 'r1');
+      expect(channels.get('u1')).toMatchObject({ inApp: true, push: false, quietUntil: null });
+    });
+  });
+});
+
+describe('updatePreferences', () => {
+  it('rejects unknown preference types', async () => {
+    await expect(updatePreferences('u1', { types: { nope: { push: false } } }))
+      .rejects.toMatchObject({ status: 400, message: 'Unknown notification type: nope' });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses to turn on email digests until the email is verified', async () => {
+    prisma.user.findUnique.mockResolvedValue({ emailVerified: false });
+
+    await expect(updatePreferences('u1', { types: { nudge: { emailDigest: true } } }))
+      .rejects.toMatchObject({ status: 400, message: 'Verify your email address to turn on email digests' });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('lets verified users turn on email digests, and anyone turn them off', async () => {
+    prisma.user.findUnique.mockResolvedValue({ emailVerified: true, timezone: 'UTC' });
+    prisma.$transaction.mockResolvedValue([]);
+
+    const preferences = await updatePreferences('u1', { types: { nudge: { emailDigest: true } } });
+    expect(preferences.emailVerified).toBe(true);
+    expect(prisma.notificationPreference.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId_type: { userId: 'u1', type: 'nudge' } },
+      update: { emailDigest: true }
+    }));
+
+    prisma.user.findUnique.mockResolvedValue({ emailVerified: false });
+    await updatePreferences('u1', { types: { nudge: { emailDigest: false } } });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(2);
+  });
+});
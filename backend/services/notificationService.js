@@ -1,10 +1,16 @@
 const { prisma } = require('../config/database');
 const { getIO } = require('../socket/io');
 const logger = require('../utils/logger');
+const { isSuppressed } = require('./blockService');
+const { resolveChannels } = require('./notificationPreferenceService');
+const { queueDigestItem } = require('./notificationDigestService');
 
 class NotificationService {
-  // Create a notification
-  static async createNotification({ recipientId, userId, type, title, message, roomId, data }) {
+  // Create a notification. `actorId` is the user who caused it; nothing is
+  // created if the recipient muted or blocked them (see blockService). The
+  // recipient's notification preferences decide whether it shows in-app and/or
+  // goes into their email digest (see notificationPreferenceService).
+  static async createNotification({ recipientId, userId, actorId, type, title, message, roomId, data }) {
     try {
       // Support both recipientId and userId for backward compatibility
       const targetUserId = recipientId || userId;
@@ -18,6 +24,18 @@ class NotificationService {
         return null;
       }
 
+      if (await isSuppressed(userIdString, actorId)) {
+        return null;
+      }
+
+      const channels = (await resolveChannels([userIdString], type, roomId || data?.roomId)).get(userIdString);
+      if (channels.emailDigest) {
+        await queueDigestItem({ userId: userIdString, type, title, message, roomId: roomId || data?.roomId });
+      }
+      if (!channels.inApp) {
+        return null;
+      }
+
       const notification = await prisma.notification.create({
         data: {
           userId: userIdString,
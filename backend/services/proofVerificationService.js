@@ -0,0 +1,470 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+const NotificationService = require('./notificationService');
+const { PERMISSIONS, hasRoomPermission } = require('../utils/roomPermissions');
+const {
+  getUserTimezone,
+  getLocalDateString,
+  getRoomDayString,
+  getRoomDayBounds
+} = require('./dayBoundaryService');
+
+// Proof-of-completion verification for rooms with requireProof enabled.
+//
+// A completion in such a room is created as "provisional" and linked to a PROOF
+// node. Points and streaks are applied immediately; the completion becomes
+// "approved" once enough members vouch, a proof moderator (owner, admin or
+// moderator) vouches, or the ghost-approve window passes (undisputed proofs
+// only). A proof rejected by a proof moderator or by enough member disputes
+// reverses the points and streak effects.
+
+const PROOF_STATUS = {
+  PENDING: 'PENDING',
+  GHOST_APPROVED: 'GHOST_APPROVED',
+  VOUCHED: 'VOUCHED',
+  REJECTED: 'REJECTED'
+};
+
+const COMPLETION_STATUS = {
+  PROVISIONAL: 'provisional',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// RoomTaskNodeVote.type
+const VOTE_TYPE = {
+  VOUCH: 'VOUCH',
+  DISPUTE: 'DISPUTE'
+};
+
+const DEFAULT_VOUCH_THRESHOLD = 2;
+const MIN_VOUCH_THRESHOLD = 1;
+const MAX_VOUCH_THRESHOLD = 20;
+const DEFAULT_GHOST_APPROVE_HOURS = 24;
+const MIN_GHOST_APPROVE_HOURS = 1;
+const MAX_GHOST_APPROVE_HOURS = 168; // 1 week
+
+const clamp = (value, min, max, fallback) =>
+  Number.isInteger(value) ? Math.min(max, Math.max(min, value)) : fallback;
+
+/**
+ * Proof settings for a room, with defaults for rooms created before they existed
+ */
+const getProofSettings = (room) => ({
+  requireProof: room?.requireProof === true,
+  vouchThreshold: clamp(room?.proofVouchThreshold, MIN_VOUCH_THRESHOLD, MAX_VOUCH_THRESHOLD, DEFAULT_VOUCH_THRESHOLD),
+  ghostApproveHours: clamp(room?.proofGhostApproveHours, MIN_GHOST_APPROVE_HOURS, MAX_GHOST_APPROVE_HOURS, DEFAULT_GHOST_APPROVE_HOURS)
+});
+
+/**
+ * Move a provisional completion to a final status. The status condition makes
+ * this the claim: when votes, a reject and ghost approval race, only the
+ * caller that gets true applies the side effects.
+ */
+async function claimCompletion(completionId, status) {
+  const { count } = await prisma.taskCompletion.updateMany({
+    where: { id: completionId, status: COMPLETION_STATUS.PROVISIONAL },
+    data: { status, verifiedAt: new Date() }
+  });
+  return count === 1;
+}
+
+const getGhostApproveAt = (room, from = new Date()) =>
+  new Date(from.getTime() + getProofSettings(room).ghostApproveHours * 60 * 60 * 1000);
+
+const emitToRoom = (roomId, event, payload) => {
+  const io = getIO();
+  if (io) io.to(roomId).emit(event, payload);
+};
+
+const getLeaderboard = async (roomId) => {
+  const members = await prisma.roomMember.findMany({
+    where: { roomId },
+    include: {
+      user: { select: { id: true, username: true, avatar: true } }
+    },
+    orderBy: { points: 'desc' }
+  });
+
+  return members.map(m => ({
+    _id: m.id,
+    userId: m.userId,
+    user: { ...m.user, _id: m.user.id },
+    points: m.points,
+    role: m.role
+  }));
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Restore the streak state captured when a completion was recorded, but only
+ * where that completion is the sole activity of its day and nothing has been
+ * built on top of it since (the last activity day is still the completion day).
+ */
+async function restoreStreaks(completion, snapshot) {
+  const { userId, roomId, completionDate } = completion;
+  const otherActive = {
+    userId,
+    completionDate,
+    status: { not: COMPLETION_STATUS.REJECTED },
+    id: { not: completion.id }
+  };
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { timezone: true, lastStreakDate: true }
+  });
+  const timezone = getUserTimezone(user);
+
+  // Per-room progress streak
+  const progress = await prisma.userRoomProgress.findUnique({
+    where: { userId_roomId: { userId, roomId } }
+  });
+  if (snapshot.progress && progress?.lastCompletionDate &&
+      getLocalDateString(progress.lastCompletionDate, timezone) === completionDate) {
+    const othersInRoom = await prisma.taskCompletion.count({ where: { ...otherActive, roomId } });
+    if (othersInRoom === 0) {
+      await prisma.userRoomProgress.update({
+        where: { id: progress.id },
+        data: {
+          currentStreak: snapshot.progress.currentStreak,
+          longestStreak: snapshot.progress.longestStreak,
+          lastCompletionDate: toDate(snapshot.progress.lastCompletionDate)
+        }
+      });
+    }
+  }
+
+  // Global user streak
+  if (snapshot.user && user?.lastStreakDate &&
+      getLocalDateString(user.lastStreakDate, timezone) === completionDate) {
+    const othersAnywhere = await prisma.taskCompletion.count({ where: otherActive });
+    if (othersAnywhere === 0) {
+      await prisma.user.update({
+        where: { id: userId },
+        data: {
+          streak: snapshot.user.streak,
+          longestStreak: snapshot.user.longestStreak,
+          lastStreakDate: toDate(snapshot.user.lastStreakDate)
+        }
+      });
+    }
+  }
+
+  // Room streak (room day)
+  const room = await prisma.room.findUnique({
+    where: { id: roomId },
+    select: { lastActivityDate: true, timezone: true, dayRolloverHour: true }
+  });
+  const roomDay = getRoomDayString(room, completion.completedAt);
+  if (snapshot.room && room?.lastActivityDate && getRoomDayString(room, room.lastActivityDate) === roomDay) {
+    const { start, end } = getRoomDayBounds(room, roomDay);
+    const othersInRoomDay = await prisma.taskCompletion.count({
+      where: {
+        roomId,
+        status: { not: COMPLETION_STATUS.REJECTED },
+        id: { not: completion.id },
+        completedAt: { gte: start, lt: end }
+      }
+    });
+    if (othersInRoomDay === 0) {
+      await prisma.room.update({
+        where: { id: roomId },
+        data: {
+          streak: snapshot.room.streak,
+          longestStreak: snapshot.room.longestStreak,
+          lastActivityDate: toDate(snapshot.room.lastActivityDate)
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Undo the points and streak effects applied by POST /tasks/:taskId/complete
+ */
+async function reverseCompletionEffects(completion) {
+  const { userId, roomId, pointsAwarded } = completion;
+
+  await prisma.roomMember.updateMany({
+    where: { roomId, userId },
+    data: { points: { decrement: pointsAwarded } }
+  });
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { totalTasksCompleted: { decrement: 1 } }
+  });
+
+  const progress = await prisma.userRoomProgress.findUnique({
+    where: { userId_roomId: { userId, roomId } }
+  });
+  if (progress) {
+    await prisma.userRoomProgress.update({
+      where: { id: progress.id },
+      data: {
+        totalPoints: { decrement: pointsAwarded },
+        ...(progress.tasksCompletedToday > 0 && { tasksCompletedToday: { decrement: 1 } })
+      }
+    });
+  }
+
+  if (completion.streakSnapshot) {
+    try {
+      await restoreStreaks(completion, JSON.parse(completion.streakSnapshot));
+    } catch (err) {
+      logger.warn(`Could not restore streaks for completion ${completion.id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Mark a provisional completion as approved
+ * @param {Object} completion - TaskCompletion row
+ * @param {string} nodeStatus - VOUCHED or GHOST_APPROVED
+ */
+async function approveCompletion(completion, nodeStatus = PROOF_STATUS.VOUCHED) {
+  if (completion.status !== COMPLETION_STATUS.PROVISIONAL ||
+      !(await claimCompletion(completion.id, COMPLETION_STATUS.APPROVED))) {
+    return prisma.taskCompletion.findUnique({ where: { id: completion.id } });
+  }
+  const approved = await prisma.taskCompletion.findUnique({ where: { id: completion.id } });
+
+  if (completion.proofNodeId) {
+    await prisma.roomTaskNode.update({
+      where: { id: completion.proofNodeId },
+      data: { status: nodeStatus }
+    });
+    emitToRoom(completion.roomId, 'thread:node_updated', {
+      roomId: completion.roomId,
+      taskId: completion.taskId,
+      nodeId: completion.proofNodeId,
+      patch: { status: nodeStatus }
+    });
+  }
+
+  emitToRoom(completion.roomId, 'proof:verified', {
+    roomId: completion.roomId,
+    taskId: completion.taskId,
+    completionId: completion.id,
+    nodeId: completion.proofNodeId,
+    userId: completion.userId,
+    status: nodeStatus
+  });
+
+  try {
+    await NotificationService.createNotification({
+      recipientId: completion.userId,
+      type: 'proof_verified',
+      title: '✅ Proof verified',
+      message: nodeStatus === PROOF_STATUS.GHOST_APPROVED
+        ? 'Your proof was approved automatically.'
+        : 'Your proof was vouched for by your room.',
+      roomId: completion.roomId,
+      data: { roomId: completion.roomId, taskId: completion.taskId, completionId: completion.id }
+    });
+  } catch (err) {
+    logger.warn('Failed to create proof verified notification:', err.message);
+  }
+
+  return approved;
+}
+
+/**
+ * Reject a provisional completion and reverse its points and streak effects
+ */
+async function rejectCompletion(completion, { rejectedBy } = {}) {
+  // Flip status first so the completion no longer counts as activity for the day
+  if (completion.status !== COMPLETION_STATUS.PROVISIONAL ||
+      !(await claimCompletion(completion.id, COMPLETION_STATUS.REJECTED))) {
+    return prisma.taskCompletion.findUnique({ where: { id: completion.id } });
+  }
+  const rejected = await prisma.taskCompletion.findUnique({ where: { id: completion.id } });
+
+  await reverseCompletionEffects(completion);
+
+  if (completion.proofNodeId) {
+    await prisma.roomTaskNode.update({
+      where: { id: completion.proofNodeId },
+      data: { status: PROOF_STATUS.REJECTED }
+    });
+    emitToRoom(completion.roomId, 'thread:node_updated', {
+      roomId: completion.roomId,
+      taskId: completion.taskId,
+      nodeId: completion.proofNodeId,
+      patch: { status: PROOF_STATUS.REJECTED }
+    });
+  }
+
+  emitToRoom(completion.roomId, 'proof:rejected', {
+    roomId: completion.roomId,
+    taskId: completion.taskId,
+    completionId: completion.id,
+    nodeId: completion.proofNodeId,
+    userId: completion.userId,
+    pointsReversed: completion.pointsAwarded,
+    leaderboard: await getLeaderboard(completion.roomId)
+  });
+
+  try {
+    await NotificationService.createNotification({
+      recipientId: completion.userId,
+      type: 'proof_rejected',
+      title: '❌ Proof rejected',
+      message: `Your proof was rejected and ${completion.pointsAwarded} points were removed.`,
+      roomId: completion.roomId,
+      data: { roomId: completion.roomId, taskId: completion.taskId, completionId: completion.id, rejectedBy }
+    });
+  } catch (err) {
+    logger.warn('Failed to create proof rejected notification:', err.message);
+  }
+
+  logger.info(`Proof rejected for completion ${completion.id} (${completion.pointsAwarded} points reversed)`);
+  return rejected;
+}
+
+/**
+ * Record a member's vouch or dispute on a PROOF node (one vote per member).
+ * A vouch from a proof moderator (owner, admin, moderator) approves outright;
+ * otherwise the completion is approved once vouches reach the room threshold
+ * and rejected once disputes do.
+ * @returns {Promise<{ node: Object, vote: Object, completion: Object|null, outcome: string|null }>}
+ *   outcome is 'verified', 'rejected' or null when the proof is still pending
+ */
+async function castProofVote({ node, room, voterId, type }) {
+  if (node.userId === voterId) {
+    const err = new Error(type === VOTE_TYPE.VOUCH
+      ? 'You cannot vouch for your own proof'
+      : 'You cannot dispute your own proof');
+    err.status = 403;
+    throw err;
+  }
+
+  let vote;
+  try {
+    vote = await prisma.roomTaskNodeVote.create({
+      data: { nodeId: node.id, userId: voterId, type },
+      include: { user: { select: { id: true, username: true, avatar: true } } }
+    });
+  } catch (err) {
+    if (err.code === 'P2002') {
+      const dup = new Error('You have already voted on this proof');
+      dup.status = 400;
+      throw dup;
+    }
+    throw err;
+  }
+
+  const updatedNode = await prisma.roomTaskNode.update({
+    where: { id: node.id },
+    data: type === VOTE_TYPE.VOUCH
+      ? { vouchCount: { increment: 1 } }
+      : { disputeCount: { increment: 1 } }
+  });
+
+  const completion = await prisma.taskCompletion.findUnique({
+    where: { proofNodeId: node.id }
+  });
+
+  if (!completion || completion.status !== COMPLETION_STATUS.PROVISIONAL) {
+    return { node: updatedNode, vote, completion, outcome: null };
+  }
+
+  const { vouchThreshold } = getProofSettings(room);
+
+  if (type === VOTE_TYPE.VOUCH && (hasRoomPermission(room, voterId, PERMISSIONS.MODERATE_PROOFS) || updatedNode.vouchCount >= vouchThreshold)) {
+    const approved = await approveCompletion(completion, PROOF_STATUS.VOUCHED);
+    // Another vote or a reject may have settled the completion first
+    if (approved?.status === COMPLETION_STATUS.APPROVED) {
+      return { node: { ...updatedNode, status: PROOF_STATUS.VOUCHED }, vote, completion: approved, outcome: 'verified' };
+    }
+    return { node: updatedNode, vote, completion: approved, outcome: null };
+  }
+
+  if (type === VOTE_TYPE.DISPUTE && updatedNode.disputeCount >= vouchThreshold) {
+    const rejected = await rejectCompletion(completion, { rejectedBy: voterId });
+    if (rejected?.status === COMPLETION_STATUS.REJECTED) {
+      return { node: { ...updatedNode, status: PROOF_STATUS.REJECTED }, vote, completion: rejected, outcome: 'rejected' };
+    }
+    return { node: updatedNode, vote, completion: rejected, outcome: null };
+  }
+
+  return { node: updatedNode, vote, completion, outcome: null };
+}
+
+/**
+ * Approve provisional completions whose ghost-approve window has passed
+ */
+async function runGhostApproval() {
+  try {
+    // Disputed proofs are left for the owner (or further disputes) to decide
+    const due = await prisma.taskCompletion.findMany({
+      where: {
+        status: COMPLETION_STATUS.PROVISIONAL,
+        ghostApproveAt: { lte: new Date() },
+        OR: [
+          { proofNodeId: null },
+          { proofNode: { disputeCount: 0 } }
+        ]
+      },
+      take: 200
+    });
+
+    for (const completion of due) {
+      await approveCompletion(completion, PROOF_STATUS.GHOST_APPROVED);
+    }
+
+    if (due.length > 0) {
+      logger.info(`Ghost-approved ${due.length} provisional completions`);
+    }
+  } catch (err) {
+    logger.error('Proof ghost approval failed:', err);
+  }
+}
+
+let interval = null;
+
+function startProofGhostApproval() {
+  if (interval) return;
+
+  // Run once shortly after startup
+  setTimeout(() => {
+    runGhostApproval().catch(() => {});
+  }, 20_000);
+
+  // Then every 10 minutes
+  interval = setInterval(() => {
+    runGhostApproval().catch(() => {});
+  }, 10 * 60 * 1000);
+
+  logger.info('Proof ghost approval started (every 10 minutes)');
+}
+
+function stopProofGhostApproval() {
+  if (interval) {
+    clearInterval(interval);
+    interval = null;
+  }
+}
+
+module.exports = {
+  PROOF_STATUS,
+  COMPLETION_STATUS,
+  VOTE_TYPE,
+  MIN_VOUCH_THRESHOLD,
+  MAX_VOUCH_THRESHOLD,
+  MIN_GHOST_APPROVE_HOURS,
+  MAX_GHOST_APPROVE_HOURS,
+  getProofSettings,
+  getGhostApproveAt,
+  getLeaderboard,
+  reverseCompletionEffects,
+  approveCompletion,
+  rejectCompletion,
+  castProofVote,
+  runGhostApproval,
+  startProofGhostApproval,
+  stopProofGhostApproval
+};
@@ -0,0 +1,223 @@
+jest.mock('../config/database', () => ({
+  prisma: {
+    taskCompletion: { updateMany: jest.fn(), findUnique: jest.fn(), findMany: jest.fn(), count: jest.fn() },
+    roomTaskNode: { update: jest.fn() },
+    roomTaskNodeVote: { create: jest.fn() },
+    roomMember: { updateMany: jest.fn(), findMany: jest.fn() },
+    user: { update: jest.fn(), findUnique: jest.fn() },
+    userRoomProgress: { findUnique: jest.fn(), update: jest.fn() },
+    room: { findUnique: jest.fn(), update: jest.fn() }
+  }
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../socket/io', () => {
+  const mockEmit = jest.fn();
+  return { getIO: () => ({ to: () => ({ emit: mockEmit }) }), mockEmit };
+});
+jest.mock('./notificationService', () => ({ createNotification: jest.fn() }));
+
+const { prisma } = require('../config/database');
+const { mockEmit } = require('../socket/io');
+const NotificationService = require('./notificationService');
+const {
+  PROOF_STATUS,
+  COMPLETION_STATUS,
+  VOTE_TYPE,
+  getProofSettings,
+  getGhostApproveAt,
+  approveCompletion,
+  rejectCompletion,
+  castProofVote,
+  runGhostApproval
+} = require('./proofVerificationService');
+
+const completion = {
+  id: 'c1',
+  taskId: 't1',
+  roomId: 'r1',
+  userId: 'u1',
+  proofNodeId: 'n1',
+  pointsAwarded: 10,
+  status: COMPLETION_STATUS.PROVISIONAL,
+  streakSnapshot: null
+};
+
+const room = {
+  id: 'r1',
+  ownerId: 'owner',
+  proofVouchThreshold: 2,
+  members: [
+    { userId: 'u1', role: 'member', status: 'active' },
+    { userId: 'u2', role: 'member', status: 'active' },
+    { userId: 'mod', role: 'moderator', status: 'active' }
+  ]
+};
+
+// The claim succeeds when the status condition still matches one row
+const claimWins = (won) => prisma.taskCompletion.updateMany.mockResolvedValue({ count: won ? 1 : 0 });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.taskCompletion.findUnique.mockImplementation(() => Promise.resolve({ ...completion }));
+  prisma.roomMember.findMany.mockResolvedValue([]);
+  prisma.userRoomProgress.findUnique.mockResolvedValue(null);
+});
+
+describe('getProofSettings', () => {
+  it('clamps room settings and fills in defaults', () => {
+    expect(getProofSettings(null)).toEqual({ requireProof: false, vouchThreshold: 2, ghostApproveHours: 24 });
+    expect(getProofSettings({ requireProof: true, proofVouchThreshold: 99, proofGhostApproveHours: 0 }))
+      .toEqual({ requireProof: true, vouchThreshold: 20, ghostApproveHours: 1 });
+  });
+
+  it('schedules ghost approval after the room window', () => {
+    const from = new Date('2026-10-19T10:00:00Z');
+    expect(getGhostApproveAt({ proofGhostApproveHours: 6 }, from)).toEqual(new Date('2026-10-19T16:00:00Z'));
+  });
+});
+
+describe('approveCompletion', () => {
+  it('claims the completion, then updates the proof and notifies the owner', async () => {
+    claimWins(true);
+    await approveCompletion(completion, PROOF_STATUS.GHOST_APPROVED);
+
+    expect(prisma.taskCompletion.updateMany).toHaveBeenCalledWith({
+      where: { id: 'c1', status: COMPLETION_STATUS.PROVISIONAL },
+      data: { status: COMPLETION_STATUS.APPROVED, verifiedAt: expect.any(Date) }
+    });
+    expect(prisma.roomTaskNode.update).toHaveBeenCalledWith({
+      where: { id: 'n1' },
+      data: { status: PROOF_STATUS.GHOST_APPROVED }
+    });
+    expect(mockEmit).toHaveBeenCalledWith('proof:verified', expect.objectContaining({ completionId: 'c1' }));
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ recipientId: 'u1', type: 'proof_verified' })
+    );
+  });
+
+  it('does nothing when another caller settled the completion first', async () => {
+    claimWins(false);
+    await approveCompletion(completion);
+
+    expect(prisma.roomTaskNode.update).not.toHaveBeenCalled();
+    expect(mockEmit).not.toHaveBeenCalled();
+    expect(NotificationService.createNotification).not.toHaveBeenCalled();
+  });
+
+  it('skips the claim for completions that are no longer provisional', async () => {
+    await approveCompletion({ ...completion, status: COMPLETION_STATUS.REJECTED });
+    expect(prisma.taskCompletion.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('rejectCompletion', () => {
+  it('reverses the points once the claim succeeds', async () => {
+    claimWins(true);
+    await rejectCompletion(completion, { rejectedBy: 'mod' });
+
+    expect(prisma.roomMember.updateMany).toHaveBeenCalledWith({
+      where: { roomId: 'r1', userId: 'u1' },
+      data: { points: { decrement: 10 } }
+    });
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'u1' },
+      data: { totalTasksCompleted: { decrement: 1 } }
+    });
+    expect(prisma.roomTaskNode.update).toHaveBeenCalledWith({
+      where: { id: 'n1' },
+      data: { status: PROOF_STATUS.REJECTED }
+    });
+    expect(mockEmit).toHaveBeenCalledWith('proof:rejected', expect.objectContaining({ pointsReversed: 10 }));
+  });
+
+  it('never reverses points twice', async () => {
+    claimWins(false);
+    await rejectCompletion(completion);
+
+    expect(prisma.roomMember.updateMany).not.toHaveBeenCalled();
+    expect(prisma.user.update).not.toHaveBeenCalled();
+    expect(prisma.roomTaskNode.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('castProofVote', () => {
+  const node = { id: 'n1', userId: 'u1' };
+
+  beforeEach(() => {
+    prisma.roomTaskNodeVote.create.mockResolvedValue({ id: 'v1' });
+  });
+
+  it('rejects votes on your own proof', async () => {
+    await expect(castProofVote({ node, room, voterId: 'u1', type: VOTE_TYPE.VOUCH }))
+      .rejects.toMatchObject({ status: 403, message: 'You cannot vouch for your own proof' });
+  });
+
+  it('rejects a second vote from the same member', async () => {
+    prisma.roomTaskNodeVote.create.mockRejectedValue(Object.assign(new Error('Unique'), { code: 'P2002' }));
+    await expect(castProofVote({ node, room, voterId: 'u2', type: VOTE_TYPE.VOUCH }))
+      .rejects.toMatchObject({ status: 400, message: 'You have already voted on this proof' });
+  });
+
+  it('leaves the proof pending below the threshold', async () => {
+    prisma.roomTaskNode.update.mockResolvedValue({ ...node, vouchCount: 1, disputeCount: 0 });
+    const result = await castProofVote({ node, room, voterId: 'u2', type: VOTE_TYPE.VOUCH });
+
+    expect(result.outcome).toBeNull();
+    expect(prisma.taskCompletion.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('approves on a moderator vouch', async () => {
+    claimWins(true);
+    prisma.roomTaskNode.update.mockResolvedValue({ ...node, vouchCount: 1, disputeCount: 0 });
+    prisma.taskCompletion.findUnique
+      .mockResolvedValueOnce({ ...completion })
+      .mockResolvedValueOnce({ ...completion, status: COMPLETION_STATUS.APPROVED });
+
+    const result = await castProofVote({ node, room, voterId: 'mod', type: VOTE_TYPE.VOUCH });
+    expect(result.outcome).toBe('verified');
+    expect(result.node.status).toBe(PROOF_STATUS.VOUCHED);
+  });
+
+  it('rejects once disputes reach the threshold', async () => {
+    claimWins(true);
+    prisma.roomTaskNode.update.mockResolvedValue({ ...node, vouchCount: 0, disputeCount: 2 });
+    prisma.taskCompletion.findUnique
+      .mockResolvedValueOnce({ ...completion })
+      .mockResolvedValueOnce({ ...completion, status: COMPLETION_STATUS.REJECTED });
+
+    const result = await castProofVote({ node, room, voterId: 'u2', type: VOTE_TYPE.DISPUTE });
+    expect(result.outcome).toBe('rejected');
+    expect(prisma.roomMember.updateMany).toHaveBeenCalled();
+  });
+
+  it('reports no outcome when a concurrent reject won the claim', async () => {
+    claimWins(false);
+    prisma.roomTaskNode.update.mockResolvedValue({ ...node, vouchCount: 2, disputeCount: 0 });
+    prisma.taskCompletion.findUnique
+      .mockResolvedValueOnce({ ...completion })
+      .mockResolvedValueOnce({ ...completion, status: COMPLETION_STATUS.REJECTED });
+
+    const result = await castProofVote({ node, room, voterId: 'u2', type: VOTE_TYPE.VOUCH });
+    expect(result.outcome).toBeNull();
+    expect(result.completion.status).toBe(COMPLETION_STATUS.REJECTED);
+  });
+});
+
+describe('runGhostApproval', () => {
+  it('ghost-approves undisputed completions past their window', async () => {
+    claimWins(true);
+    prisma.taskCompletion.findMany.mockResolvedValue([{ ...completion }]);
+    await runGhostApproval();
+
+    expect(prisma.taskCompletion.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({
+        status: COMPLETION_STATUS.PROVISIONAL,
+        OR: [{ proofNodeId: null }, { proofNode: { disputeCount: 0 } }]
+      })
+    }));
+    expect(prisma.roomTaskNode.update).toHaveBeenCalledWith({
+      where: { id: 'n1' },
+      data: { status: PROOF_STATUS.GHOST_APPROVED }
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const webpush = require('web-push');
 const { prisma } = require('../config/database');
 const logger = require('../utils/logger');
+const { getSuppressedRecipientIds } = require('./blockService');
+const { resolveChannels, getQuietHoursEnd } = require('./notificationPreferenceService');
 
 // Configure web-push with VAPID keys (only if they exist)
 const vapidPublicKey = process.env.VAPID_PUBLIC_KEY;
@@ -18,14 +20,166 @@ if (pushNotificationsEnabled) {
   console.log('⚠️  Push notifications disabled (VAPID keys not configured)');
 }
 
+// Held pushes (PendingPush): during the recipient's quiet hours every push is
+// held until they end. Outside quiet hours, a payload with a `collapse`
+// descriptor ({ key, noun, context }) goes out at once, but more with the same
+// key within BURST_WINDOW_MS are held. When held pushes are sent, those that
+// share a key go out as one summary, e.g. "5 new appreciations in Study Room".
+// Preferences and blocks are checked again at that point, as either may have
+// changed while the push was held.
+const BURST_WINDOW_MS = 2 * 60 * 1000;
+const FLUSH_INTERVAL_MS = 30 * 1000;
+const FLUSH_BATCH_SIZE = 500;
+
+// Last send per `${userId}|${collapseKey}`. In memory: after a restart the
+// first push of a burst just goes out on its own.
+const lastSentAt = new Map();
+let flushInterval = null;
+
+// One push for held payloads that share a collapse key (oldest first)
+const collapsePayloads = (payloads) => {
+  const latest = payloads[payloads.length - 1];
+  if (payloads.length === 1 || !latest.collapse) return latest;
+  const { noun, context } = latest.collapse;
+  return {
+    ...latest,
+    title: `${payloads.length} new ${noun}${context ? ` ${context}` : ''}`,
+    body: `Latest: ${latest.body}`,
+    renotify: true
+  };
+};
+
+const parsePayload = (json) => {
+  try {
+    return JSON.parse(json);
+  } catch (_) {
+    return null;
+  }
+};
+
+// Ids of held rows (payload parsed) whose recipient still gets push for the
+// type and room and hasn't blocked or muted the actor
+const findSendable = async (rows) => {
+  const contexts = new Map();
+  const actors = new Map();
+  const contextKey = (row) => `${row.payload.data?.type}|${row.payload.data?.roomId || ''}`;
+
+  for (const row of rows) {
+    const key = contextKey(row);
+    if (!contexts.has(key)) {
+      contexts.set(key, { type: row.payload.data?.type, roomId: row.payload.data?.roomId, userIds: new Set() });
+    }
+    contexts.get(key).userIds.add(row.userId);
+    if (row.actorId) {
+      if (!actors.has(row.actorId)) actors.set(row.actorId, new Set());
+      actors.get(row.actorId).add(row.userId);
+    }
+  }
+
+  const [channels, suppressed] = await Promise.all([
+    Promise.all([...contexts].map(async ([key, { type, roomId, userIds }]) =>
+      [key, await resolveChannels([...userIds], type, roomId)])),
+    Promise.all([...actors].map(async ([actorId, userIds]) =>
+      [actorId, await getSuppressedRecipientIds(actorId, [...userIds])]))
+  ]);
+  const channelsByContext = new Map(channels);
+  const suppressedByActor = new Map(suppressed);
+
+  return new Set(rows
+    .filter(row => !(row.actorId && suppressedByActor.get(row.actorId).has(row.userId)))
+    .filter(row => channelsByContext.get(contextKey(row)).get(row.userId)?.push)
+    .map(row => row.id));
+};
+
 class PushNotificationService {
-  // Send push notification to a user
-  static async sendToUser(userId, payload) {
+  // Send push notification to a user (skipped if they muted or blocked actorId,
+  // or turned push off for this type or room; see notificationPreferenceService)
+  static async sendToUser(userId, payload, actorId) {
     // Skip if push notifications not configured
     if (!pushNotificationsEnabled) {
       return { success: false, reason: 'Push notifications not configured' };
     }
 
+    try {
+      if (actorId && (await getSuppressedRecipientIds(actorId, [userId])).has(userId)) {
+        return { success: false, reason: 'Muted' };
+      }
+
+      const channels = await resolveChannels([userId], payload.data?.type, payload.data?.roomId);
+      if (!channels.get(userId)?.push) {
+        return { success: false, reason: 'Turned off' };
+      }
+
+      return await this.dispatch(userId, payload, channels.get(userId).quietUntil, actorId);
+    } catch (error) {
+      logger.error('Error in sendToUser:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send push notification to multiple users (skipping those who muted or blocked actorId
+  // or turned push off for this type or room)
+  static async sendToUsers(userIds, payload, actorId) {
+    if (!pushNotificationsEnabled) {
+      return userIds.map(userId => ({ userId, success: false, reason: 'Push notifications not configured' }));
+    }
+
+    const [suppressed, channels] = await Promise.all([
+      getSuppressedRecipientIds(actorId, userIds),
+      resolveChannels(userIds, payload.data?.type, payload.data?.roomId)
+    ]);
+    
+    const results = [];
+    for (const userId of userIds) {
+      if (suppressed.has(userId)) {
+        results.push({ userId, success: false, reason: 'Muted' });
+        continue;
+      }
+      if (!channels.get(userId)?.push) {
+        results.push({ userId, success: false, reason: 'Turned off' });
+        continue;
+      }
+      const result = await this.dispatch(userId, payload, channels.get(userId).quietUntil, actorId);
+      results.push({ userId, ...result });
+    }
+
+    return results;
+  }
+
+  // Send now, or hold for quiet hours or a burst (see BURST_WINDOW_MS)
+  static async dispatch(userId, payload, quietUntil, actorId) {
+    if (quietUntil) {
+      return this.hold(userId, payload, quietUntil, actorId);
+    }
+
+    const collapseKey = payload.collapse?.key;
+    if (collapseKey) {
+      const burstKey = `${userId}|${collapseKey}`;
+      const last = lastSentAt.get(burstKey);
+      if (last && Date.now() - last < BURST_WINDOW_MS) {
+        return this.hold(userId, payload, new Date(last + BURST_WINDOW_MS), actorId);
+      }
+      lastSentAt.set(burstKey, Date.now());
+    }
+
+    return this.deliver(userId, payload);
+  }
+
+  static async hold(userId, payload, deliverAfter, actorId) {
+    await prisma.pendingPush.create({
+      data: {
+        userId,
+        collapseKey: payload.collapse?.key || null,
+        payload: JSON.stringify(payload),
+        actorId: actorId || null,
+        deliverAfter
+      }
+    });
+    return { success: true, deferredUntil: deliverAfter };
+  }
+
+  // Send to the user's push subscription (no preference checks; use sendToUser/sendToUsers)
+  static async deliver(userId, { collapse, ...payload }) {
     try {
       const user = await prisma.user.findUnique({
         where: { id: userId },
@@ -54,31 +208,95 @@ class PushNotificationService {
           await prisma.user.update({ where: { id: userId }, data: { pushSubscription: null } });
         } catch (_) {}
       }
-      logger.error('Error in sendToUser:', error);
+      logger.error('Error delivering push notification:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Send push notification to multiple users
-  static async sendToUsers(userIds, payload) {
-    const results = [];
-    
-    for (const userId of userIds) {
-      const result = await this.sendToUser(userId, payload);
-      results.push({ userId, ...result });
+  // Send held pushes that are due, one summary per user and collapse key
+  static async flushPending(now = new Date()) {
+    const due = await prisma.pendingPush.findMany({
+      where: { deliverAfter: { lte: now } },
+      orderBy: { createdAt: 'asc' },
+      take: FLUSH_BATCH_SIZE
+    });
+    if (due.length === 0) return 0;
+
+    // Drop what the recipient no longer wants (or can't be read)
+    const held = due.map(row => ({ ...row, payload: parsePayload(row.payload) }));
+    const sendable = await findSendable(held.filter(row => row.payload));
+    const dropped = held.filter(row => !sendable.has(row.id)).map(row => row.id);
+    if (dropped.length > 0) {
+      await prisma.pendingPush.deleteMany({ where: { id: { in: dropped } } });
     }
 
-    return results;
+    // Quiet hours may have been changed since these were held
+    const users = await prisma.user.findMany({
+      where: { id: { in: [...new Set(due.map(p => p.userId))] } },
+      select: { id: true, timezone: true, quietHoursStart: true, quietHoursEnd: true }
+    });
+    const quietUntilByUser = new Map(users.map(u => [u.id, getQuietHoursEnd(u, now)]));
+
+    const groups = new Map();
+    for (const row of held.filter(r => sendable.has(r.id))) {
+      const groupKey = `${row.userId}|${row.collapseKey || row.id}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, []);
+      groups.get(groupKey).push(row);
+    }
+
+    let sent = 0;
+    for (const rows of groups.values()) {
+      const { userId, collapseKey } = rows[0];
+      const ids = rows.map(r => r.id);
+
+      const quietUntil = quietUntilByUser.get(userId);
+      if (quietUntil) {
+        await prisma.pendingPush.updateMany({ where: { id: { in: ids } }, data: { deliverAfter: quietUntil } });
+        continue;
+      }
+
+      // Removed before sending so a failed send is not retried forever
+      await prisma.pendingPush.deleteMany({ where: { id: { in: ids } } });
+      if (!pushNotificationsEnabled) continue;
+
+      const payloads = rows.map(r => r.payload);
+      if (collapseKey) lastSentAt.set(`${userId}|${collapseKey}`, now.getTime());
+      const result = await this.deliver(userId, collapsePayloads(payloads));
+      if (result.success) sent++;
+    }
+
+    // Forget bursts that have ended
+    for (const [key, at] of lastSentAt) {
+      if (now.getTime() - at >= BURST_WINDOW_MS) lastSentAt.delete(key);
+    }
+
+    return sent;
+  }
+
+  static startDeferredDelivery() {
+    if (flushInterval) return;
+    flushInterval = setInterval(() => {
+      this.flushPending().catch(err => logger.error('Held push delivery failed:', err));
+    }, FLUSH_INTERVAL_MS);
+    logger.info('Held push delivery started (every 30 seconds)');
+  }
+
+  static stopDeferredDelivery() {
+    if (flushInterval) {
+      clearInterval(flushInterval);
+      flushInterval = null;
+    }
   }
 
   // Notify new task created
-  static async notifyNewTask(roomMembers, task, roomName, creatorUsername) {
+  static async notifyNewTask(roomMembers, task, roomName, creatorUsername, creatorId) {
     const payload = {
       title: `New Task in ${roomName}`,
       body: `${creatorUsername} created: ${task.title}`,
       icon: '/icon-192x192.png',
       badge: '/badge-72x72.png',
       tag: 'new-task',
+      collapse: { key: `new_task:${task.roomId}`, noun: 'tasks', context: `in ${roomName}` },
       data: {
         type: 'new_task',
         roomId: task.roomId,
@@ -87,17 +305,18 @@ class PushNotificationService {
       }
     };
 
-    return await this.sendToUsers(roomMembers, payload);
+    return await this.sendToUsers(roomMembers, payload, creatorId);
   }
 
   // Notify task completion
-  static async notifyTaskCompletion(roomMembers, task, completedByUsername, roomName) {
+  static async notifyTaskCompletion(roomMembers, task, completedByUsername, roomName, completedById) {
     const payload = {
       title: `Task Completed in ${roomName}`,
       body: `${completedByUsername} completed: ${task.title}`,
       icon: '/icon-192x192.png',
       badge: '/badge-72x72.png',
       tag: 'task-completed',
+      collapse: { key: `task_completed:${task.roomId}`, noun: 'completed tasks', context: `in ${roomName}` },
       data: {
         type: 'task_completed',
         roomId: task.roomId,
@@ -106,11 +325,11 @@ class PushNotificationService {
       }
     };
 
-    return await this.sendToUsers(roomMembers, payload);
+    return await this.sendToUsers(roomMembers, payload, completedById);
   }
 
   // Notify new chat message
-  static async notifyNewChat(roomMembers, senderUsername, messagePreview, roomName, roomId) {
+  static async notifyNewChat(roomMembers, senderUsername, messagePreview, roomName, roomId, senderId) {
     const payload = {
       title: `${senderUsername} in ${roomName}`,
       body: messagePreview,
@@ -118,6 +337,7 @@ class PushNotificationService {
       badge: '/badge-72x72.png',
       tag: `chat-${roomId}`,
       renotify: true,
+      collapse: { key: `new_chat:${roomId}`, noun: 'messages', context: `in ${roomName}` },
       data: {
         type: 'new_chat',
         roomId: roomId,
@@ -125,7 +345,26 @@ class PushNotificationService {
       }
     };
 
-    return await this.sendToUsers(roomMembers, payload);
+    return await this.sendToUsers(roomMembers, payload, senderId);
+  }
+
+  // Notify room announcement (owner/admin, pinned to the top of the chat)
+  static async notifyAnnouncement(roomMembers, senderUsername, messagePreview, roomName, roomId, senderId) {
+    const payload = {
+      title: `📌 Announcement in ${roomName}`,
+      body: `${senderUsername}: ${messagePreview}`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      tag: `announcement-${roomId}`,
+      renotify: true,
+      data: {
+        type: 'room_announcement',
+        roomId: roomId,
+        url: `/rooms/${roomId}`
+      }
+    };
+
+    return await this.sendToUsers(roomMembers, payload, senderId);
   }
 
   // Notify member joined room
@@ -136,6 +375,7 @@ class PushNotificationService {
       icon: '/icon-192x192.png',
       badge: '/badge-72x72.png',
       tag: 'member-joined',
+      collapse: { key: `member_joined:${roomId}`, noun: 'members', context: `in ${roomName}` },
       data: {
         type: 'member_joined',
         roomId: roomId,
@@ -190,6 +430,7 @@ class PushNotificationService {
       badge: '/badge-72x72.png',
       tag: `dm-${senderUsername}`,
       renotify: true,
+      collapse: { key: `direct_message:${senderId || senderUsername}`, noun: 'messages', context: `from ${senderUsername}` },
       data: {
         type: 'direct_message',
         senderId,
@@ -197,11 +438,31 @@ class PushNotificationService {
       }
     };
 
-    return await this.sendToUser(recipientId, payload);
+    return await this.sendToUser(recipientId, payload, senderId);
+  }
+
+  // Notify group conversation members of a new message
+  static async notifyGroupMessage(recipientIds, groupId, groupName, senderUsername, messagePreview, senderId) {
+    const payload = {
+      title: groupName,
+      body: `${senderUsername}: ${messagePreview.length > 100 ? messagePreview.substring(0, 100) + '...' : messagePreview}`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      tag: `group-${groupId}`,
+      renotify: true,
+      collapse: { key: `group_message:${groupId}`, noun: 'messages', context: `in ${groupName}` },
+      data: {
+        type: 'group_message',
+        groupId,
+        url: '/messages'
+      }
+    };
+
+    return await this.sendToUsers(recipientIds, payload, senderId);
   }
 
   // Notify friend request received
-  static async notifyFriendRequest(recipientId, senderUsername) {
+  static async notifyFriendRequest(recipientId, senderUsername, senderId) {
     const payload = {
       title: 'New Friend Request',
       body: `${senderUsername} sent you a friend request`,
@@ -214,11 +475,11 @@ class PushNotificationService {
       }
     };
 
-    return await this.sendToUser(recipientId, payload);
+    return await this.sendToUser(recipientId, payload, senderId);
   }
 
   // Notify friend request accepted
-  static async notifyFriendAccepted(requesterId, accepterUsername) {
+  static async notifyFriendAccepted(requesterId, accepterUsername, accepterId) {
     const payload = {
       title: 'Friend Request Accepted',
       body: `${accepterUsername} accepted your friend request`,
@@ -231,7 +492,7 @@ class PushNotificationService {
       }
     };
 
-    return await this.sendToUser(requesterId, payload);
+    return await this.sendToUser(requesterId, payload, accepterId);
   }
 
   // Notify task reminder
@@ -253,13 +514,14 @@ class PushNotificationService {
   }
 
   // Notify nudge to room members
-  static async notifyNudge(recipientIds, senderUsername, roomName, roomId) {
+  static async notifyNudge(recipientIds, senderUsername, roomName, roomId, senderId) {
     const payload = {
       title: `🔔 Nudge from ${roomName}`,
       body: `${senderUsername} reminded the room: Your orbit is waiting – don't forget today's tasks!`,
       icon: '/icon-192x192.png',
       badge: '/badge-72x72.png',
       tag: `nudge-${roomId}`,
+      collapse: { key: `nudge:${roomId}`, noun: 'nudges', context: `in ${roomName}` },
       data: {
         type: 'nudge',
         roomId: roomId,
@@ -267,7 +529,27 @@ class PushNotificationService {
       }
     };
 
-    return await this.sendToUsers(recipientIds, payload);
+    return await this.sendToUsers(recipientIds, payload, senderId);
+  }
+
+  // Notify appreciation received
+  static async notifyAppreciation(recipientId, senderUsername, appreciationType, roomName, roomId, senderId) {
+    const labels = { star: 'a ⭐ star', fire: 'a 🔥 fire', shield: 'a 🛡️ shield' };
+    const payload = {
+      title: `✨ New appreciation in ${roomName}`,
+      body: `${senderUsername} sent you ${labels[appreciationType] || 'an appreciation'}`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      tag: `appreciation-${roomId}`,
+      collapse: { key: `appreciation:${roomId}`, noun: 'appreciations', context: `in ${roomName}` },
+      data: {
+        type: 'appreciation',
+        roomId: roomId,
+        url: `/rooms/${roomId}`
+      }
+    };
+
+    return await this.sendToUser(recipientId, payload, senderId);
   }
 }
 
@@ -0,0 +1,245 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+
+// Emoji reactions on room chat messages and direct messages.
+//
+// Both kinds share the same shape: one row per (message, user, emoji), so a user
+// can react with several different emojis but only once with each. Adding an
+// existing reaction or removing a missing one is a no-op and emits nothing.
+//
+// Events (same payload for REST and socket callers):
+//   reaction:added / reaction:removed
+//     room chat -> the room channel
+//     DM        -> both participants' user:<id> channels
+
+const MESSAGE_KIND = {
+  ROOM: 'room',
+  DM: 'dm'
+};
+
+const MAX_EMOJI_LENGTH = 16;          // UTF-16 units; fits ZWJ sequences and skin tones
+const MAX_DISTINCT_REACTIONS = 20;    // Different emojis per message
+
+// A single emoji: pictographs, flags and keycaps, plus joiners/modifiers/variation selectors
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f\u20e3]+$/u;
+const EMOJI_BASE_PATTERN = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3]/u;
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isValidEmoji = (emoji) =>
+  typeof emoji === 'string' &&
+  emoji.length > 0 &&
+  emoji.length <= MAX_EMOJI_LENGTH &&
+  EMOJI_PATTERN.test(emoji) &&
+  EMOJI_BASE_PATTERN.test(emoji);
+
+const reactionModel = (kind) =>
+  kind === MESSAGE_KIND.DM ? prisma.directMessageReaction : prisma.chatMessageReaction;
+
+const summarizeForViewer = (reactions, viewerId) =>
+  reactions.map(entry => ({ ...entry, reactedByMe: entry.users.some(u => u.id === viewerId) }));
+
+/**
+ * Aggregate reaction rows into [{ emoji, count, users, reactedByMe? }], ordered by
+ * when each emoji was first used. reactedByMe is only set when a viewer is given.
+ */
+const summarizeReactions = (rows, viewerId) => {
+  const byEmoji = new Map();
+  for (const row of rows) {
+    if (!byEmoji.has(row.emoji)) {
+      byEmoji.set(row.emoji, { emoji: row.emoji, count: 0, users: [] });
+    }
+    const entry = byEmoji.get(row.emoji);
+    entry.count++;
+    entry.users.push({ id: row.userId, username: row.user?.username || null });
+  }
+
+  const entries = [...byEmoji.values()];
+  return viewerId ? summarizeForViewer(entries, viewerId) : entries;
+};
+
+/**
+ * Reaction summaries for a batch of messages, keyed by message id
+ */
+async function getReactionSummaries(kind, messageIds, viewerId) {
+  const summaries = new Map();
+  if (!messageIds.length) return summaries;
+
+  const rows = await reactionModel(kind).findMany({
+    where: { messageId: { in: messageIds } },
+    select: {
+      messageId: true,
+      userId: true,
+      emoji: true,
+      user: { select: { username: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const grouped = new Map();
+  for (const row of rows) {
+    if (!grouped.has(row.messageId)) grouped.set(row.messageId, []);
+    grouped.get(row.messageId).push(row);
+  }
+  for (const [messageId, messageRows] of grouped) {
+    summaries.set(messageId, summarizeReactions(messageRows, viewerId));
+  }
+  return summaries;
+}
+
+/**
+ * Add a `reactions` array to each message in a list response
+ */
+async function attachReactions(kind, messages, viewerId) {
+  const summaries = await getReactionSummaries(kind, messages.map(m => m.id), viewerId);
+  return messages.map(m => ({ ...m, reactions: summaries.get(m.id) || [] }));
+}
+
+/**
+ * Load the message being reacted to and check the user can see it.
+ * Room messages need (non-pending) membership; DMs need to be a participant
+ * who has not deleted the message.
+ */
+async function loadTarget(kind, messageId, userId, roomId) {
+  if (kind === MESSAGE_KIND.DM) {
+    const message = await prisma.directMessage.findUnique({
+      where: { id: messageId },
+      select: {
+        id: true,
+        fromUserId: true,
+        toUserId: true,
+        deletions: { where: { userId }, select: { id: true } }
+      }
+    });
+    const isParticipant = message && (message.fromUserId === userId || message.toUserId === userId);
+    if (!isParticipant || message.deletions.length > 0) throw httpError('Message not found', 404);
+    return { kind, messageId, fromUserId: message.fromUserId, toUserId: message.toUserId };
+  }
+
+  if (kind !== MESSAGE_KIND.ROOM) throw httpError('Invalid message kind', 400);
+
+  const message = await prisma.chatMessage.findUnique({
+    where: { id: messageId },
+    select: { id: true, roomId: true, deletedAt: true, room: { select: { ownerId: true } } }
+  });
+  if (!message || message.deletedAt || (roomId && message.roomId !== roomId)) {
+    throw httpError('Message not found', 404);
+  }
+
+  if (message.room.ownerId !== userId) {
+    const membership = await prisma.roomMember.findUnique({
+      where: { roomId_userId: { roomId: message.roomId, userId } },
+      select: { status: true }
+    });
+    if (!membership || membership.status === 'pending') {
+      throw httpError('You must be a member of this room', 403);
+    }
+  }
+
+  return { kind, messageId, roomId: message.roomId };
+}
+
+const broadcast = (event, target, payload) => {
+  const io = getIO();
+  if (!io) return;
+
+  if (target.kind === MESSAGE_KIND.DM) {
+    io.to([`user:${target.fromUserId}`, `user:${target.toUserId}`]).emit(event, payload);
+  } else {
+    io.to(target.roomId).emit(event, payload);
+  }
+};
+
+const buildPayload = (target, emoji, userId, username, reactions) => ({
+  kind: target.kind,
+  messageId: target.messageId,
+  ...(target.kind === MESSAGE_KIND.ROOM
+    ? { roomId: target.roomId }
+    : { participantIds: [target.fromUserId, target.toUserId] }),
+  emoji,
+  userId,
+  username,
+  reactions
+});
+
+/**
+ * Add a reaction. Returns the message's updated summary for the reacting user.
+ *
+ * @param {Object} params
+ * @param {'room'|'dm'} params.kind
+ * @param {string} params.messageId
+ * @param {string} params.userId
+ * @param {string} [params.username] - Included in the event payload
+ * @param {string} params.emoji
+ * @param {string} [params.roomId] - When given, the message must belong to this room
+ * @returns {Promise<{added: boolean, messageId: string, reactions: Array}>}
+ */
+async function addReaction({ kind, messageId, userId, username, emoji, roomId }) {
+  if (!isValidEmoji(emoji)) throw httpError('Reaction must be a single emoji', 400);
+
+  const target = await loadTarget(kind, messageId, userId, roomId);
+  const model = reactionModel(kind);
+
+  const existing = await model.findMany({
+    where: { messageId },
+    distinct: ['emoji'],
+    select: { emoji: true }
+  });
+  if (!existing.some(r => r.emoji === emoji) && existing.length >= MAX_DISTINCT_REACTIONS) {
+    throw httpError(`A message can have at most ${MAX_DISTINCT_REACTIONS} different reactions`, 400);
+  }
+
+  let added = true;
+  try {
+    await model.create({ data: { messageId, userId, emoji } });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    added = false; // Already reacted with this emoji
+  }
+
+  const summaries = await getReactionSummaries(kind, [messageId]);
+  const reactions = summaries.get(messageId) || [];
+
+  if (added) {
+    broadcast('reaction:added', target, buildPayload(target, emoji, userId, username, reactions));
+    logger.info(`Reaction ${emoji} added to ${kind} message ${messageId} by ${userId}`);
+  }
+
+  return { added, messageId, reactions: summarizeForViewer(reactions, userId) };
+}
+
+/**
+ * Remove one of the user's reactions. Returns the message's updated summary.
+ */
+async function removeReaction({ kind, messageId, userId, username, emoji, roomId }) {
+  if (!isValidEmoji(emoji)) throw httpError('Reaction must be a single emoji', 400);
+
+  const target = await loadTarget(kind, messageId, userId, roomId);
+  const { count } = await reactionModel(kind).deleteMany({
+    where: { messageId, userId, emoji }
+  });
+
+  const summaries = await getReactionSummaries(kind, [messageId]);
+  const reactions = summaries.get(messageId) || [];
+
+  if (count > 0) {
+    broadcast('reaction:removed', target, buildPayload(target, emoji, userId, username, reactions));
+  }
+
+  return { removed: count > 0, messageId, reactions: summarizeForViewer(reactions, userId) };
+}
+
+module.exports = {
+  MESSAGE_KIND,
+  MAX_DISTINCT_REACTIONS,
+  isValidEmoji,
+  getReactionSummaries,
+  attachReactions,
+  addReaction,
+  removeReaction
+};
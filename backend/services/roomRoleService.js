@@ -0,0 +1,291 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+const NotificationService = require('./notificationService');
+const { ROOM_ROLES, getMemberRole, canChangeRole, outranks } = require('../utils/roomPermissions');
+
+// Room role changes: promoting/demoting members, removing them and moving ownership.
+//
+// The rules live in utils/roomPermissions; this applies them and tells everyone.
+// The owner's RoomMember row mirrors Room.ownerId with role 'owner', so a
+// transfer updates both in one transaction and the previous owner stays on as admin.
+// When the owner leaves or deletes their account the room passes to a successor
+// (see pickSuccessor) instead of being left without an owner.
+//
+// Events (to the room channel):
+//   room:memberRoleChanged { roomId, userId, username, role, previousRole, changedBy }
+//   room:ownerChanged      { roomId, previousOwnerId, ownerId, owner, reason }
+//   member:kicked          { roomId, oderId, username }
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Why ownership moved, sent with room:ownerChanged
+const OWNERSHIP_REASONS = {
+  TRANSFER: 'transfer',
+  OWNER_LEFT: 'owner_left',
+  ACCOUNT_DELETED: 'account_deleted'
+};
+
+const ROLE_LABELS = {
+  [ROOM_ROLES.OWNER]: 'the owner',
+  [ROOM_ROLES.ADMIN]: 'an admin',
+  [ROOM_ROLES.MODERATOR]: 'a moderator',
+  [ROOM_ROLES.MEMBER]: 'a member',
+  [ROOM_ROLES.VIEWER]: 'a viewer'
+};
+
+const emitToRoom = (roomId, event, payload) => {
+  const io = getIO();
+  if (io) io.to(roomId).emit(event, payload);
+};
+
+// Active membership row for a user, with their public profile
+const findActiveMember = (roomId, userId) =>
+  prisma.roomMember.findFirst({
+    where: { roomId, userId, status: 'active' },
+    include: { user: { select: { id: true, username: true, avatar: true } } }
+  });
+
+/**
+ * Change a member's role. `room` is loaded with members (isRoomMember) and
+ * `actor` is the signed-in user. Returns the updated membership.
+ */
+async function changeMemberRole(room, actor, targetUserId, role) {
+  if (targetUserId === actor.id) throw httpError('You cannot change your own role', 400);
+
+  const membership = await findActiveMember(room.id, targetUserId);
+  if (!membership) throw httpError('Member not found in this room', 404);
+
+  const previousRole = getMemberRole(room, targetUserId);
+  if (previousRole === ROOM_ROLES.OWNER) {
+    throw httpError('The owner\'s role can only change by transferring ownership', 400);
+  }
+  if (previousRole === role) return { membership, previousRole, changed: false };
+
+  const actorRole = getMemberRole(room, actor.id);
+  if (!canChangeRole(actorRole, previousRole, role)) {
+    throw httpError('You can only assign roles below your own to members ranked below you', 403);
+  }
+
+  const updated = await prisma.roomMember.update({
+    where: { id: membership.id },
+    data: { role },
+    include: { user: { select: { id: true, username: true, avatar: true } } }
+  });
+
+  emitToRoom(room.id, 'room:memberRoleChanged', {
+    roomId: room.id,
+    userId: targetUserId,
+    username: updated.user.username,
+    role,
+    previousRole,
+    changedBy: { id: actor.id, username: actor.username }
+  });
+
+  await NotificationService.createNotification({
+    recipientId: targetUserId,
+    type: 'room_role_changed',
+    title: `Your role in ${room.name} changed`,
+    message: `${actor.username} made you ${ROLE_LABELS[role]} of ${room.name}`,
+    data: { roomId: room.id, role, previousRole }
+  });
+
+  logger.info(`Room ${room.id}: ${targetUserId} ${previousRole} -> ${role} (by ${actor.id})`);
+  return { membership: updated, previousRole, changed: true };
+}
+
+// System chat line and notification text for an ownership change
+const describeOwnerChange = (room, actor, previousOwner, newOwner, reason) => {
+  switch (reason) {
+    case OWNERSHIP_REASONS.OWNER_LEFT:
+      return {
+        chat: `${previousOwner.username} left the room, ${newOwner.username} is now the room owner`,
+        notification: `${previousOwner.username} left ${room.name} and you are now its owner`
+      };
+    case OWNERSHIP_REASONS.ACCOUNT_DELETED:
+      return {
+        chat: `The previous owner closed their account, ${newOwner.username} is now the room owner`,
+        notification: `The previous owner of ${room.name} closed their account and you are now its owner`
+      };
+    default:
+      return actor
+        ? {
+          chat: `${actor.username} transferred ownership to ${newOwner.username}`,
+          notification: `${actor.username} transferred ownership of ${room.name} to you`
+        }
+        : {
+          chat: `${newOwner.username} is now the room owner`,
+          notification: `You are now the owner of ${room.name}`
+        };
+  }
+};
+
+/**
+ * Make another active member the owner. The previous owner becomes an admin.
+ * `actor` is the current owner (or null when the system hands the room on).
+ * `options.reason` is one of OWNERSHIP_REASONS and `options.previousOwner`
+ * ({ username }) names the outgoing owner in succession messages.
+ * Returns the new owner's membership.
+ */
+async function transferOwnership(room, actor, newOwnerId, options = {}) {
+  const { reason = OWNERSHIP_REASONS.TRANSFER, previousOwner = actor } = options;
+  const previousOwnerId = room.ownerId;
+  if (newOwnerId === previousOwnerId) throw httpError('This member already owns the room', 400);
+
+  const membership = await findActiveMember(room.id, newOwnerId);
+  if (!membership) throw httpError('The new owner must be an active member of this room', 400);
+
+  const newOwner = membership.user;
+  const text = describeOwnerChange(room, actor, previousOwner, newOwner, reason);
+
+  await prisma.$transaction([
+    prisma.room.update({
+      where: { id: room.id },
+      data: { ownerId: newOwnerId }
+    }),
+    prisma.roomMember.update({
+      where: { id: membership.id },
+      data: { role: ROOM_ROLES.OWNER }
+    }),
+    prisma.roomMember.updateMany({
+      where: { roomId: room.id, userId: previousOwnerId },
+      data: { role: ROOM_ROLES.ADMIN }
+    })
+  ]);
+
+  await prisma.chatMessage.create({
+    data: {
+      roomId: room.id,
+      userId: newOwnerId,
+      content: text.chat,
+      type: 'system'
+    }
+  });
+
+  emitToRoom(room.id, 'room:ownerChanged', {
+    roomId: room.id,
+    previousOwnerId,
+    ownerId: newOwnerId,
+    owner: { ...newOwner, _id: newOwner.id },
+    reason
+  });
+
+  await NotificationService.createNotification({
+    recipientId: newOwnerId,
+    type: 'room_owner_changed',
+    title: `You now own ${room.name}`,
+    message: text.notification,
+    data: { roomId: room.id, previousOwnerId, reason }
+  });
+
+  logger.info(`Room ${room.id}: ownership ${previousOwnerId} -> ${newOwnerId} (${reason})`);
+  return { ...membership, role: ROOM_ROLES.OWNER };
+}
+
+/**
+ * The member who takes over when the owner goes: the longest-tenured admin,
+ * otherwise the member with the most points (earliest joiner on a tie).
+ * Viewers are only considered when nobody else is left. Returns a userId or null.
+ */
+async function pickSuccessor(room) {
+  const candidates = await prisma.roomMember.findMany({
+    where: { roomId: room.id, status: 'active', userId: { not: room.ownerId } },
+    select: { userId: true, role: true, points: true, joinedAt: true },
+    orderBy: { joinedAt: 'asc' }
+  });
+  if (candidates.length === 0) return null;
+
+  const admin = candidates.find(m => m.role === ROOM_ROLES.ADMIN);
+  if (admin) return admin.userId;
+
+  const participants = candidates.filter(m => m.role !== ROOM_ROLES.VIEWER);
+  const pool = participants.length > 0 ? participants : candidates;
+  // Array sort is stable, so equal points keep the joinedAt order
+  const [top] = [...pool].sort((a, b) => (b.points || 0) - (a.points || 0));
+  return top.userId;
+}
+
+/**
+ * Pass the room to its successor because `owner` is going away. Returns the
+ * new owner's membership, or null when there is nobody to hand it to.
+ */
+async function handOffOwnership(room, owner, reason) {
+  const successorId = await pickSuccessor(room);
+  if (!successorId) return null;
+  return transferOwnership(room, null, successorId, { reason, previousOwner: owner });
+}
+
+/**
+ * Before an account is deleted, hand each room it owns to a successor so the
+ * cascade only removes rooms nobody else is in. Returns how many rooms moved.
+ */
+async function handOffOwnedRooms(user) {
+  const rooms = await prisma.room.findMany({
+    where: { ownerId: user.id },
+    select: { id: true, name: true, ownerId: true }
+  });
+
+  // Sequential on purpose: a failure stops the deletion before any room is lost
+  let transferred = 0;
+  for (const room of rooms) {
+    const membership = await handOffOwnership(room, user, OWNERSHIP_REASONS.ACCOUNT_DELETED);
+    if (membership) transferred++;
+  }
+  return transferred;
+}
+
+/**
+ * Remove (kick) a member along with their completions and progress in the room.
+ * The actor must outrank them. Returns the removed user, or null if the account is gone.
+ */
+async function removeMember(room, actor, userId) {
+  if (userId === actor.id) throw httpError('Cannot remove yourself. Use leave endpoint instead.', 400);
+
+  const targetRole = getMemberRole(room, userId);
+  if (targetRole && !outranks(getMemberRole(room, actor.id), targetRole)) {
+    throw httpError('You can only remove members with a lower role than yours', 403);
+  }
+
+  const removedUser = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, username: true }
+  });
+
+  await prisma.roomMember.deleteMany({ where: { roomId: room.id, userId } });
+  await prisma.taskCompletion.deleteMany({ where: { userId, roomId: room.id } });
+  await prisma.userRoomProgress.deleteMany({ where: { userId, roomId: room.id } });
+
+  if (removedUser) {
+    await prisma.chatMessage.create({
+      data: {
+        roomId: room.id,
+        userId: actor.id,
+        content: `${removedUser.username} was removed from the room`,
+        type: 'system'
+      }
+    });
+  }
+
+  emitToRoom(room.id, 'member:kicked', {
+    roomId: room.id,
+    oderId: userId,
+    username: removedUser?.username || 'User'
+  });
+
+  logger.info(`User ${userId} removed from room: ${room.name}`);
+  return removedUser;
+}
+
+module.exports = {
+  OWNERSHIP_REASONS,
+  changeMemberRole,
+  removeMember,
+  transferOwnership,
+  pickSuccessor,
+  handOffOwnership,
+  handOffOwnedRooms
+};
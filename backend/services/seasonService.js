@@ -0,0 +1,435 @@
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+const NotificationService = require('./notificationService');
+const { getLocalDateString, getRoomDayString, getRoomTodayString, daysBetween } = require('./dayBoundaryService');
+const { getRoomLeaderboard } = require('./leaderboardService');
+
+// Room seasons: owner-defined scoring periods that reset RoomMember.points.
+//
+// A season is scheduled with a start and end room day. The rollover job
+// activates it once its start day arrives (resetting points so the live
+// leaderboard shows the season), and archives it after its end day: final
+// standings come from the season's completions (leaderboardService) plus the
+// MVP awards won in it, then points reset again. Seasons in a room never overlap.
+//
+// Events (to the room channel):
+//   room:seasonStarted { roomId, season }
+//   room:seasonEnded   { roomId, season, champion, standings (top 3) }
+
+const SEASON_STATUS = {
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  COMPLETED: 'completed'
+};
+
+// Standings are computed with a custom leaderboard range, which caps the length
+const MAX_SEASON_DAYS = 366;
+
+const ROLLOVER_INTERVAL_MS = 15 * 60 * 1000;
+const STARTUP_DELAY_MS = 25_000;
+const ROLLOVER_PAGE_SIZE = 100;
+
+// The furthest-ahead timezone (UTC+14): no room's day is later than its date
+const LATEST_TIMEZONE = 'Etc/GMT-14';
+
+const ROOM_DAY_SELECT = { id: true, name: true, ownerId: true, timezone: true, dayRolloverHour: true, createdAt: true };
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const emitToRoom = (roomId, event, payload) => {
+  const io = getIO();
+  if (io) io.to(roomId).emit(event, payload);
+};
+
+const formatSeason = (season) => ({
+  ...season,
+  _id: season.id,
+  lengthDays: daysBetween(season.startDate, season.endDate) + 1
+});
+
+const formatStanding = (standing) => ({
+  userId: standing.userId,
+  username: standing.username,
+  rank: standing.rank,
+  points: standing.points,
+  completions: standing.completions,
+  mvpCount: standing.mvpCount
+});
+
+/**
+ * Check a start/end pair against the room's other seasons. `seasonId` is the
+ * season being edited (excluded from the overlap check).
+ */
+async function assertValidRange(room, { startDate, endDate }, seasonId = null) {
+  if (endDate < startDate) throw httpError('A season must end on or after its start date', 400);
+  if (daysBetween(startDate, endDate) + 1 > MAX_SEASON_DAYS) {
+    throw httpError(`A season cannot be longer than ${MAX_SEASON_DAYS} days`, 400);
+  }
+
+  const overlapping = await prisma.roomSeason.findFirst({
+    where: {
+      roomId: room.id,
+      ...(seasonId && { id: { not: seasonId } }),
+      startDate: { lte: endDate },
+      endDate: { gte: startDate }
+    }
+  });
+  if (overlapping) {
+    throw httpError(`Dates overlap ${overlapping.name} (${overlapping.startDate} to ${overlapping.endDate})`, 400);
+  }
+}
+
+/**
+ * Season history for a room: every season newest first, completed ones with
+ * their champion and podium.
+ */
+async function listSeasons(room) {
+  const seasons = await prisma.roomSeason.findMany({
+    where: { roomId: room.id },
+    include: { standings: { where: { rank: { lte: 3 } }, orderBy: [{ rank: 'asc' }, { username: 'asc' }] } },
+    orderBy: { number: 'desc' }
+  });
+
+  const formatted = seasons.map(({ standings, ...season }) => {
+    const champion = standings.find(s => s.userId === season.championId);
+    return {
+      ...formatSeason(season),
+      podium: standings.map(formatStanding),
+      champion: champion ? formatStanding(champion) : null
+    };
+  });
+
+  return {
+    current: formatted.find(s => s.status === SEASON_STATUS.ACTIVE) || null,
+    upcoming: formatted.filter(s => s.status === SEASON_STATUS.SCHEDULED).reverse(),
+    past: formatted.filter(s => s.status === SEASON_STATUS.COMPLETED)
+  };
+}
+
+/**
+ * One season with its full archived standings
+ */
+async function getSeason(room, seasonId) {
+  const season = await prisma.roomSeason.findFirst({
+    where: { id: seasonId, roomId: room.id },
+    include: { standings: { orderBy: [{ rank: 'asc' }, { username: 'asc' }] } }
+  });
+  if (!season) throw httpError('Season not found', 404);
+
+  const { standings, ...rest } = season;
+  return { ...formatSeason(rest), standings: standings.map(formatStanding) };
+}
+
+/**
+ * Schedule a season. A season starting today (room day) is activated right away.
+ */
+async function createSeason(room, actor, { name, startDate, endDate }) {
+  const today = getRoomTodayString(room);
+  if (startDate < today) throw httpError('A season cannot start in the past', 400);
+  await assertValidRange(room, { startDate, endDate });
+
+  const last = await prisma.roomSeason.findFirst({
+    where: { roomId: room.id },
+    orderBy: { number: 'desc' },
+    select: { number: true }
+  });
+  const number = (last?.number || 0) + 1;
+
+  let season = await prisma.roomSeason.create({
+    data: {
+      roomId: room.id,
+      number,
+      name: name || `Season ${number}`,
+      startDate,
+      endDate,
+      createdById: actor.id
+    }
+  });
+
+  if (startDate <= today) season = await activateSeason(room, season);
+
+  logger.info(`Room ${room.id}: ${season.name} scheduled ${startDate} to ${endDate} by ${actor.id}`);
+  return formatSeason(season);
+}
+
+/**
+ * Rename or move a season. Scheduled seasons can change both dates; an active
+ * season can only move its end (not before today); completed ones are frozen.
+ */
+async function updateSeason(room, seasonId, { name, startDate, endDate }) {
+  const season = await prisma.roomSeason.findFirst({ where: { id: seasonId, roomId: room.id } });
+  if (!season) throw httpError('Season not found', 404);
+  if (season.status === SEASON_STATUS.COMPLETED) throw httpError('Completed seasons cannot be changed', 400);
+
+  const today = getRoomTodayString(room);
+  const next = {
+    startDate: startDate || season.startDate,
+    endDate: endDate || season.endDate
+  };
+
+  if (season.status === SEASON_STATUS.ACTIVE) {
+    if (next.startDate !== season.startDate) throw httpError('An active season cannot change its start date', 400);
+    if (next.endDate < today) throw httpError('An active season cannot end before today', 400);
+  } else if (next.startDate < today) {
+    throw httpError('A season cannot start in the past', 400);
+  }
+  await assertValidRange(room, next, season.id);
+
+  let updated = await prisma.roomSeason.update({
+    where: { id: season.id },
+    data: { ...next, ...(name && { name }) }
+  });
+
+  if (updated.status === SEASON_STATUS.SCHEDULED && updated.startDate <= today) {
+    updated = await activateSeason(room, updated);
+  }
+  return formatSeason(updated);
+}
+
+/**
+ * Remove a season that has not started yet
+ */
+async function deleteSeason(room, seasonId) {
+  const season = await prisma.roomSeason.findFirst({ where: { id: seasonId, roomId: room.id } });
+  if (!season) throw httpError('Season not found', 404);
+  if (season.status !== SEASON_STATUS.SCHEDULED) {
+    throw httpError('Only seasons that have not started can be deleted', 400);
+  }
+
+  await prisma.roomSeason.delete({ where: { id: season.id } });
+}
+
+/**
+ * Start a season: reset points so the leaderboard counts from zero. The status
+ * change is the claim: when the rollover (in any process) and an edit race,
+ * only the one that moves it off scheduled resets points and announces it.
+ */
+async function activateSeason(room, season) {
+  const updated = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.roomSeason.updateMany({
+      where: { id: season.id, status: SEASON_STATUS.SCHEDULED },
+      data: { status: SEASON_STATUS.ACTIVE }
+    });
+    if (count !== 1) return null;
+
+    await tx.roomMember.updateMany({
+      where: { roomId: room.id },
+      data: { points: 0 }
+    });
+    return tx.roomSeason.findUnique({ where: { id: season.id } });
+  });
+  if (!updated) return prisma.roomSeason.findUnique({ where: { id: season.id } });
+
+  await prisma.chatMessage.create({
+    data: {
+      roomId: room.id,
+      userId: room.ownerId,
+      content: `🏁 ${updated.name} has started! It runs until ${updated.endDate} and everyone starts from 0 points.`,
+      type: 'system'
+    }
+  });
+
+  emitToRoom(room.id, 'room:seasonStarted', { roomId: room.id, season: formatSeason(updated) });
+  logger.info(`Room ${room.id}: ${updated.name} started`);
+  return updated;
+}
+
+/**
+ * End a season: archive the final standings and MVP tallies, crown the
+ * champion and reset points. Claimed on the active status like activateSeason,
+ * so standings are written once.
+ */
+async function archiveSeason(room, season) {
+  const { leaderboard } = await getRoomLeaderboard(room, {
+    period: 'custom',
+    from: season.startDate,
+    to: season.endDate,
+    rankBy: 'points'
+  });
+
+  const mvpAwards = await prisma.roomMVP.findMany({
+    where: { roomId: room.id, date: { gte: season.startDate, lte: season.endDate } },
+    select: { userId: true }
+  });
+  const mvpCounts = new Map();
+  for (const award of mvpAwards) {
+    mvpCounts.set(award.userId, (mvpCounts.get(award.userId) || 0) + 1);
+  }
+
+  const standings = leaderboard.map(entry => ({
+    seasonId: season.id,
+    userId: entry.userId,
+    username: entry.user.username,
+    rank: entry.rank,
+    points: entry.points,
+    completions: entry.completions,
+    mvpCount: mvpCounts.get(entry.userId) || 0
+  }));
+  const champion = standings.find(s => s.rank === 1 && s.points > 0) || null;
+
+  const archived = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.roomSeason.updateMany({
+      where: { id: season.id, status: SEASON_STATUS.ACTIVE },
+      data: {
+        status: SEASON_STATUS.COMPLETED,
+        championId: champion?.userId || null,
+        completedAt: new Date()
+      }
+    });
+    if (count !== 1) return false;
+
+    if (standings.length > 0) {
+      await tx.roomSeasonStanding.createMany({ data: standings });
+    }
+    await tx.roomMember.updateMany({
+      where: { roomId: room.id },
+      data: { points: 0 }
+    });
+    return true;
+  });
+  if (!archived) return;
+
+  await prisma.chatMessage.create({
+    data: {
+      roomId: room.id,
+      userId: champion?.userId || room.ownerId,
+      content: champion
+        ? `🏆 ${season.name} is over! ${champion.username} is the champion with ${champion.points} points.`
+        : `${season.name} is over. Nobody scored this season.`,
+      type: 'system'
+    }
+  });
+
+  const podium = standings.filter(s => s.rank <= 3).map(formatStanding);
+  emitToRoom(room.id, 'room:seasonEnded', {
+    roomId: room.id,
+    season: formatSeason({ ...season, status: SEASON_STATUS.COMPLETED, championId: champion?.userId || null }),
+    champion: champion ? formatStanding(champion) : null,
+    standings: podium
+  });
+
+  if (champion) {
+    try {
+      await NotificationService.createNotification({
+        recipientId: champion.userId,
+        type: 'season_champion',
+        title: `🏆 You won ${season.name}!`,
+        message: `You finished ${season.name} in ${room.name} in first place with ${champion.points} points.`,
+        data: { roomId: room.id, seasonId: season.id }
+      });
+    } catch (err) {
+      logger.warn('Failed to create season champion notification:', err.message);
+    }
+  }
+
+  logger.info(`Room ${room.id}: ${season.name} archived (${standings.length} standings)`);
+}
+
+/**
+ * Call `handle(room, season)` for every season matching `where`, a page at a
+ * time in id order, so seasons whose room day hasn't come yet can't crowd out
+ * the rest.
+ */
+async function forEachSeason(where, handle) {
+  let cursor;
+
+  for (;;) {
+    const page = await prisma.roomSeason.findMany({
+      where: cursor ? { ...where, id: { gt: cursor } } : where,
+      include: { room: { select: ROOM_DAY_SELECT } },
+      orderBy: { id: 'asc' },
+      take: ROLLOVER_PAGE_SIZE
+    });
+    if (!page.length) break;
+    cursor = page[page.length - 1].id;
+
+    for (const { room, ...season } of page) {
+      await handle(room, season);
+    }
+  }
+}
+
+/**
+ * Archive seasons whose last day has passed and start those whose first day
+ * has come. Room days depend on each room's timezone and rollover hour, so
+ * candidates are picked up to the latest day anywhere and checked per room.
+ */
+async function runSeasonRollover() {
+  try {
+    const now = new Date();
+    const latestDay = getLocalDateString(now, LATEST_TIMEZONE);
+
+    await forEachSeason(
+      { status: SEASON_STATUS.ACTIVE, endDate: { lt: latestDay } },
+      async (room, season) => {
+        if (getRoomDayString(room, now) <= season.endDate) return;
+        try {
+          await archiveSeason(room, season);
+        } catch (err) {
+          logger.error(`Failed to archive season ${season.id}:`, err);
+        }
+      }
+    );
+
+    await forEachSeason(
+      { status: SEASON_STATUS.SCHEDULED, startDate: { lte: latestDay } },
+      async (room, season) => {
+        if (getRoomDayString(room, now) < season.startDate) return;
+        try {
+          await activateSeason(room, season);
+        } catch (err) {
+          logger.error(`Failed to start season ${season.id}:`, err);
+        }
+      }
+    );
+  } catch (err) {
+    logger.error('Season rollover failed:', err);
+  }
+}
+
+let interval = null;
+let running = false;
+
+// Skip a tick while the previous one is still archiving (other processes are
+// kept out by the status claims in activateSeason/archiveSeason)
+const tick = () => {
+  if (running) return;
+  running = true;
+  runSeasonRollover().finally(() => { running = false; });
+};
+
+function startSeasonRollover() {
+  if (interval) return;
+
+  setTimeout(tick, STARTUP_DELAY_MS);
+  interval = setInterval(tick, ROLLOVER_INTERVAL_MS);
+
+  logger.info('Season rollover started (every 15 minutes)');
+}
+
+function stopSeasonRollover() {
+  if (interval) {
+    clearInterval(interval);
+    interval = null;
+  }
+}
+
+module.exports = {
+  SEASON_STATUS,
+  MAX_SEASON_DAYS,
+  listSeasons,
+  getSeason,
+  createSeason,
+  updateSeason,
+  deleteSeason,
+  activateSeason,
+  archiveSeason,
+  runSeasonRollover,
+  startSeasonRollover,
+  stopSeasonRollover
+};
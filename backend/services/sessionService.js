@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getIO } = require('../socket/io');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken
+} = require('../utils/jwt');
+
+// Refresh-token families ("sessions"), one per signed-in device.
+//
+// Every refresh rotates the token: the presented token must match the stored hash
+// and is replaced by a new one. Presenting an older token of the family means it
+// leaked (or was replayed), so the whole session is revoked. The one exception is
+// the token replaced moments ago, which a second tab or a retried request can
+// legitimately still hold; that gets a 409 without revoking anything.
+//
+// Access tokens carry the session id (sid). protect and the socket handshake
+// reject them once their session is revoked, and revoking disconnects the
+// session's sockets (they join session:<id>).
+//
+// Tokens issued before sessions existed carry no sid. A refresh token of that kind
+// is exchanged once for a session, which keeps its hash so presenting it again
+// counts as reuse. Both kinds stop working at the user's next session-wide sign-out
+// (User.sessionsRevokedAt), as they can't be revoked one by one.
+
+const REFRESH_REUSE_GRACE_MS = 15 * 1000;
+const SESSION_RETENTION_DAYS = 30; // Revoked/expired sessions are purged after this
+
+const PLATFORMS = ['web', 'ios', 'android'];
+const MOBILE_PLATFORMS = ['ios', 'android'];
+
+const httpError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+// ==================== DEVICE INFO ====================
+
+// Rough "Browser on OS" label for web sessions that don't name themselves
+const describeUserAgent = (ua) => {
+  if (!ua) return null;
+  const browser =
+    /Edg\//.test(ua) ? 'Edge'
+      : /OPR\//.test(ua) ? 'Opera'
+        : /Firefox\//.test(ua) ? 'Firefox'
+          : /Chrome\//.test(ua) ? 'Chrome'
+            : /Safari\//.test(ua) ? 'Safari'
+              : null;
+  const os =
+    /Windows/.test(ua) ? 'Windows'
+      : /Android/.test(ua) ? 'Android'
+        : /iPhone|iPad|iOS/.test(ua) ? 'iOS'
+          : /Mac OS X|Macintosh/.test(ua) ? 'macOS'
+            : /Linux/.test(ua) ? 'Linux'
+              : null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os;
+};
+
+/**
+ * Platform and device label for a request. Clients may send X-Client-Platform
+ * (web, ios, android) and X-Device-Name; otherwise the user agent is used.
+ */
+const describeClient = (req) => {
+  const ua = req.get?.('user-agent') || '';
+  const declared = String(req.get?.('x-client-platform') || '').toLowerCase();
+
+  let platform = PLATFORMS.includes(declared) ? declared : null;
+  if (!platform) {
+    if (/okhttp/i.test(ua)) platform = 'android';
+    else if (/CFNetwork|Darwin/i.test(ua)) platform = 'ios';
+    else if (/Mozilla/i.test(ua)) platform = 'web';
+    else platform = 'unknown';
+  }
+
+  const deviceName = String(req.get?.('x-device-name') || '').trim().slice(0, 100) || describeUserAgent(ua);
+
+  return {
+    platform,
+    deviceName: deviceName || null,
+    userAgent: ua ? ua.slice(0, 255) : null,
+    ipAddress: req.ip || null
+  };
+};
+
+// ==================== TOKENS ====================
+
+const signTokens = (userId, sessionId) => {
+  const token = generateToken(userId, sessionId);
+  const refreshToken = generateRefreshToken(userId, sessionId);
+  const { exp } = verifyRefreshToken(refreshToken);
+  return { token, refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+const disconnectSessionSockets = (sessionIds) => {
+  const io = getIO();
+  if (!io || !sessionIds.length) return;
+  io.in(sessionIds.map(id => `session:${id}`)).disconnectSockets(true);
+};
+
+// Tokens without a sid issued before the user's last session-wide sign-out (iat is in seconds)
+const isRevokedLegacyToken = (decoded, sessionsRevokedAt) =>
+  !!sessionsRevokedAt && decoded.iat * 1000 <= sessionsRevokedAt.getTime();
+
+// Drop sessions that ended more than SESSION_RETENTION_DAYS ago. Sessions exchanged
+// for a pre-session token are kept, as their hash is what stops it being exchanged again.
+const purgeEndedSessions = (userId) => {
+  const before = new Date(Date.now() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return prisma.authSession.deleteMany({
+    where: {
+      userId,
+      legacyTokenHash: null,
+      OR: [
+        { expiresAt: { lt: before } },
+        { revokedAt: { lt: before } }
+      ]
+    }
+  });
+};
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Start a session for a user signing in on the requesting device.
+ * @returns {Promise<{token, refreshToken, sessionId}>}
+ */
+async function createSession(userId, req, { legacyTokenHash } = {}) {
+  const sessionId = crypto.randomUUID();
+  const { token, refreshToken, expiresAt } = signTokens(userId, sessionId);
+
+  await prisma.authSession.create({
+    data: {
+      id: sessionId,
+      userId,
+      tokenHash: hashToken(refreshToken),
+      legacyTokenHash: legacyTokenHash || null,
+      expiresAt,
+      ...describeClient(req)
+    }
+  });
+
+  purgeEndedSessions(userId).catch(err =>
+    logger.warn(`Failed to purge ended sessions for ${userId}: ${err.message}`)
+  );
+
+  return { token, refreshToken, sessionId };
+}
+
+/**
+ * Revoke every active session matching `where`. Returns how many there were.
+ */
+async function revokeSessions(where, reason) {
+  const sessions = await prisma.authSession.findMany({
+    where: { ...where, revokedAt: null },
+    select: { id: true }
+  });
+  if (!sessions.length) return 0;
+
+  const ids = sessions.map(s => s.id);
+  await prisma.authSession.updateMany({
+    where: { id: { in: ids }, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  disconnectSessionSockets(ids);
+  return ids.length;
+}
+
+/**
+ * End every token of a user issued before sessions existed (they carry no sid)
+ */
+async function revokeLegacyTokens(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { sessionsRevokedAt: new Date() }
+  });
+}
+
+// Exchange a refresh token from before sessions existed for a new session, once
+async function exchangeLegacyToken(user, decoded, refreshToken, req) {
+  if (isRevokedLegacyToken(decoded, user.sessionsRevokedAt)) {
+    throw httpError('Session has been signed out', 401);
+  }
+
+  const legacyTokenHash = hashToken(refreshToken);
+  const exchanged = await prisma.authSession.findUnique({
+    where: { legacyTokenHash },
+    select: { id: true, createdAt: true }
+  });
+  if (exchanged) {
+    if (Date.now() - exchanged.createdAt.getTime() < REFRESH_REUSE_GRACE_MS) {
+      throw httpError('Refresh token was already rotated', 409, 'TOKEN_ROTATED');
+    }
+    await revokeSessions({ id: exchanged.id }, 'reuse_detected');
+    logger.warn(`Pre-session refresh token reuse detected for user ${user.id}; session ${exchanged.id} revoked`);
+    throw httpError('Refresh token reuse detected. Please sign in again.', 401);
+  }
+
+  try {
+    return await createSession(user.id, req, { legacyTokenHash });
+  } catch (err) {
+    // A concurrent refresh exchanged it first (unique legacyTokenHash)
+    if (err.code === 'P2002') {
+      throw httpError('Refresh token was already rotated', 409, 'TOKEN_ROTATED');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation with reuse detection).
+ * Throws 401 for invalid/revoked/reused tokens and 409 (code TOKEN_ROTATED) when
+ * the token was rotated moments ago by a concurrent refresh.
+ * @returns {Promise<{token, refreshToken, sessionId}>}
+ */
+async function rotateSession(refreshToken, req) {
+  const decoded = verifyRefreshToken(refreshToken);
+  if (!decoded) throw httpError('Invalid refresh token', 401);
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.id },
+    select: { id: true, sessionsRevokedAt: true }
+  });
+  if (!user) throw httpError('User not found or inactive', 401);
+
+  if (!decoded.sid) {
+    return exchangeLegacyToken(user, decoded, refreshToken, req);
+  }
+
+  const session = await prisma.authSession.findUnique({ where: { id: decoded.sid } });
+  if (!session || session.userId !== user.id) throw httpError('Invalid refresh token', 401);
+  if (session.revokedAt) throw httpError('Session has been signed out', 401);
+  if (session.expiresAt < new Date()) throw httpError('Session expired', 401);
+
+  const presentedHash = hashToken(refreshToken);
+  const isRecentlyRotated = () =>
+    presentedHash === session.previousTokenHash &&
+    session.rotatedAt &&
+    Date.now() - session.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+
+  if (presentedHash !== session.tokenHash) {
+    if (isRecentlyRotated()) {
+      throw httpError('Refresh token was already rotated', 409, 'TOKEN_ROTATED');
+    }
+    await revokeSessions({ id: session.id }, 'reuse_detected');
+    logger.warn(`Refresh token reuse detected for user ${user.id}; session ${session.id} revoked`);
+    throw httpError('Refresh token reuse detected. Please sign in again.', 401);
+  }
+
+  const tokens = signTokens(user.id, session.id);
+  const client = describeClient(req);
+
+  // Conditional on the hash so two concurrent refreshes can't both rotate
+  const { count } = await prisma.authSession.updateMany({
+    where: { id: session.id, tokenHash: presentedHash, revokedAt: null },
+    data: {
+      tokenHash: hashToken(tokens.refreshToken),
+      previousTokenHash: presentedHash,
+      rotatedAt: new Date(),
+      generation: { increment: 1 },
+      lastUsedAt: new Date(),
+      expiresAt: tokens.expiresAt,
+      ipAddress: client.ipAddress,
+      userAgent: client.userAgent
+    }
+  });
+  if (count === 0) {
+    throw httpError('Refresh token was already rotated', 409, 'TOKEN_ROTATED');
+  }
+
+  return { token: tokens.token, refreshToken: tokens.refreshToken, sessionId: session.id };
+}
+
+/**
+ * Whether an access token's session is still signed in
+ */
+async function isSessionActive(sessionId) {
+  const session = await prisma.authSession.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true }
+  });
+  return !!session && !session.revokedAt;
+}
+
+/**
+ * Whether a verified access token still works: its session is signed in or, for
+ * tokens without a sid, no session-wide sign-out happened since it was issued
+ */
+async function isAccessTokenActive(decoded) {
+  if (decoded.sid) return isSessionActive(decoded.sid);
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.id },
+    select: { sessionsRevokedAt: true }
+  });
+  return !!user && !isRevokedLegacyToken(decoded, user.sessionsRevokedAt);
+}
+
+/**
+ * Session id of a refresh token (signature checked), or null
+ */
+const getRefreshTokenSessionId = (refreshToken) =>
+  (refreshToken && verifyRefreshToken(refreshToken)?.sid) || null;
+
+/**
+ * Active sessions for a user, most recently used first
+ */
+async function listSessions(userId, currentSessionId) {
+  const sessions = await prisma.authSession.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastUsedAt: 'desc' }
+  });
+
+  return sessions.map(s => ({
+    id: s.id,
+    _id: s.id,
+    deviceType: MOBILE_PLATFORMS.includes(s.platform) ? 'mobile' : s.platform === 'web' ? 'web' : 'unknown',
+    platform: s.platform,
+    deviceName: s.deviceName,
+    ipAddress: s.ipAddress,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: s.expiresAt,
+    isCurrent: s.id === currentSessionId
+  }));
+}
+
+/**
+ * Sign out one of the user's sessions. Returns false if it was not active.
+ */
+async function revokeSession(userId, sessionId, reason = 'signed_out') {
+  return (await revokeSessions({ id: sessionId, userId }, reason)) > 0;
+}
+
+/**
+ * Sign out every session of a user except the current one. Returns the count.
+ */
+async function revokeOtherSessions(userId, currentSessionId, reason = 'signed_out_all') {
+  await revokeLegacyTokens(userId);
+  return revokeSessions(
+    { userId, ...(currentSessionId && { id: { not: currentSessionId } }) },
+    reason
+  );
+}
+
+/**
+ * Sign out every session of a user (e.g. after a password change). Returns the count.
+ */
+async function revokeAllSessions(userId, reason = 'signed_out_all') {
+  await revokeLegacyTokens(userId);
+  return revokeSessions({ userId }, reason);
+}
+
+module.exports = {
+  REFRESH_REUSE_GRACE_MS,
+  describeClient,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  isAccessTokenActive,
+  getRefreshTokenSessionId,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+  revokeLegacyTokens
+};
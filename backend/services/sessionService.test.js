@@ -0,0 +1,263 @@
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../config/database', () => ({
+  prisma: {
+    user: { findUnique: jest.fn(), update: jest.fn() },
+    authSession: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+      deleteMany: jest.fn()
+    }
+  }
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../socket/io', () => {
+  const mockDisconnectSockets = jest.fn();
+  const mockIn = jest.fn(() => ({ disconnectSockets: mockDisconnectSockets }));
+  return { getIO: () => ({ in: mockIn }), mockIn, mockDisconnectSockets };
+});
+
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+const { mockIn, mockDisconnectSockets } = require('../socket/io');
+const { generateRefreshToken, hashToken } = require('../utils/jwt');
+const {
+  REFRESH_REUSE_GRACE_MS,
+  describeClient,
+  createSession,
+  rotateSession,
+  isAccessTokenActive,
+  revokeAllSessions
+} = require('./sessionService');
+
+const request = (headers = {}) => ({
+  ip: '203.0.113.7',
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const CHROME_ON_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+// A refresh token from before sessions existed: no sid, issued `secondsAgo` ago
+const legacyRefreshToken = (userId, secondsAgo = 60) => jwt.sign(
+  { id: userId, iat: Math.floor(Date.now() / 1000) - secondsAgo },
+  process.env.JWT_REFRESH_SECRET,
+  { expiresIn: '7d' }
+);
+
+const activeSession = (refreshToken, overrides = {}) => ({
+  id: 's1',
+  userId: 'u1',
+  tokenHash: hashToken(refreshToken),
+  previousTokenHash: null,
+  rotatedAt: null,
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.user.findUnique.mockResolvedValue({ id: 'u1', sessionsRevokedAt: null });
+  prisma.authSession.create.mockResolvedValue({});
+  prisma.authSession.deleteMany.mockResolvedValue({ count: 0 });
+  prisma.authSession.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe('describeClient', () => {
+  it('prefers the declared platform and device name', () => {
+    expect(describeClient(request({ 'x-client-platform': 'iOS', 'x-device-name': 'Work iPhone', 'user-agent': 'okhttp/4' })))
+      .toMatchObject({ platform: 'ios', deviceName: 'Work iPhone', ipAddress: '203.0.113.7' });
+  });
+
+  it('falls back to the user agent', () => {
+    expect(describeClient(request({ 'user-agent': CHROME_ON_MAC })))
+      .toMatchObject({ platform: 'web', deviceName: 'Chrome on macOS' });
+    expect(describeClient(request({ 'user-agent': 'okhttp/4.9' })).platform).toBe('android');
+    expect(describeClient(request()).platform).toBe('unknown');
+  });
+});
+
+describe('createSession', () => {
+  it('stores only the refresh token hash', async () => {
+    const { token, refreshToken, sessionId } = await createSession('u1', request({ 'user-agent': CHROME_ON_MAC }));
+
+    expect(jwt.verify(token, process.env.JWT_SECRET)).toMatchObject({ id: 'u1', sid: sessionId });
+    expect(prisma.authSession.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        id: sessionId,
+        userId: 'u1',
+        tokenHash: hashToken(refreshToken),
+        legacyTokenHash: null,
+        platform: 'web'
+      })
+    });
+  });
+});
+
+describe('rotateSession', () => {
+  it('rejects tokens that fail verification', async () => {
+    await expect(rotateSession('not-a-token', request())).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('rotates the current token, conditional on its hash', async () => {
+    const presented = generateRefreshToken('u1', 's1');
+    prisma.authSession.findUnique.mockResolvedValue(activeSession(presented));
+
+    const result = await rotateSession(presented, request());
+
+    expect(result.sessionId).toBe('s1');
+    expect(result.refreshToken).not.toBe(presented);
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+      where: { id: 's1', tokenHash: hashToken(presented), revokedAt: null },
+      data: expect.objectContaining({
+        tokenHash: hashToken(result.refreshToken),
+        previousTokenHash: hashToken(presented)
+      })
+    });
+  });
+
+  it('answers 409 when a concurrent refresh rotated first', async () => {
+    const presented = generateRefreshToken('u1', 's1');
+    prisma.authSession.findUnique.mockResolvedValue(activeSession(presented));
+    prisma.authSession.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(rotateSession(presented, request())).rejects.toMatchObject({ status: 409, code: 'TOKEN_ROTATED' });
+  });
+
+  it('answers 409 without revoking for the token replaced moments ago', async () => {
+    const previous = generateRefreshToken('u1', 's1');
+    prisma.authSession.findUnique.mockResolvedValue(activeSession(generateRefreshToken('u1', 's1'), {
+      previousTokenHash: hashToken(previous),
+      rotatedAt: new Date()
+    }));
+
+    await expect(rotateSession(previous, request())).rejects.toMatchObject({ status: 409, code: 'TOKEN_ROTATED' });
+    expect(prisma.authSession.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('revokes the session when an older token is replayed', async () => {
+    const previous = generateRefreshToken('u1', 's1');
+    prisma.authSession.findUnique.mockResolvedValue(activeSession(generateRefreshToken('u1', 's1'), {
+      previousTokenHash: hashToken(previous),
+      rotatedAt: new Date(Date.now() - REFRESH_REUSE_GRACE_MS - 1000)
+    }));
+    prisma.authSession.findMany.mockResolvedValue([{ id: 's1' }]);
+
+    await expect(rotateSession(previous, request())).rejects.toMatchObject({ status: 401 });
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['s1'] }, revokedAt: null },
+      data: { revokedAt: expect.any(Date), revokedReason: 'reuse_detected' }
+    });
+    expect(mockIn).toHaveBeenCalledWith(['session:s1']);
+    expect(mockDisconnectSockets).toHaveBeenCalledWith(true);
+  });
+
+  it('rejects signed-out sessions', async () => {
+    const presented = generateRefreshToken('u1', 's1');
+    prisma.authSession.findUnique.mockResolvedValue(activeSession(presented, { revokedAt: new Date() }));
+
+    await expect(rotateSession(presented, request())).rejects.toMatchObject({
+      status: 401,
+      message: 'Session has been signed out'
+    });
+  });
+});
+
+describe('rotateSession with a pre-session token', () => {
+  it('exchanges it once for a session that remembers its hash', async () => {
+    const legacy = legacyRefreshToken('u1');
+    prisma.authSession.findUnique.mockResolvedValue(null);
+
+    const { sessionId } = await rotateSession(legacy, request());
+
+    expect(prisma.authSession.findUnique).toHaveBeenCalledWith({
+      where: { legacyTokenHash: hashToken(legacy) },
+      select: { id: true, createdAt: true }
+    });
+    expect(prisma.authSession.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ id: sessionId, legacyTokenHash: hashToken(legacy) })
+    });
+  });
+
+  it('answers 409 when it was exchanged moments ago', async () => {
+    prisma.authSession.findUnique.mockResolvedValue({ id: 's1', createdAt: new Date() });
+
+    await expect(rotateSession(legacyRefreshToken('u1'), request()))
+      .rejects.toMatchObject({ status: 409, code: 'TOKEN_ROTATED' });
+    expect(prisma.authSession.create).not.toHaveBeenCalled();
+  });
+
+  it('treats a later exchange as reuse and revokes the session', async () => {
+    prisma.authSession.findUnique.mockResolvedValue({
+      id: 's1',
+      createdAt: new Date(Date.now() - REFRESH_REUSE_GRACE_MS - 1000)
+    });
+    prisma.authSession.findMany.mockResolvedValue([{ id: 's1' }]);
+
+    await expect(rotateSession(legacyRefreshToken('u1'), request())).rejects.toMatchObject({ status: 401 });
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ revokedReason: 'reuse_detected' })
+    }));
+    expect(prisma.authSession.create).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 when a concurrent refresh exchanged it first', async () => {
+    prisma.authSession.findUnique.mockResolvedValue(null);
+    prisma.authSession.create.mockRejectedValue(Object.assign(new Error('Unique'), { code: 'P2002' }));
+
+    await expect(rotateSession(legacyRefreshToken('u1'), request()))
+      .rejects.toMatchObject({ status: 409, code: 'TOKEN_ROTATED' });
+  });
+
+  it('rejects tokens issued before a session-wide sign-out', async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: 'u1', sessionsRevokedAt: new Date(Date.now() - 30 * 1000) });
+
+    await expect(rotateSession(legacyRefreshToken('u1', 60), request())).rejects.toMatchObject({ status: 401 });
+    expect(prisma.authSession.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe('isAccessTokenActive', () => {
+  const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+  it('checks the session for tokens with a sid', async () => {
+    prisma.authSession.findUnique.mockResolvedValueOnce({ revokedAt: null }).mockResolvedValueOnce({ revokedAt: new Date() });
+
+    await expect(isAccessTokenActive({ id: 'u1', sid: 's1' })).resolves.toBe(true);
+    await expect(isAccessTokenActive({ id: 'u1', sid: 's1' })).resolves.toBe(false);
+  });
+
+  it('checks the last session-wide sign-out for tokens without one', async () => {
+    const revokedAt = new Date((nowSeconds() - 60) * 1000);
+    prisma.user.findUnique.mockResolvedValue({ sessionsRevokedAt: revokedAt });
+
+    await expect(isAccessTokenActive({ id: 'u1', iat: nowSeconds() - 120 })).resolves.toBe(false);
+    await expect(isAccessTokenActive({ id: 'u1', iat: nowSeconds() - 60 })).resolves.toBe(false);
+    await expect(isAccessTokenActive({ id: 'u1', iat: nowSeconds() })).resolves.toBe(true);
+  });
+
+  it('rejects tokens of deleted users', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+    await expect(isAccessTokenActive({ id: 'u1', iat: nowSeconds() })).resolves.toBe(false);
+  });
+});
+
+describe('revokeAllSessions', () => {
+  it('ends pre-session tokens as well as every session', async () => {
+    prisma.authSession.findMany.mockResolvedValue([{ id: 's1' }, { id: 's2' }]);
+
+    await expect(revokeAllSessions('u1', 'password_changed')).resolves.toBe(2);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'u1' },
+      data: { sessionsRevokedAt: expect.any(Date) }
+    });
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['s1', 's2'] }, revokedAt: null },
+      data: { revokedAt: expect.any(Date), revokedReason: 'password_changed' }
+    });
+    expect(mockIn).toHaveBeenCalledWith(['session:s1', 'session:s2']);
+  });
+});
@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
 const logger = require('../utils/logger');
+const { addReaction, removeReaction } = require('../services/reactionService');
+const { isAccessTokenActive } = require('../services/sessionService');
+const { getMemberIdsFor } = require('../services/groupConversationService');
 
 // Track online users: Map<userId, Set<socketId>>
 const onlineUsers = new Map();
@@ -46,6 +49,11 @@ module.exports = (io) => {
         return next(new Error('Authentication error'));
       }
 
+      if (!(await isAccessTokenActive(decoded))) {
+        logger.warn(`Socket auth failed: session ${decoded.sid || '(pre-session token)'} has been signed out`);
+        return next(new Error('Authentication error'));
+      }
+
       // Retry user lookup with exponential backoff for database timing issues (Neon cold start)
       let user = null;
       let retries = 5;
@@ -96,6 +104,7 @@ module.exports = (io) => {
 
       socket.userId = user.id;
       socket.username = user.username;
+      socket.sessionId = decoded.sid || null;
       next();
     } catch (error) {
       logger.error('Socket auth error:', error);
@@ -129,6 +138,8 @@ module.exports = (io) => {
 
     // Join user's personal room
     socket.join(`user:${socket.userId}`);
+    // Lets a sign-out disconnect this device's sockets
+    if (socket.sessionId) socket.join(`session:${socket.sessionId}`);
 
     // Send current online users to the newly connected user
     socket.emit('users:online', getOnlineUserIds());
@@ -239,6 +250,25 @@ module.exports = (io) => {
       });
     });
 
+    // Group conversation typing indicator (members only; clients throttle these)
+    socket.on('group:typing', async ({ groupId, isTyping } = {}) => {
+      try {
+        const memberIds = groupId ? await getMemberIdsFor(groupId, socket.userId) : null;
+        if (!memberIds) return;
+        for (const memberId of memberIds) {
+          if (memberId === socket.userId) continue;
+          io.to(`user:${memberId}`).emit('group:typing', {
+            groupId,
+            userId: socket.userId,
+            username: socket.username,
+            isTyping: !!isTyping
+          });
+        }
+      } catch (err) {
+        logger.error('[group:typing] failed:', err.message);
+      }
+    });
+
     // Mark messages as read - persist to DB + notify sender
     socket.on('dm:read', async ({ senderId, messageIds }) => {
       const readAt = new Date().toISOString();
@@ -301,6 +331,23 @@ module.exports = (io) => {
       });
     });
 
+    // Message reactions: { kind: 'room' | 'dm', messageId, emoji }
+    // The service broadcasts reaction:added / reaction:removed; the ack carries the result
+    const handleReaction = (isAdding) => async ({ kind, messageId, emoji } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const params = { kind, messageId, emoji, userId: socket.userId, username: socket.username };
+        const result = isAdding ? await addReaction(params) : await removeReaction(params);
+        reply({ success: true, messageId: result.messageId, reactions: result.reactions });
+      } catch (err) {
+        if (!err.status) logger.error(`[reaction] ${isAdding ? 'add' : 'remove'} failed:`, err.message);
+        reply({ success: false, message: err.status ? err.message : 'Could not update reaction' });
+      }
+    };
+
+    socket.on('reaction:add', handleReaction(true));
+    socket.on('reaction:remove', handleReaction(false));
+
     // Room message delivery confirmation (when user joins room or app comes to foreground)
     socket.on('room:sync', ({ roomId, lastReadMessageId }) => {
       logger.info(`[Sync] ${socket.username}: Room ${roomId} sync from ${lastReadMessageId || 'beginning'}`);
@@ -1,18 +1,19 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
-// Generate JWT token
-exports.generateToken = (userId) => {
+// Generate JWT token (sid ties it to an AuthSession so signed-out devices lose access)
+exports.generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, ...(sessionId && { sid: sessionId }) },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
   );
 };
 
-// Generate refresh token
-exports.generateRefreshToken = (userId) => {
+// Generate refresh token (jti makes every rotation unique, even within the same second)
+exports.generateRefreshToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId, jti: crypto.randomBytes(16).toString('hex') },
     process.env.JWT_REFRESH_SECRET,
     { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
   );
@@ -27,6 +28,9 @@ exports.verifyRefreshToken = (token) => {
   }
 };
 
+// Refresh tokens are stored as hashes only
+exports.hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Helper to convert user to public profile (for Prisma)
 const toPublicProfile = (user) => ({
   id: user.id,
@@ -36,16 +40,18 @@ const toPublicProfile = (user) => ({
   bio: user.bio,
   timezone: user.timezone,
   onboardingCompleted: user.onboardingCompleted,
+  emailVerified: user.emailVerified,
   streak: user.streak,
   longestStreak: user.longestStreak,
   totalTasksCompleted: user.totalTasksCompleted,
   createdAt: user.createdAt
 });
 
-// Send token response
-exports.sendTokenResponse = (user, statusCode, res) => {
-  const token = exports.generateToken(user.id);
-  const refreshToken = exports.generateRefreshToken(user.id);
+// Send token response (starts a new session for the requesting device)
+exports.sendTokenResponse = async (user, statusCode, req, res) => {
+  // Required lazily: the session service builds on the token helpers above
+  const { createSession } = require('../services/sessionService');
+  const { token, refreshToken } = await createSession(user.id, req);
 
   res.status(statusCode).json({
     success: true,
@@ -0,0 +1,113 @@
+/**
+ * Opaque cursors for message lists.
+ *
+ * A cursor names a message by (createdAt, id), base64url-encoded, so pages stay
+ * stable when several messages share a timestamp and when messages are added
+ * while a client pages. Lists are ordered by createdAt then id; `before` pages
+ * towards older messages, `after` towards newer ones.
+ *
+ * Pages are always returned oldest first, with:
+ *   cursors: { before, after }  cursor of the oldest / newest message on the page
+ *   hasMore                     more messages exist in the direction paged
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const DIRECTIONS = {
+  BEFORE: 'before',
+  AFTER: 'after'
+};
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const encodeCursor = (message) =>
+  message ? Buffer.from(`${message.createdAt.toISOString()}|${message.id}`).toString('base64url') : null;
+
+/**
+ * @returns {{ createdAt: Date, id: string }|null} null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  const [timestamp, id, ...rest] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  const createdAt = new Date(timestamp);
+  if (!id || rest.length > 0 || isNaN(createdAt.getTime())) return null;
+  return { createdAt, id };
+};
+
+const clampLimit = (limit, fallback = DEFAULT_PAGE_SIZE) =>
+  Math.min(Math.max(parseInt(limit, 10) || fallback, 1), MAX_PAGE_SIZE);
+
+/**
+ * Prisma filter for messages strictly past a cursor in the given direction
+ */
+const cursorWhere = ({ createdAt, id }, direction) => {
+  const op = direction === DIRECTIONS.AFTER ? 'gt' : 'lt';
+  return {
+    OR: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, id: { [op]: id } }
+    ]
+  };
+};
+
+/**
+ * Turn `before` / `after` query params into query pieces for a page.
+ * Throws a 400 for malformed cursors or when both are given.
+ * @param {object} query - { before, after, limit }
+ * @param {object} [options] - { defaultLimit, defaultDirection } used when no cursor is given
+ * @returns {{ where: object|null, orderBy: object[], take: number, direction: string }}
+ *   where is null without a cursor; take is limit + 1 (see toPage)
+ */
+function buildPageQuery(query, { defaultLimit = DEFAULT_PAGE_SIZE, defaultDirection = DIRECTIONS.BEFORE } = {}) {
+  const { before, after, limit } = query;
+  if (before && after) throw httpError('Use either before or after, not both', 400);
+
+  const raw = before || after;
+  const direction = before ? DIRECTIONS.BEFORE : after ? DIRECTIONS.AFTER : defaultDirection;
+  const cursor = raw ? decodeCursor(raw) : null;
+  if (raw && !cursor) throw httpError('Invalid cursor', 400);
+
+  const order = direction === DIRECTIONS.AFTER ? 'asc' : 'desc';
+  return {
+    where: cursor ? cursorWhere(cursor, direction) : null,
+    orderBy: [{ createdAt: order }, { id: order }],
+    take: clampLimit(limit, defaultLimit) + 1,
+    direction
+  };
+}
+
+/**
+ * Trim the extra row fetched by buildPageQuery and put the page oldest first.
+ * @returns {{ items: object[], hasMore: boolean, cursors: { before: string|null, after: string|null } }}
+ */
+function toPage(rows, { take, direction }) {
+  const limit = take - 1;
+  const items = rows.slice(0, limit);
+  if (direction === DIRECTIONS.BEFORE) items.reverse();
+
+  return {
+    items,
+    hasMore: rows.length > limit,
+    cursors: {
+      before: encodeCursor(items[0]),
+      after: encodeCursor(items[items.length - 1])
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  DIRECTIONS,
+  encodeCursor,
+  decodeCursor,
+  clampLimit,
+  cursorWhere,
+  buildPageQuery,
+  toPage
+};
@@ -0,0 +1,90 @@
+/**
+ * Content reports and moderation actions.
+ *
+ * Anyone can report a room chat message, a DM they received, a proof node or a
+ * user. Reports about room content (and user reports made from a room) go to
+ * that room's queue, reviewed by members with reports:review (owner, admins).
+ * Everything else goes to the platform queue, reviewed by users with
+ * User.role 'admin'. Platform admins can act on any report.
+ *
+ *                     hide  delete  warn  kick
+ *   chat_message        x     x      x     x
+ *   proof_node          x     x      x     x
+ *   direct_message      x     x      x
+ *   user                             x     x     (kick only for room reports)
+ */
+
+const REPORT_TARGETS = {
+  CHAT_MESSAGE: 'chat_message',
+  DIRECT_MESSAGE: 'direct_message',
+  PROOF_NODE: 'proof_node',
+  USER: 'user'
+};
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'inappropriate', 'self_harm', 'other'];
+
+const REPORT_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed'
+};
+
+const MODERATION_ACTIONS = {
+  HIDE: 'hide',
+  DELETE: 'delete',
+  WARN: 'warn',
+  KICK: 'kick',
+  DISMISS: 'dismiss'
+};
+
+const ACTIONS_BY_TARGET = {
+  [REPORT_TARGETS.CHAT_MESSAGE]: ['hide', 'delete', 'warn', 'kick'],
+  [REPORT_TARGETS.PROOF_NODE]: ['hide', 'delete', 'warn', 'kick'],
+  [REPORT_TARGETS.DIRECT_MESSAGE]: ['hide', 'delete', 'warn'],
+  [REPORT_TARGETS.USER]: ['warn', 'kick']
+};
+
+const PLATFORM_ROLES = {
+  USER: 'user',
+  ADMIN: 'admin'
+};
+
+const isPlatformAdmin = (user) => user?.role === PLATFORM_ROLES.ADMIN;
+
+/**
+ * Actions a reviewer can take on a report (dismiss is always available;
+ * kick needs a room)
+ */
+const getAllowedActions = (report) => [
+  ...(ACTIONS_BY_TARGET[report.targetType] || []).filter(action => action !== MODERATION_ACTIONS.KICK || report.roomId),
+  MODERATION_ACTIONS.DISMISS
+];
+
+const HIDDEN_PLACEHOLDER = 'This content was hidden by a moderator';
+
+/**
+ * Mask a chat message, DM or proof node hidden by a moderator: readers get the
+ * placeholder instead of its text and media. Sets `isHidden` either way.
+ */
+const maskHidden = (item) => {
+  if (!item?.hiddenAt) return { ...item, isHidden: false };
+  return {
+    ...item,
+    content: HIDDEN_PLACEHOLDER,
+    ...('mediaUrl' in item && { mediaUrl: null, blurHash: null }),
+    isHidden: true
+  };
+};
+
+module.exports = {
+  REPORT_TARGETS,
+  REPORT_REASONS,
+  REPORT_STATUS,
+  MODERATION_ACTIONS,
+  ACTIONS_BY_TARGET,
+  PLATFORM_ROLES,
+  HIDDEN_PLACEHOLDER,
+  isPlatformAdmin,
+  getAllowedActions,
+  maskHidden
+};
@@ -0,0 +1,371 @@
+/**
+ * Recurrence engine for room tasks
+ *
+ * Evaluates a subset of iCalendar RRULE (RFC 5545) against calendar days
+ * (YYYY-MM-DD strings, no time component):
+ *   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY (with ordinals for
+ *   MONTHLY/YEARLY, e.g. 1MO or -1FR), BYMONTHDAY, BYMONTH, UNTIL, COUNT, WKST
+ *
+ * A task's schedule is its rule plus a start day (DTSTART), an optional end
+ * day and a list of excluded days (EXDATE). Tasks created before rules existed
+ * are mapped from their legacy taskType/daysOfWeek fields. Legacy weekly tasks
+ * are the one case where a completion isn't tied to the due day: they show on
+ * Mondays and can be done once on any day of that week (getCompletionWindow).
+ *
+ * Examples:
+ *   every other Tuesday      FREQ=WEEKLY;INTERVAL=2;BYDAY=TU
+ *   first Monday of month    FREQ=MONTHLY;BYDAY=1MO
+ *   weekdays until June 30   FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20270630
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Upper bound when scanning forward for the next occurrence
+const MAX_LOOKAHEAD_DAYS = 366 * 2;
+
+// ---------------------------------------------------------------------------
+// Day helpers (all arithmetic in UTC so DST never shifts a day)
+// ---------------------------------------------------------------------------
+
+const isDateString = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().startsWith(value);
+};
+
+const toDayNumber = (dateStr) => Math.round(Date.parse(`${dateStr}T00:00:00Z`) / DAY_MS);
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().split('T')[0];
+const addDays = (dateStr, days) => fromDayNumber(toDayNumber(dateStr) + days);
+const getWeekday = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const splitDate = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return { year, month, day };
+};
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// ---------------------------------------------------------------------------
+// Rule parsing
+// ---------------------------------------------------------------------------
+
+const parseIntList = (value, key, min, max) => value.split(',').map(part => {
+  const n = Number(part);
+  if (!Number.isInteger(n) || n === 0 || n < min || n > max) {
+    throw invalid(`Invalid ${key} value "${part}"`);
+  }
+  return n;
+});
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  const dateStr = match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+  if (!isDateString(dateStr)) throw invalid(`Invalid UNTIL value "${value}"`);
+  return dateStr;
+};
+
+/**
+ * Parse an RRULE string into a plain object.
+ * Throws an Error with status 400 for anything outside the supported subset.
+ * @param {string} ruleStr - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU" (optional "RRULE:" prefix)
+ */
+function parseRule(ruleStr) {
+  if (typeof ruleStr !== 'string' || !ruleStr.trim()) {
+    throw invalid('Recurrence rule is empty');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, byMonth: null, until: null, count: null, wkst: 1 };
+  const body = ruleStr.trim().toUpperCase().replace(/^RRULE:/, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!value) throw invalid(`Invalid recurrence rule part "${part}"`);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw invalid(`Unsupported FREQ "${value}"`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL': {
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 1 || n > 365) throw invalid(`Invalid INTERVAL "${value}"`);
+        rule.interval = n;
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(entry => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+          const ordinal = match && match[1] ? Number(match[1]) : null;
+          if (!match || ordinal === 0 || Math.abs(ordinal) > 5) throw invalid(`Invalid BYDAY value "${entry}"`);
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(value, key, -31, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(value, key, 1, 12);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'COUNT': {
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 1) throw invalid(`Invalid COUNT "${value}"`);
+        rule.count = n;
+        break;
+      }
+      case 'WKST':
+        if (!WEEKDAYS.includes(value)) throw invalid(`Invalid WKST "${value}"`);
+        rule.wkst = WEEKDAYS.indexOf(value);
+        break;
+      default:
+        throw invalid(`Unsupported recurrence rule part "${key}"`);
+    }
+  }
+
+  if (!rule.freq) throw invalid('Recurrence rule must include FREQ');
+  if (rule.until && rule.count) throw invalid('Recurrence rule cannot have both UNTIL and COUNT');
+  if (rule.byDay && rule.byDay.some(d => d.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw invalid('Numbered BYDAY values (e.g. 1MO) are only allowed with MONTHLY or YEARLY');
+  }
+
+  return rule;
+}
+
+/**
+ * Normalize a user-supplied rule for storage (uppercase, no "RRULE:" prefix).
+ * Validates it on the way through.
+ */
+function normalizeRule(ruleStr) {
+  parseRule(ruleStr);
+  return ruleStr.trim().toUpperCase().replace(/^RRULE:/, '');
+}
+
+// Map pre-RRULE task fields onto an equivalent rule (for weekly, the day the
+// week's completion window opens)
+function legacyRuleFor(task) {
+  if (task.taskType === 'weekly') return 'FREQ=WEEKLY;BYDAY=MO';
+  if (task.taskType === 'custom' && task.daysOfWeek) {
+    const days = String(task.daysOfWeek)
+      .split(',')
+      .map(d => parseInt(d))
+      .filter(d => d >= 0 && d <= 6);
+    if (days.length > 0) return `FREQ=WEEKLY;BYDAY=${days.map(d => WEEKDAYS[d]).join(',')}`;
+  }
+  // daily, and custom tasks that never had days picked
+  return 'FREQ=DAILY';
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+const matchesMonthDay = (rule, year, month, day, weekday, anchorDay) => {
+  const monthLength = daysInMonth(year, month);
+
+  if (rule.byMonthDay && !rule.byMonthDay.some(v => (v > 0 ? v : monthLength + v + 1) === day)) {
+    return false;
+  }
+
+  if (rule.byDay) {
+    const nthFromStart = Math.ceil(day / 7);
+    const nthFromEnd = -(Math.floor((monthLength - day) / 7) + 1);
+    return rule.byDay.some(d => d.weekday === weekday &&
+      (d.ordinal === null || d.ordinal === nthFromStart || d.ordinal === nthFromEnd));
+  }
+
+  return rule.byMonthDay ? true : day === anchorDay;
+};
+
+// Does the rule's pattern (ignoring COUNT/UNTIL/EXDATE) land on dateStr?
+function matchesPattern(rule, anchor, dateStr) {
+  const { year, month, day } = splitDate(dateStr);
+  const start = splitDate(anchor);
+  const weekday = getWeekday(dateStr);
+
+  if (rule.byMonth && !rule.byMonth.includes(month)) return false;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      if ((toDayNumber(dateStr) - toDayNumber(anchor)) % rule.interval !== 0) return false;
+      if (rule.byDay && !rule.byDay.some(d => d.weekday === weekday)) return false;
+      if (rule.byMonthDay) return matchesMonthDay({ byMonthDay: rule.byMonthDay }, year, month, day, weekday, start.day);
+      return true;
+    }
+    case 'WEEKLY': {
+      const weekStart = (d) => toDayNumber(d) - ((getWeekday(d) - rule.wkst + 7) % 7);
+      const weeks = Math.round((weekStart(dateStr) - weekStart(anchor)) / 7);
+      if (weeks % rule.interval !== 0) return false;
+      const days = rule.byDay ? rule.byDay.map(d => d.weekday) : [getWeekday(anchor)];
+      if (!days.includes(weekday)) return false;
+      if (rule.byMonthDay) return matchesMonthDay({ byMonthDay: rule.byMonthDay }, year, month, day, weekday, start.day);
+      return true;
+    }
+    case 'MONTHLY': {
+      const months = (year - start.year) * 12 + (month - start.month);
+      if (months % rule.interval !== 0) return false;
+      return matchesMonthDay(rule, year, month, day, weekday, start.day);
+    }
+    case 'YEARLY': {
+      if ((year - start.year) % rule.interval !== 0) return false;
+      if (!rule.byMonth && month !== start.month) return false;
+      return matchesMonthDay(rule, year, month, day, weekday, start.day);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resolve the effective schedule for a RoomTask row.
+ * @param {object} task - RoomTask with recurrence* and legacy taskType/daysOfWeek fields
+ * @returns {{ rule: object, ruleString: string, anchor: string, start: string|null, end: string|null, exceptions: Set<string> }}
+ */
+function getTaskSchedule(task) {
+  const ruleString = task.recurrenceRule || legacyRuleFor(task);
+  const rule = parseRule(ruleString);
+  const createdDay = task.createdAt ? new Date(task.createdAt).toISOString().split('T')[0] : null;
+
+  // Legacy tasks have no explicit start: they anchor on their creation day
+  // but are not bounded by it, matching how they behaved before rules existed.
+  const start = task.recurrenceStart || null;
+  const anchor = start || createdDay || '1970-01-01';
+
+  const ends = [task.recurrenceEnd, rule.until].filter(Boolean).sort();
+  const exceptions = new Set(
+    String(task.recurrenceExceptions || '')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean)
+  );
+
+  return { rule, ruleString, anchor, start, end: ends[0] || null, exceptions };
+}
+
+const hasWeekWindow = (task) => !task.recurrenceRule && task.taskType === 'weekly';
+
+/**
+ * Days a single completion covers: just dateStr, or for legacy weekly tasks the
+ * Monday-to-Sunday week containing it. `start` is the occurrence it counts for.
+ * @returns {{ start: string, end: string }}
+ */
+function getCompletionWindow(task, dateStr) {
+  if (!hasWeekWindow(task)) return { start: dateStr, end: dateStr };
+  const monday = addDays(dateStr, -((getWeekday(dateStr) + 6) % 7));
+  return { start: monday, end: addDays(monday, 6) };
+}
+
+const withinBounds = (schedule, dateStr) =>
+  (!schedule.start || dateStr >= schedule.start) && (!schedule.end || dateStr <= schedule.end);
+
+// Occurrence number (1-based) of dateStr in the series, counting EXDATEs as RFC 5545 does
+const occurrenceIndex = (schedule, dateStr) => {
+  let index = 0;
+  for (let d = schedule.anchor; d <= dateStr; d = addDays(d, 1)) {
+    if (matchesPattern(schedule.rule, schedule.anchor, d)) index++;
+  }
+  return index;
+};
+
+/**
+ * Can the task be completed on the given day? True on its due days, and on
+ * every day of a legacy weekly task's week.
+ * @param {object} task - RoomTask row
+ * @param {string} dateStr - YYYY-MM-DD
+ */
+function isTaskDueOn(task, dateStr) {
+  const schedule = getTaskSchedule(task);
+  const day = getCompletionWindow(task, dateStr).start;
+  if (!withinBounds(schedule, day)) return false;
+  if (schedule.exceptions.has(day)) return false;
+  if (!matchesPattern(schedule.rule, schedule.anchor, day)) return false;
+  if (schedule.rule.count && occurrenceIndex(schedule, day) > schedule.rule.count) return false;
+  return true;
+}
+
+/**
+ * All days in [startStr, endStr] on which the task is due.
+ * @returns {string[]} YYYY-MM-DD strings in ascending order
+ */
+function getTaskOccurrences(task, startStr, endStr) {
+  const schedule = getTaskSchedule(task);
+  const { rule, anchor } = schedule;
+  const occurrences = [];
+
+  // COUNT needs every occurrence since the anchor, so scan from there
+  const scanFrom = rule.count && anchor < startStr ? anchor : startStr;
+  let seen = 0;
+
+  for (let d = scanFrom; d <= endStr; d = addDays(d, 1)) {
+    if (!matchesPattern(rule, anchor, d)) continue;
+    if (d >= anchor) seen++;
+    if (rule.count && seen > rule.count) break;
+    if (d < startStr || !withinBounds(schedule, d) || schedule.exceptions.has(d)) continue;
+    occurrences.push(d);
+  }
+
+  return occurrences;
+}
+
+/**
+ * First day on or after fromStr on which the task is due, or null.
+ */
+function getNextOccurrence(task, fromStr, lookaheadDays = MAX_LOOKAHEAD_DAYS) {
+  const [next] = getTaskOccurrences(task, fromStr, addDays(fromStr, lookaheadDays)).slice(0, 1);
+  return next || null;
+}
+
+/**
+ * Build the RoomTask recurrence columns from request fields.
+ * Only keys present in input are returned, so it works for both create and update.
+ * @param {object} input - { recurrenceRule, recurrenceStart, recurrenceEnd, recurrenceExceptions }
+ */
+function buildRecurrenceData(input = {}) {
+  const data = {};
+
+  if (input.recurrenceRule !== undefined) {
+    data.recurrenceRule = input.recurrenceRule ? normalizeRule(input.recurrenceRule) : null;
+  }
+  if (input.recurrenceStart !== undefined) {
+    data.recurrenceStart = input.recurrenceStart || null;
+  }
+  if (input.recurrenceEnd !== undefined) {
+    data.recurrenceEnd = input.recurrenceEnd || null;
+  }
+  if (input.recurrenceExceptions !== undefined) {
+    const days = Array.isArray(input.recurrenceExceptions) ? input.recurrenceExceptions : [];
+    data.recurrenceExceptions = days.length > 0 ? [...new Set(days)].sort().join(',') : null;
+  }
+
+  const start = data.recurrenceStart;
+  const end = data.recurrenceEnd;
+  if (start && end && end < start) {
+    throw invalid('recurrenceEnd cannot be before recurrenceStart');
+  }
+
+  return data;
+}
+
+module.exports = {
+  parseRule,
+  normalizeRule,
+  legacyRuleFor,
+  getTaskSchedule,
+  getCompletionWindow,
+  isTaskDueOn,
+  getTaskOccurrences,
+  getNextOccurrence,
+  buildRecurrenceData,
+  isDateString,
+  addDays,
+  toDayNumber
+};
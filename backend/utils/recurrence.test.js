@@ -0,0 +1,158 @@
+const {
+  parseRule,
+  normalizeRule,
+  legacyRuleFor,
+  getCompletionWindow,
+  isTaskDueOn,
+  getTaskOccurrences,
+  getNextOccurrence,
+  buildRecurrenceData
+} = require('./recurrence');
+
+const thrown = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+// 2026-10-19 is a Monday
+const ruleTask = (recurrenceRule, extra = {}) => ({
+  recurrenceRule,
+  recurrenceStart: '2026-10-05',
+  createdAt: '2026-10-01T12:00:00Z',
+  ...extra
+});
+
+describe('parseRule', () => {
+  it('parses the supported parts', () => {
+    const rule = parseRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;UNTIL=20270630');
+    expect(rule).toMatchObject({
+      freq: 'MONTHLY',
+      interval: 2,
+      byDay: [{ weekday: 1, ordinal: 1 }, { weekday: 5, ordinal: -1 }],
+      until: '2027-06-30'
+    });
+  });
+
+  it.each([
+    ['', 'Recurrence rule is empty'],
+    ['INTERVAL=2', 'Recurrence rule must include FREQ'],
+    ['FREQ=HOURLY', 'Unsupported FREQ "HOURLY"'],
+    ['FREQ=DAILY;COUNT=3;UNTIL=20270101', 'Recurrence rule cannot have both UNTIL and COUNT'],
+    ['FREQ=WEEKLY;BYDAY=1MO', 'Numbered BYDAY values (e.g. 1MO) are only allowed with MONTHLY or YEARLY'],
+    ['FREQ=DAILY;BYSETPOS=1', 'Unsupported recurrence rule part "BYSETPOS"'],
+    ['FREQ=MONTHLY;BYMONTHDAY=0', 'Invalid BYMONTHDAY value "0"']
+  ])('rejects %p with a 400', (ruleStr, message) => {
+    expect(thrown(() => parseRule(ruleStr))).toMatchObject({ message, status: 400 });
+  });
+
+  it('normalizes rules for storage', () => {
+    expect(normalizeRule(' rrule:freq=weekly;byday=tu ')).toBe('FREQ=WEEKLY;BYDAY=TU');
+  });
+});
+
+describe('legacyRuleFor', () => {
+  it('maps legacy task types onto rules', () => {
+    expect(legacyRuleFor({ taskType: 'daily' })).toBe('FREQ=DAILY');
+    expect(legacyRuleFor({ taskType: 'weekly' })).toBe('FREQ=WEEKLY;BYDAY=MO');
+    expect(legacyRuleFor({ taskType: 'custom', daysOfWeek: '1,3,9' })).toBe('FREQ=WEEKLY;BYDAY=MO,WE');
+    expect(legacyRuleFor({ taskType: 'custom', daysOfWeek: '' })).toBe('FREQ=DAILY');
+  });
+});
+
+describe('isTaskDueOn', () => {
+  it('honours INTERVAL for weekly rules', () => {
+    const task = ruleTask('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO');
+    expect(isTaskDueOn(task, '2026-10-05')).toBe(true);
+    expect(isTaskDueOn(task, '2026-10-12')).toBe(false);
+    expect(isTaskDueOn(task, '2026-10-19')).toBe(true);
+  });
+
+  it('matches numbered weekdays within a month', () => {
+    const firstMonday = ruleTask('FREQ=MONTHLY;BYDAY=1MO');
+    expect(isTaskDueOn(firstMonday, '2026-10-05')).toBe(true);
+    expect(isTaskDueOn(firstMonday, '2026-10-12')).toBe(false);
+    expect(isTaskDueOn(firstMonday, '2026-11-02')).toBe(true);
+
+    const lastFriday = ruleTask('FREQ=MONTHLY;BYDAY=-1FR');
+    expect(isTaskDueOn(lastFriday, '2026-10-30')).toBe(true);
+    expect(isTaskDueOn(lastFriday, '2026-10-23')).toBe(false);
+  });
+
+  it('stops after COUNT occurrences', () => {
+    const task = ruleTask('FREQ=DAILY;COUNT=3');
+    expect(isTaskDueOn(task, '2026-10-07')).toBe(true);
+    expect(isTaskDueOn(task, '2026-10-08')).toBe(false);
+  });
+
+  it('respects the start, end and excluded days', () => {
+    const task = ruleTask('FREQ=DAILY', {
+      recurrenceEnd: '2026-10-20',
+      recurrenceExceptions: '2026-10-10'
+    });
+    expect(isTaskDueOn(task, '2026-10-04')).toBe(false);
+    expect(isTaskDueOn(task, '2026-10-10')).toBe(false);
+    expect(isTaskDueOn(task, '2026-10-20')).toBe(true);
+    expect(isTaskDueOn(task, '2026-10-21')).toBe(false);
+  });
+
+  it('maps legacy custom tasks onto their picked weekdays', () => {
+    const task = { taskType: 'custom', daysOfWeek: '2,4', createdAt: '2026-10-01T12:00:00Z' };
+    expect(isTaskDueOn(task, '2026-10-20')).toBe(true);
+    expect(isTaskDueOn(task, '2026-10-21')).toBe(false);
+    expect(isTaskDueOn(task, '2026-10-22')).toBe(true);
+  });
+
+  it('lets legacy weekly tasks be done on any day of the week', () => {
+    const task = { taskType: 'weekly', createdAt: '2026-10-01T12:00:00Z' };
+    expect(isTaskDueOn(task, '2026-10-19')).toBe(true);
+    expect(isTaskDueOn(task, '2026-10-22')).toBe(true);
+    expect(isTaskDueOn(task, '2026-10-25')).toBe(true);
+  });
+});
+
+describe('getCompletionWindow', () => {
+  it('covers the Monday-to-Sunday week for legacy weekly tasks', () => {
+    const task = { taskType: 'weekly' };
+    expect(getCompletionWindow(task, '2026-10-22')).toEqual({ start: '2026-10-19', end: '2026-10-25' });
+    expect(getCompletionWindow(task, '2026-10-25')).toEqual({ start: '2026-10-19', end: '2026-10-25' });
+    expect(getCompletionWindow(task, '2026-10-19')).toEqual({ start: '2026-10-19', end: '2026-10-25' });
+  });
+
+  it('is a single day for every other task', () => {
+    expect(getCompletionWindow({ taskType: 'daily' }, '2026-10-22')).toEqual({ start: '2026-10-22', end: '2026-10-22' });
+    expect(getCompletionWindow(ruleTask('FREQ=WEEKLY;BYDAY=MO'), '2026-10-22'))
+      .toEqual({ start: '2026-10-22', end: '2026-10-22' });
+  });
+});
+
+describe('getTaskOccurrences', () => {
+  it('lists due days in a range, counting COUNT from the start day', () => {
+    const task = ruleTask('FREQ=WEEKLY;BYDAY=MO,TH;COUNT=4');
+    expect(getTaskOccurrences(task, '2026-10-01', '2026-10-31'))
+      .toEqual(['2026-10-05', '2026-10-08', '2026-10-12', '2026-10-15']);
+    expect(getTaskOccurrences(task, '2026-10-10', '2026-10-31')).toEqual(['2026-10-12', '2026-10-15']);
+  });
+
+  it('finds the next occurrence, or null once the series has ended', () => {
+    const task = ruleTask('FREQ=WEEKLY;BYDAY=MO', { recurrenceEnd: '2026-10-31' });
+    expect(getNextOccurrence(task, '2026-10-20')).toBe('2026-10-26');
+    expect(getNextOccurrence(task, '2026-10-27')).toBeNull();
+  });
+});
+
+describe('buildRecurrenceData', () => {
+  it('only returns the fields that were sent', () => {
+    expect(buildRecurrenceData({ recurrenceRule: 'freq=daily' })).toEqual({ recurrenceRule: 'FREQ=DAILY' });
+    expect(buildRecurrenceData({ recurrenceExceptions: ['2026-10-21', '2026-10-20', '2026-10-21'] }))
+      .toEqual({ recurrenceExceptions: '2026-10-20,2026-10-21' });
+  });
+
+  it('rejects an end before the start', () => {
+    expect(() => buildRecurrenceData({ recurrenceStart: '2026-10-20', recurrenceEnd: '2026-10-19' }))
+      .toThrow('recurrenceEnd cannot be before recurrenceStart');
+  });
+});
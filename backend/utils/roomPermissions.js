@@ -0,0 +1,150 @@
+/**
+ * Room roles and the permission matrix.
+ *
+ * Roles are ranked; a member can only manage members ranked below them and can
+ * only hand out roles below their own (so only the owner makes admins).
+ *
+ *                      owner  admin  moderator  member  viewer
+ *   room:view            x      x       x         x       x
+ *   room:participate     x      x       x         x            (chat, complete tasks, proofs, votes, nudges)
+ *   room:edit            x      x                              (name, description, settings)
+ *   room:manage          x                                     (delete, premium, retention, ownership)
+ *   members:approve      x      x       x                      (pending join requests)
+ *   members:remove       x      x
+ *   members:roles        x      x
+ *   chat:moderate        x      x       x                      (pins, announcements)
+ *   tasks:manage         x      x                              (create, edit, delete tasks)
+ *   tasks:assign         x      x       x                      (assign work to others)
+ *   proofs:moderate      x      x       x                      (reject proofs, remove others' nodes)
+ *   reports:review       x      x                              (report queue: hide, delete, warn, kick)
+ *   audit:view           x      x                              (room audit log and CSV export)
+ */
+
+const ROOM_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MODERATOR: 'moderator',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+};
+
+const ROLE_RANK = {
+  [ROOM_ROLES.VIEWER]: 0,
+  [ROOM_ROLES.MEMBER]: 1,
+  [ROOM_ROLES.MODERATOR]: 2,
+  [ROOM_ROLES.ADMIN]: 3,
+  [ROOM_ROLES.OWNER]: 4
+};
+
+// Roles that can be given through promote/demote (ownership moves by transfer)
+const ASSIGNABLE_ROLES = [ROOM_ROLES.ADMIN, ROOM_ROLES.MODERATOR, ROOM_ROLES.MEMBER, ROOM_ROLES.VIEWER];
+
+const PERMISSIONS = {
+  VIEW: 'room:view',
+  PARTICIPATE: 'room:participate',
+  EDIT_ROOM: 'room:edit',
+  MANAGE_ROOM: 'room:manage',
+  APPROVE_MEMBERS: 'members:approve',
+  REMOVE_MEMBERS: 'members:remove',
+  MANAGE_ROLES: 'members:roles',
+  MODERATE_CHAT: 'chat:moderate',
+  MANAGE_TASKS: 'tasks:manage',
+  ASSIGN_TASKS: 'tasks:assign',
+  MODERATE_PROOFS: 'proofs:moderate',
+  REVIEW_REPORTS: 'reports:review',
+  VIEW_AUDIT: 'audit:view'
+};
+
+// Lowest role holding each permission
+const MIN_ROLE = {
+  [PERMISSIONS.VIEW]: ROOM_ROLES.VIEWER,
+  [PERMISSIONS.PARTICIPATE]: ROOM_ROLES.MEMBER,
+  [PERMISSIONS.EDIT_ROOM]: ROOM_ROLES.ADMIN,
+  [PERMISSIONS.MANAGE_ROOM]: ROOM_ROLES.OWNER,
+  [PERMISSIONS.APPROVE_MEMBERS]: ROOM_ROLES.MODERATOR,
+  [PERMISSIONS.REMOVE_MEMBERS]: ROOM_ROLES.ADMIN,
+  [PERMISSIONS.MANAGE_ROLES]: ROOM_ROLES.ADMIN,
+  [PERMISSIONS.MODERATE_CHAT]: ROOM_ROLES.MODERATOR,
+  [PERMISSIONS.MANAGE_TASKS]: ROOM_ROLES.ADMIN,
+  [PERMISSIONS.ASSIGN_TASKS]: ROOM_ROLES.MODERATOR,
+  [PERMISSIONS.MODERATE_PROOFS]: ROOM_ROLES.MODERATOR,
+  [PERMISSIONS.REVIEW_REPORTS]: ROOM_ROLES.ADMIN,
+  [PERMISSIONS.VIEW_AUDIT]: ROOM_ROLES.ADMIN
+};
+
+// 403 messages for the permission middleware
+const DENIED_MESSAGES = {
+  [PERMISSIONS.PARTICIPATE]: 'Viewers can only follow this room',
+  [PERMISSIONS.EDIT_ROOM]: 'Only the room owner or admins can change room settings',
+  [PERMISSIONS.MANAGE_ROOM]: 'Only the room owner can perform this action',
+  [PERMISSIONS.APPROVE_MEMBERS]: 'Only the room owner, admins or moderators can review join requests',
+  [PERMISSIONS.REMOVE_MEMBERS]: 'Only the room owner or admins can remove members',
+  [PERMISSIONS.MANAGE_ROLES]: 'Only the room owner or admins can change member roles',
+  [PERMISSIONS.MODERATE_CHAT]: 'Only the room owner, admins or moderators can moderate chat',
+  [PERMISSIONS.MANAGE_TASKS]: 'Only the room owner or admins can manage tasks',
+  [PERMISSIONS.ASSIGN_TASKS]: 'Only the room owner, admins or moderators can assign tasks to others',
+  [PERMISSIONS.MODERATE_PROOFS]: 'Only the room owner, admins or moderators can moderate proofs',
+  [PERMISSIONS.REVIEW_REPORTS]: 'Only the room owner or admins can review reports',
+  [PERMISSIONS.VIEW_AUDIT]: 'Only the room owner or admins can view the audit log'
+};
+
+const isValidRole = (role) => Object.prototype.hasOwnProperty.call(ROLE_RANK, role);
+
+const getRoleRank = (role) => (isValidRole(role) ? ROLE_RANK[role] : -1);
+
+/**
+ * A user's role in a room (room loaded with `members`), or null if they are
+ * not an active member. The owner is always 'owner', whatever their member row says.
+ */
+const getMemberRole = (room, userId) => {
+  if (!room || !userId) return null;
+  if (room.ownerId === userId) return ROOM_ROLES.OWNER;
+
+  const membership = room.members?.find(m => m.userId === userId);
+  if (!membership || membership.status !== 'active') return null;
+  return isValidRole(membership.role) && membership.role !== ROOM_ROLES.OWNER
+    ? membership.role
+    : ROOM_ROLES.MEMBER;
+};
+
+const roleHasPermission = (role, permission) =>
+  !!role && getRoleRank(role) >= getRoleRank(MIN_ROLE[permission]);
+
+const hasRoomPermission = (room, userId, permission) =>
+  roleHasPermission(getMemberRole(room, userId), permission);
+
+/**
+ * Whether `actorRole` may move a member from `currentRole` to `newRole`:
+ * both must rank below the actor, and the actor needs members:roles.
+ */
+const canChangeRole = (actorRole, currentRole, newRole) =>
+  roleHasPermission(actorRole, PERMISSIONS.MANAGE_ROLES) &&
+  ASSIGNABLE_ROLES.includes(newRole) &&
+  getRoleRank(currentRole) < getRoleRank(actorRole) &&
+  getRoleRank(newRole) < getRoleRank(actorRole);
+
+/**
+ * Whether `actorRole` outranks `targetRole` (e.g. to remove that member)
+ */
+const outranks = (actorRole, targetRole) => getRoleRank(actorRole) > getRoleRank(targetRole);
+
+/**
+ * Permission flags for a role, for clients to show/hide controls
+ */
+const getRolePermissions = (role) =>
+  Object.values(PERMISSIONS).filter(permission => roleHasPermission(role, permission));
+
+module.exports = {
+  ROOM_ROLES,
+  ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  DENIED_MESSAGES,
+  isValidRole,
+  getRoleRank,
+  getMemberRole,
+  roleHasPermission,
+  hasRoomPermission,
+  canChangeRole,
+  outranks,
+  getRolePermissions
+};
@@ -0,0 +1,91 @@
+const {
+  ROOM_ROLES,
+  PERMISSIONS,
+  getMemberRole,
+  hasRoomPermission,
+  canChangeRole,
+  outranks,
+  getRolePermissions
+} = require('./roomPermissions');
+
+const { OWNER, ADMIN, MODERATOR, MEMBER, VIEWER } = ROOM_ROLES;
+const ROLES = [OWNER, ADMIN, MODERATOR, MEMBER, VIEWER];
+
+const room = {
+  ownerId: 'owner',
+  members: [
+    { userId: 'owner', role: MEMBER, status: 'active' },
+    { userId: 'admin', role: ADMIN, status: 'active' },
+    { userId: 'mod', role: MODERATOR, status: 'active' },
+    { userId: 'pending', role: ADMIN, status: 'pending' },
+    { userId: 'legacy', role: 'superuser', status: 'active' },
+    { userId: 'stale', role: OWNER, status: 'active' }
+  ]
+};
+
+describe('getMemberRole', () => {
+  it('reads the role of active members', () => {
+    expect(getMemberRole(room, 'admin')).toBe(ADMIN);
+    expect(getMemberRole(room, 'mod')).toBe(MODERATOR);
+  });
+
+  it('takes the owner from the room, whatever their member row says', () => {
+    expect(getMemberRole(room, 'owner')).toBe(OWNER);
+    expect(getMemberRole(room, 'stale')).toBe(MEMBER);
+  });
+
+  it('treats unknown roles as member and non-members as null', () => {
+    expect(getMemberRole(room, 'legacy')).toBe(MEMBER);
+    expect(getMemberRole(room, 'pending')).toBeNull();
+    expect(getMemberRole(room, 'stranger')).toBeNull();
+    expect(getMemberRole(null, 'owner')).toBeNull();
+  });
+});
+
+describe('hasRoomPermission', () => {
+  it('grants permissions from the lowest role that holds them', () => {
+    expect(hasRoomPermission(room, 'mod', PERMISSIONS.MODERATE_PROOFS)).toBe(true);
+    expect(hasRoomPermission(room, 'mod', PERMISSIONS.MANAGE_ROLES)).toBe(false);
+    expect(hasRoomPermission(room, 'admin', PERMISSIONS.MANAGE_ROOM)).toBe(false);
+    expect(hasRoomPermission(room, 'owner', PERMISSIONS.MANAGE_ROOM)).toBe(true);
+    expect(hasRoomPermission(room, 'stranger', PERMISSIONS.VIEW)).toBe(false);
+  });
+
+  it('lists what each role may do', () => {
+    expect(getRolePermissions(VIEWER)).toEqual([PERMISSIONS.VIEW]);
+    expect(getRolePermissions(MODERATOR)).not.toContain(PERMISSIONS.MANAGE_ROLES);
+    expect(getRolePermissions(null)).toEqual([]);
+  });
+});
+
+describe('canChangeRole', () => {
+  // [actor, current, new] -> allowed; every combination not listed is refused
+  const ALLOWED = new Set([
+    ...[ADMIN, MODERATOR, MEMBER, VIEWER].flatMap(current =>
+      [ADMIN, MODERATOR, MEMBER, VIEWER].map(next => `${OWNER}:${current}:${next}`)),
+    ...[MODERATOR, MEMBER, VIEWER].flatMap(current =>
+      [MODERATOR, MEMBER, VIEWER].map(next => `${ADMIN}:${current}:${next}`))
+  ]);
+
+  const cases = ROLES.flatMap(actor => ROLES.flatMap(current => ROLES.map(next => [
+    actor, current, next, ALLOWED.has(`${actor}:${current}:${next}`)
+  ])));
+
+  it.each(cases)('%s moving %s to %s: %s', (actor, current, next, allowed) => {
+    expect(canChangeRole(actor, current, next)).toBe(allowed);
+  });
+
+  it('refuses unknown roles', () => {
+    expect(canChangeRole(OWNER, MEMBER, 'superuser')).toBe(false);
+    expect(canChangeRole(undefined, MEMBER, VIEWER)).toBe(false);
+  });
+});
+
+describe('outranks', () => {
+  it('compares role ranks strictly', () => {
+    expect(outranks(ADMIN, MODERATOR)).toBe(true);
+    expect(outranks(ADMIN, ADMIN)).toBe(false);
+    expect(outranks(MODERATOR, OWNER)).toBe(false);
+    expect(outranks(VIEWER, 'unknown')).toBe(true);
+  });
+});
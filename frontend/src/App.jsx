@@ -314,6 +314,24 @@ function App() {
               </Suspense>
             </PublicRoute>
           } />
+          <Route path="/forgot-password" element={
+            <PublicRoute>
+              <Suspense fallback={<LoadingScreen />}>
+                <LoginPage />
+              </Suspense>
+            </PublicRoute>
+          } />
+          {/* Emailed links work whether or not someone is signed in */}
+          <Route path="/reset-password" element={
+            <Suspense fallback={<LoadingScreen />}>
+              <LoginPage />
+            </Suspense>
+          } />
+          <Route path="/verify-email" element={
+            <Suspense fallback={<LoadingScreen />}>
+              <LoginPage />
+            </Suspense>
+          } />
 
           {/* Protected Routes with AppLayout - Suspense is inside ProtectedLayout */}
           <Route path="/dashboard" element={
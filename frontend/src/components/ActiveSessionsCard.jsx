@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  CardContent,
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Tooltip,
+  Chip,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import ComputerIcon from '@mui/icons-material/Computer';
+import SmartphoneIcon from '@mui/icons-material/Smartphone';
+import DevicesOtherIcon from '@mui/icons-material/DevicesOther';
+import LogoutIcon from '@mui/icons-material/Logout';
+import { formatDistanceToNow } from 'date-fns';
+import api from '../utils/api';
+
+const DEVICE_ICONS = {
+  web: ComputerIcon,
+  mobile: SmartphoneIcon,
+};
+
+/**
+ * ActiveSessionsCard - Signed-in devices with per-device and "all others" sign out
+ * Shows in ProfilePage settings tab
+ */
+const ActiveSessionsCard = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null); // session id, or 'others'
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/sessions', { headers: { 'x-bypass-cache': '1' } });
+      setSessions(response.data.sessions || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleSignOut = async (sessionId) => {
+    setBusyId(sessionId);
+    try {
+      await api.delete(`/auth/sessions/${sessionId}`);
+      setSessions(prev => prev.filter(s => s.id !== sessionId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out session');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSignOutOthers = async () => {
+    setBusyId('others');
+    try {
+      await api.delete('/auth/sessions');
+      setSessions(prev => prev.filter(s => s.isCurrent));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out other sessions');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const otherCount = sessions.filter(s => !s.isCurrent).length;
+
+  return (
+    <Card variant="outlined">
+      <CardContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+            {sessions.map((session) => {
+              const Icon = DEVICE_ICONS[session.deviceType] || DevicesOtherIcon;
+              return (
+                <Box key={session.id} sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+                  <Icon color={session.isCurrent ? 'primary' : 'action'} />
+                  <Box sx={{ flex: 1, minWidth: 0 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Typography variant="body2" fontWeight="bold" noWrap>
+                        {session.deviceName || (session.deviceType === 'mobile' ? 'Mobile app' : 'Browser')}
+                      </Typography>
+                      {session.isCurrent && (
+                        <Chip label="This device" size="small" color="primary" sx={{ height: 20, fontSize: '0.65rem' }} />
+                      )}
+                    </Box>
+                    <Typography variant="caption" color="text.secondary">
+                      Active {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+                      {session.ipAddress ? ` · ${session.ipAddress}` : ''}
+                    </Typography>
+                  </Box>
+                  {!session.isCurrent && (
+                    <Tooltip title="Sign out">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleSignOut(session.id)}
+                          disabled={!!busyId}
+                        >
+                          {busyId === session.id ? <CircularProgress size={16} /> : <LogoutIcon fontSize="small" />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  )}
+                </Box>
+              );
+            })}
+
+            {otherCount > 0 && (
+              <Button
+                variant="outlined"
+                color="error"
+                size="small"
+                startIcon={<LogoutIcon />}
+                onClick={handleSignOutOthers}
+                disabled={!!busyId}
+                sx={{ alignSelf: 'flex-start', mt: 1 }}
+              >
+                Sign out all other devices
+              </Button>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActiveSessionsCard;
@@ -36,11 +36,23 @@ import {
   Star,
   Whatshot,
   Shield,
-  NotificationsActive
+  NotificationsActive,
+  PushPin,
+  PushPinOutlined,
+  Campaign,
+  ExpandMore,
+  ExpandLess,
+  AddReactionOutlined,
+  OutlinedFlag,
+  EditOutlined,
+  DeleteOutline
 } from '@mui/icons-material';
 import { formatDistanceToNow } from 'date-fns';
 import { usePremium } from '../context/PremiumContext';
 
+// Mirrors EDIT_WINDOW_MINUTES in backend/services/chatMessageService.js
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
 const ChatDrawer = ({ 
   open, 
   onClose, 
@@ -58,7 +70,16 @@ const ChatDrawer = ({
   canNudge = false,
   nudgeStatus = null, // { hasCompletedTask: bool, alreadySentToday: bool }
   nudging = false,
-  isPremium = false // Room premium status from parent
+  isPremium = false, // Room premium status from parent
+  pinnedMessages = [], // Pinned messages and announcements, newest pin first
+  canPin = false, // Owner/admin/moderator: may pin messages and post announcements
+  canSend = true, // False for viewers, who can read the chat but not post
+  onTogglePin,
+  onPostAnnouncement,
+  onToggleReaction, // (message, emoji) => add or remove the current user's reaction
+  onReportMessage, // (message) => open the report dialog
+  onEditMessage, // (message, text) => save an edit to your own message
+  onDeleteMessage // (message) => delete for everyone (yours, or any as a moderator)
 }) => {
   const theme = useTheme();
   const { isGlobalPremium, isRoomPremium } = usePremium();
@@ -100,6 +121,10 @@ const ChatDrawer = ({
   const [appreciationDialogOpen, setAppreciationDialogOpen] = useState(false);
   const [selectedAppreciationType, setSelectedAppreciationType] = useState(null);
   const [quickAppreciateUser, setQuickAppreciateUser] = useState(null);
+  const [announceMode, setAnnounceMode] = useState(false);
+  const [pinnedExpanded, setPinnedExpanded] = useState(false);
+  const [reactionTarget, setReactionTarget] = useState(null); // { anchor, message }
+  const [editing, setEditing] = useState(null); // Message being edited (reuses the input)
   const chatContainerRef = useRef(null);
   
   const quickEmojis = ['👍', '❤️', '😂', '🔥', '🎉'];
@@ -121,19 +146,47 @@ const ChatDrawer = ({
   }, [open]);
 
   const handleSend = () => {
-    if (message.trim()) {
+    if (!message.trim()) return;
+    if (editing) {
+      if (message.trim() !== editing.message) onEditMessage?.(editing, message.trim());
+      setEditing(null);
+    } else if (announceMode && onPostAnnouncement) {
+      onPostAnnouncement(message.trim());
+      setAnnounceMode(false);
+    } else {
       onSendMessage(message.trim(), replyTo);
-      setMessage('');
-      setReplyTo(null);
     }
+    setMessage('');
+    setReplyTo(null);
+  };
+
+  const startEditing = (msg) => {
+    setReplyTo(null);
+    setAnnounceMode(false);
+    setEditing(msg);
+    setMessage(msg.message);
   };
 
+  const cancelEditing = () => {
+    setEditing(null);
+    setMessage('');
+  };
+
+  const canEdit = (msg) =>
+    !!onEditMessage && !msg.sending && !msg.isDeleted && !msg.isHidden &&
+    Date.now() - new Date(msg.createdAt).getTime() < EDIT_WINDOW_MS;
+
   const handleEmojiClick = (emoji) => {
     setMessage(prev => prev + emoji);
     setEmojiAnchor(null);
   };
 
   // Handle appreciation dialog opening
+  const handleReactionPick = (emoji) => {
+    if (reactionTarget) onToggleReaction?.(reactionTarget.message, emoji);
+    setReactionTarget(null);
+  };
+
   const handleAppreciationClick = () => {
     setSelectedAppreciationType(null);
     setAppreciationDialogOpen(true);
@@ -303,6 +356,55 @@ const ChatDrawer = ({
 
         <Divider />
 
+        {/* Pinned messages & announcements */}
+        {pinnedMessages.length > 0 && (
+          <Paper
+            elevation={0}
+            sx={{
+              px: 2,
+              py: 1,
+              borderRadius: 0,
+              flexShrink: 0,
+              borderBottom: 1,
+              borderColor: 'divider',
+              bgcolor: isDark ? 'rgba(251, 191, 36, 0.08)' : 'rgba(251, 191, 36, 0.1)'
+            }}
+          >
+            {(pinnedExpanded ? pinnedMessages : pinnedMessages.slice(0, 1)).map((pin) => (
+              <Box key={pin._id} sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, py: 0.5 }}>
+                {pin.type === 'announcement'
+                  ? <Campaign fontSize="small" sx={{ color: 'warning.main', mt: 0.25 }} />
+                  : <PushPin fontSize="small" sx={{ color: 'warning.main', mt: 0.25 }} />}
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Typography variant="caption" color="text.secondary">
+                    {pin.type === 'announcement' ? 'Announcement' : 'Pinned'} · {pin.userId?.username || 'Unknown'}
+                  </Typography>
+                  <Typography variant="body2" noWrap={!pinnedExpanded} sx={{ whiteSpace: pinnedExpanded ? 'pre-wrap' : undefined }}>
+                    {pin.message}
+                  </Typography>
+                </Box>
+                {canPin && onTogglePin && (
+                  <Tooltip title="Unpin">
+                    <IconButton size="small" onClick={() => onTogglePin(pin)}>
+                      <CloseIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </Box>
+            ))}
+            {pinnedMessages.length > 1 && (
+              <Button
+                size="small"
+                onClick={() => setPinnedExpanded(prev => !prev)}
+                endIcon={pinnedExpanded ? <ExpandLess /> : <ExpandMore />}
+                sx={{ mt: 0.25, textTransform: 'none' }}
+              >
+                {pinnedExpanded ? 'Show less' : `${pinnedMessages.length} pinned`}
+              </Button>
+            )}
+          </Paper>
+        )}
+
         {/* Messages Container */}
         <Box
           ref={chatContainerRef}
@@ -406,6 +508,38 @@ const ChatDrawer = ({
                 );
               }
 
+              // Announcements render as a highlighted card
+              if (msg.messageType === 'announcement' || msg.type === 'announcement') {
+                return (
+                  <Slide key={msg._id || `ann-${index}`} direction="up" in={true} timeout={200}>
+                    <Paper
+                      variant="outlined"
+                      sx={{
+                        p: 1.5,
+                        borderColor: 'warning.main',
+                        bgcolor: isDark ? 'rgba(251, 191, 36, 0.08)' : 'rgba(251, 191, 36, 0.1)'
+                      }}
+                    >
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.75, mb: 0.5 }}>
+                        <Campaign fontSize="small" sx={{ color: 'warning.main' }} />
+                        <Typography variant="caption" fontWeight={600}>
+                          Announcement · {msg.userId?.username || 'Unknown'}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary" sx={{ ml: 'auto' }}>
+                          {formatTime(msg.createdAt)}{msg.isEdited && ' · edited'}
+                        </Typography>
+                      </Box>
+                      <Typography
+                        variant="body2"
+                        sx={{ whiteSpace: 'pre-wrap', ...(msg.isDeleted && { fontStyle: 'italic', opacity: 0.6 }) }}
+                      >
+                        {msg.message}
+                      </Typography>
+                    </Paper>
+                  </Slide>
+                );
+              }
+
               const isMine = isMyMessage(msg);
               const msgUserId = getUserId(msg.userId);
               const prevUserId = getUserId(messages[index - 1]?.userId);
@@ -492,7 +626,7 @@ const ChatDrawer = ({
                         </Box>
                       )}
                       <Box
-                        onClick={() => setReplyTo({ _id: msg._id, messageId: msg._id, message: msg.message, sender: msg.userId })}
+                        onClick={() => !msg.isDeleted && !editing && setReplyTo({ _id: msg._id, messageId: msg._id, message: msg.message, sender: msg.userId })}
                         sx={{
                           position: 'relative',
                           p: '10px 12px',
@@ -552,6 +686,7 @@ const ChatDrawer = ({
                             whiteSpace: 'pre-wrap',
                             fontSize: '14.2px',
                             lineHeight: 1.4,
+                            ...((msg.isHidden || msg.isDeleted) && { fontStyle: 'italic', opacity: 0.6 }),
                           }}
                         >
                           {msg.message}
@@ -578,8 +713,86 @@ const ChatDrawer = ({
                               lineHeight: 1,
                             }}
                           >
-                            {formatTime(msg.createdAt)}
+                            {msg.isEdited && 'edited · '}{formatTime(msg.createdAt)}
                           </Typography>
+                          {msg.isPinned && !canPin && (
+                            <PushPin sx={{ fontSize: '12px', opacity: 0.6 }} />
+                          )}
+                          {onToggleReaction && !msg.sending && !msg.isDeleted && (
+                            <Tooltip title="React">
+                              <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setReactionTarget({ anchor: e.currentTarget, message: msg });
+                                }}
+                                sx={{ p: 0.25 }}
+                              >
+                                <AddReactionOutlined sx={{ fontSize: '14px', opacity: 0.5 }} />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {onReportMessage && !isMine && !msg.sending && !msg.isHidden && !msg.isDeleted && (
+                            <Tooltip title="Report">
+                              <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  onReportMessage(msg);
+                                }}
+                                sx={{ p: 0.25 }}
+                              >
+                                <OutlinedFlag sx={{ fontSize: '14px', opacity: 0.5 }} />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {isMine && canEdit(msg) && (
+                            <Tooltip title="Edit">
+                              <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  startEditing(msg);
+                                }}
+                                sx={{ p: 0.25 }}
+                              >
+                                <EditOutlined sx={{ fontSize: '14px', opacity: 0.5 }} />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {onDeleteMessage && (isMine || canPin) && !msg.sending && !msg.isDeleted && (
+                            <Tooltip title="Delete for everyone">
+                              <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  if (window.confirm('Delete this message for everyone?')) {
+                                    if (editing?._id === msg._id) cancelEditing();
+                                    onDeleteMessage(msg);
+                                  }
+                                }}
+                                sx={{ p: 0.25 }}
+                              >
+                                <DeleteOutline sx={{ fontSize: '14px', opacity: 0.5 }} />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {canPin && onTogglePin && !msg.sending && !msg.isDeleted && (
+                            <Tooltip title={msg.isPinned ? 'Unpin' : 'Pin to top'}>
+                              <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  onTogglePin(msg);
+                                }}
+                                sx={{ p: 0.25 }}
+                              >
+                                {msg.isPinned
+                                  ? <PushPin sx={{ fontSize: '14px' }} />
+                                  : <PushPinOutlined sx={{ fontSize: '14px', opacity: 0.5 }} />}
+                              </IconButton>
+                            </Tooltip>
+                          )}
                           {isMine && (
                             <Box sx={{ 
                               fontSize: '14px', 
@@ -594,6 +807,33 @@ const ChatDrawer = ({
                         </Box>
                       </Box>
 
+                      {/* Reactions */}
+                      {msg.reactions?.length > 0 && (
+                        <Box sx={{
+                          display: 'flex',
+                          flexWrap: 'wrap',
+                          gap: 0.5,
+                          mt: 0.5,
+                          justifyContent: isMine ? 'flex-end' : 'flex-start'
+                        }}>
+                          {msg.reactions.map((reaction) => (
+                            <Tooltip
+                              key={reaction.emoji}
+                              title={reaction.users?.map(u => u.username).filter(Boolean).join(', ') || ''}
+                            >
+                              <Chip
+                                size="small"
+                                label={`${reaction.emoji} ${reaction.count}`}
+                                variant={reaction.reactedByMe ? 'filled' : 'outlined'}
+                                color={reaction.reactedByMe ? 'primary' : 'default'}
+                                onClick={onToggleReaction ? () => onToggleReaction(msg, reaction.emoji) : undefined}
+                                sx={{ height: 22, fontSize: '0.75rem', '& .MuiChip-label': { px: 0.75 } }}
+                              />
+                            </Tooltip>
+                          ))}
+                        </Box>
+                      )}
+
                     </Box>
                   </Box>
                 </Slide>
@@ -605,6 +845,35 @@ const ChatDrawer = ({
 
         <Divider />
 
+        {/* Edit banner - the input holds the new text */}
+        {editing && (
+          <Paper
+            elevation={0}
+            sx={{
+              px: 2,
+              py: 1,
+              borderBottom: 1,
+              borderColor: 'divider',
+              bgcolor: theme.palette.mode === 'dark' ? 'rgba(0,0,0,0.3)' : 'rgba(0,0,0,0.05)',
+              display: 'flex',
+              alignItems: 'center',
+              gap: 1
+            }}
+          >
+            <Box sx={{ flex: 1, borderLeft: '3px solid', borderColor: 'warning.main', pl: 1.5 }}>
+              <Typography variant="caption" color="warning.main" fontWeight={600}>
+                Editing message
+              </Typography>
+              <Typography variant="body2" noWrap sx={{ opacity: 0.7, fontSize: '0.8rem' }}>
+                {editing.message}
+              </Typography>
+            </Box>
+            <IconButton size="small" onClick={cancelEditing}>
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </Paper>
+        )}
+
         {/* Reply banner - positioned above input */}
         {replyTo && (
           <Paper 
@@ -655,7 +924,8 @@ const ChatDrawer = ({
             value={message}
             onChange={(e) => setMessage(e.target.value)}
             onKeyPress={handleKeyPress}
-            placeholder="Type a message..."
+            disabled={!canSend}
+            placeholder={!canSend ? 'Viewers can read but not post' : editing ? 'Edit your message...' : announceMode ? 'Write an announcement...' : 'Type a message...'}
             variant="outlined"
             size="small"
             InputProps={{
@@ -671,6 +941,17 @@ const ChatDrawer = ({
                         <EmojiEmotions fontSize="small" />
                       </IconButton>
                     </Tooltip>
+                    {canPin && onPostAnnouncement && (
+                      <Tooltip title={announceMode ? 'Back to normal message' : 'Post as announcement (pinned)'}>
+                        <IconButton
+                          size="small"
+                          onClick={() => setAnnounceMode(prev => !prev)}
+                          sx={{ color: announceMode ? 'warning.main' : 'text.secondary' }}
+                        >
+                          <Campaign fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
                     {appreciationRemaining > 0 && sentAppreciations.size === 0 && (
                       <Tooltip title="Send appreciation (1 per day)">
                         <IconButton 
@@ -753,7 +1034,7 @@ const ChatDrawer = ({
           <IconButton
             color="primary"
             onClick={handleSend}
-            disabled={!message.trim()}
+            disabled={!canSend || !message.trim()}
             sx={{
               bgcolor: 'primary.main',
               color: 'primary.contrastText',
@@ -794,6 +1075,29 @@ const ChatDrawer = ({
           </Box>
         </Popover>
 
+        {/* Reaction Picker Popover */}
+        <Popover
+          open={Boolean(reactionTarget)}
+          anchorEl={reactionTarget?.anchor}
+          onClose={() => setReactionTarget(null)}
+          anchorOrigin={{
+            vertical: 'top',
+            horizontal: 'center',
+          }}
+          transformOrigin={{
+            vertical: 'bottom',
+            horizontal: 'center',
+          }}
+        >
+          <Box sx={{ p: 0.5, display: 'flex', gap: 0.5 }}>
+            {quickEmojis.map((emoji) => (
+              <IconButton key={emoji} onClick={() => handleReactionPick(emoji)} sx={{ fontSize: '1.25rem' }}>
+                {emoji}
+              </IconButton>
+            ))}
+          </Box>
+        </Popover>
+
         {/* Appreciation Dialog */}
         <Dialog 
           open={appreciationDialogOpen} 
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  Box,
+  Typography,
+  TextField,
+  InputAdornment,
+  IconButton,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Button,
+  Alert,
+  CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import { Search as SearchIcon, Close as CloseIcon, Forum as ForumIcon } from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+
+// Mirrors MIN_QUERY_LENGTH in backend/services/messageSearchService.js
+const MIN_QUERY_LENGTH = 2;
+const PAGE_SIZE = 20;
+const DEBOUNCE_MS = 300;
+
+// Snippets arrive as [{ text, highlight }] segments, never as HTML
+const Snippet = ({ segments }) => (
+  <Typography variant="body2" color="text.secondary" sx={{ wordBreak: 'break-word' }}>
+    {segments.map((segment, index) =>
+      segment.highlight ? (
+        <Box key={index} component="mark" sx={{ bgcolor: 'warning.light', color: 'inherit', borderRadius: 0.5, px: 0.25 }}>
+          {segment.text}
+        </Box>
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      )
+    )}
+  </Typography>
+);
+
+const resultTitle = (result) =>
+  result.kind === 'dm'
+    ? result.friend?.username || 'Direct message'
+    : `${result.room?.name || 'Room'} · ${result.sender?.username || 'Someone'}`;
+
+/**
+ * MessageSearchDialog - Search your DMs and room chats. Selecting a result
+ * opens the conversation or room.
+ */
+const MessageSearchDialog = ({ open, onClose }) => {
+  const navigate = useNavigate();
+  const theme = useTheme();
+  const fullScreen = useMediaQuery(theme.breakpoints.down('sm'));
+  const [query, setQuery] = useState('');
+  const [scope, setScope] = useState('all');
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const trimmed = query.trim();
+
+  const search = useCallback(async (before = null) => {
+    setLoading(true);
+    try {
+      const response = await api.get('/search/messages', {
+        params: { q: trimmed, scope, limit: PAGE_SIZE, ...(before && { before }) },
+        headers: { 'x-bypass-cache': '1' },
+      });
+      const { results: page = [], nextCursor: cursor = null } = response.data;
+      setResults(prev => (before ? [...prev, ...page] : page));
+      setNextCursor(cursor);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  }, [trimmed, scope]);
+
+  useEffect(() => {
+    if (!open || trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setNextCursor(null);
+      return undefined;
+    }
+    const timer = setTimeout(() => search(), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [open, trimmed, search]);
+
+  const handleClose = () => {
+    setQuery('');
+    setError(null);
+    onClose();
+  };
+
+  const handleSelect = (result) => {
+    handleClose();
+    if (result.kind === 'dm') navigate(`/messages/${result.friend?.id}`);
+    else navigate(`/rooms/${result.room?.id}`);
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm" fullScreen={fullScreen}>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Typography variant="h6" fontWeight="bold" sx={{ flex: 1 }}>
+          Search messages
+        </Typography>
+        <IconButton size="small" onClick={handleClose}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent dividers sx={{ minHeight: 320 }}>
+        <TextField
+          autoFocus
+          fullWidth
+          size="small"
+          placeholder="Search your chats"
+          value={query}
+          onChange={(e) => setQuery(e.target.value.slice(0, 200))}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={scope}
+          onChange={(e, value) => value && setScope(value)}
+          sx={{ mt: 1.5 }}
+        >
+          <ToggleButton value="all">All</ToggleButton>
+          <ToggleButton value="dms">Direct messages</ToggleButton>
+          <ToggleButton value="rooms">Rooms</ToggleButton>
+        </ToggleButtonGroup>
+
+        {error && <Alert severity="error" sx={{ mt: 1.5 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        {!loading && !error && trimmed.length >= MIN_QUERY_LENGTH && results.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2, textAlign: 'center' }}>
+            No messages match “{trimmed}”
+          </Typography>
+        )}
+
+        <List sx={{ p: 0, mt: 1 }}>
+          {results.map(result => (
+            <ListItem key={`${result.kind}:${result._id}`} button alignItems="flex-start" onClick={() => handleSelect(result)}>
+              <ListItemAvatar>
+                {result.kind === 'dm' ? (
+                  <Avatar src={result.friend?.avatar || undefined}>{(result.friend?.username || '?')[0]?.toUpperCase()}</Avatar>
+                ) : (
+                  <Avatar sx={{ bgcolor: 'primary.main' }}><ForumIcon fontSize="small" /></Avatar>
+                )}
+              </ListItemAvatar>
+              <ListItemText
+                disableTypography
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 1 }}>
+                    <Typography variant="subtitle2" noWrap sx={{ flex: 1 }}>
+                      {resultTitle(result)}
+                    </Typography>
+                    <Typography variant="caption" color="text.disabled" sx={{ flexShrink: 0 }}>
+                      {formatDistanceToNow(new Date(result.createdAt), { addSuffix: true })}
+                    </Typography>
+                  </Box>
+                }
+                secondary={<Snippet segments={result.snippet || []} />}
+              />
+            </ListItem>
+          ))}
+        </List>
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 1 }}>
+            <CircularProgress size={20} />
+          </Box>
+        )}
+        {!loading && nextCursor && (
+          <Button size="small" fullWidth onClick={() => search(nextCursor)} sx={{ mt: 1 }}>
+            Load more
+          </Button>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MessageSearchDialog;
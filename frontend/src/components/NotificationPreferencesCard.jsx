@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  CardContent,
+  Box,
+  Typography,
+  Switch,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  CircularProgress,
+  Alert,
+  Divider,
+} from '@mui/material';
+import { format } from 'date-fns';
+import api from '../utils/api';
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In-app' },
+  { key: 'push', label: 'Push' },
+  { key: 'emailDigest', label: 'Email digest' },
+];
+
+const ROOM_LEVELS = [
+  { value: 'default', label: 'Follow my settings' },
+  { value: 'in_app', label: 'In-app only' },
+  { value: 'off', label: 'Off' },
+];
+
+// Hours to pause push for; '' keeps the current state, 0 resumes
+const MUTE_OPTIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 8, label: '8 hours' },
+  { hours: 24, label: '24 hours' },
+  { hours: 168, label: '1 week' },
+];
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// Suggested when quiet hours are switched on
+const DEFAULT_QUIET_HOURS = { start: 22, end: 7 };
+
+const muteUntil = (hours) => (hours ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null);
+
+const MuteSelect = ({ label, mutedUntil, onChange, disabled }) => (
+  <FormControl size="small" sx={{ minWidth: 160 }}>
+    <InputLabel shrink>{label}</InputLabel>
+    <Select
+      label={label}
+      notched
+      value=""
+      onChange={(e) => onChange(muteUntil(e.target.value))}
+      disabled={disabled}
+      renderValue={() => (mutedUntil ? `Until ${format(new Date(mutedUntil), 'MMM d, HH:mm')}` : 'Not paused')}
+      displayEmpty
+    >
+      {MUTE_OPTIONS.map(option => (
+        <MenuItem key={option.hours} value={option.hours}>Pause for {option.label}</MenuItem>
+      ))}
+      {mutedUntil && <MenuItem value={0}>Resume now</MenuItem>}
+    </Select>
+  </FormControl>
+);
+
+const HourSelect = ({ label, value, onChange, disabled }) => (
+  <FormControl size="small" sx={{ minWidth: 100 }}>
+    <InputLabel>{label}</InputLabel>
+    <Select label={label} value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled}>
+      {HOURS.map(hour => (
+        <MenuItem key={hour} value={hour}>{formatHour(hour)}</MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+/**
+ * NotificationPreferencesCard - Channels per notification type, pausing push,
+ * quiet hours and per-room overrides. Shows in ProfilePage settings tab.
+ * Email digests can only be turned on once the user's email is verified
+ */
+const NotificationPreferencesCard = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadPreferences = useCallback(async () => {
+    try {
+      const response = await api.get('/notifications/preferences', { headers: { 'x-bypass-cache': '1' } });
+      setPreferences(response.data.preferences);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load notification settings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPreferences();
+  }, [loadPreferences]);
+
+  const savePreferences = async (changes) => {
+    setSaving(true);
+    try {
+      const response = await api.put('/notifications/preferences', changes);
+      setPreferences(response.data.preferences);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveRoom = async (roomId, changes) => {
+    setSaving(true);
+    try {
+      const response = await api.put(`/notifications/preferences/rooms/${roomId}`, changes);
+      setPreferences(prev => ({
+        ...prev,
+        rooms: prev.rooms.map(r => (r.roomId === roomId ? response.data.room : r))
+      }));
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save room notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleQuietHoursChange = (changes) => {
+    const next = { ...(preferences.quietHours || DEFAULT_QUIET_HOURS), ...changes };
+    if (next.start === next.end) {
+      setError('Quiet hours must start and end at different hours');
+      return;
+    }
+    savePreferences({ quietHours: next });
+  };
+
+  const handleToggle = (key, channel, value) => {
+    // Optimistic; the saved preferences replace this when the request returns
+    setPreferences(prev => ({
+      ...prev,
+      types: prev.types.map(t => (t.key === key ? { ...t, [channel]: value } : t))
+    }));
+    savePreferences({ types: { [key]: { [channel]: value } } });
+  };
+
+  if (loading) {
+    return (
+      <Card variant="outlined">
+        <CardContent sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card variant="outlined">
+      <CardContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {preferences && (
+          <>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+              <Box>
+                <Typography variant="body2" fontWeight="bold">Pause push notifications</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  In-app notifications and email digests still arrive
+                </Typography>
+              </Box>
+              <MuteSelect
+                label="Pause"
+                mutedUntil={preferences.mutedUntil}
+                onChange={(mutedUntil) => savePreferences({ mutedUntil })}
+                disabled={saving}
+              />
+            </Box>
+
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+              <Box>
+                <Typography variant="body2" fontWeight="bold">Quiet hours</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Push waits until quiet hours end ({preferences.timezone} time)
+                </Typography>
+              </Box>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                {preferences.quietHours && (
+                  <>
+                    <HourSelect
+                      label="From"
+                      value={preferences.quietHours.start}
+                      onChange={(start) => handleQuietHoursChange({ start })}
+                      disabled={saving}
+                    />
+                    <HourSelect
+                      label="To"
+                      value={preferences.quietHours.end}
+                      onChange={(end) => handleQuietHoursChange({ end })}
+                      disabled={saving}
+                    />
+                  </>
+                )}
+                <Switch
+                  checked={!!preferences.quietHours}
+                  onChange={(e) => savePreferences({ quietHours: e.target.checked ? DEFAULT_QUIET_HOURS : null })}
+                  disabled={saving}
+                  inputProps={{ 'aria-label': 'Quiet hours' }}
+                />
+              </Box>
+            </Box>
+
+            <Divider sx={{ mb: 1 }} />
+
+            <Box sx={{ display: 'grid', gridTemplateColumns: '1fr repeat(3, 72px)', alignItems: 'center', columnGap: 1 }}>
+              <Box />
+              {CHANNELS.map(channel => (
+                <Typography key={channel.key} variant="caption" color="text.secondary" align="center">
+                  {channel.label}
+                </Typography>
+              ))}
+              {preferences.types.map(type => (
+                <React.Fragment key={type.key}>
+                  <Typography variant="body2" sx={{ fontSize: { xs: '0.75rem', md: '0.875rem' } }}>
+                    {type.label}
+                  </Typography>
+                  {CHANNELS.map(channel => (
+                    <Box key={channel.key} sx={{ display: 'flex', justifyContent: 'center' }}>
+                      <Switch
+                        size="small"
+                        checked={!!type[channel.key]}
+                        onChange={(e) => handleToggle(type.key, channel.key, e.target.checked)}
+                        disabled={channel.key === 'emailDigest' && !preferences.emailVerified && !type.emailDigest}
+                        inputProps={{ 'aria-label': `${type.label}: ${channel.label}` }}
+                      />
+                    </Box>
+                  ))}
+                </React.Fragment>
+              ))}
+            </Box>
+            {!preferences.emailVerified && (
+              <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 1 }}>
+                Verify your email address to get email digests.
+              </Typography>
+            )}
+
+            {preferences.rooms.length > 0 && (
+              <>
+                <Divider sx={{ my: 2 }} />
+                <Typography variant="body2" fontWeight="bold" gutterBottom>Rooms</Typography>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+                  {preferences.rooms.map(room => (
+                    <Box key={room.roomId} sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                      <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 120 }}>
+                        {room.roomName}
+                      </Typography>
+                      <FormControl size="small" sx={{ minWidth: 160 }}>
+                        <InputLabel>Notifications</InputLabel>
+                        <Select
+                          label="Notifications"
+                          value={room.level}
+                          onChange={(e) => saveRoom(room.roomId, { level: e.target.value })}
+                          disabled={saving}
+                        >
+                          {ROOM_LEVELS.map(level => (
+                            <MenuItem key={level.value} value={level.value}>{level.label}</MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                      <MuteSelect
+                        label="Pause push"
+                        mutedUntil={room.mutedUntil}
+                        onChange={(mutedUntil) => saveRoom(room.roomId, { mutedUntil })}
+                        disabled={saving || room.level === 'off'}
+                      />
+                    </Box>
+                  ))}
+                </Box>
+              </>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NotificationPreferencesCard;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  TextField,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import api from '../utils/api';
+
+// Mirrors REPORT_REASONS in backend/utils/moderation.js
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate_speech', label: 'Hate speech' },
+  { value: 'inappropriate', label: 'Inappropriate content' },
+  { value: 'self_harm', label: 'Self-harm' },
+  { value: 'other', label: 'Something else' },
+];
+
+// target.type -> route segment and the noun shown in the title
+const TARGETS = {
+  chat: { path: 'chat', noun: 'message' },
+  dm: { path: 'dm', noun: 'message' },
+  proof: { path: 'proof', noun: 'proof' },
+  user: { path: 'user', noun: 'user' },
+};
+
+/**
+ * ReportDialog - Report a chat message, DM, proof or user.
+ * `target` is { type: 'chat' | 'dm' | 'proof' | 'user', id, roomId?, label? };
+ * roomId only matters for user reports (sends them to that room's owner/admins).
+ * Calls onReported(message) once the report is filed.
+ */
+const ReportDialog = ({ open, target, onClose, onReported }) => {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setReason('');
+      setDetails('');
+      setError(null);
+    }
+  }, [open]);
+
+  if (!target) return null;
+  const { path, noun } = TARGETS[target.type] || TARGETS.user;
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await api.post(`/moderation/reports/${path}/${target.id}`, {
+        reason,
+        ...(details.trim() && { details: details.trim() }),
+        ...(target.type === 'user' && target.roomId && { roomId: target.roomId }),
+      });
+      onReported?.(response.data.message || 'Report submitted');
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit report');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={submitting ? undefined : onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Report {target.label ? `${target.label}` : `this ${noun}`}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+          {target.type === 'dm' || (target.type === 'user' && !target.roomId)
+            ? 'Reports are reviewed by the moderators.'
+            : 'Reports are reviewed by the room owner and admins.'}{' '}
+          The person you report is not told who reported them.
+        </Typography>
+        {error && <Alert severity="error" sx={{ mb: 1.5 }}>{error}</Alert>}
+        <RadioGroup value={reason} onChange={(e) => setReason(e.target.value)}>
+          {REPORT_REASONS.map(({ value, label }) => (
+            <FormControlLabel key={value} value={value} control={<Radio size="small" />} label={label} />
+          ))}
+        </RadioGroup>
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          size="small"
+          label="Anything else? (optional)"
+          value={details}
+          onChange={(e) => setDetails(e.target.value.slice(0, 500))}
+          sx={{ mt: 1.5 }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={submitting}>Cancel</Button>
+        <Button
+          variant="contained"
+          color="error"
+          onClick={handleSubmit}
+          disabled={!reason || submitting}
+          startIcon={submitting ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          Report
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReportDialog;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Tooltip,
+  Alert,
+  Collapse,
+  CircularProgress,
+  Divider,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import HistoryIcon from '@mui/icons-material/History';
+import DownloadIcon from '@mui/icons-material/Download';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import { format } from 'date-fns';
+import api from '../utils/api';
+
+const PAGE_SIZE = 20;
+
+// Mirrors AUDIT_ACTIONS in backend/services/auditService.js (plus moderation)
+const ACTION_LABELS = {
+  'room.updated': 'Edited the room',
+  'room.settings_updated': 'Changed settings',
+  'room.premium_activated': 'Activated premium',
+  'room.premium_deactivated': 'Deactivated premium',
+  'room.ownership_transferred': 'Transferred ownership',
+  'member.approved': 'Approved a member',
+  'member.rejected': 'Rejected a join request',
+  'member.kicked': 'Removed a member',
+  'member.role_changed': 'Changed a role',
+  'task.deleted': 'Deleted a task',
+  'chat.message_deleted': 'Deleted a chat message',
+  'moderation.hide': 'Hid reported content',
+  'moderation.delete': 'Deleted reported content',
+  'moderation.warn': 'Warned a member',
+  'moderation.kick': 'Removed a reported member',
+  'moderation.dismiss': 'Dismissed a report',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '–';
+  if (typeof value === 'boolean') return value ? 'on' : 'off';
+  return String(value);
+};
+
+// "Removed a member · bob" etc.
+const describeTarget = (entry) =>
+  entry.targetUser?.username || entry.details?.username || entry.details?.title || null;
+
+const AuditEntry = ({ entry }) => {
+  const changes = entry.details?.changes;
+  const target = describeTarget(entry);
+
+  return (
+    <Box sx={{ py: 1 }}>
+      <Typography variant="body2">
+        <strong>{entry.actor?.username || 'System'}</strong>{' '}
+        {(ACTION_LABELS[entry.action] || entry.action).toLowerCase()}
+        {target ? ` · ${target}` : ''}
+      </Typography>
+      {changes && Object.entries(changes).map(([field, { from, to }]) => (
+        <Typography key={field} variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+          {field}: {formatValue(from)} → {formatValue(to)}
+        </Typography>
+      ))}
+      <Typography variant="caption" color="text.disabled">
+        {format(new Date(entry.createdAt), 'MMM d, yyyy · h:mm a')}
+      </Typography>
+    </Box>
+  );
+};
+
+/**
+ * RoomAuditLog - Who changed what in the room (settings, members, tasks,
+ * moderation), for the owner and admins. Collapsed until opened; pages with
+ * "Load more" and exports the whole log as CSV.
+ */
+const RoomAuditLog = ({ roomId, roomName }) => {
+  const [open, setOpen] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [action, setAction] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadPage = useCallback(async (before = null) => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/rooms/${roomId}/audit`, {
+        params: { limit: PAGE_SIZE, ...(before && { before }), ...(action && { action }) },
+        headers: { 'x-bypass-cache': '1' },
+      });
+      const { entries: page = [], nextCursor: cursor = null } = response.data;
+      setEntries(prev => (before ? [...prev, ...page] : page));
+      setNextCursor(cursor);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId, action]);
+
+  useEffect(() => {
+    if (open) loadPage();
+  }, [open, loadPage]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await api.get(`/rooms/${roomId}/audit/export`, {
+        params: action ? { action } : undefined,
+        headers: { 'x-bypass-cache': '1' },
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${(roomName || 'room').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-audit.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export the audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 2, width: '100%', maxWidth: '100%' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <HistoryIcon color="action" />
+        <Typography variant="subtitle1" fontWeight="bold" sx={{ flex: 1 }}>
+          Audit log
+        </Typography>
+        <Tooltip title="Export CSV">
+          <span>
+            <IconButton size="small" onClick={handleExport} disabled={exporting}>
+              {exporting ? <CircularProgress size={16} /> : <DownloadIcon fontSize="small" />}
+            </IconButton>
+          </span>
+        </Tooltip>
+        <IconButton size="small" onClick={() => setOpen(prev => !prev)}>
+          {open ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+        </IconButton>
+      </Box>
+
+      <Collapse in={open} unmountOnExit>
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Action"
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+          sx={{ mt: 1.5 }}
+        >
+          <MenuItem value="">All actions</MenuItem>
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </TextField>
+
+        {error && <Alert severity="error" sx={{ mt: 1 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        {!loading && entries.length === 0 && !error && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1.5 }}>
+            Nothing recorded yet
+          </Typography>
+        )}
+
+        {entries.map((entry, index) => (
+          <React.Fragment key={entry._id}>
+            {index > 0 && <Divider />}
+            <AuditEntry entry={entry} />
+          </React.Fragment>
+        ))}
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 1 }}>
+            <CircularProgress size={20} />
+          </Box>
+        )}
+        {!loading && nextCursor && (
+          <Button size="small" fullWidth onClick={() => loadPage(nextCursor)} sx={{ mt: 1 }}>
+            Load more
+          </Button>
+        )}
+      </Collapse>
+    </Paper>
+  );
+};
+
+export default RoomAuditLog;
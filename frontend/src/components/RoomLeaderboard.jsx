@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Chip,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import ArrowDropUpIcon from '@mui/icons-material/ArrowDropUp';
+import ArrowDropDownIcon from '@mui/icons-material/ArrowDropDown';
+import { format, subDays } from 'date-fns';
+import api from '../utils/api';
+import { MVPCrownIcon } from './icons/ConstellationIcons';
+
+const PERIODS = [
+  { value: 'all', label: 'All time' },
+  { value: 'week', label: 'This week' },
+  { value: 'month', label: 'This month' },
+  { value: 'custom', label: 'Custom' },
+];
+
+const RANK_BY = [
+  { value: 'points', label: 'Points' },
+  { value: 'streak', label: 'Streak' },
+  { value: 'completionRate', label: 'Completion rate' },
+  { value: 'appreciations', label: 'Appreciations' },
+];
+
+const formatScore = (entry, rankBy) => {
+  switch (rankBy) {
+    case 'streak': return `🔥 ${entry.streak} day streak`;
+    case 'completionRate': return `${entry.completionRate}% completed`;
+    case 'appreciations': return `${entry.appreciations} appreciations`;
+    default: return `${entry.points} points`;
+  }
+};
+
+// Secondary stats shown under the ranked one
+const formatDetails = (entry, rankBy) => [
+  rankBy !== 'points' && `${entry.points} pts`,
+  `${entry.completions} completions`,
+  rankBy !== 'streak' && entry.streak > 0 && `🔥 ${entry.streak}`,
+].filter(Boolean).join(' · ');
+
+const RankChange = ({ entry, period }) => {
+  if (period === 'all') return null;
+  if (entry.rankChange === null) {
+    return <Chip label="New" size="small" variant="outlined" sx={{ height: 20, fontSize: '0.65rem' }} />;
+  }
+  if (entry.rankChange === 0) {
+    return <Typography variant="caption" color="text.disabled">–</Typography>;
+  }
+
+  const up = entry.rankChange > 0;
+  const Icon = up ? ArrowDropUpIcon : ArrowDropDownIcon;
+  return (
+    <Tooltip title={`#${entry.previousRank} last period`}>
+      <Box sx={{ display: 'flex', alignItems: 'center', color: up ? 'success.main' : 'error.main' }}>
+        <Icon fontSize="small" />
+        <Typography variant="caption" fontWeight="bold">{Math.abs(entry.rankChange)}</Typography>
+      </Box>
+    </Tooltip>
+  );
+};
+
+/**
+ * RoomLeaderboard - Room rankings by period (all time, week, month, custom range)
+ * and metric, with rank movement against the previous period.
+ * `refreshKey` changing (e.g. after a completion) reloads the current view.
+ */
+const RoomLeaderboard = ({ roomId, currentUserId, mvpUserId, refreshKey }) => {
+  const [period, setPeriod] = useState('all');
+  const [rankBy, setRankBy] = useState('points');
+  const [range, setRange] = useState(() => ({
+    from: format(subDays(new Date(), 13), 'yyyy-MM-dd'),
+    to: format(new Date(), 'yyyy-MM-dd'),
+  }));
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadLeaderboard = useCallback(async () => {
+    if (period === 'custom' && (!range.from || !range.to)) return;
+
+    setLoading(true);
+    try {
+      const params = { period, rankBy, ...(period === 'custom' ? range : {}) };
+      const response = await api.get(`/rooms/${roomId}/leaderboard`, {
+        params,
+        headers: { 'x-bypass-cache': '1' },
+      });
+      setEntries(response.data.leaderboard || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load leaderboard');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId, period, rankBy, range]);
+
+  useEffect(() => {
+    loadLeaderboard();
+  }, [loadLeaderboard, refreshKey]);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1.5, mb: 2 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={period}
+          onChange={(e, value) => value && setPeriod(value)}
+        >
+          {PERIODS.map(p => (
+            <ToggleButton key={p.value} value={p.value} sx={{ textTransform: 'none', px: 1.5 }}>
+              {p.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <TextField
+          select
+          size="small"
+          label="Rank by"
+          value={rankBy}
+          onChange={(e) => setRankBy(e.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {RANK_BY.map(r => (
+            <MenuItem key={r.value} value={r.value}>{r.label}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {period === 'custom' && (
+        <Box sx={{ display: 'flex', gap: 1.5, mb: 2 }}>
+          <TextField
+            type="date"
+            size="small"
+            label="From"
+            value={range.from}
+            onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            type="date"
+            size="small"
+            label="To"
+            value={range.to}
+            onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Box>
+      )}
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading && entries.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        <List sx={{ opacity: loading ? 0.6 : 1 }}>
+          {entries.map((entry) => (
+            <ListItem
+              key={entry.userId}
+              secondaryAction={<RankChange entry={entry} period={period} />}
+            >
+              <ListItemAvatar>
+                <Avatar sx={{ bgcolor: entry.rank <= 3 ? 'primary.main' : 'default' }}>
+                  {entry.rank === 1 ? '🥇' : entry.rank === 2 ? '🥈' : entry.rank === 3 ? '🥉' : entry.rank}
+                </Avatar>
+              </ListItemAvatar>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="body1" fontWeight="bold">
+                      {entry.user?.username}
+                    </Typography>
+                    {mvpUserId === entry.userId && (
+                      <Tooltip title="Room MVP — consistency & contribution">
+                        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                          <MVPCrownIcon size={20} glowing animated />
+                        </Box>
+                      </Tooltip>
+                    )}
+                    {entry.userId === currentUserId && (
+                      <Chip label="You" size="small" color="primary" />
+                    )}
+                  </Box>
+                }
+                secondary={
+                  <>
+                    <Typography component="span" variant="body2" color="text.secondary">
+                      {formatScore(entry, rankBy)}
+                    </Typography>
+                    <Typography component="span" variant="caption" color="text.disabled" sx={{ ml: 1.5 }}>
+                      {formatDetails(entry, rankBy)}
+                    </Typography>
+                  </>
+                }
+              />
+            </ListItem>
+          ))}
+          {!loading && entries.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 2 }}>
+              No members to rank yet
+            </Typography>
+          )}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default RoomLeaderboard;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Chip,
+  Button,
+  IconButton,
+  Tooltip,
+  Alert,
+  Avatar,
+  Divider,
+  TextField,
+  CircularProgress,
+} from '@mui/material';
+import FlagIcon from '@mui/icons-material/Flag';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import { formatDistanceToNow } from 'date-fns';
+import api from '../utils/api';
+import { REPORT_REASONS } from './ReportDialog';
+
+const REASON_LABELS = Object.fromEntries(REPORT_REASONS.map(r => [r.value, r.label]));
+
+const TARGET_LABELS = {
+  chat_message: 'Chat message',
+  direct_message: 'Direct message',
+  proof_node: 'Proof',
+  user: 'User',
+};
+
+// Button label and color per action (order follows allowedActions)
+const ACTIONS = {
+  hide: { label: 'Hide', color: 'warning' },
+  delete: { label: 'Delete', color: 'error' },
+  warn: { label: 'Warn', color: 'info' },
+  kick: { label: 'Kick', color: 'error' },
+  dismiss: { label: 'Dismiss', color: 'inherit' },
+};
+
+const ReportCard = ({ report, busy, onAction }) => {
+  const [note, setNote] = useState('');
+
+  return (
+    <Box sx={{ py: 1.5 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.75 }}>
+        <Avatar src={report.reportedUser?.avatar || undefined} sx={{ width: 28, height: 28 }}>
+          {(report.reportedUser?.username || '?')[0]?.toUpperCase()}
+        </Avatar>
+        <Box sx={{ flex: 1, minWidth: 0 }}>
+          <Typography variant="body2" fontWeight="bold" noWrap>
+            {report.reportedUser?.username || 'Unknown user'}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {TARGET_LABELS[report.targetType]} · reported by {report.reporter?.username || 'someone'}{' '}
+            {formatDistanceToNow(new Date(report.createdAt), { addSuffix: true })}
+          </Typography>
+        </Box>
+        <Chip label={REASON_LABELS[report.reason] || report.reason} size="small" color="error" variant="outlined" />
+      </Box>
+
+      {report.contentSnapshot && (
+        <Typography
+          variant="body2"
+          sx={{ px: 1, py: 0.5, mb: 0.75, borderLeft: 3, borderColor: 'divider', bgcolor: 'action.hover', borderRadius: 1, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}
+        >
+          {report.contentSnapshot}
+        </Typography>
+      )}
+      {report.details && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.75 }}>
+          “{report.details}”
+        </Typography>
+      )}
+
+      <TextField
+        fullWidth
+        size="small"
+        placeholder="Note (optional, included in warnings)"
+        value={note}
+        onChange={(e) => setNote(e.target.value.slice(0, 500))}
+        sx={{ mb: 1 }}
+      />
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.75 }}>
+        {report.allowedActions.map(action => (
+          <Button
+            key={action}
+            size="small"
+            variant={action === 'dismiss' ? 'text' : 'outlined'}
+            color={ACTIONS[action]?.color || 'inherit'}
+            disabled={busy}
+            onClick={() => onAction(report, action, note.trim())}
+          >
+            {ACTIONS[action]?.label || action}
+          </Button>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * RoomModerationQueue - Open reports about this room's chat, proofs and members,
+ * for the owner and admins. Renders nothing while the queue is empty.
+ * `refreshKey` changing reloads the queue.
+ */
+const RoomModerationQueue = ({ roomId, refreshKey, onActionDone }) => {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      const response = await api.get(`/moderation/rooms/${roomId}/queue`, { headers: { 'x-bypass-cache': '1' } });
+      setReports(response.data.reports || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue, refreshKey]);
+
+  const handleAction = async (report, action, note) => {
+    setBusyId(report._id);
+    try {
+      await api.post(`/moderation/reports/${report._id}/action`, { action, ...(note && { note }) });
+      // Acting on content settles every open report about it
+      setReports(prev => prev.filter(r =>
+        action === 'dismiss'
+          ? r._id !== report._id
+          : !(r.targetType === report.targetType && r.targetId === report.targetId)
+      ));
+      onActionDone?.(action, report);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to apply action');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading || (reports.length === 0 && !error)) return null;
+
+  return (
+    <Paper sx={{ p: 2, mb: 2, borderLeft: 4, borderColor: 'error.main', width: '100%', maxWidth: '100%' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <FlagIcon color="error" />
+        <Typography variant="subtitle1" fontWeight="bold" sx={{ flex: 1 }}>
+          Reports
+        </Typography>
+        <Chip label={reports.length} size="small" color="error" />
+        <Tooltip title="Refresh">
+          <span>
+            <IconButton size="small" onClick={loadQueue} disabled={!!busyId}>
+              {busyId ? <CircularProgress size={16} /> : <RefreshIcon fontSize="small" />}
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+      {error && <Alert severity="error" sx={{ mt: 1 }} onClose={() => setError(null)}>{error}</Alert>}
+      {reports.map((report, index) => (
+        <React.Fragment key={report._id}>
+          {index > 0 && <Divider />}
+          <ReportCard report={report} busy={busyId === report._id} onAction={handleAction} />
+        </React.Fragment>
+      ))}
+    </Paper>
+  );
+};
+
+export default RoomModerationQueue;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Tooltip,
+  Chip,
+  Collapse,
+  CircularProgress,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Divider,
+} from '@mui/material';
+import EmojiEventsIcon from '@mui/icons-material/EmojiEvents';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import { format, addDays, differenceInCalendarDays, parseISO } from 'date-fns';
+import api from '../utils/api';
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+const formatRange = (season) =>
+  `${format(parseISO(season.startDate), 'MMM d')} – ${format(parseISO(season.endDate), 'MMM d, yyyy')}`;
+
+const emptyForm = () => ({
+  name: '',
+  startDate: format(new Date(), 'yyyy-MM-dd'),
+  endDate: format(addDays(new Date(), 27), 'yyyy-MM-dd'),
+});
+
+const StandingRow = ({ standing }) => (
+  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.5 }}>
+    <Typography variant="body2" sx={{ width: 28, textAlign: 'center' }}>
+      {MEDALS[standing.rank - 1] || `#${standing.rank}`}
+    </Typography>
+    <Typography variant="body2" fontWeight="bold" sx={{ flex: 1, minWidth: 0 }} noWrap>
+      {standing.username}
+    </Typography>
+    <Typography variant="caption" color="text.secondary">
+      {standing.points} pts · {standing.completions} done{standing.mvpCount > 0 ? ` · 👑 ${standing.mvpCount}` : ''}
+    </Typography>
+  </Box>
+);
+
+/**
+ * RoomSeasons - Current season, upcoming seasons and past champions.
+ * The owner can schedule seasons; points reset when each one starts and ends.
+ * `refreshKey` changing (season socket events) reloads the list.
+ */
+const RoomSeasons = ({ roomId, canManage, refreshKey }) => {
+  const [seasons, setSeasons] = useState({ current: null, upcoming: [], past: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [standings, setStandings] = useState({}); // seasonId -> full standings
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const loadSeasons = useCallback(async () => {
+    try {
+      const response = await api.get(`/rooms/${roomId}/seasons`, { headers: { 'x-bypass-cache': '1' } });
+      const { current = null, upcoming = [], past = [] } = response.data;
+      setSeasons({ current, upcoming, past });
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load seasons');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    loadSeasons();
+  }, [loadSeasons, refreshKey]);
+
+  const toggleStandings = async (seasonId) => {
+    if (expandedId === seasonId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(seasonId);
+    if (standings[seasonId]) return;
+
+    try {
+      const response = await api.get(`/rooms/${roomId}/seasons/${seasonId}`);
+      setStandings(prev => ({ ...prev, [seasonId]: response.data.season.standings || [] }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load standings');
+    }
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      await api.post(`/rooms/${roomId}/seasons`, {
+        name: form.name.trim() || null,
+        startDate: form.startDate,
+        endDate: form.endDate,
+      });
+      setDialogOpen(false);
+      setForm(emptyForm());
+      await loadSeasons();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to schedule season');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (seasonId) => {
+    try {
+      await api.delete(`/rooms/${roomId}/seasons/${seasonId}`);
+      setSeasons(prev => ({ ...prev, upcoming: prev.upcoming.filter(s => s.id !== seasonId) }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete season');
+    }
+  };
+
+  const { current, upcoming, past } = seasons;
+  const hasAny = current || upcoming.length > 0 || past.length > 0;
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+        <CircularProgress size={20} />
+      </Box>
+    );
+  }
+
+  if (!hasAny && !canManage) return null;
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="subtitle1" fontWeight="bold">
+          Seasons
+        </Typography>
+        {canManage && (
+          <Button size="small" startIcon={<AddIcon />} onClick={() => setDialogOpen(true)}>
+            Schedule season
+          </Button>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+      {current && (
+        <Box sx={{ p: 1.5, mb: 1.5, borderRadius: 2, border: 1, borderColor: 'primary.main', bgcolor: 'action.hover' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Chip label="Live" size="small" color="primary" sx={{ height: 20, fontSize: '0.65rem' }} />
+            <Typography variant="body1" fontWeight="bold">{current.name}</Typography>
+          </Box>
+          <Typography variant="caption" color="text.secondary">
+            {formatRange(current)} · {Math.max(0, differenceInCalendarDays(parseISO(current.endDate), new Date()) + 1)} days left
+          </Typography>
+        </Box>
+      )}
+
+      {upcoming.map(season => (
+        <Box key={season.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.5 }}>
+          <Chip label="Upcoming" size="small" variant="outlined" sx={{ height: 20, fontSize: '0.65rem' }} />
+          <Typography variant="body2" fontWeight="bold">{season.name}</Typography>
+          <Typography variant="caption" color="text.secondary" sx={{ flex: 1 }}>
+            {formatRange(season)}
+          </Typography>
+          {canManage && (
+            <Tooltip title="Delete season">
+              <IconButton size="small" onClick={() => handleDelete(season.id)}>
+                <DeleteOutlineIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Box>
+      ))}
+
+      {past.length > 0 && (
+        <>
+          <Divider sx={{ my: 1.5 }} />
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+            Past champions
+          </Typography>
+          {past.map(season => (
+            <Box key={season.id}>
+              <Box
+                sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.75, cursor: 'pointer' }}
+                onClick={() => toggleStandings(season.id)}
+              >
+                <EmojiEventsIcon fontSize="small" sx={{ color: season.champion ? 'warning.main' : 'text.disabled' }} />
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Typography variant="body2" fontWeight="bold" noWrap>
+                    {season.name}: {season.champion ? season.champion.username : 'no champion'}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {formatRange(season)}{season.champion ? ` · ${season.champion.points} pts` : ''}
+                  </Typography>
+                </Box>
+                {expandedId === season.id ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+              </Box>
+              <Collapse in={expandedId === season.id} unmountOnExit>
+                <Box sx={{ pl: 4, pb: 1 }}>
+                  {standings[season.id]
+                    ? standings[season.id].map(standing => <StandingRow key={standing.userId} standing={standing} />)
+                    : <CircularProgress size={16} />}
+                  {standings[season.id]?.length === 0 && (
+                    <Typography variant="caption" color="text.secondary">No standings recorded</Typography>
+                  )}
+                </Box>
+              </Collapse>
+            </Box>
+          ))}
+        </>
+      )}
+
+      {!hasAny && (
+        <Typography variant="body2" color="text.secondary">
+          Run the room in seasons to reset points periodically and keep a record of each season's champion.
+        </Typography>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Schedule a season</DialogTitle>
+        <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+          <TextField
+            label="Name (optional)"
+            placeholder="e.g. Spring Sprint"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            inputProps={{ maxLength: 60 }}
+          />
+          <TextField
+            type="date"
+            label="Starts"
+            value={form.startDate}
+            onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            type="date"
+            label="Ends (inclusive)"
+            value={form.endDate}
+            onChange={(e) => setForm(prev => ({ ...prev, endDate: e.target.value }))}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Typography variant="caption" color="text.secondary">
+            Everyone's points reset to 0 when the season starts. When it ends, the final standings are archived and points reset again.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleCreate}
+            disabled={saving || !form.startDate || !form.endDate}
+          >
+            {saving ? <CircularProgress size={18} /> : 'Schedule'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default RoomSeasons;
@@ -220,7 +220,7 @@ export const AuthProvider = ({ children }) => {
   // Logout
   const logout = async () => {
     try {
-      await api.post('/auth/logout');
+      await api.post('/auth/logout', { refreshToken: localStorage.getItem('refreshToken') });
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
@@ -232,6 +232,73 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Email a password reset link
+  const requestPasswordReset = async (email) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/forgot-password`, { email });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Could not send reset link'
+      };
+    }
+  };
+
+  // Set a new password from an emailed token (the server signs out every session)
+  const resetPassword = async (resetToken, password) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/reset-password`, {
+        token: resetToken,
+        password
+      });
+
+      // This browser's session was revoked along with the others
+      if (localStorage.getItem('token')) {
+        clearAllCache();
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        setToken(null);
+        setUser(null);
+      }
+
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Password reset failed'
+      };
+    }
+  };
+
+  // Verify email from an emailed token
+  const verifyEmail = async (verifyToken) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/verify-email`, { token: verifyToken });
+      const verified = response.data.user;
+      setUser(prev => (prev && prev.id === verified.id ? { ...prev, emailVerified: true } : prev));
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Email verification failed'
+      };
+    }
+  };
+
+  // Send a new verification email to the signed-in user
+  const resendVerification = async () => {
+    try {
+      const response = await api.post('/auth/verify-email/resend');
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Could not send verification email'
+      };
+    }
+  };
+
   // Update profile
   const updateProfile = async (updates) => {
     try {
@@ -260,7 +327,11 @@ export const AuthProvider = ({ children }) => {
     googleLogin,
     logout,
     updateProfile,
-    loadUser
+    loadUser,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerification
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
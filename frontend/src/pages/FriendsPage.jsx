@@ -17,14 +17,26 @@ import {
   Chip,
   InputAdornment,
   CircularProgress,
-  Alert
+  Alert,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@mui/material';
 import {
   PersonAdd,
   Check,
   Close,
   Search,
-  Message as MessageIcon
+  Message as MessageIcon,
+  MoreVert,
+  Block as BlockIcon,
+  OutlinedFlag,
+  NotificationsOff,
+  NotificationsActive
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useDeviceType } from '../hooks/useDeviceType';
@@ -32,6 +44,7 @@ import { useSocket } from '../context/SocketContext';
 import { fetchAvatars, getCachedAvatar } from '../hooks/useAvatar';
 import api from '../utils/api';
 import { getErrorMessage } from '../utils/errorMessages';
+import ReportDialog from '../components/ReportDialog';
 
 const FriendsPage = () => {
   const navigate = useNavigate();
@@ -50,6 +63,12 @@ const FriendsPage = () => {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [avatars, setAvatars] = useState({});
+  const [blocks, setBlocks] = useState([]); // Users I blocked or muted
+  const [friendMenu, setFriendMenu] = useState(null); // { anchorEl, friend }
+  const [blockTarget, setBlockTarget] = useState(null); // { _id, username } awaiting confirmation
+  const [reportTarget, setReportTarget] = useState(null); // ReportDialog target
+
+  const mutedIds = blocks.filter(b => b.type === 'mute').map(b => b.user?._id);
 
   useEffect(() => {
     // Load from cache first for instant display
@@ -276,6 +295,19 @@ const FriendsPage = () => {
     }
   };
 
+  const loadBlocks = async () => {
+    try {
+      const res = await api.get('/friends/blocks', { headers: { 'x-bypass-cache': '1' } });
+      setBlocks(res.data.blocks || []);
+    } catch (err) {
+      console.error('Error loading blocked users:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadBlocks();
+  }, []);
+
   const handleSearch = async () => {
     if (!searchQuery.trim() || searchQuery.trim().length < 2) {
       setSearchResults([]);
@@ -380,6 +412,61 @@ const FriendsPage = () => {
     }
   };
 
+  // Blocking ends the friendship and drops any pending request from them
+  const handleBlock = async () => {
+    const target = blockTarget;
+    setBlockTarget(null);
+    if (!target) return;
+
+    try {
+      await api.post(`/friends/block/${target._id}`);
+      setFriends(prev => prev.filter(f => f._id !== target._id));
+      setRequests(prev => prev.filter(r => r.requester?._id !== target._id));
+      setSearchResults(prev => prev.filter(u => u._id !== target._id));
+      sessionStorage.removeItem('friends_cache');
+      sessionStorage.removeItem('friend_requests_cache');
+      setSuccess(`${target.username} blocked`);
+      setTimeout(() => setSuccess(null), 2000);
+      loadBlocks();
+    } catch (err) {
+      const { icon, message } = getErrorMessage(err, 'friend');
+      setError(`${icon} ${message}`);
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  const handleUnblock = async (block) => {
+    try {
+      await api.delete(`/friends/${block.type}/${block.user._id}`);
+      setBlocks(prev => prev.filter(b => b._id !== block._id));
+      setSuccess(`${block.user.username} ${block.type === 'block' ? 'unblocked' : 'unmuted'}`);
+      setTimeout(() => setSuccess(null), 2000);
+    } catch (err) {
+      const { icon, message } = getErrorMessage(err, 'friend');
+      setError(`${icon} ${message}`);
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  const handleToggleMute = async (friend) => {
+    setFriendMenu(null);
+    const muted = mutedIds.includes(friend._id);
+    try {
+      if (muted) {
+        await api.delete(`/friends/mute/${friend._id}`);
+      } else {
+        await api.post(`/friends/mute/${friend._id}`);
+      }
+      setSuccess(muted ? `${friend.username} unmuted` : `${friend.username} muted. You won't get notifications from them.`);
+      setTimeout(() => setSuccess(null), 2500);
+      loadBlocks();
+    } catch (err) {
+      const { icon, message } = getErrorMessage(err, 'friend');
+      setError(`${icon} ${message}`);
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
   return (
     <Container maxWidth="lg" sx={{ mt: isMobile ? 2 : 4, mb: isMobile ? 10 : 4, px: { xs: 2, sm: 3, md: 4 } }}>
       <Paper sx={{ p: isMobile ? 2 : 3 }}>
@@ -391,6 +478,7 @@ const FriendsPage = () => {
           <Tab label={`Friends (${friends.length})`} />
           <Tab label={`Requests (${requests.length})`} />
           <Tab label="Find" />
+          <Tab label={`Blocked${blocks.length ? ` (${blocks.length})` : ''}`} />
         </Tabs>
 
         {success && (
@@ -435,7 +523,14 @@ const FriendsPage = () => {
                         </Avatar>
                       </ListItemAvatar>
                       <ListItemText
-                        primary={friend.username}
+                        primary={
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                            {friend.username}
+                            {mutedIds.includes(friend._id) && (
+                              <NotificationsOff fontSize="inherit" color="disabled" titleAccess="Muted" />
+                            )}
+                          </Box>
+                        }
                         secondary={
                           <>
                             <Chip label={`${friend.totalPoints || 0} pts`} size="small" sx={{ mr: 1 }} />
@@ -469,6 +564,12 @@ const FriendsPage = () => {
                       >
                         Remove
                       </Button>
+                      <IconButton
+                        size="small"
+                        onClick={(e) => setFriendMenu({ anchorEl: e.currentTarget, friend })}
+                      >
+                        <MoreVert fontSize="small" />
+                      </IconButton>
                     </Box>
                   </ListItem>
                 ))}
@@ -499,6 +600,9 @@ const FriendsPage = () => {
                         <IconButton color="error" onClick={() => handleReject(req._id)}>
                           <Close />
                         </IconButton>
+                        <IconButton title="Block" onClick={() => setBlockTarget(req.requester)}>
+                          <BlockIcon />
+                        </IconButton>
                       </Box>
                     }
                   >
@@ -597,7 +701,110 @@ const FriendsPage = () => {
             )}
           </>
         )}
+
+        {/* Blocked & Muted */}
+        {tab === 3 && (
+          <>
+            {blocks.length === 0 ? (
+              <Box sx={{ textAlign: 'center', py: 4 }}>
+                <Typography variant="body1" color="text.secondary">
+                  You haven't blocked or muted anyone
+                </Typography>
+              </Box>
+            ) : (
+              <List>
+                {blocks.map((block) => (
+                  <ListItem
+                    key={block._id}
+                    secondaryAction={
+                      <Button size="small" variant="outlined" onClick={() => handleUnblock(block)}>
+                        {block.type === 'block' ? 'Unblock' : 'Unmute'}
+                      </Button>
+                    }
+                  >
+                    <ListItemAvatar>
+                      <Avatar src={block.user?.avatar}>
+                        {block.user?.username?.[0]?.toUpperCase()}
+                      </Avatar>
+                    </ListItemAvatar>
+                    <ListItemText
+                      primary={block.user?.username}
+                      secondary={block.type === 'block'
+                        ? 'Blocked: no requests, messages, nudges or appreciations'
+                        : 'Muted: no notifications from them'}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </>
+        )}
       </Paper>
+
+      <Menu
+        anchorEl={friendMenu?.anchorEl}
+        open={Boolean(friendMenu)}
+        onClose={() => setFriendMenu(null)}
+      >
+        <MenuItem onClick={() => handleToggleMute(friendMenu.friend)}>
+          <ListItemIcon>
+            {friendMenu && mutedIds.includes(friendMenu.friend._id)
+              ? <NotificationsActive fontSize="small" />
+              : <NotificationsOff fontSize="small" />}
+          </ListItemIcon>
+          {friendMenu && mutedIds.includes(friendMenu.friend._id) ? 'Unmute' : 'Mute notifications'}
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            setReportTarget({ type: 'user', id: friendMenu.friend._id, label: friendMenu.friend.username });
+            setFriendMenu(null);
+          }}
+        >
+          <ListItemIcon>
+            <OutlinedFlag fontSize="small" />
+          </ListItemIcon>
+          Report
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            setBlockTarget(friendMenu.friend);
+            setFriendMenu(null);
+          }}
+          sx={{ color: 'error.main' }}
+        >
+          <ListItemIcon>
+            <BlockIcon fontSize="small" color="error" />
+          </ListItemIcon>
+          Block
+        </MenuItem>
+      </Menu>
+
+      <Dialog open={Boolean(blockTarget)} onClose={() => setBlockTarget(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Block {blockTarget?.username}?</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary">
+            They won't be able to send you friend requests, messages, nudges or appreciations, and you'll
+            disappear from each other's search. Your friendship ends but your message history is kept.
+            They won't be told they were blocked.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBlockTarget(null)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleBlock}>
+            Block
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ReportDialog
+        open={Boolean(reportTarget)}
+        target={reportTarget}
+        onClose={() => setReportTarget(null)}
+        onReported={(message) => {
+          setSuccess(message);
+          setTimeout(() => setSuccess(null), 2500);
+        }}
+      />
     </Container>
   );
 };
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate, Link as RouterLink } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation, useSearchParams, Link as RouterLink } from 'react-router-dom';
 import {
   Box,
   TextField,
@@ -9,8 +9,9 @@ import {
   Link,
   InputAdornment,
   IconButton,
+  CircularProgress,
 } from '@mui/material';
-import { Visibility, VisibilityOff, Login as LoginIcon } from '@mui/icons-material';
+import { Visibility, VisibilityOff, Login as LoginIcon, LockReset, Send } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
 import { getErrorMessage } from '../utils/errorMessages';
 
@@ -78,22 +79,122 @@ const ConnectionLine = ({ x1, y1, x2, y2, delay }) => (
   </Box>
 );
 
+// The page also hosts the password reset and email verification flows, by route
+const MODES = {
+  '/forgot-password': 'forgot',
+  '/reset-password': 'reset',
+  '/verify-email': 'verify',
+};
+
+const HEADINGS = {
+  login: { title: 'Welcome Back', subtitle: 'Sign in to continue your journey' },
+  forgot: { title: 'Forgot Password?', subtitle: "Enter your email and we'll send you a reset link" },
+  reset: { title: 'New Password', subtitle: 'Choose a new password for your account' },
+  verify: { title: 'Verify Email', subtitle: 'Confirming your email address' },
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    color: 'white',
+    background: 'rgba(255, 255, 255, 0.05)',
+    borderRadius: 2,
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    '&:hover fieldset': {
+      borderColor: 'rgba(96, 165, 250, 0.5)',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#60A5FA',
+    },
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+    '&.Mui-focused': {
+      color: '#60A5FA',
+    },
+  },
+};
+
+const primaryButtonSx = {
+  py: { xs: 1.2, sm: 1.5 },
+  borderRadius: 2,
+  fontSize: { xs: '0.9rem', sm: '1rem' },
+  fontWeight: 600,
+  textTransform: 'none',
+  background: 'linear-gradient(135deg, #60A5FA 0%, #3B82F6 100%)',
+  boxShadow: '0 10px 30px -10px rgba(96, 165, 250, 0.5)',
+  transition: 'all 0.3s ease',
+  '&:hover': {
+    background: 'linear-gradient(135deg, #93C5FD 0%, #60A5FA 100%)',
+    boxShadow: '0 15px 40px -10px rgba(96, 165, 250, 0.6)',
+    transform: 'translateY(-2px)',
+  },
+  '&:disabled': {
+    background: 'rgba(96, 165, 250, 0.3)',
+  },
+};
+
+const linkSx = {
+  color: '#60A5FA',
+  fontWeight: 600,
+  textDecoration: 'none',
+  '&:hover': {
+    color: '#93C5FD',
+    textDecoration: 'underline',
+  },
+};
+
 const LoginPage = () => {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const { user, login, requestPasswordReset, resetPassword, verifyEmail } = useAuth();
+  const mode = MODES[location.pathname] || 'login';
+  const urlToken = searchParams.get('token') || '';
   const [formData, setFormData] = useState({
     email: '',
     password: '',
+    confirmPassword: '',
   });
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
   const [loading, setLoading] = useState(false);
   const [mounted, setMounted] = useState(false);
+  const verifyStartedRef = useRef(false);
 
   useEffect(() => {
     setMounted(true);
   }, []);
 
+  useEffect(() => {
+    setError('');
+    setNotice('');
+  }, [mode]);
+
+  // Verification links are redeemed as soon as the page opens
+  useEffect(() => {
+    // Tokens are single use, so guard against effects running twice
+    if (mode !== 'verify' || verifyStartedRef.current) return;
+    verifyStartedRef.current = true;
+
+    if (!urlToken) {
+      setError('This verification link is incomplete. Please use the link from your email.');
+      return;
+    }
+
+    setLoading(true);
+    verifyEmail(urlToken).then((result) => {
+      if (result.success) {
+        setNotice('Your email address is verified. Thanks!');
+      } else {
+        setError(result.message);
+      }
+      setLoading(false);
+    });
+  }, [mode, urlToken]);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -119,6 +220,41 @@ const LoginPage = () => {
     setLoading(false);
   };
 
+  const handleForgotSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await requestPasswordReset(formData.email);
+    if (result.success) {
+      setNotice(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleResetSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.password !== formData.confirmPassword) {
+      setError("Passwords don't match");
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    const result = await resetPassword(urlToken, formData.password);
+    if (result.success) {
+      setNotice(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
   // Particle positions for constellation effect
   const particles = [
     { left: 10, top: 20, size: '8px', color: '#60A5FA', delay: 0, duration: 4 },
@@ -238,13 +374,13 @@ const LoginPage = () => {
                 mb: 0.5,
               }}
             >
-              Welcome Back
+              {HEADINGS[mode].title}
             </Typography>
             <Typography
               variant="body1"
               sx={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: { xs: '0.875rem', sm: '1rem' } }}
             >
-              Sign in to continue your journey
+              {HEADINGS[mode].subtitle}
             </Typography>
           </Box>
 
@@ -264,146 +400,238 @@ const LoginPage = () => {
             </Alert>
           )}
 
-          {/* Login form */}
-          <form onSubmit={handleSubmit}>
-            <TextField
-              fullWidth
-              label="Email"
-              name="email"
-              type="email"
-              value={formData.email}
-              onChange={handleChange}
-              required
-              autoComplete="email"
-              size="small"
+          {/* Success alert */}
+          {notice && (
+            <Alert
+              severity="success"
               sx={{
-                mb: { xs: 1.5, sm: 2.5 },
-                '& .MuiOutlinedInput-root': {
-                  color: 'white',
-                  background: 'rgba(255, 255, 255, 0.05)',
-                  borderRadius: 2,
-                  '& fieldset': {
-                    borderColor: 'rgba(255, 255, 255, 0.1)',
-                  },
-                  '&:hover fieldset': {
-                    borderColor: 'rgba(96, 165, 250, 0.5)',
-                  },
-                  '&.Mui-focused fieldset': {
-                    borderColor: '#60A5FA',
-                  },
-                },
-                '& .MuiInputLabel-root': {
-                  color: 'rgba(255, 255, 255, 0.5)',
-                  '&.Mui-focused': {
-                    color: '#60A5FA',
-                  },
-                },
+                mb: 3,
+                background: 'rgba(16, 185, 129, 0.1)',
+                border: '1px solid rgba(16, 185, 129, 0.3)',
+                color: '#6ee7b7',
+                '& .MuiAlert-icon': { color: '#34d399' },
               }}
-            />
+            >
+              {notice}
+            </Alert>
+          )}
 
-            <TextField
-              fullWidth
-              label="Password"
-              name="password"
-              type={showPassword ? 'text' : 'password'}
-              value={formData.password}
-              onChange={handleChange}
-              required
-              autoComplete="current-password"
-              size="small"
-              sx={{
-                mb: { xs: 2, sm: 3 },
-                '& .MuiOutlinedInput-root': {
-                  color: 'white',
-                  background: 'rgba(255, 255, 255, 0.05)',
-                  borderRadius: 2,
-                  '& fieldset': {
-                    borderColor: 'rgba(255, 255, 255, 0.1)',
-                  },
-                  '&:hover fieldset': {
-                    borderColor: 'rgba(96, 165, 250, 0.5)',
-                  },
-                  '&.Mui-focused fieldset': {
-                    borderColor: '#60A5FA',
-                  },
-                },
-                '& .MuiInputLabel-root': {
-                  color: 'rgba(255, 255, 255, 0.5)',
-                  '&.Mui-focused': {
-                    color: '#60A5FA',
-                  },
-                },
-              }}
-              InputProps={{
-                endAdornment: (
-                  <InputAdornment position="end">
-                    <IconButton
-                      onClick={() => setShowPassword(!showPassword)}
-                      edge="end"
-                      size="small"
-                      sx={{ color: 'rgba(255, 255, 255, 0.5)' }}
-                    >
-                      {showPassword ? <VisibilityOff /> : <Visibility />}
-                    </IconButton>
-                  </InputAdornment>
-                ),
-              }}
-            />
+          {/* Login form */}
+          {mode === 'login' && (
+            <form onSubmit={handleSubmit}>
+              <TextField
+                fullWidth
+                label="Email"
+                name="email"
+                type="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                autoComplete="email"
+                size="small"
+                sx={{ ...fieldSx, mb: { xs: 1.5, sm: 2.5 } }}
+              />
+
+              <TextField
+                fullWidth
+                label="Password"
+                name="password"
+                type={showPassword ? 'text' : 'password'}
+                value={formData.password}
+                onChange={handleChange}
+                required
+                autoComplete="current-password"
+                size="small"
+                sx={{ ...fieldSx, mb: 1 }}
+                InputProps={{
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      <IconButton
+                        onClick={() => setShowPassword(!showPassword)}
+                        edge="end"
+                        size="small"
+                        sx={{ color: 'rgba(255, 255, 255, 0.5)' }}
+                      >
+                        {showPassword ? <VisibilityOff /> : <Visibility />}
+                      </IconButton>
+                    </InputAdornment>
+                  ),
+                }}
+              />
+
+              <Box sx={{ textAlign: 'right', mb: { xs: 2, sm: 3 } }}>
+                <Link
+                  component={RouterLink}
+                  to="/forgot-password"
+                  variant="body2"
+                  sx={{ ...linkSx, fontWeight: 500 }}
+                >
+                  Forgot password?
+                </Link>
+              </Box>
+
+              <Button
+                fullWidth
+                type="submit"
+                variant="contained"
+                size="large"
+                disabled={loading}
+                startIcon={!loading && <LoginIcon />}
+                sx={primaryButtonSx}
+              >
+                {loading ? 'Signing in...' : 'Sign In'}
+              </Button>
+
+              {/* Sign up link */}
+              <Box sx={{ textAlign: 'center', mt: 3 }}>
+                <Typography
+                  variant="body2"
+                  sx={{ color: 'rgba(255, 255, 255, 0.5)' }}
+                >
+                  Don't have an account?{' '}
+                  <Link component={RouterLink} to="/signup" sx={linkSx}>
+                    Sign Up
+                  </Link>
+                </Typography>
+              </Box>
+            </form>
+          )}
+
+          {/* Forgot password form */}
+          {mode === 'forgot' && !notice && (
+            <form onSubmit={handleForgotSubmit}>
+              <TextField
+                fullWidth
+                label="Email"
+                name="email"
+                type="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                autoComplete="email"
+                size="small"
+                sx={{ ...fieldSx, mb: { xs: 2, sm: 3 } }}
+              />
+
+              <Button
+                fullWidth
+                type="submit"
+                variant="contained"
+                size="large"
+                disabled={loading}
+                startIcon={!loading && <Send />}
+                sx={primaryButtonSx}
+              >
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </form>
+          )}
 
+          {/* Reset password form */}
+          {mode === 'reset' && !urlToken && (
+            <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.6)', textAlign: 'center' }}>
+              This reset link is incomplete. Open the link from your email again, or{' '}
+              <Link component={RouterLink} to="/forgot-password" sx={linkSx}>
+                request a new one
+              </Link>
+              .
+            </Typography>
+          )}
+
+          {mode === 'reset' && urlToken && !notice && (
+            <form onSubmit={handleResetSubmit}>
+              <TextField
+                fullWidth
+                label="New password"
+                name="password"
+                type={showPassword ? 'text' : 'password'}
+                value={formData.password}
+                onChange={handleChange}
+                required
+                inputProps={{ minLength: 6 }}
+                autoComplete="new-password"
+                size="small"
+                sx={{ ...fieldSx, mb: { xs: 1.5, sm: 2.5 } }}
+                InputProps={{
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      <IconButton
+                        onClick={() => setShowPassword(!showPassword)}
+                        edge="end"
+                        size="small"
+                        sx={{ color: 'rgba(255, 255, 255, 0.5)' }}
+                      >
+                        {showPassword ? <VisibilityOff /> : <Visibility />}
+                      </IconButton>
+                    </InputAdornment>
+                  ),
+                }}
+              />
+
+              <TextField
+                fullWidth
+                label="Confirm new password"
+                name="confirmPassword"
+                type={showPassword ? 'text' : 'password'}
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                autoComplete="new-password"
+                size="small"
+                sx={{ ...fieldSx, mb: { xs: 2, sm: 3 } }}
+              />
+
+              <Button
+                fullWidth
+                type="submit"
+                variant="contained"
+                size="large"
+                disabled={loading}
+                startIcon={!loading && <LockReset />}
+                sx={primaryButtonSx}
+              >
+                {loading ? 'Saving...' : 'Set New Password'}
+              </Button>
+
+              <Typography
+                variant="caption"
+                component="p"
+                sx={{ color: 'rgba(255, 255, 255, 0.4)', textAlign: 'center', mt: 2 }}
+              >
+                You'll be signed out on all your devices.
+              </Typography>
+            </form>
+          )}
+
+          {/* Email verification status */}
+          {mode === 'verify' && loading && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+              <CircularProgress size={32} sx={{ color: '#60A5FA' }} />
+            </Box>
+          )}
+
+          {/* Continue from a finished reset/verification */}
+          {((mode === 'reset' && notice) || (mode === 'verify' && !loading)) && (
             <Button
               fullWidth
-              type="submit"
               variant="contained"
               size="large"
-              disabled={loading}
-              startIcon={!loading && <LoginIcon />}
-              sx={{
-                py: { xs: 1.2, sm: 1.5 },
-                borderRadius: 2,
-                fontSize: { xs: '0.9rem', sm: '1rem' },
-                fontWeight: 600,
-                textTransform: 'none',
-                background: 'linear-gradient(135deg, #60A5FA 0%, #3B82F6 100%)',
-                boxShadow: '0 10px 30px -10px rgba(96, 165, 250, 0.5)',
-                transition: 'all 0.3s ease',
-                '&:hover': {
-                  background: 'linear-gradient(135deg, #93C5FD 0%, #60A5FA 100%)',
-                  boxShadow: '0 15px 40px -10px rgba(96, 165, 250, 0.6)',
-                  transform: 'translateY(-2px)',
-                },
-                '&:disabled': {
-                  background: 'rgba(96, 165, 250, 0.3)',
-                },
-              }}
+              startIcon={<LoginIcon />}
+              onClick={() => navigate(user ? '/dashboard' : '/login')}
+              sx={primaryButtonSx}
             >
-              {loading ? 'Signing in...' : 'Sign In'}
+              {user ? 'Continue to Dashboard' : 'Sign In'}
             </Button>
+          )}
 
-            {/* Sign up link */}
+          {/* Back to sign in */}
+          {(mode === 'forgot' || (mode === 'reset' && !notice)) && (
             <Box sx={{ textAlign: 'center', mt: 3 }}>
-              <Typography
-                variant="body2"
-                sx={{ color: 'rgba(255, 255, 255, 0.5)' }}
-              >
-                Don't have an account?{' '}
-                <Link
-                  component={RouterLink}
-                  to="/signup"
-                  sx={{
-                    color: '#60A5FA',
-                    fontWeight: 600,
-                    textDecoration: 'none',
-                    '&:hover': {
-                      color: '#93C5FD',
-                      textDecoration: 'underline',
-                    },
-                  }}
-                >
-                  Sign Up
-                </Link>
-              </Typography>
+              <Link component={RouterLink} to="/login" variant="body2" sx={linkSx}>
+                Back to sign in
+              </Link>
             </Box>
-          </form>
+          )}
         </Box>
 
         {/* Bottom glow effect */}
@@ -21,9 +21,14 @@ import {
   Menu,
   MenuItem,
   ListItemIcon,
+  Snackbar,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
   useTheme
 } from '@mui/material';
-import { Send, ArrowBack, EmojiEmotions, DoneAll, Done, MoreVert, Delete as DeleteIcon, PersonRemove, Close as CloseIcon } from '@mui/icons-material';
+import { Send, ArrowBack, EmojiEmotions, DoneAll, Done, MoreVert, Delete as DeleteIcon, PersonRemove, Close as CloseIcon, OutlinedFlag, Reply, EditOutlined, DeleteOutline, Undo, Search as SearchIcon } from '@mui/icons-material';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useSocket } from '../context/SocketContext';
 import { useAuth } from '../context/AuthContext';
@@ -31,8 +36,15 @@ import api from '../utils/api';
 import { useDeviceType } from '../hooks/useDeviceType';
 import { fetchAvatars } from '../hooks/useAvatar';
 import UserProfileDialog from '../components/UserProfileDialog';
+import ReportDialog from '../components/ReportDialog';
+import MessageSearchDialog from '../components/MessageSearchDialog';
 import useVisibilityRefresh from '../hooks/useVisibilityRefresh';
 
+// Mirror backend/services/directMessageService.js
+const DM_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const DM_UNSEND_WINDOW_MS = 60 * 60 * 1000;
+const UNSENT_TEXT = 'This message was unsent';
+
 const MessagesPage = () => {
   const navigate = useNavigate();
   const { friendId } = useParams();
@@ -47,7 +59,12 @@ const MessagesPage = () => {
   const [newMessage, setNewMessage] = useState('');
   const [replyTo, setReplyTo] = useState(null);
   const [profileDialogOpen, setProfileDialogOpen] = useState(false);
+  const [searchOpen, setSearchOpen] = useState(false);
   const [menuAnchorEl, setMenuAnchorEl] = useState(null);
+  const [reportTarget, setReportTarget] = useState(null); // ReportDialog target
+  const [notice, setNotice] = useState(null);
+  const [messageMenu, setMessageMenu] = useState(null); // { anchor, msg } from right-click / long-press
+  const [editing, setEditing] = useState(null); // { msg, text }
   const menuOpen = Boolean(menuAnchorEl);
   const [emojiAnchor, setEmojiAnchor] = useState(null);
   const [conversationsLoaded, setConversationsLoaded] = useState(false);
@@ -231,11 +248,40 @@ const MessagesPage = () => {
       }));
     };
 
+    // A moderator hid or deleted a reported message
+    const handleDmHidden = ({ messageId }) => {
+      const placeholder = 'This content was hidden by a moderator';
+      setMessages(prev => prev.map(msg => (
+        msg._id === messageId ? { ...msg, message: placeholder, content: placeholder, isHidden: true } : msg
+      )));
+    };
+
+    // Deleted by a moderator, unsent by the sender (scope 'everyone'),
+    // or deleted for me on another device (scope 'me')
+    const handleDmDeleted = ({ messageId, scope }) => {
+      setMessages(prev => prev
+        .filter(msg => msg._id !== messageId)
+        .map(msg => (scope === 'everyone' && msg.replyTo?._id === messageId
+          ? { ...msg, replyTo: { ...msg.replyTo, message: UNSENT_TEXT } }
+          : msg)));
+    };
+
+    const handleDmEdited = ({ messageId, content, editedAt }) => {
+      setMessages(prev => prev.map(msg => {
+        if (msg._id === messageId) return { ...msg, message: content, content, editedAt, isEdited: true };
+        if (msg.replyTo?._id === messageId) return { ...msg, replyTo: { ...msg.replyTo, message: content.slice(0, 100) } };
+        return msg;
+      }));
+    };
+
     socket.on('new_direct_message', handleNewDirectMessage);
     socket.on('user:status', handleUserStatus);
     socket.on('users:online', handleOnlineUsers);
     socket.on('dm:read', handleDmRead);
     socket.on('dm:delivered', handleDmDelivered);
+    socket.on('dm:hidden', handleDmHidden);
+    socket.on('dm:deleted', handleDmDeleted);
+    socket.on('dm:edited', handleDmEdited);
 
     const handleFriendRemoved = ({ friendId }) => {
       // If the current chat was removed, exit the chat
@@ -256,6 +302,9 @@ const MessagesPage = () => {
       socket.off('users:online', handleOnlineUsers);
       socket.off('dm:read', handleDmRead);
       socket.off('dm:delivered', handleDmDelivered);
+      socket.off('dm:hidden', handleDmHidden);
+      socket.off('dm:deleted', handleDmDeleted);
+      socket.off('dm:edited', handleDmEdited);
       socket.off('friend:removed');
     };
   }, [socket, selectedFriend, user]);
@@ -580,6 +629,50 @@ const MessagesPage = () => {
       });
   };
 
+  // Message actions (right-click, or long-press on touch screens)
+  const openMessageMenu = (e, msg) => {
+    if (msg.sending || msg.failed || msg._id?.startsWith?.('temp_')) return;
+    e.preventDefault();
+    setMessageMenu({ anchor: e.currentTarget, msg });
+  };
+
+  const isOwnMessage = (msg) => String(getUserId(msg?.sender) || '') === String(getUserId(user) || '');
+  const withinWindow = (msg, windowMs) => Date.now() - new Date(msg.createdAt).getTime() < windowMs;
+
+  const handleSaveEdit = async () => {
+    const { msg, text } = editing;
+    setEditing(null);
+    if (!text.trim() || text.trim() === msg.message) return;
+    try {
+      const res = await api.put(`/direct-messages/messages/${msg._id}`, { message: text.trim() });
+      const updated = res.data.message;
+      setMessages(prev => prev.map(m => (m._id === msg._id
+        ? { ...m, message: updated.content, content: updated.content, editedAt: updated.editedAt, isEdited: true }
+        : m)));
+    } catch (err) {
+      setNotice(err.response?.data?.message || 'Failed to edit message');
+    }
+  };
+
+  const handleDeleteForMe = async (msg) => {
+    setMessages(prev => prev.filter(m => m._id !== msg._id));
+    try {
+      await api.delete(`/direct-messages/messages/${msg._id}`);
+    } catch (err) {
+      setNotice(err.response?.data?.message || 'Failed to delete message');
+    }
+  };
+
+  const handleUnsend = async (msg) => {
+    if (!window.confirm('Unsend this message for both of you?')) return;
+    try {
+      await api.delete(`/direct-messages/messages/${msg._id}/everyone`);
+      setMessages(prev => prev.filter(m => m._id !== msg._id));
+    } catch (err) {
+      setNotice(err.response?.data?.message || 'Failed to unsend message');
+    }
+  };
+
   const handleSelectConversation = (friend) => {
     const fid = getUserId(friend);
     // Clear unread count immediately in UI
@@ -709,6 +802,15 @@ const MessagesPage = () => {
                   <ListItemIcon><DeleteIcon fontSize="small" /></ListItemIcon>
                   Clear chat history
                 </MenuItem>
+                <MenuItem
+                  onClick={() => {
+                    setReportTarget({ type: 'user', id: getUserId(selectedFriend), label: getUserName(selectedFriend) });
+                    handleCloseMenu();
+                  }}
+                >
+                  <ListItemIcon><OutlinedFlag fontSize="small" /></ListItemIcon>
+                  Report user
+                </MenuItem>
                 <MenuItem
                   onClick={() => {
                     if (window.confirm('Remove this friend? This will also clear your chat history.')) {
@@ -773,6 +875,7 @@ const MessagesPage = () => {
                         {/* WhatsApp-style bubble with tail */}
                         <Box
                           onClick={handleReply}
+                          onContextMenu={(e) => openMessageMenu(e, msg)}
                           sx={{
                             position: 'relative',
                             p: '8px 12px',
@@ -827,7 +930,7 @@ const MessagesPage = () => {
                           </Typography>
                           <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: 0.5, mt: 0.25, float: 'right', ml: 1 }}>
                             <Typography variant="caption" sx={{ fontSize: '11px', color: isDark ? 'rgba(255,255,255,0.6)' : 'rgba(0,0,0,0.45)', lineHeight: 1 }}>
-                              {formatTime(msg.createdAt)}
+                              {msg.isEdited && 'edited · '}{formatTime(msg.createdAt)}
                             </Typography>
                             {isOwn && (
                               msg.isRead ? (
@@ -975,11 +1078,17 @@ const MessagesPage = () => {
           userId={getUserId(selectedFriend)}
         />
         <Container maxWidth="lg" sx={{ mt: isMobile ? 2 : 4, mb: isMobile ? 10 : 4, px: { xs: 2, sm: 3, md: 4 } }}>
+        <MessageSearchDialog open={searchOpen} onClose={() => setSearchOpen(false)} />
         <Paper>
-          <Box sx={{ p: 2 }}>
-            <Typography variant="h5" fontWeight="bold">
+          <Box sx={{ p: 2, display: 'flex', alignItems: 'center' }}>
+            <Typography variant="h5" fontWeight="bold" sx={{ flex: 1 }}>
               Messages
             </Typography>
+            <Tooltip title="Search messages">
+              <IconButton onClick={() => setSearchOpen(true)}>
+                <SearchIcon />
+              </IconButton>
+            </Tooltip>
           </Box>
           <Divider />
           {!conversationsLoaded ? (
@@ -1046,14 +1155,20 @@ const MessagesPage = () => {
         onClose={() => setProfileDialogOpen(false)}
         userId={getUserId(selectedFriend)}
       />
+      <MessageSearchDialog open={searchOpen} onClose={() => setSearchOpen(false)} />
       <Container maxWidth="lg" sx={{ mt: 2, mb: 2, height: 'calc(100vh - 100px)' }}>
       <Paper sx={{ height: '100%', display: 'flex', overflow: 'hidden' }}>
         {/* Conversations List */}
         <Box sx={{ width: 320, borderRight: 1, borderColor: 'divider', display: 'flex', flexDirection: 'column' }}>
-          <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
-            <Typography variant="h6" fontWeight="bold">
+          <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider', display: 'flex', alignItems: 'center' }}>
+            <Typography variant="h6" fontWeight="bold" sx={{ flex: 1 }}>
               Messages
             </Typography>
+            <Tooltip title="Search messages">
+              <IconButton size="small" onClick={() => setSearchOpen(true)}>
+                <SearchIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
           </Box>
           <Box sx={{ flex: 1, overflowY: 'auto' }}>
             {!conversationsLoaded ? (
@@ -1186,6 +1301,7 @@ const MessagesPage = () => {
                           {/* WhatsApp-style bubble with tail */}
                           <Box
                             onClick={handleReplyDesktop}
+                            onContextMenu={(e) => openMessageMenu(e, msg)}
                             sx={{
                               position: 'relative',
                               p: '8px 12px',
@@ -1243,7 +1359,7 @@ const MessagesPage = () => {
                             </Typography>
                             <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: 0.5, mt: 0.25, float: 'right', ml: 1 }}>
                               <Typography variant="caption" sx={{ fontSize: '11px', color: isDark ? 'rgba(255,255,255,0.6)' : 'rgba(0,0,0,0.45)', lineHeight: 1 }}>
-                                {formatTime(msg.createdAt)}
+                                {msg.isEdited && 'edited · '}{formatTime(msg.createdAt)}
                               </Typography>
                               {isOwn && (
                                 msg.isRead ? (
@@ -1376,6 +1492,15 @@ const MessagesPage = () => {
             <ListItemIcon><DeleteIcon fontSize="small" /></ListItemIcon>
             Clear chat history
           </MenuItem>
+          <MenuItem
+            onClick={() => {
+              setReportTarget({ type: 'user', id: getUserId(selectedFriend), label: getUserName(selectedFriend) });
+              handleCloseMenu();
+            }}
+          >
+            <ListItemIcon><OutlinedFlag fontSize="small" /></ListItemIcon>
+            Report user
+          </MenuItem>
           <MenuItem
             onClick={() => {
               if (window.confirm('Remove this friend? This will also clear your chat history.')) {
@@ -1391,6 +1516,88 @@ const MessagesPage = () => {
         </Menu>
       </Paper>
       </Container>
+
+      <Menu anchorEl={messageMenu?.anchor} open={Boolean(messageMenu)} onClose={() => setMessageMenu(null)}>
+        <MenuItem
+          onClick={() => {
+            const { msg } = messageMenu;
+            setMessageMenu(null);
+            setReplyTo({ _id: msg._id, message: msg.message, sender: msg.sender });
+          }}
+        >
+          <ListItemIcon><Reply fontSize="small" /></ListItemIcon>
+          Reply
+        </MenuItem>
+        {messageMenu && isOwnMessage(messageMenu.msg) && !messageMenu.msg.isHidden && withinWindow(messageMenu.msg, DM_EDIT_WINDOW_MS) && (
+          <MenuItem
+            onClick={() => {
+              const { msg } = messageMenu;
+              setMessageMenu(null);
+              setEditing({ msg, text: msg.message });
+            }}
+          >
+            <ListItemIcon><EditOutlined fontSize="small" /></ListItemIcon>
+            Edit
+          </MenuItem>
+        )}
+        <MenuItem
+          onClick={() => {
+            const { msg } = messageMenu;
+            setMessageMenu(null);
+            handleDeleteForMe(msg);
+          }}
+        >
+          <ListItemIcon><DeleteOutline fontSize="small" /></ListItemIcon>
+          Delete for me
+        </MenuItem>
+        {messageMenu && isOwnMessage(messageMenu.msg) && withinWindow(messageMenu.msg, DM_UNSEND_WINDOW_MS) && (
+          <MenuItem
+            onClick={() => {
+              const { msg } = messageMenu;
+              setMessageMenu(null);
+              handleUnsend(msg);
+            }}
+            sx={{ color: 'error.main' }}
+          >
+            <ListItemIcon><Undo fontSize="small" color="error" /></ListItemIcon>
+            Unsend
+          </MenuItem>
+        )}
+      </Menu>
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Edit message</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            maxRows={6}
+            value={editing?.text || ''}
+            onChange={(e) => setEditing(prev => ({ ...prev, text: e.target.value.slice(0, 2000) }))}
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveEdit} disabled={!editing?.text.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ReportDialog
+        open={Boolean(reportTarget)}
+        target={reportTarget}
+        onClose={() => setReportTarget(null)}
+        onReported={setNotice}
+      />
+      <Snackbar
+        open={Boolean(notice)}
+        autoHideDuration={3000}
+        onClose={() => setNotice(null)}
+        message={notice}
+      />
     </>
   );
 };
@@ -52,12 +52,14 @@ import api from '../utils/api';
 import { subscribeToPush, unsubscribeFromPush, ensureServiceWorkerRegistered } from '../utils/pushClient';
 import { getErrorMessage } from '../utils/errorMessages';
 import PremiumSettingsCard from '../components/PremiumSettingsCard';
+import ActiveSessionsCard from '../components/ActiveSessionsCard';
+import NotificationPreferencesCard from '../components/NotificationPreferencesCard';
 import { AnimatedNumber } from '../components/animations';
 import { usePremium } from '../context/PremiumContext';
 import { NeumorphicIconButton, NeumorphicButton } from '../components/premium';
 
 const ProfilePage = () => {
-  const { user, logout, updateProfile, loadUser } = useAuth();
+  const { user, logout, updateProfile, loadUser, resendVerification } = useAuth();
   const { socket } = useSocket();
   const { mode, themePreference, setThemeMode } = useCustomTheme();
   const { isGlobalPremium } = usePremium();
@@ -1121,6 +1123,50 @@ const ProfilePage = () => {
                 )}
               </Box>
 
+              {/* Notification Preferences */}
+              <Box sx={{ mb: { xs: 2, md: 3 } }}>
+                <Typography variant="subtitle1" fontWeight="bold" gutterBottom sx={{ fontSize: { xs: '0.9rem', md: '1rem' } }}>
+                  Notification Preferences
+                </Typography>
+                <NotificationPreferencesCard />
+              </Box>
+
+              {/* Email verification */}
+              {user && user.emailVerified === false && (
+                <Alert
+                  severity="warning"
+                  sx={{ mb: { xs: 2, md: 3 }, fontSize: { xs: '0.75rem', md: '0.875rem' } }}
+                  action={
+                    <Button
+                      color="inherit"
+                      size="small"
+                      onClick={async () => {
+                        const result = await resendVerification();
+                        if (result.success) {
+                          setSuccess(result.message);
+                          setTimeout(() => setSuccess(null), 3000);
+                        } else {
+                          setError(result.message);
+                          setTimeout(() => setError(null), 4000);
+                        }
+                      }}
+                    >
+                      Resend
+                    </Button>
+                  }
+                >
+                  Your email address isn't verified yet. Check your inbox for the verification link.
+                </Alert>
+              )}
+
+              {/* Signed-in Devices */}
+              <Box sx={{ mb: { xs: 2, md: 3 } }}>
+                <Typography variant="subtitle1" fontWeight="bold" gutterBottom sx={{ fontSize: { xs: '0.9rem', md: '1rem' } }}>
+                  Signed-in Devices
+                </Typography>
+                <ActiveSessionsCard />
+              </Box>
+
             </Paper>
           )}
         </Box>
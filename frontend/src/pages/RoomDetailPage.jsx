@@ -34,7 +34,10 @@ import {
   ToggleButtonGroup,
   CircularProgress,
   Fab,
-  Portal
+  Portal,
+  MenuItem,
+  Menu,
+  ListItemIcon
 } from '@mui/material';
 import {
   ArrowBack,
@@ -55,7 +58,9 @@ import {
   Star,
   Whatshot,
   Shield,
-  HelpOutline
+  HelpOutline,
+  ManageAccounts,
+  Check
 } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../context/SocketContext';
@@ -65,10 +70,23 @@ import { format, parseISO } from 'date-fns';
 import api, { invalidateCache } from '../utils/api';
 import ChatDrawer from '../components/ChatDrawer';
 import TaskTypeSelector from '../components/TaskTypeSelector';
+import RoomLeaderboard from '../components/RoomLeaderboard';
+import RoomSeasons from '../components/RoomSeasons';
+import RoomModerationQueue from '../components/RoomModerationQueue';
+import RoomAuditLog from '../components/RoomAuditLog';
+import ReportDialog from '../components/ReportDialog';
 import DailyOrbitSummaryModal from '../components/DailyOrbitSummaryModal';
 import RoomOnboardingModal from '../components/RoomOnboardingModal';
 import { MVPCrownIcon } from '../components/icons/ConstellationIcons';
 import { getErrorMessage } from '../utils/errorMessages';
+import {
+  ROOM_ROLES,
+  ROOM_PERMISSIONS,
+  ROLE_LABELS,
+  ROLE_DESCRIPTIONS,
+  outranks,
+  getAssignableRoles
+} from '../utils/roomRoles';
 import { 
   PremiumCard, 
   PremiumAvatar, 
@@ -102,6 +120,7 @@ const RoomDetailPage = () => {
   const [success, setSuccess] = useState(null);
   const [tabValue, setTabValue] = useState(0);
   const [leaveDialogOpen, setLeaveDialogOpen] = useState(false);
+  const [seasonsVersion, setSeasonsVersion] = useState(0); // bumped by season socket events
   const [manageTasksOpen, setManageTasksOpen] = useState(false);
   const [taskTypeOpen, setTaskTypeOpen] = useState(false);
   const [settingsOpen, setSettingsOpen] = useState(false);
@@ -115,6 +134,9 @@ const RoomDetailPage = () => {
   const [chatMessage, setChatMessage] = useState('');
   const [chatMessages, setChatMessages] = useState([]);
   const [chatDrawerOpen, setChatDrawerOpen] = useState(false);
+  const [pinnedMessages, setPinnedMessages] = useState([]);
+  const [canPinMessages, setCanPinMessages] = useState(false);
+  const [reportTarget, setReportTarget] = useState(null); // { type, id, label } for ReportDialog
   const [showRoomIntro, setShowRoomIntro] = useState(false);
   const [roomOnboardingOpen, setRoomOnboardingOpen] = useState(false);
   const [canNudge, setCanNudge] = useState(false);
@@ -140,6 +162,9 @@ const RoomDetailPage = () => {
   const [addingTask, setAddingTask] = useState(false);
   const [kickDialogOpen, setKickDialogOpen] = useState(false);
   const [memberToKick, setMemberToKick] = useState(null);
+  const [roleMenu, setRoleMenu] = useState(null); // { anchorEl, member }
+  const [memberToPromote, setMemberToPromote] = useState(null); // Ownership transfer target
+  const [transferringOwnership, setTransferringOwnership] = useState(false);
   const [pendingMembers, setPendingMembers] = useState([]);
   const [loadingPending, setLoadingPending] = useState(false);
   const [roomPremiumCode, setRoomPremiumCode] = useState('');
@@ -168,6 +193,18 @@ const RoomDetailPage = () => {
 
   // Determine if current user is the room owner
   const isOwner = room?.owner?._id === user?.id || room?.owner === user?.id;
+
+  // Current user's room role and permissions (sent with GET /rooms/:id)
+  const myRole = isOwner ? ROOM_ROLES.OWNER : (room?.userRole || ROOM_ROLES.MEMBER);
+  const hasRoomPermission = (permission) => isOwner || !!room?.permissions?.includes(permission);
+  const canEditRoom = hasRoomPermission(ROOM_PERMISSIONS.EDIT_ROOM);
+  const canManageTasks = hasRoomPermission(ROOM_PERMISSIONS.MANAGE_TASKS);
+  const canApproveMembers = hasRoomPermission(ROOM_PERMISSIONS.APPROVE_MEMBERS);
+  const canRemoveMembers = hasRoomPermission(ROOM_PERMISSIONS.REMOVE_MEMBERS);
+  const canManageRoles = hasRoomPermission(ROOM_PERMISSIONS.MANAGE_ROLES);
+  const canParticipate = hasRoomPermission(ROOM_PERMISSIONS.PARTICIPATE);
+  const canReviewReports = hasRoomPermission(ROOM_PERMISSIONS.REVIEW_REPORTS);
+  const canViewAudit = hasRoomPermission(ROOM_PERMISSIONS.VIEW_AUDIT);
   
   // Check if this room has premium active - USE SERVER STATE (room.isPremium)
   // This ensures ALL members see premium UI, not just the owner who activated it
@@ -273,6 +310,22 @@ const RoomDetailPage = () => {
     };
   }, [roomId]);
 
+  // Pinned messages & announcements shown at the top of the chat
+  const loadPinnedMessages = useCallback(async () => {
+    if (!roomId) return;
+    try {
+      const response = await api.get(`/rooms/${roomId}/chat/pinned`, { headers: { 'x-bypass-cache': 'true' } });
+      setPinnedMessages(response.data.messages || []);
+      setCanPinMessages(!!response.data.canPin);
+    } catch (err) {
+      console.error('Error loading pinned messages:', err);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    loadPinnedMessages();
+  }, [loadPinnedMessages]);
+
   // Function to refresh nudge status
   const refreshNudgeStatus = useCallback(async () => {
     if (!roomId) return;
@@ -495,13 +548,13 @@ const RoomDetailPage = () => {
   // a full state replacement (loadRoomDetails) that overwrites optimistic completion
   // state before the POST resolves. Room data is kept in sync via socket events only.
 
-  // Load pending members when room data is available and user is owner
+  // Load pending members when room data is available and user can review them
   useEffect(() => {
-    if (room && isOwner && room.requireApproval) {
+    if (room && canApproveMembers && room.requireApproval) {
       loadPendingMembers();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [room?._id, isOwner, room?.requireApproval]); // loadPendingMembers intentionally excluded to prevent loops
+  }, [room?._id, canApproveMembers, room?.requireApproval]); // loadPendingMembers intentionally excluded to prevent loops
 
   // Auto-scroll to bottom when new messages arrive or tab changes
   useEffect(() => {
@@ -596,6 +649,62 @@ const RoomDetailPage = () => {
         }
       });
 
+      // Listen for pin / unpin (announcements arrive pinned)
+      socket.on('chat:pinned', (data) => {
+        if (data.roomId !== roomId) return;
+        setPinnedMessages(prev => {
+          const rest = prev.filter(m => m._id !== data.messageId);
+          return data.isPinned ? [data.message, ...rest] : rest;
+        });
+        setChatMessages(prev => prev.map(m =>
+          m._id === data.messageId ? { ...m, isPinned: data.isPinned } : m
+        ));
+      });
+
+      // Hidden (moderation) and deleted messages show a placeholder; edits
+      // replace the text. Replies quoting them follow along.
+      const scrubReplies = (messageId, placeholder) => (m) => (
+        m.replyTo?._id === messageId ? { ...m, replyTo: { ...m.replyTo, message: placeholder } } : m
+      );
+      socket.on('chat:messageHidden', (data) => {
+        if (data.roomId !== roomId) return;
+        const placeholder = 'This content was hidden by a moderator';
+        const hide = (m) => (m._id === data.messageId ? { ...m, message: placeholder, content: placeholder, isHidden: true } : m);
+        setChatMessages(prev => prev.map(hide).map(scrubReplies(data.messageId, placeholder)));
+        setPinnedMessages(prev => prev.map(hide));
+      });
+      socket.on('chat:messageDeleted', (data) => {
+        if (data.roomId !== roomId) return;
+        const placeholder = 'This message was deleted';
+        const markDeleted = (m) => (m._id === data.messageId
+          ? { ...m, message: placeholder, content: placeholder, isDeleted: true, isEdited: false, isPinned: false, reactions: [] }
+          : m);
+        setChatMessages(prev => prev.map(markDeleted).map(scrubReplies(data.messageId, placeholder)));
+        setPinnedMessages(prev => prev.filter(m => m._id !== data.messageId));
+      });
+      socket.on('chat:messageEdited', (data) => {
+        if (data.roomId !== roomId) return;
+        const applyEdit = (m) => (m._id === data.messageId
+          ? { ...m, message: data.content, content: data.content, editedAt: data.editedAt, isEdited: true }
+          : m);
+        setChatMessages(prev => prev.map(applyEdit).map(scrubReplies(data.messageId, data.content.slice(0, 100))));
+        setPinnedMessages(prev => prev.map(applyEdit));
+      });
+
+      // Listen for reactions (payload carries the message's full reaction summary)
+      const handleReactionEvent = (data) => {
+        if (data.kind !== 'room' || data.roomId !== roomId) return;
+        const reactions = (data.reactions || []).map(r => ({
+          ...r,
+          reactedByMe: r.users?.some(u => u.id === user?.id) || false
+        }));
+        const applyReactions = (m) => (m._id === data.messageId ? { ...m, reactions } : m);
+        setChatMessages(prev => prev.map(applyReactions));
+        setPinnedMessages(prev => prev.map(applyReactions));
+      };
+      socket.on('reaction:added', handleReactionEvent);
+      socket.on('reaction:removed', handleReactionEvent);
+
       // Listen for task created
       socket.on('task:created', (data) => {
         if (data.roomId === roomId) {
@@ -738,6 +847,47 @@ const RoomDetailPage = () => {
         }
       });
 
+      // Role changes: refetch when it's ours, since our permissions change with it
+      socket.on('room:memberRoleChanged', (data) => {
+        if (data.roomId !== roomId) return;
+        setRoomMemberRole(data.userId, data.role);
+        if (data.userId === user?.id) {
+          setSuccess(`${data.changedBy?.username || 'The room owner'} made you ${ROLE_LABELS[data.role]?.toLowerCase() || data.role}`);
+          setTimeout(() => setSuccess(null), 3000);
+          invalidateCache(`/rooms/${roomId}`);
+          loadRoomDetails(true);
+        }
+      });
+
+      socket.on('room:ownerChanged', (data) => {
+        if (data.roomId !== roomId) return;
+        if (data.ownerId === user?.id) {
+          setSuccess('You are now the owner of this room');
+          setTimeout(() => setSuccess(null), 3000);
+        }
+        invalidateCache(`/rooms/${roomId}`);
+        loadRoomDetails(true);
+      });
+
+      // Season rollover resets points, so refetch the room along with the seasons
+      socket.on('room:seasonStarted', (data) => {
+        if (data.roomId !== roomId) return;
+        setSeasonsVersion(v => v + 1);
+        invalidateCache(`/rooms/${roomId}`);
+        loadRoomDetails(true);
+      });
+
+      socket.on('room:seasonEnded', (data) => {
+        if (data.roomId !== roomId) return;
+        if (data.champion) {
+          setSuccess(`🏆 ${data.champion.username} won ${data.season?.name || 'the season'}!`);
+          setTimeout(() => setSuccess(null), 4000);
+        }
+        setSeasonsVersion(v => v + 1);
+        invalidateCache(`/rooms/${roomId}`);
+        loadRoomDetails(true);
+      });
+
       // Listen for premium status updates (all members see this)
       socket.on('room:premiumUpdated', (data) => {
         if (data.roomId === roomId) {
@@ -754,6 +904,12 @@ const RoomDetailPage = () => {
         socket.off('task:completed');
         socket.off('task:uncompleted');
         socket.off('chat:message');
+        socket.off('chat:pinned');
+        socket.off('chat:messageHidden');
+        socket.off('chat:messageDeleted');
+        socket.off('chat:messageEdited');
+        socket.off('reaction:added');
+        socket.off('reaction:removed');
         socket.off('task:created');
         socket.off('task:deleted');
         socket.off('appreciation:given');
@@ -761,6 +917,10 @@ const RoomDetailPage = () => {
         socket.off('member:left');
         socket.off('member:kicked');
         socket.off('room:joinRequest');
+        socket.off('room:memberRoleChanged');
+        socket.off('room:ownerChanged');
+        socket.off('room:seasonStarted');
+        socket.off('room:seasonEnded');
         socket.off('room:premiumUpdated');
       };
     }
@@ -1043,6 +1203,65 @@ const RoomDetailPage = () => {
     }
   };
 
+  // Pin or unpin a chat message (owner/admin); the chat:pinned event updates every client
+  const handleTogglePin = async (msg) => {
+    try {
+      if (msg.isPinned) {
+        await api.delete(`/rooms/${roomId}/chat/${msg._id}/pin`);
+      } else {
+        await api.put(`/rooms/${roomId}/chat/${msg._id}/pin`);
+      }
+      invalidateCache(`/rooms/${roomId}/chat`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update pinned message');
+    }
+  };
+
+  // Toggle the current user's emoji reaction; the response carries the updated summary
+  const handleToggleReaction = async (msg, emoji) => {
+    const mine = msg.reactions?.find(r => r.emoji === emoji)?.reactedByMe;
+    try {
+      const response = mine
+        ? await api.delete(`/rooms/${roomId}/chat/${msg._id}/reactions/${encodeURIComponent(emoji)}`)
+        : await api.post(`/rooms/${roomId}/chat/${msg._id}/reactions`, { emoji });
+      const { reactions } = response.data;
+      setChatMessages(prev => prev.map(m => (m._id === msg._id ? { ...m, reactions } : m)));
+      invalidateCache(`/rooms/${roomId}/chat`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update reaction');
+    }
+  };
+
+  // Edit or delete a chat message; the chat:messageEdited/chat:messageDeleted events update every client
+  const handleEditMessage = async (msg, messageText) => {
+    try {
+      await api.put(`/rooms/${roomId}/chat/${msg._id}`, { message: messageText });
+      invalidateCache(`/rooms/${roomId}/chat`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to edit message');
+    }
+  };
+
+  const handleDeleteMessage = async (msg) => {
+    try {
+      await api.delete(`/rooms/${roomId}/chat/${msg._id}`);
+      invalidateCache(`/rooms/${roomId}/chat`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete message');
+    }
+  };
+
+  const handlePostAnnouncement = async (messageText) => {
+    try {
+      const response = await api.post(`/rooms/${roomId}/chat/announcements`, { message: messageText });
+      const announcement = response.data.message;
+      setChatMessages(prev => (prev.some(m => m._id === announcement._id) ? prev : [...prev, announcement]));
+      invalidateCache(`/rooms/${roomId}/chat`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to post announcement');
+    }
+  };
+
   const handleSendMessageFromDrawer = (messageText, replyTo = null) => {
     if (!messageText.trim()) return;
     
@@ -1159,6 +1378,20 @@ const RoomDetailPage = () => {
   };
 
   const handleLeaveRoom = async () => {
+    // The owner waits for the server: it picks the successor, or refuses when
+    // nobody else is left to take over
+    if (isOwner) {
+      setLeaveDialogOpen(false);
+      try {
+        await api.delete(`/rooms/${roomId}/leave`);
+        invalidateCache(`/rooms`);
+        navigate('/rooms');
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to leave room');
+      }
+      return;
+    }
+
     // OPTIMISTIC UPDATE - Close dialog and navigate immediately
     setLeaveDialogOpen(false);
     setSuccess('Leaving room...');
@@ -1179,7 +1412,7 @@ const RoomDetailPage = () => {
     }
   };
 
-  // Load pending members (for room owner)
+  // Load pending members (for owner, admins and moderators)
   const loadPendingMembers = async () => {
     if (!room?.requireApproval) return;
     
@@ -1220,6 +1453,58 @@ const RoomDetailPage = () => {
     }
   };
 
+  // Update a member's role in local state
+  const setRoomMemberRole = (memberId, role) => {
+    setRoom(prev => prev ? {
+      ...prev,
+      members: prev.members.map(m => ((m.userId._id || m.userId) === memberId ? { ...m, role } : m))
+    } : prev);
+  };
+
+  // Promote/demote a member
+  const handleChangeMemberRole = async (member, role) => {
+    setRoleMenu(null);
+    const memberId = member.userId._id || member.userId;
+    if ((member.role || ROOM_ROLES.MEMBER) === role) return;
+
+    try {
+      setError(null);
+      await api.put(`/rooms/${roomId}/members/${memberId}/role`, { role });
+      setRoomMemberRole(memberId, role);
+      setSuccess(`${member.userId.username || 'Member'} is now ${ROLE_LABELS[role].toLowerCase()}`);
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      console.error('Error changing member role:', err);
+      const { icon, message } = getErrorMessage(err);
+      setError(`${icon} ${message}`);
+      setTimeout(() => setError(null), 5000);
+    }
+  };
+
+  // Hand the room to another member (the current owner becomes an admin)
+  const handleTransferOwnership = async () => {
+    if (!memberToPromote) return;
+    const memberId = memberToPromote.userId._id || memberToPromote.userId;
+
+    try {
+      setTransferringOwnership(true);
+      setError(null);
+      const response = await api.post(`/rooms/${roomId}/transfer-ownership`, { userId: memberId });
+      setSuccess(response.data.message || 'Ownership transferred');
+      setTimeout(() => setSuccess(null), 3000);
+      setMemberToPromote(null);
+      invalidateCache(`/rooms/${roomId}`);
+      loadRoomDetails();
+    } catch (err) {
+      console.error('Error transferring ownership:', err);
+      const { icon, message } = getErrorMessage(err);
+      setError(`${icon} ${message}`);
+      setTimeout(() => setError(null), 5000);
+    } finally {
+      setTransferringOwnership(false);
+    }
+  };
+
   // Reject pending member
   const handleRejectMember = async (userId) => {
     try {
@@ -1616,7 +1901,7 @@ const RoomDetailPage = () => {
                     }}
                   />
                 </Tooltip>
-                {isOwner && <Chip label="Owner" size="small" color="primary" sx={{ height: { xs: 20, md: 24 }, fontSize: { xs: '0.65rem', md: '0.75rem' } }} />}
+                {myRole !== ROOM_ROLES.MEMBER && <Chip label={ROLE_LABELS[myRole]} size="small" color={isOwner ? 'primary' : 'default'} sx={{ height: { xs: 20, md: 24 }, fontSize: { xs: '0.65rem', md: '0.75rem' } }} />}
                 <Chip 
                   label={room.isPublic ? 'Public' : 'Private'} 
                   size="small" 
@@ -1658,7 +1943,7 @@ const RoomDetailPage = () => {
             </Box>
           </Box>
           <Box sx={{ display: 'flex', gap: 0.5 }}>
-            {isOwner && (
+            {canEditRoom && (
               <Tooltip title="Room Settings">
                 <IconButton size="small" onClick={() => {
                   setRoomSettings({
@@ -1674,13 +1959,11 @@ const RoomDetailPage = () => {
                 </IconButton>
               </Tooltip>
             )}
-            {!isOwner && (
-              <Tooltip title="Leave Room">
-                <IconButton size="small" onClick={() => setLeaveDialogOpen(true)} color="error">
-                  <ExitToApp sx={{ fontSize: { xs: 20, md: 24 } }} />
-                </IconButton>
-              </Tooltip>
-            )}
+            <Tooltip title="Leave Room">
+              <IconButton size="small" onClick={() => setLeaveDialogOpen(true)} color="error">
+                <ExitToApp sx={{ fontSize: { xs: 20, md: 24 } }} />
+              </IconButton>
+            </Tooltip>
           </Box>
         </Box>
 
@@ -1762,7 +2045,7 @@ const RoomDetailPage = () => {
                     {room.name}
                   </Typography>
                   <Box sx={{ display: 'flex', gap: 0.5, mt: 0.5, flexWrap: 'wrap' }}>
-                    {isOwner && <Chip label="Owner" size="small" color="primary" sx={{ height: { xs: 20, md: 24 }, fontSize: { xs: '0.65rem', md: '0.75rem' } }} />}
+                    {myRole !== ROOM_ROLES.MEMBER && <Chip label={ROLE_LABELS[myRole]} size="small" color={isOwner ? 'primary' : 'default'} sx={{ height: { xs: 20, md: 24 }, fontSize: { xs: '0.65rem', md: '0.75rem' } }} />}
                     <Chip 
                       label={room.isPublic ? 'Public' : 'Private'} 
                       size="small" 
@@ -1803,7 +2086,7 @@ const RoomDetailPage = () => {
                 </Box>
               </Box>
               <Box sx={{ display: 'flex', gap: 0.5 }}>
-                {isOwner && (
+                {canEditRoom && (
                   <Tooltip title="Room Settings">
                     <IconButton size="small" onClick={() => {
                       setRoomSettings({
@@ -1819,11 +2102,9 @@ const RoomDetailPage = () => {
                     </IconButton>
                   </Tooltip>
                 )}
-                {!isOwner && (
-                  <IconButton size="small" onClick={() => setLeaveDialogOpen(true)}>
-                    <ExitToApp sx={{ fontSize: { xs: 20, md: 24 } }} />
-                  </IconButton>
-                )}
+                <IconButton size="small" onClick={() => setLeaveDialogOpen(true)}>
+                  <ExitToApp sx={{ fontSize: { xs: 20, md: 24 } }} />
+                </IconButton>
               </Box>
             </Box>
             {room.description && (
@@ -1972,7 +2253,7 @@ const RoomDetailPage = () => {
                 <Typography variant="h6" fontWeight="bold" sx={{ fontSize: { xs: '1rem', md: '1.25rem' } }}>
                   Daily Tasks
                 </Typography>
-                {isOwner && (
+                {canManageTasks && (
                   <Button 
                     variant="outlined" 
                     size="small" 
@@ -2025,7 +2306,7 @@ const RoomDetailPage = () => {
                   <Typography variant="body2" color="text.secondary">
                     {room.tasks?.length > 0 
                       ? 'Check back on other days for more tasks' 
-                      : (isOwner ? 'Add tasks to get started' : 'The owner hasn\'t added tasks yet')}
+                      : (canManageTasks ? 'Add tasks to get started' : 'The owner hasn\'t added tasks yet')}
                   </Typography>
                 </Box>
               ) : (
@@ -2167,51 +2448,13 @@ const RoomDetailPage = () => {
               <Typography variant="h6" fontWeight="bold" gutterBottom sx={{ fontSize: { xs: '1rem', md: '1.25rem' } }}>
                 Leaderboard
               </Typography>
-              <List>
-                {room.members
-                  ?.sort((a, b) => (b.points || 0) - (a.points || 0))
-                  .map((member, index) => (
-                    <ListItem key={member.userId._id || member.userId}>
-                      <ListItemAvatar>
-                        <Avatar sx={{ bgcolor: index < 3 ? 'primary.main' : 'default' }}>
-                          {index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : index + 1}
-                        </Avatar>
-                      </ListItemAvatar>
-                      <ListItemText
-                        primary={
-                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                            <Typography variant="body1" fontWeight="bold">
-                              {member.userId.username || member.userId.email}
-                            </Typography>
-                            {/* MVP Crown */}
-                            {roomMVP?.userId === (member.userId._id || member.userId) && (
-                              <Tooltip title="Room MVP — consistency & contribution">
-                                <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                                  <MVPCrownIcon size={20} glowing animated />
-                                </Box>
-                              </Tooltip>
-                            )}
-                            {(member.userId._id === user?.id || member.userId === user?.id) && (
-                              <Chip label="You" size="small" color="primary" />
-                            )}
-                          </Box>
-                        }
-                        secondary={
-                          <>
-                            <Typography component="span" variant="body2" color="text.secondary">
-                              {member.points || 0} points
-                            </Typography>
-                            {member.streak > 0 && (
-                              <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 2 }}>
-                                🔥 {member.streak} day streak
-                              </Typography>
-                            )}
-                          </>
-                        }
-                      />
-                    </ListItem>
-                  ))}
-              </List>
+              <RoomSeasons roomId={roomId} canManage={isOwner} refreshKey={seasonsVersion} />
+              <RoomLeaderboard
+                roomId={roomId}
+                currentUserId={user?.id}
+                mvpUserId={roomMVP?.userId}
+                refreshKey={room.members?.reduce((sum, m) => sum + (m.points || 0), 0)}
+              />
             </RoomPremiumPaper>
           )}
 
@@ -2438,7 +2681,8 @@ const RoomDetailPage = () => {
                 <TextField
                   fullWidth
                   size="small"
-                  placeholder="Type a message..."
+                  placeholder={canParticipate ? 'Type a message...' : 'Viewers can read but not post'}
+                  disabled={!canParticipate}
                   value={chatMessage}
                   onChange={(e) => setChatMessage(e.target.value)}
                   onKeyPress={(e) => {
@@ -2451,7 +2695,7 @@ const RoomDetailPage = () => {
                 <Button 
                   variant="contained" 
                   onClick={handleSendMessage}
-                  disabled={!chatMessage.trim()}
+                  disabled={!canParticipate || !chatMessage.trim()}
                 >
                   Send
                 </Button>
@@ -2466,8 +2710,8 @@ const RoomDetailPage = () => {
 
         {/* Sidebar */}
         <Box sx={{ flex: { md: 1 }, width: '100%', minWidth: 0 }}>
-          {/* Pending Members (Owner Only) */}
-          {isOwner && room?.requireApproval && pendingMembers.length > 0 && (
+          {/* Pending Members (owner, admins, moderators) */}
+          {canApproveMembers && room?.requireApproval && pendingMembers.length > 0 && (
             <Paper sx={{ p: 2, mb: 2, borderLeft: 4, borderColor: 'warning.main', width: '100%', maxWidth: '100%' }}>
               <Typography variant="subtitle1" fontWeight="bold" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                 <People color="warning" />
@@ -2535,6 +2779,12 @@ const RoomDetailPage = () => {
             </Paper>
           )}
 
+          {/* Reports queue (owner, admins) */}
+          {canReviewReports && <RoomModerationQueue roomId={roomId} />}
+
+          {/* Audit log (owner, admins) */}
+          {canViewAudit && <RoomAuditLog roomId={roomId} roomName={room?.name} />}
+
           {/* Stats Card */}
           <Card sx={{ 
             mb: 3, 
@@ -2650,6 +2900,8 @@ const RoomDetailPage = () => {
                 const memberId = member.userId._id || member.userId;
                 const isRoomOwner = room.owner._id === memberId || room.owner === memberId;
                 const isCurrentUser = user?.id === memberId;
+                const memberRole = isRoomOwner ? ROOM_ROLES.OWNER : (member.role || ROOM_ROLES.MEMBER);
+                const canManageMember = !isCurrentUser && outranks(myRole, memberRole);
                 
                 // Debug avatar
                 if (!member.userId.avatar) {
@@ -2662,20 +2914,34 @@ const RoomDetailPage = () => {
                   <ListItem 
                     key={memberId}
                     secondaryAction={
-                      isOwner && !isRoomOwner && !isCurrentUser ? (
-                        <Tooltip title="Remove member">
-                          <IconButton 
-                            edge="end" 
-                            size="small" 
-                            color="error"
-                            onClick={() => {
-                              setMemberToKick(member);
-                              setKickDialogOpen(true);
-                            }}
-                          >
-                            <ExitToApp fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
+                      canManageMember && (canManageRoles || canRemoveMembers) ? (
+                        <Box sx={{ display: 'flex' }}>
+                          {canManageRoles && (
+                            <Tooltip title="Change role">
+                              <IconButton
+                                size="small"
+                                onClick={(e) => setRoleMenu({ anchorEl: e.currentTarget, member })}
+                              >
+                                <ManageAccounts fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {canRemoveMembers && (
+                            <Tooltip title="Remove member">
+                              <IconButton 
+                                edge="end" 
+                                size="small" 
+                                color="error"
+                                onClick={() => {
+                                  setMemberToKick(member);
+                                  setKickDialogOpen(true);
+                                }}
+                              >
+                                <ExitToApp fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                        </Box>
                       ) : null
                     }
                   >
@@ -2717,6 +2983,14 @@ const RoomDetailPage = () => {
                           {isRoomOwner && (
                             <Chip label="Owner" size="small" color="primary" />
                           )}
+                          {!isRoomOwner && memberRole !== ROOM_ROLES.MEMBER && (
+                            <Chip
+                              label={ROLE_LABELS[memberRole]}
+                              size="small"
+                              color={memberRole === ROOM_ROLES.VIEWER ? 'default' : 'secondary'}
+                              variant="outlined"
+                            />
+                          )}
                           {isCurrentUser && (
                             <Chip label="You" size="small" variant="outlined" />
                           )}
@@ -2741,6 +3015,12 @@ const RoomDetailPage = () => {
           <Typography>
             Are you sure you want to leave this room? Your progress will be saved, but you'll need a new invite code to rejoin.
           </Typography>
+          {isOwner && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              Ownership passes to the longest-standing admin, or to the member with the most points if there are no admins.
+              To choose the new owner yourself, transfer ownership from the members list first.
+            </Alert>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setLeaveDialogOpen(false)}>Cancel</Button>
@@ -2803,30 +3083,21 @@ const RoomDetailPage = () => {
             />
 
            <TextField
-             label="Chat retention (days)"
-             type="number"
-             inputProps={{ min: 1, max: 5 }}
-             helperText="Room chat history will be kept for this many days (1–5). Older messages are deleted."
-             value={roomSettings.chatRetentionDays === '' ? '' : (roomSettings.chatRetentionDays ?? room?.chatRetentionDays ?? 5)}
-             onChange={(e) => {
-               const val = e.target.value;
-               if (val === '') {
-                 setRoomSettings({ ...roomSettings, chatRetentionDays: '' });
-               } else {
-                 setRoomSettings({ ...roomSettings, chatRetentionDays: parseInt(val) || '' });
-               }
-             }}
-             onBlur={(e) => {
-               const val = parseInt(e.target.value);
-               if (!val || val < 1) {
-                 setRoomSettings({ ...roomSettings, chatRetentionDays: 1 });
-               } else if (val > 5) {
-                 setRoomSettings({ ...roomSettings, chatRetentionDays: 5 });
-               }
-             }}
-             error={roomSettings.chatRetentionDays !== '' && (roomSettings.chatRetentionDays < 1 || roomSettings.chatRetentionDays > 5)}
+             select
+             label="Chat retention"
+             helperText={room?.isPremium
+               ? 'Room chat history is kept this long. Pinned messages are never deleted.'
+               : 'Room chat history is kept this long (up to 5 days). Premium rooms unlock 7–90 days. Pinned messages are never deleted.'}
+             value={roomSettings.chatRetentionDays ?? room?.chatRetentionDays ?? 5}
+             onChange={(e) => setRoomSettings({ ...roomSettings, chatRetentionDays: Number(e.target.value) })}
              fullWidth
-           />
+           >
+             {(room?.retentionOptions || [1, 2, 3, 4, 5]).map((days) => (
+               <MenuItem key={days} value={days}>
+                 {days === 1 ? '1 day' : `${days} days`}
+               </MenuItem>
+             ))}
+           </TextField>
             <FormControlLabel
               control={
                 <Switch
@@ -3067,29 +3338,33 @@ const RoomDetailPage = () => {
               </Box>
             )}
             
-            <Divider sx={{ my: 2 }} />
-            
-            {/* Danger Zone */}
-            <Box>
-              <Typography variant="body2" color="error" fontWeight="bold" gutterBottom>
-                Danger Zone
-              </Typography>
-              <Typography variant="caption" color="text.secondary" gutterBottom display="block" sx={{ mb: 1 }}>
-                Once you disband this room, all data including tasks, chat history, and member progress will be permanently deleted.
-              </Typography>
-              <Button 
-                variant="outlined" 
-                color="error" 
-                size="small"
-                fullWidth
-                onClick={() => {
-                  setSettingsOpen(false);
-                  setDisbandDialogOpen(true);
-                }}
-              >
-                Disband Room
-              </Button>
-            </Box>
+            {/* Danger Zone (owner only) */}
+            {isOwner && (
+              <>
+                <Divider sx={{ my: 2 }} />
+
+                <Box>
+                  <Typography variant="body2" color="error" fontWeight="bold" gutterBottom>
+                    Danger Zone
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" gutterBottom display="block" sx={{ mb: 1 }}>
+                    Once you disband this room, all data including tasks, chat history, and member progress will be permanently deleted.
+                  </Typography>
+                  <Button 
+                    variant="outlined" 
+                    color="error" 
+                    size="small"
+                    fullWidth
+                    onClick={() => {
+                      setSettingsOpen(false);
+                      setDisbandDialogOpen(true);
+                    }}
+                  >
+                    Disband Room
+                  </Button>
+                </Box>
+              </>
+            )}
           </Box>
         </DialogContent>
         <DialogActions>
@@ -3183,6 +3458,70 @@ const RoomDetailPage = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Member Role Menu */}
+      <Menu
+        anchorEl={roleMenu?.anchorEl}
+        open={!!roleMenu}
+        onClose={() => setRoleMenu(null)}
+      >
+        {roleMenu && getAssignableRoles(myRole).map((role) => {
+          const isCurrentRole = (roleMenu.member.role || ROOM_ROLES.MEMBER) === role;
+          return (
+            <MenuItem
+              key={role}
+              selected={isCurrentRole}
+              onClick={() => handleChangeMemberRole(roleMenu.member, role)}
+            >
+              <ListItemIcon>
+                {isCurrentRole && <Check fontSize="small" />}
+              </ListItemIcon>
+              <ListItemText primary={ROLE_LABELS[role]} secondary={ROLE_DESCRIPTIONS[role]} />
+            </MenuItem>
+          );
+        })}
+        {roleMenu && isOwner && [
+          <Divider key="divider" />,
+          <MenuItem
+            key="transfer"
+            onClick={() => {
+              setMemberToPromote(roleMenu.member);
+              setRoleMenu(null);
+            }}
+          >
+            <ListItemIcon />
+            <ListItemText
+              primary="Transfer ownership"
+              secondary="You'll stay on as an admin"
+              primaryTypographyProps={{ color: 'error' }}
+            />
+          </MenuItem>
+        ]}
+      </Menu>
+
+      {/* Transfer Ownership Dialog */}
+      <Dialog open={!!memberToPromote} onClose={() => !transferringOwnership && setMemberToPromote(null)}>
+        <DialogTitle>Transfer Ownership?</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Make <strong>{memberToPromote?.userId.username || memberToPromote?.userId.email}</strong> the owner of this room?
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            They'll control premium, retention and disbanding the room. You'll stay on as an admin.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMemberToPromote(null)} disabled={transferringOwnership}>Cancel</Button>
+          <Button
+            onClick={handleTransferOwnership}
+            color="error"
+            variant="contained"
+            disabled={transferringOwnership}
+          >
+            {transferringOwnership ? 'Transferring...' : 'Transfer Ownership'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Kick Member Dialog */}
       <Dialog open={kickDialogOpen} onClose={() => setKickDialogOpen(false)}>
         <DialogTitle>Remove Member?</DialogTitle>
@@ -3430,7 +3769,7 @@ const RoomDetailPage = () => {
         open={taskTypeOpen}
         roomId={roomId}
         onClose={() => setTaskTypeOpen(false)}
-        isOwner={isOwner}
+        isOwner={canManageTasks}
         onSelect={(type) => {
           if (type === 'room') {
             setTaskTypeOpen(false);
@@ -3462,6 +3801,25 @@ const RoomDetailPage = () => {
         canNudge={canNudge}
         nudgeStatus={nudgeStatus}
         nudging={nudging}
+        pinnedMessages={pinnedMessages}
+        canPin={canPinMessages}
+        canSend={canParticipate}
+        onTogglePin={handleTogglePin}
+        onPostAnnouncement={handlePostAnnouncement}
+        onToggleReaction={handleToggleReaction}
+        onReportMessage={(msg) => setReportTarget({ type: 'chat', id: msg._id, label: `${msg.userId?.username || 'this'}'s message` })}
+        onEditMessage={handleEditMessage}
+        onDeleteMessage={handleDeleteMessage}
+      />
+
+      <ReportDialog
+        open={!!reportTarget}
+        target={reportTarget}
+        onClose={() => setReportTarget(null)}
+        onReported={(message) => {
+          setSuccess(message);
+          setTimeout(() => setSuccess(null), 3000);
+        }}
       />
       
       {/* Daily Orbit Summary Modal */}
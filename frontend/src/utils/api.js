@@ -273,6 +273,37 @@ api.interceptors.request.use(
   }
 );
 
+// Token refresh (rotating refresh tokens) - one request in flight at a time
+let refreshPromise = null;
+
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  try {
+    const response = await axios.post(
+      `${API_BASE_URL}/api/auth/refresh`,
+      { refreshToken }
+    );
+
+    const { token, refreshToken: nextRefreshToken } = response.data;
+    localStorage.setItem('token', token);
+    if (nextRefreshToken) localStorage.setItem('refreshToken', nextRefreshToken);
+    return token;
+  } catch (err) {
+    // Another tab rotated this token a moment ago; give it a second to store the new pair
+    if (err.response?.data?.code === 'TOKEN_ROTATED') {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (localStorage.getItem('refreshToken') !== refreshToken) {
+        return localStorage.getItem('token');
+      }
+    }
+    throw err;
+  }
+};
+
 // Response interceptor to handle caching and token refresh
 api.interceptors.response.use(
   (response) => {
@@ -321,18 +352,13 @@ api.interceptors.response.use(
       originalRequest._retry = true;
 
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (!refreshToken) {
-          throw new Error('No refresh token');
+        // Share one refresh between concurrent 401s: refresh tokens are single-use
+        if (!refreshPromise) {
+          refreshPromise = refreshTokens().finally(() => {
+            refreshPromise = null;
+          });
         }
-
-        const response = await axios.post(
-          `${API_BASE_URL}/api/auth/refresh`,
-          { refreshToken }
-        );
-
-        const { token } = response.data;
-        localStorage.setItem('token', token);
+        const token = await refreshPromise;
 
         // Retry original request with new token
         originalRequest.headers.Authorization = `Bearer ${token}`;
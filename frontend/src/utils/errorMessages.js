@@ -130,6 +130,16 @@ const ERROR_MESSAGES = {
     message: 'You\'re already orbiting together! No need to send another request.',
     icon: '💫'
   },
+  USER_BLOCKED: {
+    title: 'Out of Reach',
+    message: 'You can\'t interact with this user.',
+    icon: '🚫'
+  },
+  UNBLOCK_FIRST: {
+    title: 'User Blocked',
+    message: 'You\'ve blocked this user. Unblock them from the Blocked tab in Friends first.',
+    icon: '🚫'
+  },
 
   // Nudge Errors
   NUDGE_LIMIT_REACHED: {
@@ -256,6 +266,9 @@ export const getErrorMessage = (error, context = '') => {
         if (serverMessage.includes('already friends')) {
           return ERROR_MESSAGES.ALREADY_FRIENDS;
         }
+        if (serverMessage.includes('unblock them first')) {
+          return ERROR_MESSAGES.UNBLOCK_FIRST;
+        }
         if (serverMessage.includes('limit') && serverMessage.includes('nudge')) {
           return ERROR_MESSAGES.NUDGE_LIMIT_REACHED;
         }
@@ -281,6 +294,13 @@ export const getErrorMessage = (error, context = '') => {
 
       case 403:
         // Check server message for specific 403 errors
+        if (serverMessage.includes('you have blocked')) {
+          return ERROR_MESSAGES.UNBLOCK_FIRST;
+        }
+        if (error.response?.data?.code === 'BLOCKED' || serverMessage.includes('cannot interact')
+          || serverMessage.includes('cannot appreciate')) {
+          return ERROR_MESSAGES.USER_BLOCKED;
+        }
         if (serverMessage.includes('must be a member') || serverMessage.includes('not a member')) {
           return {
             icon: '🚫',
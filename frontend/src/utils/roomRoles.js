@@ -0,0 +1,64 @@
+/**
+ * Room roles and permissions
+ *
+ * Mirrors backend/utils/roomPermissions.js. The server sends the current
+ * user's `userRole` and `permissions` with the room; these helpers only
+ * decide which controls to show, the server still enforces every action.
+ */
+
+export const ROOM_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MODERATOR: 'moderator',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+};
+
+export const ROOM_PERMISSIONS = {
+  PARTICIPATE: 'room:participate',
+  EDIT_ROOM: 'room:edit',
+  MANAGE_ROOM: 'room:manage',
+  APPROVE_MEMBERS: 'members:approve',
+  REMOVE_MEMBERS: 'members:remove',
+  MANAGE_ROLES: 'members:roles',
+  MODERATE_CHAT: 'chat:moderate',
+  MANAGE_TASKS: 'tasks:manage',
+  ASSIGN_TASKS: 'tasks:assign',
+  MODERATE_PROOFS: 'proofs:moderate',
+  REVIEW_REPORTS: 'reports:review',
+  VIEW_AUDIT: 'audit:view'
+};
+
+const ROLE_RANK = {
+  [ROOM_ROLES.VIEWER]: 0,
+  [ROOM_ROLES.MEMBER]: 1,
+  [ROOM_ROLES.MODERATOR]: 2,
+  [ROOM_ROLES.ADMIN]: 3,
+  [ROOM_ROLES.OWNER]: 4
+};
+
+// Roles that can be given from the members list (ownership moves by transfer)
+export const ASSIGNABLE_ROLES = [ROOM_ROLES.ADMIN, ROOM_ROLES.MODERATOR, ROOM_ROLES.MEMBER, ROOM_ROLES.VIEWER];
+
+export const ROLE_LABELS = {
+  [ROOM_ROLES.OWNER]: 'Owner',
+  [ROOM_ROLES.ADMIN]: 'Admin',
+  [ROOM_ROLES.MODERATOR]: 'Moderator',
+  [ROOM_ROLES.MEMBER]: 'Member',
+  [ROOM_ROLES.VIEWER]: 'Viewer'
+};
+
+export const ROLE_DESCRIPTIONS = {
+  [ROOM_ROLES.ADMIN]: 'Edit the room and tasks, manage members',
+  [ROOM_ROLES.MODERATOR]: 'Approve members, moderate chat and proofs',
+  [ROOM_ROLES.MEMBER]: 'Complete tasks and chat',
+  [ROOM_ROLES.VIEWER]: 'Read-only access'
+};
+
+export const getRoleRank = (role) => ROLE_RANK[role] ?? -1;
+
+export const outranks = (actorRole, targetRole) => getRoleRank(actorRole) > getRoleRank(targetRole);
+
+// Roles `actorRole` may hand out: those below their own
+export const getAssignableRoles = (actorRole) =>
+  ASSIGNABLE_ROLES.filter(role => outranks(actorRole, role));
@@ -0,0 +1,279 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+  Keyboard,
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { validateInput, forgotPasswordSchema } from '../../utils/validation';
+import { authHaptics } from '../../utils/haptics';
+import theme from '../../src/constants/theme';
+
+export default function ForgotPasswordScreen() {
+  const [email, setEmail] = useState('');
+  const [emailFocused, setEmailFocused] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState<Record<string, string>>({});
+  const [sentMessage, setSentMessage] = useState<string | null>(null);
+
+  const router = useRouter();
+  const { requestPasswordReset } = useAuth();
+
+  const handleSend = async () => {
+    Keyboard.dismiss();
+
+    const result = validateInput(forgotPasswordSchema, { email });
+    if (!result.success) {
+      setErrors(result.errors);
+      authHaptics.error();
+      return;
+    }
+
+    setErrors({});
+    setLoading(true);
+    authHaptics.buttonPress();
+
+    const response = await requestPasswordReset(result.data.email);
+    if (response.success) {
+      authHaptics.success();
+      setSentMessage(response.message || 'Check your email for a reset link.');
+    } else {
+      authHaptics.error();
+      setErrors({ general: response.message || 'Could not send reset link' });
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <View style={styles.container}>
+      <LinearGradient colors={theme.gradients.background} style={StyleSheet.absoluteFill} />
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardView}
+      >
+        <View style={styles.content}>
+          <View style={styles.iconCircle}>
+            <Ionicons name={sentMessage ? 'mail-open-outline' : 'key-outline'} size={36} color={theme.colors.primary} />
+          </View>
+
+          <View style={styles.header}>
+            <Text style={styles.title}>{sentMessage ? 'Check your email' : 'Forgot password?'}</Text>
+            <Text style={styles.subtitle}>
+              {sentMessage || "Enter your account email and we'll send you a link and code to reset your password."}
+            </Text>
+          </View>
+
+          {errors.general ? (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle" size={18} color={theme.colors.error} />
+              <Text style={styles.errorText}>{errors.general}</Text>
+            </View>
+          ) : null}
+
+          {!sentMessage ? (
+            <View style={styles.form}>
+              <View
+                style={[
+                  styles.inputWrapper,
+                  { borderColor: emailFocused ? theme.colors.primary : (errors.email ? theme.colors.error : theme.colors.border) },
+                ]}
+              >
+                <View style={styles.inputIcon}>
+                  <Ionicons name="mail-outline" size={18} color={theme.colors.textMuted} />
+                </View>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Email"
+                  placeholderTextColor={theme.colors.textHint}
+                  value={email}
+                  onChangeText={(text) => {
+                    setEmail(text);
+                    if (errors.email) setErrors(prev => ({ ...prev, email: '' }));
+                  }}
+                  autoCapitalize="none"
+                  keyboardType="email-address"
+                  returnKeyType="send"
+                  onSubmitEditing={handleSend}
+                  onFocus={() => setEmailFocused(true)}
+                  onBlur={() => setEmailFocused(false)}
+                  accessibilityLabel="Email input"
+                />
+              </View>
+              {errors.email ? <Text style={styles.fieldError}>{errors.email}</Text> : null}
+
+              <TouchableOpacity
+                onPress={handleSend}
+                disabled={loading}
+                activeOpacity={0.85}
+                style={styles.primaryButton}
+                accessibilityRole="button"
+              >
+                <LinearGradient
+                  colors={!loading ? theme.gradients.primary : ['rgba(99,102,241,0.3)', 'rgba(139,92,246,0.3)']}
+                  start={{ x: 0, y: 0 }}
+                  end={{ x: 1, y: 1 }}
+                  style={styles.primaryGradient}
+                >
+                  {loading ? (
+                    <ActivityIndicator color={theme.colors.textPrimary} />
+                  ) : (
+                    <>
+                      <Text style={styles.primaryText}>Send reset link</Text>
+                      <Ionicons name="send" size={16} color={theme.colors.textPrimary} />
+                    </>
+                  )}
+                </LinearGradient>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity
+              onPress={() => router.push('/(auth)/reset-password')}
+              activeOpacity={0.85}
+              style={styles.primaryButton}
+              accessibilityRole="button"
+            >
+              <LinearGradient
+                colors={theme.gradients.primary}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+                style={styles.primaryGradient}
+              >
+                <Text style={styles.primaryText}>I have a reset code</Text>
+                <Ionicons name="arrow-forward" size={18} color={theme.colors.textPrimary} />
+              </LinearGradient>
+            </TouchableOpacity>
+          )}
+
+          <TouchableOpacity style={styles.backButton} onPress={() => router.replace('/(auth)/login')}>
+            <Ionicons name="arrow-back" size={16} color={theme.colors.textMuted} />
+            <Text style={styles.backText}>Back to sign in</Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  keyboardView: {
+    flex: 1,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: theme.spacing.xl,
+    paddingTop: 80,
+  },
+  iconCircle: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    backgroundColor: 'rgba(99, 102, 241, 0.12)',
+    alignItems: 'center',
+    justifyContent: 'center',
+    alignSelf: 'center',
+    marginBottom: theme.spacing.lg,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.lg,
+  },
+  title: {
+    ...theme.typography.h1,
+    color: theme.colors.textPrimary,
+  },
+  subtitle: {
+    ...theme.typography.body,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing.xs,
+    textAlign: 'center',
+  },
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    borderRadius: theme.radius.md,
+    padding: 14,
+    marginBottom: theme.spacing.md,
+    gap: 10,
+    borderWidth: 1,
+    borderColor: 'rgba(239, 68, 68, 0.2)',
+  },
+  errorText: {
+    flex: 1,
+    ...theme.typography.bodySmall,
+    color: theme.colors.errorLight,
+  },
+  form: {
+    gap: theme.spacing.md,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: theme.radius.lg,
+    borderWidth: 1.5,
+    paddingHorizontal: theme.spacing.xs,
+    backgroundColor: theme.colors.surface,
+  },
+  inputIcon: {
+    paddingHorizontal: theme.spacing.md,
+  },
+  input: {
+    flex: 1,
+    ...theme.typography.body,
+    color: theme.colors.textPrimary,
+    paddingVertical: theme.spacing.lg,
+    letterSpacing: 0.5,
+  },
+  fieldError: {
+    color: theme.colors.error,
+    ...theme.typography.caption,
+    marginTop: 2,
+    marginLeft: 4,
+  },
+  primaryButton: {
+    borderRadius: theme.radius.lg,
+    overflow: 'hidden',
+    marginTop: theme.spacing.md,
+    borderWidth: 1.5,
+    borderColor: 'rgba(99, 102, 241, 0.3)',
+  },
+  primaryGradient: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 18,
+    paddingHorizontal: theme.spacing.xl,
+    gap: 10,
+  },
+  primaryText: {
+    ...theme.typography.button,
+    color: theme.colors.textPrimary,
+  },
+  backButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: theme.spacing.lg,
+    paddingVertical: theme.spacing.md,
+    gap: 6,
+  },
+  backText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.textMuted,
+  },
+});
@@ -0,0 +1,331 @@
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+  Keyboard,
+  ScrollView,
+} from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { validateInput, resetPasswordSchema } from '../../utils/validation';
+import { authHaptics } from '../../utils/haptics';
+import theme from '../../src/constants/theme';
+
+/**
+ * Reset password — opened from the emailed link (krios://reset-password?token=...)
+ * or from "Forgot password?", in which case the code is pasted from the email.
+ */
+export default function ResetPasswordScreen() {
+  const params = useLocalSearchParams<{ token?: string }>();
+  const [token, setToken] = useState(typeof params.token === 'string' ? params.token : '');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState<Record<string, string>>({});
+  const [doneMessage, setDoneMessage] = useState<string | null>(null);
+
+  const router = useRouter();
+  const { resetPassword } = useAuth();
+
+  const passwordInputRef = useRef<TextInput>(null);
+  const confirmInputRef = useRef<TextInput>(null);
+
+  const clearError = (field: string) => {
+    if (errors[field]) setErrors(prev => ({ ...prev, [field]: '' }));
+  };
+
+  const handleReset = async () => {
+    Keyboard.dismiss();
+
+    const result = validateInput(resetPasswordSchema, { token, password, confirmPassword });
+    if (!result.success) {
+      setErrors(result.errors);
+      authHaptics.error();
+      return;
+    }
+
+    setErrors({});
+    setLoading(true);
+    authHaptics.buttonPress();
+
+    const response = await resetPassword(result.data.token, result.data.password);
+    if (response.success) {
+      authHaptics.success();
+      setDoneMessage(response.message || 'Password updated. Please sign in with your new password.');
+    } else {
+      authHaptics.error();
+      setErrors({ general: response.message || 'Password reset failed' });
+    }
+
+    setLoading(false);
+  };
+
+  const renderField = (
+    field: 'token' | 'password' | 'confirmPassword',
+    props: React.ComponentProps<typeof TextInput>,
+    icon: keyof typeof Ionicons.glyphMap,
+    ref?: React.RefObject<TextInput | null>,
+  ) => (
+    <>
+      <View style={[styles.inputWrapper, { borderColor: errors[field] ? theme.colors.error : theme.colors.border }]}>
+        <View style={styles.inputIcon}>
+          <Ionicons name={icon} size={18} color={theme.colors.textMuted} />
+        </View>
+        <TextInput
+          ref={ref}
+          style={styles.input}
+          placeholderTextColor={theme.colors.textHint}
+          autoCapitalize="none"
+          autoCorrect={false}
+          {...props}
+        />
+        {field === 'password' ? (
+          <TouchableOpacity
+            onPress={() => setShowPassword(!showPassword)}
+            hitSlop={8}
+            style={styles.trailingIcon}
+            accessibilityLabel={showPassword ? 'Hide password' : 'Show password'}
+          >
+            <Ionicons name={showPassword ? 'eye-outline' : 'eye-off-outline'} size={18} color={theme.colors.textMuted} />
+          </TouchableOpacity>
+        ) : null}
+      </View>
+      {errors[field] ? <Text style={styles.fieldError}>{errors[field]}</Text> : null}
+    </>
+  );
+
+  return (
+    <View style={styles.container}>
+      <LinearGradient colors={theme.gradients.background} style={StyleSheet.absoluteFill} />
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardView}
+      >
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          <View style={styles.iconCircle}>
+            <Ionicons
+              name={doneMessage ? 'checkmark' : 'lock-open-outline'}
+              size={36}
+              color={doneMessage ? theme.colors.success : theme.colors.primary}
+            />
+          </View>
+
+          <View style={styles.header}>
+            <Text style={styles.title}>{doneMessage ? 'Password updated' : 'New password'}</Text>
+            <Text style={styles.subtitle}>
+              {doneMessage || "Choose a new password. You'll be signed out on all your devices."}
+            </Text>
+          </View>
+
+          {errors.general ? (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle" size={18} color={theme.colors.error} />
+              <Text style={styles.errorText}>{errors.general}</Text>
+            </View>
+          ) : null}
+
+          {!doneMessage ? (
+            <View style={styles.form}>
+              {renderField('token', {
+                placeholder: 'Reset code from the email',
+                value: token,
+                onChangeText: (text) => { setToken(text); clearError('token'); },
+                returnKeyType: 'next',
+                onSubmitEditing: () => passwordInputRef.current?.focus(),
+                accessibilityLabel: 'Reset code input',
+              }, 'key-outline')}
+
+              {renderField('password', {
+                placeholder: 'New password',
+                value: password,
+                onChangeText: (text) => { setPassword(text); clearError('password'); },
+                secureTextEntry: !showPassword,
+                returnKeyType: 'next',
+                onSubmitEditing: () => confirmInputRef.current?.focus(),
+                accessibilityLabel: 'New password input',
+              }, 'lock-closed-outline', passwordInputRef)}
+
+              {renderField('confirmPassword', {
+                placeholder: 'Confirm new password',
+                value: confirmPassword,
+                onChangeText: (text) => { setConfirmPassword(text); clearError('confirmPassword'); },
+                secureTextEntry: !showPassword,
+                returnKeyType: 'done',
+                onSubmitEditing: handleReset,
+                accessibilityLabel: 'Confirm new password input',
+              }, 'lock-closed-outline', confirmInputRef)}
+
+              <TouchableOpacity
+                onPress={handleReset}
+                disabled={loading}
+                activeOpacity={0.85}
+                style={styles.primaryButton}
+                accessibilityRole="button"
+              >
+                <LinearGradient
+                  colors={!loading ? theme.gradients.primary : ['rgba(99,102,241,0.3)', 'rgba(139,92,246,0.3)']}
+                  start={{ x: 0, y: 0 }}
+                  end={{ x: 1, y: 1 }}
+                  style={styles.primaryGradient}
+                >
+                  {loading ? (
+                    <ActivityIndicator color={theme.colors.textPrimary} />
+                  ) : (
+                    <Text style={styles.primaryText}>Set new password</Text>
+                  )}
+                </LinearGradient>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity
+              onPress={() => router.replace('/(auth)/login')}
+              activeOpacity={0.85}
+              style={styles.primaryButton}
+              accessibilityRole="button"
+            >
+              <LinearGradient
+                colors={theme.gradients.primary}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+                style={styles.primaryGradient}
+              >
+                <Text style={styles.primaryText}>Sign in</Text>
+                <Ionicons name="arrow-forward" size={18} color={theme.colors.textPrimary} />
+              </LinearGradient>
+            </TouchableOpacity>
+          )}
+
+          {!doneMessage ? (
+            <TouchableOpacity style={styles.backButton} onPress={() => router.replace('/(auth)/forgot-password')}>
+              <Text style={styles.backText}>Need a new code?</Text>
+            </TouchableOpacity>
+          ) : null}
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  keyboardView: {
+    flex: 1,
+  },
+  content: {
+    paddingHorizontal: theme.spacing.xl,
+    paddingTop: 80,
+    paddingBottom: 40,
+  },
+  iconCircle: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    backgroundColor: 'rgba(99, 102, 241, 0.12)',
+    alignItems: 'center',
+    justifyContent: 'center',
+    alignSelf: 'center',
+    marginBottom: theme.spacing.lg,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.lg,
+  },
+  title: {
+    ...theme.typography.h1,
+    color: theme.colors.textPrimary,
+  },
+  subtitle: {
+    ...theme.typography.body,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing.xs,
+    textAlign: 'center',
+  },
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    borderRadius: theme.radius.md,
+    padding: 14,
+    marginBottom: theme.spacing.md,
+    gap: 10,
+    borderWidth: 1,
+    borderColor: 'rgba(239, 68, 68, 0.2)',
+  },
+  errorText: {
+    flex: 1,
+    ...theme.typography.bodySmall,
+    color: theme.colors.errorLight,
+  },
+  form: {
+    gap: theme.spacing.md,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: theme.radius.lg,
+    borderWidth: 1.5,
+    paddingHorizontal: theme.spacing.xs,
+    backgroundColor: theme.colors.surface,
+  },
+  inputIcon: {
+    paddingHorizontal: theme.spacing.md,
+  },
+  trailingIcon: {
+    paddingHorizontal: theme.spacing.sm,
+  },
+  input: {
+    flex: 1,
+    ...theme.typography.body,
+    color: theme.colors.textPrimary,
+    paddingVertical: theme.spacing.lg,
+    letterSpacing: 0.5,
+  },
+  fieldError: {
+    color: theme.colors.error,
+    ...theme.typography.caption,
+    marginTop: 2,
+    marginLeft: 4,
+  },
+  primaryButton: {
+    borderRadius: theme.radius.lg,
+    overflow: 'hidden',
+    marginTop: theme.spacing.md,
+    borderWidth: 1.5,
+    borderColor: 'rgba(99, 102, 241, 0.3)',
+  },
+  primaryGradient: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 18,
+    paddingHorizontal: theme.spacing.xl,
+    gap: 10,
+  },
+  primaryText: {
+    ...theme.typography.button,
+    color: theme.colors.textPrimary,
+  },
+  backButton: {
+    alignItems: 'center',
+    marginTop: theme.spacing.lg,
+    paddingVertical: theme.spacing.md,
+  },
+  backText: {
+    ...theme.typography.bodySmall,
+    color: theme.colors.primary,
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { authHaptics } from '../../utils/haptics';
+import theme from '../../src/constants/theme';
+
+type VerifyStatus = 'verifying' | 'verified' | 'failed';
+
+/**
+ * Verify email — opened from the emailed link (krios://verify-email?token=...)
+ */
+export default function VerifyEmailScreen() {
+  const { token } = useLocalSearchParams<{ token?: string }>();
+  const [status, setStatus] = useState<VerifyStatus>('verifying');
+  const [message, setMessage] = useState('');
+  const startedRef = useRef(false);
+
+  const router = useRouter();
+  const { user, verifyEmail } = useAuth();
+
+  useEffect(() => {
+    // Tokens are single use; only redeem once per screen
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    if (typeof token !== 'string' || !token) {
+      setStatus('failed');
+      setMessage('This verification link is incomplete. Please use the link from your email.');
+      return;
+    }
+
+    verifyEmail(token).then((result) => {
+      if (result.success) {
+        authHaptics.success();
+        setStatus('verified');
+        setMessage('Your email address is verified. Thanks!');
+      } else {
+        authHaptics.error();
+        setStatus('failed');
+        setMessage(result.message || 'Email verification failed');
+      }
+    });
+  }, [token]);
+
+  const iconName = status === 'verified' ? 'checkmark' : status === 'failed' ? 'close' : 'mail-outline';
+  const iconColor = status === 'verified' ? theme.colors.success : status === 'failed' ? theme.colors.error : theme.colors.primary;
+
+  return (
+    <View style={styles.container}>
+      <LinearGradient colors={theme.gradients.background} style={StyleSheet.absoluteFill} />
+
+      <View style={styles.content}>
+        <View style={styles.iconCircle}>
+          {status === 'verifying' ? (
+            <ActivityIndicator color={theme.colors.primary} />
+          ) : (
+            <Ionicons name={iconName} size={40} color={iconColor} />
+          )}
+        </View>
+
+        <Text style={styles.title}>
+          {status === 'verified' ? 'Email verified' : status === 'failed' ? 'Verification failed' : 'Verifying...'}
+        </Text>
+        {message ? <Text style={styles.subtitle}>{message}</Text> : null}
+
+        {status !== 'verifying' ? (
+          <TouchableOpacity
+            onPress={() => router.replace(user ? '/(home)' : '/(auth)/login')}
+            activeOpacity={0.85}
+            style={styles.primaryButton}
+            accessibilityRole="button"
+          >
+            <LinearGradient
+              colors={theme.gradients.primary}
+              start={{ x: 0, y: 0 }}
+              end={{ x: 1, y: 1 }}
+              style={styles.primaryGradient}
+            >
+              <Text style={styles.primaryText}>{user ? 'Continue' : 'Sign in'}</Text>
+              <Ionicons name="arrow-forward" size={18} color={theme.colors.textPrimary} />
+            </LinearGradient>
+          </TouchableOpacity>
+        ) : null}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    paddingHorizontal: theme.spacing.xl,
+  },
+  iconCircle: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    backgroundColor: 'rgba(99, 102, 241, 0.12)',
+    alignItems: 'center',
+    justifyContent: 'center',
+    alignSelf: 'center',
+    marginBottom: theme.spacing.lg,
+  },
+  title: {
+    ...theme.typography.h1,
+    color: theme.colors.textPrimary,
+    textAlign: 'center',
+  },
+  subtitle: {
+    ...theme.typography.body,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing.xs,
+    textAlign: 'center',
+  },
+  primaryButton: {
+    borderRadius: theme.radius.lg,
+    overflow: 'hidden',
+    marginTop: theme.spacing.xl,
+    borderWidth: 1.5,
+    borderColor: 'rgba(99, 102, 241, 0.3)',
+  },
+  primaryGradient: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 18,
+    paddingHorizontal: theme.spacing.xl,
+    gap: 10,
+  },
+  primaryText: {
+    ...theme.typography.button,
+    color: theme.colors.textPrimary,
+  },
+});
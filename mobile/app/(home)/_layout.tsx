@@ -150,6 +150,7 @@ export default function HomeLayout() {
           <Stack.Screen name="ai-chat" options={{ animation: 'slide_from_right', gestureEnabled: true, presentation: 'card' }} />
           <Stack.Screen name="messages" options={{ animation: homeTabAnimation, gestureEnabled: true, presentation: 'card' }} />
           <Stack.Screen name="chat" options={{ animation: 'slide_from_right', gestureEnabled: true, presentation: 'card' }} />
+          <Stack.Screen name="group-chat" options={{ animation: 'slide_from_right', gestureEnabled: true, presentation: 'card' }} />
         </Stack>
 
         {isPrimaryHomeTab && navStyle === 'sidebar' && (
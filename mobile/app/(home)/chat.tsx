@@ -2,7 +2,7 @@ import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react'
 import {
   View, Text, StyleSheet, TouchableOpacity,
   Platform, StatusBar, Image, KeyboardAvoidingView,
-  ActivityIndicator, Dimensions, Modal, Pressable
+  ActivityIndicator, Dimensions, Modal, Pressable, Alert
 } from 'react-native';
 import Animated, {
   FadeIn, FadeInDown, useSharedValue, useAnimatedStyle,
@@ -14,7 +14,7 @@ import { useRouter, useLocalSearchParams } from 'expo-router';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useTheme } from '../../context/ThemeContext';
 import { useAuth } from '../../context/AuthContext';
-import messageService from '../../services/messageService';
+import messageService, { REPORT_REASONS, ReportReason } from '../../services/messageService';
 import sqliteService, { LocalDirectMessage } from '../../services/sqliteService';
 import syncEngine from '../../services/syncEngine';
 import ChatBubble from '../../components/messaging/ChatBubble';
@@ -57,6 +57,7 @@ export default function ChatScreen() {
   const [isTyping, setIsTyping] = useState(false);
   const [isOnline, setIsOnline] = useState(false);
   const [replyTo, setReplyTo] = useState<{ id: string; text: string; username?: string } | null>(null);
+  const [reactionPickerId, setReactionPickerId] = useState<string | null>(null);
   const [showScrollDown, setShowScrollDown] = useState(false);
   const [friendBio, setFriendBio] = useState<string>('');
 
@@ -68,6 +69,10 @@ export default function ChatScreen() {
   const [menuVisible, setMenuVisible] = useState(false);
   const [clearChatModalVisible, setClearChatModalVisible] = useState(false);
   const [deleteFriendModalVisible, setDeleteFriendModalVisible] = useState(false);
+  const [blockModalVisible, setBlockModalVisible] = useState(false);
+  const [isMuted, setIsMuted] = useState(false);
+  const [reportTarget, setReportTarget] = useState<{ type: 'dm' | 'user'; id: string } | null>(null);
+  const [editingMessage, setEditingMessage] = useState<LocalDirectMessage | null>(null);
 
   // Keep requestStatusRef in sync with requestStatus state
   useEffect(() => {
@@ -90,6 +95,16 @@ export default function ChatScreen() {
     hasScrolledToBottom.current = false;
   }, [friendId]);
 
+  // Whether this user is muted (drives the menu label)
+  useEffect(() => {
+    if (!friendId) return;
+    let cancelled = false;
+    messageService.getBlocks().then(blocks => {
+      if (!cancelled) setIsMuted(blocks.some(b => b.type === 'mute' && b.user?.id === friendId));
+    });
+    return () => { cancelled = true; };
+  }, [friendId]);
+
   // Animation values
   const sheetOpacity = useSharedValue(0);
   const sheetTranslateY = useSharedValue(30);
@@ -272,6 +287,37 @@ export default function ChatScreen() {
       })
     );
 
+    // ── message:reactions — reaction added/removed (by anyone) ──
+    unsubs.push(
+      messageService.on('message:reactions', (data: { messageId: string; reactions: string | null }) => {
+        setMessages(prev =>
+          prev.map(m => (m.id === data.messageId ? { ...m, reactions: data.reactions } : m))
+        );
+      })
+    );
+
+    // ── message:hidden / message:deleted — moderator acted on a reported DM ──
+    unsubs.push(
+      messageService.on('message:hidden', (data: { messageId: string; content: string }) => {
+        setMessages(prev =>
+          prev.map(m => (m.id === data.messageId ? { ...m, content: data.content } : m))
+        );
+      })
+    );
+    unsubs.push(
+      messageService.on('message:deleted', (data: { messageId: string }) => {
+        setMessages(prev => prev.filter(m => m.id !== data.messageId));
+        setEditingMessage(prev => (prev?.id === data.messageId ? null : prev));
+      })
+    );
+    unsubs.push(
+      messageService.on('message:edited', (data: { messageId: string; content: string; editedAt: number }) => {
+        setMessages(prev =>
+          prev.map(m => (m.id === data.messageId ? { ...m, content: data.content, edited_at: data.editedAt } : m))
+        );
+      })
+    );
+
     // ── messages_synced — delta sync found new messages from server ──
     unsubs.push(
       messageService.on('messages_synced', async (syncedFriendId: string) => {
@@ -352,6 +398,15 @@ export default function ChatScreen() {
   // ─── Send Message ─────────────────────────────────────
   const handleSend = useCallback(async (text: string) => {
     if (!user || !friendId) return;
+
+    if (editingMessage) {
+      const target = editingMessage;
+      setEditingMessage(null);
+      if (text === target.content) return;
+      const error = await messageService.editMessage(target, text);
+      if (error) Alert.alert('Edit failed', error);
+      return;
+    }
     
     // If status is 'removed', send a new friend request instead of message
     if (requestStatus === 'removed') {
@@ -368,7 +423,7 @@ export default function ChatScreen() {
       replyTo ? { id: replyTo.id, text: replyTo.text } : undefined,
     );
     setReplyTo(null);
-  }, [friendId, user, replyTo, friendUsername, friendAvatar, requestStatus]);
+  }, [friendId, user, replyTo, friendUsername, friendAvatar, requestStatus, editingMessage]);
 
   // ─── Retry Failed ─────────────────────────────────────
   const handleRetry = useCallback(async (msg: LocalDirectMessage) => {
@@ -383,8 +438,64 @@ export default function ChatScreen() {
       text: msg.content,
       username: isFromFriend ? friendUsername : 'You',
     });
+    setReactionPickerId(null);
   }, [friendId, friendUsername]);
 
+  // ─── Reactions ────────────────────────────────────────
+  // Long-press opens the quick reaction bar (with reply); long-press again closes it
+  const handleLongPress = useCallback((msg: LocalDirectMessage) => {
+    if (msg.synced !== 1) return;
+    setReactionPickerId(prev => (prev === msg.id ? null : msg.id));
+  }, []);
+
+  const handleReact = useCallback((msg: LocalDirectMessage, emoji: string) => {
+    setReactionPickerId(null);
+    messageService.toggleReaction(msg, emoji);
+  }, []);
+
+  const handleReportMessage = useCallback((msg: LocalDirectMessage) => {
+    setReactionPickerId(null);
+    setReportTarget({ type: 'dm', id: msg.id });
+  }, []);
+
+  // ─── Edit / Delete ────────────────────────────────────
+  const handleEditMessage = useCallback((msg: LocalDirectMessage) => {
+    setReactionPickerId(null);
+    setReplyTo(null);
+    setEditingMessage(msg);
+  }, []);
+
+  const handleDeleteMessage = useCallback((msg: LocalDirectMessage) => {
+    setReactionPickerId(null);
+    const forMe = { text: 'Delete for me', onPress: () => { messageService.deleteMessageForMe(msg); } };
+    const forEveryone = {
+      text: 'Unsend',
+      style: 'destructive' as const,
+      onPress: async () => {
+        const error = await messageService.unsendMessage(msg);
+        if (error) Alert.alert('Unsend failed', error);
+      },
+    };
+    const canUnsend = messageService.canUnsend(msg);
+    Alert.alert(
+      'Delete message?',
+      canUnsend ? 'Unsend removes it for both of you.' : 'It will be removed from this device and your account.',
+      [{ text: 'Cancel', style: 'cancel' }, forMe, ...(canUnsend ? [forEveryone] : [])],
+    );
+  }, []);
+
+  const handleSubmitReport = useCallback(async (reason: ReportReason) => {
+    if (!reportTarget) return;
+    const target = reportTarget;
+    setReportTarget(null);
+    const error = await messageService.report(target, reason);
+    if (error) {
+      Alert.alert('Report failed', error);
+    } else {
+      Alert.alert('Report sent', 'Thanks for letting us know. Our moderators will review it.');
+    }
+  }, [reportTarget]);
+
   // ─── Load More (older messages — triggered at TOP of list) ──
   const handleLoadMore = useCallback(async () => {
     if (loadingMore || !user || messages.length === 0) return;
@@ -429,10 +540,17 @@ export default function ChatScreen() {
   const handleBlockUser = useCallback(async () => {
     if (!friendId) return;
     setRequestLoading(true);
-    await messageService.blockUser(friendId);
-    router.back();
+    const success = await messageService.blockUser(friendId);
+    setRequestLoading(false);
+    if (success) router.back();
   }, [friendId, router]);
 
+  const handleToggleMute = useCallback(async () => {
+    if (!friendId) return;
+    const success = await messageService.setMuted(friendId, !isMuted);
+    if (success) setIsMuted(!isMuted);
+  }, [friendId, isMuted]);
+
   // ─── Scroll Handling ──────────────────────────────────
   const onScroll = useCallback((e: any) => {
     const offsetY = e.nativeEvent.contentOffset.y;
@@ -512,8 +630,15 @@ export default function ChatScreen() {
         message={item}
         isMine={item.from_user_id === user?.id}
         isDark={isDark}
+        currentUserId={user?.id}
+        showReactionPicker={item.id === reactionPickerId}
         onRetry={handleRetry}
         onReply={handleReply}
+        onLongPress={handleLongPress}
+        onReact={handleReact}
+        onReport={handleReportMessage}
+        onEdit={messageService.canEdit(item) ? handleEditMessage : undefined}
+        onDelete={handleDeleteMessage}
       />
     );
 
@@ -525,7 +650,7 @@ export default function ChatScreen() {
       );
     }
     return bubble;
-  }, [user, isDark, handleRetry, handleReply]);
+  }, [user, isDark, reactionPickerId, handleRetry, handleReply, handleLongPress, handleReact, handleReportMessage, handleEditMessage, handleDeleteMessage]);
 
   // Update prev count after render
   useEffect(() => {
@@ -644,6 +769,39 @@ export default function ChatScreen() {
               <Ionicons name="person-remove-outline" size={20} color="#ef4444" />
               <Text style={[styles.menuItemText, { color: '#ef4444' }]}>Delete Friend</Text>
             </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.menuItem, { borderBottomColor: isDark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.08)' }]}
+              onPress={() => {
+                setMenuVisible(false);
+                handleToggleMute();
+              }}
+            >
+              <Ionicons name={isMuted ? 'notifications-outline' : 'notifications-off-outline'} size={20} color={textColor} />
+              <Text style={[styles.menuItemText, { color: textColor }]}>{isMuted ? 'Unmute' : 'Mute Notifications'}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.menuItem, { borderBottomColor: isDark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.08)' }]}
+              onPress={() => {
+                setMenuVisible(false);
+                setTimeout(() => setReportTarget({ type: 'user', id: friendId }), 150);
+              }}
+            >
+              <Ionicons name="flag-outline" size={20} color="#ef4444" />
+              <Text style={[styles.menuItemText, { color: '#ef4444' }]}>Report</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.menuItem, { borderBottomColor: isDark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.08)' }]}
+              onPress={() => {
+                setMenuVisible(false);
+                setTimeout(() => setBlockModalVisible(true), 150);
+              }}
+            >
+              <Ionicons name="ban-outline" size={20} color="#ef4444" />
+              <Text style={[styles.menuItemText, { color: '#ef4444' }]}>Block</Text>
+            </TouchableOpacity>
             
             <TouchableOpacity
               style={[styles.menuItem, { borderBottomWidth: 0 }]}
@@ -655,6 +813,40 @@ export default function ChatScreen() {
         </Pressable>
       </Modal>
 
+      {/* Report reason picker */}
+      <Modal
+        visible={!!reportTarget}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setReportTarget(null)}
+      >
+        <Pressable style={styles.menuOverlay} onPress={() => setReportTarget(null)}>
+          <Pressable style={[styles.menuContent, { backgroundColor: isDark ? '#1e1e2e' : '#ffffff' }]} onPress={() => {}}>
+            <Text style={[styles.reportTitle, { color: textColor }]}>
+              {reportTarget?.type === 'dm' ? 'Report message' : `Report ${friendUsername}`}
+            </Text>
+            <Text style={[styles.reportHint, { color: subtextColor }]}>
+              They won't be told who reported them.
+            </Text>
+            {REPORT_REASONS.map(({ value, label }) => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.menuItem, { borderBottomColor: isDark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.08)' }]}
+                onPress={() => handleSubmitReport(value)}
+              >
+                <Text style={[styles.menuItemText, { color: textColor }]}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity
+              style={[styles.menuItem, { borderBottomWidth: 0 }]}
+              onPress={() => setReportTarget(null)}
+            >
+              <Text style={[styles.menuCancelText, { color: isDark ? '#fff' : '#1e293b' }]}>Cancel</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </Pressable>
+      </Modal>
+
       {/* Confirmation Modals */}
       <ConfirmationModal
         visible={clearChatModalVisible}
@@ -692,6 +884,20 @@ export default function ChatScreen() {
         destructive
       />
 
+      <ConfirmationModal
+        visible={blockModalVisible}
+        title="Block User"
+        message={`Block ${friendUsername}? They won't be able to send you friend requests, messages, nudges or appreciations, and your friendship ends. They won't be told.`}
+        confirmText="Block"
+        onCancel={() => setBlockModalVisible(false)}
+        onConfirm={() => {
+          setBlockModalVisible(false);
+          handleBlockUser();
+        }}
+        isDark={isDark}
+        destructive
+      />
+
       {/* ── Curved Sheet Container ── */}
       <Animated.View
         style={[styles.sheet, {
@@ -864,6 +1070,8 @@ export default function ChatScreen() {
               onTyping={handleTyping}
               replyTo={replyTo}
               onCancelReply={() => setReplyTo(null)}
+              editing={editingMessage ? { id: editingMessage.id, text: editingMessage.content } : null}
+              onCancelEdit={() => setEditingMessage(null)}
               disabled={isInputLocked}
             />
           </View>
@@ -947,6 +1155,18 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     width: '100%',
   },
+  reportTitle: {
+    fontSize: 17,
+    fontWeight: '700',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  reportHint: {
+    fontSize: 13,
+    paddingHorizontal: 16,
+    paddingTop: 4,
+    paddingBottom: 8,
+  },
 
   // Curved Sheet
   sheet: {
@@ -0,0 +1,615 @@
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import {
+  View, Text, StyleSheet, TouchableOpacity, TextInput,
+  Platform, StatusBar, KeyboardAvoidingView, FlatList,
+  ActivityIndicator, Modal, Pressable,
+} from 'react-native';
+import Animated, { FadeIn, FadeInDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import groupService, { GroupConversation, GroupMessage, GroupReadReceipt } from '../../services/groupService';
+import MessageInput from '../../components/messaging/MessageInput';
+import TypingIndicator from '../../components/messaging/TypingIndicator';
+import ConfirmationModal from '../../components/ConfirmationModal';
+
+// Typing events stop arriving if the typist disconnects; drop them after this
+const TYPING_TIMEOUT_MS = 6000;
+
+function formatTime(iso: string): string {
+  const d = new Date(iso);
+  return `${d.getHours()}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// Group Chat Screen — online-only, read receipts per member
+// ═══════════════════════════════════════════════════════════
+
+export default function GroupChatScreen() {
+  const { isDark } = useTheme();
+  const { user } = useAuth();
+  const router = useRouter();
+  const insets = useSafeAreaInsets();
+  const params = useLocalSearchParams<{ groupId: string; groupName: string }>();
+  const groupId = params.groupId;
+
+  // ─── State ──────────────────────────────────────────────
+  const [group, setGroup] = useState<GroupConversation | null>(null);
+  const [messages, setMessages] = useState<GroupMessage[]>([]);
+  const [readReceipts, setReadReceipts] = useState<GroupReadReceipt[]>([]);
+  const [olderCursor, setOlderCursor] = useState<string | null>(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [typing, setTyping] = useState<Record<string, string>>({}); // userId -> username
+  const [replyTo, setReplyTo] = useState<{ id: string; text: string; username?: string } | null>(null);
+  const [menuVisible, setMenuVisible] = useState(false);
+  const [membersVisible, setMembersVisible] = useState(false);
+  const [renameVisible, setRenameVisible] = useState(false);
+  const [renameText, setRenameText] = useState('');
+  const [leaveModalVisible, setLeaveModalVisible] = useState(false);
+
+  const listRef = useRef<FlatList<GroupMessage>>(null);
+  // Set while prepending older messages so the list does not jump to the bottom
+  const keepScrollRef = useRef(false);
+  const leftRef = useRef(false);
+  const typingTimers = useRef<Record<string, ReturnType<typeof setTimeout>>>({});
+
+  // ─── Colors ─────────────────────────────────────────────
+  const bg = isDark ? '#080810' : '#f8f9ff';
+  const sheetBg = isDark ? 'rgba(20,20,35,0.95)' : 'rgba(255,255,255,0.92)';
+  const glassHeader = isDark ? 'rgba(30,30,50,0.85)' : 'rgba(248,249,255,0.85)';
+  const textColor = isDark ? '#f1f5f9' : '#1e293b';
+  const subtextColor = isDark ? 'rgba(255,255,255,0.45)' : 'rgba(0,0,0,0.4)';
+  const borderColor = isDark ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.06)';
+  const bubbleOther = isDark ? 'rgba(255,255,255,0.08)' : '#ffffff';
+  const accentColor = '#6366f1';
+  const violetAccent = '#8b5cf6';
+
+  const myId = user?.id;
+  const isOwner = !!group?.members.some(m => m.id === myId && m.role === 'owner');
+  const title = group?.displayName || params.groupName || 'Group';
+  const usernames = useMemo(
+    () => Object.fromEntries((group?.members || []).map(m => [m.id, m.username])),
+    [group]
+  );
+
+  // ═══════════════════════════════════════════════════════════
+  // Load
+  // ═══════════════════════════════════════════════════════════
+
+  const refreshGroup = useCallback(async () => {
+    const fresh = await groupService.getGroup(groupId);
+    if (fresh) setGroup(fresh);
+    return fresh;
+  }, [groupId]);
+
+  useEffect(() => {
+    if (!groupId) return;
+    let cancelled = false;
+    groupService.initialize();
+
+    (async () => {
+      const [fresh, page] = await Promise.all([groupService.getGroup(groupId), groupService.getMessages(groupId)]);
+      if (cancelled) return;
+      if (!fresh || !page) {
+        setError('This conversation is not available');
+        setLoading(false);
+        return;
+      }
+      setGroup(fresh);
+      setMessages(page.messages);
+      setReadReceipts(page.readReceipts);
+      setOlderCursor(page.cursors.before);
+      setHasMore(page.hasMore);
+      setLoading(false);
+      if (page.messages.length > 0) groupService.markRead(groupId);
+    })();
+
+    return () => { cancelled = true; };
+  }, [groupId]);
+
+  const handleLoadMore = useCallback(async () => {
+    if (!hasMore || loadingMore || !olderCursor) return;
+    setLoadingMore(true);
+    keepScrollRef.current = true;
+    const page = await groupService.getMessages(groupId, olderCursor);
+    if (page) {
+      setMessages(prev => [...page.messages, ...prev.filter(m => !page.messages.some(p => p.id === m.id))]);
+      setOlderCursor(page.cursors.before);
+      setHasMore(page.hasMore);
+    }
+    setLoadingMore(false);
+  }, [groupId, hasMore, loadingMore, olderCursor]);
+
+  // ═══════════════════════════════════════════════════════════
+  // Real-time events
+  // ═══════════════════════════════════════════════════════════
+
+  const clearTyping = useCallback((userId: string) => {
+    clearTimeout(typingTimers.current[userId]);
+    delete typingTimers.current[userId];
+    setTyping(prev => {
+      if (!(userId in prev)) return prev;
+      const next = { ...prev };
+      delete next[userId];
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!groupId) return;
+    const forThisGroup = (handler: (data: any) => void) => (data: any) => {
+      if (data?.groupId === groupId) handler(data);
+    };
+
+    const unsubs = [
+      groupService.on('group:message', forThisGroup(({ message }: { message: GroupMessage }) => {
+        setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+        if (message.userId) clearTyping(message.userId);
+        if (message.userId !== myId) groupService.markRead(groupId, message.id);
+      })),
+      groupService.on('group:read', forThisGroup((data: { userId: string; messageId: string; readAt: string }) => {
+        setReadReceipts(prev => [
+          ...prev.filter(r => r.userId !== data.userId),
+          { userId: data.userId, lastReadMessageId: data.messageId, lastReadAt: data.readAt },
+        ]);
+      })),
+      groupService.on('group:updated', forThisGroup(() => { refreshGroup(); })),
+      groupService.on('group:membersAdded', forThisGroup(() => { refreshGroup(); })),
+      groupService.on('group:memberRemoved', forThisGroup((data: { userId: string }) => {
+        // Leaving from this screen already navigated back
+        if (data.userId !== myId) refreshGroup();
+        else if (!leftRef.current) router.back();
+      })),
+      groupService.on('group:typing', forThisGroup((data: { userId: string; username: string; isTyping: boolean }) => {
+        if (data.userId === myId) return;
+        if (!data.isTyping) {
+          clearTyping(data.userId);
+          return;
+        }
+        clearTimeout(typingTimers.current[data.userId]);
+        typingTimers.current[data.userId] = setTimeout(() => clearTyping(data.userId), TYPING_TIMEOUT_MS);
+        setTyping(prev => ({ ...prev, [data.userId]: data.username }));
+      })),
+    ];
+
+    return () => {
+      unsubs.forEach(u => u());
+      Object.values(typingTimers.current).forEach(clearTimeout);
+      typingTimers.current = {};
+    };
+  }, [groupId, myId, router, refreshGroup, clearTyping]);
+
+  // ═══════════════════════════════════════════════════════════
+  // Actions
+  // ═══════════════════════════════════════════════════════════
+
+  const handleSend = useCallback(async (text: string) => {
+    const content = text.trim();
+    if (!content) return;
+    const replyToId = replyTo?.id || null;
+    setReplyTo(null);
+    groupService.emitTyping(groupId, false);
+    const { message, error: sendError } = await groupService.sendMessage(groupId, content, replyToId);
+    if (message) {
+      setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+    } else {
+      setError(sendError || 'Failed to send message');
+    }
+  }, [groupId, replyTo]);
+
+  const handleTyping = useCallback((isTyping: boolean) => {
+    groupService.emitTyping(groupId, isTyping);
+  }, [groupId]);
+
+  const handleRename = useCallback(async () => {
+    setRenameVisible(false);
+    const renameError = await groupService.renameGroup(groupId, renameText);
+    if (renameError) setError(renameError);
+    else refreshGroup();
+  }, [groupId, renameText, refreshGroup]);
+
+  const handleRemoveMember = useCallback(async (userId: string) => {
+    const removeError = await groupService.removeMember(groupId, userId);
+    if (removeError) setError(removeError);
+    else refreshGroup();
+  }, [groupId, refreshGroup]);
+
+  const handleLeave = useCallback(async () => {
+    setLeaveModalVisible(false);
+    if (!myId) return;
+    // Set first: the memberRemoved echo can arrive before the response
+    leftRef.current = true;
+    const leaveError = await groupService.removeMember(groupId, myId);
+    if (leaveError) {
+      leftRef.current = false;
+      setError(leaveError);
+      return;
+    }
+    router.back();
+  }, [groupId, myId, router]);
+
+  // ═══════════════════════════════════════════════════════════
+  // Read receipts — "Seen by" under your latest message
+  // ═══════════════════════════════════════════════════════════
+
+  const seenBy = useMemo(() => {
+    const mine = [...messages].reverse().find(m => m.userId === myId && m.messageType === 'user');
+    if (!mine) return null;
+    const readers = readReceipts
+      .filter(r => r.userId !== myId && r.lastReadAt && r.lastReadAt >= mine.createdAt)
+      .map(r => r.userId);
+    if (readers.length === 0) return null;
+    const others = (group?.memberCount || 1) - 1;
+    const label = readers.length >= others
+      ? 'Seen by everyone'
+      : `Seen by ${readers.map(id => usernames[id] || 'someone').join(', ')}`;
+    return { messageId: mine.id, label };
+  }, [messages, readReceipts, myId, group, usernames]);
+
+  const typingNames = Object.values(typing);
+  const typingLabel = typingNames.length === 1
+    ? `${typingNames[0]} is typing...`
+    : typingNames.length > 1 ? 'several people are typing...' : null;
+
+  // ═══════════════════════════════════════════════════════════
+  // Render
+  // ═══════════════════════════════════════════════════════════
+
+  const renderMessage = useCallback(({ item, index }: { item: GroupMessage; index: number }) => {
+    if (item.messageType === 'system') {
+      return (
+        <Text style={[styles.systemText, { color: subtextColor }]}>{item.message}</Text>
+      );
+    }
+
+    const isMine = item.userId === myId;
+    const prev = messages[index - 1];
+    const showSender = !isMine && (!prev || prev.userId !== item.userId || prev.messageType === 'system');
+
+    return (
+      <View style={[styles.bubbleRow, isMine ? styles.rowMine : styles.rowOther]}>
+        {showSender && (
+          <Text style={[styles.senderName, { color: violetAccent }]}>{item.sender?.username || 'Unknown'}</Text>
+        )}
+        <Pressable
+          onLongPress={() => setReplyTo({ id: item.id, text: item.message, username: item.sender?.username })}
+          delayLongPress={300}
+        >
+          {isMine ? (
+            <LinearGradient colors={[accentColor, violetAccent] as any} style={[styles.bubble, styles.bubbleMine]}>
+              {item.replyTo && (
+                <Text style={styles.replyPreviewMine} numberOfLines={2}>{item.replyTo.message}</Text>
+              )}
+              <Text style={styles.bubbleTextMine}>{item.message}</Text>
+              <Text style={styles.timeMine}>{formatTime(item.createdAt)}</Text>
+            </LinearGradient>
+          ) : (
+            <View style={[styles.bubble, styles.bubbleOther, { backgroundColor: bubbleOther, borderColor }]}>
+              {item.replyTo && (
+                <Text style={[styles.replyPreview, { color: subtextColor, borderLeftColor: accentColor }]} numberOfLines={2}>
+                  {item.replyTo.message}
+                </Text>
+              )}
+              <Text style={[styles.bubbleText, { color: textColor }]}>{item.message}</Text>
+              <Text style={[styles.time, { color: subtextColor }]}>{formatTime(item.createdAt)}</Text>
+            </View>
+          )}
+        </Pressable>
+        {seenBy?.messageId === item.id && (
+          <Text style={[styles.seenBy, { color: subtextColor }]}>{seenBy.label}</Text>
+        )}
+      </View>
+    );
+  }, [messages, myId, seenBy, textColor, subtextColor, bubbleOther, borderColor]);
+
+  return (
+    <View style={[styles.root, { backgroundColor: bg }]}>
+      <StatusBar barStyle={isDark ? 'light-content' : 'dark-content'} />
+
+      {/* ── Glass Header ── */}
+      <Animated.View
+        style={[styles.header, { backgroundColor: glassHeader, paddingTop: insets.top + 14, paddingBottom: 14 }]}
+        entering={FadeIn.duration(300)}
+      >
+        <View style={styles.headerRow}>
+          <TouchableOpacity
+            onPress={() => router.back()}
+            style={styles.backBtn}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Ionicons name="chevron-back" size={26} color={textColor} />
+          </TouchableOpacity>
+
+          <LinearGradient colors={[violetAccent, '#06b6d4'] as any} style={styles.headerAvatar}>
+            <Ionicons name="people" size={20} color="#fff" />
+          </LinearGradient>
+
+          <TouchableOpacity style={styles.headerInfo} onPress={() => setMembersVisible(true)}>
+            <Text style={[styles.headerName, { color: textColor }]} numberOfLines={1}>{title}</Text>
+            <Text style={[styles.headerStatus, { color: typingLabel ? accentColor : subtextColor }]} numberOfLines={1}>
+              {typingLabel || (group ? `${group.memberCount} members` : ' ')}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.menuBtn} onPress={() => setMenuVisible(true)} disabled={!group}>
+            <Ionicons name="ellipsis-vertical" size={20} color={textColor} />
+          </TouchableOpacity>
+        </View>
+      </Animated.View>
+
+      {/* Menu */}
+      <Modal visible={menuVisible} transparent animationType="fade" onRequestClose={() => setMenuVisible(false)}>
+        <Pressable style={styles.menuOverlay} onPress={() => setMenuVisible(false)}>
+          <Pressable style={[styles.menuContent, { backgroundColor: isDark ? '#1e1e2e' : '#ffffff' }]} onPress={() => {}}>
+            <TouchableOpacity
+              style={[styles.menuItem, { borderBottomColor: borderColor }]}
+              onPress={() => { setMenuVisible(false); setTimeout(() => setMembersVisible(true), 150); }}
+            >
+              <Ionicons name="people-outline" size={20} color={textColor} />
+              <Text style={[styles.menuItemText, { color: textColor }]}>Members</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.menuItem, { borderBottomColor: borderColor }]}
+              onPress={() => {
+                setMenuVisible(false);
+                setRenameText(group?.name || '');
+                setTimeout(() => setRenameVisible(true), 150);
+              }}
+            >
+              <Ionicons name="create-outline" size={20} color={textColor} />
+              <Text style={[styles.menuItemText, { color: textColor }]}>Rename Group</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.menuItem, { borderBottomColor: borderColor }]}
+              onPress={() => { setMenuVisible(false); setTimeout(() => setLeaveModalVisible(true), 150); }}
+            >
+              <Ionicons name="exit-outline" size={20} color="#ef4444" />
+              <Text style={[styles.menuItemText, { color: '#ef4444' }]}>Leave Group</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.menuItem, { borderBottomWidth: 0 }]} onPress={() => setMenuVisible(false)}>
+              <Text style={[styles.menuCancelText, { color: textColor }]}>Cancel</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </Pressable>
+      </Modal>
+
+      {/* Members */}
+      <Modal visible={membersVisible} transparent animationType="fade" onRequestClose={() => setMembersVisible(false)}>
+        <Pressable style={styles.menuOverlay} onPress={() => setMembersVisible(false)}>
+          <Pressable style={[styles.menuContent, { backgroundColor: isDark ? '#1e1e2e' : '#ffffff' }]} onPress={() => {}}>
+            <Text style={[styles.modalTitle, { color: textColor }]}>Members</Text>
+            {(group?.members || []).map(member => (
+              <View key={member.id} style={[styles.menuItem, { borderBottomColor: borderColor }]}>
+                <Text style={[styles.menuItemText, { color: textColor, flex: 1 }]} numberOfLines={1}>
+                  {member.id === myId ? 'You' : member.username}
+                </Text>
+                {member.role === 'owner' && (
+                  <Text style={[styles.ownerBadge, { color: accentColor }]}>Owner</Text>
+                )}
+                {isOwner && member.id !== myId && (
+                  <TouchableOpacity onPress={() => handleRemoveMember(member.id)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                    <Ionicons name="remove-circle-outline" size={20} color="#ef4444" />
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+            <TouchableOpacity style={[styles.menuItem, { borderBottomWidth: 0 }]} onPress={() => setMembersVisible(false)}>
+              <Text style={[styles.menuCancelText, { color: textColor }]}>Close</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </Pressable>
+      </Modal>
+
+      {/* Rename */}
+      <Modal visible={renameVisible} transparent animationType="fade" onRequestClose={() => setRenameVisible(false)}>
+        <Pressable style={styles.menuOverlay} onPress={() => setRenameVisible(false)}>
+          <Pressable style={[styles.menuContent, { backgroundColor: isDark ? '#1e1e2e' : '#ffffff' }]} onPress={() => {}}>
+            <Text style={[styles.modalTitle, { color: textColor }]}>Rename Group</Text>
+            <TextInput
+              style={[styles.renameInput, { color: textColor, borderColor }]}
+              value={renameText}
+              onChangeText={v => setRenameText(v.slice(0, 60))}
+              placeholder="Leave empty to use member names"
+              placeholderTextColor={subtextColor}
+              autoFocus
+            />
+            <View style={styles.renameActions}>
+              <TouchableOpacity onPress={() => setRenameVisible(false)}>
+                <Text style={[styles.renameAction, { color: subtextColor }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleRename}>
+                <Text style={[styles.renameAction, { color: accentColor }]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </Pressable>
+        </Pressable>
+      </Modal>
+
+      <ConfirmationModal
+        visible={leaveModalVisible}
+        title="Leave Group"
+        message={`Leave ${title}? You'll stop getting its messages unless someone adds you back.`}
+        confirmText="Leave"
+        cancelText="Cancel"
+        destructive
+        isDark={isDark}
+        onCancel={() => setLeaveModalVisible(false)}
+        onConfirm={handleLeave}
+      />
+
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        {error && (
+          <TouchableOpacity
+            style={[styles.errorBar, { backgroundColor: isDark ? 'rgba(239,68,68,0.12)' : 'rgba(239,68,68,0.08)' }]}
+            onPress={() => setError(null)}
+          >
+            <Ionicons name="alert-circle-outline" size={14} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </TouchableOpacity>
+        )}
+
+        {loading ? (
+          <View style={styles.loadingWrap}>
+            <ActivityIndicator size="small" color={accentColor} />
+          </View>
+        ) : (
+          <FlatList
+            ref={listRef}
+            data={messages}
+            keyExtractor={item => item.id}
+            renderItem={renderMessage}
+            contentContainerStyle={styles.listContent}
+            onContentSizeChange={() => {
+              if (keepScrollRef.current) keepScrollRef.current = false;
+              else listRef.current?.scrollToEnd({ animated: false });
+            }}
+            ListHeaderComponent={
+              hasMore ? (
+                loadingMore ? (
+                  <View style={styles.loadingMoreTop}>
+                    <ActivityIndicator size="small" color={accentColor} />
+                  </View>
+                ) : (
+                  <TouchableOpacity
+                    style={[styles.loadMoreBtn, { backgroundColor: isDark ? 'rgba(99,102,241,0.08)' : 'rgba(99,102,241,0.05)' }]}
+                    onPress={handleLoadMore}
+                  >
+                    <Ionicons name="chevron-up" size={14} color={accentColor} />
+                    <Text style={[styles.loadMoreText, { color: accentColor }]}>Load older messages</Text>
+                  </TouchableOpacity>
+                )
+              ) : null
+            }
+            ListFooterComponent={
+              <TypingIndicator isDark={isDark} visible={typingNames.length > 0} username={typingNames[0]} />
+            }
+            ListEmptyComponent={
+              <Animated.View entering={FadeInDown.duration(200)} style={styles.emptyChat}>
+                <Ionicons name="chatbubbles-outline" size={36} color={accentColor} />
+                <Text style={[styles.emptyText, { color: textColor }]}>Start the conversation</Text>
+              </Animated.View>
+            }
+          />
+        )}
+
+        <View style={[styles.inputWrap, {
+          backgroundColor: sheetBg,
+          borderTopColor: borderColor,
+          paddingBottom: Math.max(insets.bottom, 12),
+          paddingTop: 8,
+        }]}>
+          <MessageInput
+            isDark={isDark}
+            onSend={handleSend}
+            onTyping={handleTyping}
+            replyTo={replyTo}
+            onCancelReply={() => setReplyTo(null)}
+            disabled={!group}
+          />
+        </View>
+      </KeyboardAvoidingView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1 },
+  flex: { flex: 1 },
+
+  // Header
+  header: {
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255,255,255,0.06)',
+    paddingHorizontal: 16,
+  },
+  headerRow: { flexDirection: 'row', alignItems: 'center' },
+  backBtn: {
+    width: 40, height: 40, borderRadius: 20,
+    alignItems: 'center', justifyContent: 'center', marginRight: 2,
+  },
+  headerAvatar: {
+    width: 42, height: 42, borderRadius: 21, marginRight: 12,
+    alignItems: 'center', justifyContent: 'center',
+  },
+  headerInfo: { flex: 1 },
+  headerName: { fontSize: 17, fontWeight: '700', letterSpacing: -0.3 },
+  headerStatus: { fontSize: 12, fontWeight: '500', marginTop: 1 },
+  menuBtn: { padding: 8, marginLeft: 'auto' },
+
+  // Menus
+  menuOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  menuContent: { borderRadius: 16, width: '75%', overflow: 'hidden' },
+  menuItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    gap: 12,
+    borderBottomWidth: 1,
+  },
+  menuItemText: { fontSize: 16 },
+  menuCancelText: { fontSize: 16, textAlign: 'center', width: '100%' },
+  modalTitle: { fontSize: 17, fontWeight: '700', paddingHorizontal: 16, paddingTop: 16, paddingBottom: 4 },
+  ownerBadge: { fontSize: 11, fontWeight: '700', textTransform: 'uppercase', letterSpacing: 0.5 },
+  renameInput: {
+    borderWidth: 1, borderRadius: 12, marginHorizontal: 16, marginTop: 8,
+    paddingHorizontal: 12, paddingVertical: 10, fontSize: 15,
+  },
+  renameActions: { flexDirection: 'row', justifyContent: 'flex-end', gap: 24, padding: 16 },
+  renameAction: { fontSize: 15, fontWeight: '600' },
+
+  // Error
+  errorBar: { flexDirection: 'row', alignItems: 'center', gap: 8, paddingHorizontal: 16, paddingVertical: 8 },
+  errorText: { color: '#ef4444', fontSize: 12, fontWeight: '500', flex: 1 },
+
+  // List
+  listContent: { paddingVertical: 12, paddingHorizontal: 12 },
+  loadingWrap: { flex: 1, alignItems: 'center', justifyContent: 'center' },
+  loadingMoreTop: { paddingVertical: 12, alignItems: 'center' },
+  loadMoreBtn: {
+    flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: 6,
+    paddingVertical: 8, paddingHorizontal: 16, marginHorizontal: 40, marginBottom: 8,
+    borderRadius: 20,
+  },
+  loadMoreText: { fontSize: 12, fontWeight: '600' },
+
+  // Messages
+  systemText: { fontSize: 12, textAlign: 'center', marginVertical: 8, fontStyle: 'italic' },
+  bubbleRow: { marginVertical: 3, maxWidth: '80%' },
+  rowMine: { alignSelf: 'flex-end', alignItems: 'flex-end' },
+  rowOther: { alignSelf: 'flex-start', alignItems: 'flex-start' },
+  senderName: { fontSize: 12, fontWeight: '700', marginBottom: 3, marginLeft: 12 },
+  bubble: { borderRadius: 18, paddingHorizontal: 14, paddingVertical: 9 },
+  bubbleMine: { borderBottomRightRadius: 6 },
+  bubbleOther: { borderBottomLeftRadius: 6, borderWidth: StyleSheet.hairlineWidth },
+  bubbleText: { fontSize: 15, lineHeight: 21 },
+  bubbleTextMine: { fontSize: 15, lineHeight: 21, color: '#fff' },
+  replyPreview: { fontSize: 12, borderLeftWidth: 2, paddingLeft: 8, marginBottom: 6 },
+  replyPreviewMine: {
+    fontSize: 12, color: 'rgba(255,255,255,0.75)', marginBottom: 6,
+    borderLeftWidth: 2, borderLeftColor: 'rgba(255,255,255,0.6)', paddingLeft: 8,
+  },
+  time: { fontSize: 10.5, marginTop: 3, alignSelf: 'flex-end' },
+  timeMine: { fontSize: 10.5, marginTop: 3, alignSelf: 'flex-end', color: 'rgba(255,255,255,0.65)' },
+  seenBy: { fontSize: 11, marginTop: 3, marginRight: 4 },
+
+  // Empty
+  emptyChat: { alignItems: 'center', justifyContent: 'center', paddingVertical: 50, gap: 12 },
+  emptyText: { fontSize: 18, fontWeight: '700', letterSpacing: -0.3 },
+
+  // Input wrapper
+  inputWrap: { borderTopWidth: 1 },
+});
@@ -5,7 +5,7 @@
  * Rich Krios styling — edge shine, gradients, glassmorphism
  */
 
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import {
   View, Text, TextInput, TouchableOpacity,
   StyleSheet, RefreshControl, Pressable, ScrollView,
@@ -26,6 +26,7 @@ import { useTheme } from '../../context/ThemeContext';
 import { useAuth } from '../../context/AuthContext';
 import { HomeNavContext } from '../../context/HomeNavContext';
 import messageService from '../../services/messageService';
+import groupService, { GroupConversationRow, isGroupRow, GROUP_MIN_MEMBERS, GROUP_MAX_MEMBERS } from '../../services/groupService';
 import api from '../../services/api';
 import { LocalConversation } from '../../services/sqliteService';
 import ConversationCard from '../../components/messaging/ConversationCard';
@@ -59,6 +60,7 @@ export default function MessagesScreen() {
 
   // ── State ────────────────────────────────────────────────
   const [conversations, setConversations] = useState<LocalConversation[]>([]);
+  const [groups, setGroups] = useState<GroupConversationRow[]>([]);
   const [onlineFriends, setOnlineFriends] = useState<LocalConversation[]>([]);
   const [search, setSearch] = useState('');
   const [searchFocused, setSearchFocused] = useState(false);
@@ -72,6 +74,12 @@ export default function MessagesScreen() {
   const [removeModalVisible, setRemoveModalVisible] = useState(false);
   const [removeTarget, setRemoveTarget] = useState<LocalConversation | null>(null);
   const [keyboardHeight, setKeyboardHeight] = useState(0);
+  // "New group" mode of the add friend sheet
+  const [groupMode, setGroupMode] = useState(false);
+  const [groupName, setGroupName] = useState('');
+  const [groupSelection, setGroupSelection] = useState<string[]>([]);
+  const [groupError, setGroupError] = useState<string | null>(null);
+  const [creatingGroup, setCreatingGroup] = useState(false);
 
   useEffect(() => {
     secureStorage.getItem('krios_nav_style').then(v => {
@@ -102,6 +110,10 @@ export default function MessagesScreen() {
     setAddFriendModalVisible(false);
     setAddFriendSearch('');
     setAddFriendResults([]);
+    setGroupMode(false);
+    setGroupName('');
+    setGroupSelection([]);
+    setGroupError(null);
   }, []);
   
   // Register callbacks on mount
@@ -158,8 +170,15 @@ export default function MessagesScreen() {
     }
   }, [user?.id]);
 
+  // Groups are online-only and kept apart from the SQLite conversations
+  const loadGroups = useCallback(async () => {
+    groupService.initialize();
+    const list = await groupService.getGroups();
+    setGroups(list.map(g => groupService.toConversationRow(g, user?.id)));
+  }, [user?.id]);
+
   // Initial load
-  useEffect(() => { loadData(); }, [loadData]);
+  useEffect(() => { loadData(); loadGroups(); }, [loadData, loadGroups]);
 
   // Refresh on screen focus — clears search, refreshes conversations + online snapshot
   useFocusEffect(useCallback(() => {
@@ -168,6 +187,7 @@ export default function MessagesScreen() {
     setAddFriendSearch('');
     setAddFriendResults([]);
     loadData(true);
+    loadGroups();
     
     // Defer non-critical API calls to prioritize UI rendering
     setTimeout(() => {
@@ -185,7 +205,7 @@ export default function MessagesScreen() {
         });
       }).catch(err => console.warn('[Messages] getFriends failed:', err));
     }, 500); // Delay secondary API calls by 500ms
-  }, [loadData]));
+  }, [loadData, loadGroups]));
 
   // Real-time events
   useEffect(() => {
@@ -215,6 +235,7 @@ export default function MessagesScreen() {
     unsubs.push(messageService.on('message:new', refresh));
     unsubs.push(messageService.on('presence:changed', handleOnlineStatus));
     unsubs.push(messageService.on('presence:bulk', handleOnlineUsers));
+    unsubs.push(groupService.on('groups:changed', loadGroups));
     
     // Handle friend removal - immediately remove conversation from list
     unsubs.push(messageService.on('friend_removed', (payload: { friendId: string; initiatedByMe: boolean }) => {
@@ -231,7 +252,7 @@ export default function MessagesScreen() {
     return () => {
       unsubs.forEach(u => u());
     };
-  }, [loadData]);
+  }, [loadData, loadGroups]);
 
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
@@ -239,15 +260,21 @@ export default function MessagesScreen() {
     setRefreshing(false);
   }, [loadData]);
 
-  // ── Search (local only - friends in conversations) ──────
+  // DMs and groups, most recent first
+  const allConversations = useMemo<LocalConversation[]>(
+    () => [...groups, ...conversations].sort((a, b) => (b.last_message_at || 0) - (a.last_message_at || 0)),
+    [groups, conversations]
+  );
+
+  // ── Search (local only - friends and groups in conversations) ──────
   const handleSearch = useCallback((q: string) => {
     setSearch(q);
     if (!q.trim()) { setSearchResults([]); return; }
-    const local = conversations.filter(c =>
+    const local = allConversations.filter(c =>
       (c.username || '').toLowerCase().includes(q.toLowerCase())
     );
     setSearchResults(local);
-  }, [conversations]);
+  }, [allConversations]);
 
   // ── Search for AddFriendModal ────────────────────────────
   const searchTimeoutRef = useRef<NodeJS.Timeout | null>(null);
@@ -258,7 +285,8 @@ export default function MessagesScreen() {
     // Clear previous timeout
     if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
     
-    if (!q.trim()) { 
+    // Group mode filters friends locally (see groupCandidates)
+    if (!q.trim() || groupMode) { 
       setAddFriendResults([]); 
       return; 
     }
@@ -290,10 +318,17 @@ export default function MessagesScreen() {
         setAddFriendResults(results);
       }
     }, 300);
-  }, [conversations]);
+  }, [conversations, groupMode]);
 
   // ── Navigate ─────────────────────────────────────────────
   const goToChat = useCallback((conv: LocalConversation) => {
+    if (isGroupRow(conv)) {
+      router.push({
+        pathname: '/(home)/group-chat',
+        params: { groupId: conv.group_id, groupName: conv.username || '' },
+      });
+      return;
+    }
     router.push({
       pathname: '/(home)/chat',
       params: {
@@ -311,9 +346,37 @@ export default function MessagesScreen() {
     setRemoveModalVisible(true);
   }, [loadData]);
 
+  // ── New group ────────────────────────────────────────────
+  const toggleGroupMember = useCallback((friendId: string) => {
+    setGroupError(null);
+    setGroupSelection(prev =>
+      prev.includes(friendId) ? prev.filter(id => id !== friendId) : [...prev, friendId]
+    );
+  }, []);
+
+  const handleCreateGroup = useCallback(async () => {
+    setCreatingGroup(true);
+    const { group, error } = await groupService.createGroup(groupSelection, groupName);
+    setCreatingGroup(false);
+    if (!group) {
+      setGroupError(error || 'Failed to create group');
+      return;
+    }
+    const row = groupService.toConversationRow(group, user?.id);
+    setGroups(prev => [row, ...prev.filter(g => g.group_id !== row.group_id)]);
+    closeAddFriend();
+    goToChat(row);
+  }, [groupSelection, groupName, user?.id, closeAddFriend, goToChat]);
+
   // ── Computed ─────────────────────────────────────────────
-  const filtered = search.trim() ? searchResults : conversations;
-  const totalUnread = conversations.reduce((s, c) => s + (c.unread_count || 0), 0);
+  const filtered = search.trim() ? searchResults : allConversations;
+  const totalUnread = allConversations.reduce((s, c) => s + (c.unread_count || 0), 0);
+  // Selection counts you, so a group needs GROUP_MIN_MEMBERS - 1 friends
+  const canCreateGroup = groupSelection.length >= GROUP_MIN_MEMBERS - 1 && groupSelection.length <= GROUP_MAX_MEMBERS - 1;
+  const groupCandidates = conversations.filter(c =>
+    (c.request_status === 'none' || c.request_status === 'accepted') &&
+    (c.username || '').toLowerCase().includes(addFriendSearch.trim().toLowerCase())
+  );
 
   // Consistent avatar color per user
   const avatarPalette = ['#6366f1','#8b5cf6','#06b6d4','#f59e0b','#22c55e','#ec4899','#f97316'];
@@ -326,13 +389,15 @@ export default function MessagesScreen() {
 
       <ConfirmationModal
         visible={removeModalVisible}
-        title="Remove Friend"
+        title={removeTarget && isGroupRow(removeTarget) ? 'Leave Group' : 'Remove Friend'}
         message={
-          removeTarget
+          removeTarget && isGroupRow(removeTarget)
+            ? `Leave ${removeTarget.username}? You'll stop getting its messages unless someone adds you back.`
+            : removeTarget
             ? `Remove ${removeTarget.username} from your friends? You'll need to send a new message request to chat again. This only affects your side.`
             : 'Remove this friend?'
         }
-        confirmText="Remove"
+        confirmText={removeTarget && isGroupRow(removeTarget) ? 'Leave' : 'Remove'}
         cancelText="Cancel"
         destructive
         isDark={isDark}
@@ -345,6 +410,15 @@ export default function MessagesScreen() {
           setRemoveModalVisible(false);
           setRemoveTarget(null);
           if (!target) return;
+          if (isGroupRow(target)) {
+            setGroups(prev => prev.filter(g => g.group_id !== target.group_id));
+            const error = user?.id ? await groupService.removeMember(target.group_id, user.id) : 'Not signed in';
+            if (error) {
+              console.warn('[Messages] Leave group failed:', error);
+              loadGroups();
+            }
+            return;
+          }
           // Optimistically remove from UI immediately
           setConversations(prev => prev.filter(c => c.friend_id !== target.friend_id));
           setOnlineFriends(prev => prev.filter(c => c.friend_id !== target.friend_id));
@@ -552,8 +626,8 @@ export default function MessagesScreen() {
           <Text style={[s.sectionLabel, { color: textTert }]}>
             {search ? (searchResults.length > 0 ? `${searchResults.length} found` : 'No results') : 'Recent'}
           </Text>
-          {!search && conversations.length > 0 && (
-            <Text style={[s.sectionCount, { color: textTert }]}>{conversations.length}</Text>
+          {!search && allConversations.length > 0 && (
+            <Text style={[s.sectionCount, { color: textTert }]}>{allConversations.length}</Text>
           )}
         </View>
 
@@ -634,7 +708,17 @@ export default function MessagesScreen() {
           <View style={[s.modalContent, { backgroundColor: bg }]}>
             {/* Header with close button */}
             <View style={[s.modalHeader, { borderBottomColor: border }]}>
-              <Text style={[s.modalTitle, { color: text }]}>Message Friends</Text>
+              <View style={s.modalTitleRow}>
+                {groupMode && (
+                  <TouchableOpacity
+                    onPress={() => { setGroupMode(false); setGroupSelection([]); setGroupError(null); }}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                  >
+                    <Ionicons name="chevron-back" size={22} color={text} />
+                  </TouchableOpacity>
+                )}
+                <Text style={[s.modalTitle, { color: text }]}>{groupMode ? 'New Group' : 'Message Friends'}</Text>
+              </View>
               <TouchableOpacity
                 onPress={closeAddFriend}
                 hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
@@ -667,17 +751,53 @@ export default function MessagesScreen() {
               )}
             </View>
 
+            {groupMode && (
+              <>
+                <View style={[s.modalSearchBar, { backgroundColor: inputBg, borderColor: border, marginTop: 0 }]}>
+                  <Ionicons name="people-outline" size={15} color={textTert} />
+                  <TextInput
+                    style={[s.modalSearchInput, { color: text }]}
+                    value={groupName}
+                    onChangeText={v => setGroupName(v.slice(0, 60))}
+                    placeholder="Group name (optional)"
+                    placeholderTextColor={textTert}
+                  />
+                </View>
+                <Text style={[s.groupHint, { color: groupError ? '#ef4444' : textTert }]}>
+                  {groupError || `Pick ${GROUP_MIN_MEMBERS - 1} to ${GROUP_MAX_MEMBERS - 1} friends · ${groupSelection.length} selected`}
+                </Text>
+              </>
+            )}
+
             {/* Friends list */}
             <FlatList
-              data={addFriendSearch.trim() ? addFriendResults : conversations}
+              data={groupMode ? groupCandidates : addFriendSearch.trim() ? addFriendResults : conversations}
               keyExtractor={(item) => `${item.friend_id}-${item.request_status || 'none'}`}
               scrollEnabled={true}
               contentContainerStyle={s.modalListContent}
+              ListHeaderComponent={
+                !groupMode && !addFriendSearch.trim() ? (
+                  <TouchableOpacity
+                    style={[s.modalFriendItem, { borderBottomColor: border }]}
+                    onPress={() => setGroupMode(true)}
+                  >
+                    <LinearGradient colors={[accent, cyan]} style={s.modalAvatarContainer}>
+                      <Ionicons name="people" size={20} color="#fff" />
+                    </LinearGradient>
+                    <Text style={[s.modalFriendName, { color: text, flex: 1 }]}>New group</Text>
+                    <Ionicons name="chevron-forward" size={18} color={textTert} />
+                  </TouchableOpacity>
+                ) : null
+              }
               renderItem={({ item, index }) => (
                 <Animated.View entering={FadeInDown.delay(index * 40)}>
                   <TouchableOpacity
                     style={[s.modalFriendItem, { borderBottomColor: border }]}
                     onPress={() => {
+                      if (groupMode) {
+                        toggleGroupMember(item.friend_id);
+                        return;
+                      }
                       goToChat(item);
                       closeAddFriend();
                     }}
@@ -697,7 +817,13 @@ export default function MessagesScreen() {
                         </Text>
                       )}
                     </View>
-                    {item.is_online === 1 && (
+                    {groupMode ? (
+                      <Ionicons
+                        name={groupSelection.includes(item.friend_id) ? 'checkmark-circle' : 'ellipse-outline'}
+                        size={22}
+                        color={groupSelection.includes(item.friend_id) ? primary : textTert}
+                      />
+                    ) : item.is_online === 1 && (
                       <View style={s.modalOnlineBadge} />
                     )}
                   </TouchableOpacity>
@@ -711,6 +837,23 @@ export default function MessagesScreen() {
                 </View>
               }
             />
+
+            {groupMode && (
+              <TouchableOpacity
+                style={[s.groupCreateBtn, { marginBottom: insets.bottom + 12, opacity: canCreateGroup && !creatingGroup ? 1 : 0.5 }]}
+                disabled={!canCreateGroup || creatingGroup}
+                onPress={handleCreateGroup}
+              >
+                <LinearGradient
+                  colors={[primary, accent]}
+                  start={{ x: 0, y: 0 }} end={{ x: 1, y: 0 }}
+                  style={s.emptyBtn}
+                >
+                  <Ionicons name="people-outline" size={16} color="#fff" />
+                  <Text style={s.emptyBtnTxt}>{creatingGroup ? 'Creating…' : 'Create Group'}</Text>
+                </LinearGradient>
+              </TouchableOpacity>
+            )}
           </View>
         </View>
       </Modal>
@@ -766,6 +909,7 @@ const s = StyleSheet.create({
   modalOverlay: { flex: 1, justifyContent: 'flex-end' },
   modalContent: { borderTopLeftRadius: 28, borderTopRightRadius: 28, maxHeight: H * 0.85, paddingTop: 0, overflow: 'hidden' },
   modalHeader: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingHorizontal: 20, paddingVertical: 14, borderBottomWidth: StyleSheet.hairlineWidth },
+  modalTitleRow: { flexDirection: 'row', alignItems: 'center', gap: 8 },
   modalTitle: { fontSize: 18, fontWeight: '700' },
   modalSearchBar: { flexDirection: 'row', alignItems: 'center', gap: 8, borderRadius: 22, borderWidth: 1.5, marginHorizontal: 16, marginVertical: 12, paddingHorizontal: 14, paddingVertical: 9 },
   modalSearchInput: { flex: 1, fontSize: 14, padding: 0 },
@@ -778,4 +922,6 @@ const s = StyleSheet.create({
   modalOnlineBadge: { width: 10, height: 10, borderRadius: 5, backgroundColor: '#22c55e' },
   modalEmptyWrap: { alignItems: 'center', paddingVertical: 40 },
   modalEmptyText: { fontSize: 13, fontStyle: 'italic' },
+  groupHint: { fontSize: 12, marginHorizontal: 20, marginBottom: 4 },
+  groupCreateBtn: { borderRadius: 22, overflow: 'hidden', alignSelf: 'center', marginTop: 8 },
 });
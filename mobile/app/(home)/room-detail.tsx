@@ -24,6 +24,7 @@ import {
   ActivityIndicator,
   TouchableOpacity,
   Platform,
+  Alert,
 } from 'react-native';
 import { useLocalSearchParams, router, Stack } from 'expo-router';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -36,7 +37,9 @@ import { useTheme } from '../../context/ThemeContext';
 import { useToast } from '../../context/ToastContext';
 import { useRoomDetail } from '../../hooks/room/useRoomDetail';
 import { taskService } from '../../services/taskService';
-import { Task } from '../../types/room';
+import RoomService from '../../services/roomService';
+import { Task, RoomMember, RoomRole } from '../../types/room';
+import { ROOM_PERMISSIONS, ROLE_LABELS } from '../../utils/roomRoles';
 import { roomStorage } from '../../db/roomDb';
 
 import { useAuth } from '../../context/AuthContext';
@@ -45,6 +48,7 @@ import { useAuth } from '../../context/AuthContext';
 import RoomHeader from '../../components/room-detail/RoomHeader';
 import RoomCalendar from '../../components/room-detail/RoomCalendar';
 import RoomPulse from '../../components/room-detail/RoomPulse';
+import PinnedAnnouncements from '../../components/room-detail/PinnedAnnouncements';
 import TaskCard from '../../components/room-detail/TaskCard';
 import TaskSection from '../../components/room-detail/TaskSection';
 import { TacticalBackground, GhostTaskCard } from '../../components/room-detail/VisualEffects';
@@ -105,6 +109,8 @@ const RoomDetailScreen: React.FC = () => {
     loading,
     refreshing,
     isOwner,
+    userRole,
+    hasPermission,
     userId,
     refresh,
     addTask,
@@ -351,9 +357,10 @@ const RoomDetailScreen: React.FC = () => {
         taskType: task.taskType || 'daily',
         description: task.description || '',
         isOwner: String(isOwner),
+        canModerateProofs: String(hasPermission(ROOM_PERMISSIONS.MODERATE_PROOFS)),
       },
     });
-  }, [roomId, room?.name, isOwner]);
+  }, [roomId, room?.name, isOwner, hasPermission]);
 
   const handleTaskJoin = useCallback(async (task: Task) => {
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
@@ -417,15 +424,65 @@ const RoomDetailScreen: React.FC = () => {
     }
   }, [updateRoom, showToast]);
 
-  const handleKickMember = useCallback((id: string) => {
-    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy);
-    showToast({ message: 'Operative removed from squad', type: 'info' });
-  }, [showToast]);
+  const canManageTasks = hasPermission(ROOM_PERMISSIONS.MANAGE_TASKS);
+
+  const handleKickMember = useCallback((member: RoomMember) => {
+    if (!member.userId) return;
+    Alert.alert('Remove member?', `${member.username} will be removed from the room.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy);
+          try {
+            await RoomService.removeMember(roomId, member.userId!);
+            showToast({ message: 'Operative removed from squad', type: 'info' });
+            refresh();
+          } catch (error: any) {
+            showToast({ message: error?.response?.data?.message || 'Failed to remove member', type: 'error' });
+          }
+        },
+      },
+    ]);
+  }, [roomId, refresh, showToast]);
 
-  const handlePromoteMember = useCallback((id: string) => {
+  const handlePromoteMember = useCallback(async (member: RoomMember, role: RoomRole) => {
+    if (!member.userId) return;
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-    showToast({ message: 'Operative promoted', type: 'success' });
-  }, [showToast]);
+    try {
+      await RoomService.changeMemberRole(roomId, member.userId, role);
+      showToast({ message: `${member.username} is now ${ROLE_LABELS[role].toLowerCase()}`, type: 'success' });
+      refresh();
+    } catch (error: any) {
+      showToast({ message: error?.response?.data?.message || 'Failed to change role', type: 'error' });
+    }
+  }, [roomId, refresh, showToast]);
+
+  const handleTransferOwnership = useCallback((member: RoomMember) => {
+    if (!member.userId) return;
+    Alert.alert(
+      'Transfer ownership?',
+      `${member.username} will own this room. You'll stay on as an admin.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Transfer',
+          style: 'destructive',
+          onPress: async () => {
+            Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
+            try {
+              await RoomService.transferOwnership(roomId, member.userId!);
+              showToast({ message: `${member.username} is now the room owner`, type: 'success' });
+              refresh();
+            } catch (error: any) {
+              showToast({ message: error?.response?.data?.message || 'Failed to transfer ownership', type: 'error' });
+            }
+          },
+        },
+      ],
+    );
+  }, [roomId, refresh, showToast]);
 
   // ═══════════════════════════════════════════════════════════════════════════
   // RENDER
@@ -501,7 +558,7 @@ const RoomDetailScreen: React.FC = () => {
             <TouchableOpacity onPress={() => setShowMemberHUD(true)} style={styles.navIconBtn}>
               <Ionicons name="people-outline" size={21} color={isDark ? '#fff' : '#000'} />
             </TouchableOpacity>
-            {isOwner && (
+            {canManageTasks && (
               <TouchableOpacity 
                 onPress={() => {
                   Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
@@ -546,6 +603,9 @@ const RoomDetailScreen: React.FC = () => {
           onMembersPress={() => setShowMemberHUD(true)}
         />
 
+        {/* ── Pinned chat messages & announcements ────────────────────────── */}
+        <PinnedAnnouncements roomId={roomId} />
+
         {/* ── Layer B: Calendar (3-Level Expandable) ──────────────────────── */}
         <RoomCalendar
           selectedDate={selectedDate}
@@ -642,7 +702,7 @@ const RoomDetailScreen: React.FC = () => {
         visible={showOptionsSheet}
         task={optionsTask}
         currentUserId={userId}
-        isRoomOwner={isOwner}
+        isRoomOwner={canManageTasks}
         isParticipant={isOptionsTaskParticipant}
         onClose={() => { setShowOptionsSheet(false); setOptionsTask(null); }}
         onEdit={(t) => { setShowOptionsSheet(false); setSelectedTask(t); setShowTaskModal(true); }}
@@ -666,8 +726,13 @@ const RoomDetailScreen: React.FC = () => {
         isOwner={isOwner}
         ownerId={room?.ownerId}
         roomId={roomId}
+        myRole={userRole}
+        canApproveMembers={hasPermission(ROOM_PERMISSIONS.APPROVE_MEMBERS)}
+        canManageRoles={hasPermission(ROOM_PERMISSIONS.MANAGE_ROLES)}
+        canRemoveMembers={hasPermission(ROOM_PERMISSIONS.REMOVE_MEMBERS)}
         onKickMember={handleKickMember}
         onPromoteMember={handlePromoteMember}
+        onTransferOwnership={handleTransferOwnership}
       />
 
       <TaskCreationModal
@@ -95,6 +95,7 @@ export default function RoomTaskThread() {
     taskType?: string;
     description?: string;
     isOwner?: string;
+    canModerateProofs?: string;
   }>();
 
   const taskId = params.taskId;
@@ -103,7 +104,8 @@ export default function RoomTaskThread() {
   const roomName = params.roomName || 'Room';
   const taskPoints = parseInt(params.points || '10', 10);
   const taskDueDate = params.dueDate || '';
-  const isRoomOwner = params.isOwner === 'true';
+  // Owner, admins and moderators: their vouch approves a proof outright
+  const canModerateProofs = params.isOwner === 'true' || params.canModerateProofs === 'true';
 
   const [nodes, setNodes] = useState<RoomTaskNode[]>(() => roomTaskNodeService.getCachedNodes(taskId) || []);
   const [inputText, setInputText] = useState('');
@@ -440,37 +442,38 @@ export default function RoomTaskThread() {
     }
   }, [flattenedData.length, hasScrolledInit]);
 
-  const handleVouch = useCallback(async (id: string) => {
-    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-    let newVouchCount = 0;
-    setNodes(prev => prev.map(n => {
-      if (n.id === id) {
-        newVouchCount = (n.vouchCount || 0) + 1;
-        const autoApprove = newVouchCount >= 3;
-        return { ...n, vouchCount: newVouchCount, isVouchedByMe: true, status: autoApprove ? 'GHOST_APPROVED' : n.status };
-      }
-      return n;
-    }));
-
-    const patch: any = { vouchCount: newVouchCount, isVouchedByMe: true };
-    if (newVouchCount >= 3) patch.status = 'GHOST_APPROVED';
-    await roomTaskNodeService.updateNode(taskId, id, patch);
+  // Vouches are one per member and counted server-side; the server decides when a proof is verified
+  const submitVouch = useCallback(async (id: string) => {
+    const previous = nodes.find(n => n.id === id);
+    setNodes(prev => prev.map(n => n.id === id ? { ...n, vouchCount: (n.vouchCount || 0) + 1, isVouchedByMe: true } : n));
 
     try {
-      await taskService.updateRoomTaskNode(roomId, taskId, id, { vouch: true });
-    } catch {}
-    showToast({ message: newVouchCount >= 3 ? 'Auto-approved! 3 vouches reached' : '+1 Vouch awarded', type: 'success' });
-  }, [taskId, roomId, showToast]);
+      const { node, outcome } = await taskService.vouchRoomTaskNode(roomId, taskId, id);
+      const patch: Partial<RoomTaskNode> = { vouchCount: node?.vouchCount ?? 0, status: node?.status, isVouchedByMe: true };
+      setNodes(prev => prev.map(n => n.id === id ? { ...n, ...patch } : n));
+      await roomTaskNodeService.updateNode(taskId, id, patch);
+      return outcome;
+    } catch (err: any) {
+      if (previous) setNodes(prev => prev.map(n => n.id === id ? previous : n));
+      showToast({ message: err?.response?.data?.message || 'Could not vouch for this proof', type: 'error' });
+      return undefined;
+    }
+  }, [nodes, taskId, roomId, showToast]);
 
+  const handleVouch = useCallback(async (id: string) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    const outcome = await submitVouch(id);
+    if (outcome === undefined) return;
+    showToast({ message: outcome === 'verified' ? 'Proof verified!' : '+1 Vouch awarded', type: 'success' });
+  }, [submitVouch, showToast]);
+
+  // A proof moderator's vouch approves the proof outright
   const handleApprove = useCallback(async (id: string) => {
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy);
-    setNodes(prev => prev.map(n => n.id === id ? { ...n, status: 'GHOST_APPROVED' } : n));
-    await roomTaskNodeService.updateNode(taskId, id, { status: 'GHOST_APPROVED' });
-    try {
-      await taskService.updateRoomTaskNode(roomId, taskId, id, { status: 'GHOST_APPROVED' });
-    } catch {}
+    const outcome = await submitVouch(id);
+    if (outcome === undefined) return;
     showToast({ message: 'Proof Approved', type: 'success' });
-  }, [taskId, roomId, showToast]);
+  }, [submitVouch, showToast]);
 
   const handleSendChat = async () => {
     if (!inputText.trim()) return;
@@ -524,8 +527,9 @@ export default function RoomTaskThread() {
       if (serverNode) {
         const sid = serverNode._id || serverNode.id;
         const sMedia = serverNode.mediaUrl || uri;
-        setNodes(prev => prev.map(n => n.clientReferenceId === clientRefId ? { ...n, id: sid, mediaUrl: sMedia } : n));
-        roomTaskNodeService.updateNode(taskId, newMediaNode.id, { id: sid, mediaUrl: sMedia });
+        const sBlur = serverNode.blurHash || undefined;
+        setNodes(prev => prev.map(n => n.clientReferenceId === clientRefId ? { ...n, id: sid, mediaUrl: sMedia, blurHash: sBlur } : n));
+        roomTaskNodeService.updateNode(taskId, newMediaNode.id, { id: sid, mediaUrl: sMedia, blurHash: sBlur });
       }
     } catch {}
   };
@@ -552,12 +556,12 @@ export default function RoomTaskThread() {
   const renderItem = useCallback(({ item }: { item: FlattenedNode }) => {
     switch (item.type) {
       case 'date_divider': return <DateDividerNode dateLabel={item.data} />;
-      case 'proof_node': return <ProofNode node={item.data} currentUserId={user?.id || ''} isOwner={isRoomOwner} isLast={item.isLast} onVouch={handleVouch} onApprove={handleApprove} />;
+      case 'proof_node': return <ProofNode node={item.data} currentUserId={user?.id || ''} isOwner={canModerateProofs} isLast={item.isLast} onVouch={handleVouch} onApprove={handleApprove} />;
       case 'system_alert_node': return <SystemAlertNode node={item.data} isLast={item.isLast} />;
       case 'chat_node': return <ChatNode node={item.data} isLast={item.isLast} currentUserId={user?.id || ''} />;
       default: return null;
     }
-  }, [user, isRoomOwner, handleVouch, handleApprove]);
+  }, [user, canModerateProofs, handleVouch, handleApprove]);
 
   const floatingDateStyle = useAnimatedStyle(() => ({
     opacity: withTiming(isScrolling.value, { duration: 300 }),
@@ -8,7 +8,9 @@ import { useTheme } from '../../context/ThemeContext';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import notificationService from '../../services/notificationService';
+import api from '../../services/api';
 import ConfirmationModal from '../../components/ConfirmationModal';
+import NotificationPreferencesSection from '../../components/NotificationPreferencesSection';
 
 export default function SettingsScreen() {
   const router = useRouter();
@@ -44,6 +46,7 @@ export default function SettingsScreen() {
     message: '',
   });
   const [logoutModalVisible, setLogoutModalVisible] = useState(false);
+  const [signOutOthersVisible, setSignOutOthersVisible] = useState(false);
 
   useEffect(() => {
     loadSettings();
@@ -119,6 +122,27 @@ export default function SettingsScreen() {
     setLogoutModalVisible(true);
   };
 
+  const signOutOtherDevices = async () => {
+    setSignOutOthersVisible(false);
+    try {
+      const response = await api.delete('/auth/sessions');
+      const revoked = response.data?.revoked || 0;
+      setInfoModal({
+        visible: true,
+        title: 'Other Devices Signed Out',
+        message: revoked > 0
+          ? `Signed out of ${revoked} other device${revoked === 1 ? '' : 's'}.`
+          : 'You aren’t signed in on any other devices.',
+      });
+    } catch (e: any) {
+      setInfoModal({
+        visible: true,
+        title: 'Something Went Wrong',
+        message: e?.response?.data?.message || 'Could not sign out other devices. Please try again.',
+      });
+    }
+  };
+
   const accentColor = '#6366f1';
 
   const sections = [
@@ -149,6 +173,7 @@ export default function SettingsScreen() {
         { icon: 'person', label: 'Edit Profile', desc: 'Change your name and avatar', type: 'navigate', onPress: () => router.push('/(home)/profile') },
         { icon: 'lock-closed', label: 'Privacy', desc: 'Manage your privacy settings', type: 'navigate', onPress: () => setInfoModal({ visible: true, title: 'Privacy', message: 'Coming soon!' }) },
         { icon: 'shield-checkmark', label: 'Security', desc: 'Password and authentication', type: 'navigate', onPress: () => setInfoModal({ visible: true, title: 'Security', message: 'Coming soon!' }) },
+        { icon: 'phone-portrait-outline', label: 'Sign Out Other Devices', desc: 'End every session except this one', type: 'navigate', onPress: () => setSignOutOthersVisible(true) },
       ],
     },
     {
@@ -197,6 +222,18 @@ export default function SettingsScreen() {
         }}
       />
 
+      <ConfirmationModal
+        visible={signOutOthersVisible}
+        title="Sign Out Other Devices"
+        message="You'll stay signed in here. Every other phone and browser will need to sign in again."
+        confirmText="Sign Out"
+        cancelText="Cancel"
+        destructive
+        isDark={isDark}
+        onCancel={() => setSignOutOthersVisible(false)}
+        onConfirm={signOutOtherDevices}
+      />
+
       <View style={[styles.header, { paddingTop: Math.max(insets.top + 8, 52) }]}>
         <TouchableOpacity
           onPress={() => router.back()}
@@ -210,43 +247,51 @@ export default function SettingsScreen() {
 
       <ScrollView style={styles.content} showsVerticalScrollIndicator={false} contentContainerStyle={{ paddingBottom: 40 }}>
         {sections.map((section, si) => (
-          <View key={si} style={styles.section}>
-            <Text style={[styles.sectionTitle, { color: theme.textSecondary }]}>{section.title}</Text>
-            <View style={[styles.sectionCard, { backgroundColor: theme.surface, borderColor: theme.border }]}>
-              {section.items.map((item, ii) => (
-                <TouchableOpacity
-                  key={ii}
-                  style={[styles.settingItem, ii < section.items.length - 1 && { borderBottomColor: theme.border, borderBottomWidth: 1 }]}
-                  onPress={item.type !== 'switch' ? (item as any).onPress : undefined}
-                  activeOpacity={item.type === 'switch' ? 1 : 0.7}
-                >
-                  <View style={[styles.settingIcon, { backgroundColor: accentColor + '18' }]}>
-                    <Ionicons name={item.icon as any} size={17} color={accentColor} />
-                  </View>
-                  <View style={styles.settingContent}>
-                    <Text style={[styles.settingLabel, { color: theme.text }]}>{item.label}</Text>
-                    <Text style={[styles.settingDesc, { color: theme.textSecondary }]}>{item.desc}</Text>
-                  </View>
-                  {item.type === 'switch' && (
-                    <Switch
-                      value={(item as any).value}
-                      onValueChange={(item as any).onToggle}
-                      trackColor={{ false: theme.border, true: accentColor + '80' }}
-                      thumbColor={(item as any).value ? accentColor : '#f4f3f4'}
-                    />
-                  )}
-                  {item.type === 'select' && (
-                    <View style={[styles.selectDot, { backgroundColor: (item as any).value ? accentColor : 'transparent', borderColor: (item as any).value ? accentColor : theme.border }]}>
-                      {(item as any).value && <Ionicons name="checkmark" size={14} color="#fff" />}
+          <React.Fragment key={si}>
+            <View style={styles.section}>
+              <Text style={[styles.sectionTitle, { color: theme.textSecondary }]}>{section.title}</Text>
+              <View style={[styles.sectionCard, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+                {section.items.map((item, ii) => (
+                  <TouchableOpacity
+                    key={ii}
+                    style={[styles.settingItem, ii < section.items.length - 1 && { borderBottomColor: theme.border, borderBottomWidth: 1 }]}
+                    onPress={item.type !== 'switch' ? (item as any).onPress : undefined}
+                    activeOpacity={item.type === 'switch' ? 1 : 0.7}
+                  >
+                    <View style={[styles.settingIcon, { backgroundColor: accentColor + '18' }]}>
+                      <Ionicons name={item.icon as any} size={17} color={accentColor} />
+                    </View>
+                    <View style={styles.settingContent}>
+                      <Text style={[styles.settingLabel, { color: theme.text }]}>{item.label}</Text>
+                      <Text style={[styles.settingDesc, { color: theme.textSecondary }]}>{item.desc}</Text>
                     </View>
-                  )}
-                  {item.type === 'navigate' && (
-                    <Ionicons name="chevron-forward" size={16} color={theme.textSecondary} />
-                  )}
-                </TouchableOpacity>
-              ))}
+                    {item.type === 'switch' && (
+                      <Switch
+                        value={(item as any).value}
+                        onValueChange={(item as any).onToggle}
+                        trackColor={{ false: theme.border, true: accentColor + '80' }}
+                        thumbColor={(item as any).value ? accentColor : '#f4f3f4'}
+                      />
+                    )}
+                    {item.type === 'select' && (
+                      <View style={[styles.selectDot, { backgroundColor: (item as any).value ? accentColor : 'transparent', borderColor: (item as any).value ? accentColor : theme.border }]}>
+                        {(item as any).value && <Ionicons name="checkmark" size={14} color="#fff" />}
+                      </View>
+                    )}
+                    {item.type === 'navigate' && (
+                      <Ionicons name="chevron-forward" size={16} color={theme.textSecondary} />
+                    )}
+                  </TouchableOpacity>
+                ))}
+              </View>
             </View>
-          </View>
+            {section.title === 'Notifications' && (
+              <View style={styles.section}>
+                <Text style={[styles.sectionTitle, { color: theme.textSecondary }]}>Notification Preferences</Text>
+                <NotificationPreferencesSection theme={theme} accentColor={accentColor} />
+              </View>
+            )}
+          </React.Fragment>
         ))}
 
         <TouchableOpacity
@@ -6,9 +6,13 @@ interface ChatMessageProps {
   text: string;
   isUser?: boolean;
   color?: string;
+  edited?: boolean;  // Shows an "edited" tag under the text
+  deleted?: boolean; // Deleted for everyone: placeholder text, dimmed
 }
 
-export const ChatMessage: React.FC<ChatMessageProps> = ({ text, isUser = false, color }) => {
+const DELETED_TEXT = 'This message was deleted';
+
+export const ChatMessage: React.FC<ChatMessageProps> = ({ text, isUser = false, color, edited = false, deleted = false }) => {
   return (
     <View style={[styles.container, isUser && styles.userContainer]}>
       <View
@@ -16,9 +20,11 @@ export const ChatMessage: React.FC<ChatMessageProps> = ({ text, isUser = false,
           styles.bubble,
           isUser && styles.userBubble,
           { backgroundColor: color || (isUser ? KRIOS_COLORS.accent.blue : KRIOS_COLORS.accent.purple) },
+          deleted && styles.deletedBubble,
         ]}
       >
-        <Text style={styles.text}>{text}</Text>
+        <Text style={[styles.text, deleted && styles.deletedText]}>{deleted ? DELETED_TEXT : text}</Text>
+        {edited && !deleted && <Text style={styles.editedTag}>edited</Text>}
       </View>
     </View>
   );
@@ -50,4 +56,16 @@ const styles = StyleSheet.create({
     fontSize: 16,
     lineHeight: 22,
   },
+  deletedBubble: {
+    opacity: 0.6,
+  },
+  deletedText: {
+    fontStyle: 'italic',
+  },
+  editedTag: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 11,
+    marginTop: 4,
+    alignSelf: 'flex-end',
+  },
 });
@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator, Switch } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import api from '../services/api';
+
+// Server-side notification preferences (GET/PUT /notifications/preferences).
+// Separate from the on-device reminder toggle in notificationService.
+
+type Channel = 'inApp' | 'push' | 'emailDigest';
+type RoomLevel = 'default' | 'in_app' | 'off';
+
+interface TypePreference {
+  key: string;
+  label: string;
+  inApp: boolean;
+  push: boolean;
+  emailDigest: boolean;
+}
+
+interface RoomSetting {
+  roomId: string;
+  roomName: string;
+  level: RoomLevel;
+  mutedUntil: string | null;
+}
+
+interface QuietHours {
+  start: number;
+  end: number;
+}
+
+interface Preferences {
+  types: TypePreference[];
+  mutedUntil: string | null;
+  /** Local hours in `timezone`; a start after the end spans midnight */
+  quietHours: QuietHours | null;
+  timezone: string;
+  /** Email digests can only be turned on once this is true */
+  emailVerified: boolean;
+  rooms: RoomSetting[];
+}
+
+interface Props {
+  theme: { surface: string; border: string; text: string; textSecondary: string };
+  accentColor: string;
+}
+
+const CHANNELS: { key: Channel; label: string }[] = [
+  { key: 'inApp', label: 'In-app' },
+  { key: 'push', label: 'Push' },
+  { key: 'emailDigest', label: 'Email' },
+];
+
+const ROOM_LEVELS: { value: RoomLevel; label: string }[] = [
+  { value: 'default', label: 'Default' },
+  { value: 'in_app', label: 'In-app only' },
+  { value: 'off', label: 'Off' },
+];
+
+const MUTE_OPTIONS = [
+  { hours: 1, label: '1h' },
+  { hours: 8, label: '8h' },
+  { hours: 24, label: '24h' },
+  { hours: 168, label: '1 week' },
+];
+
+// Suggested when quiet hours are switched on
+const DEFAULT_QUIET_HOURS: QuietHours = { start: 22, end: 7 };
+
+const formatHour = (hour: number) => `${String(hour).padStart(2, '0')}:00`;
+
+const muteUntil = (hours: number): string | null =>
+  hours ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null;
+
+const formatUntil = (iso: string) =>
+  new Date(iso).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+export default function NotificationPreferencesSection({ theme, accentColor }: Props) {
+  const [preferences, setPreferences] = useState<Preferences | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadPreferences = useCallback(async () => {
+    try {
+      const res = await api.get('/notifications/preferences');
+      setPreferences(res.data.preferences);
+      setError(null);
+    } catch (e: any) {
+      setError(e?.response?.data?.message || 'Could not load notification settings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPreferences();
+  }, [loadPreferences]);
+
+  const savePreferences = async (changes: {
+    types?: Record<string, Partial<Record<Channel, boolean>>>;
+    mutedUntil?: string | null;
+    quietHours?: QuietHours | null;
+  }) => {
+    setSaving(true);
+    try {
+      const res = await api.put('/notifications/preferences', changes);
+      setPreferences(res.data.preferences);
+      setError(null);
+    } catch (e: any) {
+      setError(e?.response?.data?.message || 'Could not save notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveRoom = async (roomId: string, changes: { level?: RoomLevel; mutedUntil?: string | null }) => {
+    setSaving(true);
+    try {
+      const res = await api.put(`/notifications/preferences/rooms/${roomId}`, changes);
+      setPreferences(prev => prev && ({
+        ...prev,
+        rooms: prev.rooms.map(r => (r.roomId === roomId ? res.data.room : r)),
+      }));
+      setError(null);
+    } catch (e: any) {
+      setError(e?.response?.data?.message || 'Could not save room notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleChannel = (key: string, channel: Channel, value: boolean) => {
+    // Optimistic; the saved preferences replace this when the request returns
+    setPreferences(prev => prev && ({
+      ...prev,
+      types: prev.types.map(t => (t.key === key ? { ...t, [channel]: value } : t)),
+    }));
+    savePreferences({ types: { [key]: { [channel]: value } } });
+  };
+
+  // Step one end of quiet hours by an hour, skipping the other end
+  const stepQuietHour = (which: keyof QuietHours, delta: number) => {
+    const current = preferences?.quietHours;
+    if (!current) return;
+    let hour = (current[which] + delta + 24) % 24;
+    const other = which === 'start' ? current.end : current.start;
+    if (hour === other) hour = (hour + delta + 24) % 24;
+    savePreferences({ quietHours: { ...current, [which]: hour } });
+  };
+
+  const renderHourStepper = (label: string, which: keyof QuietHours, hour: number) => (
+    <View style={styles.stepper}>
+      <Text style={[styles.desc, { color: theme.textSecondary }]}>{label}</Text>
+      <TouchableOpacity onPress={() => stepQuietHour(which, -1)} disabled={saving} hitSlop={8}>
+        <Ionicons name="remove-circle-outline" size={20} color={accentColor} />
+      </TouchableOpacity>
+      <Text style={[styles.hour, { color: theme.text }]}>{formatHour(hour)}</Text>
+      <TouchableOpacity onPress={() => stepQuietHour(which, 1)} disabled={saving} hitSlop={8}>
+        <Ionicons name="add-circle-outline" size={20} color={accentColor} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderChip = (label: string, active: boolean, onPress: () => void, disabled = false) => (
+    <TouchableOpacity
+      key={label}
+      onPress={onPress}
+      disabled={disabled || saving}
+      activeOpacity={0.7}
+      style={[
+        styles.chip,
+        { borderColor: active ? accentColor : theme.border, backgroundColor: active ? accentColor + '20' : 'transparent' },
+        disabled && { opacity: 0.4 },
+      ]}
+    >
+      <Text style={[styles.chipText, { color: active ? accentColor : theme.textSecondary }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderMuteChips = (mutedUntil: string | null, onChange: (value: string | null) => void, disabled = false) => (
+    <View style={styles.chipRow}>
+      {mutedUntil
+        ? renderChip('Resume', false, () => onChange(null), disabled)
+        : MUTE_OPTIONS.map(option => renderChip(option.label, false, () => onChange(muteUntil(option.hours)), disabled))}
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={[styles.card, styles.loading, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+        <ActivityIndicator color={accentColor} />
+      </View>
+    );
+  }
+
+  if (!preferences) {
+    return (
+      <View style={[styles.card, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+        <TouchableOpacity style={styles.row} onPress={loadPreferences} activeOpacity={0.7}>
+          <Text style={[styles.desc, { color: theme.textSecondary }]}>{error} · Tap to retry</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+      {error && <Text style={styles.error}>{error}</Text>}
+
+      <View style={[styles.row, { borderBottomColor: theme.border, borderBottomWidth: 1 }]}>
+        <Text style={[styles.label, { color: theme.text }]}>Pause push notifications</Text>
+        <Text style={[styles.desc, { color: theme.textSecondary }]}>
+          {preferences.mutedUntil
+            ? `Paused until ${formatUntil(preferences.mutedUntil)}`
+            : 'In-app notifications and email digests still arrive'}
+        </Text>
+        {renderMuteChips(preferences.mutedUntil, value => savePreferences({ mutedUntil: value }))}
+      </View>
+
+      <View style={[styles.row, { borderBottomColor: theme.border, borderBottomWidth: 1 }]}>
+        <View style={styles.switchRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={[styles.label, { color: theme.text }]}>Quiet hours</Text>
+            <Text style={[styles.desc, { color: theme.textSecondary }]}>
+              Push waits until quiet hours end ({preferences.timezone} time)
+            </Text>
+          </View>
+          <Switch
+            value={!!preferences.quietHours}
+            onValueChange={value => savePreferences({ quietHours: value ? DEFAULT_QUIET_HOURS : null })}
+            disabled={saving}
+            trackColor={{ false: theme.border, true: accentColor + '80' }}
+            thumbColor={preferences.quietHours ? accentColor : '#f4f3f4'}
+          />
+        </View>
+        {preferences.quietHours && (
+          <View style={styles.chipRow}>
+            {renderHourStepper('From', 'start', preferences.quietHours.start)}
+            {renderHourStepper('To', 'end', preferences.quietHours.end)}
+          </View>
+        )}
+      </View>
+
+      {!preferences.emailVerified && (
+        <View style={[styles.row, { borderBottomColor: theme.border, borderBottomWidth: 1 }]}>
+          <Text style={[styles.desc, { color: theme.textSecondary }]}>Verify your email address to get email digests</Text>
+        </View>
+      )}
+
+      {preferences.types.map(type => (
+        <View key={type.key} style={[styles.row, { borderBottomColor: theme.border, borderBottomWidth: 1 }]}>
+          <Text style={[styles.label, { color: theme.text }]}>{type.label}</Text>
+          <View style={styles.chipRow}>
+            {CHANNELS.map(channel =>
+              renderChip(
+                channel.label,
+                type[channel.key],
+                () => toggleChannel(type.key, channel.key, !type[channel.key]),
+                channel.key === 'emailDigest' && !preferences.emailVerified && !type.emailDigest,
+              )
+            )}
+          </View>
+        </View>
+      ))}
+
+      {preferences.rooms.map((room, i) => (
+        <View
+          key={room.roomId}
+          style={[styles.row, i < preferences.rooms.length - 1 && { borderBottomColor: theme.border, borderBottomWidth: 1 }]}
+        >
+          <Text style={[styles.label, { color: theme.text }]} numberOfLines={1}>{room.roomName}</Text>
+          {room.mutedUntil && room.level !== 'off' && (
+            <Text style={[styles.desc, { color: theme.textSecondary }]}>Push paused until {formatUntil(room.mutedUntil)}</Text>
+          )}
+          <View style={styles.chipRow}>
+            {ROOM_LEVELS.map(level =>
+              renderChip(level.label, room.level === level.value, () => saveRoom(room.roomId, { level: level.value }))
+            )}
+          </View>
+          {renderMuteChips(room.mutedUntil, value => saveRoom(room.roomId, { mutedUntil: value }), room.level === 'off')}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: { borderRadius: 16, borderWidth: 1, overflow: 'hidden' },
+  loading: { padding: 20, alignItems: 'center' },
+  row: { padding: 13 },
+  label: { fontSize: 14, fontWeight: '500' },
+  desc: { fontSize: 11, marginTop: 1 },
+  switchRow: { flexDirection: 'row', alignItems: 'center' },
+  stepper: { flexDirection: 'row', alignItems: 'center', gap: 6, marginRight: 12 },
+  hour: { fontSize: 14, fontWeight: '600', minWidth: 44, textAlign: 'center' },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 8 },
+  chip: { paddingHorizontal: 10, paddingVertical: 5, borderRadius: 12, borderWidth: 1 },
+  chipText: { fontSize: 12, fontWeight: '600' },
+  error: { fontSize: 12, color: '#ef4444', paddingHorizontal: 13, paddingTop: 10 },
+});
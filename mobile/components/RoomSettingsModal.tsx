@@ -21,6 +21,9 @@ import type { RoomDetail } from '../types/room';
 import { roomStorage } from '../db/roomDb';
 import ConfirmationModal from './ConfirmationModal';
 
+// Free-tier retention choices, used until the server sends room.retentionOptions
+const DEFAULT_RETENTION_OPTIONS = [1, 2, 3, 4, 5];
+
 interface RoomSettingsModalProps {
   visible: boolean;
   onClose: () => void;
@@ -51,6 +54,8 @@ export function RoomSettingsModal({
   const [requireApproval, setRequireApproval] = useState(false);
   const [retention, setRetention] = useState(3);
   const [maxMembers, setMaxMembers] = useState('20');
+  const retentionOptions = room?.retentionOptions?.length ? room.retentionOptions : DEFAULT_RETENTION_OPTIONS;
+  const retentionIndex = Math.max(0, retentionOptions.filter(o => o <= retention).length - 1);
 
   // ── Loading states ──────────────────────────────────────────────────────
   const [saving, setSaving] = useState(false);
@@ -160,7 +165,7 @@ export function RoomSettingsModal({
     }
   }, [roomId, onRoomDeleted, removeRoomFromLocalCache]);
 
-  // ── Leave room handler (member only) ────────────────────────────────────
+  // ── Leave room handler (an owner's room passes to a successor) ────────────────────────────────────
   const handleLeaveRoom = useCallback(() => {
     setShowLeaveConfirm(true);
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy);
@@ -369,19 +374,21 @@ export function RoomSettingsModal({
                         { color: colors.textTertiary },
                       ]}
                     >
-                      Days messages are kept (1-5)
+                      {room?.isPremium
+                        ? 'Days messages are kept. Pinned messages stay.'
+                        : 'Days messages are kept (premium unlocks up to 90)'}
                     </Text>
                   </View>
                   <View style={styles.stepper}>
                     <TouchableOpacity
                       onPress={() => {
-                        if (retention > 1) updateField(setRetention, retention - 1);
+                        if (retentionIndex > 0) updateField(setRetention, retentionOptions[retentionIndex - 1]);
                       }}
                       style={[
                         styles.stepperBtn,
                         {
                           backgroundColor: colors.inputBg,
-                          opacity: retention <= 1 ? 0.4 : 1,
+                          opacity: retentionIndex <= 0 ? 0.4 : 1,
                         },
                       ]}
                     >
@@ -394,13 +401,15 @@ export function RoomSettingsModal({
                     </Text>
                     <TouchableOpacity
                       onPress={() => {
-                        if (retention < 5) updateField(setRetention, retention + 1);
+                        if (retentionIndex < retentionOptions.length - 1) {
+                          updateField(setRetention, retentionOptions[retentionIndex + 1]);
+                        }
                       }}
                       style={[
                         styles.stepperBtn,
                         {
                           backgroundColor: colors.inputBg,
-                          opacity: retention >= 5 ? 0.4 : 1,
+                          opacity: retentionIndex >= retentionOptions.length - 1 ? 0.4 : 1,
                         },
                       ]}
                     >
@@ -535,45 +544,45 @@ export function RoomSettingsModal({
                 </Text>
               </View>
 
-              {/* Leave Room — for non-owners */}
-              {!isOwner && (
-                <TouchableOpacity
-                  style={[
-                    styles.dangerBtn,
-                    {
-                      borderColor: isDark
-                        ? 'rgba(239,68,68,0.3)'
-                        : 'rgba(239,68,68,0.2)',
-                    },
-                  ]}
-                  onPress={handleLeaveRoom}
-                  disabled={leaving}
-                >
-                  {leaving ? (
-                    <ActivityIndicator size="small" color="#ef4444" />
-                  ) : (
-                    <>
-                      <Ionicons name="log-out-outline" size={18} color="#ef4444" />
-                      <View style={styles.dangerBtnInfo}>
-                        <Text style={styles.dangerBtnTitle}>Leave Room</Text>
-                        <Text
-                          style={[
-                            styles.dangerBtnDesc,
-                            { color: colors.textTertiary },
-                          ]}
-                        >
-                          You will need to rejoin to access this room
-                        </Text>
-                      </View>
-                      <Ionicons
-                        name="chevron-forward"
-                        size={16}
-                        color={colors.textTertiary}
-                      />
-                    </>
-                  )}
-                </TouchableOpacity>
-              )}
+              {/* Leave Room — owners hand the room to a successor */}
+              <TouchableOpacity
+                style={[
+                  styles.dangerBtn,
+                  {
+                    borderColor: isDark
+                      ? 'rgba(239,68,68,0.3)'
+                      : 'rgba(239,68,68,0.2)',
+                  },
+                ]}
+                onPress={handleLeaveRoom}
+                disabled={leaving}
+              >
+                {leaving ? (
+                  <ActivityIndicator size="small" color="#ef4444" />
+                ) : (
+                  <>
+                    <Ionicons name="log-out-outline" size={18} color="#ef4444" />
+                    <View style={styles.dangerBtnInfo}>
+                      <Text style={styles.dangerBtnTitle}>Leave Room</Text>
+                      <Text
+                        style={[
+                          styles.dangerBtnDesc,
+                          { color: colors.textTertiary },
+                        ]}
+                      >
+                        {isOwner
+                          ? 'Ownership passes to an admin or top member'
+                          : 'You will need to rejoin to access this room'}
+                      </Text>
+                    </View>
+                    <Ionicons
+                      name="chevron-forward"
+                      size={16}
+                      color={colors.textTertiary}
+                    />
+                  </>
+                )}
+              </TouchableOpacity>
 
               {/* Delete Room — for owners */}
               {isOwner && (
@@ -637,7 +646,9 @@ export function RoomSettingsModal({
         <ConfirmationModal
           visible={showLeaveConfirm}
           title="Leave Room"
-          message="Are you sure you want to leave this room? You will need to rejoin to access it again."
+          message={isOwner
+            ? 'Ownership will pass to the longest-standing admin, or the member with the most points if there are no admins. You will need to rejoin to access this room again.'
+            : 'Are you sure you want to leave this room? You will need to rejoin to access it again.'}
           confirmText="Leave Room"
           cancelText="Cancel"
           isDark={isDark}
@@ -3,17 +3,26 @@ import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { LocalDirectMessage } from '../../services/sqliteService';
+import { parseReactions } from '../../services/messageService';
 
 interface ChatBubbleProps {
   message: LocalDirectMessage;
   isMine: boolean;
   isDark: boolean;
+  currentUserId?: string;
   showTimestamp?: boolean;
+  showReactionPicker?: boolean;
   onRetry?: (msg: LocalDirectMessage) => void;
   onReply?: (msg: LocalDirectMessage) => void;
   onLongPress?: (msg: LocalDirectMessage) => void;
+  onReact?: (msg: LocalDirectMessage, emoji: string) => void;
+  onReport?: (msg: LocalDirectMessage) => void;
+  onEdit?: (msg: LocalDirectMessage) => void;   // Only passed while the message is still editable
+  onDelete?: (msg: LocalDirectMessage) => void; // Opens delete-for-me / unsend options
 }
 
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
+
 const ACCENT_COLOR = '#6366f1';
 const VIOLET_ACCENT = '#8b5cf6';
 
@@ -34,12 +43,13 @@ function formatTime(ts: number): string {
 }
 
 function ChatBubble({ 
-  message, isMine, isDark, showTimestamp = true, 
-  onRetry, onReply, onLongPress 
+  message, isMine, isDark, currentUserId, showTimestamp = true, showReactionPicker = false,
+  onRetry, onReply, onLongPress, onReact, onReport, onEdit, onDelete 
 }: ChatBubbleProps) {
   const status = STATUS_ICONS[message.status] || STATUS_ICONS.sending;
   const hasReply = !!message.reply_to_text;
   const isFailed = message.status === 'failed';
+  const reactions = parseReactions(message.reactions);
 
   const bubbleBg = isMine 
     ? undefined 
@@ -56,6 +66,42 @@ function ChatBubble({
 
   return (
     <View style={[styles.row, isMine ? styles.rowRight : styles.rowLeft]}>
+      {/* Quick reaction picker (opened by long-press) */}
+      {showReactionPicker && onReact && (
+        <View
+          style={[
+            styles.picker,
+            { backgroundColor: isDark ? '#1e1b2e' : '#ffffff', borderColor: isDark ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.08)' },
+          ]}
+        >
+          {QUICK_REACTIONS.map(emoji => (
+            <TouchableOpacity key={emoji} onPress={() => onReact(message, emoji)} style={styles.pickerItem}>
+              <Text style={styles.pickerEmoji}>{emoji}</Text>
+            </TouchableOpacity>
+          ))}
+          {onReply && (
+            <TouchableOpacity onPress={() => onReply(message)} style={styles.pickerItem}>
+              <Ionicons name="arrow-undo" size={18} color={isDark ? '#cbd5e1' : '#475569'} />
+            </TouchableOpacity>
+          )}
+          {onReport && !isMine && (
+            <TouchableOpacity onPress={() => onReport(message)} style={styles.pickerItem}>
+              <Ionicons name="flag-outline" size={18} color="#ef4444" />
+            </TouchableOpacity>
+          )}
+          {onEdit && isMine && (
+            <TouchableOpacity onPress={() => onEdit(message)} style={styles.pickerItem}>
+              <Ionicons name="create-outline" size={18} color={isDark ? '#cbd5e1' : '#475569'} />
+            </TouchableOpacity>
+          )}
+          {onDelete && (
+            <TouchableOpacity onPress={() => onDelete(message)} style={styles.pickerItem}>
+              <Ionicons name="trash-outline" size={18} color="#ef4444" />
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
       <TouchableOpacity
         activeOpacity={0.85}
         onLongPress={() => onLongPress ? onLongPress(message) : onReply?.(message)}
@@ -140,7 +186,7 @@ function ChatBubble({
         {showTimestamp && (
           <View style={styles.meta}>
             <Text style={[styles.time, { color: timeColor }]}>
-              {formatTime(message.created_at)}
+              {message.edited_at ? 'edited · ' : ''}{formatTime(message.created_at)}
             </Text>
             {isMine && (
               <Ionicons
@@ -161,6 +207,37 @@ function ChatBubble({
           </View>
         )}
       </TouchableOpacity>
+
+      {/* Reactions */}
+      {reactions.length > 0 && (
+        <View style={[styles.reactions, isMine ? styles.rowRight : styles.rowLeft]}>
+          {reactions.map(reaction => {
+            const reactedByMe = !!currentUserId && reaction.users.some(u => u.id === currentUserId);
+            return (
+              <TouchableOpacity
+                key={reaction.emoji}
+                activeOpacity={0.7}
+                disabled={!onReact}
+                onPress={() => onReact?.(message, reaction.emoji)}
+                style={[
+                  styles.reactionChip,
+                  {
+                    backgroundColor: reactedByMe
+                      ? 'rgba(99,102,241,0.2)'
+                      : isDark ? 'rgba(255,255,255,0.07)' : 'rgba(0,0,0,0.05)',
+                    borderColor: reactedByMe ? ACCENT_COLOR : 'transparent',
+                  },
+                ]}
+              >
+                <Text style={styles.reactionEmoji}>{reaction.emoji}</Text>
+                <Text style={[styles.reactionCount, { color: isDark ? '#e2e8f0' : '#334155' }]}>
+                  {reaction.count}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
     </View>
   );
 }
@@ -171,6 +248,10 @@ export default memo(ChatBubble, (prevProps, nextProps) => {
     prevProps.message.id === nextProps.message.id &&
     prevProps.message.status === nextProps.message.status &&
     prevProps.message.content === nextProps.message.content &&
+    prevProps.message.edited_at === nextProps.message.edited_at &&
+    prevProps.message.reactions === nextProps.message.reactions &&
+    prevProps.showReactionPicker === nextProps.showReactionPicker &&
+    prevProps.currentUserId === nextProps.currentUserId &&
     prevProps.isMine === nextProps.isMine &&
     prevProps.isDark === nextProps.isDark &&
     prevProps.showTimestamp === nextProps.showTimestamp
@@ -259,4 +340,44 @@ const styles = StyleSheet.create({
     color: '#ef4444',
     fontWeight: '600',
   },
+  picker: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 22,
+    borderWidth: 1,
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+    marginBottom: 4,
+    gap: 2,
+  },
+  pickerItem: {
+    paddingHorizontal: 5,
+    paddingVertical: 2,
+  },
+  pickerEmoji: {
+    fontSize: 22,
+  },
+  reactions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginTop: 3,
+    maxWidth: '78%',
+  },
+  reactionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    borderWidth: 1,
+    paddingHorizontal: 7,
+    paddingVertical: 2,
+    gap: 3,
+  },
+  reactionEmoji: {
+    fontSize: 13,
+  },
+  reactionCount: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
 });
@@ -6,6 +6,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { LocalConversation } from '../../services/sqliteService';
+import { GroupConversationRow, isGroupRow } from '../../services/groupService';
 
 const { width: SW } = Dimensions.get('window');
 const DELETE_THRESHOLD = -80;
@@ -13,7 +14,7 @@ const ACCENT_COLOR = '#6366f1';
 const VIOLET_ACCENT = '#8b5cf6';
 
 interface ConversationCardProps {
-  conversation: LocalConversation;
+  conversation: LocalConversation | GroupConversationRow;
   isDark: boolean;
   onPress: () => void;
   onDelete?: () => void;
@@ -43,6 +44,12 @@ function ConversationCard({ conversation, isDark, onPress, onDelete }: Conversat
   const isPendingSent = conversation.request_status === 'pending_sent';
   const isPendingReceived = conversation.request_status === 'pending_received';
   const isPending = isPendingSent || isPendingReceived;
+  const isGroup = isGroupRow(conversation);
+  const preview = isGroup
+    ? conversation.last_message
+      ? `${conversation.last_sender ? `${conversation.last_sender}: ` : ''}${conversation.last_message}`
+      : `${conversation.member_count} members`
+    : conversation.last_message || 'Start a conversation';
 
   // Swipe-to-delete
   const translateX = useRef(new Animated.Value(0)).current;
@@ -117,7 +124,11 @@ function ConversationCard({ conversation, isDark, onPress, onDelete }: Conversat
         >
           {/* Avatar */}
           <View style={styles.avatarWrap}>
-            {conversation.avatar ? (
+            {isGroup ? (
+              <LinearGradient colors={[VIOLET_ACCENT, '#06b6d4'] as any} style={styles.avatar}>
+                <Ionicons name="people" size={24} color="#fff" />
+              </LinearGradient>
+            ) : conversation.avatar ? (
               <Image source={{ uri: conversation.avatar }} style={styles.avatar} />
             ) : (
               <LinearGradient
@@ -187,7 +198,7 @@ function ConversationCard({ conversation, isDark, onPress, onDelete }: Conversat
                   ]}
                   numberOfLines={1}
                 >
-                  {conversation.last_message || 'Start a conversation'}
+                  {preview}
                 </Text>
               )}
 
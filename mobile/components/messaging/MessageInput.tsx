@@ -16,6 +16,8 @@ interface MessageInputProps {
   onTyping?: (isTyping: boolean) => void;
   replyTo?: { id: string; text: string; username?: string } | null;
   onCancelReply?: () => void;
+  editing?: { id: string; text: string } | null; // Prefills the input; sending saves the edit
+  onCancelEdit?: () => void;
   disabled?: boolean;
 }
 
@@ -24,7 +26,7 @@ const ACCENT_COLOR = '#6366f1';
 const VIOLET_ACCENT = '#8b5cf6';
 
 export default function MessageInput({
-  isDark, onSend, onTyping, replyTo, onCancelReply, disabled,
+  isDark, onSend, onTyping, replyTo, onCancelReply, editing, onCancelEdit, disabled,
 }: MessageInputProps) {
   const [text, setText] = useState('');
   const inputRef = useRef<TextInput>(null);
@@ -39,9 +41,22 @@ export default function MessageInput({
     sendScale.value = withSpring(hasText ? 1 : 0.65, SPRING);
   }, [hasText]);
 
+  // The bar above the input shows what is being edited, else what is being replied to
+  const banner = editing
+    ? { label: 'Editing message', text: editing.text, onCancel: () => { setText(''); onCancelEdit?.(); } }
+    : replyTo
+    ? { label: `Replying to ${replyTo.username || 'message'}`, text: replyTo.text, onCancel: onCancelReply }
+    : null;
+
+  useEffect(() => {
+    replyHeight.value = withTiming(banner ? 44 : 0, { duration: 200 });
+  }, [!!banner]);
+
   useEffect(() => {
-    replyHeight.value = withTiming(replyTo ? 44 : 0, { duration: 200 });
-  }, [replyTo]);
+    if (!editing) return;
+    setText(editing.text);
+    inputRef.current?.focus();
+  }, [editing?.id]);
 
   const handleSend = useCallback(() => {
     const msg = text.trim();
@@ -105,23 +120,23 @@ export default function MessageInput({
     <View style={styles.container}>
       {/* Reply preview bar */}
       <Animated.View style={[styles.replyBar, replyAnimStyle]}>
-        {replyTo && (
+        {banner && (
           <View style={[styles.replyInner, { 
             backgroundColor: isDark ? 'rgba(99,102,241,0.1)' : 'rgba(99,102,241,0.06)' 
           }]}>
             <View style={styles.replyContent}>
               <Text style={[styles.replyLabel, { color: ACCENT_COLOR }]}>
-                Replying to {replyTo.username || 'message'}
+                {banner.label}
               </Text>
               <Text
                 style={[styles.replyText, { color: isDark ? 'rgba(255,255,255,0.5)' : 'rgba(0,0,0,0.45)' }]}
                 numberOfLines={1}
               >
-                {replyTo.text}
+                {banner.text}
               </Text>
             </View>
             <TouchableOpacity 
-              onPress={onCancelReply} 
+              onPress={banner.onCancel} 
               hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
             >
               <Ionicons 
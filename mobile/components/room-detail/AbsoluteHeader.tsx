@@ -50,6 +50,7 @@ interface AbsoluteHeaderProps {
   onAddPress?: () => void;
   // ── Command Deck (Side B) props ─────────────────────────────────────────
   chatRetentionDays?: number;
+  maxRetentionDays?: number;
   isPublic?: boolean;
   onTogglePrivacy?: (isPublic: boolean) => void;
   onManageMembers?: () => void;
@@ -70,6 +71,7 @@ const AbsoluteHeader: React.FC<AbsoluteHeaderProps> = ({
   isOwner = false,
   onAddPress,
   chatRetentionDays = 3,
+  maxRetentionDays = 5,
   isPublic = false,
   onTogglePrivacy,
   onManageMembers,
@@ -244,6 +246,7 @@ const AbsoluteHeader: React.FC<AbsoluteHeaderProps> = ({
               members={members}
               streak={streak}
               chatRetentionDays={chatRetentionDays}
+              maxRetentionDays={maxRetentionDays}
               isPublic={isPublic}
               onTogglePrivacy={onTogglePrivacy}
               onManageMembers={onManageMembers}
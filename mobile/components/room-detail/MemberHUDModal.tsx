@@ -14,8 +14,10 @@ import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import * as Haptics from 'expo-haptics';
 import { useTheme } from '../../context/ThemeContext';
-import { RoomMember, Task } from '../../types/room';
+import { RoomMember, RoomRole, Task } from '../../types/room';
 import RoomService, { PendingMember } from '../../services/roomService';
+import { ROLE_LABELS, outranks, getAssignableRoles } from '../../utils/roomRoles';
+import SeasonHistory from './SeasonHistory';
 
 const { height: H } = Dimensions.get('window');
 
@@ -30,8 +32,13 @@ interface MemberHUDModalProps {
   isOwner: boolean;
   ownerId?: string;
   roomId?: string;
-  onKickMember?: (id: string) => void;
-  onPromoteMember?: (id: string) => void;
+  myRole?: RoomRole;            // Current user's room role (defaults from isOwner)
+  canApproveMembers?: boolean;  // Owner, admins, moderators
+  canManageRoles?: boolean;     // Owner, admins
+  canRemoveMembers?: boolean;   // Owner, admins
+  onKickMember?: (member: RoomMember) => void;
+  onPromoteMember?: (member: RoomMember, role: RoomRole) => void;
+  onTransferOwnership?: (member: RoomMember) => void;
 }
 
 // ── Point computation ───────────────────────────────────────────────────────
@@ -49,16 +56,22 @@ export default function MemberHUDModal({
   isOwner,
   ownerId,
   roomId,
+  myRole = isOwner ? 'owner' : 'member',
+  canApproveMembers = isOwner,
+  canManageRoles = isOwner,
+  canRemoveMembers = isOwner,
   onKickMember,
   onPromoteMember,
+  onTransferOwnership,
 }: MemberHUDModalProps) {
   const { isDark, colors } = useTheme();
+  const [expandedMemberId, setExpandedMemberId] = useState<string | null>(null);
 
-  // ── Pending members state (owner only) ──────────────────────────────────
+  // ── Pending members state (owner, admins, moderators) ───────────────────
   const [pendingMembers, setPendingMembers] = useState<PendingMember[]>([]);
   const [pendingLoading, setPendingLoading] = useState(false);
   const [actionLoading, setActionLoading] = useState<string | null>(null);
-  const [activeTab, setActiveTab] = useState<'members' | 'requests'>('members');
+  const [activeTab, setActiveTab] = useState<'members' | 'requests' | 'seasons'>('members');
 
   // ── Compute points per member from task completions ─────────────────────
   const rankedMembers: MemberWithPoints[] = useMemo(() => {
@@ -100,15 +113,16 @@ export default function MemberHUDModal({
   const cardBg = isDark ? 'rgba(255,255,255,0.04)' : 'rgba(0,0,0,0.025)';
   const statusDotBorder = isDark ? '#0f0f1e' : '#ffffff';
 
-  // Fetch pending members when modal opens (owner only)
+  // Fetch pending members when modal opens (for those who can approve)
   useEffect(() => {
-    if (visible && isOwner && roomId) {
+    if (visible && canApproveMembers && roomId) {
       fetchPending();
     }
     if (!visible) {
       setActiveTab('members');
+      setExpandedMemberId(null);
     }
-  }, [visible, isOwner, roomId]);
+  }, [visible, canApproveMembers, roomId]);
 
   const fetchPending = useCallback(async () => {
     if (!roomId) return;
@@ -207,8 +221,8 @@ export default function MemberHUDModal({
           </TouchableOpacity>
         </View>
 
-        {/* ── Tabs (owner sees both, members just see the list) ──────────── */}
-        {isOwner && roomId && (
+        {/* ── Tabs (requests only for approvers) ───────────────────────────── */}
+        {roomId && (
           <View style={[styles.tabBar, { borderBottomColor: colors.borderColor }]}>
             <TouchableOpacity
               onPress={() => setActiveTab('members')}
@@ -233,32 +247,57 @@ export default function MemberHUDModal({
               </Text>
             </TouchableOpacity>
 
+            {canApproveMembers && (
+              <TouchableOpacity
+                onPress={() => setActiveTab('requests')}
+                style={[
+                  styles.tab,
+                  activeTab === 'requests' && styles.tabActive,
+                  activeTab === 'requests' && { borderBottomColor: '#f59e0b' },
+                ]}
+              >
+                <Ionicons
+                  name="time"
+                  size={15}
+                  color={activeTab === 'requests' ? '#f59e0b' : colors.textTertiary}
+                />
+                <Text
+                  style={[
+                    styles.tabLabel,
+                    { color: activeTab === 'requests' ? '#f59e0b' : colors.textTertiary },
+                  ]}
+                >
+                  Requests
+                </Text>
+                {pendingMembers.length > 0 && (
+                  <View style={styles.badge}>
+                    <Text style={styles.badgeText}>{pendingMembers.length}</Text>
+                  </View>
+                )}
+              </TouchableOpacity>
+            )}
+
             <TouchableOpacity
-              onPress={() => setActiveTab('requests')}
+              onPress={() => setActiveTab('seasons')}
               style={[
                 styles.tab,
-                activeTab === 'requests' && styles.tabActive,
-                activeTab === 'requests' && { borderBottomColor: '#f59e0b' },
+                activeTab === 'seasons' && styles.tabActive,
+                activeTab === 'seasons' && { borderBottomColor: RANK_COLORS[0] },
               ]}
             >
               <Ionicons
-                name="time"
+                name="trophy"
                 size={15}
-                color={activeTab === 'requests' ? '#f59e0b' : colors.textTertiary}
+                color={activeTab === 'seasons' ? RANK_COLORS[0] : colors.textTertiary}
               />
               <Text
                 style={[
                   styles.tabLabel,
-                  { color: activeTab === 'requests' ? '#f59e0b' : colors.textTertiary },
+                  { color: activeTab === 'seasons' ? RANK_COLORS[0] : colors.textTertiary },
                 ]}
               >
-                Requests
+                Seasons
               </Text>
-              {pendingMembers.length > 0 && (
-                <View style={styles.badge}>
-                  <Text style={styles.badgeText}>{pendingMembers.length}</Text>
-                </View>
-              )}
             </TouchableOpacity>
           </View>
         )}
@@ -277,113 +316,182 @@ export default function MemberHUDModal({
                 const rankColor = getRankColor(m.rank);
                 const rankIcon = getRankIcon(m.rank);
                 const memberIsOwner = isMemberOwner(m);
+                const memberRole: RoomRole = memberIsOwner ? 'owner' : m.role || 'member';
+                const canManageMember =
+                  (canManageRoles || canRemoveMembers) &&
+                  m.userId !== undefined &&
+                  !memberIsOwner &&
+                  outranks(myRole, memberRole);
+                const isExpanded = expandedMemberId === m.id;
 
                 return (
-                  <View
-                    key={m.id}
-                    style={[
-                      styles.memberCard,
-                      {
-                        backgroundColor: cardBg,
-                        borderColor: m.rank <= 3
-                          ? isDark
-                            ? `${rankColor}18`
-                            : `${rankColor}12`
-                          : 'transparent',
-                      },
-                    ]}
-                  >
-                    {/* Rank indicator */}
-                    <View style={styles.rankCol}>
-                      {rankIcon ? (
-                        <Ionicons name={rankIcon as any} size={16} color={rankColor} />
-                      ) : (
-                        <Text style={[styles.rankNumber, { color: colors.textTertiary }]}>
-                          {m.rank}
-                        </Text>
-                      )}
-                    </View>
+                  <React.Fragment key={m.id}>
+                    <View
+                      style={[
+                        styles.memberCard,
+                        {
+                          backgroundColor: cardBg,
+                          borderColor: m.rank <= 3
+                            ? isDark
+                              ? `${rankColor}18`
+                              : `${rankColor}12`
+                            : 'transparent',
+                        },
+                      ]}
+                    >
+                      {/* Rank indicator */}
+                      <View style={styles.rankCol}>
+                        {rankIcon ? (
+                          <Ionicons name={rankIcon as any} size={16} color={rankColor} />
+                        ) : (
+                          <Text style={[styles.rankNumber, { color: colors.textTertiary }]}>
+                            {m.rank}
+                          </Text>
+                        )}
+                      </View>
 
-                    {/* Avatar + Online dot */}
-                    <View style={styles.avatarWrap}>
-                      {m.avatar ? (
-                        <Image source={{ uri: m.avatar }} style={styles.avatar} />
-                      ) : (
+                      {/* Avatar + Online dot */}
+                      <View style={styles.avatarWrap}>
+                        {m.avatar ? (
+                          <Image source={{ uri: m.avatar }} style={styles.avatar} />
+                        ) : (
+                          <View
+                            style={[
+                              styles.avatarFallback,
+                              {
+                                backgroundColor: isDark ? '#1e1b4b' : '#e0e7ff',
+                              },
+                            ]}
+                          >
+                            <Text
+                              style={[
+                                styles.avatarInitial,
+                                { color: isDark ? '#c4b5fd' : '#4f46e5' },
+                              ]}
+                            >
+                              {m.username.charAt(0).toUpperCase()}
+                            </Text>
+                          </View>
+                        )}
                         <View
                           style={[
-                            styles.avatarFallback,
+                            styles.onlineDot,
                             {
-                              backgroundColor: isDark ? '#1e1b4b' : '#e0e7ff',
+                              backgroundColor: m.isOnline ? '#22c55e' : '#64748b',
+                              borderColor: statusDotBorder,
                             },
                           ]}
-                        >
+                        />
+                      </View>
+
+                      {/* Name + role */}
+                      <View style={styles.infoCol}>
+                        <View style={styles.nameRow}>
                           <Text
-                            style={[
-                              styles.avatarInitial,
-                              { color: isDark ? '#c4b5fd' : '#4f46e5' },
-                            ]}
+                            style={[styles.memberName, { color: colors.text }]}
+                            numberOfLines={1}
                           >
-                            {m.username.charAt(0).toUpperCase()}
+                            {m.username}
                           </Text>
+                          {memberIsOwner && (
+                            <View style={[styles.ownerPill, { backgroundColor: isDark ? 'rgba(245,158,11,0.12)' : 'rgba(245,158,11,0.08)' }]}>
+                              <Ionicons name="star" size={8} color="#f59e0b" />
+                              <Text style={styles.ownerPillText}>Owner</Text>
+                            </View>
+                          )}
+                          {!memberIsOwner && memberRole !== 'member' && (
+                            <View style={[styles.ownerPill, { backgroundColor: isDark ? 'rgba(139,92,246,0.14)' : 'rgba(99,102,241,0.08)' }]}>
+                              <Text style={[styles.ownerPillText, { color: memberRole === 'viewer' ? colors.textTertiary : colors.primary }]}>
+                                {ROLE_LABELS[memberRole]}
+                              </Text>
+                            </View>
+                          )}
                         </View>
-                      )}
-                      <View
-                        style={[
-                          styles.onlineDot,
-                          {
-                            backgroundColor: m.isOnline ? '#22c55e' : '#64748b',
-                            borderColor: statusDotBorder,
-                          },
-                        ]}
-                      />
-                    </View>
+                        <Text style={[styles.metaText, { color: colors.textTertiary }]}>
+                          {m.completedCount} task{m.completedCount !== 1 ? 's' : ''} done
+                        </Text>
+                      </View>
 
-                    {/* Name + role */}
-                    <View style={styles.infoCol}>
-                      <View style={styles.nameRow}>
-                        <Text
-                          style={[styles.memberName, { color: colors.text }]}
-                          numberOfLines={1}
-                        >
-                          {m.username}
+                      {/* Points */}
+                      <View style={styles.pointsCol}>
+                        <Text style={[styles.pointsValue, { color: m.rank <= 3 ? rankColor : colors.text }]}>
+                          {m.points}
+                        </Text>
+                        <Text style={[styles.pointsLabel, { color: colors.textTertiary }]}>
+                          pts
                         </Text>
-                        {memberIsOwner && (
-                          <View style={[styles.ownerPill, { backgroundColor: isDark ? 'rgba(245,158,11,0.12)' : 'rgba(245,158,11,0.08)' }]}>
-                            <Ionicons name="star" size={8} color="#f59e0b" />
-                            <Text style={styles.ownerPillText}>Owner</Text>
-                          </View>
-                        )}
                       </View>
-                      <Text style={[styles.metaText, { color: colors.textTertiary }]}>
-                        {m.completedCount} task{m.completedCount !== 1 ? 's' : ''} done
-                      </Text>
-                    </View>
 
-                    {/* Points */}
-                    <View style={styles.pointsCol}>
-                      <Text style={[styles.pointsValue, { color: m.rank <= 3 ? rankColor : colors.text }]}>
-                        {m.points}
-                      </Text>
-                      <Text style={[styles.pointsLabel, { color: colors.textTertiary }]}>
-                        pts
-                      </Text>
+                      {/* Member actions (roles, removal) for higher-ranked members */}
+                      {canManageMember && (
+                        <TouchableOpacity
+                          style={styles.moreBtn}
+                          onPress={() => {
+                            Haptics.selectionAsync();
+                            setExpandedMemberId(isExpanded ? null : m.id);
+                          }}
+                          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                        >
+                          <Ionicons
+                            name={isExpanded ? 'chevron-up' : 'ellipsis-vertical'}
+                            size={14}
+                            color={colors.textTertiary}
+                          />
+                        </TouchableOpacity>
+                      )}
                     </View>
 
-                    {/* Owner actions */}
-                    {isOwner && !memberIsOwner && (
-                      <TouchableOpacity
-                        style={styles.moreBtn}
-                        onPress={() => onKickMember?.(m.id)}
-                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
-                      >
-                        <Ionicons
-                          name="ellipsis-vertical"
-                          size={14}
-                          color={colors.textTertiary}
-                        />
-                      </TouchableOpacity>
+                    {isExpanded && (
+                      <View style={styles.memberActions}>
+                        {canManageRoles && getAssignableRoles(myRole).map((role) => {
+                          const isCurrent = role === memberRole;
+                          return (
+                            <TouchableOpacity
+                              key={role}
+                              disabled={isCurrent}
+                              onPress={() => {
+                                setExpandedMemberId(null);
+                                onPromoteMember?.(m, role);
+                              }}
+                              style={[
+                                styles.actionChip,
+                                {
+                                  borderColor: isCurrent ? colors.primary : colors.borderColor,
+                                  backgroundColor: isCurrent ? (isDark ? 'rgba(139,92,246,0.14)' : 'rgba(99,102,241,0.08)') : 'transparent',
+                                },
+                              ]}
+                            >
+                              <Text style={[styles.actionChipText, { color: isCurrent ? colors.primary : colors.textSecondary }]}>
+                                {ROLE_LABELS[role]}
+                              </Text>
+                            </TouchableOpacity>
+                          );
+                        })}
+                        {isOwner && onTransferOwnership && (
+                          <TouchableOpacity
+                            onPress={() => {
+                              setExpandedMemberId(null);
+                              onTransferOwnership(m);
+                            }}
+                            style={[styles.actionChip, { borderColor: '#f59e0b' }]}
+                          >
+                            <Text style={[styles.actionChipText, { color: '#f59e0b' }]}>Make owner</Text>
+                          </TouchableOpacity>
+                        )}
+                        {canRemoveMembers && (
+                          <TouchableOpacity
+                            onPress={() => {
+                              setExpandedMemberId(null);
+                              onKickMember?.(m);
+                            }}
+                            style={[styles.actionChip, { borderColor: 'rgba(239,68,68,0.4)' }]}
+                          >
+                            <Text style={[styles.actionChipText, { color: '#ef4444' }]}>Remove</Text>
+                          </TouchableOpacity>
+                        )}
+                      </View>
                     )}
-                  </View>
+                  </React.Fragment>
                 );
               })}
 
@@ -396,6 +504,11 @@ export default function MemberHUDModal({
                 </View>
               )}
             </>
+          ) : activeTab === 'seasons' && roomId ? (
+            /* ═══════════════════════════════════════════════════════════════
+               SEASONS & PAST CHAMPIONS
+               ═══════════════════════════════════════════════════════════════ */
+            <SeasonHistory roomId={roomId} />
           ) : (
             /* ═══════════════════════════════════════════════════════════════
                PENDING REQUESTS
@@ -714,6 +827,24 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  memberActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: -2,
+    marginBottom: 10,
+    paddingHorizontal: 12,
+  },
+  actionChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 10,
+    borderWidth: 1,
+  },
+  actionChipText: {
+    fontSize: 11,
+    fontWeight: '700',
+  },
 
   // ── Request card ────────────────────────────────────────────────────────
   requestCard: {
@@ -0,0 +1,176 @@
+/**
+ * PinnedAnnouncements — pinned room chat messages at the top of the room
+ *
+ *   - Shows the newest pin; tap to expand the full list
+ *   - Announcements get a megaphone, plain pins a pin icon
+ *   - Owners/admins can unpin (long-press an item)
+ *   - Live via `chat:pinned`, `chat:messageEdited` and `chat:messageDeleted`
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import Animated, { FadeIn, FadeOut } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { useTheme } from '../../context/ThemeContext';
+import RoomService, { mapPinnedMessage } from '../../services/roomService';
+import { useRealtimeSync } from '../../hooks/useRealtimeSync';
+import { PinnedRoomMessage } from '../../types/room';
+
+interface PinnedAnnouncementsProps {
+  roomId: string;
+}
+
+const PinnedAnnouncements: React.FC<PinnedAnnouncementsProps> = ({ roomId }) => {
+  const { colors } = useTheme();
+  const [pinned, setPinned] = useState<PinnedRoomMessage[]>([]);
+  const [canPin, setCanPin] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    if (!roomId) return;
+    let cancelled = false;
+    RoomService.getPinnedMessages(roomId)
+      .then(({ messages, canPin: allowed }) => {
+        if (cancelled) return;
+        setPinned(messages);
+        setCanPin(allowed);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [roomId]);
+
+  const handlePinned = useCallback((data: any) => {
+    if (data?.roomId !== roomId) return;
+    setPinned(prev => {
+      const rest = prev.filter(m => m.id !== data.messageId);
+      return data.isPinned ? [mapPinnedMessage(data.message), ...rest] : rest;
+    });
+  }, [roomId]);
+
+  useRealtimeSync('chat:pinned', handlePinned);
+
+  // Edits replace the text in place; deleted messages are unpinned for good
+  const handleEdited = useCallback((data: any) => {
+    if (data?.roomId !== roomId) return;
+    setPinned(prev => prev.map(m =>
+      m.id === data.messageId ? { ...m, content: data.content, editedAt: data.editedAt } : m
+    ));
+  }, [roomId]);
+
+  const handleDeleted = useCallback((data: any) => {
+    if (data?.roomId !== roomId) return;
+    setPinned(prev => prev.filter(m => m.id !== data.messageId));
+  }, [roomId]);
+
+  useRealtimeSync('chat:messageEdited', handleEdited);
+  useRealtimeSync('chat:messageDeleted', handleDeleted);
+
+  const handleUnpin = useCallback((message: PinnedRoomMessage) => {
+    if (!canPin) return;
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    Alert.alert('Unpin message?', 'It will follow the room\'s chat retention again.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Unpin',
+        style: 'destructive',
+        onPress: () => {
+          setPinned(prev => prev.filter(m => m.id !== message.id));
+          RoomService.unpinMessage(roomId, message.id).catch(() => {
+            setPinned(prev => [message, ...prev]);
+          });
+        },
+      },
+    ]);
+  }, [canPin, roomId]);
+
+  if (pinned.length === 0) return null;
+
+  const visible = expanded ? pinned : pinned.slice(0, 1);
+
+  return (
+    <Animated.View
+      entering={FadeIn}
+      exiting={FadeOut}
+      style={[styles.card, { backgroundColor: colors.surface, borderColor: colors.warning + '55' }]}
+    >
+      {visible.map((message) => (
+        <TouchableOpacity
+          key={message.id}
+          activeOpacity={0.8}
+          onPress={() => pinned.length > 1 && setExpanded(prev => !prev)}
+          onLongPress={() => handleUnpin(message)}
+          style={styles.row}
+        >
+          <Ionicons
+            name={message.type === 'announcement' ? 'megaphone' : 'pin'}
+            size={16}
+            color={colors.warning}
+            style={styles.icon}
+          />
+          <View style={styles.textCol}>
+            <Text style={[styles.label, { color: colors.textSecondary }]}>
+              {message.type === 'announcement' ? 'ANNOUNCEMENT' : 'PINNED'} · {message.user?.username || 'Member'}
+              {message.editedAt ? ' · edited' : ''}
+            </Text>
+            <Text style={[styles.content, { color: colors.text }]} numberOfLines={expanded ? undefined : 2}>
+              {message.content}
+            </Text>
+          </View>
+        </TouchableOpacity>
+      ))}
+      {pinned.length > 1 && (
+        <TouchableOpacity onPress={() => setExpanded(prev => !prev)} style={styles.toggle}>
+          <Text style={[styles.toggleText, { color: colors.warning }]}>
+            {expanded ? 'Show less' : `${pinned.length} pinned`}
+          </Text>
+          <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={12} color={colors.warning} />
+        </TouchableOpacity>
+      )}
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginHorizontal: 16,
+    marginTop: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    gap: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 10,
+  },
+  icon: {
+    marginTop: 2,
+  },
+  textCol: {
+    flex: 1,
+    gap: 2,
+  },
+  label: {
+    fontSize: 10,
+    fontWeight: '700',
+    letterSpacing: 0.6,
+  },
+  content: {
+    fontSize: 13,
+    lineHeight: 18,
+  },
+  toggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+  },
+  toggleText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
+
+export default PinnedAnnouncements;
@@ -0,0 +1,276 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../context/ThemeContext';
+import RoomService from '../../services/roomService';
+import { RoomSeason, RoomSeasonHistory, RoomSeasonStanding } from '../../types/room';
+
+const RANK_COLORS = ['#f59e0b', '#94a3b8', '#cd7f32'] as const; // gold, silver, bronze
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+interface SeasonHistoryProps {
+  roomId: string;
+  refreshKey?: number;        // Bump to reload (season started/ended)
+}
+
+// "2026-10-19" -> "Oct 19"
+const formatDay = (dateStr: string) => {
+  const [, month, day] = dateStr.split('-').map(Number);
+  return `${MONTHS[month - 1]} ${day}`;
+};
+
+const formatRange = (season: RoomSeason) =>
+  `${formatDay(season.startDate)} – ${formatDay(season.endDate)}, ${season.endDate.slice(0, 4)}`;
+
+const daysLeft = (season: RoomSeason) => {
+  const end = Date.parse(`${season.endDate}T23:59:59`);
+  return Math.max(0, Math.ceil((end - Date.now()) / 86400000));
+};
+
+/**
+ * Season history for the Squad sheet: the live season, upcoming ones and
+ * past champions. Tap a past season for its final standings.
+ */
+export default function SeasonHistory({ roomId, refreshKey }: SeasonHistoryProps) {
+  const { isDark, colors } = useTheme();
+  const [history, setHistory] = useState<RoomSeasonHistory | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [standings, setStandings] = useState<Record<string, RoomSeasonStanding[]>>({});
+
+  const cardBg = isDark ? 'rgba(255,255,255,0.04)' : 'rgba(0,0,0,0.025)';
+
+  const load = useCallback(async () => {
+    try {
+      setHistory(await RoomService.getSeasons(roomId));
+    } catch (error) {
+      console.error('[SeasonHistory] Failed to load seasons:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const toggleSeason = useCallback(async (seasonId: string) => {
+    if (expandedId === seasonId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(seasonId);
+    if (standings[seasonId]) return;
+
+    try {
+      const season = await RoomService.getSeason(roomId, seasonId);
+      setStandings(prev => ({ ...prev, [seasonId]: season.standings || [] }));
+    } catch (error) {
+      console.error('[SeasonHistory] Failed to load standings:', error);
+    }
+  }, [roomId, expandedId, standings]);
+
+  if (loading) {
+    return (
+      <View style={styles.emptyState}>
+        <ActivityIndicator size="small" color={colors.primary} />
+      </View>
+    );
+  }
+
+  const current = history?.current;
+  const upcoming = history?.upcoming || [];
+  const past = history?.past || [];
+
+  if (!current && upcoming.length === 0 && past.length === 0) {
+    return (
+      <View style={styles.emptyState}>
+        <Ionicons name="trophy-outline" size={40} color={colors.textTertiary} />
+        <Text style={[styles.emptyText, { color: colors.textSecondary }]}>No seasons yet</Text>
+        <Text style={[styles.emptyHint, { color: colors.textTertiary }]}>
+          The room owner can run the room in seasons from the web app
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      {current && (
+        <View style={[styles.card, styles.liveCard, { borderColor: colors.primary }]}>
+          <View style={styles.row}>
+            <View style={[styles.pill, { backgroundColor: colors.primary }]}>
+              <Text style={styles.pillText}>LIVE</Text>
+            </View>
+            <Text style={[styles.seasonName, { color: colors.text }]} numberOfLines={1}>
+              {current.name}
+            </Text>
+          </View>
+          <Text style={[styles.meta, { color: colors.textTertiary }]}>
+            {formatRange(current)} · {daysLeft(current)} days left
+          </Text>
+        </View>
+      )}
+
+      {upcoming.map(season => (
+        <View key={season.id} style={[styles.card, { backgroundColor: cardBg, borderColor: 'transparent' }]}>
+          <View style={styles.row}>
+            <Ionicons name="calendar-outline" size={15} color={colors.textTertiary} />
+            <Text style={[styles.seasonName, { color: colors.text }]} numberOfLines={1}>
+              {season.name}
+            </Text>
+          </View>
+          <Text style={[styles.meta, { color: colors.textTertiary }]}>Starts {formatRange(season)}</Text>
+        </View>
+      ))}
+
+      {past.length > 0 && (
+        <Text style={[styles.sectionLabel, { color: colors.textTertiary }]}>PAST CHAMPIONS</Text>
+      )}
+
+      {past.map(season => {
+        const isExpanded = expandedId === season.id;
+        const rows = standings[season.id];
+
+        return (
+          <TouchableOpacity
+            key={season.id}
+            activeOpacity={0.8}
+            onPress={() => toggleSeason(season.id)}
+            style={[styles.card, { backgroundColor: cardBg, borderColor: 'transparent' }]}
+          >
+            <View style={styles.row}>
+              <Ionicons
+                name="trophy"
+                size={16}
+                color={season.champion ? RANK_COLORS[0] : colors.textTertiary}
+              />
+              <View style={styles.flex}>
+                <Text style={[styles.seasonName, { color: colors.text }]} numberOfLines={1}>
+                  {season.name}: {season.champion ? season.champion.username : 'no champion'}
+                </Text>
+                <Text style={[styles.meta, { color: colors.textTertiary }]}>
+                  {formatRange(season)}
+                  {season.champion ? ` · ${season.champion.points} pts` : ''}
+                </Text>
+              </View>
+              <Ionicons
+                name={isExpanded ? 'chevron-up' : 'chevron-down'}
+                size={16}
+                color={colors.textTertiary}
+              />
+            </View>
+
+            {isExpanded && (
+              <View style={styles.standings}>
+                {!rows ? (
+                  <ActivityIndicator size="small" color={colors.primary} />
+                ) : rows.length === 0 ? (
+                  <Text style={[styles.meta, { color: colors.textTertiary }]}>No standings recorded</Text>
+                ) : (
+                  rows.map(standing => (
+                    <View key={standing.userId} style={styles.standingRow}>
+                      <Text
+                        style={[
+                          styles.rank,
+                          { color: standing.rank <= 3 ? RANK_COLORS[standing.rank - 1] : colors.textTertiary },
+                        ]}
+                      >
+                        #{standing.rank}
+                      </Text>
+                      <Text style={[styles.standingName, { color: colors.text }]} numberOfLines={1}>
+                        {standing.username}
+                      </Text>
+                      <Text style={[styles.meta, { color: colors.textTertiary }]}>
+                        {standing.points} pts{standing.mvpCount > 0 ? ` · 👑 ${standing.mvpCount}` : ''}
+                      </Text>
+                    </View>
+                  ))
+                )}
+              </View>
+            )}
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    padding: 12,
+    borderRadius: 14,
+    borderWidth: 1,
+    marginBottom: 8,
+    gap: 4,
+  },
+  liveCard: {
+    backgroundColor: 'rgba(99,102,241,0.08)',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  flex: {
+    flex: 1,
+  },
+  pill: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 6,
+  },
+  pillText: {
+    color: '#fff',
+    fontSize: 10,
+    fontWeight: '800',
+    letterSpacing: 0.5,
+  },
+  seasonName: {
+    flexShrink: 1,
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  meta: {
+    fontSize: 12,
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1,
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  standings: {
+    marginTop: 8,
+    gap: 6,
+  },
+  standingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  rank: {
+    width: 28,
+    fontSize: 12,
+    fontWeight: '800',
+  },
+  standingName: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 48,
+    gap: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyHint: {
+    fontSize: 12,
+    textAlign: 'center',
+  },
+});
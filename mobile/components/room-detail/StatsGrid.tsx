@@ -23,6 +23,7 @@ interface StatsGridProps {
   members: RoomMember[];
   streak: number;
   chatRetentionDays?: number;
+  maxRetentionDays?: number;
   isPublic?: boolean;
   onTogglePrivacy?: (isPublic: boolean) => void;
   onManageMembers?: () => void;
@@ -66,6 +67,7 @@ const StatsGrid: React.FC<StatsGridProps> = ({
   roomCode,
   members,
   chatRetentionDays = 3,
+  maxRetentionDays = 5,
   isPublic = false,
   onTogglePrivacy,
   onManageMembers,
@@ -82,7 +84,7 @@ const StatsGrid: React.FC<StatsGridProps> = ({
     } catch {}
   }, [roomCode]);
 
-  const retentionRatio = Math.min(chatRetentionDays / 5, 1);
+  const retentionRatio = Math.min(chatRetentionDays / maxRetentionDays, 1);
 
   return (
     <View style={styles.grid}>
@@ -119,7 +121,7 @@ const StatsGrid: React.FC<StatsGridProps> = ({
           <Text style={[styles.widgetLabel, { color: colors.textSecondary }]}>RETENTION</Text>
         </View>
         <Text style={[styles.retentionValue, { color: colors.text }]}>
-          {chatRetentionDays}<Text style={[styles.retentionUnit, { color: colors.textTertiary }]}> / 5 days</Text>
+          {chatRetentionDays}<Text style={[styles.retentionUnit, { color: colors.textTertiary }]}> / {maxRetentionDays} days</Text>
         </Text>
         <View style={[styles.retentionTrack, { backgroundColor: colors.borderColor }]}>
           <View style={[styles.retentionFill, { width: `${retentionRatio * 100}%`, backgroundColor: colors.warning }]} />
@@ -5,6 +5,7 @@
 export { default as RoomHeader } from './RoomHeader';
 export { default as RoomCalendar } from './RoomCalendar';
 export { default as RoomPulse } from './RoomPulse';
+export { default as PinnedAnnouncements } from './PinnedAnnouncements';
 export { default as TaskCard } from './TaskCard';
 export { default as TaskSection } from './TaskSection';
 
@@ -1,6 +1,6 @@
 import React, { createContext, useState, useContext, useEffect, useRef, ReactNode } from 'react';
 import axios from 'axios';
-import api from '../services/api';
+import api, { CLIENT_HEADERS } from '../services/api';
 import { secureStorage, storage } from '../services/storage';
 import { TOKEN_KEY, REFRESH_TOKEN_KEY, API_BASE_URL } from '../constants/config';
 import { User, AuthResponse } from '../types';
@@ -18,6 +18,9 @@ interface AuthContextType {
   logout: () => Promise<void>;
   updateProfile: (updates: Partial<User>) => Promise<{ success: boolean; user?: User; message?: string }>;
   loadUser: () => Promise<void>;
+  requestPasswordReset: (email: string) => Promise<{ success: boolean; message?: string }>;
+  resetPassword: (token: string, password: string) => Promise<{ success: boolean; message?: string }>;
+  verifyEmail: (token: string) => Promise<{ success: boolean; message?: string }>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -145,6 +148,8 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
         password,
         username,
         timezone,
+      }, {
+        headers: CLIENT_HEADERS,
       });
       
       const { token, refreshToken, user: newUser } = response.data;
@@ -193,6 +198,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
         timezone,
       }, {
         timeout: 20000,
+        headers: CLIENT_HEADERS,
       });
       
       const { token, refreshToken, user: newUser } = response.data;
@@ -237,7 +243,9 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   // Logout
   const logout = async () => {
     try {
-      await api.post('/auth/logout');
+      // Signs out this device's session on the server
+      const refreshToken = await secureStorage.getItem(REFRESH_TOKEN_KEY);
+      await api.post('/auth/logout', { refreshToken });
     } catch (error) {
       console.error('[Auth] Logout API error:', error);
     } finally {
@@ -274,6 +282,60 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  // Email a password reset link/code
+  const requestPasswordReset = async (email: string) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/forgot-password`, { email }, {
+        headers: CLIENT_HEADERS,
+      });
+      return { success: true, message: response.data.message };
+    } catch (error: any) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Could not send reset link',
+      };
+    }
+  };
+
+  // Set a new password from an emailed token (the server signs out every session)
+  const resetPassword = async (token: string, password: string) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/reset-password`, {
+        token: token.trim(),
+        password,
+      }, {
+        headers: CLIENT_HEADERS,
+      });
+
+      // This device's session was revoked along with the others
+      if (user) await logout();
+
+      return { success: true, message: response.data.message };
+    } catch (error: any) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Password reset failed',
+      };
+    }
+  };
+
+  // Verify email from an emailed token
+  const verifyEmail = async (token: string) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/verify-email`, { token: token.trim() }, {
+        headers: CLIENT_HEADERS,
+      });
+      const verified = response.data.user;
+      setUser(prev => (prev && prev.id === verified.id ? { ...prev, emailVerified: true } : prev));
+      return { success: true, message: response.data.message };
+    } catch (error: any) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Email verification failed',
+      };
+    }
+  };
+
   // Signup (alias for register with different parameter order)
   const signup = async (name: string, email: string, password: string) => {
     return register(email, password, name);
@@ -288,6 +350,9 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     logout,
     updateProfile,
     loadUser,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
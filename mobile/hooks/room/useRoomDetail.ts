@@ -17,6 +17,7 @@ import { taskService } from '../../services/taskService';
 import syncEngine from '../../services/syncEngine';
 import realtimeEvents from '../../services/realtimeEvents';
 import { useAuth } from '../../context/AuthContext';
+import { RoomPermission } from '../../utils/roomRoles';
 
 const roomKey = (id: string) => `room_${id}`;
 const tasksKey = (id: string) => `tasks_${id}`;
@@ -114,6 +115,14 @@ export function useRoomDetail(roomId: string) {
     return room.ownerId === user.id || (room as any).adminId === user.id || room.userRole === 'owner';
   }, [room, user]);
 
+  const userRole = isOwner ? 'owner' : room?.userRole || 'member';
+
+  // Whether the current user's room role grants a permission (owner has them all)
+  const hasPermission = useCallback(
+    (permission: RoomPermission) => isOwner || !!room?.permissions?.includes(permission),
+    [isOwner, room?.permissions],
+  );
+
   const activeTasks = tasks.filter(t => !t.isCompleted);
 
   // Persistent Update Helper
@@ -340,6 +349,20 @@ export function useRoomDetail(roomId: string) {
       realtimeEvents.on('room:expired', (data) => {
         if (data?.roomId === roomId) fetchFromAPI(true);
       }),
+      // Roles feed member badges and our own permissions; refetch both
+      realtimeEvents.on('room:memberRoleChanged', (data) => {
+        if (data?.roomId === roomId) fetchFromAPI(true);
+      }),
+      realtimeEvents.on('room:ownerChanged', (data) => {
+        if (data?.roomId === roomId) fetchFromAPI(true);
+      }),
+      // Season rollover resets everyone's points
+      realtimeEvents.on('room:seasonStarted', (data) => {
+        if (data?.roomId === roomId) fetchFromAPI(true);
+      }),
+      realtimeEvents.on('room:seasonEnded', (data) => {
+        if (data?.roomId === roomId) fetchFromAPI(true);
+      }),
     ];
 
     return () => {
@@ -379,7 +402,7 @@ export function useRoomDetail(roomId: string) {
 
   return {
     room, tasks, members, activeTasks,
-    loading, refreshing, isOwner,
+    loading, refreshing, isOwner, userRole, hasPermission,
     userId: user?.id || '',
     refresh, addTask, updateTask, updateRoom,
   };
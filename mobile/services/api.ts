@@ -1,15 +1,23 @@
 import axios, { AxiosInstance, AxiosError, InternalAxiosRequestConfig } from 'axios';
 import { Platform } from 'react-native';
 import NetInfo from '@react-native-community/netinfo';
+import Constants from 'expo-constants';
 import { API_BASE_URL, API_TIMEOUT, TOKEN_KEY, REFRESH_TOKEN_KEY } from '../constants/config';
 import { secureStorage } from './storage';
 
+// Identifies this device in the account's session list (Settings → Signed-in devices)
+export const CLIENT_HEADERS: Record<string, string> = {
+  'X-Client-Platform': Platform.OS,
+  ...(Constants.deviceName ? { 'X-Device-Name': Constants.deviceName } : {}),
+};
+
 // Create axios instance
 const api: AxiosInstance = axios.create({
   baseURL: `${API_BASE_URL}/api`,
   timeout: API_TIMEOUT,
   headers: {
     'Content-Type': 'application/json',
+    ...CLIENT_HEADERS,
   },
 });
 
@@ -135,12 +143,26 @@ api.interceptors.response.use(
             if (!refreshToken) {
               throw new Error('No refresh token');
             }
-            const response = await axios.post(`${API_BASE_URL}/api/auth/refresh`, { 
-              refreshToken 
-            });
-            const { token } = response.data;
-            await secureStorage.setItem(TOKEN_KEY, token);
-            return token;
+            try {
+              const response = await axios.post(`${API_BASE_URL}/api/auth/refresh`, { 
+                refreshToken 
+              }, { headers: CLIENT_HEADERS });
+              // Refresh tokens rotate: the old one is now spent
+              const { token, refreshToken: nextRefreshToken } = response.data;
+              await secureStorage.setItem(TOKEN_KEY, token);
+              if (nextRefreshToken) {
+                await secureStorage.setItem(REFRESH_TOKEN_KEY, nextRefreshToken);
+              }
+              return token;
+            } catch (err: any) {
+              // Rotated moments ago by a request that already stored the new pair
+              const stored = await secureStorage.getItem(REFRESH_TOKEN_KEY);
+              if (err.response?.data?.code === 'TOKEN_ROTATED' && stored && stored !== refreshToken) {
+                const token = await secureStorage.getItem(TOKEN_KEY);
+                if (token) return token;
+              }
+              throw err;
+            }
           })();
         }
 
@@ -0,0 +1,281 @@
+import api from './api';
+import syncEngine from './syncEngine';
+import { LocalConversation } from './sqliteService';
+
+// ═══════════════════════════════════════════════════════════
+// Types
+// ═══════════════════════════════════════════════════════════
+
+export interface GroupMember {
+  id: string;
+  _id: string;
+  username: string;
+  avatar: string | null;
+  role: 'owner' | 'member';
+  joinedAt: string;
+  lastReadMessageId: string | null;
+  lastReadAt: string | null;
+}
+
+export interface GroupMessage {
+  id: string;
+  _id: string;
+  groupId: string;
+  userId: string | null;
+  message: string;
+  messageType: 'user' | 'system';
+  sender: { id: string; _id: string; username: string; avatar: string | null } | null;
+  replyTo: { _id: string; message: string } | null;
+  createdAt: string;
+  /** Other members who have read up to this message */
+  readBy: string[];
+}
+
+export interface GroupConversation {
+  id: string;
+  _id: string;
+  name: string | null;
+  displayName: string;
+  createdById: string | null;
+  lastMessageAt: string;
+  createdAt: string;
+  memberCount: number;
+  members: GroupMember[];
+  lastMessage?: GroupMessage | null;
+  unreadCount?: number;
+}
+
+export interface GroupReadReceipt {
+  userId: string;
+  lastReadMessageId: string | null;
+  lastReadAt: string | null;
+}
+
+export interface GroupMessagePage {
+  messages: GroupMessage[];
+  hasMore: boolean;
+  cursors: { before: string | null; after: string | null };
+  readReceipts: GroupReadReceipt[];
+}
+
+/** A group shaped for the conversation list next to DM conversations */
+export interface GroupConversationRow extends LocalConversation {
+  is_group: true;
+  group_id: string;
+  member_count: number;
+  last_sender: string | null;
+}
+
+// Mirror backend/services/groupConversationService.js (counts include you)
+export const GROUP_MIN_MEMBERS = 3;
+export const GROUP_MAX_MEMBERS = 20;
+
+const GROUP_EVENTS = [
+  'group:created',
+  'group:updated',
+  'group:membersAdded',
+  'group:memberRemoved',
+  'group:message',
+  'group:read',
+  'group:typing',
+];
+
+const errorMessage = (err: any, fallback: string): string => err?.response?.data?.message || fallback;
+
+// ═══════════════════════════════════════════════════════════
+// GroupService — online-only group conversations
+// ═══════════════════════════════════════════════════════════
+
+class GroupService {
+  // ─── Event Bus ─────────────────────────────────────────
+  private listeners = new Map<string, Set<Function>>();
+
+  on(event: string, handler: Function): () => void {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event)!.add(handler);
+    return () => { this.listeners.get(event)?.delete(handler); };
+  }
+
+  private emit(event: string, data?: any): void {
+    this.listeners.get(event)?.forEach(h => {
+      try { h(data); } catch (e) { console.warn(`[GroupService] Event handler error (${event}):`, e); }
+    });
+  }
+
+  // ─── State ─────────────────────────────────────────────
+  private unsubscribers: (() => void)[] = [];
+  private typingTimeout: ReturnType<typeof setTimeout> | null = null;
+  private lastTypingEmit = 0;
+
+  /** Forward group socket events to screens (safe to call more than once) */
+  initialize(): void {
+    if (this.unsubscribers.length > 0) return;
+    this.unsubscribers = GROUP_EVENTS.map(event =>
+      syncEngine.on(event, (data: any) => {
+        this.emit(event, data);
+        if (event !== 'group:typing') this.emit('groups:changed', { type: event, data });
+      })
+    );
+  }
+
+  disconnect(): void {
+    this.unsubscribers.forEach(unsub => unsub());
+    this.unsubscribers = [];
+    this.listeners.clear();
+    if (this.typingTimeout) {
+      clearTimeout(this.typingTimeout);
+      this.typingTimeout = null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Groups
+  // ═══════════════════════════════════════════════════════════
+
+  async getGroups(): Promise<GroupConversation[]> {
+    try {
+      const res = await api.get('/groups');
+      return res.data.groups || [];
+    } catch (err: any) {
+      console.warn('[GroupService] getGroups failed:', err.message);
+      return [];
+    }
+  }
+
+  async getGroup(groupId: string): Promise<GroupConversation | null> {
+    try {
+      const res = await api.get(`/groups/${groupId}`);
+      return res.data.group || null;
+    } catch (err: any) {
+      console.warn('[GroupService] getGroup failed:', err.message);
+      return null;
+    }
+  }
+
+  async createGroup(memberIds: string[], name?: string): Promise<{ group?: GroupConversation; error?: string }> {
+    try {
+      const res = await api.post('/groups', { memberIds, ...(name?.trim() && { name: name.trim() }) });
+      return { group: res.data.group };
+    } catch (err: any) {
+      return { error: errorMessage(err, 'Failed to create group') };
+    }
+  }
+
+  /** Rename a group (an empty name goes back to member names); returns an error message, or null on success */
+  async renameGroup(groupId: string, name: string): Promise<string | null> {
+    try {
+      await api.put(`/groups/${groupId}`, { name: name.trim() });
+      return null;
+    } catch (err: any) {
+      return errorMessage(err, 'Failed to rename group');
+    }
+  }
+
+  /** Returns an error message, or null on success */
+  async addMembers(groupId: string, userIds: string[]): Promise<string | null> {
+    try {
+      await api.post(`/groups/${groupId}/members`, { userIds });
+      return null;
+    } catch (err: any) {
+      return errorMessage(err, 'Failed to add members');
+    }
+  }
+
+  /** Remove a member, or leave when userId is your own; returns an error message, or null on success */
+  async removeMember(groupId: string, userId: string): Promise<string | null> {
+    try {
+      await api.delete(`/groups/${groupId}/members/${userId}`);
+      return null;
+    } catch (err: any) {
+      return errorMessage(err, 'Failed to remove member');
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Messages
+  // ═══════════════════════════════════════════════════════════
+
+  /** Newest page by default; pass cursors.before of the current page for older messages */
+  async getMessages(groupId: string, before?: string | null): Promise<GroupMessagePage | null> {
+    try {
+      const res = await api.get(`/groups/${groupId}/messages`, { params: before ? { before } : {} });
+      const { messages = [], hasMore = false, cursors = { before: null, after: null }, readReceipts = [] } = res.data;
+      return { messages, hasMore, cursors, readReceipts };
+    } catch (err: any) {
+      console.warn('[GroupService] getMessages failed:', err.message);
+      return null;
+    }
+  }
+
+  async sendMessage(groupId: string, message: string, replyToId?: string | null): Promise<{ message?: GroupMessage; error?: string }> {
+    try {
+      const res = await api.post(`/groups/${groupId}/messages`, { message, ...(replyToId && { replyTo: replyToId }) });
+      return { message: res.data.message };
+    } catch (err: any) {
+      return { error: errorMessage(err, 'Failed to send message') };
+    }
+  }
+
+  /** Mark the group read up to messageId (or the latest message) */
+  async markRead(groupId: string, messageId?: string): Promise<void> {
+    try {
+      // The server echoes group:read to your own channel, which refreshes the list
+      await api.put(`/groups/${groupId}/read`, messageId ? { messageId } : {});
+    } catch (err: any) {
+      console.warn('[GroupService] markRead failed:', err.message);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Typing Indicator
+  // ═══════════════════════════════════════════════════════════
+
+  emitTyping(groupId: string, isTyping: boolean): void {
+    const now = Date.now();
+    if (isTyping && now - this.lastTypingEmit < 3000) return;
+    this.lastTypingEmit = now;
+
+    if (this.typingTimeout) clearTimeout(this.typingTimeout);
+    syncEngine.emit('group:typing', { groupId, isTyping });
+    if (isTyping) {
+      this.typingTimeout = setTimeout(() => {
+        syncEngine.emit('group:typing', { groupId, isTyping: false });
+      }, 4000);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Conversation list
+  // ═══════════════════════════════════════════════════════════
+
+  toConversationRow(group: GroupConversation, myId?: string | null): GroupConversationRow {
+    const last = group.lastMessage;
+    const lastSender = last?.messageType === 'user'
+      ? (last.userId === myId ? 'You' : last.sender?.username || null)
+      : null;
+    const lastAt = new Date(last?.createdAt || group.lastMessageAt).getTime();
+
+    return {
+      // Prefixed so group rows never collide with friend ids (keys, presence)
+      friend_id: `group:${group.id}`,
+      username: group.displayName,
+      avatar: null,
+      last_message: last?.message || '',
+      last_message_at: lastAt,
+      unread_count: group.unreadCount || 0,
+      is_online: 0,
+      updated_at: lastAt,
+      request_status: 'accepted',
+      request_id: null,
+      is_group: true,
+      group_id: group.id,
+      member_count: group.memberCount,
+      last_sender: lastSender,
+    };
+  }
+}
+
+export const isGroupRow = (conv: LocalConversation): conv is GroupConversationRow =>
+  (conv as GroupConversationRow).is_group === true;
+
+export default new GroupService();
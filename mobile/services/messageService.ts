@@ -21,8 +21,31 @@ export interface ServerMessage {
   replyToId: string | null;
   replyToText: string | null;
   createdAt: string;
+  reactions?: MessageReaction[];
 }
 
+export interface MessageReaction {
+  emoji: string;
+  count: number;
+  users: { id: string; username: string | null }[];
+}
+
+/** Decode the reactions column of a LocalDirectMessage */
+export function parseReactions(json?: string | null): MessageReaction[] {
+  if (!json) return [];
+  try {
+    const parsed = JSON.parse(json);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+const encodeReactions = (reactions?: MessageReaction[] | null): string | null =>
+  reactions?.length
+    ? JSON.stringify(reactions.map(({ emoji, count, users }) => ({ emoji, count, users })))
+    : null;
+
 export interface FriendUser {
   id: string;
   username: string;
@@ -32,6 +55,34 @@ export interface FriendUser {
   requestId?: string | null;
 }
 
+export interface UserBlock {
+  id: string;
+  type: 'block' | 'mute';
+  createdAt: string;
+  user: { id: string; username: string; avatar: string | null } | null;
+}
+
+// Mirrors REPORT_REASONS in backend/utils/moderation.js
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate_speech', label: 'Hate speech' },
+  { value: 'inappropriate', label: 'Inappropriate content' },
+  { value: 'self_harm', label: 'Self-harm' },
+  { value: 'other', label: 'Something else' },
+] as const;
+
+export type ReportReason = typeof REPORT_REASONS[number]['value'];
+
+// Shown in place of a DM a moderator hid (matches the server placeholder)
+export const HIDDEN_MESSAGE_TEXT = 'This content was hidden by a moderator';
+
+// Mirror backend/services/directMessageService.js
+export const DM_EDIT_WINDOW_MS = 15 * 60 * 1000;
+export const DM_UNSEND_WINDOW_MS = 60 * 60 * 1000;
+const UNSENT_MESSAGE_TEXT = 'This message was unsent';
+const REPLY_PREVIEW_LENGTH = 100;
+
 export interface MessageRequest {
   id: string;
   friendId: string;
@@ -211,6 +262,44 @@ class MessageService {
       })
     );
 
+    // ── Reactions (room chat reactions are handled by the room screens) ──
+    const handleReactionEvent = async (data: { kind: string; messageId: string; reactions: MessageReaction[] }) => {
+      if (data?.kind !== 'dm') return;
+      const reactions = encodeReactions(data.reactions);
+      await sqliteService.updateMessageReactions(data.messageId, reactions);
+      this.emit('message:reactions', { messageId: data.messageId, reactions });
+    };
+    this.unsubscribers.push(syncEngine.on('reaction:added', handleReactionEvent));
+    this.unsubscribers.push(syncEngine.on('reaction:removed', handleReactionEvent));
+
+    // ── Hidden by a moderator, deleted (moderation, unsend, or delete-for-me on another device) or edited ──
+    this.unsubscribers.push(
+      syncEngine.on('dm:hidden', async (data: { messageId: string }) => {
+        await sqliteService.updateMessageContent(data.messageId, HIDDEN_MESSAGE_TEXT);
+        this.emit('message:hidden', { messageId: data.messageId, content: HIDDEN_MESSAGE_TEXT });
+        this.emit('conversation:list');
+      })
+    );
+    this.unsubscribers.push(
+      syncEngine.on('dm:deleted', async (data: { messageId: string; scope?: 'me' | 'everyone' }) => {
+        await sqliteService.deleteDirectMessage(data.messageId);
+        if (data.scope === 'everyone') {
+          await sqliteService.updateReplyPreviews(data.messageId, UNSENT_MESSAGE_TEXT);
+        }
+        this.emit('message:deleted', { messageId: data.messageId });
+        this.emit('conversation:list');
+      })
+    );
+    this.unsubscribers.push(
+      syncEngine.on('dm:edited', async (data: { messageId: string; content: string; editedAt: string }) => {
+        const editedAt = new Date(data.editedAt).getTime();
+        await sqliteService.updateMessageContent(data.messageId, data.content, editedAt);
+        await sqliteService.updateReplyPreviews(data.messageId, data.content.substring(0, REPLY_PREVIEW_LENGTH));
+        this.emit('message:edited', { messageId: data.messageId, content: data.content, editedAt });
+        this.emit('conversation:list');
+      })
+    );
+
     // ── Typing indicator ─────────────────────────────────
     this.unsubscribers.push(
       syncEngine.on('dm:typing', (data: { userId: string; username: string; isTyping: boolean }) => {
@@ -560,6 +649,13 @@ class MessageService {
         return;
       }
 
+      if (status === 403 && code === 'BLOCKED') {
+        await sqliteService.promoteMessageStatus(localMsg.local_id, 'failed');
+        this.emit('blocked', { friendId, message: error?.response?.data?.message });
+        this.emit('message:status', { type: 'failed', localId: localMsg.local_id });
+        return;
+      }
+
       if (status === 403 && code === 'WAITING_FOR_YOU_TO_ACCEPT') {
         await sqliteService.promoteMessageStatus(localMsg.local_id, 'failed');
         this.emit('request_required_before_reply', { friendId });
@@ -667,6 +763,8 @@ class MessageService {
               reply_to_text: msg.replyToText || msg.replyTo?.message || null,
               created_at: new Date(msg.createdAt).getTime(),
               synced: 1,
+              reactions: encodeReactions(msg.reactions),
+              edited_at: msg.editedAt ? new Date(msg.editedAt).getTime() : null,
             };
 
             // saveDirectMessage uses INSERT OR REPLACE — but we need promotion semantics.
@@ -679,6 +777,10 @@ class MessageService {
                 if (shouldPromote(existing.status, localMsg.status)) {
                   await sqliteService.promoteMessageStatus(localMsg.id, localMsg.status, 1);
                 }
+                if ((existing.reactions ?? null) !== localMsg.reactions) {
+                  await sqliteService.updateMessageReactions(localMsg.id, localMsg.reactions ?? null);
+                  hasNewMessages = true;
+                }
                 // Skip saving the full message (would overwrite other fields)
                 continue;
               }
@@ -937,12 +1039,35 @@ class MessageService {
     } catch { return false; }
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // Block / Mute
+  // ═══════════════════════════════════════════════════════════
+
+  async getBlocks(): Promise<UserBlock[]> {
+    try {
+      const res = await api.get('/friends/blocks');
+      return (res.data.blocks || []).map((b: any) => ({
+        id: b.id || b._id,
+        type: b.type,
+        createdAt: b.createdAt,
+        user: b.user ? { id: b.user.id || b.user._id, username: b.user.username, avatar: b.user.avatar || null } : null,
+      }));
+    } catch (err) {
+      console.warn('[MsgService] getBlocks failed:', err);
+      return [];
+    }
+  }
+
+  // Server-side block: ends the friendship or pending request and stops their
+  // requests, DMs, nudges and appreciations. Local history is cleared.
   async blockUser(friendId: string): Promise<boolean> {
-    const convs = await sqliteService.getConversations();
-    const conv = convs.find(c => c.friend_id === friendId);
-    if (conv?.request_id) {
-      await this.declineRequest(conv.request_id, friendId);
+    try {
+      await api.post(`/friends/block/${friendId}`);
+    } catch (err) {
+      console.warn('[MsgService] blockUser failed:', err);
+      return false;
     }
+    this.deletedByMe.add(friendId);
     await sqliteService.deleteConversation(friendId);
     if (this.currentUserId) {
       await sqliteService.deleteConversationMessages(this.currentUserId, friendId);
@@ -952,6 +1077,44 @@ class MessageService {
     return true;
   }
 
+  async unblockUser(friendId: string): Promise<boolean> {
+    try {
+      await api.delete(`/friends/block/${friendId}`);
+      this.deletedByMe.delete(friendId);
+      return true;
+    } catch { return false; }
+  }
+
+  // Mute only silences their notifications; the conversation is untouched
+  async setMuted(friendId: string, muted: boolean): Promise<boolean> {
+    try {
+      if (muted) {
+        await api.post(`/friends/mute/${friendId}`);
+      } else {
+        await api.delete(`/friends/mute/${friendId}`);
+      }
+      return true;
+    } catch { return false; }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Reports
+  // ═══════════════════════════════════════════════════════════
+
+  /** Report a DM or the user; reviewed by the platform moderators. Returns an error message on failure. */
+  async report(target: { type: 'dm' | 'user'; id: string }, reason: ReportReason, details?: string): Promise<string | null> {
+    try {
+      await api.post(`/moderation/reports/${target.type}/${target.id}`, {
+        reason,
+        ...(details?.trim() && { details: details.trim() }),
+      });
+      return null;
+    } catch (err: any) {
+      console.warn('[MsgService] report failed:', err.message);
+      return err?.response?.data?.message || 'Failed to submit report';
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════
   // Delete / Unfriend
   // ═══════════════════════════════════════════════════════════
@@ -987,6 +1150,63 @@ class MessageService {
     } catch {}
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // Edit / Unsend / Delete for me
+  // ═══════════════════════════════════════════════════════════
+
+  /** Whether the current user can still edit / unsend a message (server enforces the same windows) */
+  canEdit(message: LocalDirectMessage): boolean {
+    return message.synced === 1 && message.from_user_id === this.currentUserId &&
+      Date.now() - message.created_at < DM_EDIT_WINDOW_MS;
+  }
+
+  canUnsend(message: LocalDirectMessage): boolean {
+    return message.synced === 1 && message.from_user_id === this.currentUserId &&
+      Date.now() - message.created_at < DM_UNSEND_WINDOW_MS;
+  }
+
+  /** Edit your own message; returns an error message, or null on success */
+  async editMessage(message: LocalDirectMessage, content: string): Promise<string | null> {
+    try {
+      const res = await api.put(`/direct-messages/messages/${message.id}`, { message: content });
+      const updated = res.data.message;
+      const editedAt = updated?.editedAt ? new Date(updated.editedAt).getTime() : Date.now();
+      await sqliteService.updateMessageContent(message.id, updated?.content ?? content, editedAt);
+      this.emit('message:edited', { messageId: message.id, content: updated?.content ?? content, editedAt });
+      return null;
+    } catch (err: any) {
+      return err?.response?.data?.message || 'Failed to edit message';
+    }
+  }
+
+  /** Remove a message from your side only (unsynced messages are just dropped locally) */
+  async deleteMessageForMe(message: LocalDirectMessage): Promise<void> {
+    await sqliteService.deleteDirectMessage(message.local_id || message.id);
+    this.emit('message:deleted', { messageId: message.id });
+    this.emit('conversation:list');
+    if (message.synced !== 1) return;
+
+    try {
+      await api.delete(`/direct-messages/messages/${message.id}`);
+    } catch (err: any) {
+      console.warn('[MsgService] deleteMessageForMe failed:', err.message);
+    }
+  }
+
+  /** Unsend your own message for both people; returns an error message, or null on success */
+  async unsendMessage(message: LocalDirectMessage): Promise<string | null> {
+    try {
+      await api.delete(`/direct-messages/messages/${message.id}/everyone`);
+    } catch (err: any) {
+      return err?.response?.data?.message || 'Failed to unsend message';
+    }
+    await sqliteService.deleteDirectMessage(message.id);
+    await sqliteService.updateReplyPreviews(message.id, UNSENT_MESSAGE_TEXT);
+    this.emit('message:deleted', { messageId: message.id });
+    this.emit('conversation:list');
+    return null;
+  }
+
   // ═══════════════════════════════════════════════════════════
   // Message Requests
   // ═══════════════════════════════════════════════════════════
@@ -1005,6 +1225,32 @@ class MessageService {
       }));
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // Reactions
+  // ═══════════════════════════════════════════════════════════
+
+  /** Add or remove the current user's emoji reaction; returns the updated summary */
+  async toggleReaction(message: LocalDirectMessage, emoji: string): Promise<MessageReaction[] | null> {
+    if (!this.currentUserId || message.synced !== 1) return null;
+    const reacted = parseReactions(message.reactions)
+      .some(r => r.emoji === emoji && r.users.some(u => u.id === this.currentUserId));
+
+    try {
+      const res = reacted
+        ? await api.delete(`/direct-messages/messages/${message.id}/reactions/${encodeURIComponent(emoji)}`)
+        : await api.post(`/direct-messages/messages/${message.id}/reactions`, { emoji });
+      if (!res.data.success) return null;
+
+      const reactions = encodeReactions(res.data.reactions);
+      await sqliteService.updateMessageReactions(message.id, reactions);
+      this.emit('message:reactions', { messageId: message.id, reactions });
+      return res.data.reactions;
+    } catch (err: any) {
+      console.warn('[MsgService] toggleReaction failed:', err.message);
+      return null;
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════
   // Typing Indicator
   // ═══════════════════════════════════════════════════════════
@@ -1,5 +1,13 @@
 import api from './api';
-import { RoomDetail, RoomMember, AuraTier } from '../types/room';
+import {
+  RoomDetail,
+  RoomMember,
+  RoomRole,
+  AuraTier,
+  PinnedRoomMessage,
+  RoomSeason,
+  RoomSeasonHistory,
+} from '../types/room';
 
 function mapAura(raw: string | undefined): AuraTier {
   const v = (raw || '').toLowerCase();
@@ -7,6 +15,21 @@ function mapAura(raw: string | undefined): AuraTier {
   return 'bronze';
 }
 
+function mapSeason(raw: any): RoomSeason {
+  return {
+    id: raw._id || raw.id,
+    number: raw.number,
+    name: raw.name,
+    startDate: raw.startDate,
+    endDate: raw.endDate,
+    status: raw.status,
+    lengthDays: raw.lengthDays ?? 0,
+    champion: raw.champion ?? null,
+    podium: raw.podium,
+    standings: raw.standings,
+  };
+}
+
 function mapRoom(raw: any): RoomDetail {
   const id = raw._id || raw.id;
   const ownerId =
@@ -23,6 +46,7 @@ function mapRoom(raw: any): RoomDetail {
     isPublic: raw.isPublic ?? !raw.isPrivate,
     maxMembers: raw.maxMembers ?? 20,
     chatRetentionDays: raw.chatRetentionDays ?? 3,
+    retentionOptions: raw.retentionOptions,
     isPremium: !!raw.isPremium,
     streak: raw.streak ?? 0,
     ownerId,
@@ -32,6 +56,7 @@ function mapRoom(raw: any): RoomDetail {
     updatedAt: raw.updatedAt || new Date().toISOString(),
     doomClockExpiry: raw.doomClockExpiry,
     userRole: raw.userRole,
+    permissions: raw.permissions,
     groupAura: raw.groupAura,
     onlineCount: raw.onlineCount,
     weeklyPoints: raw.weeklyPoints,
@@ -56,6 +81,7 @@ function mapMember(m: any): RoomMember {
     userId,
     username,
     avatar,
+    role: m.role,
     isOnline: !!m.isOnline,
     aura: mapAura(userObj?.aura),
     hasHeat: !!m.hasHeat,
@@ -85,6 +111,22 @@ function mapPendingMember(raw: any): PendingMember {
   };
 }
 
+export function mapPinnedMessage(raw: any): PinnedRoomMessage {
+  const author = raw.user || (typeof raw.userId === 'object' ? raw.userId : null);
+  return {
+    id: raw._id || raw.id,
+    roomId: raw.roomId,
+    type: raw.type || raw.messageType || 'user',
+    content: raw.content ?? raw.message ?? '',
+    isPinned: !!raw.isPinned,
+    pinnedAt: raw.pinnedAt ?? null,
+    createdAt: raw.createdAt,
+    editedAt: raw.editedAt ?? null,
+    user: author ? { id: author._id || author.id, username: author.username, avatar: author.avatar } : null,
+    pinnedBy: raw.pinnedBy ? { id: raw.pinnedBy._id || raw.pinnedBy.id, username: raw.pinnedBy.username } : null,
+  };
+}
+
 // ── Settings payload ──────────────────────────────────────────────────────
 export interface RoomSettingsPayload {
   isPublic?: boolean;
@@ -123,6 +165,26 @@ export const RoomService = {
     return mapRoom(res.data.room);
   },
 
+  // ── Pinned messages & announcements ──────────────────────────────────────
+  async getPinnedMessages(roomId: string): Promise<{ messages: PinnedRoomMessage[]; canPin: boolean }> {
+    const res = await api.get(`/rooms/${roomId}/chat/pinned`);
+    return {
+      messages: (res.data.messages || []).map(mapPinnedMessage),
+      canPin: !!res.data.canPin,
+    };
+  },
+
+  /** Owner, admins and moderators */
+  async postAnnouncement(roomId: string, message: string): Promise<PinnedRoomMessage> {
+    const res = await api.post(`/rooms/${roomId}/chat/announcements`, { message });
+    return mapPinnedMessage(res.data.message);
+  },
+
+  /** Owner, admins and moderators */
+  async unpinMessage(roomId: string, messageId: string): Promise<void> {
+    await api.delete(`/rooms/${roomId}/chat/${messageId}/pin`);
+  },
+
   // ── Delete room (owner only, cascade) ────────────────────────────────────
   async deleteRoom(roomId: string): Promise<void> {
     await api.delete(`/rooms/${roomId}`);
@@ -133,22 +195,52 @@ export const RoomService = {
     await api.delete(`/rooms/${roomId}/leave`);
   },
 
-  // ── Pending members (owner only) ─────────────────────────────────────────
+  // ── Pending members (owner, admins, moderators) ──────────────────────────
   async getPendingMembers(roomId: string): Promise<PendingMember[]> {
     const res = await api.get(`/rooms/${roomId}/pending`);
     const pending = res.data.pendingMembers || [];
     return pending.map(mapPendingMember);
   },
 
-  // ── Approve pending member (owner only) ──────────────────────────────────
+  // ── Approve pending member ───────────────────────────────────────────────
   async approveMember(roomId: string, userId: string): Promise<void> {
     await api.put(`/rooms/${roomId}/members/${userId}/approve`);
   },
 
-  // ── Reject pending member (owner only) ───────────────────────────────────
+  // ── Reject pending member ────────────────────────────────────────────────
   async rejectMember(roomId: string, userId: string): Promise<void> {
     await api.delete(`/rooms/${roomId}/members/${userId}/reject`);
   },
+
+  // ── Remove member (owner, admins; lower-ranked members only) ─────────────
+  async removeMember(roomId: string, userId: string): Promise<void> {
+    await api.delete(`/rooms/${roomId}/members/${userId}`);
+  },
+
+  // ── Promote/demote member (owner, admins; roles below your own) ──────────
+  async changeMemberRole(roomId: string, userId: string, role: RoomRole): Promise<void> {
+    await api.put(`/rooms/${roomId}/members/${userId}/role`, { role });
+  },
+
+  // ── Transfer ownership (owner only; you stay on as admin) ────────────────
+  async transferOwnership(roomId: string, userId: string): Promise<void> {
+    await api.post(`/rooms/${roomId}/transfer-ownership`, { userId });
+  },
+
+  // ── Seasons (history and past champions) ─────────────────────────────────
+  async getSeasons(roomId: string): Promise<RoomSeasonHistory> {
+    const res = await api.get(`/rooms/${roomId}/seasons`);
+    return {
+      current: res.data.current ? mapSeason(res.data.current) : null,
+      upcoming: (res.data.upcoming || []).map(mapSeason),
+      past: (res.data.past || []).map(mapSeason),
+    };
+  },
+
+  async getSeason(roomId: string, seasonId: string): Promise<RoomSeason> {
+    const res = await api.get(`/rooms/${roomId}/seasons/${seasonId}`);
+    return mapSeason(res.data.season);
+  },
 };
 
 export default RoomService;
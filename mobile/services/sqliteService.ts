@@ -20,6 +20,8 @@ export interface LocalDirectMessage {
   reply_to_text: string | null;
   created_at: number;
   synced: number;
+  reactions?: string | null; // JSON-encoded MessageReaction[] (server summary)
+  edited_at?: number | null; // Set once the sender edits the message
 }
 
 export interface LocalConversation {
@@ -154,6 +156,15 @@ class SQLiteService {
       CREATE INDEX IF NOT EXISTS idx_dm_local_id ON direct_messages(local_id);
     `);
 
+    // Columns added after the first release
+    const dmColumns = await this.db.getAllAsync('PRAGMA table_info(direct_messages)') as any[];
+    if (!dmColumns.some(c => c.name === 'reactions')) {
+      await this.db.execAsync('ALTER TABLE direct_messages ADD COLUMN reactions TEXT');
+    }
+    if (!dmColumns.some(c => c.name === 'edited_at')) {
+      await this.db.execAsync('ALTER TABLE direct_messages ADD COLUMN edited_at INTEGER');
+    }
+
     await this.db.execAsync(`
       CREATE TABLE IF NOT EXISTS conversations (
         friend_id TEXT PRIMARY KEY,
@@ -228,13 +239,59 @@ class SQLiteService {
     }
     await this.db.runAsync(
       `INSERT OR REPLACE INTO direct_messages
-       (id, local_id, from_user_id, to_user_id, content, status, reply_to_id, reply_to_text, created_at, synced)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       (id, local_id, from_user_id, to_user_id, content, status, reply_to_id, reply_to_text, created_at, synced, reactions, edited_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [msg.id, msg.local_id, msg.from_user_id, msg.to_user_id, msg.content,
-       msg.status, msg.reply_to_id, msg.reply_to_text, msg.created_at, msg.synced]
+       msg.status, msg.reply_to_id, msg.reply_to_text, msg.created_at, msg.synced, msg.reactions ?? null, msg.edited_at ?? null]
+    );
+  }
+
+  async updateMessageReactions(id: string, reactions: string | null): Promise<void> {
+    if (!this.db) return;
+    await this.db.runAsync(
+      'UPDATE direct_messages SET reactions = ? WHERE id = ? OR local_id = ?',
+      [reactions, id, id]
     );
   }
 
+  /** Replace a message's text; pass editedAt when the sender edited it */
+  async updateMessageContent(id: string, content: string, editedAt?: number): Promise<void> {
+    if (!this.db) {
+      this.webMessages = this.webMessages.map(m => (m.id === id || m.local_id === id
+        ? { ...m, content, ...(editedAt !== undefined && { edited_at: editedAt }) }
+        : m));
+      return;
+    }
+    if (editedAt !== undefined) {
+      await this.db.runAsync(
+        'UPDATE direct_messages SET content = ?, edited_at = ? WHERE id = ? OR local_id = ?',
+        [content, editedAt, id, id]
+      );
+      return;
+    }
+    await this.db.runAsync(
+      'UPDATE direct_messages SET content = ? WHERE id = ? OR local_id = ?',
+      [content, id, id]
+    );
+  }
+
+  /** Rewrite the quoted text on replies to a message that was edited or unsent */
+  async updateReplyPreviews(replyToId: string, text: string): Promise<void> {
+    if (!this.db) {
+      this.webMessages = this.webMessages.map(m => (m.reply_to_id === replyToId ? { ...m, reply_to_text: text } : m));
+      return;
+    }
+    await this.db.runAsync('UPDATE direct_messages SET reply_to_text = ? WHERE reply_to_id = ?', [text, replyToId]);
+  }
+
+  async deleteDirectMessage(id: string): Promise<void> {
+    if (!this.db) {
+      this.webMessages = this.webMessages.filter(m => m.id !== id && m.local_id !== id);
+      return;
+    }
+    await this.db.runAsync('DELETE FROM direct_messages WHERE id = ? OR local_id = ?', [id, id]);
+  }
+
   async getDirectMessages(userId: string, friendId: string, limit = 50, before?: number): Promise<LocalDirectMessage[]> {
     if (!this.db) {
       // In-memory storage for web
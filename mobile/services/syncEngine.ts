@@ -158,6 +158,13 @@ class SyncEngine {
     this.socket.on('member:left', (data) => this.handleEvent('member:left', data));
     this.socket.on('member:kicked', (data) => this.handleEvent('member:kicked', data));
     this.socket.on('room:premiumUpdated', (data) => this.handleEvent('room:premiumUpdated', data));
+    this.socket.on('room:memberRoleChanged', (data) => this.handleEvent('room:memberRoleChanged', data));
+    this.socket.on('room:ownerChanged', (data) => this.handleEvent('room:ownerChanged', data));
+    this.socket.on('room:seasonStarted', (data) => this.handleEvent('room:seasonStarted', data));
+    this.socket.on('room:seasonEnded', (data) => this.handleEvent('room:seasonEnded', data));
+    this.socket.on('chat:pinned', (data) => this.handleEvent('chat:pinned', data));
+    this.socket.on('chat:messageEdited', (data) => this.handleEvent('chat:messageEdited', data));
+    this.socket.on('chat:messageDeleted', (data) => this.handleEvent('chat:messageDeleted', data));
     this.socket.on('room:task:created', (data) => this.handleEvent('task:created', data));
     this.socket.on('room:task:updated', (data) => this.handleEvent('task:updated', data));
     this.socket.on('room:task:deleted', (data) => this.handleEvent('task:deleted', data));
@@ -189,9 +196,23 @@ class SyncEngine {
     this.socket.on('dm:typing', (data) => this.handleEvent('dm:typing', data));
     this.socket.on('dm:read', (data) => this.handleEvent('dm:read', data));
     this.socket.on('dm:delivered', (data) => this.handleEvent('dm:delivered', data));
+    this.socket.on('dm:hidden', (data) => this.handleEvent('dm:hidden', data));
+    this.socket.on('dm:deleted', (data) => this.handleEvent('dm:deleted', data));
+    this.socket.on('dm:edited', (data) => this.handleEvent('dm:edited', data));
+    this.socket.on('reaction:added', (data) => this.handleEvent('reaction:added', data));
+    this.socket.on('reaction:removed', (data) => this.handleEvent('reaction:removed', data));
     this.socket.on('user:status', (data) => this.handleEvent('user:status', data));
     this.socket.on('users:online', (data) => this.handleEvent('users:online', data));
 
+    // Group conversation events
+    this.socket.on('group:created', (data) => this.handleEvent('group:created', data));
+    this.socket.on('group:updated', (data) => this.handleEvent('group:updated', data));
+    this.socket.on('group:membersAdded', (data) => this.handleEvent('group:membersAdded', data));
+    this.socket.on('group:memberRemoved', (data) => this.handleEvent('group:memberRemoved', data));
+    this.socket.on('group:message', (data) => this.handleEvent('group:message', data));
+    this.socket.on('group:read', (data) => this.handleEvent('group:read', data));
+    this.socket.on('group:typing', (data) => this.handleEvent('group:typing', data));
+
     // Friend events
     this.socket.on('friend:request', (data) => this.handleEvent('friend:request', data));
     this.socket.on('friend:request_sent', (data) => this.handleEvent('friend:request_sent', data));
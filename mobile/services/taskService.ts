@@ -324,19 +324,61 @@ class TaskService {
     return res.data?.nodes || [];
   }
 
-  async addRoomTaskNode(roomId: string, taskId: string, data: { type: string; content?: string; mediaUrl?: string; status?: string; clientReferenceId?: string }): Promise<any> {
+  async addRoomTaskNode(roomId: string, taskId: string, data: { type: string; content?: string; mediaUrl?: string; blurHash?: string; status?: string; clientReferenceId?: string }): Promise<any> {
     const res = await api.post(`/rooms/${roomId}/tasks/${taskId}/nodes`, data);
     return res.data?.node;
   }
 
-  async updateRoomTaskNode(roomId: string, taskId: string, nodeId: string, data: { content?: string; status?: string; vouch?: boolean }): Promise<any> {
+  async updateRoomTaskNode(roomId: string, taskId: string, nodeId: string, data: { content?: string; status?: string }): Promise<any> {
     const res = await api.put(`/rooms/${roomId}/tasks/${taskId}/nodes/${nodeId}`, data);
     return res.data?.node;
   }
 
+  /** Vouch for a proof (one vote per member; the room owner's vouch approves it) */
+  async vouchRoomTaskNode(roomId: string, taskId: string, nodeId: string): Promise<{ node: any; outcome: 'verified' | 'rejected' | null }> {
+    const res = await api.post(`/rooms/${roomId}/tasks/${taskId}/nodes/${nodeId}/vouch`, {});
+    return { node: res.data?.node, outcome: res.data?.outcome ?? null };
+  }
+
+  /** Dispute a proof (one vote per member) */
+  async disputeRoomTaskNode(roomId: string, taskId: string, nodeId: string): Promise<{ node: any; outcome: 'verified' | 'rejected' | null }> {
+    const res = await api.post(`/rooms/${roomId}/tasks/${taskId}/nodes/${nodeId}/dispute`, {});
+    return { node: res.data?.node, outcome: res.data?.outcome ?? null };
+  }
+
   /**
-   * Upload proof image via JSON payload.
-   * Converts local URI to Base64 to bypass multipart parsing issues.
+   * Upload an image to the room's media storage (multipart).
+   * The server strips EXIF location and returns the stored URL, thumbnail and BlurHash.
+   */
+  async uploadRoomTaskMedia(
+    roomId: string,
+    taskId: string,
+    imageUri: string
+  ): Promise<{ url: string; thumbnailUrl: string; blurHash: string; width: number; height: number }> {
+    const form = new FormData();
+
+    if (Platform.OS === 'web' || imageUri.startsWith('data:') || imageUri.startsWith('blob:')) {
+      const blob = await (await fetch(imageUri)).blob();
+      const ext = blob.type === 'image/png' ? 'png' : blob.type === 'image/webp' ? 'webp' : 'jpg';
+      form.append('file', blob, `proof.${ext}`);
+    } else {
+      const ext = imageUri.split('?')[0].split('.').pop()?.toLowerCase() || 'jpg';
+      const type = ext === 'png' ? 'image/png' : ext === 'webp' ? 'image/webp' : 'image/jpeg';
+      // React Native's FormData accepts a { uri, name, type } file descriptor
+      form.append('file', { uri: imageUri, name: `proof.${ext}`, type } as any);
+    }
+
+    const res = await api.post(`/rooms/${roomId}/tasks/${taskId}/media`, form, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      transformRequest: (data) => data,
+    });
+    return res.data?.media;
+  }
+
+  /**
+   * Upload proof image and attach it to a new node.
+   * Prefers the multipart media endpoint; falls back to an inline Base64 data URL
+   * when the upload fails (older servers without the endpoint).
    */
   async uploadProofWithImage(
     roomId: string,
@@ -346,6 +388,22 @@ class TaskService {
     clientReferenceId: string,
     type: string = 'PROOF'
   ): Promise<any> {
+    const nodeContent = type === 'PROOF' ? (content || 'Completed the mission.') : (content || '');
+
+    try {
+      const media = await this.uploadRoomTaskMedia(roomId, taskId, imageUri);
+      return await this.addRoomTaskNode(roomId, taskId, {
+        type,
+        status: 'PENDING',
+        mediaUrl: media.url,
+        blurHash: media.blurHash,
+        content: nodeContent,
+        clientReferenceId,
+      });
+    } catch (mediaError: any) {
+      console.warn('[taskService] Media upload failed, falling back to Base64:', mediaError?.message);
+    }
+
     try {
       let mediaUrl = imageUri;
 
@@ -370,7 +428,7 @@ class TaskService {
         type,
         status: 'PENDING',
         mediaUrl,
-        content: type === 'PROOF' ? (content || 'Completed the mission.') : (content || ''),
+        content: nodeContent,
         clientReferenceId,
       });
     } catch (uploadError: any) {
@@ -379,7 +437,7 @@ class TaskService {
         type,
         status: 'PENDING',
         mediaUrl: imageUri,
-        content: type === 'PROOF' ? (content || 'Completed the mission.') : (content || ''),
+        content: nodeContent,
         clientReferenceId,
       });
     }
@@ -49,6 +49,7 @@ export interface UserProfile {
   weekly_points: number;
   bio?: string;
   email?: string;
+  emailVerified?: boolean;
   createdAt?: string;
   timezone?: string;
   totalTasksCompleted?: number;
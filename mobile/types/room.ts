@@ -1,8 +1,9 @@
-export type RoomRole = 'owner' | 'admin' | 'member' | 'pending';
+export type RoomRole = 'owner' | 'admin' | 'moderator' | 'member' | 'viewer' | 'pending';
 export type RoomTaskStatus = 'accepted' | 'spectator' | 'completed';
 export type RoomTaskNodeType = 'MESSAGE' | 'PROOF' | 'SYSTEM_ALERT' | 'DAY_DIVIDER' | 'UNREAD_DIVIDER';
 export type RoomGhostStatus = 'PENDING' | 'GHOST_APPROVED' | 'VOUCHED' | 'REJECTED';
 export type AuraTier = 'bronze' | 'silver' | 'gold' | 'platinum';
+export type TaskCompletionStatus = 'provisional' | 'approved' | 'rejected';
 
 export interface RoomDetail {
   id: string;
@@ -13,17 +14,24 @@ export interface RoomDetail {
   isPublic?: boolean;         // Derived from isPrivate for UI convenience
   maxMembers: number;
   chatRetentionDays: number;
+  retentionOptions?: number[]; // Retention choices (days) for the room's tier
   isPremium: boolean;
   streak: number;
   ownerId: string;
   isActive: boolean;
   requireApproval?: boolean;  // Whether join requests need approval
+  timezone?: string;          // Room day timezone (IANA)
+  dayRolloverHour?: number;   // Local hour the room day starts (0-23)
+  requireProof?: boolean;     // Completions need a verified PROOF node
+  proofVouchThreshold?: number; // Vouches needed to verify a proof
+  proofGhostApproveHours?: number; // Unverified proofs auto-approve after this
   createdAt: string;
   updatedAt: string;
   endDate?: string;           // Room expiry date
   // Design spec additions
   doomClockExpiry?: string;   // ISO timestamp — 5-day cycle end
   userRole?: RoomRole;        // Current user's role in this room
+  permissions?: string[];     // Current user's room permissions (see utils/roomRoles)
   groupAura?: number;         // Aggregate room aura score
   onlineCount?: number;       // Members currently active
   weeklyPoints?: number;      // Sprint points (resets Sunday midnight)
@@ -37,6 +45,7 @@ export interface RoomMember {
   userId?: string;            // The actual user ID (for matching currentUser)
   username: string;
   avatar?: string;
+  role?: RoomRole;
   isOnline: boolean;
   aura: AuraTier;
   hasHeat: boolean;           // 3+ tasks in 24h
@@ -47,6 +56,8 @@ export interface TaskCompletion {
   taskId?: string;
   userId?: string;
   completedAt?: string;
+  status?: TaskCompletionStatus;
+  proofNodeId?: string | null;
   user?: { username: string; avatar?: string };
 }
 
@@ -57,9 +68,16 @@ export interface RoomTask {
   description?: string;
   taskType: string;
   daysOfWeek?: string;
+  recurrenceRule?: string | null; // RRULE subset, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU"
+  recurrenceStart?: string | null; // YYYY-MM-DD
+  recurrenceEnd?: string | null; // YYYY-MM-DD, inclusive
+  recurrenceExceptions?: string | null; // Comma-separated YYYY-MM-DD days to skip
+  isDueToday?: boolean;       // Whether the schedule is due today
+  nextDueDate?: string | null; // Next due day (YYYY-MM-DD)
   points: number;
   isActive: boolean;
   isCompleted?: boolean;      // Whether current user has completed this task
+  completionStatus?: TaskCompletionStatus | null; // Verification state of that completion
   createdAt: string;
   createdBy?: string;         // User ID of the task creator
   status?: RoomTaskStatus;    // UI injected state
@@ -79,6 +97,16 @@ export type Task = RoomTask;
 /** Alias for room detail / list screens */
 export type Room = RoomDetail;
 
+export type RoomTaskNodeVoteType = 'VOUCH' | 'DISPUTE';
+
+export interface RoomTaskNodeVoter {
+  userId: string;
+  username: string;
+  avatar?: string;
+  type: RoomTaskNodeVoteType;
+  createdAt: string;
+}
+
 export interface RoomTaskNode {
   id: string;
   _id?: string;
@@ -97,6 +125,9 @@ export interface RoomTaskNode {
   createdAt: string;
   updatedAt: string;
   isVouchedByMe?: boolean;    // Whether current user vouched
+  disputeCount?: number;
+  myVote?: RoomTaskNodeVoteType | null; // Current user's vote on this proof
+  voters?: RoomTaskNodeVoter[];
   isPinned?: boolean;         // Wall pinning by owner
   user?: {
     id: string;
@@ -105,9 +136,57 @@ export interface RoomTaskNode {
   };
 }
 
+export type RoomChatMessageType = 'user' | 'system' | 'announcement';
+
+/** Room chat message pinned to the top of the room (announcements are always pinned) */
+export interface PinnedRoomMessage {
+  id: string;
+  roomId: string;
+  type: RoomChatMessageType;
+  content: string;
+  isPinned: boolean;
+  pinnedAt?: string | null;
+  createdAt: string;
+  editedAt?: string | null;
+  user?: { id: string; username: string; avatar?: string } | null;
+  pinnedBy?: { id: string; username: string } | null;
+}
+
 export interface RoomUserAura {
   userId: string;
   auraScore: number;
   voteWeight: number;
   level: AuraTier;
 }
+
+export type RoomSeasonStatus = 'scheduled' | 'active' | 'completed';
+
+/** Final placing of a member in a completed season */
+export interface RoomSeasonStanding {
+  userId: string;
+  username: string;
+  rank: number;
+  points: number;
+  completions: number;
+  mvpCount: number;
+}
+
+/** Room season: points reset when it starts and ends, standings are archived */
+export interface RoomSeason {
+  id: string;
+  number: number;
+  name: string;
+  startDate: string;          // YYYY-MM-DD (room day)
+  endDate: string;            // YYYY-MM-DD, inclusive
+  status: RoomSeasonStatus;
+  lengthDays: number;
+  champion?: RoomSeasonStanding | null;
+  podium?: RoomSeasonStanding[];
+  standings?: RoomSeasonStanding[];
+}
+
+export interface RoomSeasonHistory {
+  current: RoomSeason | null;
+  upcoming: RoomSeason[];
+  past: RoomSeason[];
+}
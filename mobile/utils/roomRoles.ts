@@ -0,0 +1,53 @@
+import { RoomRole } from '../types/room';
+
+/**
+ * Room roles and permissions — mirrors backend/utils/roomPermissions.js.
+ * The room detail carries the current user's `userRole` and `permissions`;
+ * these helpers only decide which controls to show.
+ */
+
+export const ROOM_PERMISSIONS = {
+  PARTICIPATE: 'room:participate',
+  EDIT_ROOM: 'room:edit',
+  MANAGE_ROOM: 'room:manage',
+  APPROVE_MEMBERS: 'members:approve',
+  REMOVE_MEMBERS: 'members:remove',
+  MANAGE_ROLES: 'members:roles',
+  MODERATE_CHAT: 'chat:moderate',
+  MANAGE_TASKS: 'tasks:manage',
+  ASSIGN_TASKS: 'tasks:assign',
+  MODERATE_PROOFS: 'proofs:moderate',
+  REVIEW_REPORTS: 'reports:review',
+  VIEW_AUDIT: 'audit:view',
+} as const;
+
+export type RoomPermission = typeof ROOM_PERMISSIONS[keyof typeof ROOM_PERMISSIONS];
+
+const ROLE_RANK: Record<string, number> = {
+  viewer: 0,
+  member: 1,
+  moderator: 2,
+  admin: 3,
+  owner: 4,
+};
+
+// Roles that can be handed out from the squad list (ownership moves by transfer)
+export const ASSIGNABLE_ROLES: RoomRole[] = ['admin', 'moderator', 'member', 'viewer'];
+
+export const ROLE_LABELS: Record<RoomRole, string> = {
+  owner: 'Owner',
+  admin: 'Admin',
+  moderator: 'Moderator',
+  member: 'Member',
+  viewer: 'Viewer',
+  pending: 'Pending',
+};
+
+export const getRoleRank = (role?: string): number => (role ? ROLE_RANK[role] ?? -1 : -1);
+
+export const outranks = (actorRole?: string, targetRole?: string): boolean =>
+  getRoleRank(actorRole) > getRoleRank(targetRole);
+
+/** Roles `actorRole` may give: those ranked below their own */
+export const getAssignableRoles = (actorRole?: string): RoomRole[] =>
+  ASSIGNABLE_ROLES.filter(role => outranks(actorRole, role));
@@ -39,6 +39,21 @@ export const signupSchema = z.object({
   path: ['confirmPassword'],
 });
 
+// Forgot password schema
+export const forgotPasswordSchema = z.object({
+  email: emailSchema,
+});
+
+// Reset password schema (token comes from the emailed link or is pasted from the email)
+export const resetPasswordSchema = z.object({
+  token: z.string().trim().min(1, 'Reset code is required'),
+  password: passwordSchema,
+  confirmPassword: z.string(),
+}).refine(data => data.password === data.confirmPassword, {
+  message: "Passwords don't match",
+  path: ['confirmPassword'],
+});
+
 // Types
 export type LoginInput = z.infer<typeof loginSchema>;
 export type SignupInput = z.infer<typeof signupSchema>;